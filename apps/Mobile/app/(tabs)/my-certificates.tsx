@@ -11,6 +11,7 @@ import {
     RefreshControl,
     TextInput,
     StyleSheet,
+    Linking,
 } from 'react-native';
 import { useSafeAreaInsets } from 'react-native-safe-area-context';
 import { Ionicons } from '@expo/vector-icons';
@@ -21,6 +22,7 @@ import { useToast } from '../../components/Toast';
 import * as FileSystem from 'expo-file-system';
 import * as MediaLibrary from 'expo-media-library';
 import { saveFileToGanApp } from '../../lib/mediaStoreSaver';
+import { getLinkedInCertificationUrl, getOpenBadgeOrigin, shareBakedOpenBadge, shareOpenBadge } from '../../lib/openBadgeUtils';
 import TutorialOverlay from '../../components/TutorialOverlay';
 
 interface CertificateWithEvent extends Certificate {
@@ -44,6 +46,7 @@ export default function MyCertificates() {
     const [expandedEvents, setExpandedEvents] = useState<Set<string>>(new Set());
     const [downloadingCertId, setDownloadingCertId] = useState<string | null>(null);
     const [downloadingFormat, setDownloadingFormat] = useState<'pdf' | 'png' | null>(null);
+    const [exportingBadge, setExportingBadge] = useState<{ certId: string; target: 'png' | 'share' | 'linkedin' } | null>(null);
     const insets = useSafeAreaInsets();
 
     const router = useRouter();
@@ -70,6 +73,37 @@ export default function MyCertificates() {
         }
     };
 
+    // Open Badges export: share the certificate image with the assertion baked
+    // in or the assertion JSON with a badge backpack, or open LinkedIn's
+    // add-certification form
+    const handleExportBadge = async (certificate: CertificateWithEvent, target: 'png' | 'share' | 'linkedin') => {
+        setExportingBadge({ certId: certificate.id, target });
+        try {
+            const result = await CertificateService.getOpenBadgeAssertion(certificate.certificate_number);
+            if (result.error || !result.assertion || !result.badge) {
+                toast.error(result.error || 'Failed to load the badge');
+                return;
+            }
+
+            if (target === 'linkedin') {
+                await Linking.openURL(getLinkedInCertificationUrl(result.badge, getOpenBadgeOrigin()));
+                return;
+            }
+
+            const shareResult = target === 'png' && certificate.certificate_png_url
+                ? await shareBakedOpenBadge(certificate.certificate_number, certificate.certificate_png_url, result.assertion)
+                : await shareOpenBadge(certificate.certificate_number, result.assertion);
+            if (shareResult.error) {
+                toast.error(shareResult.error);
+            }
+        } catch (err: any) {
+            console.error('Badge export error:', err);
+            toast.error(err.message || 'Failed to export the badge');
+        } finally {
+            setExportingBadge(null);
+        }
+    };
+
     const handleDownload = async (certificate: CertificateWithEvent, format: 'pdf' | 'png') => {
         if (!certificate) return;
 
@@ -482,10 +516,15 @@ export default function MyCertificates() {
                                                                     Participant: {cert.participant_name}
                                                                 </Text>
                                                             )}
+                                                            {cert.status === 'revoked' && (
+                                                                <Text style={styles.revokedNotice}>
+                                                                    Revoked by the organizer{cert.status_reason ? `: ${cert.status_reason}` : ''}
+                                                                </Text>
+                                                            )}
 
                                                             {/* Download Buttons */}
                                                             <View style={styles.downloadButtons}>
-                                                                {cert.certificate_pdf_url && (
+                                                                {cert.certificate_pdf_url && cert.status !== 'revoked' && (
                                                                     <TouchableOpacity
                                                                         onPress={() => handleDownload(cert, 'pdf')}
                                                                         disabled={downloadingCertId === cert.id && downloadingFormat === 'pdf'}
@@ -503,7 +542,7 @@ export default function MyCertificates() {
                                                                         <Text style={styles.downloadButtonText}>PDF</Text>
                                                                     </TouchableOpacity>
                                                                 )}
-                                                                {cert.certificate_png_url && (
+                                                                {cert.certificate_png_url && cert.status !== 'revoked' && (
                                                                     <TouchableOpacity
                                                                         onPress={() => handleDownload(cert, 'png')}
                                                                         disabled={downloadingCertId === cert.id && downloadingFormat === 'png'}
@@ -522,6 +561,46 @@ export default function MyCertificates() {
                                                                     </TouchableOpacity>
                                                                 )}
                                                             </View>
+
+                                                            {/* Open Badge Export */}
+                                                            {cert.status !== 'revoked' && (
+                                                                <View style={styles.badgeActions}>
+                                                                    {cert.certificate_png_url && (
+                                                                        <TouchableOpacity
+                                                                            onPress={() => handleExportBadge(cert, 'png')}
+                                                                            disabled={exportingBadge !== null}
+                                                                            style={styles.badgeAction}
+                                                                        >
+                                                                            {exportingBadge?.certId === cert.id && exportingBadge.target === 'png' ? (
+                                                                                <ActivityIndicator size="small" color="#475569" />
+                                                                            ) : (
+                                                                                <Ionicons name="image-outline" size={16} color="#475569" />
+                                                                            )}
+                                                                            <Text style={styles.badgeActionText}>Badge Image</Text>
+                                                                        </TouchableOpacity>
+                                                                    )}
+                                                                    <TouchableOpacity
+                                                                        onPress={() => handleExportBadge(cert, 'share')}
+                                                                        disabled={exportingBadge !== null}
+                                                                        style={styles.badgeAction}
+                                                                    >
+                                                                        {exportingBadge?.certId === cert.id && exportingBadge.target === 'share' ? (
+                                                                            <ActivityIndicator size="small" color="#475569" />
+                                                                        ) : (
+                                                                            <Ionicons name="ribbon-outline" size={16} color="#475569" />
+                                                                        )}
+                                                                        <Text style={styles.badgeActionText}>Badge JSON</Text>
+                                                                    </TouchableOpacity>
+                                                                    <TouchableOpacity
+                                                                        onPress={() => handleExportBadge(cert, 'linkedin')}
+                                                                        disabled={exportingBadge !== null}
+                                                                        style={styles.badgeAction}
+                                                                    >
+                                                                        <Ionicons name="logo-linkedin" size={16} color="#475569" />
+                                                                        <Text style={styles.badgeActionText}>Add to LinkedIn</Text>
+                                                                    </TouchableOpacity>
+                                                                </View>
+                                                            )}
                                                         </View>
                                                     </View>
                                                 ))}
@@ -697,6 +776,15 @@ const styles = StyleSheet.create({
         color: '#64748b',
         marginBottom: 4,
     },
+    revokedNotice: {
+        fontSize: 12,
+        color: '#b91c1c',
+        backgroundColor: '#fef2f2',
+        borderRadius: 4,
+        paddingHorizontal: 8,
+        paddingVertical: 4,
+        marginTop: 4,
+    },
     downloadButtons: {
         flexDirection: 'row',
         gap: 8,
@@ -726,5 +814,22 @@ const styles = StyleSheet.create({
         fontSize: 14,
         fontWeight: '600',
     },
+    badgeActions: {
+        flexDirection: 'row',
+        flexWrap: 'wrap',
+        gap: 16,
+        marginTop: 10,
+    },
+    badgeAction: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        gap: 4,
+        paddingVertical: 4,
+    },
+    badgeActionText: {
+        fontSize: 12,
+        fontWeight: '500',
+        color: '#475569',
+    },
 });
 
@@ -19,6 +19,8 @@ import { Ionicons } from '@expo/vector-icons';
 import { useRouter, useFocusEffect } from 'expo-router';
 import { EventService, Event } from '../../lib/eventService';
 import { SurveyService } from '../../lib/surveyService';
+import { DayRequirementResult } from '../../lib/attendanceDayUtils';
+import { CertificateService } from '../../lib/certificateService';
 import { useAuth } from '../../lib/authContext';
 import { supabase } from '../../lib/supabase';
 import { decodeHtml, getHtmlContentWidth, defaultHtmlStyles, stripHtmlTags } from '../../lib/htmlUtils';
@@ -47,7 +49,7 @@ export default function MyEvents() {
   const [venueFilter, setVenueFilter] = useState<string>('all');
   const [sortOption, setSortOption] = useState<SortOption>('date-asc');
   const [showFilters, setShowFilters] = useState(false);
-  const [eventStatuses, setEventStatuses] = useState<Record<string, { isCheckedIn: boolean; isValidated: boolean; surveyCompleted: boolean; isSurveyAvailable: boolean }>>({});
+  const [eventStatuses, setEventStatuses] = useState<Record<string, { isCheckedIn: boolean; isValidated: boolean; surveyCompleted: boolean; isSurveyAvailable: boolean; dayRequirement?: DayRequirementResult; canGenerateCert?: boolean }>>({});
   const insets = useSafeAreaInsets();
 
   const router = useRouter();
@@ -124,10 +126,12 @@ export default function MyEvents() {
         // Check check-in and survey completion status for each event
         if (user?.id && events.length > 0) {
           const statusPromises = events.map(async (event) => {
-            const [checkInResult, surveyResult, surveyAvailabilityResult] = await Promise.all([
+            const [checkInResult, surveyResult, surveyAvailabilityResult, dayResult, eligibilityResult] = await Promise.all([
               EventService.checkUserCheckInStatus(event.id, user.id),
               EventService.checkUserSurveyCompletion(event.id, user.id),
-              SurveyService.getSurveysByEvent(event.id)
+              SurveyService.getSurveysByEvent(event.id),
+              EventService.checkAttendanceDayRequirement(event, user.id),
+              CertificateService.checkCertificateEligibility(event, user.id)
             ]);
 
             // Check if survey is available (active and open)
@@ -152,18 +156,22 @@ export default function MyEvents() {
               isCheckedIn: checkInResult.isCheckedIn || false,
               isValidated: checkInResult.isValidated || false,
               surveyCompleted: surveyResult.isCompleted || false,
-              isSurveyAvailable: isSurveyAvailable
+              isSurveyAvailable: isSurveyAvailable,
+              dayRequirement: dayResult,
+              canGenerateCert: !!eligibilityResult.eligibility?.eligible
             };
           });
 
           const statuses = await Promise.all(statusPromises);
-          const statusMap: Record<string, { isCheckedIn: boolean; isValidated: boolean; surveyCompleted: boolean; isSurveyAvailable: boolean }> = {};
+          const statusMap: Record<string, { isCheckedIn: boolean; isValidated: boolean; surveyCompleted: boolean; isSurveyAvailable: boolean; dayRequirement?: DayRequirementResult; canGenerateCert?: boolean }> = {};
           statuses.forEach(status => {
             statusMap[status.eventId] = {
               isCheckedIn: status.isCheckedIn,
               isValidated: status.isValidated,
               surveyCompleted: status.surveyCompleted,
-              isSurveyAvailable: status.isSurveyAvailable
+              isSurveyAvailable: status.isSurveyAvailable,
+              dayRequirement: status.dayRequirement,
+              canGenerateCert: status.canGenerateCert
             };
           });
           setEventStatuses(statusMap);
@@ -631,8 +639,10 @@ export default function MyEvents() {
               filteredAndSortedEvents.map((event) => {
                 const eventStatus = getEventStatus(event);
                 const eventStatusData = eventStatuses[event.id] || { isCheckedIn: false, isValidated: false, surveyCompleted: false, isSurveyAvailable: false };
-                const canTakeSurvey = eventStatusData.isCheckedIn && eventStatusData.isSurveyAvailable;
-                const canGenerateCert = eventStatusData.isCheckedIn && eventStatusData.isValidated && eventStatusData.surveyCompleted;
+                const dayRequirement = eventStatusData.dayRequirement;
+                const meetsDayRequirement = !dayRequirement || dayRequirement.eligible;
+                const canTakeSurvey = eventStatusData.isCheckedIn && eventStatusData.isSurveyAvailable && meetsDayRequirement;
+                const canGenerateCert = !!eventStatusData.canGenerateCert;
 
                 return (
                   <View
@@ -741,6 +751,16 @@ export default function MyEvents() {
                             </Text>
                           </View>
                         )}
+
+                        {dayRequirement && dayRequirement.totalDays > 1 && (
+                          <View className="flex-row items-center">
+                            <Ionicons name="checkmark-done-outline" size={18} color={meetsDayRequirement ? '#15803d' : '#b45309'} />
+                            <Text className={`text-base ml-2 ${meetsDayRequirement ? 'text-green-700' : 'text-amber-700'}`}>
+                              Attended {dayRequirement.attended} of {dayRequirement.totalDays} days
+                              {dayRequirement.required > 0 && ` (${dayRequirement.required} required)`}
+                            </Text>
+                          </View>
+                        )}
                       </View>
 
                       {/* Action Buttons - 3x3 Grid */}
@@ -797,6 +817,10 @@ export default function MyEvents() {
                               toast.warning('Please check in to the event first before taking the survey.');
                               return;
                             }
+                            if (!meetsDayRequirement) {
+                              toast.warning(dayRequirement?.error || 'You have not attended enough days of this event yet.');
+                              return;
+                            }
                             if (!eventStatusData.isSurveyAvailable) {
                               toast.warning('The survey for this event is currently closed or not available.');
                               return;
@@ -823,20 +847,9 @@ export default function MyEvents() {
                         </TouchableOpacity>
 
                         <TouchableOpacity
-                          onPress={() => {
-                            if (!canGenerateCert) {
-                              if (!eventStatusData.isCheckedIn) {
-                                toast.warning('Please check in to the event first.');
-                              } else if (!eventStatusData.isValidated) {
-                                toast.warning('Your attendance must be validated by the organizer before generating a certificate.');
-                              } else if (!eventStatusData.surveyCompleted) {
-                                toast.warning('Please complete the survey/evaluation first.');
-                              }
-                              return;
-                            }
-                            router.push(`/certificate?eventId=${event.id}`);
-                          }}
-                          disabled={!canGenerateCert}
+                          // Opens even when requirements are missing; the
+                          // certificate screen lists what is still needed
+                          onPress={() => router.push(`/certificate?eventId=${event.id}`)}
                           style={{
                             width: '31%',
                             margin: '1%',
@@ -15,6 +15,7 @@ import {
   TextInput,
   KeyboardAvoidingView,
   InteractionManager,
+  ScrollView,
 } from 'react-native';
 import { showError, showSuccess } from '../../lib/sweetAlert';
 import { useSafeAreaInsets } from 'react-native-safe-area-context';
@@ -28,6 +29,7 @@ import {
 } from 'react-native-vision-camera';
 import { QRScanService, QRScanResult } from '../../lib/qrScanService';
 import { ParticipantService, ParticipantInfo } from '../../lib/participantService';
+import { SessionService, EventSession } from '../../lib/sessionService';
 import { NetworkStatusMonitor } from '../../lib/offline/networkStatus';
 import { useAuth } from '../../lib/authContext';
 import TutorialOverlay from '../../components/TutorialOverlay';
@@ -43,6 +45,11 @@ export default function QRScanner() {
   const [cameraType, setCameraType] = useState<'front' | 'back'>('back');
   const [showManualEntry, setShowManualEntry] = useState(false);
   const [manualEntryId, setManualEntryId] = useState('');
+  const [showSessionPicker, setShowSessionPicker] = useState(false);
+  const [todaySessions, setTodaySessions] = useState<EventSession[]>([]);
+  const [loadingSessions, setLoadingSessions] = useState(false);
+  const [selectedSession, setSelectedSession] = useState<EventSession | null>(null);
+  const [scanMode, setScanMode] = useState<'check_in' | 'check_out'>('check_in');
 
   const insets = useSafeAreaInsets();
   const router = useRouter();
@@ -81,6 +88,13 @@ export default function QRScanner() {
     }
   }, [hasPermission, requestPermission, activeDevice]);
 
+  // Keep event secrets for rotating QR codes on the device for offline scanning
+  useEffect(() => {
+    if (user?.role === 'admin' || user?.role === 'organizer') {
+      QRScanService.cacheRotatingQRSettings(user.role === 'organizer' ? user.id : undefined);
+    }
+  }, [user?.id, user?.role]);
+
   // Scanning line animation
   useEffect(() => {
     if (hasPermission && activeDevice && !isProcessing) {
@@ -137,10 +151,33 @@ export default function QRScanner() {
         };
 
         const userId = user?.id || '00000000-0000-0000-0000-000000000000';
+
+        if (scanMode === 'check_out') {
+          const checkOutResult = await QRScanService.processCheckOut(qrData, userId);
+          setIsProcessing(false);
+          if (checkOutResult.success && checkOutResult.event) {
+            const checkInTime = checkOutResult.attendanceLog?.check_in_time
+              ? new Date(checkOutResult.attendanceLog.check_in_time).toLocaleTimeString()
+              : '';
+            const checkOutTime = checkOutResult.attendanceLog?.check_out_time
+              ? new Date(checkOutResult.attendanceLog.check_out_time).toLocaleTimeString()
+              : new Date().toLocaleTimeString();
+            showSuccess(
+              'Checked Out',
+              `Event: ${checkOutResult.event.title}\n\nCheck-in: ${checkInTime}\nCheck-out: ${checkOutTime}\n\n${checkOutResult.message}`
+            );
+          } else {
+            showError('Check-out Failed', checkOutResult.message || checkOutResult.error || 'Unable to process QR code');
+          }
+          return;
+        }
+
         const result: QRScanResult = await QRScanService.processQRScan(
           qrData,
           userId,
-          deviceInfo
+          deviceInfo,
+          undefined,
+          selectedSession?.id
         );
 
         if (result.success && result.event) {
@@ -237,9 +274,23 @@ export default function QRScanner() {
         showError('Error', 'An unexpected error occurred. Please try again.');
       }
     },
-    [isProcessing, user, router]
+    [isProcessing, user, router, selectedSession, scanMode]
   );
 
+  const openSessionPicker = async () => {
+    setShowSessionPicker(true);
+    setLoadingSessions(true);
+    // Organizers only pick from their own events; admins see every session today
+    const result = await SessionService.getTodaySessions(user?.role === 'organizer' ? user.id : undefined);
+    setLoadingSessions(false);
+
+    if (result.error) {
+      showError('Sessions Unavailable', result.error);
+      return;
+    }
+    setTodaySessions(result.sessions || []);
+  };
+
   const handleManualEntry = async () => {
     if (!manualEntryId.trim() || isProcessing) return;
 
@@ -453,24 +504,68 @@ export default function QRScanner() {
             zIndex: 100,
           }}
         >
-          <TouchableOpacity
-            onPress={() => setShowManualEntry(true)}
-            style={{
-              flexDirection: 'row',
-              alignItems: 'center',
-              justifyContent: 'center',
-              backgroundColor: 'rgba(30, 58, 138, 0.9)',
-              borderRadius: 25,
-              paddingHorizontal: 16,
-              paddingVertical: 10,
-              gap: 8,
-            }}
-          >
-            <Ionicons name="create-outline" size={20} color="white" />
-            <Text style={{ color: '#ffffff', fontSize: 14, fontWeight: '600' }}>
-              Manual Entry
-            </Text>
-          </TouchableOpacity>
+          <View style={{ alignItems: 'flex-start', gap: 8 }}>
+            <TouchableOpacity
+              onPress={() => setShowManualEntry(true)}
+              style={{
+                flexDirection: 'row',
+                alignItems: 'center',
+                justifyContent: 'center',
+                backgroundColor: 'rgba(30, 58, 138, 0.9)',
+                borderRadius: 25,
+                paddingHorizontal: 16,
+                paddingVertical: 10,
+                gap: 8,
+              }}
+            >
+              <Ionicons name="create-outline" size={20} color="white" />
+              <Text style={{ color: '#ffffff', fontSize: 14, fontWeight: '600' }}>
+                Manual Entry
+              </Text>
+            </TouchableOpacity>
+
+            <TouchableOpacity
+              onPress={openSessionPicker}
+              style={{
+                flexDirection: 'row',
+                alignItems: 'center',
+                justifyContent: 'center',
+                backgroundColor: selectedSession ? 'rgba(22, 163, 74, 0.9)' : 'rgba(0, 0, 0, 0.5)',
+                borderRadius: 25,
+                paddingHorizontal: 16,
+                paddingVertical: 10,
+                gap: 8,
+                maxWidth: SCREEN_WIDTH - 120,
+              }}
+            >
+              <Ionicons name="albums-outline" size={20} color="white" />
+              <Text style={{ color: '#ffffff', fontSize: 14, fontWeight: '600' }} numberOfLines={1}>
+                {selectedSession ? selectedSession.title : 'Whole Event'}
+              </Text>
+            </TouchableOpacity>
+
+            {/* Check-out applies to the whole event day, not to sessions */}
+            {!selectedSession && (
+              <TouchableOpacity
+                onPress={() => setScanMode(prev => prev === 'check_in' ? 'check_out' : 'check_in')}
+                style={{
+                  flexDirection: 'row',
+                  alignItems: 'center',
+                  justifyContent: 'center',
+                  backgroundColor: scanMode === 'check_out' ? 'rgba(234, 88, 12, 0.9)' : 'rgba(0, 0, 0, 0.5)',
+                  borderRadius: 25,
+                  paddingHorizontal: 16,
+                  paddingVertical: 10,
+                  gap: 8,
+                }}
+              >
+                <Ionicons name={scanMode === 'check_out' ? 'log-out-outline' : 'log-in-outline'} size={20} color="white" />
+                <Text style={{ color: '#ffffff', fontSize: 14, fontWeight: '600' }}>
+                  {scanMode === 'check_out' ? 'Check-Out Mode' : 'Check-In Mode'}
+                </Text>
+              </TouchableOpacity>
+            )}
+          </View>
 
           <TouchableOpacity
             onPress={() => setCameraType(prev => prev === 'back' ? 'front' : 'back')}
@@ -681,6 +776,92 @@ export default function QRScanner() {
         </View>
       </SafeAreaView>
 
+      {/* Session Picker Modal */}
+      <Modal
+        visible={showSessionPicker}
+        transparent={true}
+        animationType="slide"
+        onRequestClose={() => setShowSessionPicker(false)}
+      >
+        <View style={{ flex: 1, justifyContent: 'center', backgroundColor: 'rgba(0, 0, 0, 0.7)' }}>
+          <View
+            style={{
+              backgroundColor: '#1e3a8a',
+              marginHorizontal: 20,
+              borderRadius: 20,
+              padding: 24,
+              maxWidth: 400,
+              maxHeight: SCREEN_HEIGHT * 0.7,
+              alignSelf: 'center',
+              width: '100%',
+            }}
+          >
+            <View style={{ flexDirection: 'row', justifyContent: 'space-between', alignItems: 'center', marginBottom: 12 }}>
+              <Text style={{ color: '#ffffff', fontSize: 20, fontWeight: 'bold' }}>
+                Check-in For
+              </Text>
+              <TouchableOpacity onPress={() => setShowSessionPicker(false)}>
+                <Ionicons name="close" size={28} color="#ffffff" />
+              </TouchableOpacity>
+            </View>
+
+            <Text style={{ color: '#e2e8f0', fontSize: 14, marginBottom: 12 }}>
+              Choose a session to record attendance for it, or check in to the whole event.
+            </Text>
+
+            <ScrollView>
+              <TouchableOpacity
+                onPress={() => {
+                  setSelectedSession(null);
+                  setShowSessionPicker(false);
+                }}
+                style={{
+                  backgroundColor: !selectedSession ? '#16a34a' : 'rgba(255, 255, 255, 0.1)',
+                  borderRadius: 12,
+                  padding: 14,
+                  marginBottom: 8,
+                }}
+              >
+                <Text style={{ color: '#ffffff', fontSize: 16, fontWeight: '600' }}>Whole Event</Text>
+                <Text style={{ color: '#e2e8f0', fontSize: 12 }}>Daily event check-in</Text>
+              </TouchableOpacity>
+
+              {loadingSessions ? (
+                <ActivityIndicator size="small" color="#ffffff" style={{ marginVertical: 16 }} />
+              ) : todaySessions.length === 0 ? (
+                <Text style={{ color: '#94a3b8', fontSize: 14, textAlign: 'center', marginVertical: 16 }}>
+                  No sessions scheduled today
+                </Text>
+              ) : (
+                todaySessions.map(session => (
+                  <TouchableOpacity
+                    key={session.id}
+                    onPress={() => {
+                      setSelectedSession(session);
+                      setScanMode('check_in');
+                      setShowSessionPicker(false);
+                    }}
+                    style={{
+                      backgroundColor: selectedSession?.id === session.id ? '#16a34a' : 'rgba(255, 255, 255, 0.1)',
+                      borderRadius: 12,
+                      padding: 14,
+                      marginBottom: 8,
+                    }}
+                  >
+                    <Text style={{ color: '#ffffff', fontSize: 16, fontWeight: '600' }}>{session.title}</Text>
+                    <Text style={{ color: '#e2e8f0', fontSize: 12 }}>
+                      {session.start_time.slice(0, 5)} - {session.end_time.slice(0, 5)}
+                      {session.room ? ` · ${session.room}` : ''}
+                      {session.event ? ` · ${session.event.title}` : ''}
+                    </Text>
+                  </TouchableOpacity>
+                ))
+              )}
+            </ScrollView>
+          </View>
+        </View>
+      </Modal>
+
       {/* Manual Entry Modal */}
       <Modal
         visible={showManualEntry}
@@ -1,5 +1,5 @@
 import React, { useState, useEffect, useRef } from 'react';
-import { View, ActivityIndicator, Text, TouchableOpacity, SafeAreaView, Platform, Alert } from 'react-native';
+import { View, ActivityIndicator, Text, TouchableOpacity, SafeAreaView, Platform, Alert, ScrollView } from 'react-native';
 import { WebView } from 'react-native-webview';
 import { useLocalSearchParams, useRouter } from 'expo-router';
 import { useAuth } from '../lib/authContext';
@@ -9,6 +9,10 @@ import * as FileSystem from 'expo-file-system';
 import * as MediaLibrary from 'expo-media-library';
 import { saveFileToGanApp } from '../lib/mediaStoreSaver';
 import { useToast } from '../components/Toast';
+import { Ionicons } from '@expo/vector-icons';
+import { CertificateService } from '../lib/certificateService';
+import { EventService } from '../lib/eventService';
+import { CertificateEligibility } from '../lib/certificateEligibilityUtils';
 
 // Get web app URL - supports environment variable or platform-specific defaults
 const getWebAppUrl = (): string => {
@@ -52,6 +56,8 @@ export default function Certificate() {
   const [accessToken, setAccessToken] = useState<string | null>(paramAccessToken);
   const [refreshToken, setRefreshToken] = useState<string | null>(paramRefreshToken);
   const [webViewUrl, setWebViewUrl] = useState<string>('');
+  const [eligibility, setEligibility] = useState<CertificateEligibility | null>(null);
+  const [checkingEligibility, setCheckingEligibility] = useState(true);
   const loadingTimeoutRef = useRef<ReturnType<typeof setTimeout> | null>(null);
   const lastUrlRef = useRef<string>('');
   const readyMessageReceivedRef = useRef(false);
@@ -75,6 +81,34 @@ export default function Certificate() {
     getSession();
   }, []);
 
+  // Participants without a certificate see which requirements they still
+  // miss before the generator is loaded
+  useEffect(() => {
+    const checkEligibility = async () => {
+      if (!eventId || !user?.id) {
+        setCheckingEligibility(false);
+        return;
+      }
+
+      try {
+        const certResult = await CertificateService.getUserCertificate(user.id, eventId);
+        if (!certResult.certificate) {
+          const eventResult = await EventService.getEventById(eventId);
+          if (eventResult.event) {
+            const eligibilityResult = await CertificateService.checkCertificateEligibility(eventResult.event, user.id);
+            setEligibility(eligibilityResult.eligibility || null);
+          }
+        }
+      } catch (error) {
+        // The web page checks the requirements again before generating
+        console.error('❌ Error checking certificate requirements:', error);
+      } finally {
+        setCheckingEligibility(false);
+      }
+    };
+    checkEligibility();
+  }, [eventId, user?.id]);
+
   // Cleanup timeout on unmount
   useEffect(() => {
     return () => {
@@ -328,6 +362,53 @@ export default function Certificate() {
     );
   }
 
+  if (checkingEligibility) {
+    return (
+      <SafeAreaView className="flex-1 bg-white">
+        <View className="flex-1 items-center justify-center" style={{ paddingTop: insets.top }}>
+          <ActivityIndicator size="large" color="#2563eb" />
+          <Text className="text-slate-600 mt-4">Checking certificate requirements...</Text>
+        </View>
+      </SafeAreaView>
+    );
+  }
+
+  if (eligibility && !eligibility.eligible) {
+    return (
+      <SafeAreaView className="flex-1 bg-white">
+        <ScrollView contentContainerStyle={{ padding: 16, paddingTop: insets.top + 20 }}>
+          <Text className="text-2xl font-bold text-slate-800 mb-2">Certificate Requirements</Text>
+          <Text className="text-slate-600 mb-6">
+            Your certificate becomes available once every requirement is met.
+          </Text>
+          <View className="bg-white border border-slate-200 rounded-xl p-4 mb-6">
+            {eligibility.requirements.map(requirement => (
+              <View key={requirement.type} className="flex-row items-start mb-3">
+                <Ionicons
+                  name={requirement.met ? 'checkmark-circle' : 'ellipse-outline'}
+                  size={20}
+                  color={requirement.met ? '#16a34a' : '#f59e0b'}
+                  style={{ marginRight: 10, marginTop: 1 }}
+                />
+                <View className="flex-1">
+                  <Text className={requirement.met ? 'text-slate-500' : 'text-slate-800 font-semibold'}>
+                    {requirement.label}
+                  </Text>
+                  {!requirement.met && !!requirement.detail && (
+                    <Text className="text-slate-500 text-xs mt-1">{requirement.detail}</Text>
+                  )}
+                </View>
+              </View>
+            ))}
+          </View>
+          <TouchableOpacity onPress={handleClose} className="px-6 py-3 bg-blue-600 rounded-lg items-center">
+            <Text className="text-white font-semibold">Go Back</Text>
+          </TouchableOpacity>
+        </ScrollView>
+      </SafeAreaView>
+    );
+  }
+
   if (error && !loading) {
     return (
       <SafeAreaView className="flex-1 bg-white">
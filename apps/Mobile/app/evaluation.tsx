@@ -14,10 +14,12 @@ import { Ionicons } from '@expo/vector-icons';
 import { useRouter, useLocalSearchParams } from 'expo-router';
 import { SurveyService, Survey } from '../lib/surveyService';
 import { EventService } from '../lib/eventService';
+import { CertificateService } from '../lib/certificateService';
 import { useAuth } from '../lib/authContext';
 import { supabase } from '../lib/supabase';
 import RenderHTML from 'react-native-render-html';
 import { decodeHtml, getHtmlContentWidth, defaultHtmlStyles } from '../lib/htmlUtils';
+import { SurveyCondition, SurveySkipRule, getQuestionId, getVisibleAnswers, getVisibleQuestionIds } from '../lib/surveyLogicUtils';
 import TutorialOverlay from '../components/TutorialOverlay';
 
 interface Question {
@@ -40,6 +42,8 @@ interface Question {
   sectionTitle?: string;
   sectionDescription?: string;
   sectionIndex?: number;
+  sectionCondition?: SurveyCondition | null;
+  skipRule?: SurveySkipRule | null;
 }
 
 interface Event {
@@ -256,8 +260,10 @@ export default function Evaluation() {
       return 'Survey is not loaded';
     }
 
-    for (const question of survey.questions) {
-      if (question.required) {
+    // Questions hidden by the survey's branching and skip logic are not asked
+    const visibleQuestionIds = getVisibleQuestionIds(survey.questions, responses);
+    for (const [index, question] of survey.questions.entries()) {
+      if (question.required && visibleQuestionIds.includes(getQuestionId(question, index))) {
         const questionId = question.id || question.question || '';
         const response = responses[questionId];
         const questionType = question.questionType || question.type || question.question_type || '';
@@ -296,13 +302,13 @@ export default function Evaluation() {
         throw new Error('Survey or user data is missing');
       }
 
-      // Submit survey response to database
+      // Submit survey response to database, without answers to questions the logic hid
       const { data, error: submitError } = await supabase
         .from('survey_responses')
         .insert([{
           survey_id: survey.id,
           user_id: user.id,
-          responses: responses
+          responses: getVisibleAnswers(survey.questions, responses)
         }])
         .select()
         .single();
@@ -310,11 +316,16 @@ export default function Evaluation() {
       if (submitError) {
         throw new Error(submitError.message || 'Failed to submit evaluation');
       }
+
+      // Queue the certificate on auto-issue events; the evaluation is saved either way
+      const { queued: certificateQueued } = await CertificateService.autoIssueCertificate(survey.event_id, user.id);
       
       // Show success alert
       showSuccess(
         'Evaluation Submitted Successfully!',
-        'Thank you for your feedback.',
+        certificateQueued
+          ? "Thank you for your feedback. Your certificate is being prepared and we'll notify you when it's ready."
+          : 'Thank you for your feedback.',
         () => {
           // Navigate back to my-events
           setTimeout(() => {
@@ -978,17 +989,22 @@ export default function Evaluation() {
         {/* Survey Form */}
         <View className="bg-white rounded-xl shadow-md border border-slate-100 p-4 mb-6">
           {survey.questions && survey.questions.length > 0 ? (() => {
-            // Group questions by section (matching web version)
+            // Group the questions the respondent is shown by section (matching web version)
+            const visibleQuestionIds = getVisibleQuestionIds(survey.questions, responses);
             const sections: Array<{
               sectionTitle?: string;
               sectionDescription?: string;
               sectionIndex?: number;
-              questions: Array<Question & { globalIndex: number }>;
+              questions: Array<Question & { globalIndex: number; questionNumber: number }>;
             }> = [];
             let currentSection: typeof sections[0] | null = null;
             let questionNumber = 1;
             
             survey.questions.forEach((question, index) => {
+              if (!visibleQuestionIds.includes(getQuestionId(question, index))) {
+                return;
+              }
+
               const sectionTitle = question.sectionTitle;
               const sectionDescription = question.sectionDescription;
               const sectionIndex = question.sectionIndex;
@@ -1022,7 +1038,7 @@ export default function Evaluation() {
                 sections.push(currentSection);
               }
               
-              currentSection!.questions.push({ ...question, globalIndex: questionNumber - 1 });
+              currentSection!.questions.push({ ...question, globalIndex: index, questionNumber });
               questionNumber++;
             });
             
@@ -1061,10 +1077,10 @@ export default function Evaluation() {
                     <View key={questionId} className="mb-6 bg-white rounded-xl border border-slate-100 p-4">
                       <View className="flex-row items-start mb-4">
                         <View className="w-10 h-10 rounded-full bg-blue-600 items-center justify-center mr-3 flex-shrink-0">
-                          <Text className="text-white font-bold text-lg">{question.globalIndex + 1}</Text>
+                          <Text className="text-white font-bold text-lg">{question.questionNumber}</Text>
                         </View>
                         <View className="flex-1">
-                          <Text className="text-sm text-slate-600 mb-2">Question {question.globalIndex + 1}</Text>
+                          <Text className="text-sm text-slate-600 mb-2">Question {question.questionNumber}</Text>
                           {renderQuestion(question, question.globalIndex)}
                         </View>
                       </View>
@@ -16,12 +16,17 @@ import { useRouter, useLocalSearchParams } from 'expo-router';
 import { EventService, Event } from '../lib/eventService';
 import { SpeakerService } from '../lib/speakerService';
 import { SponsorService } from '../lib/sponsorService';
+import { SessionService, EventSession } from '../lib/sessionService';
+import { shareEventAsICal } from '../lib/icalUtils';
+import { SelfCheckInService, SelfCheckInAvailability } from '../lib/selfCheckInService';
 import { useAuth } from '../lib/authContext';
 import RenderHTML from 'react-native-render-html';
 import { Dimensions } from 'react-native';
 import { decodeHtml, getHtmlContentWidth, defaultHtmlStyles } from '../lib/htmlUtils';
 import TutorialOverlay from '../components/TutorialOverlay';
 import { useToast } from '../components/Toast';
+import { RegistrationFormFields } from '../components/RegistrationFormFields';
+import { RegistrationAnswers, validateRegistrationAnswers } from '../lib/registrationFormUtils';
 
 const { width: screenWidth } = Dimensions.get('window');
 
@@ -59,10 +64,17 @@ export default function EventDetails() {
   const [loading, setLoading] = useState(true);
   const [loadingSpeakers, setLoadingSpeakers] = useState(false);
   const [loadingSponsors, setLoadingSponsors] = useState(false);
+  const [sessions, setSessions] = useState<EventSession[]>([]);
+  const [signedUpSessionIds, setSignedUpSessionIds] = useState<string[]>([]);
+  const [updatingSessionId, setUpdatingSessionId] = useState<string | null>(null);
   const [error, setError] = useState<string | null>(null);
   const [isRegistered, setIsRegistered] = useState(false);
   const [isRegistering, setIsRegistering] = useState(false);
+  const [registrationAnswers, setRegistrationAnswers] = useState<RegistrationAnswers>({});
+  const [registrationAnswerErrors, setRegistrationAnswerErrors] = useState<Record<string, string>>({});
   const [isRationaleExpanded, setIsRationaleExpanded] = useState(false);
+  const [selfCheckIn, setSelfCheckIn] = useState<SelfCheckInAvailability>({ available: false });
+  const [isCheckingIn, setIsCheckingIn] = useState(false);
   const insets = useSafeAreaInsets();
 
   const router = useRouter();
@@ -95,6 +107,14 @@ export default function EventDetails() {
     }
   }, [user, eventId]);
 
+  useEffect(() => {
+    if (event && user && isRegistered) {
+      loadSelfCheckIn(event);
+    } else {
+      setSelfCheckIn({ available: false });
+    }
+  }, [event, user, isRegistered]);
+
   const loadEventDetails = async () => {
     try {
       setLoading(true);
@@ -113,6 +133,7 @@ export default function EventDetails() {
       // Load speakers and sponsors in parallel
       loadSpeakers(eventId!);
       loadSponsors(eventId!);
+      loadSessions(eventId!);
 
       // Check if user is registered for this event
       if (user) {
@@ -132,6 +153,11 @@ export default function EventDetails() {
     try {
       const result = await EventService.getUserRegistration(eventId, user.id);
       setIsRegistered(!!result.registration);
+
+      if (result.registration) {
+        const sessionResult = await SessionService.getUserSessionRegistrations(eventId, user.id);
+        setSignedUpSessionIds(sessionResult.sessionIds || []);
+      }
     } catch (err) {
       console.error('Failed to check registration status:', err);
     }
@@ -159,9 +185,9 @@ export default function EventDetails() {
       return { allowed: false, reason: 'Registration closed: Event has ended' };
     }
 
-    // Check if event is full
+    // Full events still accept sign-ups, onto the waitlist
     if (event.max_participants && event.current_participants >= event.max_participants) {
-      return { allowed: false, reason: 'Registration closed: Event is full' };
+      return { allowed: true, waitlist: true };
     }
 
     return { allowed: true };
@@ -196,14 +222,23 @@ export default function EventDetails() {
       return;
     }
 
+    const answerErrors = validateRegistrationAnswers(event.registration_form, registrationAnswers);
+    setRegistrationAnswerErrors(answerErrors);
+    if (Object.keys(answerErrors).length > 0) {
+      toast.error('Please answer the required registration questions.');
+      return;
+    }
+
     setIsRegistering(true);
     setError(null);
 
     try {
-      const result = await EventService.registerForEvent(eventId, user.id);
+      const result = await EventService.registerForEvent(eventId, user.id, registrationAnswers);
 
       if (result.error) {
         toast.error(result.error);
+      } else if (result.waitlisted) {
+        toast.success(`Event is full - you are on the waitlist${result.waitlistPosition ? ` (position ${result.waitlistPosition})` : ''}. We'll notify you if a seat opens up.`);
       } else if (result.registration) {
         toast.success('Successfully registered for this event!');
         setIsRegistered(true);
@@ -230,6 +265,61 @@ export default function EventDetails() {
     }
   };
 
+  const loadSelfCheckIn = async (currentEvent: Event) => {
+    if (!user) return;
+    const availability = await SelfCheckInService.getAvailability(currentEvent, user.id);
+    setSelfCheckIn(availability);
+  };
+
+  const handleSelfCheckIn = async () => {
+    if (!event || !user || !selfCheckIn.venue) return;
+
+    setIsCheckingIn(true);
+    const result = await SelfCheckInService.checkIn(event, selfCheckIn.venue, user.id);
+    setIsCheckingIn(false);
+
+    if (result.error) {
+      toast.error(result.error);
+      return;
+    }
+
+    toast.success('Checked in! Enjoy the event.');
+    setSelfCheckIn({ ...selfCheckIn, available: false, checkedInToday: true });
+  };
+
+  const handleAddToCalendar = async () => {
+    if (!event) return;
+    const result = await shareEventAsICal(event);
+    if (result.error) {
+      toast.error(result.error);
+    }
+  };
+
+  const loadSessions = async (eventId: string) => {
+    const result = await SessionService.getEventSessions(eventId);
+    setSessions(result.sessions || []);
+  };
+
+  const handleToggleSessionSignup = async (session: EventSession) => {
+    if (!user || !eventId) return;
+
+    setUpdatingSessionId(session.id);
+    const isSignedUp = signedUpSessionIds.includes(session.id);
+    const result = isSignedUp
+      ? await SessionService.unregisterFromSession(session.id, user.id)
+      : await SessionService.registerForSession(session.id);
+    setUpdatingSessionId(null);
+
+    if (result.error) {
+      toast.error(result.error);
+      return;
+    }
+
+    toast.success(isSignedUp ? `You left "${session.title}"` : `You're signed up for "${session.title}"`);
+    setSignedUpSessionIds(prev => isSignedUp ? prev.filter(id => id !== session.id) : [...prev, session.id]);
+    loadSessions(eventId);
+  };
+
   const loadSponsors = async (eventId: string) => {
     try {
       setLoadingSponsors(true);
@@ -379,29 +469,42 @@ export default function EventDetails() {
                     </Text>
                   </View>
                 ) : canRegister.allowed ? (
-                  <TouchableOpacity
-                    className={`rounded-2xl py-4 px-6 shadow-lg bg-blue-700 ${isRegistering ? 'opacity-50' : ''}`}
-                    onPress={handleRegister}
-                    disabled={isRegistering}
-                  >
-                    <View className="flex-row items-center justify-center">
-                      {isRegistering ? (
-                        <>
-                          <ActivityIndicator size="small" color="#ffffff" />
-                          <Text className="text-white font-bold text-lg ml-3">
-                            Registering...
-                          </Text>
-                        </>
-                      ) : (
-                        <>
-                          <Ionicons name="person-add" size={24} color="#ffffff" />
-                          <Text className="text-white font-bold text-lg ml-3">
-                            Register for Event
-                          </Text>
-                        </>
-                      )}
-                    </View>
-                  </TouchableOpacity>
+                  <View>
+                    {!!event.registration_form?.length && (
+                      <View className="bg-slate-50 border border-slate-200 rounded-2xl p-4 mb-4">
+                        <Text className="text-lg font-semibold text-gray-800 mb-3">Registration Questions</Text>
+                        <RegistrationFormFields
+                          questions={event.registration_form}
+                          answers={registrationAnswers}
+                          onChange={setRegistrationAnswers}
+                          errors={registrationAnswerErrors}
+                        />
+                      </View>
+                    )}
+                    <TouchableOpacity
+                      className={`rounded-2xl py-4 px-6 shadow-lg bg-blue-700 ${isRegistering ? 'opacity-50' : ''}`}
+                      onPress={handleRegister}
+                      disabled={isRegistering}
+                    >
+                      <View className="flex-row items-center justify-center">
+                        {isRegistering ? (
+                          <>
+                            <ActivityIndicator size="small" color="#ffffff" />
+                            <Text className="text-white font-bold text-lg ml-3">
+                              Registering...
+                            </Text>
+                          </>
+                        ) : (
+                          <>
+                            <Ionicons name={canRegister.waitlist ? 'hourglass' : 'person-add'} size={24} color="#ffffff" />
+                            <Text className="text-white font-bold text-lg ml-3">
+                              {canRegister.waitlist ? 'Join Waitlist' : 'Register for Event'}
+                            </Text>
+                          </>
+                        )}
+                      </View>
+                    </TouchableOpacity>
+                  </View>
                 ) : (
                   <View className="bg-slate-50 border border-slate-200 rounded-2xl p-4">
                     <View className="flex-row items-center justify-center">
@@ -423,6 +526,59 @@ export default function EventDetails() {
                 )}
               </View>
 
+              {/* Self Check-In - registered users inside the venue geofence */}
+              {isRegistered && selfCheckIn.venue && !isEventCancelled && (selfCheckIn.available || selfCheckIn.checkedInToday) && (
+                <View className="mb-6">
+                  {selfCheckIn.checkedInToday ? (
+                    <View className="bg-green-50 border-2 border-green-500 rounded-2xl p-4">
+                      <View className="flex-row items-center justify-center">
+                        <Ionicons name="location" size={22} color="#10b981" />
+                        <Text className="text-green-800 font-semibold text-base ml-2">
+                          Checked in today
+                        </Text>
+                      </View>
+                    </View>
+                  ) : (
+                    <TouchableOpacity
+                      className={`bg-green-600 rounded-2xl py-4 px-6 shadow-lg ${isCheckingIn ? 'opacity-50' : ''}`}
+                      onPress={handleSelfCheckIn}
+                      disabled={isCheckingIn}
+                    >
+                      <View className="flex-row items-center justify-center">
+                        {isCheckingIn ? (
+                          <ActivityIndicator size="small" color="#ffffff" />
+                        ) : (
+                          <Ionicons name="location" size={24} color="#ffffff" />
+                        )}
+                        <Text className="text-white font-bold text-lg ml-3">
+                          {isCheckingIn ? 'Checking location...' : 'Check In Here'}
+                        </Text>
+                      </View>
+                      <Text className="text-white text-center mt-2 text-sm opacity-90">
+                        Available within {selfCheckIn.venue.geofence_radius_meters} m of {selfCheckIn.venue.name}
+                      </Text>
+                    </TouchableOpacity>
+                  )}
+                </View>
+              )}
+
+              {/* Add to Calendar */}
+              {!isEventPast && (
+                <View className="mb-6">
+                  <TouchableOpacity
+                    className="border-2 border-blue-600 rounded-2xl py-3 px-6"
+                    onPress={handleAddToCalendar}
+                  >
+                    <View className="flex-row items-center justify-center">
+                      <Ionicons name="calendar" size={22} color="#2563eb" />
+                      <Text className="text-blue-700 font-bold text-base ml-3">
+                        Add to Calendar
+                      </Text>
+                    </View>
+                  </TouchableOpacity>
+                </View>
+              )}
+
               {/* Contact Organizer Button - Show for registered users */}
               {isRegistered && user && !isEventPast && !isEventCancelled && (
                 <View className="mb-6">
@@ -589,6 +745,74 @@ export default function EventDetails() {
                 </View>
               </View>
 
+              {/* Agenda */}
+              {sessions.length > 0 && (
+                <View className="mb-6">
+                  <View className="flex-row items-center mb-4">
+                    <View className="w-10 h-10 bg-indigo-600 rounded-full items-center justify-center mr-3">
+                      <Ionicons name="list" size={20} color="#ffffff" />
+                    </View>
+                    <Text className="text-lg font-semibold text-gray-800">Agenda</Text>
+                  </View>
+
+                  {!!event.min_sessions_for_certificate && event.min_sessions_for_certificate > 0 && (
+                    <Text className="text-sm text-blue-700 mb-3">
+                      Attend at least {event.min_sessions_for_certificate} session{event.min_sessions_for_certificate === 1 ? '' : 's'} to receive a certificate.
+                    </Text>
+                  )}
+
+                  <View className="space-y-3">
+                    {sessions.map((session) => {
+                      const isSignedUp = signedUpSessionIds.includes(session.id);
+                      const isFull = !!session.max_participants && (session.signups || 0) >= session.max_participants;
+                      const speakerName = session.speaker
+                        ? `${session.speaker.prefix || ''} ${session.speaker.first_name} ${session.speaker.last_name} ${session.speaker.affix || ''}`.trim()
+                        : null;
+
+                      return (
+                        <View key={session.id} className="bg-gray-50 rounded-xl p-4">
+                          <Text className="text-gray-800 font-semibold">{session.title}</Text>
+                          <Text className="text-gray-500 text-sm mt-1">
+                            {formatDate(session.session_date)} · {formatTime(session.start_time)} - {formatTime(session.end_time)}
+                          </Text>
+                          {(session.room || session.track) && (
+                            <Text className="text-gray-500 text-sm">
+                              {[session.room, session.track].filter(Boolean).join(' · ')}
+                            </Text>
+                          )}
+                          {speakerName && (
+                            <Text className="text-gray-600 text-sm mt-1">{speakerName}</Text>
+                          )}
+                          {session.requires_signup && isRegistered && (
+                            <View className="flex-row items-center justify-between mt-3">
+                              <Text className="text-xs text-gray-500">
+                                {session.max_participants ? `${session.signups || 0} / ${session.max_participants} seats taken` : 'Sign-up required'}
+                              </Text>
+                              <TouchableOpacity
+                                onPress={() => handleToggleSessionSignup(session)}
+                                disabled={updatingSessionId === session.id || (isFull && !isSignedUp)}
+                                className={`px-4 py-2 rounded-lg ${isSignedUp ? 'border border-red-300' : isFull ? 'bg-gray-400' : 'bg-blue-600'}`}
+                              >
+                                {updatingSessionId === session.id ? (
+                                  <ActivityIndicator size="small" color={isSignedUp ? '#dc2626' : '#ffffff'} />
+                                ) : (
+                                  <Text className={isSignedUp ? 'text-red-600 font-medium' : 'text-white font-medium'}>
+                                    {isSignedUp ? 'Leave' : isFull ? 'Full' : 'Sign Up'}
+                                  </Text>
+                                )}
+                              </TouchableOpacity>
+                            </View>
+                          )}
+                          {session.requires_signup && !isRegistered && (
+                            <Text className="text-xs text-amber-700 mt-2">Sign-up required after registering for the event</Text>
+                          )}
+                        </View>
+                      );
+                    })}
+                  </View>
+                </View>
+              )}
+
               {/* Guest Speakers */}
               {(loadingSpeakers || speakers.length > 0) && (
                 <View className="mb-6">
@@ -1,4 +1,4 @@
-import React, { useState, useEffect, useRef } from 'react';
+import React, { useState, useEffect, useRef, useMemo } from 'react';
 import {
   View,
   Text,
@@ -26,6 +26,8 @@ import { supabase } from '../lib/supabase';
 import { useToast } from '../components/Toast';
 import { saveFileToGanApp } from '../lib/mediaStoreSaver';
 import { generateQRCodeID, formatQRCodeID } from '../lib/qrCodeUtils';
+import { EventService } from '../lib/eventService';
+import { buildRotatingQRData, getSecondsRemaining, getTimeStep } from '../lib/rotatingQrUtils';
 import { Platform } from 'react-native';
 
 export default function QRGenerator() {
@@ -46,13 +48,55 @@ export default function QRGenerator() {
   const [qrCodeData, setQrCodeData] = useState<string>('');
   const [qrCodeToken, setQrCodeToken] = useState<string | null>(null);
   const [downloading, setDownloading] = useState(false);
+  const [rotationSeconds, setRotationSeconds] = useState(0);
+  const [rotatingKey, setRotatingKey] = useState<string | null>(null);
+  const [now, setNow] = useState(() => new Date());
 
   useEffect(() => {
     if (eventId && user?.id) {
-      generateEventQRCode();
+      loadQRCode();
     }
   }, [eventId, user?.id]);
 
+  // Redraw rotating codes every second (the code itself changes once per period)
+  useEffect(() => {
+    if (!rotatingKey) return;
+    const timer = setInterval(() => setNow(new Date()), 1000);
+    return () => clearInterval(timer);
+  }, [rotatingKey]);
+
+  const rotatingStep = rotationSeconds > 0 ? getTimeStep(rotationSeconds, now) : null;
+  const rotatingQrData = useMemo(() => {
+    if (!rotatingKey || !user?.id) return '';
+    return buildRotatingQRData(eventId, user.id, rotatingKey, rotationSeconds, now);
+  }, [rotatingKey, rotatingStep, user?.id]);
+  const displayedQrData = rotationSeconds > 0 ? rotatingQrData : qrCodeData;
+
+  // Events with rotating codes show a live code derived on the device, which
+  // also works offline once the key has been loaded
+  const loadQRCode = async () => {
+    if (!user?.id || !eventId) return;
+
+    const eventResult = await EventService.getEventById(eventId);
+    const seconds = eventResult.event?.qr_rotation_seconds || 0;
+    setRotationSeconds(seconds);
+
+    if (seconds <= 0) {
+      await generateEventQRCode();
+      return;
+    }
+
+    setLoading(true);
+    setError(null);
+    const keyResult = await EventService.getRotatingQRKey(eventId, user.id);
+    if (keyResult.error || !keyResult.key) {
+      setError(keyResult.error || 'Failed to load your check-in code');
+    } else {
+      setRotatingKey(keyResult.key);
+    }
+    setLoading(false);
+  };
+
   const generateEventQRCode = async () => {
     if (!user?.id || !eventId) return;
 
@@ -308,13 +352,13 @@ export default function QRGenerator() {
                 <Ionicons name="alert-circle" size={32} color="#dc2626" />
               </View>
               <Text className="text-red-600 mb-4 text-center">{error}</Text>
-              <TouchableOpacity onPress={generateEventQRCode} className="bg-blue-600 px-6 py-3 rounded-lg">
+              <TouchableOpacity onPress={loadQRCode} className="bg-blue-600 px-6 py-3 rounded-lg">
                 <Text className="text-white font-medium">Try Again</Text>
               </TouchableOpacity>
             </View>
           )}
 
-          {qrCodeData && !loading && !error && (
+          {!!displayedQrData && !loading && !error && (
             <View>
               <ViewShot
                 ref={qrCodeViewRef}
@@ -368,9 +412,9 @@ export default function QRGenerator() {
                       marginBottom: 16,
                     }}
                   >
-                    {qrCodeData && (
+                    {!!displayedQrData && (
                       <QRCode
-                        value={qrCodeData}
+                        value={displayedQrData}
                         size={240}
                         color="#1e3a8a"
                         backgroundColor="#ffffff"
@@ -409,7 +453,7 @@ export default function QRGenerator() {
                     {eventTitle}
                   </Text>
 
-                  {qrCodeToken && (
+                  {qrCodeToken && rotationSeconds === 0 && (
                     <View
                       style={{
                         marginTop: 12,
@@ -478,7 +522,9 @@ export default function QRGenerator() {
                     textAlign: 'center',
                   }}
                 >
-                  Scan for event check-in
+                  {rotationSeconds > 0
+                    ? `Live code, changes in ${getSecondsRemaining(rotationSeconds, now)}s. Screenshots will not work.`
+                    : 'Scan for event check-in'}
                 </Text>
               </ViewShot>
 
@@ -506,35 +552,38 @@ export default function QRGenerator() {
                 </View>
               </View>
 
-              <TouchableOpacity
-                onPress={downloadQRCode}
-                disabled={downloading}
-                style={{
-                  backgroundColor: '#16a34a',
-                  paddingHorizontal: 24,
-                  paddingVertical: 12,
-                  borderRadius: 8,
-                  alignItems: 'center',
-                  flexDirection: 'row',
-                  justifyContent: 'center',
-                }}
-              >
-                {downloading ? (
-                  <>
-                    <ActivityIndicator size="small" color="#ffffff" />
-                    <Text style={{ color: '#ffffff', fontWeight: '500', marginLeft: 8 }}>
-                      Downloading...
-                    </Text>
-                  </>
-                ) : (
-                  <>
-                    <Ionicons name="download-outline" size={20} color="#ffffff" />
-                    <Text style={{ color: '#ffffff', fontWeight: '500', marginLeft: 8 }}>
-                      Download PNG
-                    </Text>
-                  </>
-                )}
-              </TouchableOpacity>
+              {/* A saved image of a rotating code would expire */}
+              {rotationSeconds === 0 && (
+                <TouchableOpacity
+                  onPress={downloadQRCode}
+                  disabled={downloading}
+                  style={{
+                    backgroundColor: '#16a34a',
+                    paddingHorizontal: 24,
+                    paddingVertical: 12,
+                    borderRadius: 8,
+                    alignItems: 'center',
+                    flexDirection: 'row',
+                    justifyContent: 'center',
+                  }}
+                >
+                  {downloading ? (
+                    <>
+                      <ActivityIndicator size="small" color="#ffffff" />
+                      <Text style={{ color: '#ffffff', fontWeight: '500', marginLeft: 8 }}>
+                        Downloading...
+                      </Text>
+                    </>
+                  ) : (
+                    <>
+                      <Ionicons name="download-outline" size={20} color="#ffffff" />
+                      <Text style={{ color: '#ffffff', fontWeight: '500', marginLeft: 8 }}>
+                        Download PNG
+                      </Text>
+                    </>
+                  )}
+                </TouchableOpacity>
+              )}
             </View>
           )}
         </ScrollView>
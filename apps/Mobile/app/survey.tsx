@@ -143,7 +143,9 @@ export default function Survey() {
 
       showSuccess(
         'Survey Completed!',
-        'Thank you for your feedback.',
+        result.certificateQueued
+          ? "Thank you for your feedback. Your certificate is being prepared and we'll notify you when it's ready."
+          : 'Thank you for your feedback.',
         () => {
           router.back();
         }
@@ -0,0 +1,108 @@
+import React from 'react';
+import { View, Text, TextInput, TouchableOpacity } from 'react-native';
+import { RegistrationQuestion, RegistrationAnswers, questionHasOptions } from '../lib/registrationFormUtils';
+
+interface RegistrationFormFieldsProps {
+  questions: RegistrationQuestion[];
+  answers: RegistrationAnswers;
+  onChange: (answers: RegistrationAnswers) => void;
+  errors?: Record<string, string>;
+}
+
+/**
+ * Registration Form Fields Component
+ * Renders the organizer's registration questions for an event
+ */
+export function RegistrationFormFields({ questions, answers, onChange, errors = {} }: RegistrationFormFieldsProps) {
+  const setAnswer = (questionId: string, value: RegistrationAnswers[string]) => {
+    onChange({ ...answers, [questionId]: value });
+  };
+
+  const toggleOption = (question: RegistrationQuestion, option: string) => {
+    if (question.questionType !== 'checkbox') {
+      setAnswer(question.id, answers[question.id] === option ? null : option);
+      return;
+    }
+    const current = Array.isArray(answers[question.id]) ? (answers[question.id] as string[]) : [];
+    setAnswer(
+      question.id,
+      current.includes(option) ? current.filter(o => o !== option) : [...current, option]
+    );
+  };
+
+  const renderChip = (key: string, label: string, selected: boolean, onPress: () => void) => (
+    <TouchableOpacity
+      key={key}
+      onPress={onPress}
+      className={`px-4 py-2 rounded-full border mr-2 mb-2 ${selected ? 'bg-blue-600 border-blue-600' : 'bg-white border-slate-300'}`}
+    >
+      <Text className={selected ? 'text-white font-medium' : 'text-slate-700'}>{label}</Text>
+    </TouchableOpacity>
+  );
+
+  const renderInput = (question: RegistrationQuestion) => {
+    const value = answers[question.id];
+
+    if (questionHasOptions(question.questionType)) {
+      return (
+        <View className="flex-row flex-wrap">
+          {(question.options || []).map(option =>
+            renderChip(
+              option,
+              option,
+              Array.isArray(value) ? value.includes(option) : value === option,
+              () => toggleOption(question, option)
+            )
+          )}
+        </View>
+      );
+    }
+
+    if (question.questionType === 'linear-scale' || question.questionType === 'star-rating') {
+      const min = question.questionType === 'star-rating' ? 1 : (question.scaleMin ?? 1);
+      const max = question.questionType === 'star-rating' ? 5 : (question.scaleMax ?? 5);
+      return (
+        <View className="flex-row flex-wrap">
+          {Array.from({ length: max - min + 1 }, (_, i) => min + i).map(n =>
+            renderChip(String(n), question.questionType === 'star-rating' ? `${n} ★` : String(n), value === n, () => setAnswer(question.id, n))
+          )}
+        </View>
+      );
+    }
+
+    return (
+      <TextInput
+        value={typeof value === 'string' ? value : ''}
+        onChangeText={(text) => setAnswer(question.id, text)}
+        multiline={question.questionType === 'paragraph'}
+        numberOfLines={question.questionType === 'paragraph' ? 3 : 1}
+        textAlignVertical={question.questionType === 'paragraph' ? 'top' : 'center'}
+        className={`w-full px-4 py-2 border rounded-lg text-base text-gray-700 bg-white ${errors[question.id] ? 'border-red-400' : 'border-slate-300'}`}
+        placeholder={
+          question.questionType === 'date'
+            ? 'YYYY-MM-DD'
+            : question.questionType === 'time'
+              ? 'HH:MM'
+              : 'Type your answer here...'
+        }
+      />
+    );
+  };
+
+  return (
+    <View>
+      {questions.map(question => (
+        <View key={question.id} className="mb-4">
+          <Text className="text-base font-semibold text-gray-800 mb-2">
+            {question.questionText}
+            {question.required && <Text className="text-red-500"> *</Text>}
+          </Text>
+          {renderInput(question)}
+          {!!errors[question.id] && (
+            <Text className="text-red-600 text-sm mt-1">{errors[question.id]}</Text>
+          )}
+        </View>
+      ))}
+    </View>
+  );
+}
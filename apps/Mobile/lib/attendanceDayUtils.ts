@@ -0,0 +1,200 @@
+/**
+ * Per-day attendance helpers (mirrors apps/Web/src/utils/attendanceDayUtils.ts)
+ */
+
+export interface AttendanceDayLog {
+  user_id?: string;
+  check_in_date?: string | null;
+  check_in_time?: string | null;
+  check_out_time?: string | null;
+  is_validated?: boolean;
+  session_id?: string | null;
+}
+
+export interface DayRequirementResult {
+  eligible: boolean;
+  attended: number;
+  required: number;
+  totalDays: number;
+  minMinutes: number;
+  error?: string;
+}
+
+export interface AttendanceRules {
+  start_date: string;
+  end_date?: string | null;
+  min_attendance_days?: number | null;
+  min_attendance_minutes?: number | null;
+}
+
+export interface DailyAttendance {
+  date: string;
+  checkedIn: number;
+  validated: number;
+}
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Guards against a mistyped end date expanding into thousands of days
+const MAX_EVENT_DAYS = 366;
+
+const parseDate = (value: string): Date => {
+  const [year, month, day] = value.split('T')[0].split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day));
+};
+
+const formatDate = (date: Date): string => date.toISOString().split('T')[0];
+
+/**
+ * Today's date (YYYY-MM-DD) in the device's time zone, the same day
+ * check_in_date is recorded against
+ */
+export function getLocalDateString(date: Date = new Date()): string {
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
+
+/**
+ * Every calendar day an event runs, from start_date to end_date inclusive
+ */
+export function getEventDays(startDate: string, endDate?: string | null): string[] {
+  if (!startDate) return [];
+  const start = parseDate(startDate);
+  const end = endDate ? parseDate(endDate) : start;
+  if (isNaN(start.getTime())) return [];
+  const days: string[] = [];
+  for (let time = start.getTime(); time <= end.getTime() && days.length < MAX_EVENT_DAYS; time += DAY_MS) {
+    days.push(formatDate(new Date(time)));
+  }
+  return days.length > 0 ? days : [formatDate(start)];
+}
+
+/**
+ * Minutes between check-in and check-out, or null while the attendee has
+ * not checked out
+ */
+export function getAttendanceMinutes(log: AttendanceDayLog): number | null {
+  if (!log.check_in_time || !log.check_out_time) return null;
+  const minutes = (new Date(log.check_out_time).getTime() - new Date(log.check_in_time).getTime()) / 60000;
+  return isNaN(minutes) ? null : Math.max(0, Math.floor(minutes));
+}
+
+export function formatDuration(minutes: number): string {
+  const hours = Math.floor(minutes / 60);
+  const rest = Math.round(minutes % 60);
+  if (hours === 0) return `${rest}m`;
+  return rest === 0 ? `${hours}h` : `${hours}h ${rest}m`;
+}
+
+/**
+ * Distinct days with a validated event-level check-in. Session check-ins
+ * count towards the agenda rule instead. With a minimum duration, a day only
+ * counts once the attendee checked out after staying long enough.
+ */
+export function getAttendedDays(logs: AttendanceDayLog[], minMinutes = 0): string[] {
+  const days = new Set<string>();
+  logs.forEach(log => {
+    if (!log.is_validated || log.session_id) return;
+    if (minMinutes > 0 && (getAttendanceMinutes(log) ?? 0) < minMinutes) return;
+    const day = log.check_in_date || (log.check_in_time ? getLocalDateString(new Date(log.check_in_time)) : null);
+    if (day) days.add(day.split('T')[0]);
+  });
+  return [...days].sort();
+}
+
+/**
+ * Days required to complete an event. 0 (the default) keeps the original
+ * behaviour, where a single check-in is enough. A minimum duration alone
+ * requires one day attended for that long.
+ */
+export function getRequiredDays(event: AttendanceRules): number {
+  const required = event.min_attendance_days || 0;
+  if (required <= 0) return (event.min_attendance_minutes || 0) > 0 ? 1 : 0;
+  return Math.min(required, getEventDays(event.start_date, event.end_date).length);
+}
+
+export function evaluateDayRequirement(event: AttendanceRules, logs: AttendanceDayLog[]): DayRequirementResult {
+  const totalDays = getEventDays(event.start_date, event.end_date).length;
+  const minMinutes = event.min_attendance_minutes || 0;
+  const required = getRequiredDays(event);
+  const attended = getAttendedDays(logs, minMinutes).length;
+
+  if (required > 0 && attended < required) {
+    let error = `You attended ${attended} of the ${required} days required to complete this event`;
+    if (minMinutes > 0) {
+      error = required === 1
+        ? `You need to stay at least ${formatDuration(minMinutes)} and check out to complete this event`
+        : `${error} (at least ${formatDuration(minMinutes)} a day, with check-out)`;
+    }
+    return { eligible: false, attended, required, totalDays, minMinutes, error };
+  }
+
+  return { eligible: true, attended, required, totalDays, minMinutes };
+}
+
+/**
+ * Check-ins per event day, including days nobody checked in
+ */
+export function getDailyAttendance(
+  event: { start_date: string; end_date?: string | null },
+  logs: AttendanceDayLog[]
+): DailyAttendance[] {
+  const byDay = new Map<string, { checkedIn: Set<string>; validated: Set<string> }>();
+  getEventDays(event.start_date, event.end_date).forEach(day => {
+    byDay.set(day, { checkedIn: new Set(), validated: new Set() });
+  });
+
+  logs.forEach(log => {
+    if (log.session_id || !log.user_id) return;
+    const day = (log.check_in_date || (log.check_in_time ? getLocalDateString(new Date(log.check_in_time)) : '')).split('T')[0];
+    if (!day) return;
+    if (!byDay.has(day)) {
+      byDay.set(day, { checkedIn: new Set(), validated: new Set() });
+    }
+    const entry = byDay.get(day)!;
+    entry.checkedIn.add(log.user_id);
+    if (log.is_validated) entry.validated.add(log.user_id);
+  });
+
+  return [...byDay.entries()]
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([date, entry]) => ({ date, checkedIn: entry.checkedIn.size, validated: entry.validated.size }));
+}
+
+/**
+ * Number of participants whose validated check-ins meet the day requirement
+ */
+export function countParticipantsMeetingRequirement(
+  event: AttendanceRules,
+  logs: AttendanceDayLog[]
+): number {
+  const byUser = new Map<string, AttendanceDayLog[]>();
+  logs.forEach(log => {
+    if (!log.user_id) return;
+    byUser.set(log.user_id, [...(byUser.get(log.user_id) || []), log]);
+  });
+
+  let count = 0;
+  byUser.forEach(userLogs => {
+    const result = evaluateDayRequirement(event, userLogs);
+    if (result.eligible && getAttendedDays(userLogs).length > 0) count++;
+  });
+  return count;
+}
+
+/**
+ * Average time attended per attendee, summed over all of their days, for
+ * attendees with at least one check-out. Null when nobody checked out.
+ */
+export function getAverageAttendanceMinutes(logs: AttendanceDayLog[]): number | null {
+  const byUser = new Map<string, number>();
+  logs.forEach(log => {
+    if (log.session_id || !log.user_id) return;
+    const minutes = getAttendanceMinutes(log);
+    if (minutes === null) return;
+    byUser.set(log.user_id, (byUser.get(log.user_id) || 0) + minutes);
+  });
+
+  if (byUser.size === 0) return null;
+  const total = [...byUser.values()].reduce((sum, minutes) => sum + minutes, 0);
+  return Math.round(total / byUser.size);
+}
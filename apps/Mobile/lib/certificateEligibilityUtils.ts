@@ -0,0 +1,182 @@
+/**
+ * Certificate rule set and eligibility check (mirrors apps/Web/src/utils/certificateEligibilityUtils.ts)
+ */
+
+import {
+  AttendanceDayLog,
+  AttendanceRules,
+  DayRequirementResult,
+  evaluateDayRequirement,
+  formatDuration,
+  getRequiredDays
+} from './attendanceDayUtils';
+
+export type CertificateRuleType =
+  | 'validated_check_in'
+  | 'attendance_days'
+  | 'min_sessions'
+  | 'evaluation'
+  | 'manual_approval';
+
+/**
+ * Requirements stored in events.certificate_rules. The session and day
+ * requirements are not stored here; they come from
+ * events.min_sessions_for_certificate and events.min_attendance_days.
+ */
+export interface CertificateRuleSettings {
+  validated_check_in: boolean;
+  evaluation: boolean;
+  manual_approval: boolean;
+}
+
+export interface CertificateRule {
+  type: CertificateRuleType;
+  count?: number;
+}
+
+export interface CertificateRuleEvent extends AttendanceRules {
+  certificate_rules?: Partial<CertificateRuleSettings> | null;
+  min_sessions_for_certificate?: number | null;
+}
+
+export interface CertificateEligibilityFacts {
+  isCheckedIn: boolean;
+  isValidated: boolean;
+  attendedSessions: number;
+  dayRequirement: DayRequirementResult;
+  evaluationSubmitted: boolean;
+  isApproved: boolean;
+}
+
+export interface CertificateRequirementStatus {
+  type: CertificateRuleType;
+  label: string;
+  met: boolean;
+  detail?: string;
+}
+
+export interface CertificateEligibility {
+  eligible: boolean;
+  requirements: CertificateRequirementStatus[];
+}
+
+// Events without a saved rule set keep the original requirements
+export const DEFAULT_CERTIFICATE_RULES: CertificateRuleSettings = {
+  validated_check_in: true,
+  evaluation: true,
+  manual_approval: false
+};
+
+export function normalizeCertificateRules(rules?: Partial<CertificateRuleSettings> | null): CertificateRuleSettings {
+  const settings = { ...DEFAULT_CERTIFICATE_RULES };
+  if (rules && typeof rules === 'object') {
+    (Object.keys(settings) as Array<keyof CertificateRuleSettings>).forEach(key => {
+      if (typeof rules[key] === 'boolean') settings[key] = rules[key] as boolean;
+    });
+  }
+  return settings;
+}
+
+/**
+ * Requirements that apply to an event, in the order a participant meets them
+ */
+export function getCertificateRules(event: CertificateRuleEvent): CertificateRule[] {
+  const settings = normalizeCertificateRules(event.certificate_rules);
+  const rules: CertificateRule[] = [];
+
+  if (settings.validated_check_in) rules.push({ type: 'validated_check_in' });
+
+  const requiredDays = getRequiredDays(event);
+  if (requiredDays > 0) rules.push({ type: 'attendance_days', count: requiredDays });
+
+  const minSessions = event.min_sessions_for_certificate || 0;
+  if (minSessions > 0) rules.push({ type: 'min_sessions', count: minSessions });
+
+  if (settings.evaluation) rules.push({ type: 'evaluation' });
+  if (settings.manual_approval) rules.push({ type: 'manual_approval' });
+
+  return rules;
+}
+
+/**
+ * Attendance facts from all of a participant's check-ins for the event.
+ * Sessions count like SessionService.countAttendedSessions: validated
+ * session check-ins only.
+ */
+export function summarizeCertificateAttendance(
+  event: AttendanceRules,
+  logs: AttendanceDayLog[]
+): Pick<CertificateEligibilityFacts, 'isCheckedIn' | 'isValidated' | 'attendedSessions' | 'dayRequirement'> {
+  const eventLogs = logs.filter(log => !log.session_id);
+  return {
+    isCheckedIn: eventLogs.some(log => !!log.check_in_time),
+    isValidated: eventLogs.some(log => log.check_in_time && log.is_validated),
+    attendedSessions: logs.filter(log => log.session_id && log.is_validated).length,
+    dayRequirement: evaluateDayRequirement(event, eventLogs)
+  };
+}
+
+const plural = (count: number, word: string) => `${count} ${word}${count === 1 ? '' : 's'}`;
+
+function checkRule(rule: CertificateRule, facts: CertificateEligibilityFacts): CertificateRequirementStatus {
+  switch (rule.type) {
+    case 'validated_check_in':
+      return {
+        type: rule.type,
+        label: 'Check in and have your attendance validated',
+        met: facts.isCheckedIn && facts.isValidated,
+        detail: !facts.isCheckedIn
+          ? 'You have not checked in to this event'
+          : !facts.isValidated ? 'Your check-in has not been validated by the organizer yet' : undefined
+      };
+    case 'attendance_days': {
+      const { dayRequirement } = facts;
+      const label = dayRequirement.minMinutes > 0
+        ? `Attend ${plural(rule.count || 0, 'day')} for at least ${formatDuration(dayRequirement.minMinutes)}, with check-out`
+        : `Attend at least ${rule.count} of the ${plural(dayRequirement.totalDays, 'day')}`;
+      return { type: rule.type, label, met: dayRequirement.eligible, detail: dayRequirement.error };
+    }
+    case 'min_sessions': {
+      const required = rule.count || 0;
+      const met = facts.attendedSessions >= required;
+      return {
+        type: rule.type,
+        label: `Attend at least ${plural(required, 'session')}`,
+        met,
+        detail: met ? undefined : `You attended ${facts.attendedSessions} of the ${required} sessions required for a certificate`
+      };
+    }
+    case 'evaluation':
+      return {
+        type: rule.type,
+        label: 'Submit the event evaluation',
+        met: facts.evaluationSubmitted,
+        detail: facts.evaluationSubmitted ? undefined : 'You have not submitted the evaluation yet'
+      };
+    case 'manual_approval':
+      return {
+        type: rule.type,
+        label: 'Be approved by the organizer',
+        met: facts.isApproved,
+        detail: facts.isApproved ? undefined : 'The organizer has not approved your certificate yet'
+      };
+  }
+}
+
+export function evaluateCertificateEligibility(
+  event: CertificateRuleEvent,
+  facts: CertificateEligibilityFacts
+): CertificateEligibility {
+  const requirements = getCertificateRules(event).map(rule => checkRule(rule, facts));
+  return { eligible: requirements.every(requirement => requirement.met), requirements };
+}
+
+/**
+ * One sentence listing what is still missing, for toasts and job errors
+ */
+export function describeMissingRequirements(eligibility: CertificateEligibility): string {
+  const missing = eligibility.requirements
+    .filter(requirement => !requirement.met)
+    .map(requirement => requirement.detail || requirement.label);
+  return missing.length > 0 ? `${missing.join('. ')}.` : '';
+}
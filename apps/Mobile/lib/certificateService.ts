@@ -2,6 +2,15 @@ import { supabase } from './supabase';
 import * as FileSystem from 'expo-file-system';
 import { NetworkStatusMonitor } from './offline/networkStatus';
 import { LocalDatabaseService } from './offline/localDatabase';
+import { EventService } from './eventService';
+import {
+  CertificateEligibility,
+  CertificateRuleEvent,
+  evaluateCertificateEligibility,
+  getCertificateRules,
+  summarizeCertificateAttendance
+} from './certificateEligibilityUtils';
+import { CertificateBadge, buildOpenBadgeAssertion, getOpenBadgeOrigin } from './openBadgeUtils';
 
 export interface CertificateConfig {
   id?: string;
@@ -140,6 +149,9 @@ export interface Certificate {
   certificate_pdf_url?: string;
   certificate_png_url?: string;
   generated_at: string;
+  status?: 'valid' | 'revoked' | 'superseded';
+  status_reason?: string | null;
+  superseded_by?: string | null;
 }
 
 export class CertificateService {
@@ -181,6 +193,7 @@ export class CertificateService {
         .select('*')
         .eq('event_id', eventId)
         .eq('user_id', userId)
+        .neq('status', 'superseded')
         .single();
 
       if (error) {
@@ -197,6 +210,184 @@ export class CertificateService {
     }
   }
 
+  /**
+   * Open Badges 2.0 assertion for a certificate, hosted by the web app
+   */
+  static async getOpenBadgeAssertion(
+    certificateNumber: string
+  ): Promise<{ assertion?: Record<string, any>; badge?: CertificateBadge; error?: string }> {
+    try {
+      const { data, error } = await supabase
+        .rpc('get_certificate_badge', { certificate_number_text: certificateNumber })
+        .maybeSingle();
+
+      if (error) {
+        return { error: error.message };
+      }
+
+      if (!data) {
+        return { error: 'This certificate cannot be exported as a badge' };
+      }
+
+      const badge = data as CertificateBadge;
+      return { assertion: buildOpenBadgeAssertion(badge, getOpenBadgeOrigin()), badge };
+    } catch (err: any) {
+      return { error: err.message || 'Failed to load the badge' };
+    }
+  }
+
+  /**
+   * Check a participant against the event's certificate rules
+   */
+  static async checkCertificateEligibility(
+    event: CertificateRuleEvent & { id: string },
+    userId: string
+  ): Promise<{ eligibility?: CertificateEligibility; error?: string }> {
+    try {
+      const ruleTypes = getCertificateRules(event).map(rule => rule.type);
+
+      const [attendanceResult, evaluationResult, approvalResult] = await Promise.all([
+        supabase
+          .from('attendance_logs')
+          .select('check_in_date, check_in_time, check_out_time, is_validated, session_id')
+          .eq('event_id', event.id)
+          .eq('user_id', userId),
+        ruleTypes.includes('evaluation')
+          ? EventService.checkUserSurveyCompletion(event.id, userId)
+          : Promise.resolve({ isCompleted: false, error: undefined }),
+        ruleTypes.includes('manual_approval')
+          ? supabase
+            .from('certificate_approvals')
+            .select('id')
+            .eq('event_id', event.id)
+            .eq('user_id', userId)
+            .maybeSingle()
+          : Promise.resolve({ data: null, error: null })
+      ]);
+
+      if (attendanceResult.error) {
+        return { error: attendanceResult.error.message };
+      }
+      if (evaluationResult.error) {
+        return { error: evaluationResult.error };
+      }
+      if (approvalResult.error) {
+        return { error: approvalResult.error.message };
+      }
+
+      const eligibility = evaluateCertificateEligibility(event, {
+        ...summarizeCertificateAttendance(event, attendanceResult.data || []),
+        evaluationSubmitted: evaluationResult.isCompleted,
+        isApproved: !!approvalResult.data
+      });
+
+      return { eligibility };
+    } catch (error) {
+      return { error: 'An unexpected error occurred' };
+    }
+  }
+
+  /**
+   * Queue a certificate for a participant of an auto-issue event once they
+   * meet its certificate rules (mirrors CertificateService.autoIssueCertificate
+   * on the web). The web job worker generates it and notifies the participant.
+   */
+  static async autoIssueCertificate(
+    eventId: string,
+    userId: string
+  ): Promise<{ queued?: boolean; error?: string }> {
+    try {
+      if (!NetworkStatusMonitor.isOnline()) {
+        return { queued: false };
+      }
+
+      const eventResult = await EventService.getEventById(eventId);
+      if (eventResult.error || !eventResult.event) {
+        return { error: eventResult.error || 'Event not found' };
+      }
+
+      const event = eventResult.event;
+      if (!event.certificate_auto_issue) {
+        return { queued: false };
+      }
+
+      const existing = await this.getUserCertificate(userId, eventId);
+      if (existing.error) {
+        return { error: existing.error };
+      }
+      if (existing.certificate) {
+        return { queued: false };
+      }
+
+      const { data: openJobs, error: jobsError } = await supabase
+        .from('job_queue')
+        .select('id')
+        .eq('job_type', 'certificate_generation')
+        .in('status', ['pending', 'processing'])
+        .contains('job_data', { eventId, userId })
+        .limit(1);
+
+      if (jobsError) {
+        return { error: jobsError.message };
+      }
+      if (openJobs && openJobs.length > 0) {
+        return { queued: false };
+      }
+
+      const eligibilityResult = await this.checkCertificateEligibility(event, userId);
+      if (eligibilityResult.error) {
+        return { error: eligibilityResult.error };
+      }
+      if (!eligibilityResult.eligibility?.eligible) {
+        return { queued: false };
+      }
+
+      const { data: profileData, error: profileError } = await supabase.rpc('get_user_profile', { user_id: userId });
+      if (profileError) {
+        return { error: profileError.message };
+      }
+
+      const participant = Array.isArray(profileData) ? profileData[0] : profileData;
+      if (!participant) {
+        return { error: 'Participant not found' };
+      }
+
+      const nameParts = [
+        participant.prefix,
+        participant.first_name,
+        participant.middle_initial,
+        participant.last_name,
+        participant.affix
+      ].filter(Boolean);
+
+      const { error: queueError } = await supabase
+        .from('job_queue')
+        .insert({
+          job_type: 'certificate_generation',
+          job_data: {
+            eventId,
+            userId,
+            participantName: nameParts.length > 0
+              ? nameParts.join(' ')
+              : participant.email?.split('@')[0] || 'Participant',
+            eventTitle: event.title,
+            completionDate: event.start_date || new Date().toISOString().split('T')[0]
+          },
+          created_by: userId,
+          priority: 5,
+          status: 'pending'
+        });
+
+      if (queueError) {
+        return { error: queueError.message };
+      }
+
+      return { queued: true };
+    } catch (error) {
+      return { error: 'An unexpected error occurred' };
+    }
+  }
+
   /**
    * Get all certificates for a user with event details
    */
@@ -210,6 +401,7 @@ export class CertificateService {
             .from('certificates')
             .select('*')
             .eq('user_id', userId)
+            .neq('status', 'superseded')
             .order('generated_at', { ascending: false });
 
           if (certError) {
@@ -325,9 +517,10 @@ export class CertificateService {
 
       const { data, error } = await supabase
         .from('certificates')
-        .select('id, certificate_number, participant_name, event_id, user_id')
+        .select('id, certificate_number, participant_name, event_id, user_id, status')
         .eq('event_id', eventId)
         .eq('participant_name', trimmedName)
+        .neq('status', 'superseded')
         .maybeSingle();
 
       if (error) {
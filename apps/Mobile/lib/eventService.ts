@@ -1,8 +1,17 @@
 import { supabase } from './supabase';
+import * as SecureStore from 'expo-secure-store';
 import { NetworkStatusMonitor } from './offline/networkStatus';
 import { LocalDatabaseService } from './offline/localDatabase';
 import { SyncQueueService, SyncPriority } from './offline/syncQueue';
 import { DataType } from './offline/conflictResolution';
+import {
+  RegistrationQuestion,
+  RegistrationAnswers,
+  validateRegistrationAnswers,
+  pickRegistrationAnswers
+} from './registrationFormUtils';
+import { evaluateDayRequirement, getLocalDateString, DayRequirementResult } from './attendanceDayUtils';
+import { CertificateRuleSettings } from './certificateEligibilityUtils';
 
 export interface Event {
   id: string;
@@ -26,13 +35,23 @@ export interface Event {
   materials_url?: string;
   programme_url?: string;
   registration_deadline?: string;
+  registration_form?: RegistrationQuestion[] | null;
+  min_sessions_for_certificate?: number | null;
+  min_attendance_days?: number | null;
+  min_attendance_minutes?: number | null;
+  qr_rotation_seconds?: number | null;
+  certificate_rules?: Partial<CertificateRuleSettings> | null;
+  certificate_auto_issue?: boolean;
+  ical_sequence?: number;
 }
 
 export interface EventRegistration {
   id: string;
   event_id: string;
   user_id: string;
-  status: 'registered' | 'cancelled' | 'attended';
+  status: 'registered' | 'cancelled' | 'attended' | 'waitlisted';
+  waitlisted_at?: string | null;
+  registration_answers?: RegistrationAnswers | null;
   created_at: string;
 }
 
@@ -408,7 +427,11 @@ export class EventService {
     }
   }
 
-  static async registerForEvent(eventId: string, userId: string): Promise<{ registration?: EventRegistration; error?: string; queued?: boolean }> {
+  static async registerForEvent(
+    eventId: string,
+    userId: string,
+    answers?: RegistrationAnswers
+  ): Promise<{ registration?: EventRegistration; error?: string; queued?: boolean; waitlisted?: boolean; waitlistPosition?: number }> {
     try {
       // Check if user is already registered (active registration)
       const existingRegistration = await this.getUserRegistration(eventId, userId);
@@ -416,6 +439,14 @@ export class EventService {
         return { error: 'You are already registered for this event' };
       }
 
+      // Check if user is already waiting for a seat
+      if (NetworkStatusMonitor.isOnline()) {
+        const existingWaitlist = await this.getWaitlistPosition(eventId, userId);
+        if (existingWaitlist.position) {
+          return { error: `You are already on the waitlist for this event (position ${existingWaitlist.position})` };
+        }
+      }
+
       // Check if event exists and is published (use cached if offline)
       const eventResult = await this.getEventById(eventId);
       if (eventResult.error) {
@@ -442,9 +473,35 @@ export class EventService {
         return { error: 'Registration closed: Event has ended' };
       }
 
-      // Check if event has reached max participants
-      if (eventResult.event.max_participants && eventResult.event.current_participants && eventResult.event.current_participants >= eventResult.event.max_participants) {
-        return { error: 'This event has reached maximum capacity' };
+      // Check answers to the organizer's registration form
+      const registrationForm = eventResult.event.registration_form || [];
+      const answerErrors = validateRegistrationAnswers(registrationForm, answers);
+      if (Object.keys(answerErrors).length > 0) {
+        const firstInvalid = registrationForm.find(q => answerErrors[q.id]);
+        return { error: `${firstInvalid?.questionText || 'Registration form'}: ${Object.values(answerErrors)[0]}` };
+      }
+      const registrationAnswers = pickRegistrationAnswers(registrationForm, answers);
+
+      // Check if event has reached max participants - online users join the waitlist instead.
+      // Seats are active registrations; current_participants is only a fallback while offline.
+      if (eventResult.event.max_participants) {
+        let registeredCount: number | null = null;
+        if (NetworkStatusMonitor.isOnline()) {
+          const { count } = await supabase
+            .from('event_registrations')
+            .select('*', { count: 'exact', head: true })
+            .eq('event_id', eventId)
+            .eq('status', 'registered');
+          registeredCount = count;
+        }
+
+        const seatsTaken = registeredCount ?? eventResult.event.current_participants ?? 0;
+        if (seatsTaken >= eventResult.event.max_participants) {
+          if (!NetworkStatusMonitor.isOnline()) {
+            return { error: 'This event is full. Connect to the internet to join the waitlist.' };
+          }
+          return this.joinWaitlist(eventResult.event, userId, registrationAnswers);
+        }
       }
 
       // If offline, queue registration and save locally
@@ -459,6 +516,7 @@ export class EventService {
           event_id: eventId,
           user_id: userId,
           status: 'registered',
+          registration_answers: registrationAnswers,
           registration_date: new Date().toISOString().split('T')[0],
           created_at: new Date().toISOString(),
         };
@@ -514,7 +572,7 @@ export class EventService {
         // Reactivate cancelled registration
         const { data, error } = await supabase
           .from('event_registrations')
-          .update({ status: 'registered' })
+          .update({ status: 'registered', registration_answers: registrationAnswers })
           .eq('id', cancelledRegistration.id)
           .select()
           .single();
@@ -528,7 +586,8 @@ export class EventService {
           .insert([{
             event_id: eventId,
             user_id: userId,
-            status: 'registered'
+            status: 'registered',
+            registration_answers: registrationAnswers
           }])
           .select()
           .single();
@@ -585,14 +644,151 @@ export class EventService {
     }
   }
 
+  /**
+   * Put a user on the waitlist of a full event (online only)
+   */
+  private static async joinWaitlist(
+    event: Event,
+    userId: string,
+    registrationAnswers: RegistrationAnswers = {}
+  ): Promise<{ registration?: EventRegistration; error?: string; waitlisted?: boolean; waitlistPosition?: number }> {
+    const { data: existing } = await supabase
+      .from('event_registrations')
+      .select('*')
+      .eq('event_id', event.id)
+      .eq('user_id', userId)
+      .maybeSingle();
+
+    if (existing?.status === 'waitlisted') {
+      const { position } = await this.getWaitlistPosition(event.id, userId);
+      return { error: `You are already on the waitlist for this event${position ? ` (position ${position})` : ''}` };
+    }
+
+    const waitlistFields = {
+      status: 'waitlisted',
+      waitlisted_at: new Date().toISOString(),
+      registration_answers: registrationAnswers
+    };
+    const { data, error } = existing
+      ? await supabase
+        .from('event_registrations')
+        .update(waitlistFields)
+        .eq('id', existing.id)
+        .select()
+        .single()
+      : await supabase
+        .from('event_registrations')
+        .insert([{ event_id: event.id, user_id: userId, ...waitlistFields }])
+        .select()
+        .single();
+
+    if (error) {
+      return { error: error.message };
+    }
+
+    const { position } = await this.getWaitlistPosition(event.id, userId);
+
+    try {
+      const { NotificationService } = await import('./notificationService');
+      await NotificationService.createNotification(
+        userId,
+        'Added to Waitlist',
+        `"${event.title}" is full, so you have been added to the waitlist${position ? ` at position ${position}` : ''}. We'll notify you if a seat opens up.`,
+        'info',
+        {
+          action_url: `/event-details?eventId=${event.id}`,
+          action_text: 'View Event',
+          priority: 'normal'
+        }
+      );
+    } catch (err) {
+      console.error('Failed to create waitlist notification:', err);
+    }
+
+    return { registration: data as EventRegistration, waitlisted: true, waitlistPosition: position };
+  }
+
+  /**
+   * Get a user's position on an event waitlist (undefined when not waitlisted)
+   */
+  static async getWaitlistPosition(eventId: string, userId: string): Promise<{ position?: number; error?: string }> {
+    try {
+      const { data, error } = await supabase
+        .from('event_registrations')
+        .select('user_id, waitlisted_at')
+        .eq('event_id', eventId)
+        .eq('status', 'waitlisted')
+        .order('waitlisted_at', { ascending: true });
+
+      if (error) {
+        return { error: error.message };
+      }
+
+      const index = (data || []).findIndex(entry => entry.user_id === userId);
+      return index === -1 ? {} : { position: index + 1 };
+    } catch (error) {
+      return { error: 'An unexpected error occurred' };
+    }
+  }
+
+  /**
+   * Move waitlisted users into free seats and notify them.
+   * promote_waitlisted_registrations() checks capacity, publish status and registration_open.
+   */
+  static async promoteFromWaitlist(eventId: string): Promise<{ promoted?: string[]; error?: string }> {
+    try {
+      const { data, error } = await supabase.rpc('promote_waitlisted_registrations', {
+        event_uuid: eventId
+      });
+
+      if (error) {
+        return { error: error.message };
+      }
+
+      const promoted: string[] = (data || []).map((row: { user_id: string }) => row.user_id);
+      if (promoted.length === 0) {
+        return { promoted };
+      }
+
+      const { data: event } = await supabase
+        .from('events')
+        .select('title')
+        .eq('id', eventId)
+        .maybeSingle();
+
+      const { NotificationService } = await import('./notificationService');
+      for (const promotedUserId of promoted) {
+        try {
+          await NotificationService.createNotification(
+            promotedUserId,
+            'You\'re In!',
+            `A seat opened up for "${event?.title || 'the event'}" and you have been moved from the waitlist to registered. We look forward to seeing you at the event!`,
+            'success',
+            {
+              action_url: `/event-details?eventId=${eventId}`,
+              action_text: 'View Event',
+              priority: 'high'
+            }
+          );
+        } catch (err) {
+          console.error('Failed to create waitlist promotion notification:', err);
+        }
+      }
+
+      return { promoted };
+    } catch (error) {
+      return { error: 'An unexpected error occurred' };
+    }
+  }
+
   /**
    * Check if user has checked in to an event today (for multi-day event support)
    * Supports offline - checks local database
    */
   static async checkUserCheckInStatus(eventId: string, userId: string): Promise<{ isCheckedIn: boolean; isValidated?: boolean; error?: string; fromCache?: boolean }> {
     try {
-      // Get current date in YYYY-MM-DD format
-      const today = new Date().toISOString().split('T')[0];
+      // Get current local date in YYYY-MM-DD format, the day check-ins are recorded against
+      const today = getLocalDateString();
 
       // Try server first if online
       if (NetworkStatusMonitor.isOnline()) {
@@ -603,6 +799,7 @@ export class EventService {
             .select('id, check_in_time, check_in_date, is_validated')
             .eq('event_id', eventId)
             .eq('user_id', userId)
+            .is('session_id', null)
             .eq('check_in_date', today)
             .order('check_in_time', { ascending: false })
             .limit(1)
@@ -616,6 +813,7 @@ export class EventService {
               .select('id, check_in_time, check_in_date, is_validated')
               .eq('event_id', eventId)
               .eq('user_id', userId)
+              .is('session_id', null)
               .order('check_in_time', { ascending: false })
               .limit(1)
               .maybeSingle();
@@ -666,6 +864,65 @@ export class EventService {
     }
   }
 
+  /**
+   * The participant's key for rotating check-in codes (events.qr_rotation_seconds).
+   * Kept in secure storage so the live code can be shown without a connection.
+   */
+  static async getRotatingQRKey(eventId: string, userId: string): Promise<{ key?: string; error?: string }> {
+    const storageKey = `rotating_qr_key_${eventId}_${userId}`;
+
+    try {
+      if (NetworkStatusMonitor.isOnline()) {
+        const { data, error } = await supabase.rpc('get_rotating_qr_key', { event_uuid: eventId });
+        if (error) {
+          return { error: error.message };
+        }
+        await SecureStore.setItemAsync(storageKey, data);
+        return { key: data };
+      }
+
+      const cached = await SecureStore.getItemAsync(storageKey);
+      if (!cached) {
+        return { error: 'Connect to the internet once to load your check-in code' };
+      }
+      return { key: cached };
+    } catch (error) {
+      return { error: 'An unexpected error occurred' };
+    }
+  }
+
+  /**
+   * Check the "attended at least N of M days" and minimum time attended rules
+   * Supports offline - counts the check-ins in the local database
+   */
+  static async checkAttendanceDayRequirement(
+    event: Pick<Event, 'id' | 'start_date' | 'end_date' | 'min_attendance_days' | 'min_attendance_minutes'>,
+    userId: string
+  ): Promise<DayRequirementResult> {
+    try {
+      if (NetworkStatusMonitor.isOnline()) {
+        const { data, error } = await supabase
+          .from('attendance_logs')
+          .select('check_in_date, check_in_time, check_out_time, is_validated, session_id')
+          .eq('event_id', event.id)
+          .eq('user_id', userId)
+          .is('session_id', null);
+
+        if (!error) {
+          return evaluateDayRequirement(event, data || []);
+        }
+        console.error('Network error, falling back to cache:', error);
+      }
+
+      const localAttendance = await LocalDatabaseService.getAttendanceLogs(event.id, userId);
+      return evaluateDayRequirement(event, localAttendance);
+    } catch (error) {
+      const result = evaluateDayRequirement(event, []);
+      // Only events that have the rule are blocked when attendance cannot be read
+      return result.required > 0 ? { ...result, error: 'An unexpected error occurred' } : result;
+    }
+  }
+
   /**
    * Check if user has completed survey/evaluation for an event
    */
@@ -756,6 +1013,19 @@ export class EventService {
       }
 
       if (!registration) {
+        // Leaving the waitlist doesn't free a seat
+        const { data: waitlisted } = await supabase
+          .from('event_registrations')
+          .update({ status: 'cancelled', waitlisted_at: null })
+          .eq('event_id', eventId)
+          .eq('user_id', userId)
+          .eq('status', 'waitlisted')
+          .select('id');
+
+        if (waitlisted && waitlisted.length > 0) {
+          return { queued: false };
+        }
+
         return { error: 'You are not registered for this event' };
       }
 
@@ -769,6 +1039,12 @@ export class EventService {
         return { error: error.message };
       }
 
+      // A seat is free - give it to the next person on the waitlist
+      const promotion = await this.promoteFromWaitlist(eventId);
+      if (promotion.error) {
+        console.warn('Failed to promote waitlist after cancellation:', promotion.error);
+      }
+
       // Save to local database with cancelled status
       await LocalDatabaseService.saveEventRegistration({
         id: registration.id,
@@ -0,0 +1,133 @@
+import * as FileSystem from 'expo-file-system';
+import * as Sharing from 'expo-sharing';
+
+/**
+ * iCalendar (RFC 5545) export, mirrors apps/Web/src/utils/icalUtils.js.
+ * Event times are stored without a time zone, so they are written as floating local times.
+ */
+
+export interface ICalEventInput {
+  id: string;
+  title: string;
+  description?: string | null;
+  rationale?: string | null;
+  venue?: string | null;
+  start_date: string;
+  end_date?: string | null;
+  start_time?: string | null;
+  end_time?: string | null;
+  status?: string;
+  updated_at?: string | null;
+  ical_sequence?: number | null;
+}
+
+const escapeICalText = (value?: string | null) =>
+  String(value || '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+
+const foldICalLine = (line: string) => {
+  if (line.length <= 75) return line;
+  const parts = [line.slice(0, 75)];
+  for (let i = 75; i < line.length; i += 74) {
+    parts.push(` ${line.slice(i, i + 74)}`);
+  }
+  return parts.join('\r\n');
+};
+
+const formatICalDateTime = (date: string, time?: string | null) => {
+  const [hours = '00', minutes = '00', seconds = '00'] = (time || '00:00').split(':');
+  return `${date.replace(/-/g, '')}T${hours.padStart(2, '0')}${minutes.padStart(2, '0')}${seconds.slice(0, 2).padStart(2, '0')}`;
+};
+
+const formatICalTimestamp = (date: Date) =>
+  date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+const stripHtml = (html?: string | null) =>
+  String(html || '')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/p>/gi, '\n')
+    .replace(/<[^>]*>/g, '')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&amp;/g, '&')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+
+/**
+ * Build an .ics document. UID and SEQUENCE match the web feeds, so a
+ * downloaded event is updated in place once the user subscribes to a feed.
+ */
+export function buildICalendar(events: ICalEventInput[], name?: string): string {
+  const now = new Date();
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//GanApp//Events//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+  ];
+
+  if (name) {
+    lines.push(`X-WR-CALNAME:${escapeICalText(name)}`);
+  }
+
+  events.forEach(event => {
+    const description = event.description || stripHtml(event.rationale);
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:${event.id}@ganapp`,
+      `DTSTAMP:${formatICalTimestamp(now)}`,
+      `DTSTART:${formatICalDateTime(event.start_date, event.start_time)}`,
+      `DTEND:${formatICalDateTime(event.end_date || event.start_date, event.end_time || event.start_time)}`,
+      `SUMMARY:${escapeICalText(event.title)}`,
+      `SEQUENCE:${event.ical_sequence || 0}`,
+      `STATUS:${event.status === 'cancelled' ? 'CANCELLED' : 'CONFIRMED'}`
+    );
+    if (event.venue) {
+      lines.push(`LOCATION:${escapeICalText(event.venue)}`);
+    }
+    if (description) {
+      lines.push(`DESCRIPTION:${escapeICalText(description)}`);
+    }
+    if (event.updated_at) {
+      lines.push(`LAST-MODIFIED:${formatICalTimestamp(new Date(event.updated_at))}`);
+    }
+    lines.push('END:VEVENT');
+  });
+
+  lines.push('END:VCALENDAR');
+  return lines.map(foldICalLine).join('\r\n') + '\r\n';
+}
+
+/**
+ * Write the event to an .ics file and open the share sheet so it can be
+ * added to the device calendar
+ */
+export async function shareEventAsICal(event: ICalEventInput): Promise<{ error?: string }> {
+  try {
+    if (!FileSystem.cacheDirectory) {
+      return { error: 'File system not available' };
+    }
+    if (!(await Sharing.isAvailableAsync())) {
+      return { error: 'Sharing is not available on this device' };
+    }
+
+    const sanitizedTitle = (event.title || 'event').replace(/[^a-z0-9]/gi, '_').toLowerCase();
+    const fileUri = `${FileSystem.cacheDirectory}${sanitizedTitle}.ics`;
+    await FileSystem.writeAsStringAsync(fileUri, buildICalendar([event]));
+
+    await Sharing.shareAsync(fileUri, {
+      mimeType: 'text/calendar',
+      UTI: 'com.apple.ical.ics',
+      dialogTitle: 'Add to Calendar',
+    });
+    return {};
+  } catch (error) {
+    console.error('Error exporting event to calendar:', error);
+    return { error: 'Failed to export the event' };
+  }
+}
@@ -365,7 +365,8 @@ export class SyncService {
           qrValidation.qrData,
           parsedData,
           operation.data.event_id,
-          operation.data.user_id
+          operation.data.user_id,
+          qrValidation.scannedAt
         );
 
         if (!validationResult.valid) {
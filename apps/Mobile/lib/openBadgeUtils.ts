@@ -0,0 +1,266 @@
+import * as FileSystem from 'expo-file-system';
+import * as Sharing from 'expo-sharing';
+
+/**
+ * Open Badges 2.0 export, mirrors apps/Web/src/utils/openBadgeUtils.js.
+ * Badges are hosted by the web app's /api/open-badge endpoint, so every URL
+ * here points at the deployed web app rather than a development server.
+ */
+
+export const OPEN_BADGES_CONTEXT = 'https://w3id.org/openbadges/v2';
+
+const DEFAULT_ISSUER_NAME = 'GanApp';
+
+/** Row returned by the get_certificate_badge function */
+export interface CertificateBadge {
+  certificate_number: string;
+  participant_name: string;
+  event_title: string;
+  completion_date: string;
+  certificate_png_url: string | null;
+  generated_at: string;
+  status: 'active' | 'revoked' | 'superseded';
+  status_reason: string | null;
+  replacement_number: string | null;
+  event_description: string | null;
+  event_banner_url: string | null;
+  issuer_name: string;
+  recipient_salt: string;
+  recipient_identity: string;
+}
+
+export const getOpenBadgeOrigin = (): string =>
+  (process.env.EXPO_PUBLIC_WEB_APP_URL || 'https://gan-app-nu.vercel.app').replace(/\/$/, '');
+
+export const getOpenBadgeUrl = (
+  origin: string,
+  certificateNumber: string,
+  part: 'assertion' | 'badge' | 'issuer' = 'assertion'
+): string => {
+  const url = `${origin}/api/open-badge?certificate=${encodeURIComponent(certificateNumber)}`;
+  return part === 'assertion' ? url : `${url}&part=${part}`;
+};
+
+const getVerificationUrl = (origin: string, certificateNumber: string) =>
+  `${origin}/verify-certificate/${encodeURIComponent(certificateNumber)}`;
+
+export function buildOpenBadgeAssertion(badge: CertificateBadge, origin: string): Record<string, any> {
+  const assertion: Record<string, any> = {
+    '@context': OPEN_BADGES_CONTEXT,
+    type: 'Assertion',
+    id: getOpenBadgeUrl(origin, badge.certificate_number),
+    recipient: {
+      type: 'email',
+      hashed: true,
+      salt: badge.recipient_salt,
+      identity: badge.recipient_identity,
+    },
+    badge: getOpenBadgeUrl(origin, badge.certificate_number, 'badge'),
+    issuedOn: new Date(badge.generated_at).toISOString(),
+    verification: { type: 'hosted' },
+    evidence: [{
+      id: getVerificationUrl(origin, badge.certificate_number),
+      name: `Certificate ${badge.certificate_number}`,
+      narrative: `${badge.participant_name} completed "${badge.event_title}" on ${badge.completion_date}.`,
+    }],
+  };
+
+  if (badge.certificate_png_url) {
+    assertion.image = badge.certificate_png_url;
+  }
+
+  if (badge.status === 'revoked') {
+    assertion.revoked = true;
+    assertion.revocationReason = badge.status_reason || 'Revoked by the organizer';
+  } else if (badge.status === 'superseded') {
+    assertion.revoked = true;
+    assertion.revocationReason = badge.replacement_number
+      ? `Replaced by certificate ${badge.replacement_number}`
+      : 'Replaced by a reissued certificate';
+  }
+
+  return assertion;
+}
+
+/** LinkedIn "Add licence or certification" link, filled in from the certificate */
+export function getLinkedInCertificationUrl(badge: CertificateBadge, origin: string): string {
+  const issued = new Date(badge.generated_at);
+  const params = [
+    ['startTask', 'CERTIFICATION_NAME'],
+    ['name', badge.event_title],
+    ['organizationName', badge.issuer_name || DEFAULT_ISSUER_NAME],
+    ['issueYear', String(issued.getFullYear())],
+    ['issueMonth', String(issued.getMonth() + 1)],
+    ['certUrl', getVerificationUrl(origin, badge.certificate_number)],
+    ['certId', badge.certificate_number],
+  ];
+  return `https://www.linkedin.com/profile/add?${params
+    .map(([key, value]) => `${key}=${encodeURIComponent(value)}`)
+    .join('&')}`;
+}
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+const crc32 = (bytes: Uint8Array): number => {
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+const PNG_SIGNATURE = [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a];
+
+/**
+ * Bake an assertion into a PNG: an uncompressed iTXt chunk with the keyword
+ * "openbadges" holding the assertion JSON, placed after IHDR. A chunk baked
+ * earlier is replaced, since a badge image may only carry one.
+ */
+export function bakeOpenBadgePNG(png: Uint8Array, assertion: Record<string, any>): Uint8Array {
+  if (png.length < 8 || PNG_SIGNATURE.some((byte, i) => png[i] !== byte)) {
+    throw new Error('Not a PNG image');
+  }
+
+  const encoder = new TextEncoder();
+  const keyword = encoder.encode('openbadges');
+  const text = encoder.encode(JSON.stringify(assertion));
+  // keyword, null separator, compression flag and method, empty language tag
+  // and translated keyword (each null terminated), then the text
+  const data = new Uint8Array(keyword.length + 5 + text.length);
+  data.set(keyword, 0);
+  data.set(text, keyword.length + 5);
+
+  const chunk = new Uint8Array(12 + data.length);
+  const view = new DataView(chunk.buffer);
+  view.setUint32(0, data.length);
+  chunk.set(encoder.encode('iTXt'), 4);
+  chunk.set(data, 8);
+  view.setUint32(8 + data.length, crc32(chunk.subarray(4, 8 + data.length)));
+
+  const source = new DataView(png.buffer, png.byteOffset, png.byteLength);
+  const parts = [png.subarray(0, 8)];
+  let offset = 8;
+  while (offset + 8 <= png.length) {
+    const length = source.getUint32(offset);
+    const type = String.fromCharCode(...png.subarray(offset + 4, offset + 8));
+    const end = offset + 12 + length;
+    const isBakedBadge = type === 'iTXt'
+      && String.fromCharCode(...png.subarray(offset + 8, offset + 8 + keyword.length + 1)) === 'openbadges\0';
+
+    if (!isBakedBadge) {
+      parts.push(png.subarray(offset, end));
+    }
+    if (type === 'IHDR') {
+      parts.push(chunk);
+    }
+    offset = end;
+  }
+
+  const baked = new Uint8Array(parts.reduce((total, part) => total + part.length, 0));
+  let position = 0;
+  parts.forEach(part => {
+    baked.set(part, position);
+    position += part.length;
+  });
+  return baked;
+}
+
+const base64ToBytes = (base64: string): Uint8Array => {
+  const binary = atob(base64);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+};
+
+const bytesToBase64 = (bytes: Uint8Array): string => {
+  let binary = '';
+  // In slices, so large images do not overflow the argument list
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+};
+
+/**
+ * Write the assertion to a .json file and open the share sheet so it can be
+ * imported into a badge backpack
+ */
+export async function shareOpenBadge(
+  certificateNumber: string,
+  assertion: Record<string, any>
+): Promise<{ error?: string }> {
+  try {
+    if (!FileSystem.cacheDirectory) {
+      return { error: 'File system not available' };
+    }
+    if (!(await Sharing.isAvailableAsync())) {
+      return { error: 'Sharing is not available on this device' };
+    }
+
+    const sanitizedNumber = certificateNumber.replace(/[^a-z0-9-]/gi, '_');
+    const fileUri = `${FileSystem.cacheDirectory}${sanitizedNumber}-badge.json`;
+    await FileSystem.writeAsStringAsync(fileUri, JSON.stringify(assertion, null, 2));
+
+    await Sharing.shareAsync(fileUri, {
+      mimeType: 'application/json',
+      UTI: 'public.json',
+      dialogTitle: 'Share Open Badge',
+    });
+    return {};
+  } catch (error) {
+    console.error('Error sharing Open Badge:', error);
+    return { error: 'Failed to share the badge' };
+  }
+}
+
+/**
+ * Download the certificate image, bake the assertion into it and open the
+ * share sheet, for backpacks that import badge images rather than JSON
+ */
+export async function shareBakedOpenBadge(
+  certificateNumber: string,
+  pngUrl: string,
+  assertion: Record<string, any>
+): Promise<{ error?: string }> {
+  try {
+    if (!FileSystem.cacheDirectory) {
+      return { error: 'File system not available' };
+    }
+    if (!(await Sharing.isAvailableAsync())) {
+      return { error: 'Sharing is not available on this device' };
+    }
+
+    const sanitizedNumber = certificateNumber.replace(/[^a-z0-9-]/gi, '_');
+    const fileUri = `${FileSystem.cacheDirectory}${sanitizedNumber}-badge.png`;
+    const download = await FileSystem.downloadAsync(pngUrl, fileUri);
+    if (download.status !== 200) {
+      return { error: 'Failed to download the certificate image' };
+    }
+
+    const png = await FileSystem.readAsStringAsync(fileUri, { encoding: FileSystem.EncodingType.Base64 });
+    const baked = bakeOpenBadgePNG(base64ToBytes(png), assertion);
+    await FileSystem.writeAsStringAsync(fileUri, bytesToBase64(baked), { encoding: FileSystem.EncodingType.Base64 });
+
+    await Sharing.shareAsync(fileUri, {
+      mimeType: 'image/png',
+      UTI: 'public.png',
+      dialogTitle: 'Share Open Badge',
+    });
+    return {};
+  } catch (error) {
+    console.error('Error sharing baked Open Badge:', error);
+    return { error: 'Failed to share the badge image' };
+  }
+}
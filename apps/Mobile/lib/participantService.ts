@@ -62,6 +62,7 @@ export class ParticipantService {
         .select('id, check_in_time, check_in_date, check_in_method')
         .eq('user_id', userId)
         .eq('event_id', eventId)
+        .is('session_id', null)
         .eq('check_in_date', today) // Get today's check-in
         .eq('is_validated', true)
         .single();
@@ -3,6 +3,9 @@ import { NetworkStatusMonitor } from './offline/networkStatus';
 import { LocalDatabaseService } from './offline/localDatabase';
 import { SyncQueueService, SyncPriority } from './offline/syncQueue';
 import { DataType } from './offline/conflictResolution';
+import * as SecureStore from 'expo-secure-store';
+import { getAttendanceMinutes, getAttendedDays, getEventDays, getLocalDateString, formatDuration } from './attendanceDayUtils';
+import { deriveParticipantKey, verifyRotatingCode } from './rotatingQrUtils';
 
 export interface QRScanResult {
   success: boolean;
@@ -22,8 +25,10 @@ export interface QRScanResult {
     id: string;
     check_in_time: string;
     check_in_method: string;
+    check_out_time?: string | null;
     is_validated: boolean;
   };
+  attendanceMinutes?: number;
   error?: string;
   message?: string;
 }
@@ -35,9 +40,18 @@ export interface QRScanData {
   [key: string]: any;
 }
 
+export interface RotatingQRSettings {
+  rotation_seconds: number;
+  secret?: string | null;
+}
+
+const SCANNER_DEVICE_ID_KEY = 'scanner_device_id';
+
 export class QRScanService {
   /**
-   * Process a scanned QR code and handle attendance logging
+   * Process a scanned QR code and handle attendance logging.
+   * When a sessionId is given, attendance is recorded for that agenda session
+   * instead of the event day.
    */
   static async processQRScan(
     qrData: string,
@@ -51,7 +65,8 @@ export class QRScanService {
       latitude?: number;
       longitude?: number;
       accuracy?: number;
-    }
+    },
+    sessionId?: string
   ): Promise<QRScanResult> {
     try {
       // Parse QR code data
@@ -105,8 +120,18 @@ export class QRScanService {
 
       // If offline, queue for validation and sync
       if (!NetworkStatusMonitor.isOnline()) {
+        // Rotating codes expire, so they are checked now against the cached event secret
+        const rotatingResult = await this.verifyRotatingQRCode(parsedData, eventId, participantUserId);
+        if (!rotatingResult.valid) {
+          return {
+            success: false,
+            error: rotatingResult.error,
+            message: rotatingResult.message
+          };
+        }
+
         // Create preliminary attendance log (will be validated on sync)
-        const today = new Date().toISOString().split('T')[0];
+        const today = getLocalDateString();
         const now = new Date().toISOString();
 
         const attendanceLog = {
@@ -116,6 +141,7 @@ export class QRScanService {
           check_in_method: 'qr_scan',
           check_in_time: now,
           check_in_date: today,
+          ...(sessionId ? { session_id: sessionId } : {}),
           is_validated: false, // Will be validated on sync
           validation_notes: 'Pending server validation',
           // Store QR validation data for sync
@@ -123,6 +149,7 @@ export class QRScanService {
             qrData: qrData,
             qrToken: parsedData.qrToken || parsedData.token,
             scannerUserId: userId,
+            scannedAt: now,
             deviceInfo,
             locationInfo
           }
@@ -180,6 +207,10 @@ export class QRScanService {
         };
       }
 
+      if (sessionId) {
+        return await this.processSessionCheckIn(event, sessionId, participantUserId, userId, qrData, parsedData.qrToken || parsedData.token, deviceInfo, locationInfo);
+      }
+
       // Check if participant has already checked in
       console.log('processQRScan: Checking for existing attendance for event:', eventId, 'user:', participantUserId);
       const existingAttendance = await this.checkExistingAttendance(eventId, participantUserId);
@@ -205,6 +236,7 @@ export class QRScanService {
         // Only show "already checked in" if it's from today
         if (checkInDateStr === todayStr) {
           console.log('processQRScan: Check-in is from today, blocking new check-in');
+          await this.logQRScan(eventId, userId, qrData, deviceInfo, locationInfo, participantUserId, existingAttendance.id, 'already_checked_in');
           return {
             success: true,
             event: event,
@@ -249,7 +281,10 @@ export class QRScanService {
       await this.updateEventParticipantCount(eventId);
 
       // Log QR scan for analytics (track who scanned and for whom)
-      await this.logQRScan(eventId, userId, qrData, deviceInfo, locationInfo, participantUserId);
+      await this.logQRScan(eventId, userId, qrData, deviceInfo, locationInfo, participantUserId, attendanceLog.id);
+
+      // Count the check-in towards the QR code's scan limit
+      await this.countQRCodeScan(parsedData.qrToken || parsedData.token, eventId);
 
       // Save to local database for offline access
       await LocalDatabaseService.saveAttendanceLog(attendanceLog);
@@ -258,7 +293,7 @@ export class QRScanService {
         success: true,
         event: event,
         attendanceLog: attendanceLog,
-        message: 'Successfully checked in to the event!'
+        message: await this.getCheckInSuccessMessage(event, participantUserId)
       };
 
     } catch (error) {
@@ -271,6 +306,214 @@ export class QRScanService {
     }
   }
 
+  /**
+   * Process a check-out scan: records when the participant left today's
+   * event-level check-in, so the time attended can be measured. Check-out
+   * needs a connection because the check-in may have been made on another
+   * device.
+   */
+  static async processCheckOut(qrData: string, userId: string): Promise<QRScanResult> {
+    try {
+      if (!NetworkStatusMonitor.isOnline()) {
+        return {
+          success: false,
+          error: 'Offline',
+          message: 'Check-out requires an internet connection. Please try again once you are online.'
+        };
+      }
+
+      const parsedData = this.parseQRData(qrData);
+      if (parsedData.requiresValidation && parsedData.qrToken) {
+        const resolvedData = await this.lookupQRCodeByToken(parsedData.qrToken);
+        if (!resolvedData) {
+          return {
+            success: false,
+            error: 'Invalid QR token',
+            message: 'The entered QR token does not match any active QR code. Please verify and try again.'
+          };
+        }
+        const resolved = JSON.parse(resolvedData);
+        parsedData.eventId = resolved.eventId || resolved.id;
+        parsedData.userId = resolved.userId;
+      }
+
+      const eventId = parsedData.eventId || parsedData.id;
+      if (!eventId) {
+        return {
+          success: false,
+          error: 'Invalid QR code format',
+          message: 'QR code does not contain valid event information'
+        };
+      }
+
+      const participantUserId = parsedData.userId || userId;
+      const validationResult = await this.validateQRCode(qrData, parsedData, eventId, participantUserId);
+      if (!validationResult.valid) {
+        return {
+          success: false,
+          error: validationResult.error || 'QR code validation failed',
+          message: validationResult.message || 'This QR code could not be validated. Please try again.'
+        };
+      }
+
+      const event = await this.verifyEvent(eventId);
+      if (!event) {
+        return {
+          success: false,
+          error: 'Event not found',
+          message: 'This QR code is not associated with a valid published event'
+        };
+      }
+
+      const todayAttendance = await this.checkExistingAttendance(eventId, participantUserId);
+      const { data: attendanceLog, error } = await supabase.rpc('record_check_out', {
+        event_uuid: eventId,
+        participant_uuid: participantUserId,
+        check_in_day: getLocalDateString()
+      });
+
+      if (error || !attendanceLog) {
+        return {
+          success: false,
+          error: 'Check-out failed',
+          message: error?.message || 'Failed to record the check-out. Please try again.'
+        };
+      }
+
+      await LocalDatabaseService.saveAttendanceLog(attendanceLog);
+
+      const minutes = getAttendanceMinutes(attendanceLog) ?? 0;
+      const minMinutes = event.min_attendance_minutes || 0;
+      let message = todayAttendance?.check_out_time
+        ? `Already checked out today after ${formatDuration(minutes)}.`
+        : `Checked out after ${formatDuration(minutes)}.`;
+      if (minMinutes > 0 && minutes < minMinutes) {
+        message += ` This is below the ${formatDuration(minMinutes)} minimum, so today does not count towards completing the event.`;
+      }
+
+      return {
+        success: true,
+        event: event,
+        attendanceLog: attendanceLog,
+        attendanceMinutes: minutes,
+        message
+      };
+    } catch (error) {
+      console.error('Error processing check-out:', error);
+      return {
+        success: false,
+        error: 'Processing failed',
+        message: 'An error occurred while processing the QR code. Please try again.'
+      };
+    }
+  }
+
+  /**
+   * Record attendance for a single agenda session of an event
+   */
+  private static async processSessionCheckIn(
+    event: any,
+    sessionId: string,
+    participantUserId: string,
+    scannerUserId: string,
+    qrData: string,
+    qrToken: string | undefined,
+    deviceInfo?: any,
+    locationInfo?: any
+  ): Promise<QRScanResult> {
+    const { data: session, error: sessionError } = await supabase
+      .from('event_sessions')
+      .select('id, event_id, title, session_date, start_time, end_time, requires_signup')
+      .eq('id', sessionId)
+      .maybeSingle();
+
+    if (sessionError || !session) {
+      return {
+        success: false,
+        error: 'Session not found',
+        message: 'The selected session could not be found. Please choose the session again.'
+      };
+    }
+
+    if (session.event_id !== event.id) {
+      return {
+        success: false,
+        error: 'Wrong event',
+        message: `This QR code is for "${event.title}", not for the event of session "${session.title}"`
+      };
+    }
+
+    if (session.requires_signup) {
+      const { data: signup } = await supabase
+        .from('session_registrations')
+        .select('id')
+        .eq('session_id', sessionId)
+        .eq('user_id', participantUserId)
+        .maybeSingle();
+
+      if (!signup) {
+        return {
+          success: false,
+          error: 'Not signed up',
+          message: `This participant has not signed up for "${session.title}"`
+        };
+      }
+    }
+
+    const { data: existingAttendance } = await supabase
+      .from('attendance_logs')
+      .select('id, check_in_time, check_in_method, is_validated, check_in_date')
+      .eq('session_id', sessionId)
+      .eq('user_id', participantUserId)
+      .maybeSingle();
+
+    if (existingAttendance) {
+      await this.logQRScan(event.id, scannerUserId, qrData, deviceInfo, locationInfo, participantUserId, existingAttendance.id, 'already_checked_in');
+      return {
+        success: true,
+        event: event,
+        attendanceLog: existingAttendance,
+        message: `Already checked in to "${session.title}"`
+      };
+    }
+
+    const timingValidation = this.validateSessionCheckInTiming(event, session);
+    if (!timingValidation.valid) {
+      return {
+        success: false,
+        error: 'Check-in not allowed',
+        message: timingValidation.message
+      };
+    }
+
+    const attendanceLog = await this.createAttendanceLog(
+      event.id,
+      participantUserId,
+      deviceInfo,
+      locationInfo,
+      sessionId
+    );
+
+    if (!attendanceLog) {
+      return {
+        success: false,
+        error: 'Check-in failed',
+        message: 'Failed to record your attendance. Please try again.'
+      };
+    }
+
+    await this.logQRScan(event.id, scannerUserId, qrData, deviceInfo, locationInfo, participantUserId, attendanceLog.id);
+    await this.countQRCodeScan(qrToken, event.id);
+    await LocalDatabaseService.saveAttendanceLog(attendanceLog);
+
+    return {
+      success: true,
+      event: event,
+      attendanceLog: attendanceLog,
+      message: `Successfully checked in to "${session.title}"!`
+    };
+  }
+
   /**
    * Look up QR code by token (8-character ID) and return its qr_data
    * SECURITY: 
@@ -369,15 +612,27 @@ export class QRScanService {
   /**
    * Validate QR code against server (security check)
    * This prevents fake QR codes from being used
-   * Called during sync to validate queued offline scans
+   * Called during sync to validate queued offline scans, with the time of the
+   * original scan so rotating codes are checked against that moment
    */
   static async validateQRCode(
     qrData: string,
     parsedData: QRScanData,
     eventId: string,
-    participantUserId: string
+    participantUserId: string,
+    scannedAt?: string
   ): Promise<{ valid: boolean; error?: string; message?: string }> {
     try {
+      const rotatingResult = await this.verifyRotatingQRCode(
+        parsedData,
+        eventId,
+        participantUserId,
+        scannedAt ? new Date(scannedAt) : new Date()
+      );
+      if (!rotatingResult.valid) {
+        return rotatingResult;
+      }
+
       const qrToken = parsedData.qrToken || parsedData.token;
 
       // If QR code has a token, validate it exists and is active
@@ -463,6 +718,115 @@ export class QRScanService {
     }
   }
 
+  /**
+   * Check the rotating code of events with qr_rotation_seconds set. Static
+   * codes, manual entry IDs and expired codes are rejected for those events.
+   * Works offline once the event's settings have been cached.
+   */
+  static async verifyRotatingQRCode(
+    parsedData: QRScanData,
+    eventId: string,
+    participantUserId: string,
+    scannedAt: Date = new Date()
+  ): Promise<{ valid: boolean; error?: string; message?: string }> {
+    const settings = await this.getRotatingQRSettings(eventId);
+
+    if (!settings) {
+      if (parsedData.totp) {
+        return {
+          valid: false,
+          error: 'Rotating code not verified',
+          message: 'Open the scanner once while online so rotating QR codes for this event can be verified offline.'
+        };
+      }
+      // Static code for an event not cached yet: validated on sync as before
+      return { valid: true };
+    }
+
+    if (!settings.rotation_seconds) {
+      return { valid: true };
+    }
+
+    if (!parsedData.totp) {
+      return {
+        valid: false,
+        error: 'Live QR code required',
+        message: 'This event uses rotating QR codes. Ask the participant to show the live code from their app. Screenshots, printed codes and manual entry IDs are not accepted.'
+      };
+    }
+
+    if (!settings.secret) {
+      return {
+        valid: false,
+        error: 'Not allowed',
+        message: 'Only organizers can verify rotating QR codes for this event.'
+      };
+    }
+
+    const participantKey = deriveParticipantKey(settings.secret, participantUserId);
+    if (!verifyRotatingCode(participantKey, String(parsedData.totp), settings.rotation_seconds, scannedAt)) {
+      return {
+        valid: false,
+        error: 'QR code expired',
+        message: 'This code has expired or was copied. Ask the participant to show the live code from their app.'
+      };
+    }
+
+    return { valid: true };
+  }
+
+  /**
+   * Cache the rotating code settings of today's and upcoming events, so the
+   * scanner can verify their codes without a connection
+   */
+  static async cacheRotatingQRSettings(organizerId?: string): Promise<void> {
+    if (!NetworkStatusMonitor.isOnline()) return;
+
+    try {
+      let query = supabase
+        .from('events')
+        .select('id')
+        .eq('status', 'published')
+        .gt('qr_rotation_seconds', 0)
+        .gte('end_date', getLocalDateString());
+
+      if (organizerId) {
+        query = query.eq('created_by', organizerId);
+      }
+
+      const { data } = await query.limit(50);
+      for (const event of data || []) {
+        await this.getRotatingQRSettings(event.id);
+      }
+    } catch (error) {
+      console.error('Error caching rotating QR settings:', error);
+    }
+  }
+
+  /**
+   * Rotation period and event secret, from the server when online (refreshing
+   * the cache) or from the device's secure storage when offline
+   */
+  private static async getRotatingQRSettings(eventId: string): Promise<RotatingQRSettings | null> {
+    const storageKey = `rotating_qr_${eventId}`;
+
+    try {
+      if (NetworkStatusMonitor.isOnline()) {
+        const { data, error } = await supabase.rpc('get_event_qr_settings', { event_uuid: eventId });
+        if (!error && data) {
+          await SecureStore.setItemAsync(storageKey, JSON.stringify(data));
+          return data;
+        }
+      }
+
+      const cached = await SecureStore.getItemAsync(storageKey);
+      return cached ? JSON.parse(cached) : null;
+    } catch (error) {
+      console.error('Error loading rotating QR settings:', error);
+      return null;
+    }
+  }
+
   /**
    * Verify that the event exists and is published
    * Supports offline fallback to local database
@@ -486,7 +850,9 @@ export class QRScanService {
             current_participants,
             status,
             check_in_before_minutes,
-            check_in_during_minutes
+            check_in_during_minutes,
+            min_attendance_days,
+            min_attendance_minutes
           `)
           .eq('id', eventId)
           .eq('status', 'published')
@@ -577,9 +943,10 @@ export class QRScanService {
     // Try to include check_in_date - if column doesn't exist, Supabase will return null for that field
     const { data, error } = await supabase
       .from('attendance_logs')
-      .select('id, check_in_time, check_in_method, is_validated, check_in_date')
+      .select('id, check_in_time, check_in_method, check_out_time, is_validated, check_in_date')
       .eq('event_id', eventId)
       .eq('user_id', userId)
+      .is('session_id', null)
       .order('check_in_time', { ascending: false });
 
     if (error) {
@@ -646,7 +1013,7 @@ export class QRScanService {
   /**
    * Validate if check-in is allowed at current time (supports multi-day events with daily check-in windows)
    */
-  private static validateCheckInTiming(event: any): { valid: boolean; message?: string } {
+  static validateCheckInTiming(event: any): { valid: boolean; message?: string } {
     const now = new Date();
     const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
     const eventStartDate = new Date(event.start_date);
@@ -675,7 +1042,7 @@ export class QRScanService {
 
     // For multi-day events, calculate daily check-in window based on start_time
     // Use the current date with the event's start_time
-    const currentDayStartTime = new Date(`${today.toISOString().split('T')[0]}T${event.start_time}`);
+    const currentDayStartTime = new Date(`${getLocalDateString(today)}T${event.start_time}`);
 
     // Calculate daily check-in window
     const dailyCheckInStart = new Date(currentDayStartTime.getTime() - (checkInBeforeMinutes * 60 * 1000));
@@ -701,6 +1068,35 @@ export class QRScanService {
     return { valid: true };
   }
 
+  /**
+   * Validate session check-in timing: the window opens check_in_before_minutes
+   * before the session starts and closes when the session ends
+   */
+  private static validateSessionCheckInTiming(event: any, session: any): { valid: boolean; message?: string } {
+    const now = new Date();
+    const checkInBeforeMinutes = event.check_in_before_minutes ?? 60;
+    const sessionStart = new Date(`${session.session_date}T${session.start_time}`);
+    const sessionEnd = new Date(`${session.session_date}T${session.end_time}`);
+    const checkInStart = new Date(sessionStart.getTime() - (checkInBeforeMinutes * 60 * 1000));
+
+    if (now < checkInStart) {
+      const startTimeStr = checkInStart.toLocaleString('en-US', { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' });
+      return {
+        valid: false,
+        message: `Check-in for "${session.title}" opens at ${startTimeStr}`
+      };
+    }
+
+    if (now > sessionEnd) {
+      return {
+        valid: false,
+        message: `"${session.title}" has already ended`
+      };
+    }
+
+    return { valid: true };
+  }
+
   /**
    * Create attendance log entry (with check_in_date for multi-day event support)
    */
@@ -708,10 +1104,11 @@ export class QRScanService {
     eventId: string,
     userId: string,
     deviceInfo?: any,
-    locationInfo?: any
+    locationInfo?: any,
+    sessionId?: string
   ) {
-    // Get current date in YYYY-MM-DD format
-    const today = new Date().toISOString().split('T')[0];
+    // Get current local date in YYYY-MM-DD format, so each event day gets its own check-in
+    const today = getLocalDateString();
     const now = new Date().toISOString();
 
     // Build attendance data - include check_in_date if column exists (after migration)
@@ -721,6 +1118,7 @@ export class QRScanService {
       check_in_method: 'qr_scan',
       check_in_time: now,
       check_in_date: today,
+      ...(sessionId ? { session_id: sessionId } : {}),
       is_validated: true, // Auto-validate QR scans
       validation_notes: 'QR code scan validated automatically'
     };
@@ -774,22 +1172,71 @@ export class QRScanService {
    * Update event participant count
    */
   private static async updateEventParticipantCount(eventId: string) {
-    // Get current count
-    const { count } = await supabase
+    // Multi-day events have one check-in per participant per day, so count people rather than rows
+    const { data } = await supabase
       .from('attendance_logs')
-      .select('*', { count: 'exact', head: true })
+      .select('user_id')
       .eq('event_id', eventId)
-      .eq('is_validated', true);
+      .eq('is_validated', true)
+      .is('session_id', null);
+
+    const count = new Set((data || []).map((log: any) => log.user_id)).size;
 
     // Update event with new count
     await supabase
       .from('events')
-      .update({ current_participants: count || 0 })
+      .update({ current_participants: count })
       .eq('id', eventId);
   }
 
   /**
-   * Log QR scan for analytics (if qr_code_scans table exists)
+   * Success message for an event-level check-in. Multi-day events also show
+   * the participant's day progress.
+   */
+  private static async getCheckInSuccessMessage(event: any, userId: string): Promise<string> {
+    const defaultMessage = 'Successfully checked in to the event!';
+    const totalDays = getEventDays(event.start_date, event.end_date).length;
+    if (totalDays <= 1) {
+      return defaultMessage;
+    }
+
+    const { data, error } = await supabase
+      .from('attendance_logs')
+      .select('check_in_date, check_in_time, is_validated, session_id')
+      .eq('event_id', event.id)
+      .eq('user_id', userId)
+      .is('session_id', null);
+
+    if (error || !data) {
+      return defaultMessage;
+    }
+
+    const attended = getAttendedDays(data).length;
+    const required = Math.min(event.min_attendance_days || 0, totalDays);
+    const progress = required > 0
+      ? `${attended} of ${required} required days attended`
+      : `${attended} of ${totalDays} days attended`;
+    const checkOutReminder = event.min_attendance_minutes > 0 ? ' Remember to check out when you leave.' : '';
+    return `Successfully checked in for today! ${progress}.${checkOutReminder}`;
+  }
+
+  /**
+   * Count a check-in against the QR code's max_scans, as the web kiosk does
+   * (record_qr_code_check_in in schemas/migrations/add_qr_code_scan_counting.sql).
+   * Failures never block the check-in.
+   */
+  private static async countQRCodeScan(qrToken: string | undefined, eventId: string) {
+    if (!qrToken) return;
+
+    try {
+      await supabase.rpc('record_qr_code_check_in', { qr_token_param: qrToken, event_uuid: eventId });
+    } catch (error) {
+      console.error('Error counting QR code scan:', error);
+    }
+  }
+
+  /**
+   * Log QR scan for analytics and the attendance anomaly report
    */
   private static async logQRScan(
     eventId: string,
@@ -797,11 +1244,18 @@ export class QRScanService {
     qrData: string,
     deviceInfo?: any,
     locationInfo?: any,
-    participantUserId?: string
+    participantUserId?: string,
+    attendanceLogId?: string,
+    outcome: 'checked_in' | 'already_checked_in' = 'checked_in'
   ) {
     try {
       const scanData = {
-        qr_code_id: null, // We don't have QR code IDs in this simple implementation
+        qr_code_id: null, // Participant codes have no qr_codes row
+        event_id: eventId,
+        participant_id: participantUserId || scannerUserId,
+        // Check-ins that only exist locally are linked when they sync
+        attendance_log_id: attendanceLogId && !attendanceLogId.startsWith('local-') ? attendanceLogId : null,
+        device_id: await this.getScannerDeviceId(),
         scanned_by: scannerUserId,
         scan_method: 'qr_scan',
         scan_context: 'event_checkin',
@@ -810,6 +1264,7 @@ export class QRScanService {
         scan_result: JSON.stringify({
           eventId,
           success: true,
+          outcome,
           participantUserId: participantUserId || scannerUserId
         }),
         is_valid: true,
@@ -828,6 +1283,19 @@ export class QRScanService {
     }
   }
 
+  /**
+   * Random identifier for this install, kept so the anomaly report can tell
+   * scanning devices apart
+   */
+  private static async getScannerDeviceId(): Promise<string> {
+    let deviceId = await SecureStore.getItemAsync(SCANNER_DEVICE_ID_KEY);
+    if (!deviceId) {
+      deviceId = Array.from({ length: 32 }, () => Math.floor(Math.random() * 16).toString(16)).join('');
+      await SecureStore.setItemAsync(SCANNER_DEVICE_ID_KEY, deviceId);
+    }
+    return deviceId;
+  }
+
   /**
    * Get user's attendance history
    */
@@ -875,6 +1343,7 @@ export class QRScanService {
         )
       `)
       .eq('event_id', eventId)
+      .is('session_id', null)
       .eq('is_validated', true)
       .order('check_in_time', { ascending: false });
 
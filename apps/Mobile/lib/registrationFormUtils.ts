@@ -0,0 +1,72 @@
+/**
+ * Registration form helpers (mirrors apps/Web/src/utils/registrationFormUtils.ts)
+ */
+
+export interface RegistrationQuestion {
+  id: string;
+  questionText: string;
+  questionType: string;
+  required?: boolean;
+  options?: string[];
+  scaleMin?: number;
+  scaleMax?: number;
+}
+
+export type RegistrationAnswers = Record<string, string | number | string[] | null | undefined>;
+
+export const questionHasOptions = (questionType: string): boolean =>
+  questionType === 'multiple-choice' || questionType === 'checkbox' || questionType === 'dropdown';
+
+const isBlank = (value: unknown): boolean =>
+  value === undefined ||
+  value === null ||
+  (typeof value === 'string' && value.trim() === '') ||
+  (Array.isArray(value) && value.length === 0);
+
+/**
+ * Check registration answers against the event form.
+ * Returns a map of question id -> error message (empty when valid).
+ */
+export function validateRegistrationAnswers(
+  form: RegistrationQuestion[] | null | undefined,
+  answers: RegistrationAnswers | null | undefined
+): Record<string, string> {
+  const errors: Record<string, string> = {};
+
+  (form || []).forEach(question => {
+    const value = answers?.[question.id];
+
+    if (isBlank(value)) {
+      if (question.required) {
+        errors[question.id] = 'This question is required';
+      }
+      return;
+    }
+
+    if (questionHasOptions(question.questionType) && question.options && question.options.length > 0) {
+      const values = Array.isArray(value) ? value : [value];
+      if (values.some(v => !question.options!.includes(String(v)))) {
+        errors[question.id] = 'Please choose one of the listed options';
+      }
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Keep only answers that belong to questions on the form
+ */
+export function pickRegistrationAnswers(
+  form: RegistrationQuestion[] | null | undefined,
+  answers: RegistrationAnswers | null | undefined
+): RegistrationAnswers {
+  const picked: RegistrationAnswers = {};
+  (form || []).forEach(question => {
+    const value = answers?.[question.id];
+    if (!isBlank(value)) {
+      picked[question.id] = value;
+    }
+  });
+  return picked;
+}
@@ -0,0 +1,139 @@
+import * as Location from 'expo-location';
+import { supabase } from './supabase';
+import { NetworkStatusMonitor } from './offline/networkStatus';
+import { LocalDatabaseService } from './offline/localDatabase';
+import { QRScanService } from './qrScanService';
+import { getLocalDateString } from './attendanceDayUtils';
+
+export interface VenueGeofence {
+  id: string;
+  name: string;
+  latitude: number;
+  longitude: number;
+  geofence_radius_meters: number;
+}
+
+export interface SelfCheckInAvailability {
+  available: boolean;
+  venue?: VenueGeofence;
+  checkedInToday?: boolean;
+  reason?: string;
+}
+
+const EARTH_RADIUS_METERS = 6371000;
+
+const toRadians = (degrees: number) => (degrees * Math.PI) / 180;
+
+// Same haversine formula as self_check_in(), so the pre-check agrees with the server
+const getDistanceMeters = (lat1: number, lng1: number, lat2: number, lng2: number): number => {
+  const dLat = toRadians(lat2 - lat1);
+  const dLng = toRadians(lng2 - lng1);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLng / 2) ** 2;
+  return Math.round(2 * EARTH_RADIUS_METERS * Math.asin(Math.min(1, Math.sqrt(a))));
+};
+
+/**
+ * Self check-in for registered participants standing inside the venue
+ * geofence during the check-in window. The server measures the distance
+ * and checks the window again on its own clock, and stores the distance as
+ * location evidence on the attendance log.
+ */
+export class SelfCheckInService {
+  /**
+   * Whether the event's venue allows self check-in, and whether the user
+   * already checked in today
+   */
+  static async getAvailability(event: any, userId: string): Promise<SelfCheckInAvailability> {
+    try {
+      if (!event?.venue || !NetworkStatusMonitor.isOnline()) {
+        return { available: false };
+      }
+
+      const { data: venue, error } = await supabase
+        .from('venues')
+        .select('id, name, latitude, longitude, geofence_radius_meters, requires_location_validation')
+        .eq('name', event.venue)
+        .eq('is_active', true)
+        .maybeSingle();
+
+      if (error || !venue || !venue.requires_location_validation || venue.latitude == null || venue.longitude == null) {
+        return { available: false };
+      }
+
+      const { data: todayLog } = await supabase
+        .from('attendance_logs')
+        .select('id')
+        .eq('event_id', event.id)
+        .eq('user_id', userId)
+        .eq('check_in_date', getLocalDateString())
+        .is('session_id', null)
+        .limit(1)
+        .maybeSingle();
+
+      const geofence: VenueGeofence = {
+        id: venue.id,
+        name: venue.name,
+        latitude: Number(venue.latitude),
+        longitude: Number(venue.longitude),
+        geofence_radius_meters: venue.geofence_radius_meters
+      };
+
+      if (todayLog) {
+        return { available: false, venue: geofence, checkedInToday: true };
+      }
+
+      const timing = QRScanService.validateCheckInTiming(event);
+      return { available: timing.valid, venue: geofence, checkedInToday: false, reason: timing.message };
+    } catch (error) {
+      console.error('Error checking self check-in availability:', error);
+      return { available: false };
+    }
+  }
+
+  static async checkIn(event: any, venue: VenueGeofence, userId: string): Promise<{ attendanceLog?: any; error?: string }> {
+    try {
+      if (!NetworkStatusMonitor.isOnline()) {
+        return { error: 'Self check-in needs an internet connection' };
+      }
+
+      const timing = QRScanService.validateCheckInTiming(event);
+      if (!timing.valid) {
+        return { error: timing.message };
+      }
+
+      const permission = await Location.requestForegroundPermissionsAsync();
+      if (permission.status !== 'granted') {
+        return { error: 'Allow location access to check in at the venue' };
+      }
+
+      const position = await Location.getCurrentPositionAsync({ accuracy: Location.Accuracy.High });
+      const { latitude, longitude, accuracy } = position.coords;
+
+      const distance = getDistanceMeters(venue.latitude, venue.longitude, latitude, longitude);
+      if (distance > venue.geofence_radius_meters) {
+        return {
+          error: `You are ${distance} m from ${venue.name}. Move within ${venue.geofence_radius_meters} m of the venue to check in.`
+        };
+      }
+
+      const { data, error } = await supabase.rpc('self_check_in', {
+        event_uuid: event.id,
+        user_lat: latitude,
+        user_lng: longitude,
+        accuracy_meters: accuracy != null ? Math.round(accuracy) : null
+      });
+
+      if (error) {
+        return { error: error.message };
+      }
+
+      await LocalDatabaseService.saveAttendanceLog({ ...data, user_id: userId });
+
+      return { attendanceLog: data };
+    } catch (error) {
+      console.error('Error during self check-in:', error);
+      return { error: 'An unexpected error occurred' };
+    }
+  }
+}
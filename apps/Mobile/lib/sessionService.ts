@@ -0,0 +1,139 @@
+import { supabase } from './supabase';
+import { GuestSpeaker } from './speakerService';
+
+export interface EventSession {
+  id: string;
+  event_id: string;
+  title: string;
+  description?: string | null;
+  session_date: string;
+  start_time: string;
+  end_time: string;
+  room?: string | null;
+  track?: string | null;
+  speaker_id?: string | null;
+  requires_signup: boolean;
+  max_participants?: number | null;
+  session_order: number;
+  speaker?: GuestSpeaker | null;
+  event?: { id: string; title: string } | null;
+  signups?: number;
+}
+
+export class SessionService {
+  static async getEventSessions(eventId: string): Promise<{ sessions?: EventSession[]; error?: string }> {
+    try {
+      const { data, error } = await supabase
+        .from('event_sessions')
+        .select(`
+          *,
+          speaker:guest_speakers (*)
+        `)
+        .eq('event_id', eventId)
+        .order('session_date', { ascending: true })
+        .order('start_time', { ascending: true })
+        .order('session_order', { ascending: true });
+
+      if (error) {
+        return { error: error.message };
+      }
+
+      // Sign-up counts come from a SECURITY DEFINER function because
+      // participants can only read their own sign-ups
+      const { data: counts } = await supabase.rpc('get_session_signup_counts', { event_uuid: eventId });
+      const countBySession = new Map<string, number>(
+        (counts || []).map((row: { session_id: string; signups: number }) => [row.session_id, Number(row.signups)])
+      );
+
+      return {
+        sessions: (data || []).map(session => ({ ...session, signups: countBySession.get(session.id) || 0 }))
+      };
+    } catch (error) {
+      return { error: 'An unexpected error occurred' };
+    }
+  }
+
+  /**
+   * Sessions taking place today, for the check-in session picker.
+   * Organizers see sessions of their own events.
+   */
+  static async getTodaySessions(organizerId?: string): Promise<{ sessions?: EventSession[]; error?: string }> {
+    try {
+      const now = new Date();
+      const today = `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}-${String(now.getDate()).padStart(2, '0')}`;
+
+      let query = supabase
+        .from('event_sessions')
+        .select(`
+          *,
+          event:events!inner (id, title, created_by)
+        `)
+        .eq('session_date', today);
+
+      if (organizerId) {
+        query = query.eq('event.created_by', organizerId);
+      }
+
+      const { data, error } = await query.order('start_time', { ascending: true });
+
+      if (error) {
+        return { error: error.message };
+      }
+
+      return { sessions: data || [] };
+    } catch (error) {
+      return { error: 'An unexpected error occurred' };
+    }
+  }
+
+  static async registerForSession(sessionId: string): Promise<{ error?: string }> {
+    try {
+      // Capacity and event registration are checked in the database function
+      const { error } = await supabase.rpc('register_for_session', { session_uuid: sessionId });
+
+      if (error) {
+        return { error: error.message };
+      }
+
+      return {};
+    } catch (error) {
+      return { error: 'An unexpected error occurred' };
+    }
+  }
+
+  static async unregisterFromSession(sessionId: string, userId: string): Promise<{ error?: string }> {
+    try {
+      const { error } = await supabase
+        .from('session_registrations')
+        .delete()
+        .eq('session_id', sessionId)
+        .eq('user_id', userId);
+
+      if (error) {
+        return { error: error.message };
+      }
+
+      return {};
+    } catch (error) {
+      return { error: 'An unexpected error occurred' };
+    }
+  }
+
+  static async getUserSessionRegistrations(eventId: string, userId: string): Promise<{ sessionIds?: string[]; error?: string }> {
+    try {
+      const { data, error } = await supabase
+        .from('session_registrations')
+        .select('session_id')
+        .eq('event_id', eventId)
+        .eq('user_id', userId);
+
+      if (error) {
+        return { error: error.message };
+      }
+
+      return { sessionIds: (data || []).map(row => row.session_id) };
+    } catch (error) {
+      return { error: 'An unexpected error occurred' };
+    }
+  }
+}
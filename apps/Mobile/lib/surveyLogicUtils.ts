@@ -0,0 +1,136 @@
+/**
+ * Survey branching and skip logic (mirrors apps/Web/src/utils/surveyLogicUtils.ts)
+ */
+
+export type SurveyConditionOperator =
+  | 'equals'
+  | 'not_equals'
+  | 'includes'
+  | 'not_includes'
+  | 'less_or_equal'
+  | 'greater_or_equal'
+  | 'answered'
+  | 'not_answered';
+
+/** A condition on the answer to an earlier question */
+export interface SurveyCondition {
+  questionId: string;
+  operator: SurveyConditionOperator;
+  value?: string;
+}
+
+/** Skip to a later section (by sectionIndex) or to the end when the answer matches */
+export interface SurveySkipRule {
+  operator: SurveyConditionOperator;
+  value?: string;
+  goTo: number | 'end';
+}
+
+export interface SurveyLogicQuestion {
+  id?: string;
+  question?: string;
+  sectionIndex?: number;
+  sectionCondition?: SurveyCondition | null;
+  skipRule?: SurveySkipRule | null;
+}
+
+export type SurveyAnswers = Record<string, any>;
+
+export const getQuestionId = (question: SurveyLogicQuestion, index: number): string =>
+  question.id || question.question || `q_${index}`;
+
+const isAnswered = (answer: any): boolean => {
+  if (answer === undefined || answer === null) return false;
+  if (typeof answer === 'string') return answer.trim() !== '';
+  if (Array.isArray(answer)) return answer.length > 0;
+  if (typeof answer === 'object') return Object.keys(answer).length > 0;
+  return true;
+};
+
+/**
+ * Check an answer against an operator and value. An unanswered question
+ * only matches not_answered.
+ */
+export function matchesCondition(answer: any, operator: SurveyConditionOperator, value?: string): boolean {
+  if (operator === 'answered') return isAnswered(answer);
+  if (operator === 'not_answered') return !isAnswered(answer);
+  if (!isAnswered(answer)) return false;
+
+  const expected = String(value ?? '');
+  switch (operator) {
+    case 'equals':
+      return String(answer) === expected;
+    case 'not_equals':
+      return String(answer) !== expected;
+    case 'includes':
+      return Array.isArray(answer) ? answer.map(String).includes(expected) : String(answer) === expected;
+    case 'not_includes':
+      return Array.isArray(answer) ? !answer.map(String).includes(expected) : String(answer) !== expected;
+    case 'less_or_equal':
+    case 'greater_or_equal': {
+      const number = parseFloat(String(answer));
+      const limit = parseFloat(expected);
+      if (isNaN(number) || isNaN(limit)) return false;
+      return operator === 'less_or_equal' ? number <= limit : number >= limit;
+    }
+    default:
+      return false;
+  }
+}
+
+/**
+ * The ids of the questions a respondent is shown for their answers so far,
+ * in survey order. A section is shown when its condition matches an answer
+ * the respondent gave to a question they were shown; a matching skip rule
+ * hides everything after its question up to the target section.
+ */
+export function getVisibleQuestionIds(
+  questions: SurveyLogicQuestion[] | null | undefined,
+  answers: SurveyAnswers | null | undefined
+): string[] {
+  const visible: string[] = [];
+  const shownAnswers: SurveyAnswers = {};
+  let skipTo: number | 'end' | null = null;
+
+  const list = questions || [];
+  for (let index = 0; index < list.length; index++) {
+    if (skipTo === 'end') break;
+
+    const question = list[index];
+    const sectionIndex = question.sectionIndex;
+    if (skipTo !== null) {
+      if (sectionIndex === undefined || sectionIndex < skipTo) continue;
+      skipTo = null;
+    }
+
+    const condition = question.sectionCondition;
+    if (condition && !matchesCondition(shownAnswers[condition.questionId], condition.operator, condition.value)) {
+      continue;
+    }
+
+    const questionId = getQuestionId(question, index);
+    visible.push(questionId);
+    shownAnswers[questionId] = answers?.[questionId];
+
+    const rule = question.skipRule;
+    if (rule && matchesCondition(answers?.[questionId], rule.operator, rule.value)) {
+      skipTo = rule.goTo;
+    }
+  }
+
+  return visible;
+}
+
+/** Drop the answers to questions the respondent was not shown, before submitting */
+export function getVisibleAnswers(
+  questions: SurveyLogicQuestion[] | null | undefined,
+  answers: SurveyAnswers | null | undefined
+): SurveyAnswers {
+  const visibleAnswers: SurveyAnswers = {};
+  getVisibleQuestionIds(questions, answers).forEach(questionId => {
+    if (answers && questionId in answers) {
+      visibleAnswers[questionId] = answers[questionId];
+    }
+  });
+  return visibleAnswers;
+}
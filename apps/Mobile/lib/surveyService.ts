@@ -4,6 +4,7 @@ import { NetworkStatusMonitor } from './offline/networkStatus';
 import { LocalDatabaseService } from './offline/localDatabase';
 import { SyncQueueService, SyncPriority } from './offline/syncQueue';
 import { DataType } from './offline/conflictResolution';
+import { EventService } from './eventService';
 
 export interface Survey {
   id: string;
@@ -69,6 +70,21 @@ export class SurveyService {
         };
       }
 
+      // Step 2b: Multi-day events can require a minimum number of attended days
+      const dayCheck = await EventService.checkAttendanceDayRequirement(eventValidation.event, userId);
+      if (!dayCheck.eligible) {
+        return {
+          error: dayCheck.error,
+          validationInfo: {
+            step: 'attendance_verification',
+            failed: true,
+            reason: 'attendance_days',
+            attendedDays: dayCheck.attended,
+            requiredDays: dayCheck.required
+          }
+        };
+      }
+
       // Step 3: Get survey for this specific event
       const { data, error } = await supabase
         .from('surveys')
@@ -139,7 +155,7 @@ export class SurveyService {
     try {
       const { data, error } = await supabase
         .from('events')
-        .select('id, title, status, start_date, end_date, start_time, end_time')
+        .select('id, title, status, start_date, end_date, start_time, end_time, min_attendance_days, min_attendance_minutes')
         .eq('id', eventId)
         .eq('status', 'published')  // Only allow access to published events
         .single();
@@ -539,7 +555,7 @@ export class SurveyService {
     surveyId: string,
     userId: string,
     responses: Record<string, any>
-  ): Promise<{ response?: SurveyResponse; error?: string; queued?: boolean }> {
+  ): Promise<{ response?: SurveyResponse; error?: string; queued?: boolean; certificateQueued?: boolean }> {
     try {
       const responseData = {
         survey_id: surveyId,
@@ -569,7 +585,8 @@ export class SurveyService {
           } else if (data) {
             // Save to local database
             await LocalDatabaseService.saveSurveyResponse(data);
-            return { response: data, error: undefined, queued: false };
+            const certificateQueued = await this.autoIssueCertificate(surveyId, userId);
+            return { response: data, error: undefined, queued: false, certificateQueued };
           }
         } catch (error) {
           console.error('Network error, queueing response:', error);
@@ -628,6 +645,35 @@ export class SurveyService {
     }
   }
 
+  /**
+   * Queue the participant's certificate if the event auto-issues them and
+   * this response made them eligible. Failures only mean the participant
+   * gets the certificate from the certificate screen instead.
+   */
+  private static async autoIssueCertificate(surveyId: string, userId: string): Promise<boolean> {
+    try {
+      const { data: survey } = await supabase
+        .from('surveys')
+        .select('event_id')
+        .eq('id', surveyId)
+        .single();
+
+      if (!survey?.event_id) {
+        return false;
+      }
+
+      const { CertificateService } = await import('./certificateService');
+      const result = await CertificateService.autoIssueCertificate(survey.event_id, userId);
+      if (result.error) {
+        console.error('Automatic certificate issuance failed:', result.error);
+      }
+      return !!result.queued;
+    } catch (error) {
+      console.error('Automatic certificate issuance failed:', error);
+      return false;
+    }
+  }
+
   static async checkExistingResponse(
     surveyId: string,
     userId: string
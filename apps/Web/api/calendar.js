@@ -0,0 +1,73 @@
+/**
+ * Calendar Feed (Vercel serverless function)
+ *
+ * Serves subscribable iCalendar feeds:
+ *   GET /api/calendar?feed=public            - published events
+ *   GET /api/calendar?feed=user&token=<uuid> - events the token's owner registered for
+ *
+ * Calendar apps poll these URLs without a login, so the personal feed is
+ * identified by its secret token and both feeds are read through
+ * SECURITY DEFINER functions (see schemas/migrations/add_calendar_feeds.sql).
+ */
+
+import { createClient } from '@supabase/supabase-js';
+import { buildICalendar } from '../src/utils/icalUtils.js';
+
+const supabaseUrl = process.env.VITE_SUPABASE_URL;
+const supabaseAnonKey = process.env.VITE_SUPABASE_ANON_KEY;
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET' && req.method !== 'HEAD') {
+    res.status(405).send('Method not allowed');
+    return;
+  }
+
+  if (!supabaseUrl || !supabaseAnonKey) {
+    console.error('Missing Supabase environment variables');
+    res.status(500).send('Calendar feed is not configured');
+    return;
+  }
+
+  const supabase = createClient(supabaseUrl, supabaseAnonKey, {
+    auth: { persistSession: false }
+  });
+
+  const { feed = 'public', token } = req.query;
+  let result;
+  let calendarName;
+
+  if (feed === 'user') {
+    if (!token || !UUID_PATTERN.test(token)) {
+      res.status(400).send('A valid feed token is required');
+      return;
+    }
+    result = await supabase.rpc('get_user_calendar_events', { feed_token: token });
+    calendarName = 'My GanApp Events';
+  } else if (feed === 'public') {
+    result = await supabase.rpc('get_public_calendar_events');
+    calendarName = 'GanApp Events';
+  } else {
+    res.status(400).send('Unknown feed');
+    return;
+  }
+
+  if (result.error) {
+    console.error('Error loading calendar feed:', result.error);
+    res.status(500).send('Failed to load calendar feed');
+    return;
+  }
+
+  const origin = `https://${req.headers['x-forwarded-host'] || req.headers.host}`;
+  const calendar = buildICalendar(result.data || [], {
+    name: calendarName,
+    eventUrl: () => `${origin}/events`
+  });
+
+  res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+  res.setHeader('Content-Disposition', `inline; filename="${feed === 'user' ? 'my-events' : 'events'}.ics"`);
+  // Personal feeds must not be cached by shared caches
+  res.setHeader('Cache-Control', feed === 'user' ? 'private, max-age=900' : 'public, max-age=900');
+  res.status(200).send(calendar);
+}
@@ -0,0 +1,314 @@
+/**
+ * Certificate Signing (Vercel serverless function)
+ *
+ *   GET  /api/certificate-signature - the public signing keys as a JWK set
+ *   POST /api/certificate-signature - sign a certificate a job is rendering
+ *        body: { jobId, certificateNumber }, Authorization: Bearer <access token>
+ *
+ * Certificates are rendered by the job worker in whichever browser picks the
+ * job up, so the private key stays here and the signed details come from the
+ * job, the event and the participant's profile rather than from the request.
+ * The job must have been queued by the participant or by the event organizer,
+ * as in reissue_certificate (see schemas/migrations/add_certificate_signatures.sql),
+ * and a participant's own job is only signed once they meet the event's
+ * certificate rules.
+ * The headless worker (scripts/certificate-worker.js) runs next to the key
+ * and calls signCertificateJob directly.
+ */
+
+import { createClient } from '@supabase/supabase-js';
+import { createHash, createPrivateKey, createPublicKey, sign } from 'crypto';
+import {
+  CERTIFICATE_SIGNATURE_ALG,
+  CERTIFICATE_TOKEN_TYPE,
+  buildCertificateClaims,
+  getCertificateSigningInput
+} from '../src/utils/certificateSignatureUtils.js';
+import { getUnmetCertificateRules } from '../src/utils/certificateEligibilityCheck.js';
+
+const supabaseUrl = process.env.VITE_SUPABASE_URL;
+const supabaseServiceKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
+// PKCS#8 PEM, e.g. from `openssl genpkey -algorithm ed25519`
+const signingKeyPem = process.env.CERTIFICATE_SIGNING_KEY;
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+let signingKey;
+
+const loadSigningKey = () => {
+  if (signingKey !== undefined) return signingKey;
+  if (!signingKeyPem) {
+    signingKey = null;
+    return signingKey;
+  }
+
+  // Environment variables often carry the PEM newlines escaped
+  const privateKey = createPrivateKey(signingKeyPem.replace(/\\n/g, '\n'));
+  const { crv, kty, x } = createPublicKey(privateKey).export({ format: 'jwk' });
+  // RFC 7638 thumbprint, so verifiers can tell keys apart after a rotation
+  const kid = createHash('sha256').update(JSON.stringify({ crv, kty, x })).digest('base64url');
+
+  signingKey = { privateKey, jwk: { kty, crv, x, kid, alg: CERTIFICATE_SIGNATURE_ALG, use: 'sig' } };
+  return signingKey;
+};
+
+const formatHolderName = (user) => {
+  const parts = [user.prefix, user.first_name, user.middle_initial, user.last_name, user.affix].filter(Boolean);
+  return parts.length > 0 ? parts.join(' ') : user.email?.split('@')[0] || 'Participant';
+};
+
+const toDateOnly = (value) => String(value || '').split('T')[0];
+
+// Profiles live in auth.users metadata, read with the service role
+const getAuthUser = async (supabase, userId) => {
+  if (!UUID_PATTERN.test(userId || '')) return null;
+  const { data, error } = await supabase.auth.admin.getUserById(userId);
+  if (error) {
+    console.error('Error loading user:', error);
+    return null;
+  }
+  return data?.user || null;
+};
+
+/**
+ * Whether the participant meets the event's certificate rules, read with the
+ * service role like CertificateService.checkCertificateEligibility
+ */
+async function checkEligibility(supabase, event, userId) {
+  const [attendanceResult, surveyResult, evaluationResult, approvalResult] = await Promise.all([
+    supabase
+      .from('attendance_logs')
+      .select('check_in_date, check_in_time, check_out_time, is_validated, session_id')
+      .eq('event_id', event.id)
+      .eq('user_id', userId),
+    supabase
+      .from('survey_responses')
+      .select('id, surveys!inner(event_id)')
+      .eq('user_id', userId)
+      .eq('surveys.event_id', event.id)
+      .limit(1),
+    supabase
+      .from('evaluation_responses')
+      .select('id, evaluations!inner(event_id)')
+      .eq('user_id', userId)
+      .eq('evaluations.event_id', event.id)
+      .limit(1),
+    supabase
+      .from('certificate_approvals')
+      .select('id')
+      .eq('event_id', event.id)
+      .eq('user_id', userId)
+      .maybeSingle()
+  ]);
+
+  const failed = [attendanceResult, surveyResult, evaluationResult, approvalResult].find(result => result.error);
+  if (failed) {
+    console.error('Error checking certificate eligibility:', failed.error);
+    return { status: 500, error: 'Failed to check certificate eligibility' };
+  }
+
+  const unmet = getUnmetCertificateRules(event, {
+    logs: attendanceResult.data || [],
+    evaluationSubmitted: (surveyResult.data || []).length > 0 || (evaluationResult.data || []).length > 0,
+    isApproved: !!approvalResult.data
+  });
+  if (unmet.length > 0) {
+    return { status: 403, error: 'The participant does not meet the certificate requirements for this event' };
+  }
+
+  return {};
+}
+
+/**
+ * The holder name and completion date a job's certificate may be signed
+ * with. Participants get the name on their profile and the event date, once
+ * they meet the certificate rules. The organizer vouches for the certificates
+ * they issue themselves, and a reissue keeps the date of the certificate it
+ * replaces with the organizer's corrected name.
+ */
+async function resolveSignedDetails(supabase, job, event, queuedByOrganizer) {
+  const jobData = job.job_data || {};
+
+  if (jobData.replacesCertificateId) {
+    const { data: replaced } = UUID_PATTERN.test(jobData.replacesCertificateId)
+      ? await supabase
+        .from('certificates')
+        .select('id, event_id, user_id, completion_date, status')
+        .eq('id', jobData.replacesCertificateId)
+        .maybeSingle()
+      : { data: null };
+
+    if (!replaced || replaced.event_id !== event.id || replaced.user_id !== jobData.userId
+      || replaced.status !== 'valid') {
+      return { status: 404, error: 'Certificate to reissue not found' };
+    }
+    if (!queuedByOrganizer) {
+      return { status: 403, error: 'Only the event organizer can reissue this certificate' };
+    }
+    return { participantName: jobData.participantName, completionDate: replaced.completion_date };
+  }
+
+  if (job.created_by === event.created_by) {
+    return { participantName: jobData.participantName, completionDate: jobData.completionDate };
+  }
+
+  const holder = await getAuthUser(supabase, jobData.userId);
+  if (!holder) {
+    return { status: 404, error: 'Participant not found' };
+  }
+
+  const participantName = formatHolderName({ ...holder.user_metadata, email: holder.email });
+  const completionDate = toDateOnly(event.start_date);
+  if ((jobData.participantName || '').trim() !== participantName
+    || toDateOnly(jobData.completionDate) !== completionDate) {
+    return { status: 409, error: 'The certificate details do not match the participant and event' };
+  }
+
+  const eligibility = await checkEligibility(supabase, event, jobData.userId);
+  if (eligibility.error) {
+    return eligibility;
+  }
+
+  return { participantName, completionDate };
+}
+
+/**
+ * Sign the certificate a job is rendering, after checking the job, who
+ * queued it and the details it certifies. requesterId is the signed-in user
+ * asking through the API, who must be the participant or the event
+ * organizer; the headless worker signs without one. Resolves to { token },
+ * or { status, error } with the HTTP status the API answers with.
+ */
+export async function signCertificateJob(supabase, jobId, certificateNumber, requesterId) {
+  const key = loadSigningKey();
+  if (!key) {
+    return { status: 503, error: 'Certificate signing is not configured' };
+  }
+
+  if (!jobId || !UUID_PATTERN.test(jobId) || typeof certificateNumber !== 'string'
+    || !certificateNumber.trim() || certificateNumber.length > 100) {
+    return { status: 400, error: 'A job and certificate number are required' };
+  }
+
+  const { data: job, error: jobError } = await supabase
+    .from('job_queue')
+    .select('id, job_type, status, job_data, created_by')
+    .eq('id', jobId)
+    .maybeSingle();
+
+  if (jobError) {
+    console.error('Error loading certificate job:', jobError);
+    return { status: 500, error: 'Failed to load the certificate job' };
+  }
+  if (!job || job.job_type !== 'certificate_generation' || job.status !== 'processing') {
+    return { status: 404, error: 'Certificate job not found' };
+  }
+
+  const jobData = job.job_data || {};
+  if (!UUID_PATTERN.test(jobData.eventId || '')) {
+    return { status: 400, error: 'Only event certificates are signed' };
+  }
+
+  const { data: event } = await supabase
+    .from('events')
+    .select('id, title, created_by, start_date, end_date, min_attendance_days, min_attendance_minutes, min_sessions_for_certificate, certificate_rules')
+    .eq('id', jobData.eventId)
+    .maybeSingle();
+
+  if (!event) {
+    return { status: 404, error: 'Event not found' };
+  }
+
+  if (requesterId !== undefined && requesterId !== jobData.userId && requesterId !== event.created_by) {
+    return { status: 403, error: 'Only the participant or the event organizer can sign this certificate' };
+  }
+
+  let queuedByOrganizer = !!job.created_by && job.created_by === event.created_by;
+  if (!queuedByOrganizer && job.created_by && job.created_by !== jobData.userId) {
+    const queuedBy = await getAuthUser(supabase, job.created_by);
+    // Same check as is_admin()
+    queuedByOrganizer = queuedBy?.user_metadata?.role === 'admin' || queuedBy?.app_metadata?.role === 'admin';
+  }
+  if (!queuedByOrganizer && (!job.created_by || job.created_by !== jobData.userId)) {
+    return { status: 403, error: 'This certificate job was not queued by the participant or the organizer' };
+  }
+
+  const details = await resolveSignedDetails(supabase, job, event, queuedByOrganizer);
+  if (details.error) {
+    return details;
+  }
+
+  const { data: numberInUse } = await supabase
+    .from('certificates')
+    .select('id')
+    .eq('certificate_number', certificateNumber)
+    .neq('status', 'superseded')
+    .maybeSingle();
+
+  if (numberInUse) {
+    return { status: 409, error: 'This certificate number is already in use' };
+  }
+
+  const claims = buildCertificateClaims({
+    certificateNumber,
+    participantName: details.participantName,
+    eventId: event.id,
+    eventTitle: event.title,
+    completionDate: details.completionDate
+  });
+  const header = { alg: CERTIFICATE_SIGNATURE_ALG, typ: CERTIFICATE_TOKEN_TYPE, kid: key.jwk.kid };
+  const signingInput = getCertificateSigningInput(header, claims);
+  const signature = sign(null, Buffer.from(signingInput), key.privateKey).toString('base64url');
+
+  return { token: `${signingInput}.${signature}` };
+}
+
+export default async function handler(req, res) {
+  if (req.method === 'GET' || req.method === 'HEAD') {
+    const key = loadSigningKey();
+    res.setHeader('Cache-Control', 'public, max-age=3600');
+    res.status(200).json({ keys: key ? [key.jwk] : [] });
+    return;
+  }
+
+  if (req.method !== 'POST') {
+    res.status(405).json({ error: 'Method not allowed' });
+    return;
+  }
+
+  const key = loadSigningKey();
+  if (!key) {
+    // The job worker stores certificates unsigned when signing is not set up
+    res.status(503).json({ error: 'Certificate signing is not configured' });
+    return;
+  }
+
+  if (!supabaseUrl || !supabaseServiceKey) {
+    console.error('Missing Supabase environment variables');
+    res.status(500).json({ error: 'Certificate signing is not configured' });
+    return;
+  }
+
+  const supabase = createClient(supabaseUrl, supabaseServiceKey, {
+    auth: { persistSession: false }
+  });
+
+  const accessToken = (req.headers.authorization || '').replace(/^Bearer\s+/i, '');
+  const { data: authData, error: authError } = accessToken
+    ? await supabase.auth.getUser(accessToken)
+    : { data: null, error: true };
+  if (authError || !authData?.user) {
+    res.status(401).json({ error: 'Please sign in again' });
+    return;
+  }
+
+  const { jobId, certificateNumber } = req.body || {};
+  const result = await signCertificateJob(supabase, jobId, certificateNumber, authData.user.id);
+  if (result.error) {
+    res.status(result.status).json({ error: result.error });
+    return;
+  }
+
+  res.setHeader('Cache-Control', 'no-store');
+  res.status(200).json({ token: result.token });
+}
@@ -0,0 +1,76 @@
+/**
+ * Open Badges hosted verification (Vercel serverless function)
+ *
+ *   GET /api/open-badge?certificate=<number>              - the Assertion
+ *   GET /api/open-badge?certificate=<number>&part=badge   - its BadgeClass
+ *   GET /api/open-badge?certificate=<number>&part=issuer  - its Issuer
+ *
+ * Badge backpacks and validators fetch these without a login, so the
+ * certificate is read through the get_certificate_badge SECURITY DEFINER
+ * function (see schemas/migrations/add_open_badges.sql), which only returns
+ * the recipient's email hashed.
+ */
+
+import { createClient } from '@supabase/supabase-js';
+import {
+  buildOpenBadgeAssertion,
+  buildOpenBadgeClass,
+  buildOpenBadgeIssuer
+} from '../src/utils/openBadgeUtils.js';
+
+const supabaseUrl = process.env.VITE_SUPABASE_URL;
+const supabaseAnonKey = process.env.VITE_SUPABASE_ANON_KEY;
+const issuerEmail = process.env.OPEN_BADGES_ISSUER_EMAIL;
+
+const PARTS = ['assertion', 'badge', 'issuer'];
+
+export default async function handler(req, res) {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+
+  if (req.method !== 'GET' && req.method !== 'HEAD') {
+    res.status(405).json({ error: 'Method not allowed' });
+    return;
+  }
+
+  if (!supabaseUrl || !supabaseAnonKey) {
+    console.error('Missing Supabase environment variables');
+    res.status(500).json({ error: 'Open Badges are not configured' });
+    return;
+  }
+
+  const { certificate, part = 'assertion' } = req.query;
+  if (!certificate || !PARTS.includes(part)) {
+    res.status(400).json({ error: 'A certificate number and a valid part are required' });
+    return;
+  }
+
+  const supabase = createClient(supabaseUrl, supabaseAnonKey, {
+    auth: { persistSession: false }
+  });
+
+  const { data, error } = await supabase
+    .rpc('get_certificate_badge', { certificate_number_text: certificate })
+    .maybeSingle();
+
+  if (error) {
+    console.error('Error loading certificate badge:', error);
+    res.status(500).json({ error: 'Failed to load the badge' });
+    return;
+  }
+  if (!data || !data.recipient_identity) {
+    res.status(404).json({ error: 'Badge not found' });
+    return;
+  }
+
+  const origin = `https://${req.headers['x-forwarded-host'] || req.headers.host}`;
+  const body = part === 'badge'
+    ? buildOpenBadgeClass(data, origin)
+    : part === 'issuer'
+      ? buildOpenBadgeIssuer(data, origin, issuerEmail)
+      : buildOpenBadgeAssertion(data, origin);
+
+  res.setHeader('Content-Type', 'application/ld+json; charset=utf-8');
+  // Short, so revocations reach validators quickly
+  res.setHeader('Cache-Control', 'public, max-age=300');
+  res.status(200).send(JSON.stringify(body));
+}
@@ -0,0 +1,15 @@
+/**
+ * Supabase client for the certificate worker. scripts/certificate-worker.js
+ * loads it in place of src/lib/supabaseClient.js, so the services it runs
+ * use the service role instead of a signed-in browser session.
+ */
+
+import { createClient } from '@supabase/supabase-js';
+
+export const supabase = createClient(process.env.VITE_SUPABASE_URL, process.env.SUPABASE_SERVICE_ROLE_KEY, {
+  auth: {
+    autoRefreshToken: false,
+    persistSession: false,
+    detectSessionInUrl: false
+  }
+});
@@ -0,0 +1,278 @@
+/**
+ * Certificate Worker
+ *
+ * Renders queued certificates on the server, so they no longer wait for an
+ * organizer to keep a tab open (see src/hooks/useJobWorker.ts). It claims
+ * certificate_generation jobs from job_queue and runs them through the same
+ * CertificateJobProcessor and certificateGenerator code as the browser,
+ * loaded through Vite and drawn with @napi-rs/canvas. The PDF and PNG are
+ * uploaded to storage as the browser worker does.
+ *
+ * Usage (from apps/Web):
+ *   npm run worker:certificates            keep polling the queue
+ *   npm run worker:certificates -- --once  work through the queue, then exit
+ *
+ * Environment (read from apps/Web/.env files as well):
+ *   VITE_SUPABASE_URL, SUPABASE_SERVICE_ROLE_KEY   required
+ *   CERTIFICATE_SIGNING_KEY             signs event certificates, as /api/certificate-signature does
+ *   CERTIFICATE_APP_URL                 site address used in verification QR codes
+ *   CERTIFICATE_WORKER_CONCURRENCY      certificates rendered at once (default 2)
+ *   CERTIFICATE_WORKER_POLL_SECONDS     wait between checks of an empty queue (default 10)
+ *   CERTIFICATE_WORKER_SHUTDOWN_SECONDS time given to running jobs on shutdown (default 60)
+ *
+ * On SIGINT or SIGTERM the worker stops claiming jobs and lets the running
+ * ones finish. Jobs still running when the shutdown time is up go back to the
+ * queue. A second signal exits at once; claim_next_job picks those jobs up
+ * again once they go stale (schemas/migrations/add_certificate_worker.sql).
+ */
+
+import path from 'path';
+import { readFile } from 'fs/promises';
+import { fileURLToPath } from 'url';
+import { createServer, loadEnv } from 'vite';
+import { GlobalFonts, createCanvas, loadImage } from '@napi-rs/canvas';
+
+const webRoot = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const MODE = 'production';
+
+// .env files fill in whatever the environment leaves unset
+const fileEnv = loadEnv(MODE, webRoot, '');
+for (const [name, value] of Object.entries(fileEnv)) {
+  if (process.env[name] === undefined) {
+    process.env[name] = value;
+  }
+}
+
+const readNumber = (name, fallback, min) => {
+  const value = Number(process.env[name]);
+  return Number.isFinite(value) && value >= min ? value : fallback;
+};
+
+const concurrency = Math.floor(readNumber('CERTIFICATE_WORKER_CONCURRENCY', 2, 1));
+const pollMs = readNumber('CERTIFICATE_WORKER_POLL_SECONDS', 10, 1) * 1000;
+const shutdownMs = readNumber('CERTIFICATE_WORKER_SHUTDOWN_SECONDS', 60, 0) * 1000;
+const appUrl = (process.env.CERTIFICATE_APP_URL || 'https://ganapp.com').replace(/\/+$/, '');
+const runOnce = process.argv.includes('--once');
+
+// A job still in processing after this long is assumed to have lost its worker
+const STALE_JOB_SECONDS = 900;
+const FETCH_TIMEOUT_MS = 15000;
+
+if (!process.env.VITE_SUPABASE_URL || !process.env.SUPABASE_SERVICE_ROLE_KEY) {
+  console.error('Missing Supabase environment variables');
+  process.exit(1);
+}
+
+const fetchBuffer = async (url) => {
+  const response = await fetch(url, { signal: AbortSignal.timeout(FETCH_TIMEOUT_MS) });
+  if (!response.ok) {
+    throw new Error(`${response.status} ${response.statusText}`);
+  }
+  return Buffer.from(await response.arrayBuffer());
+};
+
+// Images come as data URLs (QR codes), storage URLs, or paths in public/
+const readImageSource = async (url) => {
+  if (url.startsWith('data:')) {
+    return Buffer.from(url.slice(url.indexOf(',') + 1), 'base64');
+  }
+  if (/^https?:\/\//i.test(url)) {
+    return fetchBuffer(url);
+  }
+  return readFile(path.join(webRoot, 'public', decodeURIComponent(url.split('?')[0])));
+};
+
+// Families this worker registered, to tell them apart from installed fonts
+const registeredFamilies = new Set();
+const fontLoads = new Map();
+
+const registerGoogleFont = async (family, weight) => {
+  // Without a browser user agent Google Fonts serves TrueType, which Skia reads
+  const cssUrl = `https://fonts.googleapis.com/css2?family=${family.replace(/\s+/g, '+')}:wght@${weight}`;
+  const css = (await fetchBuffer(cssUrl)).toString('utf8');
+  const match = css.match(/url\(([^)]+)\)/);
+  if (!match) {
+    throw new Error('no font file in the stylesheet');
+  }
+  return GlobalFonts.register(await fetchBuffer(match[1].replace(/['"]/g, '')), family) !== null;
+};
+
+const FONT_WEIGHTS = { normal: '400', bold: '700', bolder: '800', lighter: '300' };
+
+const loadFont = (fontFamily, requestedWeight) => {
+  const family = fontFamily.split(',')[0].replace(/['"]/g, '').trim() || 'Arial';
+  const fontWeight = FONT_WEIGHTS[requestedWeight] || requestedWeight || '400';
+  const key = `${family}:${fontWeight}`;
+  if (!fontLoads.has(key)) {
+    fontLoads.set(key, (async () => {
+      if (!registeredFamilies.has(family) && GlobalFonts.has(family)) {
+        return true; // Installed on this machine
+      }
+      try {
+        const registered = family === 'MonteCarlo'
+          ? GlobalFonts.registerFromPath(path.join(webRoot, 'public', 'fonts', 'MonteCarlo-Regular.ttf'), family) !== null
+          : await registerGoogleFont(family, fontWeight).catch(() => fontWeight !== '400' && registerGoogleFont(family, '400'));
+        if (registered) {
+          registeredFamilies.add(family);
+        }
+        return !!registered;
+      } catch (error) {
+        console.warn(`Failed to load font ${family}:`, error.message);
+        return false;
+      }
+    })());
+  }
+  return fontLoads.get(key);
+};
+
+const nodeCanvasPlatform = {
+  createCanvas: (width, height) => createCanvas(width, height),
+  async loadImage(url) {
+    try {
+      return await loadImage(await readImageSource(url));
+    } catch (error) {
+      console.warn(`Failed to load image ${url.slice(0, 100)}:`, error.message);
+      return null;
+    }
+  },
+  async toPNG(canvas) {
+    return new Blob([await canvas.encode('png')], { type: 'image/png' });
+  },
+  loadFont,
+  getOrigin: () => appUrl
+};
+
+// Load the app's own services, with the service-role client in place of the
+// browser's and no dev server behind them
+const workerClientPath = path.join(webRoot, 'scripts', 'certificate-worker-supabase.js');
+const server = await createServer({
+  configFile: false,
+  root: webRoot,
+  mode: MODE,
+  logLevel: 'warn',
+  appType: 'custom',
+  server: { middlewareMode: true, hmr: false, watch: null },
+  optimizeDeps: { noDiscovery: true, include: [] },
+  plugins: [{
+    name: 'certificate-worker-supabase-client',
+    enforce: 'pre',
+    resolveId(source) {
+      return /(^|\/)lib\/supabaseClient(\.js)?$/.test(source) ? workerClientPath : null;
+    }
+  }]
+});
+
+const { setCertificateCanvasPlatform } = await server.ssrLoadModule('/src/utils/certificateCanvas.ts');
+const { CertificateJobProcessor } = await server.ssrLoadModule('/src/services/certificateJobProcessor.ts');
+const { JobQueueService } = await server.ssrLoadModule('/src/services/jobQueueService.ts');
+const { supabase } = await server.ssrLoadModule(workerClientPath);
+const { signCertificateJob } = await import('../api/certificate-signature.js');
+
+setCertificateCanvasPlatform(nodeCanvasPlatform);
+
+// Sign here rather than through the API: the worker has no user session
+const signCertificate = async (jobId, certificateNumber) => {
+  const result = await signCertificateJob(supabase, jobId, certificateNumber);
+  if (result.status === 503) {
+    return { token: null }; // Signing is not configured
+  }
+  return result.error ? { error: result.error } : { token: result.token };
+};
+
+const running = new Map();
+let stopping = false;
+let wake = () => {};
+
+const pause = (ms) => new Promise((resolve) => {
+  const timer = setTimeout(resolve, ms);
+  wake = () => {
+    clearTimeout(timer);
+    resolve();
+  };
+});
+
+const startJob = (job) => {
+  console.log(`Rendering certificate job ${job.id} (attempt ${job.attempts}/${job.max_attempts})`);
+  const run = CertificateJobProcessor.runCertificateJob(job, { signCertificate })
+    .then((result) => {
+      if (result.success) {
+        console.log(`Certificate job ${job.id} completed`);
+      } else {
+        console.error(`Certificate job ${job.id} failed: ${result.error}`);
+      }
+    })
+    .catch((error) => {
+      console.error(`Certificate job ${job.id} crashed:`, error);
+    })
+    .finally(() => {
+      running.delete(job.id);
+      wake();
+    });
+  running.set(job.id, run);
+};
+
+// Claim jobs until every slot is busy or the queue is empty
+const fillSlots = async () => {
+  while (!stopping && running.size < concurrency) {
+    const { job, error } = await JobQueueService.claimNextJob('certificate_generation', STALE_JOB_SECONDS);
+    if (error) {
+      console.error('Failed to claim a certificate job:', error);
+      return;
+    }
+    if (!job) {
+      return;
+    }
+    startJob(job);
+  }
+};
+
+const shutdown = async () => {
+  if (running.size > 0) {
+    console.log(`Waiting up to ${shutdownMs / 1000}s for ${running.size} certificate job(s) to finish...`);
+    const finished = await Promise.race([
+      Promise.allSettled(running.values()).then(() => true),
+      new Promise((resolve) => setTimeout(() => resolve(false), shutdownMs))
+    ]);
+
+    if (!finished) {
+      for (const jobId of running.keys()) {
+        const { error } = await JobQueueService.releaseJob(jobId);
+        if (error) {
+          console.error(`Failed to return job ${jobId} to the queue:`, error);
+        } else {
+          console.log(`Returned unfinished job ${jobId} to the queue`);
+        }
+      }
+    }
+  }
+
+  await server.close();
+  console.log('Certificate worker stopped');
+  process.exit(0);
+};
+
+const onSignal = (signal) => {
+  if (stopping) {
+    console.warn(`${signal} received again, exiting without waiting`);
+    process.exit(1);
+  }
+  console.log(`${signal} received, finishing running jobs...`);
+  stopping = true;
+  wake();
+};
+
+process.on('SIGINT', onSignal);
+process.on('SIGTERM', onSignal);
+
+console.log(`Certificate worker started (${concurrency} at a time${runOnce ? ', until the queue is empty' : ''})`);
+
+while (!stopping) {
+  await fillSlots();
+  if (runOnce && running.size === 0) {
+    break;
+  }
+  // Wake when a job finishes to claim the next one, or poll an empty queue
+  await pause(running.size < concurrency ? pollMs : 2147483647);
+}
+
+await shutdown();
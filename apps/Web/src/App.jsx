@@ -3,11 +3,12 @@ import { LoadingScreen } from "./components/LoadingScreen";
 import AnimatedRoutes from "./components/AnimatedRoutes";
 import { Navbar } from "./components/Navbar";
 import { MobileMenu } from "./components/MobileMenu";
-import { useLocation, Link } from "react-router-dom";
+import { useLocation, useNavigate, Link } from "react-router-dom";
 import { useAuth } from "./contexts/AuthContext";
 import { ToastProvider } from "./components/Toast";
 import { useJobWorker } from "./hooks/useJobWorker";
 import { SystemSettingsService } from "./services/systemSettingsService";
+import { getActiveKioskEventId } from "./components/sections/CheckInKiosk";
 
 function App() {
     const [menuOpen, setMenuOpen] = useState(false);
@@ -15,6 +16,7 @@ function App() {
     const [maintenanceMode, setMaintenanceMode] = useState(false);
     const [checkingMaintenance, setCheckingMaintenance] = useState(true);
     const location = useLocation();
+    const navigate = useNavigate();
 
     // Start background job worker (processes jobs every 5 seconds for faster response)
     useJobWorker(true, 5000);
@@ -56,6 +58,15 @@ function App() {
     // Also hide navbar for mobile certificate page
     const isMobileCertificate = location.pathname === '/certificate' && new URLSearchParams(location.search).get('mobile') === 'true';
     const shouldHideNavbar = isAuthPage || isMobileCertificate;
+    // The check-in kiosk is full screen and keeps the tab on its event until the organizer exits
+    const isKioskPage = location.pathname.startsWith('/kiosk/');
+    const kioskEventId = getActiveKioskEventId();
+
+    useEffect(() => {
+        if (kioskEventId && location.pathname !== `/kiosk/${kioskEventId}`) {
+            navigate(`/kiosk/${kioskEventId}`, { replace: true });
+        }
+    }, [kioskEventId, location.pathname, navigate]);
 
     // Allow access to login page during maintenance (so admins can log in)
     // Allow admins to access admin pages even during maintenance
@@ -113,7 +124,7 @@ function App() {
             <div className={`${shouldHideNavbar ? 'h-screen overflow-hidden' : 'min-h-screen'} bg-white text-gray-900`}>
                 {(isLoaded || isAuthPage) ? (
                     <>
-                        {!shouldHideNavbar && !authLoading && (
+                        {!shouldHideNavbar && !isKioskPage && !authLoading && (
                             <>
                                 <Navbar />
                                 <MobileMenu menuOpen={menuOpen} setMenuOpen={setMenuOpen} />
@@ -32,6 +32,7 @@ import { StandaloneCertificateGenerator } from "./sections/StandaloneCertificate
 import { Support } from "./sections/Support";
 import { HelpCenter } from "./sections/HelpCenter";
 import { EventMessages } from "./sections/EventMessages";
+import { CheckInKiosk } from "./sections/CheckInKiosk";
 
 function AnimatedRoutes() {
   const location = useLocation();
@@ -68,11 +69,13 @@ function AnimatedRoutes() {
         <Route path="/settings" element={<Settings />} />
         <Route path="/albums" element={<Albums />} />
         <Route path="/certificate" element={<CertificatePage />} />
+        <Route path="/verify-certificate" element={<VerifyCertificate />} />
         <Route path="/verify-certificate/:certificateNumber" element={<VerifyCertificate />} />
         <Route path="/standalone-certificate-generator" element={<StandaloneCertificateGenerator />} />
         <Route path="/support" element={<Support />} />
         <Route path="/help" element={<HelpCenter />} />
         <Route path="/event-messages" element={<EventMessages />} />
+        <Route path="/kiosk/:eventId" element={<CheckInKiosk />} />
       </Routes>
     </div>
   );
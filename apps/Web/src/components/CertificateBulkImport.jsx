@@ -0,0 +1,350 @@
+import React, { useState, useEffect, useMemo, useRef } from 'react';
+import { JobQueueService } from '../services/jobQueueService';
+import { getImportColumns, guessImportMapping, validateImportRows } from '../utils/certificateImportUtils';
+import { fetchFilesAsZip } from '../utils/zipUtils';
+import { useToast } from './Toast';
+import { AlertCircle, CheckCircle2, Clock, Download, Loader2, Mail, X, XCircle } from 'lucide-react';
+
+const selectClass = 'w-full px-3 py-2 border border-slate-300 rounded-lg bg-white text-slate-800 text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent';
+
+const BATCH_REFRESH_MS = 5000;
+
+const saveBlob = (blob, filename) => {
+  const url = window.URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  window.URL.revokeObjectURL(url);
+};
+
+/**
+ * Map the columns of an uploaded recipient list and preview which rows are
+ * ready to import. onImport receives the valid rows and whether to email
+ * each recipient their certificate.
+ */
+export const CertificateImportMapper = ({ fileName, rows = [], existingNames = [], onImport, onCancel }) => {
+  const columns = useMemo(() => getImportColumns(rows), [rows]);
+  const [mapping, setMapping] = useState(() => guessImportMapping(columns));
+  const [sendEmail, setSendEmail] = useState(false);
+
+  const importRows = useMemo(
+    () => validateImportRows(rows, mapping, existingNames),
+    [rows, mapping, existingNames]
+  );
+  const validRows = importRows.filter(row => row.errors.length === 0);
+  const invalidCount = importRows.length - validRows.length;
+  const missingEmailCount = validRows.filter(row => !row.email).length;
+
+  const setColumn = (role, column) => {
+    setMapping(prev => {
+      const next = { ...prev, [role]: column || (role === 'email' ? null : '') };
+      // A column is either the name, the email or a merge field
+      next.fields = columns.filter(candidate => candidate !== next.name && candidate !== next.email &&
+        (prev.fields.includes(candidate) || candidate === prev.name || candidate === prev.email));
+      return next;
+    });
+  };
+
+  const toggleField = (column) => {
+    setMapping(prev => ({
+      ...prev,
+      fields: prev.fields.includes(column)
+        ? prev.fields.filter(field => field !== column)
+        : columns.filter(candidate => candidate === column || prev.fields.includes(candidate))
+    }));
+  };
+
+  return (
+    <div className="space-y-4 border border-slate-200 rounded-lg p-4">
+      <div className="flex items-start justify-between gap-3">
+        <div>
+          <p className="font-medium text-slate-800">{fileName}</p>
+          <p className="text-sm text-slate-500">{importRows.length} row{importRows.length !== 1 ? 's' : ''} found</p>
+        </div>
+        <button type="button" onClick={onCancel} className="text-slate-500 hover:text-slate-700 p-1" title="Discard file">
+          <X className="w-5 h-5" />
+        </button>
+      </div>
+
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+        <label className="block">
+          <span className="block text-sm font-medium text-slate-700 mb-1">Name column</span>
+          <select value={mapping.name} onChange={(e) => setColumn('name', e.target.value)} className={selectClass}>
+            {columns.map(column => <option key={column} value={column}>{column}</option>)}
+          </select>
+        </label>
+        <label className="block">
+          <span className="block text-sm font-medium text-slate-700 mb-1">Email column</span>
+          <select value={mapping.email || ''} onChange={(e) => setColumn('email', e.target.value)} className={selectClass}>
+            <option value="">None</option>
+            {columns.filter(column => column !== mapping.name).map(column => (
+              <option key={column} value={column}>{column}</option>
+            ))}
+          </select>
+        </label>
+      </div>
+
+      {columns.length > 1 && (
+        <div>
+          <span className="block text-sm font-medium text-slate-700 mb-1">Merge fields</span>
+          <p className="text-xs text-slate-500 mb-2">
+            Ticked columns can be used in the certificate text by their name, e.g. {'{{score}}'}.
+          </p>
+          <div className="flex flex-wrap gap-2">
+            {columns.filter(column => column !== mapping.name && column !== mapping.email).map(column => (
+              <label key={column} className="flex items-center gap-1.5 px-2 py-1 border border-slate-300 rounded-md text-sm text-slate-700">
+                <input
+                  type="checkbox"
+                  checked={mapping.fields.includes(column)}
+                  onChange={() => toggleField(column)}
+                  className="rounded border-slate-300 text-blue-600 focus:ring-blue-500"
+                />
+                {column}
+              </label>
+            ))}
+          </div>
+        </div>
+      )}
+
+      <label className={`flex items-center gap-2 text-sm ${mapping.email ? 'text-slate-700' : 'text-slate-400'}`}>
+        <input
+          type="checkbox"
+          checked={sendEmail && !!mapping.email}
+          disabled={!mapping.email}
+          onChange={(e) => setSendEmail(e.target.checked)}
+          className="rounded border-slate-300 text-blue-600 focus:ring-blue-500"
+        />
+        Email each recipient their certificate once it is generated
+      </label>
+      {sendEmail && mapping.email && missingEmailCount > 0 && (
+        <p className="text-xs text-amber-700">{missingEmailCount} recipient(s) have no email address and will not be emailed.</p>
+      )}
+
+      <div className="max-h-72 overflow-auto border border-slate-200 rounded-lg">
+        <table className="w-full text-sm">
+          <thead className="bg-slate-50 text-left text-slate-600 sticky top-0">
+            <tr>
+              <th className="px-3 py-2 font-medium">Row</th>
+              <th className="px-3 py-2 font-medium">Name</th>
+              <th className="px-3 py-2 font-medium">Email</th>
+              <th className="px-3 py-2 font-medium">Fields</th>
+              <th className="px-3 py-2 font-medium">Status</th>
+            </tr>
+          </thead>
+          <tbody>
+            {importRows.map(row => (
+              <tr key={row.rowNumber} className={`border-t border-slate-100 ${row.errors.length > 0 ? 'bg-red-50' : ''}`}>
+                <td className="px-3 py-2 text-slate-500">{row.rowNumber}</td>
+                <td className="px-3 py-2 text-slate-800">{row.participantName || '—'}</td>
+                <td className="px-3 py-2 text-slate-600">{row.email || '—'}</td>
+                <td className="px-3 py-2 text-slate-600 text-xs">
+                  {Object.entries(row.fields).map(([field, value]) => `${field}: ${value}`).join(' · ') || '—'}
+                </td>
+                <td className="px-3 py-2">
+                  {row.errors.length > 0 ? (
+                    <span className="flex items-center gap-1 text-red-700 text-xs">
+                      <AlertCircle className="w-3.5 h-3.5 flex-shrink-0" />
+                      {row.errors.join('; ')}
+                    </span>
+                  ) : (
+                    <span className="flex items-center gap-1 text-green-700 text-xs">
+                      <CheckCircle2 className="w-3.5 h-3.5" />
+                      Ready
+                    </span>
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      <div className="flex items-center justify-between gap-3">
+        <p className="text-sm text-slate-600">
+          {validRows.length} ready{invalidCount > 0 ? `, ${invalidCount} with problems will be skipped` : ''}
+        </p>
+        <button
+          type="button"
+          onClick={() => onImport(validRows, { sendEmail: sendEmail && !!mapping.email })}
+          disabled={validRows.length === 0}
+          className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors disabled:opacity-50 disabled:cursor-not-allowed text-sm font-medium"
+        >
+          Add {validRows.length} participant{validRows.length !== 1 ? 's' : ''}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+const getRowStatus = (row) => {
+  if (row.queueError) return { label: `Not queued: ${row.queueError}`, tone: 'error' };
+  switch (row.status) {
+    case 'completed':
+      return { label: 'Ready', tone: 'success' };
+    case 'failed':
+      return { label: row.error ? `Failed: ${row.error}` : 'Failed', tone: 'error' };
+    case 'processing':
+      return { label: 'Generating', tone: 'active' };
+    default:
+      return { label: 'Queued', tone: 'waiting' };
+  }
+};
+
+const STATUS_STYLES = {
+  success: { className: 'text-green-700', icon: CheckCircle2 },
+  error: { className: 'text-red-700', icon: XCircle },
+  active: { className: 'text-blue-700', icon: Loader2 },
+  waiting: { className: 'text-slate-500', icon: Clock }
+};
+
+const isRowPending = (row) => row.jobId && !row.queueError && row.status !== 'completed' && row.status !== 'failed';
+
+/**
+ * Per-recipient status of the last queued batch, refreshed until every job
+ * has finished, with a ZIP download of the generated PDFs
+ */
+export const CertificateImportBatch = ({ rows = [], onRowsChange, onClear }) => {
+  const toast = useToast();
+  const [downloading, setDownloading] = useState(false);
+  const rowsRef = useRef(rows);
+  rowsRef.current = rows;
+
+  const pendingCount = rows.filter(isRowPending).length;
+  const completedRows = rows.filter(row => row.status === 'completed' && row.pdfUrl);
+  const failedCount = rows.filter(row => row.queueError || row.status === 'failed').length;
+
+  useEffect(() => {
+    if (pendingCount === 0) return;
+
+    const refresh = async () => {
+      const jobIds = rowsRef.current.filter(isRowPending).map(row => row.jobId);
+      const result = await JobQueueService.getJobStatuses(jobIds);
+      if (result.error || !result.jobs) return;
+
+      const jobsById = new Map(result.jobs.map(job => [job.id, job]));
+      onRowsChange(rowsRef.current.map(row => {
+        const job = jobsById.get(row.jobId);
+        if (!job) return row;
+        return {
+          ...row,
+          status: job.status,
+          error: job.error_message || null,
+          certificateNumber: job.result_data?.certificateNumber || row.certificateNumber,
+          pdfUrl: job.result_data?.pdfUrl || row.pdfUrl,
+          emailSent: job.result_data?.emailSent,
+          emailError: job.result_data?.emailError
+        };
+      }));
+    };
+
+    refresh();
+    const interval = setInterval(refresh, BATCH_REFRESH_MS);
+    return () => clearInterval(interval);
+  }, [pendingCount]);
+
+  const handleDownloadZip = async () => {
+    setDownloading(true);
+    try {
+      const { zip, added, failed } = await fetchFilesAsZip(completedRows.map(row => ({
+        name: `${row.certificateNumber || 'certificate'} - ${row.participantName}.pdf`.replace(/[\\/:*?"<>|]/g, '_'),
+        url: row.pdfUrl
+      })));
+      if (!zip) {
+        toast.error('Failed to download the certificates');
+        return;
+      }
+      saveBlob(zip, `certificates-${new Date().toISOString().split('T')[0]}.zip`);
+      if (failed.length > 0) {
+        toast.warning(`Downloaded ${added} certificate(s); ${failed.length} could not be fetched`);
+      } else {
+        toast.success(`Downloaded ${added} certificate(s)`);
+      }
+    } catch (err) {
+      toast.error(`Failed to create the ZIP file: ${err.message || 'Unknown error'}`);
+    } finally {
+      setDownloading(false);
+    }
+  };
+
+  if (rows.length === 0) return null;
+
+  return (
+    <div className="bg-white rounded-2xl shadow-lg border border-slate-200 p-4 sm:p-6">
+      <div className="flex items-start justify-between gap-3 mb-4">
+        <div>
+          <h2 className="text-xl font-semibold text-slate-800">Last Batch</h2>
+          <p className="text-sm text-slate-500">
+            {completedRows.length} of {rows.length} ready
+            {pendingCount > 0 ? `, ${pendingCount} in progress` : ''}
+            {failedCount > 0 ? `, ${failedCount} failed` : ''}
+          </p>
+        </div>
+        <div className="flex items-center gap-2">
+          <button
+            type="button"
+            onClick={handleDownloadZip}
+            disabled={downloading || completedRows.length === 0}
+            className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors disabled:opacity-50 disabled:cursor-not-allowed flex items-center gap-2 text-sm font-medium"
+          >
+            {downloading ? <Loader2 className="w-4 h-4 animate-spin" /> : <Download className="w-4 h-4" />}
+            Download PDFs (ZIP)
+          </button>
+          <button
+            type="button"
+            onClick={onClear}
+            disabled={pendingCount > 0}
+            className="p-2 text-slate-500 hover:text-red-600 hover:bg-red-50 rounded-lg transition-colors disabled:opacity-40"
+            title={pendingCount > 0 ? 'Wait for the batch to finish' : 'Clear batch'}
+          >
+            <X className="w-4 h-4" />
+          </button>
+        </div>
+      </div>
+
+      <div className="max-h-96 overflow-auto border border-slate-200 rounded-lg">
+        <table className="w-full text-sm">
+          <thead className="bg-slate-50 text-left text-slate-600 sticky top-0">
+            <tr>
+              <th className="px-3 py-2 font-medium">Name</th>
+              <th className="px-3 py-2 font-medium">Certificate</th>
+              <th className="px-3 py-2 font-medium">Status</th>
+              <th className="px-3 py-2 font-medium">Email</th>
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map((row, index) => {
+              const status = getRowStatus(row);
+              const { className, icon: Icon } = STATUS_STYLES[status.tone];
+              return (
+                <tr key={row.jobId || index} className="border-t border-slate-100">
+                  <td className="px-3 py-2 text-slate-800">{row.participantName}</td>
+                  <td className="px-3 py-2 text-slate-600">{row.certificateNumber || '—'}</td>
+                  <td className="px-3 py-2">
+                    <span className={`flex items-center gap-1 text-xs ${className}`}>
+                      <Icon className={`w-3.5 h-3.5 flex-shrink-0 ${status.tone === 'active' ? 'animate-spin' : ''}`} />
+                      {status.label}
+                    </span>
+                  </td>
+                  <td className="px-3 py-2 text-xs">
+                    {!row.recipientEmail ? (
+                      <span className="text-slate-400">—</span>
+                    ) : row.emailSent ? (
+                      <span className="flex items-center gap-1 text-green-700"><Mail className="w-3.5 h-3.5" />Sent</span>
+                    ) : row.emailError ? (
+                      <span className="text-red-700" title={row.emailError}>Not sent</span>
+                    ) : (
+                      <span className="text-slate-500">{row.recipientEmail}</span>
+                    )}
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
@@ -2,9 +2,15 @@ import React, { useState, useRef, useEffect } from 'react';
 import { CertificateService } from '../services/certificateService';
 import { useAuth } from '../contexts/AuthContext';
 import { supabase } from '../lib/supabaseClient';
+import { CertificateLayers, CertificateLayerControls, CertificateLayerPanel } from './CertificateLayerEditor';
+import { CertificateMergeFieldPanel } from './CertificateMergeFieldPanel';
+import { getSampleMergeFields, getTemplateMergeFieldNames, renderCertificateText } from '../utils/certificateMergeFields';
+import { CertificatePagePanel, CertificateTranscriptPreview } from './CertificatePagePanel';
+import { getCertificatePageDimensions, normalizeCertificatePages } from '../utils/certificatePages';
+import { CertificateTemplateLibrary } from './CertificateTemplateLibrary';
 
 // Helper to load Google Fonts dynamically for preview
-const loadGoogleFont = (fontFamily) => {
+export const loadGoogleFont = (fontFamily) => {
   if (typeof document === 'undefined') return;
 
   // Extract font name (remove fallbacks)
@@ -146,7 +152,9 @@ const CertificateDesigner = ({ eventId, onSave, draftMode = false, draftStorageK
     // QR Code configuration
     qr_code_enabled: true, // Enable/disable QR code
     qr_code_size: 60, // Size in pixels
-    qr_code_position: { x: 60, y: 95 } // Position beside cert ID
+    qr_code_position: { x: 60, y: 95 }, // Position beside cert ID
+    // Free-form text, shapes, lines and images (see utils/certificateLayers.ts)
+    layers: []
   };
 
   const [config, setConfig] = useState(defaultConfig);
@@ -161,6 +169,9 @@ const CertificateDesigner = ({ eventId, onSave, draftMode = false, draftStorageK
   const [loadingLogos, setLoadingLogos] = useState(false);
   const [existingBackgrounds, setExistingBackgrounds] = useState([]);
   const [loadingBackgrounds, setLoadingBackgrounds] = useState(false);
+  const [selectedLayerId, setSelectedLayerId] = useState(null);
+  const [previewMergeValues, setPreviewMergeValues] = useState({});
+  const [showTemplateLibrary, setShowTemplateLibrary] = useState(false);
 
   useEffect(() => {
     loadConfig();
@@ -210,6 +221,67 @@ const CertificateDesigner = ({ eventId, onSave, draftMode = false, draftStorageK
     }
   };
 
+  // Fill in anything a saved config or design template leaves out, so nested
+  // objects like header_config are always complete
+  const mergeWithDefaults = (savedConfig) => ({
+    ...defaultConfig,
+    ...savedConfig,
+    header_config: {
+      ...defaultConfig.header_config,
+      ...(savedConfig.header_config || {}),
+      republic_config: {
+        ...defaultConfig.header_config.republic_config,
+        ...(savedConfig.header_config?.republic_config || {})
+      },
+      university_config: {
+        ...defaultConfig.header_config.university_config,
+        ...(savedConfig.header_config?.university_config || {})
+      },
+      location_config: {
+        ...defaultConfig.header_config.location_config,
+        ...(savedConfig.header_config?.location_config || {})
+      }
+    },
+    logo_config: {
+      ...defaultConfig.logo_config,
+      ...(savedConfig.logo_config || {}),
+      logos: savedConfig.logo_config?.logos || defaultConfig.logo_config.logos || []
+    },
+    participation_text_config: {
+      ...defaultConfig.participation_text_config,
+      ...(savedConfig.participation_text_config || {}),
+      position: {
+        ...defaultConfig.participation_text_config.position,
+        ...(savedConfig.participation_text_config?.position || {})
+      }
+    },
+    is_given_to_config: { ...defaultConfig.is_given_to_config, ...(savedConfig.is_given_to_config || {}) },
+    name_config: { ...defaultConfig.name_config, ...(savedConfig.name_config || {}) },
+    event_title_config: { ...defaultConfig.event_title_config, ...(savedConfig.event_title_config || {}) },
+    date_config: { ...defaultConfig.date_config, ...(savedConfig.date_config || {}) },
+    title_subtitle_config: {
+      ...defaultConfig.title_subtitle_config,
+      ...(savedConfig.title_subtitle_config || {}),
+      position: {
+        ...defaultConfig.title_subtitle_config.position,
+        ...(savedConfig.title_subtitle_config?.position || {})
+      }
+    },
+    signature_blocks: (savedConfig.signature_blocks && Array.isArray(savedConfig.signature_blocks))
+      ? savedConfig.signature_blocks
+      : (defaultConfig.signature_blocks || []),
+    layers: Array.isArray(savedConfig.layers) ? savedConfig.layers : defaultConfig.layers,
+    background_image_url: savedConfig.background_image_url !== undefined ? savedConfig.background_image_url : defaultConfig.background_image_url,
+    background_image_size: savedConfig.background_image_size !== undefined ? savedConfig.background_image_size : defaultConfig.background_image_size,
+    cert_id_prefix: savedConfig.cert_id_prefix !== undefined ? savedConfig.cert_id_prefix : defaultConfig.cert_id_prefix,
+    cert_id_position: savedConfig.cert_id_position || defaultConfig.cert_id_position,
+    cert_id_font_size: savedConfig.cert_id_font_size !== undefined ? savedConfig.cert_id_font_size : defaultConfig.cert_id_font_size,
+    cert_id_color: savedConfig.cert_id_color || defaultConfig.cert_id_color,
+    qr_code_enabled: savedConfig.qr_code_enabled !== undefined ? savedConfig.qr_code_enabled : defaultConfig.qr_code_enabled,
+    qr_code_size: savedConfig.qr_code_size !== undefined ? savedConfig.qr_code_size : defaultConfig.qr_code_size,
+    qr_code_position: savedConfig.qr_code_position || defaultConfig.qr_code_position
+  });
+
   const loadConfig = async () => {
     if (draftMode) {
       // Load from sessionStorage in draft mode
@@ -263,6 +335,7 @@ const CertificateDesigner = ({ eventId, onSave, draftMode = false, draftStorageK
               }
             },
             signature_blocks: savedConfig.signature_blocks || defaultConfig.signature_blocks,
+            layers: Array.isArray(savedConfig.layers) ? savedConfig.layers : defaultConfig.layers,
             background_image_url: savedConfig.background_image_url || defaultConfig.background_image_url,
             background_image_size: savedConfig.background_image_size || defaultConfig.background_image_size,
             cert_id_prefix: savedConfig.cert_id_prefix || defaultConfig.cert_id_prefix,
@@ -295,65 +368,7 @@ const CertificateDesigner = ({ eventId, onSave, draftMode = false, draftStorageK
     try {
       const result = await CertificateService.getCertificateConfig(eventId);
       if (result.config) {
-        // Deep merge to ensure nested objects like header_config are properly merged
-        const mergedConfig = {
-          ...defaultConfig,
-          ...result.config,
-          header_config: {
-            ...defaultConfig.header_config,
-            ...(result.config.header_config || {}),
-            republic_config: {
-              ...defaultConfig.header_config.republic_config,
-              ...(result.config.header_config?.republic_config || {})
-            },
-            university_config: {
-              ...defaultConfig.header_config.university_config,
-              ...(result.config.header_config?.university_config || {})
-            },
-            location_config: {
-              ...defaultConfig.header_config.location_config,
-              ...(result.config.header_config?.location_config || {})
-            }
-          },
-          logo_config: {
-            ...defaultConfig.logo_config,
-            ...(result.config.logo_config || {}),
-            logos: result.config.logo_config?.logos || defaultConfig.logo_config.logos || []
-          },
-          participation_text_config: {
-            ...defaultConfig.participation_text_config,
-            ...(result.config.participation_text_config || {}),
-            position: {
-              ...defaultConfig.participation_text_config.position,
-              ...(result.config.participation_text_config?.position || {})
-            }
-          },
-          is_given_to_config: { ...defaultConfig.is_given_to_config, ...(result.config.is_given_to_config || {}) },
-          name_config: { ...defaultConfig.name_config, ...(result.config.name_config || {}) },
-          event_title_config: { ...defaultConfig.event_title_config, ...(result.config.event_title_config || {}) },
-          date_config: { ...defaultConfig.date_config, ...(result.config.date_config || {}) },
-          title_subtitle_config: {
-            ...defaultConfig.title_subtitle_config,
-            ...(result.config.title_subtitle_config || {}),
-            position: {
-              ...defaultConfig.title_subtitle_config.position,
-              ...(result.config.title_subtitle_config?.position || {})
-            }
-          },
-          signature_blocks: (result.config.signature_blocks && Array.isArray(result.config.signature_blocks))
-            ? result.config.signature_blocks
-            : (defaultConfig.signature_blocks || []),
-          background_image_url: result.config.background_image_url !== undefined ? result.config.background_image_url : defaultConfig.background_image_url,
-          background_image_size: result.config.background_image_size !== undefined ? result.config.background_image_size : defaultConfig.background_image_size,
-          cert_id_prefix: result.config.cert_id_prefix !== undefined ? result.config.cert_id_prefix : defaultConfig.cert_id_prefix,
-          cert_id_position: result.config.cert_id_position || defaultConfig.cert_id_position,
-          cert_id_font_size: result.config.cert_id_font_size !== undefined ? result.config.cert_id_font_size : defaultConfig.cert_id_font_size,
-          cert_id_color: result.config.cert_id_color || defaultConfig.cert_id_color,
-          qr_code_enabled: result.config.qr_code_enabled !== undefined ? result.config.qr_code_enabled : defaultConfig.qr_code_enabled,
-          qr_code_size: result.config.qr_code_size !== undefined ? result.config.qr_code_size : defaultConfig.qr_code_size,
-          qr_code_position: result.config.qr_code_position || defaultConfig.qr_code_position
-        };
-        setConfig(mergedConfig);
+        setConfig(mergeWithDefaults(result.config));
       } else {
         // Use default config if no config exists
         setConfig(defaultConfig);
@@ -392,7 +407,8 @@ const CertificateDesigner = ({ eventId, onSave, draftMode = false, draftStorageK
       // Ensure signature_blocks is always an array when saving
       const configToSave = {
         ...config,
-        signature_blocks: Array.isArray(config.signature_blocks) ? config.signature_blocks : []
+        signature_blocks: Array.isArray(config.signature_blocks) ? config.signature_blocks : [],
+        layers: Array.isArray(config.layers) ? config.layers : []
       };
 
       const result = await CertificateService.saveCertificateConfig(eventId, configToSave, user.id);
@@ -437,6 +453,14 @@ const CertificateDesigner = ({ eventId, onSave, draftMode = false, draftStorageK
       });
     }
 
+    (config.layers || []).forEach(layer => {
+      if (layer.type === 'text' && layer.font_family) fonts.add(layer.font_family);
+    });
+
+    normalizeCertificatePages(config.pages).forEach(page => {
+      if (page.font_family) fonts.add(page.font_family);
+    });
+
     // Load each font
     fonts.forEach(fontFamily => loadGoogleFont(fontFamily));
   }, [config]);
@@ -471,6 +495,32 @@ const CertificateDesigner = ({ eventId, onSave, draftMode = false, draftStorageK
     });
   };
 
+  // Replace the design with a template's; it is saved with the next Save
+  const applyTemplate = (design) => {
+    const newConfig = mergeWithDefaults(design);
+    setConfig(newConfig);
+    setSelectedLayerId(null);
+    if (draftMode) {
+      try {
+        sessionStorage.setItem(draftStorageKey, JSON.stringify(newConfig));
+      } catch (err) {
+        console.error('Failed to auto-save draft config:', err);
+      }
+    }
+    setSuccess('Template applied. Save the configuration to keep it.');
+    setTimeout(() => setSuccess(false), 3000);
+  };
+
+  // The render size follows the paper format, so the preview and the
+  // generated files keep the same proportions
+  const updatePageFormat = ({ page_size, orientation }) => {
+    const { width, height } = getCertificatePageDimensions({ page_size, orientation });
+    updateConfig('page_size', page_size);
+    updateConfig('orientation', orientation);
+    updateConfig('width', width);
+    updateConfig('height', height);
+  };
+
   const updateSignatureBlocks = (newBlocks) => {
     setConfig(prev => {
       const newConfig = { ...prev, signature_blocks: newBlocks };
@@ -564,6 +614,55 @@ const CertificateDesigner = ({ eventId, onSave, draftMode = false, draftStorageK
   };
 
   // Upload logo to Supabase Storage and database
+  // Upload a PNG to the logos library and return its public URL
+  const uploadLogoFile = async (file) => {
+    const fileExt = file.name.split('.').pop().toLowerCase();
+
+    // Upload to storage
+    const fileName = `logo_${user.id}_${Date.now()}_${Math.random().toString(36).substr(2, 9)}.${fileExt}`;
+    const filePath = `${user.id}/${fileName}`;
+    const bucketName = 'certificate-logos';
+
+    const { data: uploadData, error: uploadError } = await supabase.storage
+      .from(bucketName)
+      .upload(filePath, file, {
+        cacheControl: '3600',
+        upsert: false
+      });
+
+    if (uploadError) {
+      throw new Error(`Upload failed: ${uploadError.message}`);
+    }
+
+    // Get public URL
+    const { data: { publicUrl } } = supabase.storage
+      .from(bucketName)
+      .getPublicUrl(filePath);
+
+    // Save to database
+    const { data: logoData, error: dbError } = await supabase
+      .from('logos')
+      .insert({
+        file_url: publicUrl,
+        file_path: filePath,
+        file_name: file.name,
+        file_size: file.size,
+        mime_type: file.type,
+        name: file.name.replace(/\.[^/.]+$/, ''), // Remove extension for name
+        uploaded_by: user.id
+      })
+      .select()
+      .single();
+
+    if (dbError) {
+      throw new Error(`Database error: ${dbError.message}`);
+    }
+
+    // Refresh logos list
+    await fetchExistingLogos();
+    return publicUrl;
+  };
+
   const handleLogoUpload = async (file) => {
     if (!file || !user?.id) return;
 
@@ -578,45 +677,7 @@ const CertificateDesigner = ({ eventId, onSave, draftMode = false, draftStorageK
     setError(null);
 
     try {
-      // Upload to storage
-      const fileName = `logo_${user.id}_${Date.now()}_${Math.random().toString(36).substr(2, 9)}.${fileExt}`;
-      const filePath = `${user.id}/${fileName}`;
-      const bucketName = 'certificate-logos';
-
-      const { data: uploadData, error: uploadError } = await supabase.storage
-        .from(bucketName)
-        .upload(filePath, file, {
-          cacheControl: '3600',
-          upsert: false
-        });
-
-      if (uploadError) {
-        throw new Error(`Upload failed: ${uploadError.message}`);
-      }
-
-      // Get public URL
-      const { data: { publicUrl } } = supabase.storage
-        .from(bucketName)
-        .getPublicUrl(filePath);
-
-      // Save to database
-      const { data: logoData, error: dbError } = await supabase
-        .from('logos')
-        .insert({
-          file_url: publicUrl,
-          file_path: filePath,
-          file_name: file.name,
-          file_size: file.size,
-          mime_type: file.type,
-          name: file.name.replace(/\.[^/.]+$/, ''), // Remove extension for name
-          uploaded_by: user.id
-        })
-        .select()
-        .single();
-
-      if (dbError) {
-        throw new Error(`Database error: ${dbError.message}`);
-      }
+      const publicUrl = await uploadLogoFile(file);
 
       // Add logo to logos array
       const currentLogos = config.logo_config?.logos || [];
@@ -632,8 +693,6 @@ const CertificateDesigner = ({ eventId, onSave, draftMode = false, draftStorageK
         ]
       });
 
-      // Refresh logos list
-      await fetchExistingLogos();
       setSuccess('Logo uploaded successfully!');
 
     } catch (err) {
@@ -643,6 +702,27 @@ const CertificateDesigner = ({ eventId, onSave, draftMode = false, draftStorageK
     }
   };
 
+  // Upload an image for an image layer; it is also added to the logos library
+  const handleLayerImageUpload = async (file) => {
+    if (!file || !user?.id) return null;
+
+    if (file.name.split('.').pop().toLowerCase() !== 'png') {
+      setError('Only PNG files are allowed for layer images');
+      return null;
+    }
+
+    setUploadingLogo(true);
+    setError(null);
+    try {
+      return await uploadLogoFile(file);
+    } catch (err) {
+      setError(err.message || 'Failed to upload image');
+      return null;
+    } finally {
+      setUploadingLogo(false);
+    }
+  };
+
   // Add existing logo to logos array
   const handleAddExistingLogo = (logoUrl) => {
     const currentLogos = config.logo_config?.logos || [];
@@ -728,6 +808,10 @@ const CertificateDesigner = ({ eventId, onSave, draftMode = false, draftStorageK
     }
   };
 
+  const getPreviewFields = () => getSampleMergeFields(
+    Object.fromEntries(Object.entries(previewMergeValues).filter(([, value]) => value !== ''))
+  );
+
   const renderPreview = () => {
     // Safety check - ensure config is valid
     if (!config || !config.width || !config.height) {
@@ -745,6 +829,8 @@ const CertificateDesigner = ({ eventId, onSave, draftMode = false, draftStorageK
     const logos = config.logo_config || defaultConfig.logo_config;
     const participation = config.participation_text_config || defaultConfig.participation_text_config;
     const isGivenTo = config.is_given_to_config || defaultConfig.is_given_to_config;
+    const previewFields = getPreviewFields();
+    const resolveText = (text) => renderCertificateText(text, previewFields);
     // Ensure at least one signature block exists for preview
     const signatures = config.signature_blocks && config.signature_blocks.length > 0
       ? config.signature_blocks
@@ -757,6 +843,7 @@ const CertificateDesigner = ({ eventId, onSave, draftMode = false, draftStorageK
     return (
       <div
         ref={previewRef}
+        onPointerDown={() => setSelectedLayerId(null)}
         style={{
           width: `${displayWidth}px`,
           height: `${displayHeight}px`,
@@ -776,6 +863,9 @@ const CertificateDesigner = ({ eventId, onSave, draftMode = false, draftStorageK
           flexShrink: 0
         }}
       >
+        {/* Free-form layers, above the background and below the built-in elements */}
+        <CertificateLayers layers={config.layers} scale={scale} resolveText={resolveText} />
+
         {/* Logos */}
         {logos?.logos && logos.logos.length > 0 && logos.logos.map((logo, index) => (
           <img
@@ -926,7 +1016,7 @@ const CertificateDesigner = ({ eventId, onSave, draftMode = false, draftStorageK
               width: '100%'
             }}
           >
-            {isGivenTo.text}
+            {resolveText(isGivenTo.text)}
           </div>
         )}
 
@@ -967,13 +1057,11 @@ const CertificateDesigner = ({ eventId, onSave, draftMode = false, draftStorageK
               fontWeight: participation.font_weight || 'normal',
               textAlign: 'center',
               width: '80%',
-              lineHeight: participation.line_height || 1.5
+              lineHeight: participation.line_height || 1.5,
+              whiteSpace: 'pre-line'
             }}
           >
-            {participation.text_template
-              .replace('{EVENT_NAME}', '[Event Title]')
-              .replace('{EVENT_DATE}', '[Event Date]')
-              .replace('{VENUE}', '[Venue]')}
+            {resolveText(participation.text_template)}
           </div>
         )}
 
@@ -1094,6 +1182,17 @@ const CertificateDesigner = ({ eventId, onSave, draftMode = false, draftStorageK
             </div>
           </div>
         ))}
+
+        {/* Layer selection and handles, on top so layers stay reachable */}
+        <CertificateLayerControls
+          layers={config.layers}
+          width={actualWidth}
+          height={actualHeight}
+          scale={scale}
+          selectedId={selectedLayerId}
+          onSelect={setSelectedLayerId}
+          onChange={(layers) => updateConfig('layers', layers)}
+        />
       </div>
     );
   };
@@ -1110,7 +1209,7 @@ const CertificateDesigner = ({ eventId, onSave, draftMode = false, draftStorageK
     <div className="w-full bg-gradient-to-br from-slate-50 via-white to-slate-50 min-h-screen">
       <div className="w-full px-4 sm:px-6 lg:px-8 py-8">
         {/* Header */}
-        <div className="mb-8">
+        <div className="mb-8 flex flex-wrap items-center justify-between gap-4">
           <div className="flex items-center gap-3 mb-2">
             <div className="w-10 h-10 rounded-xl bg-gradient-to-br from-blue-600 to-purple-600 flex items-center justify-center shadow-lg">
               <svg className="w-6 h-6 text-white" fill="none" stroke="currentColor" viewBox="0 0 24 24">
@@ -1122,8 +1221,28 @@ const CertificateDesigner = ({ eventId, onSave, draftMode = false, draftStorageK
               <p className="text-slate-500 text-sm mt-1">Create and customize professional certificates</p>
             </div>
           </div>
+          {user?.id && (
+            <button
+              type="button"
+              onClick={() => setShowTemplateLibrary(true)}
+              className="px-4 py-2.5 rounded-xl border border-slate-300 bg-white text-slate-700 hover:bg-slate-50 font-medium text-sm shadow-sm flex items-center gap-2"
+            >
+              <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M4 5a1 1 0 011-1h4a1 1 0 011 1v4a1 1 0 01-1 1H5a1 1 0 01-1-1V5zm10 0a1 1 0 011-1h4a1 1 0 011 1v4a1 1 0 01-1 1h-4a1 1 0 01-1-1V5zM4 15a1 1 0 011-1h4a1 1 0 011 1v4a1 1 0 01-1 1H5a1 1 0 01-1-1v-4zm10 0a1 1 0 011-1h4a1 1 0 011 1v4a1 1 0 01-1 1h-4a1 1 0 01-1-1v-4z" />
+              </svg>
+              Templates
+            </button>
+          )}
         </div>
 
+        <CertificateTemplateLibrary
+          isOpen={showTemplateLibrary}
+          onClose={() => setShowTemplateLibrary(false)}
+          config={config}
+          user={user}
+          onApply={applyTemplate}
+        />
+
         {/* Alerts */}
         {error && (
           <div className="mb-6 p-4 bg-red-50/80 backdrop-blur-sm border border-red-200/50 rounded-xl shadow-sm animate-in fade-in slide-in-from-top-2">
@@ -1181,13 +1300,24 @@ const CertificateDesigner = ({ eventId, onSave, draftMode = false, draftStorageK
                   </div>
                 </div>
               </div>
-              <div className="p-10 bg-gradient-to-br from-slate-100 to-slate-50 flex justify-center items-start">
+              <div className="p-10 bg-gradient-to-br from-slate-100 to-slate-50 flex flex-col items-center gap-10">
                 <div className="bg-white rounded-xl shadow-lg" key={JSON.stringify(config.signature_blocks?.map(s => ({
                   width: s.signature_image_width,
                   height: s.signature_image_height
                 })))}>
                   {renderPreview()}
                 </div>
+                {config.width && config.height && normalizeCertificatePages(config.pages).map((page, index) => (
+                  <div key={index} className="bg-white rounded-xl shadow-lg">
+                    <CertificateTranscriptPreview
+                      page={page}
+                      width={config.width}
+                      height={config.height}
+                      scale={0.9}
+                      fields={getPreviewFields()}
+                    />
+                  </div>
+                ))}
               </div>
             </div>
           </div>
@@ -1224,6 +1354,15 @@ const CertificateDesigner = ({ eventId, onSave, draftMode = false, draftStorageK
                   }
                 `}</style>
                 <div className="space-y-8 custom-scrollbar">
+                  {/* Paper Format and Extra Pages */}
+                  <CertificatePagePanel
+                    pageSize={config.page_size}
+                    orientation={config.orientation}
+                    pages={config.pages || []}
+                    onFormatChange={updatePageFormat}
+                    onPagesChange={(pages) => updateConfig('pages', pages)}
+                  />
+
                   {/* Background & Border */}
                   <div className="space-y-5">
                     <div className="flex items-center gap-2 pb-2 border-b border-slate-200/50">
@@ -1659,6 +1798,32 @@ const CertificateDesigner = ({ eventId, onSave, draftMode = false, draftStorageK
                     </div>
                   </div>
 
+                  {/* Participation Text and Merge Fields */}
+                  <CertificateMergeFieldPanel
+                    template={config.participation_text_config?.text_template || ''}
+                    onTemplateChange={(text) => updateConfig('participation_text_config.text_template', text)}
+                    usedFields={getTemplateMergeFieldNames([
+                      config.participation_text_config?.text_template,
+                      config.is_given_to_config?.text,
+                      ...(config.layers || []).map(layer => layer.text)
+                    ])}
+                    previewValues={previewMergeValues}
+                    onPreviewValuesChange={setPreviewMergeValues}
+                  />
+
+                  {/* Free-form Layers */}
+                  <CertificateLayerPanel
+                    layers={config.layers || []}
+                    width={config.width}
+                    height={config.height}
+                    selectedId={selectedLayerId}
+                    onSelect={setSelectedLayerId}
+                    onChange={(layers) => updateConfig('layers', layers)}
+                    existingImages={existingLogos.map(logo => logo.file_url)}
+                    onUploadImage={handleLayerImageUpload}
+                    uploadingImage={uploadingLogo}
+                  />
+
                   {/* Certificate ID Configuration */}
                   <div className="space-y-5">
                     <div className="flex items-center gap-2 pb-2 border-b border-slate-200/50">
@@ -6,6 +6,11 @@ import { EventService } from '../services/eventService';
 import { JobQueueService } from '../services/jobQueueService';
 import { useAuth } from '../contexts/AuthContext';
 import { useToast } from './Toast';
+import { CertificateRequirements } from './CertificateRequirements';
+import { describeMissingRequirements } from '../utils/certificateEligibilityUtils';
+import { drawCertificateLayers } from '../utils/certificateLayers';
+import { renderCertificateText } from '../utils/certificateMergeFields';
+import { getCertificatePageDimensions, normalizeCertificatePages } from '../utils/certificatePages';
 
 const CertificateGenerator = ({ eventId, onClose, isMobile = false }) => {
   const { user, loading: authLoading } = useAuth();
@@ -17,7 +22,10 @@ const CertificateGenerator = ({ eventId, onClose, isMobile = false }) => {
   const [error, setError] = useState(null);
   const [event, setEvent] = useState(null);
   const [config, setConfig] = useState(null);
+  const [mergeFields, setMergeFields] = useState({});
+  const [transcript, setTranscript] = useState([]);
   const [certificate, setCertificate] = useState(null);
+  const [eligibility, setEligibility] = useState(null);
   const [previewData, setPreviewData] = useState(null);
   const [jobStatus, setJobStatus] = useState('idle');
   const [jobId, setJobId] = useState(null);
@@ -93,10 +101,11 @@ const CertificateGenerator = ({ eventId, onClose, isMobile = false }) => {
             config,
             certificate.certificate_number,
             {
-              participantName: getUserName(),
+              participantName: certificate.participant_name || getUserName(),
               eventTitle: event.title,
               completionDate: event.start_date || new Date().toISOString().split('T')[0],
-              venue: event.venue || ''
+              venue: event.venue || '',
+              fields: mergeFields
             }
           );
           const previewUrl = window.URL.createObjectURL(blob);
@@ -343,10 +352,21 @@ const CertificateGenerator = ({ eventId, onClose, isMobile = false }) => {
       }
       setEvent(eventResult.event);
 
+      // Hours, role and other merge fields, so previews match the issued file
+      const mergeResult = await CertificateService.getCertificateMergeFields(eventResult.event, user.id);
+      const participantFields = mergeResult.fields || {};
+      setMergeFields(participantFields);
+
       // Load certificate config
       const configResult = await CertificateService.getCertificateConfig(eventId);
       const defaultConfig = getDefaultConfig();
 
+      // Sessions for the transcript page, if the certificate has one
+      if (normalizeCertificatePages(configResult.config?.pages).length > 0) {
+        const transcriptResult = await CertificateService.getCertificateTranscript(eventId, user.id);
+        setTranscript(transcriptResult.entries || []);
+      }
+
       if (configResult.error) {
         setConfig(defaultConfig);
       } else if (!configResult.config) {
@@ -425,10 +445,11 @@ const CertificateGenerator = ({ eventId, onClose, isMobile = false }) => {
               mergedConfig,
               certResult.certificate.certificate_number,
               {
-                participantName: getUserName(),
+                participantName: certResult.certificate.participant_name || getUserName(),
                 eventTitle: event.title,
                 completionDate: event.start_date || new Date().toISOString().split('T')[0],
-                venue: event.venue || ''
+                venue: event.venue || '',
+                fields: participantFields
               }
             );
             const previewUrl = window.URL.createObjectURL(blob);
@@ -441,6 +462,10 @@ const CertificateGenerator = ({ eventId, onClose, isMobile = false }) => {
             // Leave previewData as null to show "Preview not available"
           }
         }
+      } else {
+        // Show which certificate requirements are still missing
+        const eligibilityResult = await CertificateService.checkCertificateEligibility(eventResult.event, user.id);
+        setEligibility(eligibilityResult.eligibility || null);
       }
     } catch (err) {
       const errorMessage = err.message || 'Failed to load certificate data';
@@ -498,29 +523,35 @@ const CertificateGenerator = ({ eventId, onClose, isMobile = false }) => {
 
     try {
       // First, generate the PNG certificate
-      const { generatePNGCertificate, convertPNGToPDF } = await import('../utils/certificateGenerator');
+      const { generatePNGCertificate, generateAdditionalPages, convertPNGToPDF } = await import('../utils/certificateGenerator');
 
       console.log('🖼️ Generating PNG certificate...');
-      const pngBlob = await generatePNGCertificate(
-        config,
-        certificateNumber || certificate?.certificate_number,
-        {
-          participantName: getUserName(),
-          eventTitle: event.title,
-          completionDate: event.start_date || new Date().toISOString().split('T')[0],
-          venue: event.venue || ''
-        }
-      );
+      const number = certificateNumber || certificate?.certificate_number;
+      const certificateData = {
+        participantName: getUserName(),
+        eventTitle: event.title,
+        completionDate: event.start_date || new Date().toISOString().split('T')[0],
+        venue: event.venue || '',
+        fields: mergeFields,
+        transcript
+      };
+      const pngBlob = await generatePNGCertificate(config, number, certificateData);
 
       if (!pngBlob) {
         throw new Error('Failed to generate PNG certificate');
       }
+      const extraPages = await generateAdditionalPages(config, number, certificateData);
 
       console.log('📄 Converting PNG to PDF...');
-      // Convert PNG to PDF
-      const width = config.width || 2500;  // Original certificate width
-      const height = config.height || 1768; // Original certificate height
-      const pdfBytes = await convertPNGToPDF(pngBlob, width, height);
+      // Convert PNG to PDF, at the certificate's paper size
+      const { width, height, pointWidth, pointHeight } = getCertificatePageDimensions(config);
+      const pdfBytes = await convertPNGToPDF(
+        [pngBlob, ...extraPages],
+        width,
+        height,
+        null,
+        { width: pointWidth, height: pointHeight }
+      );
 
       console.log('✅ PDF generated successfully');
       return pdfBytes;
@@ -537,8 +568,7 @@ const CertificateGenerator = ({ eventId, onClose, isMobile = false }) => {
     await document.fonts.ready;
 
     const canvas = document.createElement('canvas');
-    const width = config.width || 2500;  // Original certificate width
-    const height = config.height || 1768; // Original certificate height
+    const { width, height } = getCertificatePageDimensions(config);
     canvas.width = width;
     canvas.height = height;
     const ctx = canvas.getContext('2d');
@@ -582,6 +612,18 @@ const CertificateGenerator = ({ eventId, onClose, isMobile = false }) => {
       );
     }
 
+    const mergeValues = {
+      ...mergeFields,
+      name: getUserName(),
+      event: event.title,
+      date: formatDate(event.start_date),
+      venue: event.venue || '',
+      certificate_number: certificateNumber || ''
+    };
+    const resolveText = (text) => renderCertificateText(text, mergeValues);
+
+    await drawCertificateLayers(ctx, config.layers, width, height, resolveText);
+
     const header = config.header_config || {};
     const participation = config.participation_text_config || {};
     const isGivenTo = config.is_given_to_config || {};
@@ -694,7 +736,7 @@ const CertificateGenerator = ({ eventId, onClose, isMobile = false }) => {
       ctx.textAlign = 'center';
       ctx.textBaseline = 'middle';
       ctx.fillText(
-        isGivenTo.text,
+        resolveText(isGivenTo.text),
         (width * isGivenTo.position.x) / 100,
         (height * isGivenTo.position.y) / 100
       );
@@ -747,10 +789,7 @@ const CertificateGenerator = ({ eventId, onClose, isMobile = false }) => {
 
     // Participation Text - Handle multi-line
     if (participation.text_template) {
-      const participationText = participation.text_template
-        .replace('{EVENT_NAME}', event.title)
-        .replace('{EVENT_DATE}', formatDate(event.start_date))
-        .replace('{VENUE}', event.venue && event.venue.trim() ? event.venue : '[Venue]');
+      const participationText = resolveText(participation.text_template);
 
       ctx.fillStyle = participation.color || '#000000';
       ctx.font = `${participation.font_weight || 'normal'} ${participation.font_size || 22}px ${participation.font_family || 'Libre Baskerville, serif'}`;
@@ -928,6 +967,18 @@ const CertificateGenerator = ({ eventId, onClose, isMobile = false }) => {
       }
     }
 
+    // The event's certificate rules (attendance, sessions, evaluation, approval)
+    const eligibilityResult = await CertificateService.checkCertificateEligibility(event, user.id);
+    if (eligibilityResult.error) {
+      toast.error(eligibilityResult.error);
+      return;
+    }
+    setEligibility(eligibilityResult.eligibility);
+    if (!eligibilityResult.eligibility.eligible) {
+      toast.error(describeMissingRequirements(eligibilityResult.eligibility));
+      return;
+    }
+
     // Rate limiting check
     try {
       const { RateLimitService } = await import('../services/rateLimitService');
@@ -1303,7 +1354,15 @@ const CertificateGenerator = ({ eventId, onClose, isMobile = false }) => {
                 </div>
               )}
 
-              {certificate ? (
+              {certificate?.status === 'revoked' ? (
+                <div className="bg-red-50 border border-red-200 rounded-lg p-4">
+                  <p className="text-red-800 font-medium">Certificate {certificate.certificate_number} has been revoked</p>
+                  <p className="text-red-600 text-sm mt-1">
+                    {certificate.status_reason ? `Reason: ${certificate.status_reason}. ` : ''}
+                    Please contact the event organizer if you believe this is a mistake.
+                  </p>
+                </div>
+              ) : certificate ? (
                 <div className="space-y-6">
                   <div className="bg-blue-50 border border-blue-200 rounded-lg p-4">
                     <p className="text-blue-800 font-medium">Certificate already generated!</p>
@@ -1383,6 +1442,12 @@ const CertificateGenerator = ({ eventId, onClose, isMobile = false }) => {
                     <p className="text-slate-600 mb-4">
                       Generate your certificate of participation for this event.
                     </p>
+                    {eligibility && !eligibility.eligible && (
+                      <div className="max-w-md mx-auto mb-6 p-4 bg-amber-50 border border-amber-200 rounded-lg text-left">
+                        <p className="text-sm font-semibold text-amber-900 mb-3">Certificate requirements</p>
+                        <CertificateRequirements requirements={eligibility.requirements} />
+                      </div>
+                    )}
                     <button
                       onClick={handleGenerate}
                       disabled={generating}
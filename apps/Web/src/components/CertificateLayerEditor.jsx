@@ -0,0 +1,683 @@
+import React, { useState, useEffect, useRef } from 'react';
+import {
+  Type,
+  Square,
+  Circle,
+  Minus,
+  Image as ImageIcon,
+  ArrowUpToLine,
+  ArrowUp,
+  ArrowDown,
+  ArrowDownToLine,
+  Copy,
+  Trash2,
+  Lock,
+  LockOpen,
+  AlignStartVertical,
+  AlignCenterVertical,
+  AlignEndVertical,
+  AlignStartHorizontal,
+  AlignCenterHorizontal,
+  AlignEndHorizontal
+} from 'lucide-react';
+import {
+  LAYER_MIN_SIZE,
+  LAYER_TEXT_LINE_HEIGHT,
+  alignCertificateLayer,
+  createCertificateLayer,
+  duplicateCertificateLayer,
+  reorderCertificateLayer,
+  snapCertificateLayer
+} from '../utils/certificateLayers';
+
+const LAYER_TYPES = [
+  { type: 'text', label: 'Text', icon: Type },
+  { type: 'rect', label: 'Rectangle', icon: Square },
+  { type: 'ellipse', label: 'Ellipse', icon: Circle },
+  { type: 'line', label: 'Line', icon: Minus },
+  { type: 'image', label: 'Image', icon: ImageIcon }
+];
+
+const LAYER_FONTS = [
+  'Libre Baskerville, serif',
+  'Playfair Display, serif',
+  'EB Garamond, serif',
+  'Cormorant Garamond, serif',
+  'Merriweather, serif',
+  'Georgia, serif',
+  'Times New Roman, serif',
+  'Arial, sans-serif',
+  'Montserrat, sans-serif',
+  'Open Sans, sans-serif',
+  'Poppins, sans-serif',
+  'Roboto, sans-serif',
+  '"MonteCarlo", cursive',
+  'Pacifico, cursive',
+  'Lobster, cursive'
+];
+
+const ALIGNMENTS = [
+  { alignment: 'left', label: 'Align left', icon: AlignStartVertical },
+  { alignment: 'center', label: 'Centre horizontally', icon: AlignCenterVertical },
+  { alignment: 'right', label: 'Align right', icon: AlignEndVertical },
+  { alignment: 'top', label: 'Align top', icon: AlignStartHorizontal },
+  { alignment: 'middle', label: 'Centre vertically', icon: AlignCenterHorizontal },
+  { alignment: 'bottom', label: 'Align bottom', icon: AlignEndHorizontal }
+];
+
+// Screen pixels within which a dragged layer snaps to a guide
+const SNAP_DISTANCE = 6;
+const ROTATION_SNAP = 15;
+
+const getStrokeWidth = (layer) => Math.min(layer.stroke_width || 0, layer.width / 2, layer.height / 2);
+
+const renderLayerContent = (layer, scale, resolveText) => {
+  switch (layer.type) {
+    case 'text':
+      return (
+        <div
+          style={{
+            width: '100%',
+            height: '100%',
+            display: 'flex',
+            flexDirection: 'column',
+            justifyContent: 'center',
+            fontSize: `${(layer.font_size || 32) * scale}px`,
+            fontFamily: layer.font_family || 'Libre Baskerville, serif',
+            fontWeight: layer.font_weight || 'normal',
+            color: layer.color || '#000000',
+            textAlign: layer.text_align || 'center',
+            lineHeight: LAYER_TEXT_LINE_HEIGHT,
+            whiteSpace: 'pre-wrap'
+          }}
+        >
+          {resolveText(layer.text || '')}
+        </div>
+      );
+    case 'rect':
+    case 'ellipse':
+      return (
+        <div
+          style={{
+            width: '100%',
+            height: '100%',
+            boxSizing: 'border-box',
+            backgroundColor: layer.fill_color || 'transparent',
+            border: getStrokeWidth(layer) > 0 ? `${getStrokeWidth(layer) * scale}px solid ${layer.stroke_color || '#000000'}` : 'none',
+            borderRadius: layer.type === 'ellipse' ? '50%' : `${(layer.corner_radius || 0) * scale}px`
+          }}
+        />
+      );
+    case 'line':
+      return (
+        <div
+          style={{
+            position: 'absolute',
+            left: 0,
+            right: 0,
+            top: '50%',
+            height: `${(layer.stroke_width || 1) * scale}px`,
+            transform: 'translateY(-50%)',
+            backgroundColor: layer.stroke_color || '#000000'
+          }}
+        />
+      );
+    case 'image':
+      return layer.image_url ? (
+        <img
+          src={layer.image_url}
+          alt={layer.name || 'Layer image'}
+          draggable={false}
+          style={{ width: '100%', height: '100%', objectFit: 'contain' }}
+        />
+      ) : (
+        <div className="w-full h-full border-2 border-dashed border-slate-400 flex items-center justify-center text-slate-500 text-sm">
+          No image
+        </div>
+      );
+    default:
+      return null;
+  }
+};
+
+const getLayerBoxStyle = (layer, scale) => ({
+  position: 'absolute',
+  left: `${layer.x}%`,
+  top: `${layer.y}%`,
+  width: `${layer.width * scale}px`,
+  height: `${layer.height * scale}px`,
+  transform: `translate(-50%, -50%) rotate(${layer.rotation || 0}deg)`
+});
+
+/**
+ * Draws the free-form layers in the designer preview. Rendered before the
+ * built-in certificate elements so the stacking matches the generated file.
+ * resolveText fills in merge fields, as drawCertificateLayers does.
+ */
+export const CertificateLayers = ({ layers = [], scale, resolveText = (text) => text }) => (
+  <>
+    {layers.map(layer => (
+      <div
+        key={layer.id}
+        style={{
+          ...getLayerBoxStyle(layer, scale),
+          opacity: layer.opacity ?? 1,
+          pointerEvents: 'none'
+        }}
+      >
+        {renderLayerContent(layer, scale, resolveText)}
+      </div>
+    ))}
+  </>
+);
+
+/**
+ * Selection, drag, resize and rotate handles for the layers, with alignment
+ * guides while dragging. Rendered above the built-in elements so layers stay
+ * reachable under full-width text rows.
+ */
+export const CertificateLayerControls = ({ layers = [], width, height, scale, selectedId, onSelect, onChange }) => {
+  const [interaction, setInteraction] = useState(null);
+  const [guides, setGuides] = useState({ vertical: [], horizontal: [] });
+  const containerRef = useRef(null);
+  const layersRef = useRef(layers);
+  layersRef.current = layers;
+
+  const updateLayer = (id, changes) => {
+    onChange(layersRef.current.map(layer => (layer.id === id ? { ...layer, ...changes } : layer)));
+  };
+
+  useEffect(() => {
+    if (!interaction) return;
+
+    const { mode, layer, startX, startY } = interaction;
+    const radians = ((layer.rotation || 0) * Math.PI) / 180;
+    const cos = Math.cos(radians);
+    const sin = Math.sin(radians);
+
+    const handleMove = (e) => {
+      const dx = (e.clientX - startX) / scale;
+      const dy = (e.clientY - startY) / scale;
+
+      if (mode === 'move') {
+        const moved = { ...layer, x: layer.x + (dx / width) * 100, y: layer.y + (dy / height) * 100 };
+        if (e.altKey) {
+          setGuides({ vertical: [], horizontal: [] });
+          updateLayer(layer.id, { x: moved.x, y: moved.y });
+          return;
+        }
+        const others = layersRef.current.filter(other => other.id !== layer.id);
+        const snapped = snapCertificateLayer(moved, others, width, height, SNAP_DISTANCE / scale);
+        setGuides(snapped.guides);
+        updateLayer(layer.id, { x: snapped.x, y: snapped.y });
+        return;
+      }
+
+      if (mode === 'resize') {
+        // Work in the layer's own (rotated) frame so the opposite corner stays put
+        const localX = dx * cos + dy * sin;
+        const localY = -dx * sin + dy * cos;
+        let newWidth = Math.max(LAYER_MIN_SIZE, layer.width + localX);
+        let newHeight = layer.type === 'line' ? layer.height : Math.max(LAYER_MIN_SIZE, layer.height + localY);
+        if (e.shiftKey && layer.type !== 'line') {
+          const ratio = Math.max(newWidth / layer.width, newHeight / layer.height);
+          newWidth = layer.width * ratio;
+          newHeight = layer.height * ratio;
+        }
+        const halfDx = (newWidth - layer.width) / 2;
+        const halfDy = (newHeight - layer.height) / 2;
+        updateLayer(layer.id, {
+          width: Math.round(newWidth),
+          height: Math.round(newHeight),
+          x: layer.x + ((halfDx * cos - halfDy * sin) / width) * 100,
+          y: layer.y + ((halfDx * sin + halfDy * cos) / height) * 100
+        });
+        return;
+      }
+
+      // Rotate around the centre; the handle sits above the layer, hence +90
+      const rect = containerRef.current.getBoundingClientRect();
+      const centerX = rect.left + (rect.width * layer.x) / 100;
+      const centerY = rect.top + (rect.height * layer.y) / 100;
+      let angle = (Math.atan2(e.clientY - centerY, e.clientX - centerX) * 180) / Math.PI + 90;
+      const nearest = Math.round(angle / ROTATION_SNAP) * ROTATION_SNAP;
+      if (e.shiftKey || Math.abs(angle - nearest) < 3) {
+        angle = nearest;
+      }
+      angle = ((Math.round(angle) % 360) + 360) % 360;
+      updateLayer(layer.id, { rotation: angle > 180 ? angle - 360 : angle });
+    };
+
+    const handleUp = () => {
+      setInteraction(null);
+      setGuides({ vertical: [], horizontal: [] });
+    };
+
+    window.addEventListener('pointermove', handleMove);
+    window.addEventListener('pointerup', handleUp);
+    return () => {
+      window.removeEventListener('pointermove', handleMove);
+      window.removeEventListener('pointerup', handleUp);
+    };
+  }, [interaction, width, height, scale]);
+
+  // Arrow keys nudge the selected layer, Delete removes it
+  useEffect(() => {
+    if (!selectedId) return;
+
+    const handleKeyDown = (e) => {
+      if (['INPUT', 'TEXTAREA', 'SELECT'].includes(e.target.tagName) || e.target.isContentEditable) return;
+      const layer = layersRef.current.find(item => item.id === selectedId);
+      if (!layer) return;
+
+      if (e.key === 'Delete' || e.key === 'Backspace') {
+        if (layer.locked) return;
+        e.preventDefault();
+        onChange(layersRef.current.filter(item => item.id !== selectedId));
+        onSelect(null);
+        return;
+      }
+      if (e.key === 'Escape') {
+        onSelect(null);
+        return;
+      }
+
+      const step = e.shiftKey ? 10 : 1;
+      const nudge = {
+        ArrowLeft: { x: -step, y: 0 },
+        ArrowRight: { x: step, y: 0 },
+        ArrowUp: { x: 0, y: -step },
+        ArrowDown: { x: 0, y: step }
+      }[e.key];
+      if (!nudge || layer.locked) return;
+
+      e.preventDefault();
+      updateLayer(layer.id, {
+        x: layer.x + (nudge.x / width) * 100,
+        y: layer.y + (nudge.y / height) * 100
+      });
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [selectedId, width, height]);
+
+  const startInteraction = (e, layer, mode) => {
+    e.preventDefault();
+    e.stopPropagation();
+    onSelect(layer.id);
+    if (layer.locked) return;
+    setInteraction({ mode, layer, startX: e.clientX, startY: e.clientY });
+  };
+
+  const handleClass = 'absolute w-3 h-3 bg-white border-2 border-blue-600 rounded-full';
+
+  return (
+    <div ref={containerRef} style={{ position: 'absolute', inset: 0, pointerEvents: 'none' }}>
+      {layers.map(layer => {
+        const isSelected = layer.id === selectedId;
+        return (
+          <div
+            key={layer.id}
+            onPointerDown={(e) => startInteraction(e, layer, 'move')}
+            style={{
+              ...getLayerBoxStyle(layer, scale),
+              pointerEvents: 'auto',
+              touchAction: 'none',
+              cursor: layer.locked ? 'pointer' : 'move',
+              outline: isSelected ? '2px solid #2563eb' : undefined,
+              outlineOffset: 2
+            }}
+            className={isSelected ? '' : 'hover:outline hover:outline-1 hover:outline-blue-400'}
+          >
+            {isSelected && !layer.locked && (
+              <>
+                <div
+                  onPointerDown={(e) => startInteraction(e, layer, 'rotate')}
+                  title="Rotate (hold Shift to snap to 15°)"
+                  className={handleClass}
+                  style={{ left: '50%', top: -28, transform: 'translateX(-50%)', cursor: 'grab' }}
+                />
+                <div
+                  className="absolute w-px bg-blue-600"
+                  style={{ left: '50%', top: -16, height: 14 }}
+                />
+                <div
+                  onPointerDown={(e) => startInteraction(e, layer, 'resize')}
+                  title="Resize (hold Shift to keep proportions)"
+                  className={handleClass}
+                  style={{ right: -8, bottom: -8, cursor: 'nwse-resize' }}
+                />
+              </>
+            )}
+          </div>
+        );
+      })}
+
+      {guides.vertical.map(x => (
+        <div key={`v-${x}`} className="absolute top-0 bottom-0 w-px bg-pink-500" style={{ left: `${(x / width) * 100}%` }} />
+      ))}
+      {guides.horizontal.map(y => (
+        <div key={`h-${y}`} className="absolute left-0 right-0 h-px bg-pink-500" style={{ top: `${(y / height) * 100}%` }} />
+      ))}
+    </div>
+  );
+};
+
+const NumberField = ({ label, value, onChange, step = 1, min }) => (
+  <label className="block">
+    <span className="block text-xs font-medium text-slate-600 mb-1">{label}</span>
+    <input
+      type="number"
+      value={Math.round(value * 10) / 10}
+      step={step}
+      min={min}
+      onChange={(e) => {
+        const parsed = parseFloat(e.target.value);
+        if (Number.isFinite(parsed)) onChange(parsed);
+      }}
+      className="w-full px-3 py-2 border border-slate-300 rounded-lg bg-white text-slate-800 text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+    />
+  </label>
+);
+
+const ColorField = ({ label, value, onChange }) => (
+  <label className="block">
+    <span className="block text-xs font-medium text-slate-600 mb-1">{label}</span>
+    <input
+      type="color"
+      value={value}
+      onChange={(e) => onChange(e.target.value)}
+      className="w-full h-10 rounded-lg border border-slate-300 cursor-pointer"
+    />
+  </label>
+);
+
+/**
+ * Settings for the free-form layers: add, pick, arrange, align and style
+ */
+export const CertificateLayerPanel = ({
+  layers = [],
+  width,
+  height,
+  selectedId,
+  onSelect,
+  onChange,
+  existingImages = [],
+  onUploadImage,
+  uploadingImage = false
+}) => {
+  const selected = layers.find(layer => layer.id === selectedId) || null;
+
+  const updateSelected = (changes) => {
+    onChange(layers.map(layer => (layer.id === selectedId ? { ...layer, ...changes } : layer)));
+  };
+
+  const addLayer = (type) => {
+    const layer = createCertificateLayer(type);
+    onChange([...layers, layer]);
+    onSelect(layer.id);
+  };
+
+  const duplicateSelected = () => {
+    const copy = duplicateCertificateLayer(selected);
+    const index = layers.findIndex(layer => layer.id === selectedId);
+    onChange([...layers.slice(0, index + 1), copy, ...layers.slice(index + 1)]);
+    onSelect(copy.id);
+  };
+
+  const removeSelected = () => {
+    onChange(layers.filter(layer => layer.id !== selectedId));
+    onSelect(null);
+  };
+
+  const buttonClass = 'flex items-center justify-center p-2 rounded-lg border border-slate-300 bg-white text-slate-600 hover:bg-slate-50 hover:text-blue-700 disabled:opacity-40 disabled:cursor-not-allowed';
+
+  return (
+    <div className="space-y-5">
+      <div className="flex items-center gap-2 pb-2 border-b border-slate-200/50">
+        <div className="w-1 h-6 bg-gradient-to-b from-pink-500 to-orange-500 rounded-full"></div>
+        <h5 className="font-semibold text-slate-800 text-sm uppercase tracking-wide">Layers</h5>
+      </div>
+
+      <p className="text-xs text-slate-500">
+        Add text, shapes, lines and images, then drag them on the preview. Layers sit above the background and below
+        the built-in elements. Drag the round handles to resize or rotate; hold Alt while dragging to turn off snapping.
+      </p>
+
+      <div className="grid grid-cols-5 gap-2">
+        {LAYER_TYPES.map(({ type, label, icon: Icon }) => (
+          <button
+            key={type}
+            type="button"
+            onClick={() => addLayer(type)}
+            className="flex flex-col items-center gap-1 px-2 py-2.5 rounded-xl border border-slate-300 bg-white text-xs font-medium text-slate-700 hover:border-blue-400 hover:bg-blue-50/50"
+          >
+            <Icon className="w-4 h-4" />
+            {label}
+          </button>
+        ))}
+      </div>
+
+      {layers.length > 0 && (
+        <div className="border border-slate-200 rounded-xl divide-y divide-slate-200 overflow-hidden">
+          {/* Top layer first, as in drawing tools */}
+          {[...layers].reverse().map(layer => {
+            const Icon = LAYER_TYPES.find(item => item.type === layer.type)?.icon || Square;
+            return (
+              <div
+                key={layer.id}
+                onClick={() => onSelect(layer.id)}
+                className={`flex items-center gap-2 px-3 py-2 text-sm cursor-pointer ${layer.id === selectedId ? 'bg-blue-50 text-blue-800' : 'bg-white text-slate-700 hover:bg-slate-50'}`}
+              >
+                <Icon className="w-4 h-4 flex-shrink-0" />
+                <span className="flex-1 truncate">
+                  {layer.type === 'text' && layer.text ? layer.text.split('\n')[0] : layer.name || layer.type}
+                </span>
+                <button
+                  type="button"
+                  title={layer.locked ? 'Unlock' : 'Lock'}
+                  onClick={(e) => {
+                    e.stopPropagation();
+                    onChange(layers.map(item => (item.id === layer.id ? { ...item, locked: !item.locked } : item)));
+                  }}
+                  className="p-1 text-slate-400 hover:text-slate-700"
+                >
+                  {layer.locked ? <Lock className="w-3.5 h-3.5" /> : <LockOpen className="w-3.5 h-3.5" />}
+                </button>
+              </div>
+            );
+          })}
+        </div>
+      )}
+
+      {selected && (
+        <div className="space-y-4 p-4 bg-slate-50 rounded-xl border border-slate-200">
+          <div className="flex flex-wrap items-center gap-2">
+            <button type="button" title="Bring to front" onClick={() => onChange(reorderCertificateLayer(layers, selectedId, 'front'))} className={buttonClass}>
+              <ArrowUpToLine className="w-4 h-4" />
+            </button>
+            <button type="button" title="Bring forward" onClick={() => onChange(reorderCertificateLayer(layers, selectedId, 'forward'))} className={buttonClass}>
+              <ArrowUp className="w-4 h-4" />
+            </button>
+            <button type="button" title="Send backward" onClick={() => onChange(reorderCertificateLayer(layers, selectedId, 'backward'))} className={buttonClass}>
+              <ArrowDown className="w-4 h-4" />
+            </button>
+            <button type="button" title="Send to back" onClick={() => onChange(reorderCertificateLayer(layers, selectedId, 'back'))} className={buttonClass}>
+              <ArrowDownToLine className="w-4 h-4" />
+            </button>
+            <span className="w-px h-6 bg-slate-300 mx-1" />
+            {ALIGNMENTS.map(({ alignment, label, icon: Icon }) => (
+              <button
+                key={alignment}
+                type="button"
+                title={label}
+                disabled={selected.locked}
+                onClick={() => updateSelected(alignCertificateLayer(selected, alignment, width, height))}
+                className={buttonClass}
+              >
+                <Icon className="w-4 h-4" />
+              </button>
+            ))}
+            <span className="w-px h-6 bg-slate-300 mx-1" />
+            <button type="button" title="Duplicate" onClick={duplicateSelected} className={buttonClass}>
+              <Copy className="w-4 h-4" />
+            </button>
+            <button type="button" title="Delete" onClick={removeSelected} className={`${buttonClass} hover:text-red-600`}>
+              <Trash2 className="w-4 h-4" />
+            </button>
+          </div>
+
+          <div className="grid grid-cols-3 gap-3">
+            <NumberField label="X (%)" value={selected.x} step={0.5} onChange={(x) => updateSelected({ x })} />
+            <NumberField label="Y (%)" value={selected.y} step={0.5} onChange={(y) => updateSelected({ y })} />
+            <NumberField label="Rotation (°)" value={selected.rotation || 0} onChange={(rotation) => updateSelected({ rotation })} />
+            <NumberField label="Width (px)" value={selected.width} min={LAYER_MIN_SIZE} onChange={(value) => updateSelected({ width: Math.max(LAYER_MIN_SIZE, value) })} />
+            {selected.type !== 'line' && (
+              <NumberField label="Height (px)" value={selected.height} min={LAYER_MIN_SIZE} onChange={(value) => updateSelected({ height: Math.max(LAYER_MIN_SIZE, value) })} />
+            )}
+            <label className="block">
+              <span className="block text-xs font-medium text-slate-600 mb-1">Opacity: {Math.round((selected.opacity ?? 1) * 100)}%</span>
+              <input
+                type="range"
+                min="0"
+                max="1"
+                step="0.05"
+                value={selected.opacity ?? 1}
+                onChange={(e) => updateSelected({ opacity: parseFloat(e.target.value) })}
+                className="w-full h-2 mt-3 bg-slate-200 rounded-lg appearance-none cursor-pointer accent-blue-600"
+              />
+            </label>
+          </div>
+
+          {selected.type === 'text' && (
+            <div className="space-y-3">
+              <label className="block">
+                <span className="block text-xs font-medium text-slate-600 mb-1">Text</span>
+                <textarea
+                  value={selected.text || ''}
+                  onChange={(e) => updateSelected({ text: e.target.value })}
+                  rows={3}
+                  className="w-full px-3 py-2 border border-slate-300 rounded-lg bg-white text-slate-800 text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                />
+              </label>
+              <div className="grid grid-cols-2 gap-3">
+                <label className="block">
+                  <span className="block text-xs font-medium text-slate-600 mb-1">Font</span>
+                  <select
+                    value={selected.font_family || 'Libre Baskerville, serif'}
+                    onChange={(e) => updateSelected({ font_family: e.target.value })}
+                    className="w-full px-3 py-2 border border-slate-300 rounded-lg bg-white text-slate-800 text-sm"
+                  >
+                    {LAYER_FONTS.map(font => (
+                      <option key={font} value={font}>{font.split(',')[0].replace(/"/g, '')}</option>
+                    ))}
+                  </select>
+                </label>
+                <NumberField label="Font Size (px)" value={selected.font_size || 32} min={6} onChange={(value) => updateSelected({ font_size: Math.max(6, value) })} />
+                <label className="block">
+                  <span className="block text-xs font-medium text-slate-600 mb-1">Weight</span>
+                  <select
+                    value={selected.font_weight || 'normal'}
+                    onChange={(e) => updateSelected({ font_weight: e.target.value })}
+                    className="w-full px-3 py-2 border border-slate-300 rounded-lg bg-white text-slate-800 text-sm"
+                  >
+                    <option value="normal">Normal</option>
+                    <option value="bold">Bold</option>
+                  </select>
+                </label>
+                <label className="block">
+                  <span className="block text-xs font-medium text-slate-600 mb-1">Alignment</span>
+                  <select
+                    value={selected.text_align || 'center'}
+                    onChange={(e) => updateSelected({ text_align: e.target.value })}
+                    className="w-full px-3 py-2 border border-slate-300 rounded-lg bg-white text-slate-800 text-sm"
+                  >
+                    <option value="left">Left</option>
+                    <option value="center">Centre</option>
+                    <option value="right">Right</option>
+                  </select>
+                </label>
+                <ColorField label="Color" value={selected.color || '#000000'} onChange={(color) => updateSelected({ color })} />
+              </div>
+            </div>
+          )}
+
+          {(selected.type === 'rect' || selected.type === 'ellipse') && (
+            <div className="grid grid-cols-2 gap-3">
+              <div>
+                <ColorField label="Fill" value={selected.fill_color || '#ffffff'} onChange={(fill_color) => updateSelected({ fill_color })} />
+                <label className="flex items-center gap-2 mt-2 text-xs text-slate-600">
+                  <input
+                    type="checkbox"
+                    checked={!selected.fill_color}
+                    onChange={(e) => updateSelected({ fill_color: e.target.checked ? null : '#ffffff' })}
+                    className="rounded border-slate-300 text-blue-600"
+                  />
+                  No fill
+                </label>
+              </div>
+              <ColorField label="Outline" value={selected.stroke_color || '#000000'} onChange={(stroke_color) => updateSelected({ stroke_color })} />
+              <NumberField label="Outline Width (px)" value={selected.stroke_width || 0} min={0} onChange={(value) => updateSelected({ stroke_width: Math.max(0, value) })} />
+              {selected.type === 'rect' && (
+                <NumberField label="Corner Radius (px)" value={selected.corner_radius || 0} min={0} onChange={(value) => updateSelected({ corner_radius: Math.max(0, value) })} />
+              )}
+            </div>
+          )}
+
+          {selected.type === 'line' && (
+            <div className="grid grid-cols-2 gap-3">
+              <ColorField label="Color" value={selected.stroke_color || '#000000'} onChange={(stroke_color) => updateSelected({ stroke_color })} />
+              <NumberField
+                label="Thickness (px)"
+                value={selected.stroke_width || 1}
+                min={1}
+                onChange={(value) => {
+                  const stroke_width = Math.max(1, value);
+                  updateSelected({ stroke_width, height: Math.max(LAYER_MIN_SIZE, stroke_width) });
+                }}
+              />
+            </div>
+          )}
+
+          {selected.type === 'image' && (
+            <div className="space-y-3">
+              {onUploadImage && (
+                <label className={`flex items-center justify-center w-full px-4 py-3 text-sm rounded-xl border-2 border-dashed cursor-pointer ${uploadingImage ? 'opacity-50 cursor-not-allowed border-slate-300' : 'border-slate-300 hover:border-blue-400 hover:bg-blue-50/50'}`}>
+                  <input
+                    type="file"
+                    accept="image/png"
+                    className="hidden"
+                    disabled={uploadingImage}
+                    onChange={async (e) => {
+                      const file = e.target.files?.[0];
+                      e.target.value = '';
+                      if (!file) return;
+                      const url = await onUploadImage(file);
+                      if (url) updateSelected({ image_url: url });
+                    }}
+                  />
+                  {uploadingImage ? 'Uploading...' : 'Upload PNG image'}
+                </label>
+              )}
+              {existingImages.length > 0 && (
+                <div className="grid grid-cols-5 gap-2">
+                  {existingImages.map(url => (
+                    <button
+                      key={url}
+                      type="button"
+                      onClick={() => updateSelected({ image_url: url })}
+                      className={`aspect-square p-1 rounded-lg border bg-white ${selected.image_url === url ? 'border-blue-600 ring-2 ring-blue-200' : 'border-slate-300 hover:border-blue-400'}`}
+                    >
+                      <img src={url} alt="" className="w-full h-full object-contain" />
+                    </button>
+                  ))}
+                </div>
+              )}
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
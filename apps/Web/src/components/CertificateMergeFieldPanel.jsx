@@ -0,0 +1,111 @@
+import React, { useRef } from 'react';
+import { CERTIFICATE_MERGE_FIELDS } from '../utils/certificateMergeFields';
+
+const inputClass = 'w-full px-3 py-2 border border-slate-300 rounded-lg bg-white text-slate-800 text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent';
+
+/**
+ * Participation text editor with the merge fields it can use, plus the values
+ * the designer preview fills in for every field the certificate's text uses
+ */
+export const CertificateMergeFieldPanel = ({
+  template = '',
+  onTemplateChange,
+  usedFields = [],
+  previewValues = {},
+  onPreviewValuesChange
+}) => {
+  const textareaRef = useRef(null);
+
+  const insertField = (field) => {
+    const textarea = textareaRef.current;
+    const placeholder = `{{${field}}}`;
+    const start = textarea ? textarea.selectionStart : template.length;
+    const end = textarea ? textarea.selectionEnd : template.length;
+    onTemplateChange(template.slice(0, start) + placeholder + template.slice(end));
+    requestAnimationFrame(() => {
+      if (!textarea) return;
+      textarea.focus();
+      textarea.setSelectionRange(start + placeholder.length, start + placeholder.length);
+    });
+  };
+
+  const getFieldInfo = (field) => CERTIFICATE_MERGE_FIELDS.find(info => info.field === field);
+
+  return (
+    <div className="space-y-5">
+      <div className="flex items-center gap-2 pb-2 border-b border-slate-200/50">
+        <div className="w-1 h-6 bg-gradient-to-b from-amber-500 to-yellow-500 rounded-full"></div>
+        <h5 className="font-semibold text-slate-800 text-sm uppercase tracking-wide">Certificate Text</h5>
+      </div>
+
+      <div className="space-y-4">
+        <label className="block">
+          <span className="block text-xs font-semibold text-slate-600 uppercase tracking-wider mb-2">
+            Participation Text
+          </span>
+          <textarea
+            ref={textareaRef}
+            value={template}
+            onChange={(e) => onTemplateChange(e.target.value)}
+            rows={4}
+            className={inputClass}
+          />
+        </label>
+
+        <div>
+          <span className="block text-xs font-medium text-slate-600 mb-2">Insert a field</span>
+          <div className="flex flex-wrap gap-1.5">
+            {CERTIFICATE_MERGE_FIELDS.map(({ field, label }) => (
+              <button
+                key={field}
+                type="button"
+                title={label}
+                onClick={() => insertField(field)}
+                className="px-2 py-1 rounded-md border border-slate-300 bg-white text-xs font-mono text-slate-700 hover:border-blue-400 hover:bg-blue-50/50"
+              >
+                {`{{${field}}}`}
+              </button>
+            ))}
+          </div>
+        </div>
+
+        <div className="text-xs text-slate-500 space-y-1">
+          <p>
+            Registration answers: <code className="text-slate-700">{'{{answer.Question text}}'}</code>. Fields supplied
+            with the participant list, such as a score, are used by their column name.
+          </p>
+          <p>
+            Conditional text: <code className="text-slate-700">{'{{#if score >= 90}}with distinction{{else}}with merit{{/if}}'}</code>.
+            Compare with {'=, !=, >, >=, <, <='}, or test a field on its own to check it has a value.
+          </p>
+          <p>The same fields work in text layers.</p>
+        </div>
+
+        {usedFields.length > 0 && (
+          <div>
+            <span className="block text-xs font-semibold text-slate-600 uppercase tracking-wider mb-2">
+              Preview Values
+            </span>
+            <div className="grid grid-cols-2 gap-3">
+              {usedFields.map(field => (
+                <label key={field} className="block">
+                  <span className="block text-xs font-medium text-slate-600 mb-1 truncate" title={field}>
+                    {getFieldInfo(field)?.label || field}
+                  </span>
+                  <input
+                    type="text"
+                    value={previewValues[field] ?? ''}
+                    placeholder={getFieldInfo(field)?.sample || ''}
+                    onChange={(e) => onPreviewValuesChange({ ...previewValues, [field]: e.target.value })}
+                    className={inputClass}
+                  />
+                </label>
+              ))}
+            </div>
+            <p className="text-xs text-slate-500 mt-2">Only used for the preview. Issued certificates use each participant's details.</p>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
@@ -0,0 +1,239 @@
+import React, { useEffect, useRef } from 'react';
+import {
+  CERTIFICATE_PAGE_SIZES,
+  createTranscriptPage,
+  drawTranscriptPage,
+  getTranscriptTotalHours
+} from '../utils/certificatePages';
+import { formatDate } from '../utils/certificateGenerator';
+import { renderCertificateText } from '../utils/certificateMergeFields';
+
+const inputClass = 'w-full px-3 py-2 border border-slate-300 rounded-lg bg-white text-slate-800 text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent';
+
+const TRANSCRIPT_FONTS = [
+  'Libre Baskerville, serif',
+  'Playfair Display, serif',
+  'EB Garamond, serif',
+  'Merriweather, serif',
+  'Georgia, serif',
+  'Times New Roman, serif',
+  'Arial, sans-serif',
+  'Montserrat, sans-serif',
+  'Open Sans, sans-serif',
+  'Roboto, sans-serif'
+];
+
+// What the designer previews; issued certificates list the sessions attended
+const SAMPLE_TRANSCRIPT = [
+  { title: 'Opening keynote', date: '2024-12-01', hours: 1.5, score: null },
+  { title: 'Hands-on workshop', date: '2024-12-01', hours: 3, score: '92' },
+  { title: 'Assessment', date: '2024-12-02', hours: 2, score: '88' }
+];
+
+const ColorInput = ({ label, value, onChange }) => (
+  <label className="block">
+    <span className="block text-xs font-medium text-slate-600 mb-1">{label}</span>
+    <input
+      type="color"
+      value={value}
+      onChange={(e) => onChange(e.target.value)}
+      className="w-full h-10 rounded-lg border border-slate-300 cursor-pointer"
+    />
+  </label>
+);
+
+/**
+ * Paper size and orientation of the certificate, and the transcript page
+ * printed after it
+ */
+export const CertificatePagePanel = ({
+  pageSize,
+  orientation,
+  pages = [],
+  onFormatChange,
+  onPagesChange
+}) => {
+  const transcriptIndex = pages.findIndex(page => page.type === 'transcript');
+  const transcript = transcriptIndex >= 0 ? { ...createTranscriptPage(), ...pages[transcriptIndex] } : null;
+
+  const updateTranscript = (changes) => {
+    onPagesChange(pages.map((page, i) => (i === transcriptIndex ? { ...transcript, ...changes } : page)));
+  };
+
+  const toggleTranscript = (enabled) => {
+    onPagesChange(enabled
+      ? [...pages, createTranscriptPage()]
+      : pages.filter((_, i) => i !== transcriptIndex));
+  };
+
+  return (
+    <div className="space-y-5">
+      <div className="flex items-center gap-2 pb-2 border-b border-slate-200/50">
+        <div className="w-1 h-6 bg-gradient-to-b from-sky-500 to-blue-500 rounded-full"></div>
+        <h5 className="font-semibold text-slate-800 text-sm uppercase tracking-wide">Pages</h5>
+      </div>
+
+      <div className="space-y-4">
+        <div className="grid grid-cols-2 gap-3">
+          <label className="block">
+            <span className="block text-xs font-semibold text-slate-600 uppercase tracking-wider mb-2">Paper Size</span>
+            <select
+              value={pageSize || 'a4'}
+              onChange={(e) => onFormatChange({ page_size: e.target.value, orientation: orientation || 'landscape' })}
+              className={inputClass}
+            >
+              {Object.entries(CERTIFICATE_PAGE_SIZES).map(([size, { label }]) => (
+                <option key={size} value={size}>{label}</option>
+              ))}
+            </select>
+          </label>
+          <div>
+            <span className="block text-xs font-semibold text-slate-600 uppercase tracking-wider mb-2">Orientation</span>
+            <div className="grid grid-cols-2 gap-1 p-1 bg-slate-100 rounded-lg">
+              {['landscape', 'portrait'].map(option => (
+                <button
+                  key={option}
+                  type="button"
+                  onClick={() => onFormatChange({ page_size: pageSize || 'a4', orientation: option })}
+                  className={`px-3 py-1.5 rounded-md text-sm font-medium capitalize transition-colors ${
+                    (orientation || 'landscape') === option
+                      ? 'bg-white text-slate-900 shadow-sm'
+                      : 'text-slate-600 hover:text-slate-900'
+                  }`}
+                >
+                  {option}
+                </button>
+              ))}
+            </div>
+          </div>
+        </div>
+        {!pageSize && !orientation && (
+          <p className="text-xs text-slate-500">
+            This certificate keeps its original size until you choose a paper size or orientation.
+          </p>
+        )}
+        <p className="text-xs text-slate-500">
+          Positions are kept as a share of the page, so check the layout after changing orientation.
+        </p>
+
+        <label className="flex items-center gap-2 text-sm text-slate-700">
+          <input
+            type="checkbox"
+            checked={!!transcript}
+            onChange={(e) => toggleTranscript(e.target.checked)}
+            className="rounded border-slate-300 text-blue-600"
+          />
+          Add a transcript page listing the sessions attended
+        </label>
+
+        {transcript && (
+          <div className="space-y-4 pl-6">
+            <label className="block">
+              <span className="block text-xs font-medium text-slate-600 mb-1">Title</span>
+              <input
+                type="text"
+                value={transcript.title || ''}
+                onChange={(e) => updateTranscript({ title: e.target.value })}
+                className={inputClass}
+              />
+            </label>
+            <label className="block">
+              <span className="block text-xs font-medium text-slate-600 mb-1">Introduction</span>
+              <textarea
+                value={transcript.intro_text || ''}
+                onChange={(e) => updateTranscript({ intro_text: e.target.value })}
+                rows={2}
+                className={inputClass}
+              />
+            </label>
+            <div className="flex flex-wrap gap-4">
+              {[
+                { key: 'show_dates', label: 'Dates' },
+                { key: 'show_hours', label: 'Hours' },
+                { key: 'show_scores', label: 'Scores' }
+              ].map(({ key, label }) => (
+                <label key={key} className="flex items-center gap-2 text-sm text-slate-700">
+                  <input
+                    type="checkbox"
+                    checked={transcript[key] !== false}
+                    onChange={(e) => updateTranscript({ [key]: e.target.checked })}
+                    className="rounded border-slate-300 text-blue-600"
+                  />
+                  {label}
+                </label>
+              ))}
+            </div>
+            <label className="block">
+              <span className="block text-xs font-medium text-slate-600 mb-1">Font</span>
+              <select
+                value={transcript.font_family}
+                onChange={(e) => updateTranscript({ font_family: e.target.value })}
+                className={inputClass}
+              >
+                {TRANSCRIPT_FONTS.map(font => (
+                  <option key={font} value={font}>{font.split(',')[0]}</option>
+                ))}
+              </select>
+            </label>
+            <div className="grid grid-cols-3 gap-3">
+              <ColorInput label="Text" value={transcript.color} onChange={(color) => updateTranscript({ color })} />
+              <ColorInput label="Accent" value={transcript.accent_color} onChange={(accent_color) => updateTranscript({ accent_color })} />
+              <ColorInput label="Background" value={transcript.background_color} onChange={(background_color) => updateTranscript({ background_color })} />
+            </div>
+            <p className="text-xs text-slate-500">
+              Sessions and hours come from the participant's session check-ins. The totals show
+              the {'{{score}}'} field when one is supplied.
+            </p>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+/**
+ * Designer preview of a transcript page, drawn with the same code as the
+ * issued PDF
+ */
+export const CertificateTranscriptPreview = ({ page, width, height, scale = 1, fields = {} }) => {
+  const canvasRef = useRef(null);
+  const fieldsKey = JSON.stringify(fields);
+
+  useEffect(() => {
+    let cancelled = false;
+    const draw = () => {
+      const canvas = canvasRef.current;
+      const ctx = canvas?.getContext('2d');
+      if (!ctx || cancelled) return;
+      drawTranscriptPage(ctx, page, width, height, {
+        entries: SAMPLE_TRANSCRIPT,
+        totalHours: getTranscriptTotalHours(SAMPLE_TRANSCRIPT),
+        score: fields.score,
+        isLastPage: true,
+        pageNumber: 1,
+        pageCount: 1,
+        certificateNumber: 'CERT-001',
+        resolveText: (text) => renderCertificateText(text, fields),
+        formatDate
+      });
+    };
+
+    draw();
+    // Redraw once web fonts have arrived
+    document.fonts?.ready.then(draw);
+    return () => {
+      cancelled = true;
+    };
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [page, width, height, fieldsKey]);
+
+  return (
+    <canvas
+      ref={canvasRef}
+      width={width}
+      height={height}
+      style={{ width: width * scale, height: height * scale, display: 'block' }}
+      className="rounded-xl"
+    />
+  );
+};
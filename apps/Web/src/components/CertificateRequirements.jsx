@@ -0,0 +1,34 @@
+import React from 'react';
+import { CheckCircle, Circle } from 'lucide-react';
+
+/**
+ * A participant's progress on an event's certificate requirements, as
+ * returned by CertificateService.checkCertificateEligibility
+ */
+export const CertificateRequirements = ({ requirements = [] }) => {
+  if (requirements.length === 0) {
+    return null;
+  }
+
+  return (
+    <ul className="space-y-2">
+      {requirements.map(requirement => (
+        <li key={requirement.type} className="flex items-start gap-2 text-sm">
+          {requirement.met ? (
+            <CheckCircle className="w-4 h-4 mt-0.5 text-green-600 flex-shrink-0" />
+          ) : (
+            <Circle className="w-4 h-4 mt-0.5 text-amber-500 flex-shrink-0" />
+          )}
+          <div>
+            <span className={requirement.met ? 'text-slate-500' : 'text-slate-800 font-medium'}>
+              {requirement.label}
+            </span>
+            {!requirement.met && requirement.detail && (
+              <p className="text-xs text-slate-500 mt-0.5">{requirement.detail}</p>
+            )}
+          </div>
+        </li>
+      ))}
+    </ul>
+  );
+};
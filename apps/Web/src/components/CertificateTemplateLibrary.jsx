@@ -0,0 +1,313 @@
+import React, { useEffect, useState } from 'react';
+import { X, Trash2, Loader2, ImageOff } from 'lucide-react';
+import { CertificateTemplateService } from '../services/certificateTemplateService';
+import { ConfirmationDialog } from './ConfirmationDialog';
+import { generateCertificateThumbnail } from '../utils/certificateGenerator';
+import { getSampleMergeFields } from '../utils/certificateMergeFields';
+
+const inputClass = 'w-full px-3 py-2 border border-slate-300 rounded-lg bg-white text-slate-800 text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent';
+
+const TABS = [
+  { key: 'official', label: 'Official', empty: 'No official templates have been published yet.' },
+  { key: 'department', label: 'My Department', empty: 'Nobody in your department has shared a template yet.' },
+  { key: 'mine', label: 'My Templates', empty: 'Designs you save as templates appear here.' }
+];
+
+const VISIBILITY_LABELS = {
+  private: 'Private',
+  department: 'Shared with department',
+  official: 'Official'
+};
+
+/**
+ * Thumbnail of a design, drawn by the certificate generator with the
+ * designer's sample values
+ */
+const renderThumbnail = async (config) => {
+  const fields = getSampleMergeFields();
+  return generateCertificateThumbnail(config, {
+    participantName: fields.name,
+    eventTitle: fields.event,
+    completionDate: new Date().toISOString().split('T')[0],
+    venue: fields.venue,
+    fields
+  });
+};
+
+/**
+ * Library of saved certificate designs: save the current design as a
+ * template, share it, and apply official, department or personal templates
+ */
+export const CertificateTemplateLibrary = ({ isOpen, onClose, config, user, onApply }) => {
+  const [templates, setTemplates] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const [activeTab, setActiveTab] = useState('official');
+  const [form, setForm] = useState({ name: '', description: '', visibility: 'private' });
+  const [pendingApply, setPendingApply] = useState(null);
+  const [pendingDelete, setPendingDelete] = useState(null);
+  const [deleting, setDeleting] = useState(false);
+
+  const isAdmin = user?.role === 'admin';
+  const department = user?.affiliated_organization || '';
+  const author = { id: user?.id, role: user?.role, department };
+
+  useEffect(() => {
+    if (isOpen) {
+      loadTemplates();
+    }
+  }, [isOpen]);
+
+  const loadTemplates = async () => {
+    setLoading(true);
+    setError(null);
+    const result = await CertificateTemplateService.getTemplates();
+    if (result.error) {
+      setError(result.error);
+    } else {
+      setTemplates(result.templates || []);
+    }
+    setLoading(false);
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    if (!user?.id) return;
+
+    setSaving(true);
+    setError(null);
+
+    let thumbnail = null;
+    try {
+      thumbnail = await renderThumbnail(config);
+    } catch (err) {
+      // The template is still usable without a preview
+      console.warn('Could not render the template thumbnail:', err);
+    }
+
+    const result = await CertificateTemplateService.saveTemplate({ ...form, config, thumbnail }, author);
+    if (result.error) {
+      setError(result.error);
+    } else {
+      setForm({ name: '', description: '', visibility: 'private' });
+      setTemplates(prev => [result.template, ...prev]);
+      setActiveTab(result.template.visibility === 'official' ? 'official' : 'mine');
+    }
+    setSaving(false);
+  };
+
+  const handleVisibilityChange = async (template, visibility) => {
+    setError(null);
+    const result = await CertificateTemplateService.updateTemplateVisibility(template.id, visibility, author);
+    if (result.error) {
+      setError(result.error);
+      return;
+    }
+    setTemplates(prev => prev.map(t => (t.id === template.id ? result.template : t)));
+  };
+
+  const handleDelete = async () => {
+    if (!pendingDelete) return;
+    setDeleting(true);
+    const result = await CertificateTemplateService.deleteTemplate(pendingDelete);
+    if (result.error) {
+      setError(result.error);
+    } else {
+      setTemplates(prev => prev.filter(t => t.id !== pendingDelete.id));
+    }
+    setDeleting(false);
+    setPendingDelete(null);
+  };
+
+  const handleApply = () => {
+    if (!pendingApply) return;
+    onApply(pendingApply.config);
+    setPendingApply(null);
+    onClose();
+  };
+
+  if (!isOpen) return null;
+
+  const groups = CertificateTemplateService.groupTemplates(templates, user?.id);
+  const visibleTemplates = groups[activeTab];
+  const canManage = (template) => template.created_by === user?.id || isAdmin;
+
+  return (
+    <>
+      <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4" onClick={onClose}>
+        <div className="bg-white rounded-2xl shadow-2xl max-w-4xl w-full max-h-[90vh] overflow-hidden flex flex-col" onClick={(e) => e.stopPropagation()}>
+          {/* Header */}
+          <div className="flex items-center justify-between p-6 border-b border-gray-200">
+            <div>
+              <h2 className="text-2xl font-semibold text-gray-900">Certificate Templates</h2>
+              <p className="text-sm text-gray-600 mt-1">
+                Reuse a saved design, or save this one for other events
+              </p>
+            </div>
+            <button
+              type="button"
+              onClick={onClose}
+              className="p-2 hover:bg-gray-100 rounded-full transition-colors"
+            >
+              <X className="w-5 h-5 text-gray-500" />
+            </button>
+          </div>
+
+          <div className="flex-1 overflow-y-auto p-6 space-y-6">
+            {error && (
+              <div className="p-3 bg-red-50 border border-red-200 rounded-lg text-sm text-red-800">{error}</div>
+            )}
+
+            {/* Save the current design */}
+            <form onSubmit={handleSave} className="p-4 border border-slate-200 rounded-xl bg-slate-50/50 space-y-3">
+              <h3 className="font-semibold text-slate-800 text-sm uppercase tracking-wide">Save Current Design</h3>
+              <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+                <input
+                  type="text"
+                  value={form.name}
+                  onChange={(e) => setForm({ ...form, name: e.target.value })}
+                  placeholder="Template name"
+                  className={inputClass}
+                  required
+                />
+                <select
+                  value={form.visibility}
+                  onChange={(e) => setForm({ ...form, visibility: e.target.value })}
+                  className={inputClass}
+                >
+                  <option value="private">Private (only me)</option>
+                  <option value="department" disabled={!department}>
+                    {department ? `My department (${department})` : 'My department (set your organization first)'}
+                  </option>
+                  {isAdmin && <option value="official">Official (everyone)</option>}
+                </select>
+              </div>
+              <textarea
+                value={form.description}
+                onChange={(e) => setForm({ ...form, description: e.target.value })}
+                placeholder="Description (optional)"
+                rows={2}
+                className={inputClass}
+              />
+              <div className="flex justify-end">
+                <button
+                  type="submit"
+                  disabled={saving || !form.name.trim()}
+                  className="px-4 py-2 rounded-lg bg-blue-600 hover:bg-blue-700 text-white text-sm font-medium disabled:bg-slate-400 disabled:cursor-not-allowed flex items-center gap-2"
+                >
+                  {saving && <Loader2 className="w-4 h-4 animate-spin" />}
+                  {saving ? 'Saving...' : 'Save as Template'}
+                </button>
+              </div>
+            </form>
+
+            {/* Library */}
+            <div>
+              <div className="flex gap-1 p-1 bg-slate-100 rounded-lg mb-4">
+                {TABS.map(tab => (
+                  <button
+                    key={tab.key}
+                    type="button"
+                    onClick={() => setActiveTab(tab.key)}
+                    className={`flex-1 px-3 py-1.5 rounded-md text-sm font-medium transition-colors ${
+                      activeTab === tab.key
+                        ? 'bg-white text-slate-900 shadow-sm'
+                        : 'text-slate-600 hover:text-slate-900'
+                    }`}
+                  >
+                    {tab.label} ({groups[tab.key].length})
+                  </button>
+                ))}
+              </div>
+
+              {loading ? (
+                <div className="flex justify-center py-10">
+                  <Loader2 className="w-6 h-6 animate-spin text-blue-600" />
+                </div>
+              ) : visibleTemplates.length === 0 ? (
+                <p className="text-center text-sm text-slate-500 py-10">
+                  {TABS.find(tab => tab.key === activeTab).empty}
+                </p>
+              ) : (
+                <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-4">
+                  {visibleTemplates.map(template => (
+                    <div key={template.id} className="border border-slate-200 rounded-xl overflow-hidden flex flex-col">
+                      <div className="aspect-[1.414] bg-slate-100 flex items-center justify-center">
+                        {template.thumbnail_url ? (
+                          <img src={template.thumbnail_url} alt={template.name} className="w-full h-full object-contain" />
+                        ) : (
+                          <ImageOff className="w-8 h-8 text-slate-400" />
+                        )}
+                      </div>
+                      <div className="p-3 flex-1 flex flex-col gap-2">
+                        <div>
+                          <p className="font-medium text-slate-900 text-sm">{template.name}</p>
+                          {template.description && (
+                            <p className="text-xs text-slate-500 mt-0.5">{template.description}</p>
+                          )}
+                          {template.visibility === 'department' && template.department && (
+                            <p className="text-xs text-slate-400 mt-0.5">{template.department}</p>
+                          )}
+                        </div>
+                        {canManage(template) && (
+                          <div className="flex items-center gap-2">
+                            <select
+                              value={template.visibility}
+                              onChange={(e) => handleVisibilityChange(template, e.target.value)}
+                              className="flex-1 px-2 py-1 border border-slate-300 rounded-md text-xs bg-white"
+                            >
+                              {Object.entries(VISIBILITY_LABELS)
+                                .filter(([value]) => value !== 'official' || isAdmin || template.visibility === 'official')
+                                .map(([value, label]) => (
+                                  <option key={value} value={value} disabled={value === 'department' && !department}>{label}</option>
+                                ))}
+                            </select>
+                            <button
+                              type="button"
+                              onClick={() => setPendingDelete(template)}
+                              className="p-1.5 text-red-600 hover:bg-red-50 rounded-md"
+                              title="Delete template"
+                            >
+                              <Trash2 className="w-4 h-4" />
+                            </button>
+                          </div>
+                        )}
+                        <button
+                          type="button"
+                          onClick={() => setPendingApply(template)}
+                          className="mt-auto px-3 py-1.5 rounded-lg border border-blue-600 text-blue-700 hover:bg-blue-50 text-sm font-medium"
+                        >
+                          Use This Design
+                        </button>
+                      </div>
+                    </div>
+                  ))}
+                </div>
+              )}
+            </div>
+          </div>
+        </div>
+      </div>
+
+      <ConfirmationDialog
+        isOpen={!!pendingApply}
+        onClose={() => setPendingApply(null)}
+        onConfirm={handleApply}
+        title="Use this design?"
+        message={`The current design will be replaced by "${pendingApply?.name}". Nothing is saved until you save the configuration.`}
+        confirmText="Use Design"
+      />
+      <ConfirmationDialog
+        isOpen={!!pendingDelete}
+        onClose={() => setPendingDelete(null)}
+        onConfirm={handleDelete}
+        title="Delete template?"
+        message={`"${pendingDelete?.name}" will be removed from the library for everyone it is shared with.`}
+        confirmText="Delete"
+        type="danger"
+        loading={deleting}
+      />
+    </>
+  );
+};
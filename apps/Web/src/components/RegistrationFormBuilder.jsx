@@ -0,0 +1,155 @@
+import React from 'react';
+import { Plus, Trash2, X } from 'lucide-react';
+import {
+  REGISTRATION_QUESTION_TYPES,
+  questionHasOptions,
+  createRegistrationQuestion
+} from '../utils/registrationFormUtils';
+
+/**
+ * Organizer editor for the questions asked when participants register for an event.
+ * Controlled: `questions` is the event's registration_form, `onChange` receives the new list.
+ */
+export const RegistrationFormBuilder = ({ questions = [], onChange }) => {
+  const updateQuestion = (index, changes) => {
+    onChange(questions.map((q, i) => (i === index ? { ...q, ...changes } : q)));
+  };
+
+  const removeQuestion = (index) => {
+    onChange(questions.filter((_, i) => i !== index));
+  };
+
+  const updateOption = (qIndex, oIndex, value) => {
+    const options = [...(questions[qIndex].options || [])];
+    options[oIndex] = value;
+    updateQuestion(qIndex, { options });
+  };
+
+  const removeOption = (qIndex, oIndex) => {
+    updateQuestion(qIndex, { options: (questions[qIndex].options || []).filter((_, i) => i !== oIndex) });
+  };
+
+  return (
+    <div className="space-y-4">
+      {questions.length === 0 && (
+        <p className="text-sm text-slate-500 italic">
+          No extra questions. Participants register with their profile details only.
+        </p>
+      )}
+
+      {questions.map((question, qIndex) => (
+        <div key={question.id} className="border border-slate-200 rounded-xl p-4 space-y-3 bg-slate-50">
+          <div className="flex flex-col sm:flex-row gap-3">
+            <input
+              type="text"
+              value={question.questionText}
+              onChange={(e) => updateQuestion(qIndex, { questionText: e.target.value })}
+              placeholder="Question (e.g. Dietary requirements)"
+              className="flex-1 px-4 py-3 border border-slate-200 rounded-xl focus:ring-2 focus:ring-blue-500 focus:border-transparent text-slate-800 text-base bg-white"
+            />
+            <select
+              value={question.questionType}
+              onChange={(e) => {
+                const questionType = e.target.value;
+                updateQuestion(qIndex, {
+                  questionType,
+                  options: questionHasOptions(questionType) ? (question.options?.length ? question.options : ['']) : [],
+                  scaleMin: questionType === 'linear-scale' ? (question.scaleMin ?? 1) : undefined,
+                  scaleMax: questionType === 'linear-scale' ? (question.scaleMax ?? 5) : undefined
+                });
+              }}
+              className="sm:w-56 px-4 py-3 border border-slate-200 rounded-xl focus:ring-2 focus:ring-blue-500 focus:border-transparent text-slate-800 text-base bg-white"
+            >
+              {REGISTRATION_QUESTION_TYPES.map(type => (
+                <option key={type.value} value={type.value}>{type.label}</option>
+              ))}
+            </select>
+          </div>
+
+          {questionHasOptions(question.questionType) && (
+            <div className="space-y-2">
+              {(question.options || []).map((option, oIndex) => (
+                <div key={oIndex} className="flex items-center gap-2">
+                  <input
+                    type="text"
+                    value={option}
+                    onChange={(e) => updateOption(qIndex, oIndex, e.target.value)}
+                    placeholder={`Option ${oIndex + 1}`}
+                    className="flex-1 px-3 py-2 border border-slate-200 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent text-slate-800 text-sm bg-white"
+                  />
+                  <button
+                    type="button"
+                    onClick={() => removeOption(qIndex, oIndex)}
+                    className="p-2 text-slate-400 hover:text-red-600 transition-colors"
+                    title="Remove option"
+                  >
+                    <X className="w-4 h-4" />
+                  </button>
+                </div>
+              ))}
+              <button
+                type="button"
+                onClick={() => updateQuestion(qIndex, { options: [...(question.options || []), ''] })}
+                className="text-sm text-blue-600 hover:text-blue-800 font-medium"
+              >
+                + Add option
+              </button>
+            </div>
+          )}
+
+          {question.questionType === 'linear-scale' && (
+            <div className="flex items-center gap-3 text-sm text-slate-700">
+              <span>Scale from</span>
+              <input
+                type="number"
+                min="0"
+                max="1"
+                value={question.scaleMin ?? 1}
+                onChange={(e) => updateQuestion(qIndex, { scaleMin: parseInt(e.target.value) || 0 })}
+                className="w-20 px-3 py-2 border border-slate-200 rounded-lg bg-white"
+              />
+              <span>to</span>
+              <input
+                type="number"
+                min="2"
+                max="10"
+                value={question.scaleMax ?? 5}
+                onChange={(e) => updateQuestion(qIndex, { scaleMax: parseInt(e.target.value) || 5 })}
+                className="w-20 px-3 py-2 border border-slate-200 rounded-lg bg-white"
+              />
+            </div>
+          )}
+
+          <div className="flex items-center justify-between">
+            <label className="flex items-center space-x-2 cursor-pointer text-sm text-slate-700">
+              <input
+                type="checkbox"
+                checked={!!question.required}
+                onChange={(e) => updateQuestion(qIndex, { required: e.target.checked })}
+                className="w-4 h-4 text-blue-600 border-slate-300 rounded focus:ring-blue-500"
+              />
+              <span>Required</span>
+            </label>
+            <button
+              type="button"
+              onClick={() => removeQuestion(qIndex)}
+              className="inline-flex items-center gap-1 text-sm text-red-600 hover:text-red-800"
+            >
+              <Trash2 className="w-4 h-4" />
+              Remove
+            </button>
+          </div>
+        </div>
+      ))}
+
+      <button
+        type="button"
+        onClick={() => onChange([...questions, createRegistrationQuestion()])}
+        className="inline-flex items-center gap-2 px-4 py-2 bg-blue-600 text-white rounded-xl hover:bg-blue-700 transition-colors text-sm font-medium"
+      >
+        <Plus className="w-4 h-4" />
+        Add Question
+      </button>
+    </div>
+  );
+};
@@ -0,0 +1,148 @@
+import React from 'react';
+
+/**
+ * Renders an event's registration form so a participant can answer it.
+ * Controlled: `answers` is keyed by question id, `onChange` receives the new answers object.
+ */
+export const RegistrationFormFields = ({ questions = [], answers = {}, onChange, errors = {} }) => {
+  const setAnswer = (questionId, value) => {
+    onChange({ ...answers, [questionId]: value });
+  };
+
+  const toggleCheckbox = (questionId, option) => {
+    const current = Array.isArray(answers[questionId]) ? answers[questionId] : [];
+    setAnswer(
+      questionId,
+      current.includes(option) ? current.filter(o => o !== option) : [...current, option]
+    );
+  };
+
+  const inputClass = (questionId) =>
+    `w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent text-slate-800 text-sm ${errors[questionId] ? 'border-red-300' : 'border-slate-300'}`;
+
+  const renderInput = (question) => {
+    const value = answers[question.id];
+
+    switch (question.questionType) {
+      case 'paragraph':
+        return (
+          <textarea
+            rows={3}
+            value={value || ''}
+            onChange={(e) => setAnswer(question.id, e.target.value)}
+            className={inputClass(question.id)}
+          />
+        );
+
+      case 'multiple-choice':
+        return (
+          <div className="space-y-1">
+            {(question.options || []).map(option => (
+              <label key={option} className="flex items-center space-x-2 text-sm text-slate-700 cursor-pointer">
+                <input
+                  type="radio"
+                  name={`registration-${question.id}`}
+                  checked={value === option}
+                  onChange={() => setAnswer(question.id, option)}
+                  className="w-4 h-4 text-blue-600 border-slate-300 focus:ring-blue-500"
+                />
+                <span>{option}</span>
+              </label>
+            ))}
+          </div>
+        );
+
+      case 'checkbox':
+        return (
+          <div className="space-y-1">
+            {(question.options || []).map(option => (
+              <label key={option} className="flex items-center space-x-2 text-sm text-slate-700 cursor-pointer">
+                <input
+                  type="checkbox"
+                  checked={Array.isArray(value) && value.includes(option)}
+                  onChange={() => toggleCheckbox(question.id, option)}
+                  className="w-4 h-4 text-blue-600 border-slate-300 rounded focus:ring-blue-500"
+                />
+                <span>{option}</span>
+              </label>
+            ))}
+          </div>
+        );
+
+      case 'dropdown':
+        return (
+          <select
+            value={value || ''}
+            onChange={(e) => setAnswer(question.id, e.target.value)}
+            className={inputClass(question.id)}
+          >
+            <option value="">Select an option</option>
+            {(question.options || []).map(option => (
+              <option key={option} value={option}>{option}</option>
+            ))}
+          </select>
+        );
+
+      case 'linear-scale':
+      case 'star-rating': {
+        const min = question.questionType === 'star-rating' ? 1 : (question.scaleMin ?? 1);
+        const max = question.questionType === 'star-rating' ? 5 : (question.scaleMax ?? 5);
+        return (
+          <div className="flex flex-wrap gap-2">
+            {Array.from({ length: max - min + 1 }, (_, i) => min + i).map(n => (
+              <button
+                key={n}
+                type="button"
+                onClick={() => setAnswer(question.id, n)}
+                className={`w-9 h-9 rounded-lg border text-sm font-medium transition-colors ${value === n
+                  ? 'bg-blue-600 text-white border-blue-600'
+                  : 'bg-white text-slate-700 border-slate-300 hover:bg-slate-50'
+                  }`}
+              >
+                {question.questionType === 'star-rating' ? '★' : n}
+              </button>
+            ))}
+          </div>
+        );
+      }
+
+      case 'date':
+      case 'time':
+        return (
+          <input
+            type={question.questionType}
+            value={value || ''}
+            onChange={(e) => setAnswer(question.id, e.target.value)}
+            className={inputClass(question.id)}
+          />
+        );
+
+      default:
+        return (
+          <input
+            type="text"
+            value={value || ''}
+            onChange={(e) => setAnswer(question.id, e.target.value)}
+            className={inputClass(question.id)}
+          />
+        );
+    }
+  };
+
+  return (
+    <div className="space-y-4 text-left">
+      {questions.map(question => (
+        <div key={question.id} className="space-y-1">
+          <label className="block text-sm font-medium text-slate-700">
+            {question.questionText}
+            {question.required && <span className="text-red-500"> *</span>}
+          </label>
+          {renderInput(question)}
+          {errors[question.id] && (
+            <p className="text-xs text-red-600">{errors[question.id]}</p>
+          )}
+        </div>
+      ))}
+    </div>
+  );
+};
@@ -0,0 +1,176 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Link } from 'react-router-dom';
+import { CertificateService } from '../services/certificateService';
+import { ShieldCheck, ShieldAlert, Upload, Loader } from 'lucide-react';
+
+const formatDate = (dateString) => {
+  if (!dateString) return 'N/A';
+  return new Date(dateString).toLocaleDateString('en-US', {
+    year: 'numeric',
+    month: 'long',
+    day: 'numeric'
+  });
+};
+
+/**
+ * Checks the signature of a certificate PDF or a pasted/scanned certificate
+ * payload against the published public key, without a database lookup
+ */
+export const SignedCertificateCheck = ({ initialPayload = '', certificateNumber = null }) => {
+  const [payload, setPayload] = useState(initialPayload);
+  const [checking, setChecking] = useState(false);
+  const [dragActive, setDragActive] = useState(false);
+  const [result, setResult] = useState(null);
+  const fileInputRef = useRef(null);
+
+  useEffect(() => {
+    if (initialPayload) {
+      setPayload(initialPayload);
+      check(initialPayload);
+    }
+  }, [initialPayload]);
+
+  const check = async (input) => {
+    setChecking(true);
+    setResult(await CertificateService.verifyCertificateSignature(input));
+    setChecking(false);
+  };
+
+  const checkFile = async (file) => {
+    if (!file) return;
+    if (file.type && file.type !== 'application/pdf') {
+      setResult({ error: 'Please choose the certificate PDF' });
+      return;
+    }
+    check(new Uint8Array(await file.arrayBuffer()));
+  };
+
+  const handleDrag = (e) => {
+    e.preventDefault();
+    e.stopPropagation();
+    setDragActive(e.type === 'dragenter' || e.type === 'dragover');
+  };
+
+  const handleDrop = (e) => {
+    handleDrag(e);
+    setDragActive(false);
+    checkFile(e.dataTransfer.files?.[0]);
+  };
+
+  const claims = result?.claims;
+
+  return (
+    <div className="bg-white rounded-2xl shadow-xl border border-slate-200 p-4 sm:p-6 lg:p-8">
+      <h2 className="text-xl font-bold text-slate-800 mb-1 flex items-center">
+        <ShieldCheck className="w-6 h-6 mr-2 text-blue-600" />
+        Check a Signed Certificate
+      </h2>
+      <p className="text-sm text-slate-600 mb-4">
+        Certificates carry a digital signature. Drop the certificate PDF here or paste its signed payload to check it
+        without looking it up online.
+      </p>
+
+      <div
+        onClick={() => fileInputRef.current?.click()}
+        onDragEnter={handleDrag}
+        onDragOver={handleDrag}
+        onDragLeave={handleDrag}
+        onDrop={handleDrop}
+        className={`flex flex-col items-center justify-center border-2 border-dashed rounded-xl cursor-pointer p-6 mb-4 transition-colors ${dragActive
+          ? 'border-blue-500 bg-blue-50'
+          : 'border-slate-300 hover:border-blue-400 hover:bg-slate-50'
+          }`}
+      >
+        <Upload className="w-8 h-8 text-slate-400 mb-2" />
+        <p className="text-sm font-medium text-slate-700">Drop the certificate PDF or click to choose it</p>
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept="application/pdf"
+          className="hidden"
+          onChange={(e) => {
+            checkFile(e.target.files?.[0]);
+            e.target.value = '';
+          }}
+        />
+      </div>
+
+      <textarea
+        value={payload}
+        onChange={(e) => setPayload(e.target.value)}
+        rows={3}
+        placeholder="...or paste the signed payload or the link from a scanned code"
+        className="w-full px-3 py-2 border border-slate-300 rounded-lg text-sm font-mono focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+      />
+      <button
+        onClick={() => check(payload)}
+        disabled={checking || !payload.trim()}
+        className="mt-2 px-4 py-2 bg-blue-900 text-white rounded-lg text-sm hover:bg-blue-800 transition-colors disabled:opacity-50"
+      >
+        Check Signature
+      </button>
+
+      {checking && (
+        <div className="flex items-center gap-2 mt-4 text-sm text-slate-600">
+          <Loader className="w-4 h-4 animate-spin" />
+          Checking signature...
+        </div>
+      )}
+
+      {!checking && result?.error && (
+        <div className="mt-4 flex items-start gap-3 rounded-lg border border-red-200 bg-red-50 p-4">
+          <ShieldAlert className="w-5 h-5 text-red-600 flex-shrink-0 mt-0.5" />
+          <p className="text-sm text-red-700">{result.error}</p>
+        </div>
+      )}
+
+      {!checking && claims && (
+        <div className="mt-4 rounded-lg border border-green-200 bg-green-50 p-4">
+          <p className="flex items-center gap-2 font-semibold text-green-800 mb-3">
+            <ShieldCheck className="w-5 h-5" />
+            Genuine signature
+          </p>
+          <dl className="grid sm:grid-cols-2 gap-x-6 gap-y-2 text-sm">
+            <div>
+              <dt className="text-slate-500">Certificate Number</dt>
+              <dd className="font-mono font-semibold text-slate-800">{claims.certificate_number}</dd>
+            </div>
+            <div>
+              <dt className="text-slate-500">Participant Name</dt>
+              <dd className="font-semibold text-slate-800">{claims.participant_name}</dd>
+            </div>
+            <div className="sm:col-span-2">
+              <dt className="text-slate-500">Event</dt>
+              <dd className="font-semibold text-slate-800">{claims.event_title}</dd>
+            </div>
+            <div>
+              <dt className="text-slate-500">Completion Date</dt>
+              <dd className="text-slate-800">{formatDate(claims.completion_date)}</dd>
+            </div>
+            <div>
+              <dt className="text-slate-500">Signed On</dt>
+              <dd className="text-slate-800">{formatDate(claims.iat * 1000)}</dd>
+            </div>
+          </dl>
+          {certificateNumber && claims.certificate_number !== certificateNumber && (
+            <p className="mt-3 text-sm text-amber-700">
+              This signature belongs to certificate {claims.certificate_number}, not {certificateNumber}.
+            </p>
+          )}
+          <p className="mt-3 text-xs text-slate-600">
+            The signature proves these details were issued by us. It cannot show a later revocation; look the
+            certificate up online for its current status.
+          </p>
+          {claims.certificate_number !== certificateNumber && (
+            <Link
+              to={`/verify-certificate/${encodeURIComponent(claims.certificate_number)}`}
+              className="inline-block mt-2 text-sm font-medium text-blue-700 hover:underline"
+            >
+              Look up {claims.certificate_number}
+            </Link>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
@@ -0,0 +1,172 @@
+import React from 'react';
+import {
+  SURVEY_CONDITION_OPERATORS,
+  getConditionOperators,
+  getConditionValues,
+  operatorNeedsValue
+} from '../utils/surveyLogicUtils';
+
+const selectClass = 'px-3 py-2 border border-slate-300 rounded-lg bg-white text-slate-800 text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent';
+
+const plainText = (html) => (html || '').replace(/<[^>]*>/g, ' ').replace(/&nbsp;/g, ' ').replace(/\s+/g, ' ').trim();
+
+const truncate = (text, length = 50) => (text.length > length ? `${text.substring(0, length)}...` : text);
+
+const operatorLabel = (operator) =>
+  SURVEY_CONDITION_OPERATORS.find(o => o.value === operator)?.label || operator;
+
+/**
+ * Operator and value inputs for a condition on one question's answer
+ */
+const AnswerMatch = ({ question, operator, value, onChange }) => {
+  const operators = getConditionOperators(question?.questionType || '');
+  const values = question ? getConditionValues(question) : [];
+
+  return (
+    <>
+      <select
+        value={operator}
+        onChange={(e) => onChange({ operator: e.target.value, value: operatorNeedsValue(e.target.value) ? value : undefined })}
+        className={selectClass}
+      >
+        {operators.map(o => (
+          <option key={o} value={o}>{operatorLabel(o)}</option>
+        ))}
+      </select>
+      {operatorNeedsValue(operator) && (
+        <select
+          value={value || ''}
+          onChange={(e) => onChange({ operator, value: e.target.value })}
+          className={selectClass}
+        >
+          <option value="" disabled>Choose an answer...</option>
+          {values.map(v => (
+            <option key={v} value={v}>{v}</option>
+          ))}
+        </select>
+      )}
+    </>
+  );
+};
+
+/**
+ * "Show this section only if ..." for a survey section. Only questions in
+ * earlier sections that can drive logic are offered.
+ */
+export const SectionConditionEditor = ({ sections, sectionIndex, value, onChange }) => {
+  const sources = [];
+  (sections || []).slice(0, sectionIndex).forEach((section, sIndex) => {
+    (section?.questions || []).forEach((question, qIndex) => {
+      if (question.logicKey && getConditionOperators(question.questionType || '').length > 0) {
+        sources.push({ question, label: `S${sIndex + 1} Q${qIndex + 1}: ${truncate(plainText(question.questionText) || 'Untitled question')}` });
+      }
+    });
+  });
+
+  if (sectionIndex === 0 || sources.length === 0) {
+    return null;
+  }
+
+  const source = value ? sources.find(s => s.question.logicKey === value.questionKey)?.question : null;
+
+  const selectSource = (questionKey) => {
+    if (!questionKey) {
+      onChange(null);
+      return;
+    }
+    const question = sources.find(s => s.question.logicKey === questionKey).question;
+    onChange({ questionKey, operator: getConditionOperators(question.questionType || '')[0] });
+  };
+
+  return (
+    <div className="space-y-2">
+      <label className="block text-sm font-semibold text-slate-700 uppercase tracking-wide">
+        Show This Section
+      </label>
+      <div className="flex flex-wrap items-center gap-2">
+        <select
+          value={source ? value.questionKey : ''}
+          onChange={(e) => selectSource(e.target.value)}
+          className={`${selectClass} max-w-full`}
+        >
+          <option value="">Always</option>
+          {sources.map(s => (
+            <option key={s.question.logicKey} value={s.question.logicKey}>Only if {s.label}</option>
+          ))}
+        </select>
+        {source && (
+          <AnswerMatch
+            question={source}
+            operator={value.operator}
+            value={value.value}
+            onChange={(match) => onChange({ ...value, ...match })}
+          />
+        )}
+      </div>
+      {value && !source && (
+        <p className="text-amber-600 text-xs">The question this section depended on is no longer available, so the section is always shown.</p>
+      )}
+    </div>
+  );
+};
+
+/**
+ * "If the answer ... go to ..." for a survey question. Skips only go
+ * forward: to a later section or to the end of the survey.
+ */
+export const SkipRuleEditor = ({ question, sections, sectionIndex, value, onChange }) => {
+  const operators = getConditionOperators(question?.questionType || '');
+  if (operators.length === 0) {
+    return null;
+  }
+
+  const targets = (sections || [])
+    .map((section, sIndex) => ({ section, sIndex }))
+    .filter(({ section, sIndex }) => sIndex > sectionIndex && section?.logicKey)
+    .map(({ section, sIndex }) => ({
+      key: section.logicKey,
+      label: `Section ${sIndex + 1}${plainText(section.sectionTitle) ? `: ${truncate(plainText(section.sectionTitle), 40)}` : ''}`
+    }));
+
+  const goToValid = value && (value.goTo === 'end' || targets.some(t => t.key === value.goTo));
+
+  return (
+    <div className="space-y-2 pt-4 border-t border-slate-100">
+      <label className="flex items-center space-x-2 cursor-pointer">
+        <input
+          type="checkbox"
+          checked={!!value}
+          onChange={(e) => onChange(e.target.checked ? { operator: operators[0], goTo: 'end' } : null)}
+          className="w-4 h-4 text-blue-600 border-slate-300 rounded focus:ring-blue-500"
+        />
+        <span className="text-sm font-medium text-slate-700">Skip ahead based on the answer</span>
+      </label>
+      {value && (
+        <div className="flex flex-wrap items-center gap-2 pl-6">
+          <span className="text-sm text-slate-600">If the answer</span>
+          <AnswerMatch
+            question={question}
+            operator={value.operator}
+            value={value.value}
+            onChange={(match) => onChange({ ...value, ...match })}
+          />
+          <span className="text-sm text-slate-600">go to</span>
+          <select
+            value={goToValid ? value.goTo : ''}
+            onChange={(e) => onChange({ ...value, goTo: e.target.value })}
+            className={selectClass}
+          >
+            {!goToValid && <option value="" disabled>Choose where to go...</option>}
+            {targets.map(t => (
+              <option key={t.key} value={t.key}>{t.label}</option>
+            ))}
+            <option value="end">End of survey</option>
+          </select>
+        </div>
+      )}
+      {value && !goToValid && (
+        <p className="text-amber-600 text-xs pl-6">The section this question skipped to was removed. Choose where to go, or the skip is not saved.</p>
+      )}
+    </div>
+  );
+};
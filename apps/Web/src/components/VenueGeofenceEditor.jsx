@@ -0,0 +1,145 @@
+import React, { useEffect, useState } from 'react';
+import { MapPin, Crosshair } from 'lucide-react';
+import { VenueService } from '../services/venueService';
+import { useToast } from './Toast';
+
+const toFormValues = (venue) => ({
+  latitude: venue?.latitude != null ? String(venue.latitude) : '',
+  longitude: venue?.longitude != null ? String(venue.longitude) : '',
+  radius: String(venue?.geofence_radius_meters ?? 100),
+  enabled: venue?.requires_location_validation ?? true
+});
+
+/**
+ * Coordinates and radius of a saved venue, used for geofenced self check-in.
+ * Venues are shared between events, so changes are saved to the venue directly.
+ */
+export const VenueGeofenceEditor = ({ venue, onSaved }) => {
+  const toast = useToast();
+  const [values, setValues] = useState(toFormValues(venue));
+  const [saving, setSaving] = useState(false);
+  const [locating, setLocating] = useState(false);
+
+  useEffect(() => {
+    setValues(toFormValues(venue));
+  }, [venue?.id]);
+
+  if (!venue) return null;
+
+  const update = (changes) => setValues(prev => ({ ...prev, ...changes }));
+
+  const useCurrentLocation = () => {
+    if (!navigator.geolocation) {
+      toast.error('Location is not available in this browser');
+      return;
+    }
+    setLocating(true);
+    navigator.geolocation.getCurrentPosition(
+      (position) => {
+        update({
+          latitude: position.coords.latitude.toFixed(6),
+          longitude: position.coords.longitude.toFixed(6)
+        });
+        setLocating(false);
+      },
+      () => {
+        toast.error('Could not read your location. Check the browser permission.');
+        setLocating(false);
+      },
+      { enableHighAccuracy: true, timeout: 15000 }
+    );
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    const result = await VenueService.updateVenueGeofence(venue.id, {
+      latitude: values.latitude.trim() ? parseFloat(values.latitude) : null,
+      longitude: values.longitude.trim() ? parseFloat(values.longitude) : null,
+      geofence_radius_meters: parseInt(values.radius) || 0,
+      requires_location_validation: values.enabled
+    });
+    setSaving(false);
+
+    if (result.error) {
+      toast.error(result.error);
+      return;
+    }
+    toast.success(`Location saved for ${venue.name}`);
+    onSaved?.(result.venue);
+  };
+
+  const inputClass = 'w-full px-3 py-2 border border-slate-200 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent text-slate-800 text-sm bg-white';
+
+  return (
+    <div className="border border-slate-200 rounded-xl p-4 bg-slate-50 space-y-3">
+      <div className="flex items-center justify-between gap-3">
+        <div className="flex items-center gap-2 text-slate-700">
+          <MapPin className="w-4 h-4" />
+          <span className="text-sm font-semibold">Self check-in location</span>
+        </div>
+        <label className="flex items-center gap-2 text-sm text-slate-600 cursor-pointer">
+          <input
+            type="checkbox"
+            checked={values.enabled}
+            onChange={(e) => update({ enabled: e.target.checked })}
+            className="w-4 h-4 text-blue-600 border-slate-300 rounded focus:ring-blue-500"
+          />
+          Allow self check-in
+        </label>
+      </div>
+
+      <div className="grid grid-cols-1 sm:grid-cols-3 gap-3">
+        <input
+          type="number"
+          step="any"
+          value={values.latitude}
+          onChange={(e) => update({ latitude: e.target.value })}
+          placeholder="Latitude"
+          className={inputClass}
+        />
+        <input
+          type="number"
+          step="any"
+          value={values.longitude}
+          onChange={(e) => update({ longitude: e.target.value })}
+          placeholder="Longitude"
+          className={inputClass}
+        />
+        <input
+          type="number"
+          min="10"
+          max="5000"
+          value={values.radius}
+          onChange={(e) => update({ radius: e.target.value })}
+          placeholder="Radius (m)"
+          className={inputClass}
+        />
+      </div>
+
+      <div className="flex flex-wrap items-center justify-between gap-3">
+        <p className="text-xs text-slate-500">
+          Registered participants can check in from the mobile app within this radius (meters) during the check-in window. Applies to every event at {venue.name}.
+        </p>
+        <div className="flex gap-2">
+          <button
+            type="button"
+            onClick={useCurrentLocation}
+            disabled={locating}
+            className="inline-flex items-center gap-1 px-3 py-2 text-sm font-medium rounded-lg border border-slate-300 text-slate-700 hover:bg-slate-100 disabled:opacity-50"
+          >
+            <Crosshair className="w-4 h-4" />
+            {locating ? 'Locating...' : 'Use my location'}
+          </button>
+          <button
+            type="button"
+            onClick={handleSave}
+            disabled={saving}
+            className="px-3 py-2 text-sm font-medium rounded-lg bg-blue-700 text-white hover:bg-blue-800 disabled:opacity-50"
+          >
+            {saving ? 'Saving...' : 'Save Location'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
@@ -0,0 +1,462 @@
+import React, { useState, useEffect } from 'react';
+import { useAuth } from '../../contexts/AuthContext';
+import { BadgeService } from '../../services/badgeService';
+import {
+  BADGE_LABEL_LAYOUTS,
+  DEFAULT_BADGE_CONFIG,
+  generateBadgeSheetsPDF,
+  renderBadgeCanvas
+} from '../../utils/badgeGenerator';
+import { loadGoogleFontForCanvas } from '../../utils/certificateGenerator';
+import { loadGoogleFont } from '../CertificateDesigner';
+import { X, Download, AlertCircle, Loader, Save, Plus, Trash2 } from 'lucide-react';
+import { useToast } from '../Toast';
+
+const BADGE_FONTS = [
+  'Montserrat, sans-serif',
+  'Poppins, sans-serif',
+  'Roboto, sans-serif',
+  'Open Sans, sans-serif',
+  'Lato, sans-serif',
+  'Oswald, sans-serif',
+  'Playfair Display, serif',
+  'Libre Baskerville, serif',
+  'Arial, sans-serif'
+];
+
+const SAMPLE_ATTENDEE = {
+  userId: 'sample',
+  name: 'Maria Santos',
+  organization: 'Sample Organization',
+  qrData: JSON.stringify({ eventId: 'sample', userId: 'sample', type: 'event_checkin' })
+};
+
+export const BadgeDesigner = ({ isOpen, onClose, event }) => {
+  const { user } = useAuth();
+  const toast = useToast();
+  const [config, setConfig] = useState(DEFAULT_BADGE_CONFIG);
+  const [attendees, setAttendees] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [generating, setGenerating] = useState(false);
+  const [progress, setProgress] = useState({ current: 0, total: 0 });
+  const [error, setError] = useState(null);
+  const [previewUrl, setPreviewUrl] = useState(null);
+
+  const usesRotatingCodes = Boolean(event?.qr_rotation_seconds);
+
+  useEffect(() => {
+    if (isOpen && event) {
+      loadBadgeData();
+    } else {
+      setAttendees([]);
+      setError(null);
+      setPreviewUrl(null);
+      setProgress({ current: 0, total: 0 });
+    }
+  }, [isOpen, event]);
+
+  useEffect(() => {
+    BADGE_FONTS.forEach(font => loadGoogleFont(font));
+  }, []);
+
+  // Live preview of the first attendee's badge
+  useEffect(() => {
+    if (!isOpen) return;
+
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      try {
+        await loadGoogleFontForCanvas(config.font_family, '700');
+        await document.fonts.ready;
+        const canvas = await renderBadgeCanvas(config, attendees[0] || SAMPLE_ATTENDEE, event?.title || '');
+        if (!cancelled) {
+          setPreviewUrl(canvas.toDataURL('image/png'));
+        }
+      } catch (err) {
+        console.error('Error rendering badge preview:', err);
+      }
+    }, 250);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [config, attendees, isOpen, event]);
+
+  const loadBadgeData = async () => {
+    try {
+      setLoading(true);
+      setError(null);
+
+      const [configResult, attendeesResult] = await Promise.all([
+        BadgeService.getBadgeConfig(event.id),
+        BadgeService.getBadgeAttendees(event, user.id)
+      ]);
+
+      if (configResult.error || attendeesResult.error) {
+        setError(configResult.error || attendeesResult.error);
+        return;
+      }
+
+      setConfig(configResult.config);
+      setAttendees(attendeesResult.attendees || []);
+    } catch (err) {
+      console.error('Error loading badge data:', err);
+      setError('Failed to load participants. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const updateConfig = (field, value) => {
+    setConfig(prev => ({ ...prev, [field]: value }));
+  };
+
+  const updateRibbon = (index, field, value) => {
+    setConfig(prev => ({
+      ...prev,
+      ribbons: prev.ribbons.map((ribbon, i) => (i === index ? { ...ribbon, [field]: value } : ribbon))
+    }));
+  };
+
+  const addRibbon = () => {
+    setConfig(prev => ({
+      ...prev,
+      ribbons: [...prev.ribbons, { id: `ribbon-${Date.now()}`, label: 'NEW ROLE', color: '#475569' }]
+    }));
+  };
+
+  const removeRibbon = (index) => {
+    setConfig(prev => {
+      const removed = prev.ribbons[index];
+      const ribbons = prev.ribbons.filter((_, i) => i !== index);
+      const ribbonAssignments = Object.fromEntries(
+        Object.entries(prev.ribbon_assignments).filter(([, ribbonId]) => ribbonId !== removed.id)
+      );
+      return {
+        ...prev,
+        ribbons,
+        ribbon_assignments: ribbonAssignments,
+        default_ribbon: prev.default_ribbon === removed.id ? ribbons[0].id : prev.default_ribbon
+      };
+    });
+  };
+
+  const assignRibbon = (userId, ribbonId) => {
+    setConfig(prev => {
+      const ribbonAssignments = { ...prev.ribbon_assignments };
+      if (ribbonId === prev.default_ribbon) {
+        delete ribbonAssignments[userId];
+      } else {
+        ribbonAssignments[userId] = ribbonId;
+      }
+      return { ...prev, ribbon_assignments: ribbonAssignments };
+    });
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    const result = await BadgeService.saveBadgeConfig(event.id, config, user.id);
+    setSaving(false);
+
+    if (result.error) {
+      toast.error(result.error);
+    } else {
+      toast.success('Badge design saved');
+    }
+  };
+
+  const handleDownload = async () => {
+    if (attendees.length === 0) return;
+
+    try {
+      setGenerating(true);
+      setProgress({ current: 0, total: attendees.length });
+
+      const pdfBytes = await generateBadgeSheetsPDF(config, attendees, event.title, (current, total) => {
+        setProgress({ current, total });
+      });
+
+      const blob = new Blob([pdfBytes], { type: 'application/pdf' });
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `${event.title.replace(/[^a-z0-9]+/gi, '-').toLowerCase()}-badges.pdf`;
+      document.body.appendChild(link);
+      link.click();
+      document.body.removeChild(link);
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      console.error('Error generating badges:', err);
+      toast.error('Failed to generate badges. Please try again.');
+    } finally {
+      setGenerating(false);
+    }
+  };
+
+  if (!isOpen) {
+    return null;
+  }
+
+  const layout = BADGE_LABEL_LAYOUTS[config.label_layout];
+  const perSheet = layout.columns * layout.rows;
+  const sheetCount = Math.ceil(attendees.length / perSheet);
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-2xl shadow-2xl max-w-6xl w-full max-h-[90vh] overflow-hidden flex flex-col">
+        {/* Header */}
+        <div className="flex items-center justify-between p-6 border-b border-gray-200">
+          <div>
+            <h2 className="text-2xl font-semibold text-gray-900">Print Name Badges</h2>
+            <p className="text-sm text-gray-600 mt-1">
+              Design name badges and print them on A4 label sheets
+            </p>
+          </div>
+          <button
+            onClick={onClose}
+            className="p-2 hover:bg-gray-100 rounded-full transition-colors"
+          >
+            <X className="w-5 h-5 text-gray-500" />
+          </button>
+        </div>
+
+        {/* Content */}
+        <div className="flex-1 overflow-y-auto p-6">
+          {error && (
+            <div className="bg-red-50 border border-red-200 rounded-lg p-4 mb-6 flex items-start">
+              <AlertCircle className="w-5 h-5 text-red-600 mr-3 mt-0.5" />
+              <div className="flex-1">
+                <p className="text-red-800 font-medium">Error</p>
+                <p className="text-red-600 text-sm mt-1">{error}</p>
+              </div>
+            </div>
+          )}
+
+          {usesRotatingCodes && (
+            <div className="bg-amber-50 border border-amber-200 rounded-lg p-4 mb-6 flex items-start">
+              <AlertCircle className="w-5 h-5 text-amber-600 mr-3 mt-0.5" />
+              <p className="text-amber-800 text-sm">
+                This event uses rotating QR codes, which cannot be printed. Badges are printed without a QR code;
+                participants check in with the live code in the app.
+              </p>
+            </div>
+          )}
+
+          {loading ? (
+            <div className="text-center py-12">
+              <Loader className="w-8 h-8 animate-spin text-blue-600 mx-auto mb-4" />
+              <p className="text-gray-600">Loading participants...</p>
+            </div>
+          ) : (
+            <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+              {/* Design */}
+              <div className="space-y-5">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Label sheet</label>
+                  <select
+                    value={config.label_layout}
+                    onChange={(e) => updateConfig('label_layout', e.target.value)}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                  >
+                    {Object.entries(BADGE_LABEL_LAYOUTS).map(([id, option]) => (
+                      <option key={id} value={id}>{option.name}</option>
+                    ))}
+                  </select>
+                </div>
+
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Font</label>
+                  <select
+                    value={config.font_family}
+                    onChange={(e) => updateConfig('font_family', e.target.value)}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                    style={{ fontFamily: config.font_family }}
+                  >
+                    {BADGE_FONTS.map(font => (
+                      <option key={font} value={font} style={{ fontFamily: font }}>{font.split(',')[0]}</option>
+                    ))}
+                  </select>
+                </div>
+
+                <div className="grid grid-cols-2 gap-4">
+                  {[
+                    ['name_color', 'Name color'],
+                    ['text_color', 'Organization color'],
+                    ['accent_color', 'Event title color'],
+                    ['background_color', 'Background']
+                  ].map(([field, label]) => (
+                    <div key={field}>
+                      <label className="block text-sm font-medium text-gray-700 mb-1">{label}</label>
+                      <input
+                        type="color"
+                        value={config[field]}
+                        onChange={(e) => updateConfig(field, e.target.value)}
+                        className="w-full h-10 border border-gray-300 rounded-lg cursor-pointer"
+                      />
+                    </div>
+                  ))}
+                </div>
+
+                <div className="grid grid-cols-2 gap-2">
+                  {[
+                    ['show_event_title', 'Event title'],
+                    ['show_organization', 'Organization'],
+                    ['show_role_ribbon', 'Role ribbon'],
+                    ['show_qr', 'Attendee QR code'],
+                    ['show_cut_guides', 'Cut guides']
+                  ].map(([field, label]) => (
+                    <label key={field} className="flex items-center gap-2 text-sm text-gray-700">
+                      <input
+                        type="checkbox"
+                        checked={config[field]}
+                        disabled={field === 'show_qr' && usesRotatingCodes}
+                        onChange={(e) => updateConfig(field, e.target.checked)}
+                        className="rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+                      />
+                      {label}
+                    </label>
+                  ))}
+                </div>
+
+                {config.show_role_ribbon && (
+                  <div>
+                    <div className="flex items-center justify-between mb-2">
+                      <label className="block text-sm font-medium text-gray-700">Role ribbons</label>
+                      <button
+                        onClick={addRibbon}
+                        className="inline-flex items-center gap-1 text-sm text-blue-700 hover:text-blue-900"
+                      >
+                        <Plus className="w-4 h-4" />
+                        Add role
+                      </button>
+                    </div>
+                    <div className="space-y-2">
+                      {config.ribbons.map((ribbon, index) => (
+                        <div key={ribbon.id} className="flex items-center gap-2">
+                          <input
+                            type="color"
+                            value={ribbon.color}
+                            onChange={(e) => updateRibbon(index, 'color', e.target.value)}
+                            className="w-10 h-9 border border-gray-300 rounded cursor-pointer"
+                          />
+                          <input
+                            type="text"
+                            value={ribbon.label}
+                            onChange={(e) => updateRibbon(index, 'label', e.target.value)}
+                            className="flex-1 px-3 py-1.5 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                          />
+                          <label className="flex items-center gap-1 text-xs text-gray-600 whitespace-nowrap">
+                            <input
+                              type="radio"
+                              name="default_ribbon"
+                              checked={config.default_ribbon === ribbon.id}
+                              onChange={() => updateConfig('default_ribbon', ribbon.id)}
+                            />
+                            Default
+                          </label>
+                          <button
+                            onClick={() => removeRibbon(index)}
+                            disabled={config.ribbons.length === 1}
+                            className="p-1.5 text-gray-400 hover:text-red-600 disabled:opacity-30"
+                            title="Remove role"
+                          >
+                            <Trash2 className="w-4 h-4" />
+                          </button>
+                        </div>
+                      ))}
+                    </div>
+                  </div>
+                )}
+              </div>
+
+              {/* Preview */}
+              <div>
+                <p className="text-sm font-medium text-gray-700 mb-2">Preview</p>
+                <div className="bg-gray-100 rounded-lg p-4 flex items-center justify-center">
+                  {previewUrl ? (
+                    <img
+                      src={previewUrl}
+                      alt="Badge preview"
+                      className="shadow-md max-h-80"
+                      style={{ aspectRatio: `${layout.labelWidth} / ${layout.labelHeight}` }}
+                    />
+                  ) : (
+                    <Loader className="w-6 h-6 animate-spin text-gray-400" />
+                  )}
+                </div>
+                <p className="text-xs text-gray-500 mt-2">
+                  {attendees.length} badge{attendees.length !== 1 ? 's' : ''} on {sheetCount} sheet{sheetCount !== 1 ? 's' : ''} of {perSheet}.
+                  Print at 100% scale (no "fit to page") so badges line up with the labels.
+                </p>
+              </div>
+            </div>
+          )}
+
+          {/* Attendees and their roles */}
+          {!loading && attendees.length > 0 && config.show_role_ribbon && (
+            <div className="mt-8">
+              <h3 className="text-sm font-medium text-gray-700 mb-2">Participant roles</h3>
+              <div className="border border-gray-200 rounded-lg divide-y divide-gray-100 max-h-64 overflow-y-auto">
+                {attendees.map(attendee => (
+                  <div key={attendee.userId} className="flex items-center justify-between gap-4 px-4 py-2 text-sm">
+                    <div className="min-w-0">
+                      <p className="text-gray-900 truncate">{attendee.name}</p>
+                      {attendee.organization && <p className="text-xs text-gray-500 truncate">{attendee.organization}</p>}
+                    </div>
+                    <select
+                      value={config.ribbon_assignments[attendee.userId] || config.default_ribbon}
+                      onChange={(e) => assignRibbon(attendee.userId, e.target.value)}
+                      className="px-2 py-1 border border-gray-300 rounded text-sm"
+                    >
+                      {config.ribbons.map(ribbon => (
+                        <option key={ribbon.id} value={ribbon.id}>{ribbon.label}</option>
+                      ))}
+                    </select>
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
+
+          {!loading && !error && attendees.length === 0 && (
+            <div className="text-center py-12">
+              <AlertCircle className="w-12 h-12 text-gray-400 mx-auto mb-4" />
+              <p className="text-gray-600">No registered participants found for this event.</p>
+            </div>
+          )}
+        </div>
+
+        {/* Footer */}
+        <div className="flex items-center justify-end gap-3 p-6 border-t border-gray-200">
+          <button
+            onClick={handleSave}
+            disabled={saving || loading}
+            className="px-6 py-3 border border-blue-900 text-blue-900 rounded-lg hover:bg-blue-50 transition-colors disabled:opacity-50 disabled:cursor-not-allowed flex items-center"
+          >
+            <Save className="w-5 h-5 mr-2" />
+            {saving ? 'Saving...' : 'Save Design'}
+          </button>
+          <button
+            onClick={handleDownload}
+            disabled={generating || loading || attendees.length === 0}
+            className="px-6 py-3 bg-blue-900 text-white rounded-lg hover:bg-blue-800 transition-colors disabled:opacity-50 disabled:cursor-not-allowed flex items-center"
+          >
+            {generating ? (
+              <>
+                <Loader className="w-5 h-5 animate-spin mr-2" />
+                Generating... ({progress.current}/{progress.total})
+              </>
+            ) : (
+              <>
+                <Download className="w-5 h-5 mr-2" />
+                Download Badges (PDF)
+              </>
+            )}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
@@ -2,7 +2,7 @@ import React, { useState, useEffect, useRef } from 'react';
 import { useAuth } from '../../contexts/AuthContext';
 import { supabase } from '../../lib/supabaseClient';
 import { EventService } from '../../services/eventService';
-import { generateQRCodeID, formatQRCodeID } from '../../utils/qrCodeUtils';
+import { generateQRCodeID, formatQRCodeID, buildEventCheckInQRData } from '../../utils/qrCodeUtils';
 import { X, Download, CheckCircle, AlertCircle, Loader, Calendar, MapPin, Clock } from 'lucide-react';
 import { useToast } from '../Toast';
 
@@ -180,30 +180,12 @@ export const BulkQRCodeGenerator = ({ isOpen, onClose, event }) => {
 
     // No existing QR code found - create new one
     const participantName = `${participantUser.first_name || ''} ${participantUser.last_name || ''}`.trim() || participantUser.email || 'Participant';
-    const eventDays = calculateEventDays();
-
     // Create QR data for event check-in
-    const qrData = {
-      eventId: event.id,
-      userId: participantId,
-      title: event.title,
-      date: event.start_date,
-      endDate: event.end_date,
-      time: event.start_time,
-      venue: event.venue,
-      participantName: participantName,
-      participantEmail: participantUser.email,
-      createdBy: user?.id,
-      createdAt: new Date().toISOString(),
-      type: 'event_checkin',
-      eventDays: eventDays,
-      // Add metadata for one-time-per-day check-in
-      metadata: {
-        maxCheckInsPerDay: 1,
-        eventDurationDays: eventDays,
-        checkInDates: [] // Will be populated when scanned
-      }
-    };
+    const qrData = buildEventCheckInQRData(
+      event,
+      { id: participantId, name: participantName, email: participantUser.email },
+      user?.id
+    );
 
     // Create a unique 8-character QR code ID
     const qrCodeID = generateQRCodeID();
@@ -1,10 +1,18 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, Fragment } from 'react';
 import { useAuth } from '../../contexts/AuthContext';
 import { supabase } from '../../lib/supabaseClient';
 import { EventService } from '../../services/eventService';
 import { JobQueueService } from '../../services/jobQueueService';
+import { CertificateService } from '../../services/certificateService';
+import { useToast } from '../Toast';
 import { exportToCSV, exportToExcel } from '../../utils/exportUtils';
-import { X, CheckCircle, XCircle, Loader, Calendar } from 'lucide-react';
+import { X, CheckCircle, XCircle, Loader, Calendar, Ban, RefreshCw, History } from 'lucide-react';
+
+const HISTORY_LABELS = {
+  issued: 'Issued',
+  revoked: 'Revoked',
+  superseded: 'Replaced'
+};
 
 export const CertificateGenerationsView = ({ isOpen, onClose, event }) => {
   const { user } = useAuth();
@@ -13,6 +21,14 @@ export const CertificateGenerationsView = ({ isOpen, onClose, event }) => {
   const [orphanedCertificatesWithUsers, setOrphanedCertificatesWithUsers] = useState([]);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
+  const toast = useToast();
+  // Revoke / reissue / history panel for one certificate: { type, certificate }
+  const [activeAction, setActiveAction] = useState(null);
+  const [actionReason, setActionReason] = useState('');
+  const [reissueName, setReissueName] = useState('');
+  const [actionSubmitting, setActionSubmitting] = useState(false);
+  const [history, setHistory] = useState([]);
+  const [historyLoading, setHistoryLoading] = useState(false);
 
   if (!isOpen || !event) {
     return null;
@@ -62,6 +78,7 @@ export const CertificateGenerationsView = ({ isOpen, onClose, event }) => {
       const participantIds = new Set(participantsList.map(p => p.user_id || p.users?.id).filter(Boolean));
       const orphanedCerts = databaseCertificates.filter(cert => {
         if (!cert.user_id) return false; // Skip certs without user_id
+        if (cert.status === 'superseded') return false; // Replaced by a reissue
         return !participantIds.has(cert.user_id);
       });
 
@@ -339,9 +356,10 @@ export const CertificateGenerationsView = ({ isOpen, onClose, event }) => {
   };
 
   // Create a map of certificates by user_id for quick lookup
-  // Only use database certificates (not job queue entries)
+  // Only use database certificates (not job queue entries), and skip
+  // certificates that were replaced by a reissue
   const certificatesMap = {};
-  const databaseCerts = certificates.filter(cert => cert.id && !cert.id.startsWith('job_'));
+  const databaseCerts = certificates.filter(cert => cert.id && !cert.id.startsWith('job_') && cert.status !== 'superseded');
   databaseCerts.forEach(cert => {
     // For database certificates, use user_id
     if (cert.user_id) {
@@ -383,9 +401,10 @@ export const CertificateGenerationsView = ({ isOpen, onClose, event }) => {
       exportData.push({
         'Participant Name': participantName,
         'Email': participantUser.email || '',
-        'Status': certificate ? 'Generated' : 'Not Generated',
+        'Status': certificate ? (certificate.status === 'revoked' ? 'Revoked' : 'Generated') : 'Not Generated',
         'Certificate Number': certificate?.certificate_number || '',
         'Generation Date': certificate?.generated_at ? formatDate(certificate.generated_at) : '',
+        'Revocation Reason': certificate?.status === 'revoked' ? certificate.status_reason || '' : '',
       });
     });
 
@@ -395,15 +414,194 @@ export const CertificateGenerationsView = ({ isOpen, onClose, event }) => {
       exportData.push({
         'Participant Name': userName,
         'Email': cert.user?.email || '',
-        'Status': 'Generated (Not Registered)',
+        'Status': cert.status === 'revoked' ? 'Revoked (Not Registered)' : 'Generated (Not Registered)',
         'Certificate Number': cert.certificate_number || '',
         'Generation Date': cert.generated_at ? formatDate(cert.generated_at) : '',
+        'Revocation Reason': cert.status === 'revoked' ? cert.status_reason || '' : '',
       });
     });
 
     return exportData;
   };
 
+  // Earlier certificates this one replaced, so the history of manual entries
+  // sharing the organizer's user_id doesn't get mixed up
+  const getCertificateChainIds = (certificate) => {
+    const ids = new Set([certificate.id]);
+    let added = true;
+    while (added) {
+      added = false;
+      certificates.forEach(cert => {
+        if (cert.superseded_by && ids.has(cert.superseded_by) && !ids.has(cert.id)) {
+          ids.add(cert.id);
+          added = true;
+        }
+      });
+    }
+    return ids;
+  };
+
+  const openAction = async (type, certificate) => {
+    if (activeAction?.type === type && activeAction.certificate.id === certificate.id) {
+      setActiveAction(null);
+      return;
+    }
+
+    setActiveAction({ type, certificate });
+    setActionReason('');
+    setReissueName(certificate.participant_name || '');
+
+    if (type === 'history') {
+      setHistoryLoading(true);
+      const result = await CertificateService.getCertificateHistory(certificate.event_id, certificate.user_id);
+      setHistoryLoading(false);
+      if (result.error) {
+        toast.error(result.error);
+        return;
+      }
+      const chainIds = getCertificateChainIds(certificate);
+      setHistory((result.history || []).filter(entry => chainIds.has(entry.certificate_id)));
+    }
+  };
+
+  const handleRevoke = async () => {
+    setActionSubmitting(true);
+    const result = await CertificateService.revokeCertificate(activeAction.certificate.id, actionReason);
+    setActionSubmitting(false);
+
+    if (result.error) {
+      toast.error(result.error);
+      return;
+    }
+
+    toast.success(`Certificate ${activeAction.certificate.certificate_number} revoked`);
+    setActiveAction(null);
+    loadData();
+  };
+
+  const handleReissue = async () => {
+    setActionSubmitting(true);
+    const result = await CertificateService.reissueCertificate(
+      activeAction.certificate,
+      { participantName: reissueName, reason: actionReason },
+      user.id
+    );
+    setActionSubmitting(false);
+
+    if (result.error) {
+      toast.error(result.error);
+      return;
+    }
+
+    toast.info('Reissue queued. The new certificate will appear here once it has been generated.');
+    setActiveAction(null);
+  };
+
+  const renderCertificateActions = (certificate) => (
+    <div className="flex items-center gap-1">
+      {certificate.status !== 'revoked' && (
+        <>
+          <button
+            onClick={() => openAction('reissue', certificate)}
+            className="p-1.5 text-slate-500 hover:text-blue-700 hover:bg-blue-50 rounded transition-colors"
+            title="Reissue"
+          >
+            <RefreshCw className="w-4 h-4" />
+          </button>
+          <button
+            onClick={() => openAction('revoke', certificate)}
+            className="p-1.5 text-slate-500 hover:text-red-700 hover:bg-red-50 rounded transition-colors"
+            title="Revoke"
+          >
+            <Ban className="w-4 h-4" />
+          </button>
+        </>
+      )}
+      <button
+        onClick={() => openAction('history', certificate)}
+        className="p-1.5 text-slate-500 hover:text-slate-800 hover:bg-slate-100 rounded transition-colors"
+        title="History"
+      >
+        <History className="w-4 h-4" />
+      </button>
+    </div>
+  );
+
+  const renderActionPanel = (certificate) => {
+    if (!activeAction || activeAction.certificate.id !== certificate.id) {
+      return null;
+    }
+
+    return (
+      <tr className="bg-slate-50">
+        <td colSpan={5} className="px-4 py-4">
+          {activeAction.type === 'history' ? (
+            historyLoading ? (
+              <Loader className="w-5 h-5 animate-spin text-blue-600" />
+            ) : history.length === 0 ? (
+              <p className="text-sm text-slate-500">No history recorded for this certificate.</p>
+            ) : (
+              <ol className="space-y-2">
+                {history.map(entry => (
+                  <li key={entry.id} className="text-sm text-slate-700">
+                    <span className="font-medium">{HISTORY_LABELS[entry.action] || entry.action}</span>
+                    {' '}<span className="font-mono">{entry.certificate_number}</span>
+                    <span className="text-slate-500"> · {formatDate(entry.created_at)}</span>
+                    {entry.reason && <p className="text-xs text-slate-500">Reason: {entry.reason}</p>}
+                  </li>
+                ))}
+              </ol>
+            )
+          ) : (
+            <div className="space-y-3 max-w-xl">
+              {activeAction.type === 'reissue' && (
+                <div>
+                  <label className="block text-xs font-medium text-slate-600 mb-1">Name on the new certificate</label>
+                  <input
+                    type="text"
+                    value={reissueName}
+                    onChange={(e) => setReissueName(e.target.value)}
+                    className="w-full px-3 py-2 border border-slate-300 rounded-lg text-sm"
+                  />
+                </div>
+              )}
+              <div>
+                <label className="block text-xs font-medium text-slate-600 mb-1">Reason</label>
+                <input
+                  type="text"
+                  value={actionReason}
+                  onChange={(e) => setActionReason(e.target.value)}
+                  placeholder={activeAction.type === 'revoke' ? 'e.g. Issued to the wrong participant' : 'e.g. Name misspelled'}
+                  className="w-full px-3 py-2 border border-slate-300 rounded-lg text-sm"
+                />
+              </div>
+              <p className="text-xs text-slate-500">
+                {activeAction.type === 'revoke'
+                  ? `Certificate ${certificate.certificate_number} will show as revoked when verified. This cannot be undone.`
+                  : `Certificate ${certificate.certificate_number} will be replaced by a new certificate with a new number.`}
+              </p>
+              <div className="flex gap-2">
+                <button
+                  onClick={activeAction.type === 'revoke' ? handleRevoke : handleReissue}
+                  disabled={actionSubmitting || !actionReason.trim()}
+                  className={`px-4 py-2 text-white rounded-lg text-sm transition-colors disabled:opacity-50 ${activeAction.type === 'revoke' ? 'bg-red-600 hover:bg-red-700' : 'bg-blue-900 hover:bg-blue-800'}`}
+                >
+                  {actionSubmitting ? 'Saving...' : activeAction.type === 'revoke' ? 'Revoke Certificate' : 'Reissue Certificate'}
+                </button>
+                <button
+                  onClick={() => setActiveAction(null)}
+                  className="px-4 py-2 border border-slate-300 text-slate-700 rounded-lg text-sm hover:bg-white transition-colors"
+                >
+                  Cancel
+                </button>
+              </div>
+            </div>
+          )}
+        </td>
+      </tr>
+    );
+  };
+
   const handleExportCSV = () => {
     const eventTitle = event?.title || 'event';
     const sanitizedTitle = eventTitle.replace(/[^a-z0-9]/gi, '_').toLowerCase();
@@ -538,6 +736,9 @@ export const CertificateGenerationsView = ({ isOpen, onClose, event }) => {
                           <th className="px-4 py-3 text-left text-xs font-semibold text-gray-700 uppercase tracking-wider">
                             Generation Date
                           </th>
+                          <th className="px-4 py-3 text-left text-xs font-semibold text-gray-700 uppercase tracking-wider">
+                            Actions
+                          </th>
                         </tr>
                       </thead>
                       <tbody className="bg-white divide-y divide-gray-200">
@@ -553,44 +754,57 @@ export const CertificateGenerationsView = ({ isOpen, onClose, event }) => {
                           const hasCertificate = !!certificate;
 
                           return (
-                            <tr key={participantId} className="hover:bg-gray-50 transition-colors">
-                              <td className="px-4 py-3 whitespace-nowrap">
-                                {hasCertificate ? (
-                                  <div className="flex items-center">
-                                    <CheckCircle className="w-5 h-5 text-green-600 mr-2" />
-                                    <span className="text-sm text-green-700 font-medium">Generated</span>
-                                  </div>
-                                ) : (
-                                  <div className="flex items-center">
-                                    <XCircle className="w-5 h-5 text-orange-500 mr-2" />
-                                    <span className="text-sm text-orange-700 font-medium">Not Generated</span>
-                                  </div>
-                                )}
-                              </td>
-                              <td className="px-4 py-3 whitespace-nowrap">
-                                <div className="text-sm font-medium text-gray-900">{participantName}</div>
-                                {participantUser.email && (
-                                  <div className="text-xs text-gray-500">{participantUser.email}</div>
-                                )}
-                              </td>
-                              <td className="px-4 py-3 whitespace-nowrap">
-                                {hasCertificate ? (
-                                  <span className="text-sm text-gray-900 font-mono">{certificate.certificate_number}</span>
-                                ) : (
-                                  <span className="text-sm text-gray-400">—</span>
-                                )}
-                              </td>
-                              <td className="px-4 py-3 whitespace-nowrap">
-                                {hasCertificate ? (
-                                  <div className="flex items-center text-sm text-gray-600">
-                                    <Calendar className="w-4 h-4 mr-2" />
-                                    {formatDate(certificate.generated_at)}
-                                  </div>
-                                ) : (
-                                  <span className="text-sm text-gray-400">—</span>
-                                )}
-                              </td>
-                            </tr>
+                            <Fragment key={participantId}>
+                              <tr className="hover:bg-gray-50 transition-colors">
+                                <td className="px-4 py-3 whitespace-nowrap">
+                                  {hasCertificate && certificate.status === 'revoked' ? (
+                                    <div className="flex items-center" title={certificate.status_reason || undefined}>
+                                      <Ban className="w-5 h-5 text-red-600 mr-2" />
+                                      <span className="text-sm text-red-700 font-medium">Revoked</span>
+                                    </div>
+                                  ) : hasCertificate ? (
+                                    <div className="flex items-center">
+                                      <CheckCircle className="w-5 h-5 text-green-600 mr-2" />
+                                      <span className="text-sm text-green-700 font-medium">Generated</span>
+                                    </div>
+                                  ) : (
+                                    <div className="flex items-center">
+                                      <XCircle className="w-5 h-5 text-orange-500 mr-2" />
+                                      <span className="text-sm text-orange-700 font-medium">Not Generated</span>
+                                    </div>
+                                  )}
+                                </td>
+                                <td className="px-4 py-3 whitespace-nowrap">
+                                  <div className="text-sm font-medium text-gray-900">{participantName}</div>
+                                  {participantUser.email && (
+                                    <div className="text-xs text-gray-500">{participantUser.email}</div>
+                                  )}
+                                </td>
+                                <td className="px-4 py-3 whitespace-nowrap">
+                                  {hasCertificate ? (
+                                    <span className="text-sm text-gray-900 font-mono">{certificate.certificate_number}</span>
+                                  ) : (
+                                    <span className="text-sm text-gray-400">—</span>
+                                  )}
+                                </td>
+                                <td className="px-4 py-3 whitespace-nowrap">
+                                  {hasCertificate ? (
+                                    <div className="flex items-center text-sm text-gray-600">
+                                      <Calendar className="w-4 h-4 mr-2" />
+                                      {formatDate(certificate.generated_at)}
+                                    </div>
+                                  ) : (
+                                    <span className="text-sm text-gray-400">—</span>
+                                  )}
+                                </td>
+                                <td className="px-4 py-3 whitespace-nowrap">
+                                  {hasCertificate ? renderCertificateActions(certificate) : (
+                                    <span className="text-sm text-gray-400">—</span>
+                                  )}
+                                </td>
+                              </tr>
+                              {hasCertificate && renderActionPanel(certificate)}
+                            </Fragment>
                           );
                         })}
                         {/* Orphaned Certificates (certificates without matching participants) */}
@@ -599,32 +813,47 @@ export const CertificateGenerationsView = ({ isOpen, onClose, event }) => {
                           const userEmail = cert.user?.email || '';
 
                           return (
-                            <tr key={`orphaned_${cert.id}`} className="hover:bg-gray-50 transition-colors bg-yellow-50">
-                              <td className="px-4 py-3 whitespace-nowrap">
-                                <div className="flex items-center">
-                                  <CheckCircle className="w-5 h-5 text-green-600 mr-2" />
-                                  <span className="text-sm text-green-700 font-medium">Generated</span>
-                                  <span className="ml-2 text-xs text-yellow-600 bg-yellow-100 px-2 py-0.5 rounded">
-                                    Not Registered
-                                  </span>
-                                </div>
-                              </td>
-                              <td className="px-4 py-3 whitespace-nowrap">
-                                <div className="text-sm font-medium text-gray-900">{userName}</div>
-                                {userEmail && (
-                                  <div className="text-xs text-gray-500">{userEmail}</div>
-                                )}
-                              </td>
-                              <td className="px-4 py-3 whitespace-nowrap">
-                                <span className="text-sm text-gray-900 font-mono">{cert.certificate_number}</span>
-                              </td>
-                              <td className="px-4 py-3 whitespace-nowrap">
-                                <div className="flex items-center text-sm text-gray-600">
-                                  <Calendar className="w-4 h-4 mr-2" />
-                                  {formatDate(cert.generated_at)}
-                                </div>
-                              </td>
-                            </tr>
+                            <Fragment key={`orphaned_${cert.id}`}>
+                              <tr className="hover:bg-gray-50 transition-colors bg-yellow-50">
+                                <td className="px-4 py-3 whitespace-nowrap">
+                                  <div className="flex items-center">
+                                    {cert.status === 'revoked' ? (
+                                      <>
+                                        <Ban className="w-5 h-5 text-red-600 mr-2" />
+                                        <span className="text-sm text-red-700 font-medium">Revoked</span>
+                                      </>
+                                    ) : (
+                                      <>
+                                        <CheckCircle className="w-5 h-5 text-green-600 mr-2" />
+                                        <span className="text-sm text-green-700 font-medium">Generated</span>
+                                      </>
+                                    )}
+                                    <span className="ml-2 text-xs text-yellow-600 bg-yellow-100 px-2 py-0.5 rounded">
+                                      Not Registered
+                                    </span>
+                                  </div>
+                                </td>
+                                <td className="px-4 py-3 whitespace-nowrap">
+                                  <div className="text-sm font-medium text-gray-900">{userName}</div>
+                                  {userEmail && (
+                                    <div className="text-xs text-gray-500">{userEmail}</div>
+                                  )}
+                                </td>
+                                <td className="px-4 py-3 whitespace-nowrap">
+                                  <span className="text-sm text-gray-900 font-mono">{cert.certificate_number}</span>
+                                </td>
+                                <td className="px-4 py-3 whitespace-nowrap">
+                                  <div className="flex items-center text-sm text-gray-600">
+                                    <Calendar className="w-4 h-4 mr-2" />
+                                    {formatDate(cert.generated_at)}
+                                  </div>
+                                </td>
+                                <td className="px-4 py-3 whitespace-nowrap">
+                                  {renderCertificateActions(cert)}
+                                </td>
+                              </tr>
+                              {renderActionPanel(cert)}
+                            </Fragment>
                           );
                         })}
                       </tbody>
@@ -0,0 +1,273 @@
+import React, { useState, useEffect } from 'react';
+import { EventService } from '../../services/eventService';
+import { CertificateService } from '../../services/certificateService';
+import { SessionService } from '../../services/sessionService';
+import { useAuth } from '../../contexts/AuthContext';
+import { useToast } from '../Toast';
+import { normalizeCertificateRules } from '../../utils/certificateEligibilityUtils';
+import { getRequiredDays, formatDuration } from '../../utils/attendanceDayUtils';
+import { X, Loader, CheckCircle } from 'lucide-react';
+
+const RULE_OPTIONS = [
+  {
+    key: 'validated_check_in',
+    label: 'Checked in and validated',
+    description: 'The participant checked in and the check-in was validated'
+  },
+  {
+    key: 'evaluation',
+    label: 'Evaluation submitted',
+    description: 'The participant answered the event evaluation'
+  },
+  {
+    key: 'manual_approval',
+    label: 'Manually approved',
+    description: 'You approve each participant below before they can get a certificate'
+  }
+];
+
+const getParticipantName = (participant) => {
+  const user = participant.users || {};
+  return `${user.first_name || ''} ${user.last_name || ''}`.trim() || user.email || 'Participant';
+};
+
+/**
+ * Organizer view of an event's certificate rules and manual approvals
+ */
+export const CertificateRulesManager = ({ isOpen, onClose, event, onEventUpdated }) => {
+  const { user } = useAuth();
+  const toast = useToast();
+  const [rules, setRules] = useState(normalizeCertificateRules(event?.certificate_rules));
+  const [minSessions, setMinSessions] = useState(0);
+  const [autoIssue, setAutoIssue] = useState(false);
+  const [sessionCount, setSessionCount] = useState(0);
+  const [participants, setParticipants] = useState([]);
+  const [approvedIds, setApprovedIds] = useState(new Set());
+  const [loading, setLoading] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [updatingUserId, setUpdatingUserId] = useState(null);
+
+  useEffect(() => {
+    if (isOpen && event) {
+      setRules(normalizeCertificateRules(event.certificate_rules));
+      setMinSessions(event.min_sessions_for_certificate || 0);
+      setAutoIssue(!!event.certificate_auto_issue);
+      loadData();
+    }
+  }, [isOpen, event?.id]);
+
+  if (!isOpen || !event) {
+    return null;
+  }
+
+  const loadData = async () => {
+    setLoading(true);
+    const [participantsResult, approvalsResult, sessionsResult] = await Promise.all([
+      EventService.getEventParticipants(event.id),
+      CertificateService.getCertificateApprovals(event.id),
+      SessionService.getEventSessions(event.id)
+    ]);
+    setLoading(false);
+
+    if (participantsResult.error || approvalsResult.error) {
+      toast.error(participantsResult.error || approvalsResult.error);
+      return;
+    }
+
+    setParticipants(
+      (participantsResult.participants || [])
+        .filter(participant => participant.user_id)
+        .sort((a, b) => getParticipantName(a).localeCompare(getParticipantName(b)))
+    );
+    setApprovedIds(new Set(approvalsResult.userIds || []));
+    setSessionCount(sessionsResult.sessions?.length || 0);
+  };
+
+  const handleSave = async () => {
+    const sessions = Math.max(0, parseInt(minSessions) || 0);
+    if (sessions > sessionCount) {
+      toast.error(`The agenda only has ${sessionCount} session${sessionCount === 1 ? '' : 's'}`);
+      return;
+    }
+
+    setSaving(true);
+    const result = await EventService.updateEvent(event.id, {
+      certificate_rules: rules,
+      min_sessions_for_certificate: sessions,
+      certificate_auto_issue: autoIssue
+    });
+    setSaving(false);
+
+    if (result.error) {
+      toast.error(result.error);
+      return;
+    }
+
+    toast.success('Certificate requirements saved');
+    if (onEventUpdated && result.event) {
+      onEventUpdated(result.event);
+    }
+  };
+
+  const handleToggleApproval = async (participantId) => {
+    const isApproved = approvedIds.has(participantId);
+    setUpdatingUserId(participantId);
+    const result = isApproved
+      ? await CertificateService.revokeCertificateApproval(event.id, participantId)
+      : await CertificateService.approveCertificate(event.id, participantId, user.id);
+    setUpdatingUserId(null);
+
+    if (result.error) {
+      toast.error(result.error);
+      return;
+    }
+
+    if (result.certificateQueued) {
+      toast.info('All requirements met. The certificate has been queued for this participant.');
+    }
+
+    setApprovedIds(prev => {
+      const next = new Set(prev);
+      if (isApproved) {
+        next.delete(participantId);
+      } else {
+        next.add(participantId);
+      }
+      return next;
+    });
+  };
+
+  const requiredDays = getRequiredDays(event);
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4" onClick={onClose}>
+      <div className="bg-white rounded-2xl shadow-2xl max-w-2xl w-full max-h-[90vh] overflow-hidden flex flex-col" onClick={(e) => e.stopPropagation()}>
+        {/* Header */}
+        <div className="flex items-center justify-between p-6 border-b border-gray-200">
+          <div>
+            <h2 className="text-2xl font-semibold text-gray-900">Certificate Requirements</h2>
+            <p className="text-sm text-gray-600 mt-1">
+              What participants of "{event.title}" need before they get a certificate
+            </p>
+          </div>
+          <button
+            onClick={onClose}
+            className="p-2 hover:bg-gray-100 rounded-full transition-colors"
+          >
+            <X className="w-5 h-5 text-gray-500" />
+          </button>
+        </div>
+
+        <div className="flex-1 overflow-y-auto p-6 space-y-6">
+          {/* Rule set */}
+          <div className="space-y-3">
+            {RULE_OPTIONS.map(option => (
+              <label key={option.key} className="flex items-start gap-3 p-3 border border-slate-200 rounded-lg cursor-pointer hover:bg-slate-50">
+                <input
+                  type="checkbox"
+                  checked={rules[option.key]}
+                  onChange={(e) => setRules({ ...rules, [option.key]: e.target.checked })}
+                  className="mt-1 w-4 h-4 text-blue-600 border-slate-300 rounded focus:ring-blue-500"
+                />
+                <div>
+                  <p className="text-sm font-medium text-slate-800">{option.label}</p>
+                  <p className="text-xs text-slate-500">{option.description}</p>
+                </div>
+              </label>
+            ))}
+
+            <div className="flex flex-col sm:flex-row sm:items-center gap-3 p-3 border border-slate-200 rounded-lg">
+              <div className="flex-1">
+                <p className="text-sm font-medium text-slate-800">Attended sessions</p>
+                <p className="text-xs text-slate-500">
+                  Minimum number of validated session check-ins (0 = not required)
+                </p>
+              </div>
+              <input
+                type="number"
+                min="0"
+                max={sessionCount}
+                value={minSessions}
+                onChange={(e) => setMinSessions(e.target.value)}
+                className="w-24 px-3 py-2 border border-slate-300 rounded-lg text-sm"
+              />
+            </div>
+
+            {requiredDays > 0 && (
+              <p className="text-xs text-slate-500 px-1">
+                Participants must also attend {requiredDays} day{requiredDays === 1 ? '' : 's'}
+                {event.min_attendance_minutes > 0 && ` for at least ${formatDuration(event.min_attendance_minutes)} each`}.
+                This is set in the event details.
+              </p>
+            )}
+
+            <label className="flex items-start gap-3 p-3 border border-blue-200 bg-blue-50 rounded-lg cursor-pointer">
+              <input
+                type="checkbox"
+                checked={autoIssue}
+                onChange={(e) => setAutoIssue(e.target.checked)}
+                className="mt-1 w-4 h-4 text-blue-600 border-slate-300 rounded focus:ring-blue-500"
+              />
+              <div>
+                <p className="text-sm font-medium text-slate-800">Issue certificates automatically</p>
+                <p className="text-xs text-slate-500">
+                  Generate the certificate as soon as a participant meets every requirement, such as when they submit
+                  the evaluation or you approve them. They are notified when it is ready to download.
+                </p>
+              </div>
+            </label>
+
+            <button
+              onClick={handleSave}
+              disabled={saving}
+              className="w-full px-4 py-2 bg-blue-900 text-white rounded-lg text-sm hover:bg-blue-800 transition-colors disabled:opacity-50"
+            >
+              {saving ? 'Saving...' : 'Save Requirements'}
+            </button>
+          </div>
+
+          {/* Manual approvals */}
+          {rules.manual_approval && (
+            <div>
+              <h4 className="font-semibold text-slate-900 mb-3">
+                Approvals ({approvedIds.size}/{participants.length})
+              </h4>
+              {loading ? (
+                <div className="flex justify-center py-6">
+                  <Loader className="w-6 h-6 animate-spin text-blue-600" />
+                </div>
+              ) : participants.length === 0 ? (
+                <p className="text-sm text-slate-500">No participants have registered yet.</p>
+              ) : (
+                <div className="divide-y divide-slate-100 border border-slate-200 rounded-lg">
+                  {participants.map(participant => {
+                    const isApproved = approvedIds.has(participant.user_id);
+                    return (
+                      <div key={participant.user_id} className="flex items-center justify-between gap-3 px-4 py-3">
+                        <div className="min-w-0">
+                          <p className="text-sm font-medium text-slate-800 truncate">{getParticipantName(participant)}</p>
+                          <p className="text-xs text-slate-500 truncate">{participant.users?.email}</p>
+                        </div>
+                        <button
+                          onClick={() => handleToggleApproval(participant.user_id)}
+                          disabled={updatingUserId === participant.user_id}
+                          className={`flex items-center gap-1 px-3 py-1.5 rounded-lg text-xs font-medium transition-colors disabled:opacity-50 ${isApproved
+                            ? 'bg-green-100 text-green-800 hover:bg-green-200'
+                            : 'border border-slate-300 text-slate-700 hover:bg-slate-50'
+                            }`}
+                        >
+                          {isApproved && <CheckCircle className="w-3.5 h-3.5" />}
+                          {isApproved ? 'Approved' : 'Approve'}
+                        </button>
+                      </div>
+                    );
+                  })}
+                </div>
+              )}
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
@@ -0,0 +1,514 @@
+import React, { useState, useEffect, useRef, useCallback } from 'react';
+import { useNavigate, useParams } from 'react-router-dom';
+import { useAuth } from '../../contexts/AuthContext';
+import { EventService } from '../../services/eventService';
+import { QRScanService } from '../../services/qrScanService';
+import { UserService } from '../../services/userService';
+import { getLocalDateString } from '../../utils/attendanceDayUtils';
+import { CheckCircle, XCircle, Search, Camera, Lock, ArrowLeft } from 'lucide-react';
+
+const KIOSK_STORAGE_KEY = 'ganapp_kiosk_event';
+const RESULT_DISPLAY_MS = 4000;
+const SCAN_INTERVAL_MS = 400;
+
+// Ignore the same code while it stays in front of the camera
+const REPEAT_SCAN_MS = 8000;
+
+/**
+ * Event the kiosk is locked to in this browser tab, if one was started
+ */
+export const getActiveKioskEventId = () => sessionStorage.getItem(KIOSK_STORAGE_KEY);
+
+// Frames are scaled down to this width before jsQR reads them
+const JSQR_FRAME_WIDTH = 640;
+
+/**
+ * QR reader for video frames. Uses the browser's BarcodeDetector where it
+ * reads QR codes, and jsQR on a canvas elsewhere (Firefox, Safari, desktop
+ * Chrome on Windows and Linux). detect resolves to the code's text or null.
+ */
+const createQRReader = async () => {
+  if ('BarcodeDetector' in window) {
+    const formats = await window.BarcodeDetector.getSupportedFormats?.().catch(() => []) ?? [];
+    if (formats.includes('qr_code')) {
+      const detector = new window.BarcodeDetector({ formats: ['qr_code'] });
+      return {
+        detect: async (video) => {
+          const codes = await detector.detect(video);
+          return codes[0]?.rawValue || null;
+        }
+      };
+    }
+  }
+
+  const { default: jsQR } = await import('jsqr');
+  const canvas = document.createElement('canvas');
+  const context = canvas.getContext('2d', { willReadFrequently: true });
+  return {
+    detect: async (video) => {
+      const scale = Math.min(1, JSQR_FRAME_WIDTH / video.videoWidth);
+      canvas.width = Math.round(video.videoWidth * scale);
+      canvas.height = Math.round(video.videoHeight * scale);
+      context.drawImage(video, 0, 0, canvas.width, canvas.height);
+      const frame = context.getImageData(0, 0, canvas.width, canvas.height);
+      return jsQR(frame.data, frame.width, frame.height, { inversionAttempts: 'dontInvert' })?.data || null;
+    }
+  };
+};
+
+const getParticipantName = (participant) => {
+  const user = participant.users || participant;
+  return user?.first_name && user?.last_name
+    ? `${user.first_name} ${user.last_name}`
+    : user?.email || 'Unknown participant';
+};
+
+/**
+ * Full-screen self check-in station. An organizer starts it for one event;
+ * participants then scan their QR code with the webcam or find their name.
+ * It runs on the organizer's session and asks for their password to exit.
+ */
+export const CheckInKiosk = () => {
+  const { eventId } = useParams();
+  const navigate = useNavigate();
+  const { user, isAuthenticated, loading: authLoading } = useAuth();
+
+  const [event, setEvent] = useState(null);
+  const [participants, setParticipants] = useState([]);
+  const [error, setError] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [started, setStarted] = useState(getActiveKioskEventId() === eventId);
+  const [cameraError, setCameraError] = useState(null);
+  const [result, setResult] = useState(null);
+  const [processing, setProcessing] = useState(false);
+  const [manualId, setManualId] = useState('');
+  const [showSearch, setShowSearch] = useState(false);
+  const [searchTerm, setSearchTerm] = useState('');
+  const [confirmParticipant, setConfirmParticipant] = useState(null);
+  const [showExit, setShowExit] = useState(false);
+  const [exitPassword, setExitPassword] = useState('');
+  const [exitError, setExitError] = useState(null);
+
+  const videoRef = useRef(null);
+  const streamRef = useRef(null);
+  const lastScanRef = useRef({ value: null, at: 0 });
+  const busyRef = useRef(false);
+  const resultTimerRef = useRef(null);
+
+  useEffect(() => {
+    if (authLoading) return;
+
+    if (!isAuthenticated) {
+      navigate('/login');
+      return;
+    }
+
+    if (user?.role !== 'admin' && user?.role !== 'organizer') {
+      navigate('/');
+      return;
+    }
+
+    loadEvent();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [eventId, authLoading]);
+
+  const loadEvent = async () => {
+    setLoading(true);
+    const eventResult = await EventService.getEventById(eventId);
+    if (eventResult.error || !eventResult.event) {
+      setError(eventResult.error || 'Event not found');
+      setLoading(false);
+      return;
+    }
+    // Kiosk check-ins go through addManualCheckIn, which only the event creator may record
+    if (eventResult.event.created_by !== user.id) {
+      setError('Only the organizer of this event can run its check-in kiosk');
+      setLoading(false);
+      return;
+    }
+
+    setEvent(eventResult.event);
+    const participantsResult = await EventService.getEventParticipants(eventId);
+    setParticipants(participantsResult.participants || []);
+    setLoading(false);
+  };
+
+  const showResult = useCallback((nextResult) => {
+    setResult(nextResult);
+    clearTimeout(resultTimerRef.current);
+    resultTimerRef.current = setTimeout(() => setResult(null), RESULT_DISPLAY_MS);
+  }, []);
+
+  const handleCode = useCallback(async (rawValue) => {
+    if (!event || busyRef.current || !rawValue) return;
+
+    const now = Date.now();
+    if (lastScanRef.current.value === rawValue && now - lastScanRef.current.at < REPEAT_SCAN_MS) return;
+    lastScanRef.current = { value: rawValue, at: now };
+
+    busyRef.current = true;
+    setProcessing(true);
+    const scanResult = await QRScanService.checkInWithQRCode(rawValue, event, user.id);
+    showResult(scanResult);
+    setProcessing(false);
+    busyRef.current = false;
+  }, [event, user?.id, showResult]);
+
+  // Webcam scanning, see createQRReader
+  useEffect(() => {
+    if (!started || !event) return;
+
+    if (!navigator.mediaDevices?.getUserMedia) {
+      setCameraError('This browser cannot scan QR codes with the camera. Type the check-in ID or search by name instead.');
+      return;
+    }
+
+    let cancelled = false;
+    let timer = null;
+
+    let reader = null;
+
+    createQRReader()
+      .then(qrReader => {
+        reader = qrReader;
+        return navigator.mediaDevices.getUserMedia({ video: { facingMode: 'user' }, audio: false });
+      })
+      .then(stream => {
+        if (cancelled) {
+          stream.getTracks().forEach(track => track.stop());
+          return;
+        }
+        streamRef.current = stream;
+        videoRef.current.srcObject = stream;
+        videoRef.current.play();
+
+        timer = setInterval(async () => {
+          if (busyRef.current || !videoRef.current || videoRef.current.readyState < 2) return;
+          try {
+            const code = await reader.detect(videoRef.current);
+            if (code) {
+              handleCode(code);
+            }
+          } catch (err) {
+            // A frame that cannot be read is skipped
+          }
+        }, SCAN_INTERVAL_MS);
+      })
+      .catch(() => {
+        setCameraError('Camera access was blocked. Allow the camera for this site, or type the check-in ID or search by name.');
+      });
+
+    return () => {
+      cancelled = true;
+      clearInterval(timer);
+      streamRef.current?.getTracks().forEach(track => track.stop());
+      streamRef.current = null;
+    };
+  }, [started, event, handleCode]);
+
+  useEffect(() => () => clearTimeout(resultTimerRef.current), []);
+
+  const startKiosk = () => {
+    sessionStorage.setItem(KIOSK_STORAGE_KEY, eventId);
+    document.documentElement.requestFullscreen?.().catch(() => {});
+    setStarted(true);
+  };
+
+  const handleManualSubmit = (e) => {
+    e.preventDefault();
+    const value = manualId.trim();
+    setManualId('');
+    lastScanRef.current = { value: null, at: 0 };
+    handleCode(value);
+  };
+
+  const handleNameCheckIn = async () => {
+    const participant = confirmParticipant;
+    setConfirmParticipant(null);
+    setShowSearch(false);
+    setSearchTerm('');
+
+    const timing = QRScanService.validateCheckInTiming(event);
+    if (!timing.valid) {
+      showResult({ success: false, participantName: getParticipantName(participant), message: timing.message });
+      return;
+    }
+
+    setProcessing(true);
+    const checkInResult = await EventService.addManualCheckIn(event.id, participant.user_id, user.id, getLocalDateString());
+    setProcessing(false);
+
+    if (checkInResult.error === 'User has already checked in for this date') {
+      showResult({ success: true, alreadyCheckedIn: true, participantName: getParticipantName(participant), message: 'You have already checked in today' });
+    } else if (checkInResult.error) {
+      showResult({ success: false, participantName: getParticipantName(participant), message: checkInResult.error });
+    } else {
+      showResult({ success: true, participantName: getParticipantName(participant), message: 'You are checked in. Enjoy the event!' });
+    }
+  };
+
+  const handleExit = async (e) => {
+    e.preventDefault();
+    setExitError(null);
+    const verifyResult = await UserService.verifyPassword(user.email, exitPassword);
+    if (verifyResult.error) {
+      setExitError(verifyResult.error);
+      return;
+    }
+
+    sessionStorage.removeItem(KIOSK_STORAGE_KEY);
+    if (document.fullscreenElement) {
+      document.exitFullscreen?.().catch(() => {});
+    }
+    navigate('/events');
+  };
+
+  const searchResults = searchTerm.trim().length >= 2
+    ? participants
+      .filter(participant => getParticipantName(participant).toLowerCase().includes(searchTerm.trim().toLowerCase()))
+      .slice(0, 8)
+    : [];
+
+  if (loading || authLoading) {
+    return (
+      <section className="min-h-screen bg-slate-900 flex items-center justify-center">
+        <div className="animate-spin rounded-full h-16 w-16 border-b-4 border-white"></div>
+      </section>
+    );
+  }
+
+  if (error) {
+    return (
+      <section className="min-h-screen bg-slate-900 flex items-center justify-center p-6">
+        <div className="bg-white rounded-2xl p-8 max-w-md text-center">
+          <p className="text-red-700 mb-6">{error}</p>
+          <button
+            onClick={() => navigate('/events')}
+            className="inline-flex items-center gap-2 px-4 py-2 bg-blue-900 text-white rounded-lg hover:bg-blue-800"
+          >
+            <ArrowLeft className="w-4 h-4" />
+            Back to Events
+          </button>
+        </div>
+      </section>
+    );
+  }
+
+  if (!started) {
+    return (
+      <section className="min-h-screen bg-slate-900 flex items-center justify-center p-6">
+        <div className="bg-white rounded-2xl p-8 max-w-lg w-full">
+          <h1 className="text-2xl font-bold text-slate-900 mb-2">Check-In Kiosk</h1>
+          <p className="text-slate-600 mb-6">{event.title}</p>
+          <ul className="text-sm text-slate-600 space-y-2 mb-8 list-disc pl-5">
+            <li>Participants scan their QR code with this device's camera, or find their name.</li>
+            <li>The kiosk stays on this event. Leaving it needs your password.</li>
+            <li>Check-ins follow the event's check-in window and QR code settings.</li>
+          </ul>
+          <div className="flex gap-3">
+            <button
+              onClick={() => navigate('/events')}
+              className="flex-1 px-4 py-3 border border-slate-300 text-slate-700 rounded-xl hover:bg-slate-50"
+            >
+              Cancel
+            </button>
+            <button
+              onClick={startKiosk}
+              className="flex-1 px-4 py-3 bg-blue-900 text-white rounded-xl hover:bg-blue-800 font-semibold"
+            >
+              Start Kiosk
+            </button>
+          </div>
+        </div>
+      </section>
+    );
+  }
+
+  return (
+    <section className="min-h-screen bg-slate-900 text-white flex flex-col">
+      <header className="flex items-center justify-between px-8 py-6">
+        <div>
+          <p className="text-sm uppercase tracking-widest text-blue-300">Self Check-In</p>
+          <h1 className="text-3xl font-bold">{event.title}</h1>
+        </div>
+        <button
+          onClick={() => setShowExit(true)}
+          className="p-3 rounded-full text-slate-400 hover:text-white hover:bg-slate-800"
+          title="Exit kiosk"
+        >
+          <Lock className="w-5 h-5" />
+        </button>
+      </header>
+
+      <div className="flex-1 flex flex-col lg:flex-row items-center justify-center gap-10 px-8 pb-8">
+        <div className="relative w-full max-w-xl aspect-video bg-black rounded-3xl overflow-hidden border-4 border-slate-700">
+          {cameraError ? (
+            <div className="absolute inset-0 flex flex-col items-center justify-center text-center p-8 text-slate-300">
+              <Camera className="w-12 h-12 mb-4" />
+              <p>{cameraError}</p>
+            </div>
+          ) : (
+            <>
+              <video ref={videoRef} className="w-full h-full object-cover -scale-x-100" muted playsInline />
+              <div className="absolute inset-0 flex items-center justify-center pointer-events-none">
+                <div className="w-56 h-56 border-4 border-white/80 rounded-3xl"></div>
+              </div>
+            </>
+          )}
+          {processing && (
+            <div className="absolute inset-0 bg-black/60 flex items-center justify-center">
+              <div className="animate-spin rounded-full h-16 w-16 border-b-4 border-white"></div>
+            </div>
+          )}
+        </div>
+
+        <div className="w-full max-w-md space-y-6">
+          <div>
+            <h2 className="text-2xl font-semibold mb-2">Hold your QR code up to the camera</h2>
+            <p className="text-slate-400">Open your event QR code in the GanApp app or on the website.</p>
+          </div>
+
+          <form onSubmit={handleManualSubmit} className="flex gap-2">
+            <input
+              type="text"
+              value={manualId}
+              onChange={(e) => setManualId(e.target.value)}
+              placeholder="Or type your check-in ID"
+              className="flex-1 px-4 py-3 rounded-xl bg-slate-800 border border-slate-700 text-white text-lg placeholder-slate-500 focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+            />
+            <button
+              type="submit"
+              disabled={!manualId.trim() || processing}
+              className="px-5 py-3 bg-blue-600 rounded-xl font-semibold hover:bg-blue-500 disabled:opacity-50"
+            >
+              Check In
+            </button>
+          </form>
+
+          <button
+            onClick={() => setShowSearch(true)}
+            className="w-full flex items-center justify-center gap-2 px-4 py-4 rounded-xl border-2 border-slate-600 text-lg hover:bg-slate-800"
+          >
+            <Search className="w-5 h-5" />
+            Can't scan? Find your name
+          </button>
+        </div>
+      </div>
+
+      {/* Result */}
+      {result && (
+        <div
+          onClick={() => setResult(null)}
+          className={`fixed inset-0 z-40 flex flex-col items-center justify-center text-center p-8 ${result.success ? (result.alreadyCheckedIn ? 'bg-amber-500' : 'bg-green-600') : 'bg-red-600'}`}
+        >
+          {result.success ? (
+            <CheckCircle className="w-40 h-40 mb-8" />
+          ) : (
+            <XCircle className="w-40 h-40 mb-8" />
+          )}
+          {result.participantName && (
+            <p className="text-5xl font-bold mb-4">
+              {result.success ? `Welcome, ${result.participantName}!` : result.participantName}
+            </p>
+          )}
+          <p className="text-3xl max-w-3xl">{result.message}</p>
+        </div>
+      )}
+
+      {/* Name search */}
+      {showSearch && (
+        <div className="fixed inset-0 z-30 bg-slate-900/95 flex items-start justify-center p-8">
+          <div className="w-full max-w-2xl">
+            <div className="flex items-center gap-3 mb-6">
+              <input
+                type="text"
+                autoFocus
+                value={searchTerm}
+                onChange={(e) => setSearchTerm(e.target.value)}
+                placeholder="Type your name"
+                className="flex-1 px-5 py-4 rounded-xl bg-slate-800 border border-slate-700 text-2xl text-white placeholder-slate-500 focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+              />
+              <button
+                onClick={() => { setShowSearch(false); setSearchTerm(''); }}
+                className="px-5 py-4 rounded-xl border border-slate-600 text-lg hover:bg-slate-800"
+              >
+                Cancel
+              </button>
+            </div>
+            <div className="space-y-3">
+              {searchResults.map(participant => (
+                <button
+                  key={participant.user_id}
+                  onClick={() => setConfirmParticipant(participant)}
+                  className="w-full text-left px-6 py-4 rounded-xl bg-slate-800 hover:bg-slate-700 text-2xl"
+                >
+                  {getParticipantName(participant)}
+                </button>
+              ))}
+              {searchTerm.trim().length >= 2 && searchResults.length === 0 && (
+                <p className="text-slate-400 text-lg">No registered participant matches that name. Please ask the event staff for help.</p>
+              )}
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* Confirm name check-in */}
+      {confirmParticipant && (
+        <div className="fixed inset-0 z-40 bg-black/70 flex items-center justify-center p-8">
+          <div className="bg-white text-slate-900 rounded-2xl p-8 max-w-md w-full text-center">
+            <p className="text-2xl font-semibold mb-6">Check in as {getParticipantName(confirmParticipant)}?</p>
+            <div className="flex gap-3">
+              <button
+                onClick={() => setConfirmParticipant(null)}
+                className="flex-1 px-4 py-3 border border-slate-300 rounded-xl text-lg hover:bg-slate-50"
+              >
+                Back
+              </button>
+              <button
+                onClick={handleNameCheckIn}
+                className="flex-1 px-4 py-3 bg-green-600 text-white rounded-xl text-lg font-semibold hover:bg-green-700"
+              >
+                Yes, check me in
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* Exit (organizer password) */}
+      {showExit && (
+        <div className="fixed inset-0 z-50 bg-black/70 flex items-center justify-center p-8">
+          <form onSubmit={handleExit} className="bg-white text-slate-900 rounded-2xl p-8 max-w-sm w-full">
+            <h3 className="text-xl font-semibold mb-2">Exit kiosk</h3>
+            <p className="text-sm text-slate-600 mb-4">Enter the password for {user.email}.</p>
+            <input
+              type="password"
+              autoFocus
+              value={exitPassword}
+              onChange={(e) => setExitPassword(e.target.value)}
+              className="w-full px-3 py-2 border border-slate-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent mb-2"
+            />
+            {exitError && <p className="text-sm text-red-600 mb-2">{exitError}</p>}
+            <div className="flex gap-3 mt-4">
+              <button
+                type="button"
+                onClick={() => { setShowExit(false); setExitPassword(''); setExitError(null); }}
+                className="flex-1 px-4 py-2 border border-slate-300 rounded-lg hover:bg-slate-50"
+              >
+                Stay
+              </button>
+              <button
+                type="submit"
+                disabled={!exitPassword}
+                className="flex-1 px-4 py-2 bg-blue-900 text-white rounded-lg hover:bg-blue-800 disabled:opacity-50"
+              >
+                Exit
+              </button>
+            </div>
+          </form>
+        </div>
+      )}
+    </section>
+  );
+};
@@ -13,12 +13,18 @@ import { EventService } from '../../services/eventService';
 import { SpeakerService } from '../../services/speakerService';
 import { SponsorService } from '../../services/sponsorService';
 import { VenueService } from '../../services/venueService';
+import { EventTemplateService } from '../../services/eventTemplateService';
 import { supabase } from '../../lib/supabaseClient';
 
 import { useAuth } from '../../contexts/AuthContext';
 import { useToast } from '../Toast';
 import 'sweetalert2/dist/sweetalert2.min.css';
 import { promptCertificateUsage, showEventCreationSuccess } from '../../utils/eventCreationDialogs';
+import { expandRecurrence, validateRecurrenceRule, MAX_OCCURRENCES } from '../../utils/recurrenceUtils';
+import { cleanRegistrationForm } from '../../utils/registrationFormUtils';
+import { getEventDays } from '../../utils/attendanceDayUtils';
+import { RegistrationFormBuilder } from '../RegistrationFormBuilder';
+import { VenueGeofenceEditor } from '../VenueGeofenceEditor';
 
 // Lazy load RichTextEditor to prevent app-wide crashes
 const RichTextEditor = lazy(() => import('../RichTextEditor'));
@@ -91,6 +97,11 @@ const createEventSchema = z.object({
   checkInBeforeMinutes: z.coerce.number().min(0).max(480).optional(), // Max 8 hours before
   checkInDuringMinutes: z.coerce.number().min(0).max(240).optional(), // Max 4 hours during
 
+  // Multi-day events: days a participant must attend to complete the event ('' = any one day)
+  minAttendanceDays: z.string().optional(),
+  minAttendanceMinutes: z.string().optional(),
+  qrRotationSeconds: z.string().optional(),
+
 
   bannerFile: z.any().optional(),
 
@@ -1825,6 +1836,56 @@ export const CreateEvent = () => {
   const [showOtherVenue, setShowOtherVenue] = useState(false);
   const [customVenueName, setCustomVenueName] = useState('');
 
+  // Recurrence state
+  const [recurrence, setRecurrence] = useState({
+    enabled: false,
+    frequency: 'weekly',
+    interval: 1,
+    endMode: 'count', // 'count' or 'until'
+    count: 4,
+    until: '',
+    dates: []
+  });
+  const [customRecurrenceDate, setCustomRecurrenceDate] = useState('');
+
+  // Custom registration questions (saved as events.registration_form)
+  const [registrationForm, setRegistrationForm] = useState([]);
+
+  // Saved event templates the form can start from
+  const [templates, setTemplates] = useState([]);
+  const [selectedTemplateId, setSelectedTemplateId] = useState('');
+
+  // Build the recurrence_rule stored on the event (null when the event doesn't repeat)
+  const buildRecurrenceRule = () => {
+    if (!recurrence.enabled) return null;
+    if (recurrence.frequency === 'custom') {
+      return { frequency: 'custom', dates: recurrence.dates };
+    }
+    const rule = {
+      frequency: recurrence.frequency,
+      interval: parseInt(recurrence.interval) || 1
+    };
+    if (recurrence.endMode === 'until') {
+      rule.until = recurrence.until;
+    } else {
+      rule.count = parseInt(recurrence.count) || 1;
+    }
+    return rule;
+  };
+
+  const restoreRecurrence = (rule) => {
+    if (!rule) return;
+    setRecurrence({
+      enabled: true,
+      frequency: rule.frequency || 'weekly',
+      interval: rule.interval || 1,
+      endMode: rule.until ? 'until' : 'count',
+      count: rule.count || 4,
+      until: rule.until || '',
+      dates: rule.dates || []
+    });
+  };
+
 
 
   const canManageEvents = isAuthenticated && user && (user.role === 'admin' || user.role === 'organizer');
@@ -1847,6 +1908,99 @@ export const CreateEvent = () => {
     fetchVenues();
   }, []);
 
+  useEffect(() => {
+    if (!user?.id) return;
+    EventTemplateService.getTemplates(user.id).then(result => {
+      if (result.templates) {
+        setTemplates(result.templates);
+      }
+    });
+  }, [user?.id]);
+
+  // Prefill the wizard from a template. Speakers and sponsors are re-created like
+  // hand-entered ones; the certificate design and evaluation are handed to the
+  // next steps through their session drafts.
+  const applyTemplate = (template) => {
+    const eventData = template.event_data || {};
+
+    setValue('title', eventData.title || '', { shouldValidate: true });
+    setValue('rationale', eventData.rationale || '');
+    setValue('startTime', eventData.start_time ? eventData.start_time.slice(0, 5) : '09:00', { shouldValidate: true });
+    setValue('endTime', eventData.end_time ? eventData.end_time.slice(0, 5) : '17:00', { shouldValidate: true });
+    setValue('venue', eventData.venue || '', { shouldValidate: true });
+    setValue('maxParticipants', eventData.max_participants ? eventData.max_participants.toString() : '');
+    if (eventData.check_in_before_minutes) setValue('checkInBeforeMinutes', eventData.check_in_before_minutes);
+    if (eventData.check_in_during_minutes) setValue('checkInDuringMinutes', eventData.check_in_during_minutes);
+    setValue('minAttendanceDays', eventData.min_attendance_days ? eventData.min_attendance_days.toString() : '');
+    setValue('minAttendanceMinutes', eventData.min_attendance_minutes ? eventData.min_attendance_minutes.toString() : '');
+    setValue('qrRotationSeconds', eventData.qr_rotation_seconds ? eventData.qr_rotation_seconds.toString() : '');
+    setRegistrationForm(Array.isArray(eventData.registration_form) ? eventData.registration_form : []);
+
+    const toFileEntries = (urls, prefix) => (urls || '')
+      .split(',')
+      .filter(Boolean)
+      .map((url, index) => ({ id: `${prefix}-${index}`, filename: decodeURIComponent(url.split('/').pop()), url }));
+
+    setUploadedFiles(prev => ({
+      ...prev,
+      banner: eventData.banner_url ? { id: 'template-banner', filename: 'Template banner', url: eventData.banner_url } : prev.banner,
+      materials: eventData.materials_url ? toFileEntries(eventData.materials_url, 'template-material') : prev.materials,
+      eventKits: eventData.event_kits_url ? toFileEntries(eventData.event_kits_url, 'template-kit') : prev.eventKits,
+      eventProgrammes: eventData.event_programmes_url ? toFileEntries(eventData.event_programmes_url, 'template-programme') : prev.eventProgrammes
+    }));
+
+    setSpeakers((template.speakers || []).map(({ speaker_id, ...speaker }, index) => ({
+      ...speaker,
+      id: `${Date.now()}-speaker-${index}`,
+      photo_url: speaker.photo_url || '',
+      photo_path: ''
+    })));
+    setSponsors((template.sponsors || []).map(({ sponsor_id, ...sponsor }, index) => ({
+      ...sponsor,
+      id: `${Date.now()}-sponsor-${index}`,
+      logo_url: sponsor.logo_url || '',
+      logo_path: ''
+    })));
+
+    try {
+      if (template.certificate_config) {
+        sessionStorage.setItem('pending-certificate-config', JSON.stringify(template.certificate_config));
+      } else {
+        sessionStorage.removeItem('pending-certificate-config');
+      }
+      const sections = EventTemplateService.getSurveySections(template.survey);
+      if (sections.length > 0) {
+        sessionStorage.setItem('create-survey-draft', JSON.stringify({ sections }));
+      }
+    } catch (error) {
+      // Session storage unavailable, the later steps start empty
+    }
+
+    toast.success(`Started from template "${template.name}". Set the dates and review the details.`);
+  };
+
+  const handleApplyTemplate = () => {
+    const template = templates.find(t => t.id === selectedTemplateId);
+    if (template) {
+      applyTemplate(template);
+    }
+  };
+
+  const handleDeleteTemplate = async () => {
+    const template = templates.find(t => t.id === selectedTemplateId);
+    if (!template) return;
+    if (!window.confirm(`Delete the template "${template.name}"?`)) return;
+
+    const result = await EventTemplateService.deleteTemplate(template.id);
+    if (result.error) {
+      toast.error(result.error);
+      return;
+    }
+    setTemplates(prev => prev.filter(t => t.id !== template.id));
+    setSelectedTemplateId('');
+    toast.success('Template deleted');
+  };
+
   useEffect(() => {
 
     if (!isAuthenticated) {
@@ -2004,6 +2158,9 @@ export const CreateEvent = () => {
 
         checkInDuringMinutes: data.checkInDuringMinutes || 30,
 
+        minAttendanceDays: data.minAttendanceDays || '',
+        minAttendanceMinutes: data.minAttendanceMinutes || '',
+        qrRotationSeconds: data.qrRotationSeconds || '',
 
       };
 
@@ -2081,6 +2238,10 @@ export const CreateEvent = () => {
 
       checkInDuringMinutes: 30,
 
+      minAttendanceDays: '',
+      minAttendanceMinutes: '',
+      qrRotationSeconds: '',
+
 
       bannerFile: null,
 
@@ -2142,6 +2303,16 @@ export const CreateEvent = () => {
 
         setValue('maxParticipants', eventData.max_participants ? eventData.max_participants.toString() : '');
 
+        setValue('minAttendanceDays', eventData.min_attendance_days ? eventData.min_attendance_days.toString() : '');
+        setValue('minAttendanceMinutes', eventData.min_attendance_minutes ? eventData.min_attendance_minutes.toString() : '');
+        setValue('qrRotationSeconds', eventData.qr_rotation_seconds ? eventData.qr_rotation_seconds.toString() : '');
+
+        restoreRecurrence(eventData.recurrence_rule);
+
+        if (Array.isArray(eventData.registration_form)) {
+          setRegistrationForm(eventData.registration_form);
+        }
+
 
 
         // Handle sponsors and speakers
@@ -2660,6 +2831,10 @@ export const CreateEvent = () => {
 
       check_in_during_minutes: data.checkInDuringMinutes || 30,
 
+      min_attendance_days: data.minAttendanceDays ? parseInt(data.minAttendanceDays) : 0,
+      min_attendance_minutes: data.minAttendanceMinutes ? parseInt(data.minAttendanceMinutes) : 0,
+      qr_rotation_seconds: data.qrRotationSeconds ? parseInt(data.qrRotationSeconds) : 0,
+
 
       status: 'published',
 
@@ -2671,6 +2846,19 @@ export const CreateEvent = () => {
 
     };
 
+    // Recurring series - expanded into linked occurrences when the event is created
+    const recurrenceRule = buildRecurrenceRule();
+    if (recurrenceRule) {
+      const recurrenceError = validateRecurrenceRule(recurrenceRule, eventData.start_date);
+      if (recurrenceError) {
+        toast.error(recurrenceError);
+        return;
+      }
+      eventData.recurrence_rule = recurrenceRule;
+    }
+
+    eventData.registration_form = cleanRegistrationForm(registrationForm);
+
 
 
     // Handle venue creation if "Other" was selected
@@ -2869,12 +3057,28 @@ export const CreateEvent = () => {
         // Check-in window settings
         check_in_before_minutes: formValues.checkInBeforeMinutes || 60,
         check_in_during_minutes: formValues.checkInDuringMinutes || 30,
+        min_attendance_days: formValues.minAttendanceDays ? parseInt(formValues.minAttendanceDays) : 0,
+        min_attendance_minutes: formValues.minAttendanceMinutes ? parseInt(formValues.minAttendanceMinutes) : 0,
+        qr_rotation_seconds: formValues.qrRotationSeconds ? parseInt(formValues.qrRotationSeconds) : 0,
         status: 'draft', // Save as draft
         created_by: user.id,
         created_at: new Date().toISOString(),
         updated_at: new Date().toISOString()
       };
 
+      const recurrenceRule = buildRecurrenceRule();
+      if (recurrenceRule) {
+        const recurrenceError = validateRecurrenceRule(recurrenceRule, eventData.start_date);
+        if (recurrenceError) {
+          toast.error(recurrenceError);
+          setIsSavingDraft(false);
+          return;
+        }
+        eventData.recurrence_rule = recurrenceRule;
+      }
+
+      eventData.registration_form = cleanRegistrationForm(registrationForm);
+
       // Handle venue creation if "Other" was selected
       if (showOtherVenue && customVenueName.trim()) {
         try {
@@ -3108,6 +3312,9 @@ export const CreateEvent = () => {
 
 
   const pageTitle = 'Create Event';
+
+  const eventDayCount = getEventDays(watch('startDate'), watch('endDate')).length;
+  const selectedVenue = venues.find(v => v.name === watch('venue'));
   const pageSubtitle = 'Set up your event details and upload necessary materials to get started';
   const submitButtonLabel = 'Create Event';
 
@@ -3319,6 +3526,51 @@ export const CreateEvent = () => {
 
 
 
+        {/* Start from Template */}
+        {templates.length > 0 && (
+          <div className="mb-6 sm:mb-8 bg-white rounded-2xl shadow-lg border border-slate-100 p-4 sm:p-6">
+            <div className="flex flex-col sm:flex-row sm:items-end gap-3">
+              <div className="flex-1">
+                <label htmlFor="event-template" className="block text-sm font-semibold text-slate-800 mb-1">
+                  Start from a template
+                </label>
+                <p className="text-xs text-slate-500 mb-2">
+                  Fills in the details, speakers, sponsors, certificate design and evaluation. Dates are left for you to set.
+                </p>
+                <select
+                  id="event-template"
+                  value={selectedTemplateId}
+                  onChange={(e) => setSelectedTemplateId(e.target.value)}
+                  className="w-full px-3 py-2 border border-slate-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                >
+                  <option value="">Select a template...</option>
+                  {templates.map(template => (
+                    <option key={template.id} value={template.id}>{template.name}</option>
+                  ))}
+                </select>
+              </div>
+              <div className="flex gap-2">
+                <button
+                  type="button"
+                  onClick={handleApplyTemplate}
+                  disabled={!selectedTemplateId}
+                  className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  Use Template
+                </button>
+                <button
+                  type="button"
+                  onClick={handleDeleteTemplate}
+                  disabled={!selectedTemplateId}
+                  className="px-4 py-2 bg-red-50 text-red-600 border border-red-200 rounded-lg hover:bg-red-100 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  Delete
+                </button>
+              </div>
+            </div>
+          </div>
+        )}
+
         <form onSubmit={handleSubmit(onSubmit)} className="space-y-6 sm:space-y-8">
 
           {/* Event Banner Section */}
@@ -3836,10 +4088,288 @@ export const CreateEvent = () => {
                   </div>
                 </div>
 
+                {/* Multi-day completion rule */}
+                {eventDayCount > 1 && (
+                  <div className="space-y-2">
+                    <label className="block text-sm font-semibold text-slate-700 uppercase tracking-wide">
+                      Days Required to Complete
+                    </label>
+                    <Controller
+                      name="minAttendanceDays"
+                      control={control}
+                      render={({ field }) => (
+                        <select
+                          {...field}
+                          className="w-full px-4 py-3 border border-slate-200 rounded-xl focus:ring-2 focus:ring-blue-500 focus:border-transparent text-slate-800 text-base transition-all duration-200"
+                        >
+                          <option value="">Any single day</option>
+                          {Array.from({ length: eventDayCount }, (_, index) => index + 1).map(days => (
+                            <option key={days} value={days.toString()}>
+                              At least {days} of {eventDayCount} days
+                            </option>
+                          ))}
+                        </select>
+                      )}
+                    />
+                    <p className="text-xs text-slate-500">
+                      Participants check in once per day. The evaluation and certificate unlock after this many validated days.
+                    </p>
+                  </div>
+                )}
+
+                {/* Minimum time attended (needs check-out scans) */}
+                <div className="space-y-2">
+                  <label className="block text-sm font-semibold text-slate-700 uppercase tracking-wide">
+                    Minimum Time Attended (minutes)
+                  </label>
+                  <Controller
+                    name="minAttendanceMinutes"
+                    control={control}
+                    render={({ field }) => (
+                      <input
+                        {...field}
+                        type="number"
+                        min="0"
+                        step="15"
+                        placeholder="No minimum"
+                        className="w-full px-4 py-3 border border-slate-200 rounded-xl focus:ring-2 focus:ring-blue-500 focus:border-transparent text-slate-800 text-base transition-all duration-200 placeholder-slate-400"
+                      />
+                    )}
+                  />
+                  <p className="text-xs text-slate-500">
+                    Participants scan out at the QR scanner when they leave. A day only counts towards the evaluation and certificate after staying this long.
+                  </p>
+                </div>
+
+                {/* Rotating check-in codes */}
+                <div className="space-y-2">
+                  <label className="block text-sm font-semibold text-slate-700 uppercase tracking-wide">
+                    Participant QR Codes
+                  </label>
+                  <Controller
+                    name="qrRotationSeconds"
+                    control={control}
+                    render={({ field }) => (
+                      <select
+                        {...field}
+                        className="w-full px-4 py-3 border border-slate-200 rounded-xl focus:ring-2 focus:ring-blue-500 focus:border-transparent text-slate-800 text-base transition-all duration-200"
+                      >
+                        <option value="">Static (can be downloaded and printed)</option>
+                        <option value="15">Rotating, changes every 15 seconds</option>
+                        <option value="30">Rotating, changes every 30 seconds</option>
+                        <option value="60">Rotating, changes every minute</option>
+                      </select>
+                    )}
+                  />
+                  <p className="text-xs text-slate-500">
+                    Rotating codes are shown live in the participant's app, so forwarded screenshots stop working. Printed codes and manual entry IDs are not accepted.
+                  </p>
+                </div>
+
+              </div>
+
+              {/* Recurrence Settings */}
+              <div className="space-y-4">
+                <div className="flex items-center justify-between">
+                  <h3 className="text-lg font-semibold text-slate-800">Repeat Event</h3>
+                  <label className="flex items-center space-x-2 cursor-pointer">
+                    <input
+                      type="checkbox"
+                      checked={recurrence.enabled}
+                      onChange={(e) => setRecurrence(prev => ({ ...prev, enabled: e.target.checked }))}
+                      className="w-4 h-4 text-blue-600 border-slate-300 rounded focus:ring-blue-500"
+                    />
+                    <span className="text-sm text-slate-700">This event repeats</span>
+                  </label>
+                </div>
+
+                {recurrence.enabled && (
+                  <div className="space-y-4">
+                    <div className="grid grid-cols-1 sm:grid-cols-2 gap-6">
+                      <div className="space-y-2">
+                        <label className="block text-sm font-semibold text-slate-700 uppercase tracking-wide">
+                          Frequency
+                        </label>
+                        <select
+                          value={recurrence.frequency}
+                          onChange={(e) => setRecurrence(prev => ({ ...prev, frequency: e.target.value }))}
+                          className="w-full px-4 py-3 border border-slate-200 rounded-xl focus:ring-2 focus:ring-blue-500 focus:border-transparent text-slate-800 text-base"
+                        >
+                          <option value="daily">Daily</option>
+                          <option value="weekly">Weekly</option>
+                          <option value="monthly">Monthly</option>
+                          <option value="custom">Custom dates</option>
+                        </select>
+                      </div>
+
+                      {recurrence.frequency !== 'custom' && (
+                        <div className="space-y-2">
+                          <label className="block text-sm font-semibold text-slate-700 uppercase tracking-wide">
+                            Repeat Every
+                          </label>
+                          <div className="flex items-center space-x-3">
+                            <input
+                              type="number"
+                              min="1"
+                              value={recurrence.interval}
+                              onChange={(e) => setRecurrence(prev => ({ ...prev, interval: e.target.value }))}
+                              className="w-24 px-4 py-3 border border-slate-200 rounded-xl focus:ring-2 focus:ring-blue-500 focus:border-transparent text-slate-800 text-base"
+                            />
+                            <span className="text-sm text-slate-600">
+                              {recurrence.frequency === 'daily' ? 'day(s)' : recurrence.frequency === 'weekly' ? 'week(s)' : 'month(s)'}
+                            </span>
+                          </div>
+                        </div>
+                      )}
+                    </div>
+
+                    {recurrence.frequency !== 'custom' ? (
+                      <div className="grid grid-cols-1 sm:grid-cols-2 gap-6">
+                        <div className="space-y-2">
+                          <label className="block text-sm font-semibold text-slate-700 uppercase tracking-wide">
+                            Ends
+                          </label>
+                          <select
+                            value={recurrence.endMode}
+                            onChange={(e) => setRecurrence(prev => ({ ...prev, endMode: e.target.value }))}
+                            className="w-full px-4 py-3 border border-slate-200 rounded-xl focus:ring-2 focus:ring-blue-500 focus:border-transparent text-slate-800 text-base"
+                          >
+                            <option value="count">After a number of occurrences</option>
+                            <option value="until">On a date</option>
+                          </select>
+                        </div>
+
+                        <div className="space-y-2">
+                          <label className="block text-sm font-semibold text-slate-700 uppercase tracking-wide">
+                            {recurrence.endMode === 'until' ? 'Last Date' : 'Occurrences'}
+                          </label>
+                          {recurrence.endMode === 'until' ? (
+                            <input
+                              type="date"
+                              min={watch('startDate')}
+                              value={recurrence.until}
+                              onChange={(e) => setRecurrence(prev => ({ ...prev, until: e.target.value }))}
+                              className="w-full px-4 py-3 border border-slate-200 rounded-xl focus:ring-2 focus:ring-blue-500 focus:border-transparent text-slate-800 text-base"
+                            />
+                          ) : (
+                            <input
+                              type="number"
+                              min="1"
+                              max={MAX_OCCURRENCES}
+                              value={recurrence.count}
+                              onChange={(e) => setRecurrence(prev => ({ ...prev, count: e.target.value }))}
+                              className="w-full px-4 py-3 border border-slate-200 rounded-xl focus:ring-2 focus:ring-blue-500 focus:border-transparent text-slate-800 text-base"
+                            />
+                          )}
+                        </div>
+                      </div>
+                    ) : (
+                      <div className="space-y-2">
+                        <label className="block text-sm font-semibold text-slate-700 uppercase tracking-wide">
+                          Additional Dates
+                        </label>
+                        <div className="flex items-center space-x-3">
+                          <input
+                            type="date"
+                            min={watch('startDate')}
+                            value={customRecurrenceDate}
+                            onChange={(e) => setCustomRecurrenceDate(e.target.value)}
+                            className="flex-1 px-4 py-3 border border-slate-200 rounded-xl focus:ring-2 focus:ring-blue-500 focus:border-transparent text-slate-800 text-base"
+                          />
+                          <button
+                            type="button"
+                            onClick={() => {
+                              if (!customRecurrenceDate || recurrence.dates.includes(customRecurrenceDate)) return;
+                              setRecurrence(prev => ({ ...prev, dates: [...prev.dates, customRecurrenceDate].sort() }));
+                              setCustomRecurrenceDate('');
+                            }}
+                            className="px-4 py-3 bg-blue-600 text-white rounded-xl hover:bg-blue-700 transition-colors"
+                          >
+                            Add
+                          </button>
+                        </div>
+                        {recurrence.dates.length > 0 && (
+                          <div className="flex flex-wrap gap-2">
+                            {recurrence.dates.map(date => (
+                              <span key={date} className="inline-flex items-center px-3 py-1 bg-slate-100 text-slate-700 rounded-full text-sm">
+                                {date}
+                                <button
+                                  type="button"
+                                  onClick={() => setRecurrence(prev => ({ ...prev, dates: prev.dates.filter(d => d !== date) }))}
+                                  className="ml-2 text-slate-500 hover:text-red-600"
+                                >
+                                  ×
+                                </button>
+                              </span>
+                            ))}
+                          </div>
+                        )}
+                      </div>
+                    )}
+
+                    {/* Occurrence Preview */}
+                    {(() => {
+                      const rule = buildRecurrenceRule();
+                      if (!rule || !watch('startDate') || validateRecurrenceRule(rule, watch('startDate'))) return null;
+                      const occurrences = expandRecurrence(watch('startDate'), watch('endDate'), rule);
+                      return (
+                        <div className="bg-blue-50 border border-blue-200 rounded-xl p-4">
+                          <h4 className="font-semibold text-blue-800 mb-2">
+                            {occurrences.length} occurrence{occurrences.length === 1 ? '' : 's'}
+                          </h4>
+                          <p className="text-sm text-blue-700">
+                            {occurrences.map(o => o.start_date).join(', ')}
+                          </p>
+                          <p className="text-xs text-blue-600 mt-2">
+                            Each occurrence is a separate event with its own registrations, check-ins and certificates.
+                          </p>
+                        </div>
+                      );
+                    })()}
+                  </div>
+                )}
+              </div>
+
+            </div>
+
+          </div>
+
+          {/* Registration Form Section */}
+
+          <div className="bg-white rounded-2xl shadow-lg hover:shadow-xl transition-all duration-300 border border-slate-100 overflow-hidden">
+
+            <div className="bg-gradient-to-r from-blue-50 to-slate-50 px-6 py-4 border-b border-slate-100">
+
+              <div className="flex items-center space-x-3">
+
+                <div className="w-10 h-10 rounded-full bg-blue-600 text-white flex items-center justify-center">
+
+                  <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+
+                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M9 5H7a2 2 0 00-2 2v12a2 2 0 002 2h10a2 2 0 002-2V7a2 2 0 00-2-2h-2M9 5a2 2 0 002 2h2a2 2 0 002-2M9 5a2 2 0 012-2h2a2 2 0 012 2m-6 9l2 2 4-4" />
+
+                  </svg>
+
+                </div>
+
+                <div>
+
+                  <h3 className="text-lg font-semibold text-slate-800">Registration Form</h3>
+
+                  <p className="text-sm text-slate-600">Extra questions participants answer when they register (optional)</p>
+
+                </div>
+
               </div>
 
             </div>
 
+            <div className="p-6">
+
+              <RegistrationFormBuilder questions={registrationForm} onChange={setRegistrationForm} />
+
+            </div>
+
           </div>
 
           {/* Venue Section */}
@@ -3934,6 +4464,13 @@ export const CreateEvent = () => {
 
                 )}
 
+                {!showOtherVenue && selectedVenue && (
+                  <VenueGeofenceEditor
+                    venue={selectedVenue}
+                    onSaved={(saved) => setVenues(prev => prev.map(v => (v.id === saved.id ? saved : v)))}
+                  />
+                )}
+
               </div>
 
 
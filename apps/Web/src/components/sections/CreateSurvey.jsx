@@ -11,9 +11,18 @@ import { CertificateService } from '../../services/certificateService';
 import { useAuth } from '../../contexts/AuthContext';
 import SimpleRichTextEditor from '../SimpleRichTextEditor';
 import { useToast } from '../Toast';
+import { SectionConditionEditor, SkipRuleEditor } from '../SurveyLogicControls';
+import { applySurveyLogic, createLogicKey, withLogicKeys } from '../../utils/surveyLogicUtils';
+
+// Branching and skip logic, see surveyLogicUtils
+const logicMatchSchema = {
+  operator: z.string(),
+  value: z.string().optional(),
+};
 
 // Zod validation schema for survey questions
 const questionSchema = z.object({
+  logicKey: z.string().optional(),
   questionText: z.string().min(1, 'Question text is required'),
   questionType: z.enum([
     'short-answer', 'paragraph', 'multiple-choice', 'checkbox',
@@ -28,10 +37,12 @@ const questionSchema = z.object({
   highestLabel: z.string().optional(),
   rows: z.array(z.string()).optional(),
   columns: z.array(z.string()).optional(),
+  skipRule: z.object({ ...logicMatchSchema, goTo: z.string() }).nullable().optional(),
 });
 
 // Zod validation schema for survey sections
 const sectionSchema = z.object({
+  logicKey: z.string().optional(),
   sectionTitle: z.string().refine((val) => {
     if (!val) return false;
     // Extract plain text from HTML for validation
@@ -50,6 +61,7 @@ const sectionSchema = z.object({
     return stripped.length > 0;
   }, 'Section title is required'),
   sectionDescription: z.string().optional(),
+  showIf: z.object({ ...logicMatchSchema, questionKey: z.string() }).nullable().optional(),
   questions: z.array(questionSchema).min(1, 'At least one question is required in each section'),
 });
 
@@ -229,15 +241,15 @@ export const CreateSurvey = () => {
     const savedData = getSavedFormData();
     if (savedData && savedData.sections && savedData.sections.length > 0) {
       // Set the saved sections directly using setValue
-      setValue('sections', savedData.sections, { shouldValidate: true });
+      setValue('sections', withLogicKeys(savedData.sections), { shouldValidate: true });
       trigger(); // Trigger validation after loading saved data
     } else if (savedData && savedData.questions && savedData.questions.length > 0) {
       // Migrate old format (questions only) to new format (sections with questions)
-      setValue('sections', [{
+      setValue('sections', withLogicKeys([{
         sectionTitle: '',
         sectionDescription: '',
         questions: savedData.questions
-      }], { shouldValidate: true });
+      }]), { shouldValidate: true });
       trigger(); // Trigger validation after loading saved data
     }
   }, [setValue, trigger]); // Depend on setValue and trigger
@@ -266,9 +278,11 @@ export const CreateSurvey = () => {
     clearSavedFormData();
     // Reset form to default values using setValue
     setValue('sections', [{
+      logicKey: createLogicKey('s'),
       sectionTitle: '',
       sectionDescription: '',
       questions: [{
+        logicKey: createLogicKey('q'),
         questionText: '',
         questionType: 'short-answer',
         options: [''],
@@ -285,10 +299,12 @@ export const CreateSurvey = () => {
 
   const addSection = () => {
     appendSection({
+      logicKey: createLogicKey('s'),
       sectionTitle: '',
       sectionDescription: '',
       questions: [
         {
+          logicKey: createLogicKey('q'),
           questionText: '',
           questionType: 'short-answer',
           options: [''],
@@ -312,6 +328,8 @@ export const CreateSurvey = () => {
 
   const handleQuestionTypeChange = (sectionIndex, questionIndex, newType) => {
     setValue(`sections.${sectionIndex}.questions.${questionIndex}.questionType`, newType);
+    // A skip rule compares answers of the old type
+    setValue(`sections.${sectionIndex}.questions.${questionIndex}.skipRule`, null);
 
     // Reset type-specific fields when changing question type
     if (newType === 'multiple-choice' || newType === 'checkbox' || newType === 'dropdown') {
@@ -371,6 +389,7 @@ export const CreateSurvey = () => {
     setValue(`sections.${sectionIndex}.questions`, [
       ...currentQuestions,
       {
+        logicKey: createLogicKey('q'),
         questionText: '',
         questionType: 'short-answer',
         options: [''],
@@ -401,6 +420,7 @@ export const CreateSurvey = () => {
     if (questionToDuplicate) {
       // Create a deep copy of the question
       const duplicatedQuestion = {
+        logicKey: createLogicKey('q'),
         questionText: questionToDuplicate.questionText || '',
         questionType: questionToDuplicate.questionType || 'short-answer',
         options: questionToDuplicate.options ? [...questionToDuplicate.options] : [''],
@@ -661,6 +681,8 @@ export const CreateSurvey = () => {
       // Check if we're continuing from a draft event
       const existingEventId = sessionStorage.getItem('pending-event-id');
       let eventId;
+      // Every occurrence of a recurring series gets its own speakers, sponsors, survey and certificate
+      let occurrenceIds = [];
 
       if (existingEventId) {
         // Update existing draft event
@@ -673,18 +695,22 @@ export const CreateSurvey = () => {
         delete updateData.created_by; // Don't change creator
         delete updateData.created_at; // Don't change creation date
 
-        const updateResult = await EventService.updateEvent(existingEventId, updateData);
+        const updateResult = await EventService.updateEvent(existingEventId, updateData, 'series');
         if (updateResult.error) {
           throw new Error(`Event update failed: ${updateResult.error}`);
         }
         eventId = existingEventId;
+
+        const seriesResult = await EventService.getEventSeries(existingEventId);
+        occurrenceIds = seriesResult.events ? seriesResult.events.map(e => e.id) : [eventId];
       } else {
-        // Create new event
+        // Create new event (recurring events are expanded into their occurrences here)
         const eventResult = await EventService.createEvent(pendingEventData);
         if (eventResult.error) {
           throw new Error(`Event creation failed: ${eventResult.error}`);
         }
         eventId = eventResult.event.id;
+        occurrenceIds = [eventId, ...(eventResult.occurrences || []).map(e => e.id)];
       }
 
       // Step 1.5: Create and link speakers to the event
@@ -718,15 +744,17 @@ export const CreateSurvey = () => {
               continue; // Continue with other speakers even if one fails
             }
 
-            // Link the speaker to the event
-            const linkResult = await SpeakerService.addSpeakerToEvent(
-              eventId,
-              speakerResult.speaker.id,
-              {
-                order: speakerData.speaker_order || 0,
-                isKeynote: speakerData.is_keynote || false
-              }
-            );
+            // Link the speaker to the event (and every other occurrence of a series)
+            for (const occurrenceId of occurrenceIds) {
+              await SpeakerService.addSpeakerToEvent(
+                occurrenceId,
+                speakerResult.speaker.id,
+                {
+                  order: speakerData.speaker_order || 0,
+                  isKeynote: speakerData.is_keynote || false
+                }
+              );
+            }
 
             // Speaker linked (or failed silently)
 
@@ -765,14 +793,16 @@ export const CreateSurvey = () => {
               continue; // Continue with other sponsors even if one fails
             }
 
-            // Link the sponsor to the event
-            const linkResult = await SponsorService.addSponsorToEvent(
-              eventId,
-              sponsorResult.sponsor.id,
-              {
-                order: sponsorData.sponsor_order || 0
-              }
-            );
+            // Link the sponsor to the event (and every other occurrence of a series)
+            for (const occurrenceId of occurrenceIds) {
+              await SponsorService.addSponsorToEvent(
+                occurrenceId,
+                sponsorResult.sponsor.id,
+                {
+                  order: sponsorData.sponsor_order || 0
+                }
+              );
+            }
 
             // Sponsor linked (or failed silently)
 
@@ -856,7 +886,7 @@ export const CreateSurvey = () => {
         event_id: eventId,
         title: `Survey for ${pendingEventData.title}`,
         description: `Survey for event: ${pendingEventData.title}`,
-        questions: transformedQuestions,
+        questions: applySurveyLogic(transformedQuestions, data.sections),
         created_by: user.id,
         is_active: true,
         is_open: true,
@@ -876,6 +906,14 @@ export const CreateSurvey = () => {
 
       const surveyId = surveyResult.survey.id;
 
+      // Each occurrence of a recurring series gets its own copy of the survey
+      for (const occurrenceId of occurrenceIds.filter(id => id !== eventId)) {
+        const occurrenceSurvey = await SurveyService.createSurvey({ ...surveyData, event_id: occurrenceId });
+        if (occurrenceSurvey.error) {
+          throw new Error(`Survey creation failed for a recurring occurrence: ${occurrenceSurvey.error}`);
+        }
+      }
+
       // Step 3: Save certificate configuration if it exists in draft AND user wants certificates
       // Only save if certificate config exists (meaning user opted in for certificates)
       try {
@@ -884,7 +922,9 @@ export const CreateSurvey = () => {
           const certConfig = JSON.parse(draftCertConfig);
           // Validate that config has meaningful content before saving
           if (certConfig && (certConfig.title_text || certConfig.name_config || certConfig.header_config)) {
-            await CertificateService.saveCertificateConfig(eventId, certConfig, user.id);
+            for (const occurrenceId of occurrenceIds) {
+              await CertificateService.saveCertificateConfig(occurrenceId, certConfig, user.id);
+            }
           }
         }
         // If no certificate config exists, that means user opted out - don't create any certificate records
@@ -1244,6 +1284,14 @@ export const CreateSurvey = () => {
                         )}
                       />
                     </div>
+
+                    {/* Section Condition */}
+                    <SectionConditionEditor
+                      sections={watchedSections}
+                      sectionIndex={sectionIndex}
+                      value={watchedSections[sectionIndex]?.showIf}
+                      onChange={(showIf) => setValue(`sections.${sectionIndex}.showIf`, showIf)}
+                    />
                   </div>
                 </div>
 
@@ -1555,6 +1603,15 @@ export const CreateSurvey = () => {
                             </div>
                           )}
 
+                          {/* Skip Logic */}
+                          <SkipRuleEditor
+                            question={question}
+                            sections={watchedSections}
+                            sectionIndex={sectionIndex}
+                            value={question.skipRule}
+                            onChange={(skipRule) => setValue(`sections.${sectionIndex}.questions.${qIndex}.skipRule`, skipRule)}
+                          />
+
                           {/* Required Toggle */}
                           <div className="flex items-center space-x-3 pt-4 border-t border-slate-100">
                             <label className="relative inline-flex items-center cursor-pointer">
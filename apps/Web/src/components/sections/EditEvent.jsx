@@ -19,7 +19,11 @@ import { useAuth } from '../../contexts/AuthContext';
 import CertificateDesigner from '../CertificateDesigner';
 import { useToast } from '../Toast';
 import { logActivity } from '../../utils/activityLogger';
-import { promptCertificateUsage } from '../../utils/eventCreationDialogs';
+import { promptCertificateUsage, promptSeriesEditScope } from '../../utils/eventCreationDialogs';
+import { cleanRegistrationForm } from '../../utils/registrationFormUtils';
+import { RegistrationFormBuilder } from '../RegistrationFormBuilder';
+import { VenueGeofenceEditor } from '../VenueGeofenceEditor';
+import { getEventDays } from '../../utils/attendanceDayUtils';
 
 // Lazy load RichTextEditor to prevent app-wide crashes
 const RichTextEditor = lazy(() => import('../RichTextEditor'));
@@ -92,6 +96,10 @@ const createEventSchema = z.object({
   checkInBeforeMinutes: z.coerce.number().min(0).max(480).optional(), // Max 8 hours before
   checkInDuringMinutes: z.coerce.number().min(0).max(240).optional(), // Max 4 hours during
 
+  minAttendanceDays: z.string().optional(),
+  minAttendanceMinutes: z.string().optional(),
+  qrRotationSeconds: z.string().optional(),
+
 
   bannerFile: z.any().optional(),
 
@@ -2021,6 +2029,9 @@ export const EditEvent = () => {
   const [showOtherVenue, setShowOtherVenue] = useState(false);
   const [customVenueName, setCustomVenueName] = useState('');
 
+  // Custom registration questions (saved as events.registration_form)
+  const [registrationForm, setRegistrationForm] = useState([]);
+
 
 
   const canManageEvents = isAuthenticated && user && (user.role === 'admin' || user.role === 'organizer');
@@ -2199,6 +2210,10 @@ export const EditEvent = () => {
 
         checkInDuringMinutes: data.checkInDuringMinutes || 30,
 
+        minAttendanceDays: data.minAttendanceDays || '',
+        minAttendanceMinutes: data.minAttendanceMinutes || '',
+        qrRotationSeconds: data.qrRotationSeconds || '',
+
 
       };
 
@@ -2275,6 +2290,10 @@ export const EditEvent = () => {
 
       checkInDuringMinutes: 30,
 
+      minAttendanceDays: '',
+      minAttendanceMinutes: '',
+      qrRotationSeconds: '',
+
 
       bannerFile: null,
 
@@ -2338,6 +2357,10 @@ export const EditEvent = () => {
 
         setValue('maxParticipants', eventData.max_participants ? eventData.max_participants.toString() : '');
 
+        setValue('minAttendanceDays', eventData.min_attendance_days ? eventData.min_attendance_days.toString() : '');
+        setValue('minAttendanceMinutes', eventData.min_attendance_minutes ? eventData.min_attendance_minutes.toString() : '');
+        setValue('qrRotationSeconds', eventData.qr_rotation_seconds ? eventData.qr_rotation_seconds.toString() : '');
+
 
 
 
@@ -2531,6 +2554,10 @@ export const EditEvent = () => {
         setValue('maxParticipants', event.max_participants ? String(event.max_participants) : '');
         setValue('checkInBeforeMinutes', event.check_in_before_minutes ?? 60);
         setValue('checkInDuringMinutes', event.check_in_during_minutes ?? 30);
+        setValue('minAttendanceDays', event.min_attendance_days ? String(event.min_attendance_days) : '');
+        setValue('minAttendanceMinutes', event.min_attendance_minutes ? String(event.min_attendance_minutes) : '');
+        setValue('qrRotationSeconds', event.qr_rotation_seconds ? String(event.qr_rotation_seconds) : '');
+        setRegistrationForm(Array.isArray(event.registration_form) ? event.registration_form : []);
 
         setValue('sponsors', event.sponsors ? event.sponsors.map((s) => s.name).join(', ') : '');
         setValue('guestSpeakers', event.guest_speakers ? event.guest_speakers.map((s) => s.name).join(', ') : '');
@@ -2928,6 +2955,16 @@ export const EditEvent = () => {
         return;
       }
 
+      // Recurring events: ask whether the change applies to this occurrence or the whole series
+      let editScope = 'occurrence';
+      if (currentEvent.parent_event_id || currentEvent.recurrence_rule) {
+        const chosenScope = await promptSeriesEditScope();
+        if (!chosenScope) {
+          return;
+        }
+        editScope = chosenScope;
+      }
+
       try {
         setSubmitError('');
         setSubmitMessage('');
@@ -2972,13 +3009,17 @@ export const EditEvent = () => {
           max_participants: parseNumber(data.maxParticipants),
           check_in_before_minutes: parseNumber(data.checkInBeforeMinutes),
           check_in_during_minutes: parseNumber(data.checkInDuringMinutes),
+          min_attendance_days: parseNumber(data.minAttendanceDays) ?? 0,
+          min_attendance_minutes: parseNumber(data.minAttendanceMinutes) ?? 0,
+          qr_rotation_seconds: parseNumber(data.qrRotationSeconds) ?? 0,
+          registration_form: cleanRegistrationForm(registrationForm),
           banner_url: uploadedFiles.banner?.url || currentEvent.banner_url || null,
           event_kits_url: uploadedFiles.eventKits?.length ? uploadedFiles.eventKits.map((file) => file.url).filter(Boolean).join(',') : currentEvent.event_kits_url || null,
           event_programmes_url: uploadedFiles.eventProgrammes?.length ? uploadedFiles.eventProgrammes.map((file) => file.url).filter(Boolean).join(',') : currentEvent.event_programmes_url || null,
           updated_at: new Date().toISOString(),
         };
 
-        const { error: updateError } = await EventService.updateEvent(eventId, updatePayload);
+        const { error: updateError } = await EventService.updateEvent(eventId, updatePayload, editScope);
 
         if (updateError) {
           throw new Error(updateError);
@@ -3230,6 +3271,12 @@ export const EditEvent = () => {
 
       check_in_during_minutes: data.checkInDuringMinutes || 30,
 
+      min_attendance_days: data.minAttendanceDays ? parseInt(data.minAttendanceDays) : 0,
+      min_attendance_minutes: data.minAttendanceMinutes ? parseInt(data.minAttendanceMinutes) : 0,
+      qr_rotation_seconds: data.qrRotationSeconds ? parseInt(data.qrRotationSeconds) : 0,
+
+      registration_form: cleanRegistrationForm(registrationForm),
+
 
       status: 'published',
 
@@ -3463,6 +3510,10 @@ export const EditEvent = () => {
         max_participants: formValues.maxParticipants ? parseInt(formValues.maxParticipants) : currentEvent.max_participants || null,
         check_in_before_minutes: formValues.checkInBeforeMinutes || currentEvent.check_in_before_minutes || 60,
         check_in_during_minutes: formValues.checkInDuringMinutes || currentEvent.check_in_during_minutes || 30,
+        min_attendance_days: formValues.minAttendanceDays ? parseInt(formValues.minAttendanceDays) : 0,
+        min_attendance_minutes: formValues.minAttendanceMinutes ? parseInt(formValues.minAttendanceMinutes) : 0,
+        qr_rotation_seconds: formValues.qrRotationSeconds ? parseInt(formValues.qrRotationSeconds) : 0,
+        registration_form: cleanRegistrationForm(registrationForm),
       };
 
       // Store event data in session storage for the next step
@@ -3499,6 +3550,8 @@ export const EditEvent = () => {
   };
 
   const pageTitle = isEditMode ? 'Edit Event' : 'Create Event';
+  const eventDayCount = getEventDays(watch('startDate'), watch('endDate')).length;
+  const selectedVenue = venues.find(v => v.name === watch('venue'));
   const pageSubtitle = isEditMode
     ? 'Update your event details and uploaded resources.'
     : 'Set up your event details and upload necessary materials to get started';
@@ -4220,6 +4273,84 @@ export const EditEvent = () => {
                   </div>
                 </div>
 
+                {/* Multi-day completion rule */}
+                {eventDayCount > 1 && (
+                  <div className="space-y-2">
+                    <label className="block text-sm font-semibold text-slate-700 uppercase tracking-wide">
+                      Days Required to Complete
+                    </label>
+                    <Controller
+                      name="minAttendanceDays"
+                      control={control}
+                      render={({ field }) => (
+                        <select
+                          {...field}
+                          className="w-full px-4 py-3 border border-slate-200 rounded-xl focus:ring-2 focus:ring-blue-500 focus:border-transparent text-slate-800 text-base transition-all duration-200"
+                        >
+                          <option value="">Any single day</option>
+                          {Array.from({ length: eventDayCount }, (_, index) => index + 1).map(days => (
+                            <option key={days} value={days.toString()}>
+                              At least {days} of {eventDayCount} days
+                            </option>
+                          ))}
+                        </select>
+                      )}
+                    />
+                    <p className="text-xs text-slate-500">
+                      Participants check in once per day. The evaluation and certificate unlock after this many validated days.
+                    </p>
+                  </div>
+                )}
+
+                {/* Minimum time attended (needs check-out scans) */}
+                <div className="space-y-2">
+                  <label className="block text-sm font-semibold text-slate-700 uppercase tracking-wide">
+                    Minimum Time Attended (minutes)
+                  </label>
+                  <Controller
+                    name="minAttendanceMinutes"
+                    control={control}
+                    render={({ field }) => (
+                      <input
+                        {...field}
+                        type="number"
+                        min="0"
+                        step="15"
+                        placeholder="No minimum"
+                        className="w-full px-4 py-3 border border-slate-200 rounded-xl focus:ring-2 focus:ring-blue-500 focus:border-transparent text-slate-800 text-base transition-all duration-200 placeholder-slate-400"
+                      />
+                    )}
+                  />
+                  <p className="text-xs text-slate-500">
+                    Participants scan out at the QR scanner when they leave. A day only counts towards the evaluation and certificate after staying this long.
+                  </p>
+                </div>
+
+                {/* Rotating check-in codes */}
+                <div className="space-y-2">
+                  <label className="block text-sm font-semibold text-slate-700 uppercase tracking-wide">
+                    Participant QR Codes
+                  </label>
+                  <Controller
+                    name="qrRotationSeconds"
+                    control={control}
+                    render={({ field }) => (
+                      <select
+                        {...field}
+                        className="w-full px-4 py-3 border border-slate-200 rounded-xl focus:ring-2 focus:ring-blue-500 focus:border-transparent text-slate-800 text-base transition-all duration-200"
+                      >
+                        <option value="">Static (can be downloaded and printed)</option>
+                        <option value="15">Rotating, changes every 15 seconds</option>
+                        <option value="30">Rotating, changes every 30 seconds</option>
+                        <option value="60">Rotating, changes every minute</option>
+                      </select>
+                    )}
+                  />
+                  <p className="text-xs text-slate-500">
+                    Rotating codes are shown live in the participant's app, so forwarded screenshots stop working. Printed codes and manual entry IDs are not accepted.
+                  </p>
+                </div>
+
               </div>
 
             </div>
@@ -4228,6 +4359,44 @@ export const EditEvent = () => {
 
 
 
+          {/* Registration Form Section */}
+
+          <div className="bg-white rounded-2xl shadow-lg hover:shadow-xl transition-all duration-300 border border-slate-100 overflow-hidden">
+
+            <div className="bg-gradient-to-r from-blue-50 to-slate-50 px-6 py-4 border-b border-slate-100">
+
+              <div className="flex items-center space-x-3">
+
+                <div className="w-10 h-10 rounded-full bg-blue-600 text-white flex items-center justify-center">
+
+                  <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+
+                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M9 5H7a2 2 0 00-2 2v12a2 2 0 002 2h10a2 2 0 002-2V7a2 2 0 00-2-2h-2M9 5a2 2 0 002 2h2a2 2 0 002-2M9 5a2 2 0 012-2h2a2 2 0 012 2m-6 9l2 2 4-4" />
+
+                  </svg>
+
+                </div>
+
+                <div>
+
+                  <h3 className="text-lg font-semibold text-slate-800">Registration Form</h3>
+
+                  <p className="text-sm text-slate-600">Extra questions participants answer when they register (optional)</p>
+
+                </div>
+
+              </div>
+
+            </div>
+
+            <div className="p-6">
+
+              <RegistrationFormBuilder questions={registrationForm} onChange={setRegistrationForm} />
+
+            </div>
+
+          </div>
+
           {/* Venue Section */}
 
           <div className="bg-white rounded-2xl shadow-lg hover:shadow-xl transition-all duration-300 border border-slate-100 overflow-hidden">
@@ -4319,6 +4488,13 @@ export const EditEvent = () => {
 
                 )}
 
+                {!showOtherVenue && selectedVenue && (
+                  <VenueGeofenceEditor
+                    venue={selectedVenue}
+                    onSaved={(saved) => setVenues(prev => prev.map(v => (v.id === saved.id ? saved : v)))}
+                  />
+                )}
+
               </div>
 
 
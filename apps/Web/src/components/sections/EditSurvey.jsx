@@ -8,9 +8,24 @@ import { useAuth } from '../../contexts/AuthContext';
 import SimpleRichTextEditor from '../SimpleRichTextEditor';
 import { useToast } from '../Toast';
 import { logActivity } from '../../utils/activityLogger';
+import { SectionConditionEditor, SkipRuleEditor } from '../SurveyLogicControls';
+import {
+  applySurveyLogic,
+  createLogicKey,
+  toEditorSectionCondition,
+  toEditorSkipRule,
+  withLogicKeys
+} from '../../utils/surveyLogicUtils';
+
+// Branching and skip logic, see surveyLogicUtils
+const logicMatchSchema = {
+  operator: z.string(),
+  value: z.string().optional(),
+};
 
 // Zod validation schema for survey questions
 const questionSchema = z.object({
+  logicKey: z.string().optional(),
   questionText: z.string().refine((val) => {
     if (!val) return false;
     // Extract plain text from HTML for validation
@@ -36,10 +51,12 @@ const questionSchema = z.object({
   highestLabel: z.string().optional(),
   rows: z.array(z.string()).optional(),
   columns: z.array(z.string()).optional(),
+  skipRule: z.object({ ...logicMatchSchema, goTo: z.string() }).nullable().optional(),
 });
 
 // Zod validation schema for survey sections
 const sectionSchema = z.object({
+  logicKey: z.string().optional(),
   sectionTitle: z.string().optional().refine((val) => {
     if (!val) return true; // Optional, so empty is valid
     // Extract plain text from HTML for validation
@@ -53,6 +70,7 @@ const sectionSchema = z.object({
     return true;
   }, 'Section title must have content if provided'),
   sectionDescription: z.string().optional(),
+  showIf: z.object({ ...logicMatchSchema, questionKey: z.string() }).nullable().optional(),
   questions: z.array(questionSchema).min(1, 'At least one question is required in each section'),
 });
 
@@ -155,9 +173,12 @@ export const EditSurvey = () => {
           if (!currentSection || 
               (sectionTitle && currentSection.sectionTitle !== sectionTitle) ||
               (sectionIndex !== -1 && currentSectionIndex !== sectionIndex)) {
+            // Stored logic refers to sections by index and to questions by id
             currentSection = {
+              logicKey: sectionIndex !== -1 ? `s_${sectionIndex}` : createLogicKey('s'),
               sectionTitle: sectionTitle || '',
               sectionDescription: sectionDescription || '',
+              showIf: toEditorSectionCondition(question.sectionCondition),
               questions: []
             };
             sections.push(currentSection);
@@ -166,6 +187,7 @@ export const EditSurvey = () => {
 
           // Add question to current section
           const questionData = {
+            logicKey: question.id || createLogicKey('q'),
             questionText: question.questionText || question.question || '',
             questionType: question.questionType || question.type || 'short-answer',
             options: Array.isArray(question.options) ? question.options : (question.options ? [question.options] : []),
@@ -176,6 +198,7 @@ export const EditSurvey = () => {
             highestLabel: question.highestLabel || '',
             rows: Array.isArray(question.rows) ? question.rows : (question.rows ? [question.rows] : []),
             columns: Array.isArray(question.columns) ? question.columns : (question.columns ? [question.columns] : []),
+            skipRule: toEditorSkipRule(question.skipRule),
           };
           
           console.log('Adding question to section:', questionData);
@@ -225,7 +248,7 @@ export const EditSurvey = () => {
       const formData = {
         title: loadedSurvey.title || '',
         description: loadedSurvey.description || '',
-        sections: sections
+        sections: withLogicKeys(sections)
       };
       
       console.log('Setting form data:', formData);
@@ -237,7 +260,7 @@ export const EditSurvey = () => {
       
       // Also manually replace sections in useFieldArray to ensure it updates
       if (sections.length > 0) {
-        replaceSections(sections);
+        replaceSections(formData.sections);
       }
 
     } catch (err) {
@@ -250,10 +273,12 @@ export const EditSurvey = () => {
 
   const addSection = () => {
     appendSection({
+      logicKey: createLogicKey('s'),
       sectionTitle: '',
       sectionDescription: '',
       questions: [
         {
+          logicKey: createLogicKey('q'),
           questionText: '',
           questionType: 'short-answer',
           options: [''],
@@ -281,6 +306,7 @@ export const EditSurvey = () => {
     setValue(`sections.${sectionIndex}.questions`, [
       ...currentQuestions,
       {
+        logicKey: createLogicKey('q'),
         questionText: '',
         questionType: 'short-answer',
         options: [''],
@@ -305,6 +331,8 @@ export const EditSurvey = () => {
 
   const changeQuestionType = (sectionIndex, questionIndex, newType) => {
     setValue(`sections.${sectionIndex}.questions.${questionIndex}.questionType`, newType);
+    // A skip rule compares answers of the old type
+    setValue(`sections.${sectionIndex}.questions.${questionIndex}.skipRule`, null);
     
     // Reset type-specific fields when changing question type
     if (newType === 'multiple-choice' || newType === 'checkbox' || newType === 'dropdown') {
@@ -365,6 +393,7 @@ export const EditSurvey = () => {
     
     if (questionToDuplicate) {
       const duplicatedQuestion = {
+        logicKey: createLogicKey('q'),
         questionText: questionToDuplicate.questionText || '',
         questionType: questionToDuplicate.questionType || 'short-answer',
         options: questionToDuplicate.options ? [...questionToDuplicate.options] : [''],
@@ -451,7 +480,7 @@ export const EditSurvey = () => {
       const updateData = {
         title: data.title,
         description: data.description,
-        questions: transformedQuestions,
+        questions: applySurveyLogic(transformedQuestions, data.sections),
       };
       
       const result = await SurveyService.updateSurvey(surveyId, updateData);
@@ -683,6 +712,14 @@ export const EditSurvey = () => {
                         )}
                       />
                     </div>
+
+                    {/* Section Condition */}
+                    <SectionConditionEditor
+                      sections={watchedSections}
+                      sectionIndex={sectionIndex}
+                      value={watchedSections[sectionIndex]?.showIf}
+                      onChange={(showIf) => setValue(`sections.${sectionIndex}.showIf`, showIf)}
+                    />
                   </div>
                 </div>
                 
@@ -1007,6 +1044,15 @@ export const EditSurvey = () => {
                             </div>
                           )}
 
+                          {/* Skip Logic */}
+                          <SkipRuleEditor
+                            question={question}
+                            sections={watchedSections}
+                            sectionIndex={sectionIndex}
+                            value={question.skipRule}
+                            onChange={(skipRule) => setValue(`sections.${sectionIndex}.questions.${qIndex}.skipRule`, skipRule)}
+                          />
+
                           {/* Required Toggle */}
                           <div className="flex items-center space-x-3 pt-4 border-t border-slate-100">
                             <label className="relative inline-flex items-center cursor-pointer">
@@ -4,6 +4,7 @@ import { useAuth } from '../../contexts/AuthContext';
 import { EventService } from '../../services/eventService';
 import { SurveyService } from '../../services/surveyService';
 import { supabase } from '../../lib/supabaseClient';
+import { getQuestionId, getVisibleAnswers, getVisibleQuestionIds } from '../../utils/surveyLogicUtils';
 import { Calendar, MapPin, Clock, ArrowLeft, Star, CheckCircle } from 'lucide-react';
 import { motion } from 'framer-motion';
 
@@ -31,6 +32,7 @@ export const Evaluation = () => {
   const [submitting, setSubmitting] = useState(false);
   const [error, setError] = useState(null);
   const [success, setSuccess] = useState(false);
+  const [certificateQueued, setCertificateQueued] = useState(false);
   const [alreadySubmitted, setAlreadySubmitted] = useState(false);
   const [hasCheckedSubmission, setHasCheckedSubmission] = useState(false);
   const [responses, setResponses] = useState({});
@@ -320,8 +322,10 @@ export const Evaluation = () => {
       return 'Survey is not loaded';
     }
     
-    for (const question of survey.questions) {
-      if (question.required) {
+    // Questions hidden by the survey's branching and skip logic are not asked
+    const visibleQuestionIds = getVisibleQuestionIds(survey.questions, responses);
+    for (const [index, question] of survey.questions.entries()) {
+      if (question.required && visibleQuestionIds.includes(getQuestionId(question, index))) {
         const response = responses[question.id || question.question];
         if (!response || (Array.isArray(response) && response.length === 0)) {
           return `Please answer the required question: ${question.question || question.questionText}`;
@@ -345,21 +349,19 @@ export const Evaluation = () => {
       setSubmitting(true);
       setError(null);
 
-      // Submit survey response to database
-      const { data, error: submitError } = await supabase
-        .from('survey_responses')
-        .insert([{
-          survey_id: survey.id,
-          user_id: user.id,
-          responses: responses
-        }])
-        .select()
-        .single();
+      // Submit survey response (queues the certificate on auto-issue events).
+      // Answers to questions the logic hid are left out.
+      const { certificateQueued, error: submitError } = await SurveyService.submitSurveyResponse(
+        survey,
+        user.id,
+        getVisibleAnswers(survey.questions, responses)
+      );
 
       if (submitError) {
-        throw new Error(submitError.message || 'Failed to submit survey');
+        throw new Error(submitError || 'Failed to submit survey');
       }
       
+      setCertificateQueued(!!certificateQueued);
       setSuccess(true);
       
       // Clear saved responses on successful submission
@@ -842,6 +844,11 @@ export const Evaluation = () => {
             </div>
             <h3 className="text-2xl font-bold text-slate-800 mb-2">Thank You!</h3>
             <p className="text-slate-600 mb-6">Your survey has been submitted successfully.</p>
+            {certificateQueued && (
+              <p className="text-sm text-green-700 bg-green-50 border border-green-200 rounded-lg px-4 py-3 mb-6">
+                Your certificate is being prepared. We'll notify you when it's ready to download.
+              </p>
+            )}
             <p className="text-sm text-slate-500">Redirecting to My Events...</p>
           </div>
         </motion.div>
@@ -1022,12 +1029,17 @@ export const Evaluation = () => {
         <div className="bg-white rounded-2xl shadow-lg border border-slate-100 p-4 sm:p-6 lg:p-8">
           <form onSubmit={handleSubmit}>
             {survey.questions && survey.questions.length > 0 ? (() => {
-              // Group questions by section
+              // Group the questions the respondent is shown by section
+              const visibleQuestionIds = getVisibleQuestionIds(survey.questions, responses);
               const sections = [];
               let currentSection = null;
               let questionNumber = 1;
               
               survey.questions.forEach((question, index) => {
+                if (!visibleQuestionIds.includes(getQuestionId(question, index))) {
+                  return;
+                }
+
                 const sectionTitle = question.sectionTitle;
                 const sectionDescription = question.sectionDescription;
                 const sectionIndex = question.sectionIndex;
@@ -1061,7 +1073,7 @@ export const Evaluation = () => {
                   sections.push(currentSection);
                 }
                 
-                currentSection.questions.push({ ...question, globalIndex: questionNumber - 1 });
+                currentSection.questions.push({ ...question, globalIndex: index, questionNumber });
                 questionNumber++;
               });
               
@@ -1094,10 +1106,10 @@ export const Evaluation = () => {
                             <div className="bg-gradient-to-r from-blue-50 to-slate-50 px-6 py-4 border-b border-slate-100">
                               <div className="flex items-center space-x-3">
                                 <div className="w-10 h-10 rounded-full bg-blue-600 text-white flex items-center justify-center font-bold text-lg flex-shrink-0">
-                                  {question.globalIndex + 1}
+                                  {question.questionNumber}
                                 </div>
                                 <div className="flex-1">
-                                  <p className="text-sm text-slate-600">Question {question.globalIndex + 1}</p>
+                                  <p className="text-sm text-slate-600">Question {question.questionNumber}</p>
                                 </div>
                               </div>
                             </div>
@@ -0,0 +1,186 @@
+import React, { useState, useEffect } from 'react';
+import { useAuth } from '../../contexts/AuthContext';
+import { SessionService } from '../../services/sessionService';
+import { useToast } from '../Toast';
+import { X, Clock, MapPin, User, Loader } from 'lucide-react';
+
+const formatSpeakerName = (speaker) => {
+  if (!speaker) return '';
+  return [speaker.prefix, speaker.first_name, speaker.last_name, speaker.affix].filter(Boolean).join(' ');
+};
+
+const formatTime = (time) => (time ? time.slice(0, 5) : '');
+
+/**
+ * Participant view of an event agenda.
+ * Registered participants can sign up for (or leave) sessions that require a sign-up.
+ */
+export const EventAgenda = ({ isOpen, onClose, event, isRegistered }) => {
+  const { user } = useAuth();
+  const toast = useToast();
+  const [sessions, setSessions] = useState([]);
+  const [signedUpSessionIds, setSignedUpSessionIds] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [updatingSessionId, setUpdatingSessionId] = useState(null);
+
+  useEffect(() => {
+    if (isOpen && event) {
+      loadAgenda();
+    }
+  }, [isOpen, event?.id]);
+
+  if (!isOpen || !event) {
+    return null;
+  }
+
+  const loadAgenda = async () => {
+    setLoading(true);
+    const [sessionsResult, registrationsResult] = await Promise.all([
+      SessionService.getEventSessions(event.id),
+      user ? SessionService.getUserSessionRegistrations(event.id, user.id) : Promise.resolve({ sessionIds: [] })
+    ]);
+
+    if (sessionsResult.error) {
+      toast.error(sessionsResult.error);
+    }
+    setSessions(sessionsResult.sessions || []);
+    setSignedUpSessionIds(registrationsResult.sessionIds || []);
+    setLoading(false);
+  };
+
+  const handleToggleSignup = async (session) => {
+    if (!user) return;
+
+    setUpdatingSessionId(session.id);
+    const isSignedUp = signedUpSessionIds.includes(session.id);
+    const result = isSignedUp
+      ? await SessionService.unregisterFromSession(session.id, user.id)
+      : await SessionService.registerForSession(session.id);
+    setUpdatingSessionId(null);
+
+    if (result.error) {
+      toast.error(result.error);
+      return;
+    }
+
+    toast.success(isSignedUp ? `You left "${session.title}"` : `You're signed up for "${session.title}"`);
+    await loadAgenda();
+  };
+
+  const sessionsByDate = sessions.reduce((groups, session) => {
+    (groups[session.session_date] = groups[session.session_date] || []).push(session);
+    return groups;
+  }, {});
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4" onClick={onClose}>
+      <div className="bg-white rounded-2xl shadow-2xl max-w-3xl w-full max-h-[90vh] overflow-hidden flex flex-col" onClick={(e) => e.stopPropagation()}>
+        <div className="flex items-center justify-between p-6 border-b border-gray-200">
+          <div>
+            <h2 className="text-2xl font-semibold text-gray-900">Agenda</h2>
+            <p className="text-sm text-gray-600 mt-1">{event.title}</p>
+          </div>
+          <button
+            onClick={onClose}
+            className="p-2 hover:bg-gray-100 rounded-full transition-colors"
+          >
+            <X className="w-5 h-5 text-gray-500" />
+          </button>
+        </div>
+
+        <div className="flex-1 overflow-y-auto p-6 space-y-6">
+          {event.min_sessions_for_certificate > 0 && (
+            <div className="bg-blue-50 border border-blue-200 rounded-lg p-3 text-sm text-blue-800">
+              Attend at least {event.min_sessions_for_certificate} session{event.min_sessions_for_certificate === 1 ? '' : 's'} to receive a certificate.
+            </div>
+          )}
+
+          {loading ? (
+            <div className="flex items-center justify-center py-12">
+              <Loader className="w-8 h-8 text-blue-600 animate-spin" />
+            </div>
+          ) : sessions.length === 0 ? (
+            <p className="text-center text-slate-500 py-8">The organizer hasn't published an agenda for this event yet.</p>
+          ) : (
+            Object.keys(sessionsByDate).sort().map(date => (
+              <div key={date}>
+                <h4 className="font-semibold text-slate-800 mb-3">
+                  {new Date(`${date}T00:00:00`).toLocaleDateString('en-US', { weekday: 'long', month: 'long', day: 'numeric', year: 'numeric' })}
+                </h4>
+                <div className="space-y-3">
+                  {sessionsByDate[date].map(session => {
+                    const isSignedUp = signedUpSessionIds.includes(session.id);
+                    const isFull = !!session.max_participants && (session.signups || 0) >= session.max_participants;
+
+                    return (
+                      <div key={session.id} className="bg-slate-50 rounded-lg p-4 border border-slate-200">
+                        <div className="flex flex-col sm:flex-row sm:items-start sm:justify-between gap-3">
+                          <div className="flex-1 min-w-0">
+                            <div className="flex items-center gap-2 flex-wrap">
+                              <h5 className="font-semibold text-slate-900">{session.title}</h5>
+                              {session.track && (
+                                <span className="px-2 py-0.5 rounded-full text-xs font-medium bg-purple-100 text-purple-800">{session.track}</span>
+                              )}
+                            </div>
+                            {session.description && (
+                              <p className="text-sm text-slate-600 mt-1">{session.description}</p>
+                            )}
+                            <div className="mt-2 space-y-1 text-sm text-slate-600">
+                              <div className="flex items-center gap-2">
+                                <Clock className="w-4 h-4" />
+                                <span>{formatTime(session.start_time)} - {formatTime(session.end_time)}</span>
+                              </div>
+                              {session.room && (
+                                <div className="flex items-center gap-2">
+                                  <MapPin className="w-4 h-4" />
+                                  <span>{session.room}</span>
+                                </div>
+                              )}
+                              {session.speaker && (
+                                <div className="flex items-center gap-2">
+                                  <User className="w-4 h-4" />
+                                  <span>{formatSpeakerName(session.speaker)}</span>
+                                </div>
+                              )}
+                            </div>
+                          </div>
+                          {session.requires_signup && isRegistered && (
+                            <div className="flex flex-col items-start sm:items-end gap-1">
+                              <button
+                                onClick={() => handleToggleSignup(session)}
+                                disabled={updatingSessionId === session.id || (isFull && !isSignedUp)}
+                                className={`px-4 py-2 rounded-lg text-sm transition-colors disabled:opacity-50 disabled:cursor-not-allowed ${
+                                  isSignedUp
+                                    ? 'border border-red-300 text-red-700 hover:bg-red-50'
+                                    : 'bg-blue-900 text-white hover:bg-blue-800'
+                                }`}
+                              >
+                                {updatingSessionId === session.id
+                                  ? 'Saving...'
+                                  : isSignedUp ? 'Leave Session' : isFull ? 'Session Full' : 'Sign Up'}
+                              </button>
+                              {session.max_participants && (
+                                <span className="text-xs text-slate-500">
+                                  {session.signups || 0} / {session.max_participants} seats taken
+                                </span>
+                              )}
+                            </div>
+                          )}
+                          {session.requires_signup && !isRegistered && (
+                            <span className="px-2 py-0.5 rounded-full text-xs font-medium bg-amber-100 text-amber-800 self-start">
+                              Sign-up required
+                            </span>
+                          )}
+                        </div>
+                      </div>
+                    );
+                  })}
+                </div>
+              </div>
+            ))
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
@@ -0,0 +1,425 @@
+import React, { useState, useEffect } from 'react';
+import { SessionService } from '../../services/sessionService';
+import { SpeakerService } from '../../services/speakerService';
+import { EventService } from '../../services/eventService';
+import { useToast } from '../Toast';
+import { X, Plus, Pencil, Trash2, Clock, MapPin, User, Loader } from 'lucide-react';
+
+const formatSpeakerName = (speaker) => {
+  if (!speaker) return '';
+  return [speaker.prefix, speaker.first_name, speaker.last_name, speaker.affix].filter(Boolean).join(' ');
+};
+
+const formatTime = (time) => (time ? time.slice(0, 5) : '');
+
+export const EventAgendaManager = ({ isOpen, onClose, event, onEventUpdated }) => {
+  const toast = useToast();
+  const [sessions, setSessions] = useState([]);
+  const [speakers, setSpeakers] = useState([]);
+  const [attendanceCounts, setAttendanceCounts] = useState({});
+  const [loading, setLoading] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [editingSessionId, setEditingSessionId] = useState(null);
+  const [showForm, setShowForm] = useState(false);
+  const [minSessions, setMinSessions] = useState(0);
+
+  const emptyForm = () => ({
+    title: '',
+    description: '',
+    session_date: event?.start_date || '',
+    start_time: event?.start_time ? formatTime(event.start_time) : '09:00',
+    end_time: event?.start_time ? formatTime(event.start_time) : '10:00',
+    room: '',
+    track: '',
+    speaker_id: '',
+    requires_signup: false,
+    max_participants: ''
+  });
+  const [form, setForm] = useState(emptyForm);
+
+  useEffect(() => {
+    if (isOpen && event) {
+      setMinSessions(event.min_sessions_for_certificate || 0);
+      loadData();
+    }
+  }, [isOpen, event?.id]);
+
+  if (!isOpen || !event) {
+    return null;
+  }
+
+  const loadData = async () => {
+    setLoading(true);
+    const [sessionsResult, speakersResult, attendanceResult] = await Promise.all([
+      SessionService.getEventSessions(event.id),
+      SpeakerService.getEventSpeakers(event.id),
+      SessionService.getSessionAttendanceCounts(event.id)
+    ]);
+
+    if (sessionsResult.error) {
+      toast.error(sessionsResult.error);
+    }
+    setSessions(sessionsResult.sessions || []);
+    setSpeakers((speakersResult.speakers || []).map(es => es.speaker).filter(Boolean));
+    setAttendanceCounts(attendanceResult.counts || {});
+    setLoading(false);
+  };
+
+  const openNewSession = () => {
+    setEditingSessionId(null);
+    setForm(emptyForm());
+    setShowForm(true);
+  };
+
+  const openEditSession = (session) => {
+    setEditingSessionId(session.id);
+    setForm({
+      title: session.title,
+      description: session.description || '',
+      session_date: session.session_date,
+      start_time: formatTime(session.start_time),
+      end_time: formatTime(session.end_time),
+      room: session.room || '',
+      track: session.track || '',
+      speaker_id: session.speaker_id || '',
+      requires_signup: !!session.requires_signup,
+      max_participants: session.max_participants ? String(session.max_participants) : ''
+    });
+    setShowForm(true);
+  };
+
+  const handleSaveSession = async () => {
+    if (form.session_date < event.start_date || form.session_date > event.end_date) {
+      toast.error(`Session date must be between ${event.start_date} and ${event.end_date}`);
+      return;
+    }
+
+    const sessionData = {
+      title: form.title.trim(),
+      description: form.description.trim() || null,
+      session_date: form.session_date,
+      start_time: form.start_time,
+      end_time: form.end_time,
+      room: form.room.trim() || null,
+      track: form.track.trim() || null,
+      speaker_id: form.speaker_id || null,
+      requires_signup: form.requires_signup,
+      max_participants: form.requires_signup && form.max_participants ? parseInt(form.max_participants) : null,
+      session_order: editingSessionId
+        ? sessions.find(s => s.id === editingSessionId)?.session_order || 0
+        : sessions.length
+    };
+
+    const validationError = SessionService.validateSession(sessionData);
+    if (validationError) {
+      toast.error(validationError);
+      return;
+    }
+
+    setSaving(true);
+    const result = editingSessionId
+      ? await SessionService.updateSession(editingSessionId, sessionData)
+      : await SessionService.createSession(event.id, sessionData);
+    setSaving(false);
+
+    if (result.error) {
+      toast.error(result.error);
+      return;
+    }
+
+    toast.success(editingSessionId ? 'Session updated' : 'Session added');
+    setShowForm(false);
+    setEditingSessionId(null);
+    await loadData();
+  };
+
+  const handleDeleteSession = async (session) => {
+    if (!window.confirm(`Delete the session "${session.title}"? Its sign-ups and check-ins will be removed.`)) {
+      return;
+    }
+
+    const result = await SessionService.deleteSession(session.id);
+    if (result.error) {
+      toast.error(result.error);
+      return;
+    }
+
+    toast.success('Session deleted');
+    await loadData();
+  };
+
+  const handleSaveRequirement = async () => {
+    const value = Math.max(0, parseInt(minSessions) || 0);
+    if (value > sessions.length) {
+      toast.error(`The agenda only has ${sessions.length} session${sessions.length === 1 ? '' : 's'}`);
+      return;
+    }
+
+    setSaving(true);
+    const result = await EventService.updateEvent(event.id, { min_sessions_for_certificate: value });
+    setSaving(false);
+
+    if (result.error) {
+      toast.error(result.error);
+      return;
+    }
+
+    toast.success(value > 0
+      ? `Certificates now require ${value} attended session${value === 1 ? '' : 's'}`
+      : 'Session attendance is no longer required for certificates');
+    if (onEventUpdated && result.event) {
+      onEventUpdated(result.event);
+    }
+  };
+
+  // Group sessions by day for the agenda list
+  const sessionsByDate = sessions.reduce((groups, session) => {
+    (groups[session.session_date] = groups[session.session_date] || []).push(session);
+    return groups;
+  }, {});
+
+  const inputClass = 'w-full px-3 py-2 border border-slate-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent text-slate-800 text-sm';
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4" onClick={onClose}>
+      <div className="bg-white rounded-2xl shadow-2xl max-w-4xl w-full max-h-[90vh] overflow-hidden flex flex-col" onClick={(e) => e.stopPropagation()}>
+        {/* Header */}
+        <div className="flex items-center justify-between p-6 border-b border-gray-200">
+          <div>
+            <h2 className="text-2xl font-semibold text-gray-900">Agenda & Sessions</h2>
+            <p className="text-sm text-gray-600 mt-1">
+              Sessions, rooms and speakers for "{event.title}"
+            </p>
+          </div>
+          <button
+            onClick={onClose}
+            className="p-2 hover:bg-gray-100 rounded-full transition-colors"
+          >
+            <X className="w-5 h-5 text-gray-500" />
+          </button>
+        </div>
+
+        <div className="flex-1 overflow-y-auto p-6 space-y-6">
+          {/* Certificate requirement */}
+          <div className="bg-blue-50 border border-blue-200 rounded-xl p-4">
+            <h4 className="font-semibold text-blue-900 mb-2">Certificate Requirement</h4>
+            <div className="flex flex-col sm:flex-row sm:items-center gap-3">
+              <label className="text-sm text-blue-800 flex-1">
+                Minimum number of attended sessions (0 = not required)
+              </label>
+              <input
+                type="number"
+                min="0"
+                max={sessions.length}
+                value={minSessions}
+                onChange={(e) => setMinSessions(e.target.value)}
+                className="w-24 px-3 py-2 border border-blue-300 rounded-lg text-sm"
+              />
+              <button
+                onClick={handleSaveRequirement}
+                disabled={saving}
+                className="px-4 py-2 bg-blue-900 text-white rounded-lg text-sm hover:bg-blue-800 transition-colors disabled:opacity-50"
+              >
+                Save
+              </button>
+            </div>
+          </div>
+
+          {/* Session form */}
+          {showForm ? (
+            <div className="border border-slate-200 rounded-xl p-4 space-y-3 bg-slate-50">
+              <h4 className="font-semibold text-slate-900">{editingSessionId ? 'Edit Session' : 'New Session'}</h4>
+              <input
+                type="text"
+                value={form.title}
+                onChange={(e) => setForm({ ...form, title: e.target.value })}
+                placeholder="Session title"
+                className={inputClass}
+              />
+              <textarea
+                rows={2}
+                value={form.description}
+                onChange={(e) => setForm({ ...form, description: e.target.value })}
+                placeholder="Description (optional)"
+                className={inputClass}
+              />
+              <div className="grid grid-cols-1 sm:grid-cols-3 gap-3">
+                <input
+                  type="date"
+                  value={form.session_date}
+                  min={event.start_date}
+                  max={event.end_date}
+                  onChange={(e) => setForm({ ...form, session_date: e.target.value })}
+                  className={inputClass}
+                />
+                <input
+                  type="time"
+                  value={form.start_time}
+                  onChange={(e) => setForm({ ...form, start_time: e.target.value })}
+                  className={inputClass}
+                />
+                <input
+                  type="time"
+                  value={form.end_time}
+                  onChange={(e) => setForm({ ...form, end_time: e.target.value })}
+                  className={inputClass}
+                />
+              </div>
+              <div className="grid grid-cols-1 sm:grid-cols-3 gap-3">
+                <input
+                  type="text"
+                  value={form.room}
+                  onChange={(e) => setForm({ ...form, room: e.target.value })}
+                  placeholder="Room (e.g. Hall B)"
+                  className={inputClass}
+                />
+                <input
+                  type="text"
+                  value={form.track}
+                  onChange={(e) => setForm({ ...form, track: e.target.value })}
+                  placeholder="Track (optional)"
+                  className={inputClass}
+                />
+                <select
+                  value={form.speaker_id}
+                  onChange={(e) => setForm({ ...form, speaker_id: e.target.value })}
+                  className={inputClass}
+                >
+                  <option value="">No speaker</option>
+                  {speakers.map(speaker => (
+                    <option key={speaker.id} value={speaker.id}>{formatSpeakerName(speaker)}</option>
+                  ))}
+                </select>
+              </div>
+              <div className="flex flex-col sm:flex-row sm:items-center gap-3">
+                <label className="flex items-center space-x-2 text-sm text-slate-700 cursor-pointer">
+                  <input
+                    type="checkbox"
+                    checked={form.requires_signup}
+                    onChange={(e) => setForm({ ...form, requires_signup: e.target.checked })}
+                    className="w-4 h-4 text-blue-600 border-slate-300 rounded focus:ring-blue-500"
+                  />
+                  <span>Participants must sign up for this session</span>
+                </label>
+                {form.requires_signup && (
+                  <input
+                    type="number"
+                    min="1"
+                    value={form.max_participants}
+                    onChange={(e) => setForm({ ...form, max_participants: e.target.value })}
+                    placeholder="Capacity (optional)"
+                    className="sm:w-48 px-3 py-2 border border-slate-300 rounded-lg text-sm"
+                  />
+                )}
+              </div>
+              <div className="flex gap-3 pt-1">
+                <button
+                  onClick={() => {
+                    setShowForm(false);
+                    setEditingSessionId(null);
+                  }}
+                  className="flex-1 px-4 py-2 border border-slate-300 text-slate-700 rounded-lg hover:bg-slate-50 transition-colors text-sm"
+                >
+                  Cancel
+                </button>
+                <button
+                  onClick={handleSaveSession}
+                  disabled={saving}
+                  className="flex-1 px-4 py-2 bg-blue-900 text-white rounded-lg hover:bg-blue-800 transition-colors text-sm disabled:opacity-50"
+                >
+                  {saving ? 'Saving...' : editingSessionId ? 'Save Session' : 'Add Session'}
+                </button>
+              </div>
+            </div>
+          ) : (
+            <button
+              onClick={openNewSession}
+              className="inline-flex items-center gap-2 px-4 py-2 bg-blue-900 text-white rounded-lg hover:bg-blue-800 transition-colors text-sm"
+            >
+              <Plus className="w-4 h-4" />
+              Add Session
+            </button>
+          )}
+
+          {/* Agenda */}
+          {loading ? (
+            <div className="flex items-center justify-center py-12">
+              <Loader className="w-8 h-8 text-blue-600 animate-spin" />
+            </div>
+          ) : sessions.length === 0 ? (
+            <p className="text-center text-slate-500 py-8">
+              No sessions yet. Without sessions, check-in works for the whole event as before.
+            </p>
+          ) : (
+            Object.keys(sessionsByDate).sort().map(date => (
+              <div key={date}>
+                <h4 className="font-semibold text-slate-800 mb-3">
+                  {new Date(`${date}T00:00:00`).toLocaleDateString('en-US', { weekday: 'long', month: 'long', day: 'numeric', year: 'numeric' })}
+                </h4>
+                <div className="space-y-3">
+                  {sessionsByDate[date].map(session => (
+                    <div key={session.id} className="bg-slate-50 rounded-lg p-4 border border-slate-200">
+                      <div className="flex items-start justify-between gap-4">
+                        <div className="flex-1 min-w-0">
+                          <div className="flex items-center gap-2 flex-wrap">
+                            <h5 className="font-semibold text-slate-900">{session.title}</h5>
+                            {session.track && (
+                              <span className="px-2 py-0.5 rounded-full text-xs font-medium bg-purple-100 text-purple-800">{session.track}</span>
+                            )}
+                            {session.requires_signup && (
+                              <span className="px-2 py-0.5 rounded-full text-xs font-medium bg-amber-100 text-amber-800">Sign-up required</span>
+                            )}
+                          </div>
+                          <div className="mt-2 space-y-1 text-sm text-slate-600">
+                            <div className="flex items-center gap-2">
+                              <Clock className="w-4 h-4" />
+                              <span>{formatTime(session.start_time)} - {formatTime(session.end_time)}</span>
+                            </div>
+                            {session.room && (
+                              <div className="flex items-center gap-2">
+                                <MapPin className="w-4 h-4" />
+                                <span>{session.room}</span>
+                              </div>
+                            )}
+                            {session.speaker && (
+                              <div className="flex items-center gap-2">
+                                <User className="w-4 h-4" />
+                                <span>{formatSpeakerName(session.speaker)}</span>
+                              </div>
+                            )}
+                          </div>
+                          <div className="mt-2 text-xs text-slate-500">
+                            {session.requires_signup && (
+                              <span className="mr-4">Signed up: {session.signups || 0}{session.max_participants ? ` / ${session.max_participants}` : ''}</span>
+                            )}
+                            <span>Checked in: {attendanceCounts[session.id] || 0}</span>
+                          </div>
+                        </div>
+                        <div className="flex items-center gap-1">
+                          <button
+                            onClick={() => openEditSession(session)}
+                            className="p-2 text-slate-500 hover:text-blue-700 hover:bg-blue-50 rounded-lg transition-colors"
+                            title="Edit session"
+                          >
+                            <Pencil className="w-4 h-4" />
+                          </button>
+                          <button
+                            onClick={() => handleDeleteSession(session)}
+                            className="p-2 text-slate-500 hover:text-red-600 hover:bg-red-50 rounded-lg transition-colors"
+                            title="Delete session"
+                          >
+                            <Trash2 className="w-4 h-4" />
+                          </button>
+                        </div>
+                      </div>
+                    </div>
+                  ))}
+                </div>
+              </div>
+            ))
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
@@ -1,7 +1,8 @@
 import React, { useEffect, useState } from 'react';
-import { X } from "lucide-react";
+import { X, CalendarPlus } from "lucide-react";
 import { SpeakerService } from '../../services/speakerService';
 import { SponsorService } from '../../services/sponsorService';
+import { CalendarService } from '../../services/calendarService';
 import { useAuth } from '../../contexts/AuthContext';
 
 const EventModal = ({ isOpen, onClose, event }) => {
@@ -128,6 +129,13 @@ const EventModal = ({ isOpen, onClose, event }) => {
             <p className="text-slate-600 text-lg max-w-3xl mx-auto">
               {event.description}
             </p>
+            <button
+              onClick={() => CalendarService.downloadEvent(event)}
+              className="mt-4 inline-flex items-center gap-2 px-4 py-2 border border-blue-200 text-blue-800 rounded-lg hover:bg-blue-50 transition-colors text-sm font-medium"
+            >
+              <CalendarPlus size={16} />
+              Add to Calendar (.ics)
+            </button>
           </div>
 
           {/* Event Rationale */}
@@ -2,11 +2,14 @@ import React, { useState, useEffect, useRef } from 'react';
 import { useNavigate, useParams } from 'react-router-dom';
 import { useAuth } from '../../contexts/AuthContext';
 import { StatisticsService } from '../../services/statisticsService';
+import { EventService } from '../../services/eventService';
+import { useToast } from '../Toast';
+import { formatDuration } from '../../utils/attendanceDayUtils';
 import {
   BarChart, Bar, XAxis, YAxis, Tooltip, Legend, PieChart, Pie, Cell,
   ResponsiveContainer, LineChart, Line, CartesianGrid, Area, AreaChart
 } from 'recharts';
-import { ArrowLeft, Download, FileJson, FileSpreadsheet, TrendingUp, Users, MessageSquare, Star } from 'lucide-react';
+import { ArrowLeft, Download, FileJson, FileSpreadsheet, TrendingUp, Users, MessageSquare, Star, ShieldAlert, CheckCircle } from 'lucide-react';
 
 const COLORS = ['#10B981', '#3B82F6', '#F59E0B', '#EF4444', '#8B5CF6', '#EC4899', '#14B8A6'];
 
@@ -14,7 +17,11 @@ export const EventStatisticsDetail = () => {
   const navigate = useNavigate();
   const { eventId } = useParams();
   const { user, isAuthenticated, loading: authLoading } = useAuth();
+  const toast = useToast();
   const [stats, setStats] = useState(null);
+  const [anomalyReport, setAnomalyReport] = useState(null);
+  const [anomalyError, setAnomalyError] = useState(null);
+  const [invalidatingId, setInvalidatingId] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [sortConfig, setSortConfig] = useState({ key: null, direction: 'asc' });
@@ -70,6 +77,8 @@ export const EventStatisticsDetail = () => {
         setStats(result.stats);
         hasLoadedRef.current = true;
       }
+
+      loadAnomalies();
     } catch (err) {
       setError('Failed to load statistics');
       console.error(err);
@@ -78,6 +87,42 @@ export const EventStatisticsDetail = () => {
     }
   };
 
+  const loadAnomalies = async () => {
+    const result = await StatisticsService.getAttendanceAnomalies(eventId);
+    if (result.error) {
+      setAnomalyError(result.error);
+    } else {
+      setAnomalyError(null);
+      setAnomalyReport(result.report);
+    }
+  };
+
+  const handleInvalidateCheckIn = async (checkIn, rule) => {
+    if (!window.confirm(`Invalidate ${checkIn.participant_name}'s check-in? It will no longer count towards attendance or certificates.`)) {
+      return;
+    }
+
+    setInvalidatingId(checkIn.id);
+    const result = await EventService.updateCheckInValidation(
+      checkIn.id,
+      false,
+      user.id,
+      `Invalidated from the anomaly report: ${rule.title}`
+    );
+    setInvalidatingId(null);
+
+    if (result.error) {
+      toast.error(result.error);
+      return;
+    }
+
+    toast.success('Check-in invalidated');
+    setAnomalyReport(prev => ({
+      ...prev,
+      checkIns: { ...prev.checkIns, [checkIn.id]: { ...checkIn, is_validated: false } }
+    }));
+  };
+
   const handleSort = (key) => {
     setSortConfig(prev => ({
       key,
@@ -159,6 +204,8 @@ export const EventStatisticsDetail = () => {
         Question: q.questionText,
         Type: q.questionType,
         'Total Responses': q.totalResponses,
+        'Shown To': q.shownCount,
+        'Response Rate': `${q.responseRate.toFixed(1)}%`,
         'Average Rating': q.averageRating?.toFixed(2) || 'N/A',
       };
 
@@ -177,6 +224,25 @@ export const EventStatisticsDetail = () => {
     }
   };
 
+  const exportDailyAttendance = () => {
+    if (!stats?.dailyAttendance) return;
+
+    const exportData = stats.dailyAttendance.map((day, index) => ({
+      Day: index + 1,
+      Date: day.date,
+      'Checked In': day.checkedIn,
+      Validated: day.validated,
+      'Attendance Rate (%)': stats.registrationCount > 0
+        ? ((day.validated / stats.registrationCount) * 100).toFixed(1)
+        : '0.0'
+    }));
+
+    StatisticsService.exportAsCSV(exportData, `event-daily-attendance-${eventId}.csv`);
+  };
+
+  const formatDayLabel = (date) =>
+    new Date(`${date}T00:00:00`).toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric' });
+
   const exportResponseData = (format) => {
     if (!stats || !stats.rawResponses) return;
 
@@ -373,6 +439,144 @@ export const EventStatisticsDetail = () => {
           )}
         </div>
 
+        {/* Daily Attendance (multi-day events) */}
+        {stats.dailyAttendance?.length > 1 && (
+          <div className="bg-white rounded-2xl shadow-lg border border-slate-100 overflow-hidden mb-8">
+            <div className="bg-gradient-to-r from-blue-50 to-slate-50 px-6 py-4 border-b border-slate-100 flex flex-wrap items-center justify-between gap-3">
+              <div>
+                <h3 className="text-xl font-semibold text-slate-800">Daily Attendance</h3>
+                <p className="text-sm text-slate-600">
+                  {stats.requiredDays > 0
+                    ? `${stats.completedCount} of ${stats.participantCount} participants attended at least ${stats.requiredDays} of ${stats.dailyAttendance.length} days${stats.event.min_attendance_minutes ? ` for ${formatDuration(stats.event.min_attendance_minutes)} or more` : ''}`
+                    : `One check-in per participant per day across ${stats.dailyAttendance.length} days`}
+                </p>
+              </div>
+              <button
+                onClick={exportDailyAttendance}
+                className="inline-flex items-center space-x-2 bg-gradient-to-r from-blue-600 to-blue-800 text-white px-4 py-2 rounded-lg hover:from-blue-700 hover:to-blue-800 transition-all duration-200 text-sm font-medium shadow-md hover:shadow-lg"
+              >
+                <FileSpreadsheet className="w-4 h-4" />
+                <span>Export Daily Attendance (CSV)</span>
+              </button>
+            </div>
+            <div className="p-6 grid grid-cols-1 lg:grid-cols-2 gap-6">
+              <ResponsiveContainer width="100%" height={260}>
+                <BarChart data={stats.dailyAttendance.map(day => ({ ...day, label: formatDayLabel(day.date) }))}>
+                  <CartesianGrid strokeDasharray="3 3" />
+                  <XAxis dataKey="label" stroke="#64748b" />
+                  <YAxis stroke="#64748b" allowDecimals={false} />
+                  <Tooltip />
+                  <Legend />
+                  <Bar dataKey="checkedIn" name="Checked in" fill="#3B82F6" radius={[4, 4, 0, 0]} />
+                  <Bar dataKey="validated" name="Validated" fill="#10B981" radius={[4, 4, 0, 0]} />
+                </BarChart>
+              </ResponsiveContainer>
+              <div className="overflow-x-auto">
+                <table className="w-full text-sm">
+                  <thead>
+                    <tr className="text-left text-slate-600 border-b border-slate-200">
+                      <th className="py-2 pr-4 font-medium">Day</th>
+                      <th className="py-2 pr-4 font-medium">Checked in</th>
+                      <th className="py-2 pr-4 font-medium">Validated</th>
+                      <th className="py-2 font-medium">Of registered</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {stats.dailyAttendance.map((day, index) => (
+                      <tr key={day.date} className="border-b border-slate-100 last:border-0">
+                        <td className="py-2 pr-4 text-slate-800">Day {index + 1} · {formatDayLabel(day.date)}</td>
+                        <td className="py-2 pr-4 text-slate-800">{day.checkedIn}</td>
+                        <td className="py-2 pr-4 text-slate-800">{day.validated}</td>
+                        <td className="py-2 text-slate-800">
+                          {stats.registrationCount > 0 ? `${((day.validated / stats.registrationCount) * 100).toFixed(1)}%` : '—'}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            </div>
+          </div>
+        )}
+
+        {/* Attendance Anomalies */}
+        {(anomalyReport || anomalyError) && (
+          <div className="bg-white rounded-2xl shadow-lg border border-slate-100 overflow-hidden mb-8">
+            <div className="bg-gradient-to-r from-blue-50 to-slate-50 px-6 py-4 border-b border-slate-100">
+              <h3 className="text-xl font-semibold text-slate-800 flex items-center gap-2">
+                <ShieldAlert className="w-5 h-5 text-amber-600" />
+                Attendance Anomalies
+              </h3>
+              <p className="text-sm text-slate-600">
+                {anomalyReport
+                  ? `Checked ${anomalyReport.checkInCount} check-ins and ${anomalyReport.scanCount} scans against ${anomalyReport.rules.length} rules`
+                  : anomalyError}
+              </p>
+            </div>
+            {anomalyReport && (
+              <div className="divide-y divide-slate-100">
+                {anomalyReport.rules.map(rule => (
+                  <div key={rule.rule} className="p-6">
+                    <div className="flex items-start justify-between gap-4 mb-2">
+                      <h4 className="font-semibold text-slate-800">{rule.title}</h4>
+                      {rule.findings.length > 0 ? (
+                        <span className="px-2 py-1 text-xs font-medium rounded-full bg-amber-100 text-amber-800 whitespace-nowrap">
+                          {rule.findings.length} flagged
+                        </span>
+                      ) : (
+                        <span className="inline-flex items-center gap-1 px-2 py-1 text-xs font-medium rounded-full bg-green-100 text-green-800 whitespace-nowrap">
+                          <CheckCircle className="w-3 h-3" />
+                          No issues
+                        </span>
+                      )}
+                    </div>
+                    <p className="text-sm text-slate-600 mb-4">{rule.explanation}</p>
+                    {rule.findings.length > 0 && (
+                      <div className="space-y-3">
+                        {rule.findings.map(finding => (
+                          <div key={finding.id} className="border border-amber-200 bg-amber-50 rounded-lg p-4">
+                            <p className="text-sm font-medium text-slate-800">{finding.description}</p>
+                            <p className="text-xs text-slate-500 mb-3">
+                              {finding.userIds.length <= 3
+                                ? finding.userIds.map(userId => anomalyReport.participantNames[userId] || 'Unknown participant').join(', ')
+                                : `${finding.userIds.length} participants`}
+                            </p>
+                            {finding.checkInIds.filter(id => anomalyReport.checkIns[id]).length > 0 && (
+                              <div className="space-y-2">
+                                {finding.checkInIds.filter(id => anomalyReport.checkIns[id]).map(id => {
+                                  const checkIn = anomalyReport.checkIns[id];
+                                  return (
+                                    <div key={id} className="flex items-center justify-between gap-3 bg-white rounded-md px-3 py-2 text-sm">
+                                      <span className="text-slate-700">
+                                        {checkIn.participant_name} · {new Date(checkIn.check_in_time).toLocaleString()} · {checkIn.check_in_method}
+                                      </span>
+                                      {checkIn.is_validated ? (
+                                        <button
+                                          onClick={() => handleInvalidateCheckIn(checkIn, rule)}
+                                          disabled={invalidatingId === id}
+                                          className="px-3 py-1 text-xs font-medium text-red-700 border border-red-300 rounded hover:bg-red-50 disabled:opacity-50 whitespace-nowrap"
+                                        >
+                                          {invalidatingId === id ? 'Invalidating...' : 'Invalidate'}
+                                        </button>
+                                      ) : (
+                                        <span className="text-xs font-medium text-slate-500 whitespace-nowrap">Not validated</span>
+                                      )}
+                                    </div>
+                                  );
+                                })}
+                              </div>
+                            )}
+                          </div>
+                        ))}
+                      </div>
+                    )}
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+        )}
+
         {/* Export Buttons */}
         <div className="mb-6 flex flex-wrap gap-4">
           <button
@@ -596,6 +800,23 @@ export const EventStatisticsDetail = () => {
                   </div>
                 );
               })()}
+
+              {/* Response rates count only respondents the survey logic showed each question to */}
+              {section.questions.length > 0 && stats.totalResponses > 0 && (
+                <div className="px-6 pb-6">
+                  <h4 className="text-sm font-semibold text-slate-700 uppercase tracking-wide mb-2">Response Rate</h4>
+                  <div className="border border-slate-100 rounded-lg divide-y divide-slate-100">
+                    {section.questions.map((question) => (
+                      <div key={question.questionId} className="flex items-center justify-between px-4 py-2 text-sm">
+                        <span className="text-slate-700 truncate mr-4">{question.questionText}</span>
+                        <span className="text-slate-500 whitespace-nowrap">
+                          {question.totalResponses} of {question.shownCount} shown ({question.responseRate.toFixed(1)}%)
+                        </span>
+                      </div>
+                    ))}
+                  </div>
+                </div>
+              )}
             </div>
           ))}
         </div>
@@ -1,12 +1,21 @@
 import React, { useState, useEffect, useRef, useMemo } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { EventService } from '../../services/eventService';
+import { EventTemplateService } from '../../services/eventTemplateService';
 import { useAuth } from '../../contexts/AuthContext';
 import { usePageVisibility } from '../../hooks/usePageVisibility';
 import { useToast } from '../Toast';
 import { exportToCSV, exportToExcel } from '../../utils/exportUtils';
+import { promptTemplateName } from '../../utils/eventCreationDialogs';
+import { validateRegistrationAnswers, flattenRegistrationAnswers, formatRegistrationAnswer } from '../../utils/registrationFormUtils';
+import { formatDuration } from '../../utils/attendanceDayUtils';
+import { RegistrationFormFields } from '../RegistrationFormFields';
 import { BulkQRCodeGenerator } from './BulkQRCodeGenerator';
+import { BadgeDesigner } from './BadgeDesigner';
+import { CertificateRulesManager } from './CertificateRulesManager';
 import { CertificateGenerationsView } from './CertificateGenerationsView';
+import { EventAgendaManager } from './EventAgendaManager';
+import { EventAgenda } from './EventAgenda';
 import { EventChatModal } from '../EventChatModal';
 import { EventMessageService } from '../../services/eventMessageService';
 
@@ -152,12 +161,15 @@ export const Events = () => {
   const [registeringEvents, setRegisteringEvents] = useState(new Set());
   const [showConfirmationModal, setShowConfirmationModal] = useState(false);
   const [eventToRegister, setEventToRegister] = useState(null);
+  const [registrationAnswers, setRegistrationAnswers] = useState({});
+  const [registrationAnswerErrors, setRegistrationAnswerErrors] = useState({});
   const [showSuccessModal, setShowSuccessModal] = useState(false);
   const [successModalMessage, setSuccessModalMessage] = useState('');
   const [showManageModal, setShowManageModal] = useState(false);
   const [selectedEvent, setSelectedEvent] = useState(null);
   const [showRegistrationsModal, setShowRegistrationsModal] = useState(false);
   const [registrations, setRegistrations] = useState([]);
+  const [waitlist, setWaitlist] = useState([]);
   const [loadingRegistrations, setLoadingRegistrations] = useState(false);
   const [showCheckInsModal, setShowCheckInsModal] = useState(false);
   const [checkIns, setCheckIns] = useState([]);
@@ -178,8 +190,13 @@ export const Events = () => {
   const [selectedParticipantForCheckIn, setSelectedParticipantForCheckIn] = useState(null);
   const [checkInDate, setCheckInDate] = useState(new Date().toISOString().split('T')[0]);
   const [showBulkQRModal, setShowBulkQRModal] = useState(false);
+  const [showBadgeModal, setShowBadgeModal] = useState(false);
   const [togglingRegistration, setTogglingRegistration] = useState(false);
   const [showCertificateGenerationsModal, setShowCertificateGenerationsModal] = useState(false);
+  const [showCertificateRulesModal, setShowCertificateRulesModal] = useState(false);
+  const [showAgendaManagerModal, setShowAgendaManagerModal] = useState(false);
+  const [duplicatingEvent, setDuplicatingEvent] = useState(false);
+  const [agendaEvent, setAgendaEvent] = useState(null);
   const [showCancellationModal, setShowCancellationModal] = useState(false);
   const [showEventChatModal, setShowEventChatModal] = useState(false);
   const [chatEventForOrganizer, setChatEventForOrganizer] = useState(null);
@@ -470,9 +487,10 @@ export const Events = () => {
         return { allowed: false, reason: 'Registration closed: Event has ended' };
       }
 
-      // Check if event is full
-      if (event.max_participants && event.current_participants >= event.max_participants) {
-        return { allowed: false, reason: 'Registration closed: Event is full' };
+      // Full events still accept sign-ups, onto the waitlist
+      const seatsTaken = event.registered_count ?? event.current_participants ?? 0;
+      if (event.max_participants && seatsTaken >= event.max_participants) {
+        return { allowed: true, waitlist: true };
       }
 
       return { allowed: true };
@@ -486,8 +504,17 @@ export const Events = () => {
     }
 
     // Find the event to register for
-    const event = events.find(e => e.id === eventId) || sampleEvents.find(e => e.id === eventId);
+    let event = events.find(e => e.id === eventId) || sampleEvents.find(e => e.id === eventId);
     if (event) {
+      // Whether the event is full decides between registering and the
+      // waitlist, so count the seats instead of trusting current_participants
+      if (event.max_participants && !sampleEvents.some(e => e.id === eventId)) {
+        const { count } = await EventService.getRegisteredCount(eventId);
+        if (count !== undefined) {
+          event = { ...event, registered_count: count };
+        }
+      }
+
       // Check if registration is allowed
       const registrationCheck = canRegisterForEvent(event);
       if (!registrationCheck.allowed) {
@@ -496,6 +523,8 @@ export const Events = () => {
       }
 
       setEventToRegister(event);
+      setRegistrationAnswers({});
+      setRegistrationAnswerErrors({});
       setShowConfirmationModal(true);
     }
   };
@@ -527,15 +556,26 @@ export const Events = () => {
       return;
     }
 
+    // Answers to the event's registration form are checked here first so the
+    // participant can fix them without closing the dialog
+    const answerErrors = validateRegistrationAnswers(eventToRegister.registration_form, registrationAnswers);
+    setRegistrationAnswerErrors(answerErrors);
+    if (Object.keys(answerErrors).length > 0) {
+      return;
+    }
+
     try {
       setRegisteringEvents(prev => new Set(prev).add(eventId));
       setError('');
       // Don't clear success message here - let it show after registration
 
-      const result = await EventService.registerForEvent(eventId, user.id);
+      const result = await EventService.registerForEvent(eventId, user.id, registrationAnswers);
 
       if (result.error) {
         setError(result.error);
+      } else if (result.waitlisted) {
+        setSuccessModalMessage(`This event is full, so you have been added to the waitlist${result.waitlistPosition ? ` (position ${result.waitlistPosition})` : ''}. We'll notify you if a seat opens up.`);
+        setShowSuccessModal(true);
       } else {
         setSuccessModalMessage('Successfully registered for the event!');
         setShowSuccessModal(true);
@@ -586,13 +626,17 @@ export const Events = () => {
         setSelectedEvent(eventResult.event);
       }
 
-      const result = await EventService.getEventParticipants(eventId);
+      const [result, waitlistResult] = await Promise.all([
+        EventService.getEventParticipants(eventId),
+        EventService.getWaitlist(eventId)
+      ]);
 
       if (result.error) {
         setError(result.error);
         toast.error(result.error);
       } else {
         setRegistrations(result.participants || []);
+        setWaitlist(waitlistResult.waitlist || []);
         setShowRegistrationsModal(true);
       }
     } catch (err) {
@@ -777,6 +821,30 @@ export const Events = () => {
     }
   };
 
+  const handleCheckOut = async (checkIn) => {
+    if (!selectedEvent) return;
+
+    try {
+      setLoadingCheckIns(true);
+      const result = await EventService.recordCheckOut(
+        checkIn.event_id,
+        checkIn.user_id,
+        checkIn.check_in_date || new Date(checkIn.check_in_time).toISOString().split('T')[0]
+      );
+
+      if (result.error) {
+        toast.error(result.error);
+      } else {
+        toast.success(`${checkIn.participant_name} checked out`);
+        await loadCheckIns(selectedEvent.id);
+      }
+    } catch (err) {
+      toast.error('Failed to record the check-out. Please try again.');
+    } finally {
+      setLoadingCheckIns(false);
+    }
+  };
+
   const loadAvailableParticipants = async (eventId) => {
     try {
       setLoadingParticipants(true);
@@ -873,6 +941,14 @@ export const Events = () => {
     }
   };
 
+  const handlePrintBadges = (eventId) => {
+    const event = events.find(e => e.id === eventId);
+    if (event) {
+      setSelectedEvent(event);
+      setShowBadgeModal(true);
+    }
+  };
+
   const handleViewCertificateGenerations = (eventId) => {
     const event = events.find(e => e.id === eventId);
     if (event) {
@@ -881,6 +957,64 @@ export const Events = () => {
     }
   };
 
+  const handleManageCertificateRules = (eventId) => {
+    const event = events.find(e => e.id === eventId);
+    if (event) {
+      setSelectedEvent(event);
+      setShowCertificateRulesModal(true);
+    }
+  };
+
+  const handleManageAgenda = (eventId) => {
+    const event = events.find(e => e.id === eventId);
+    if (event) {
+      setSelectedEvent(event);
+      setShowAgendaManagerModal(true);
+    }
+  };
+
+  const handleViewAgenda = (event) => {
+    setAgendaEvent(event);
+  };
+
+  const handleDuplicateEvent = async (eventId) => {
+    if (!user) return;
+    try {
+      setDuplicatingEvent(true);
+      const result = await EventTemplateService.duplicateEvent(eventId, user.id);
+      if (result.event) {
+        setShowManageModal(false);
+        setSelectedEvent(null);
+        loadingRef.current = false;
+        await loadEvents();
+        if (result.error) {
+          toast.warning(result.error);
+        } else {
+          toast.success(`"${result.event.title}" was created as a draft.`);
+        }
+      } else {
+        toast.error(result.error || 'Failed to duplicate event');
+      }
+    } catch (error) {
+      toast.error('Failed to duplicate event');
+    } finally {
+      setDuplicatingEvent(false);
+    }
+  };
+
+  const handleSaveAsTemplate = async (event) => {
+    if (!user) return;
+    const name = await promptTemplateName(event.title);
+    if (!name) return;
+
+    const result = await EventTemplateService.saveEventAsTemplate(event.id, name, user.id);
+    if (result.error) {
+      toast.error(result.error);
+    } else {
+      toast.success(`Template "${name}" saved. Choose it when creating an event.`);
+    }
+  };
+
   const handleRequestCancellation = (eventId) => {
     const event = events.find(e => e.id === eventId);
     if (event) {
@@ -1974,6 +2108,12 @@ export const Events = () => {
                                     )}
                                   </div>
                                 </div>
+                                <button
+                                  onClick={() => handleViewAgenda(event)}
+                                  className="mt-2 text-xs font-medium text-blue-700 hover:text-blue-900 underline"
+                                >
+                                  View agenda & session sign-ups
+                                </button>
                               </div>
                             ) : (() => {
                               const registrationCheck = canRegisterForEvent(event);
@@ -1993,7 +2133,9 @@ export const Events = () => {
                                     ? 'Registering...'
                                     : !registrationCheck.allowed
                                       ? 'Registration Closed'
-                                      : 'Register'}
+                                      : registrationCheck.waitlist
+                                        ? 'Join Waitlist'
+                                        : 'Register'}
                                 </button>
                               );
                             })()}
@@ -2241,6 +2383,12 @@ export const Events = () => {
                                   )}
                                 </div>
                               </div>
+                              <button
+                                onClick={() => handleViewAgenda(event)}
+                                className="mt-2 text-xs font-medium text-blue-700 hover:text-blue-900 underline"
+                              >
+                                View agenda & session sign-ups
+                              </button>
                             </div>
                           ) : (() => {
                             const registrationCheck = canRegisterForEvent(event);
@@ -2260,7 +2408,9 @@ export const Events = () => {
                                   ? 'Registering...'
                                   : !registrationCheck.allowed
                                     ? 'Registration Closed'
-                                    : 'Register'}
+                                    : registrationCheck.waitlist
+                                      ? 'Join Waitlist'
+                                      : 'Register'}
                               </button>
                             );
                           })()}
@@ -2362,12 +2512,27 @@ export const Events = () => {
                 </h3>
                 <p className="text-slate-600 mb-6">
                   Are you sure you want to register for <strong>"{eventToRegister.title}"</strong>?
+                  {canRegisterForEvent(eventToRegister).waitlist && (
+                    <span className="block mt-2 text-sm text-amber-600">
+                      This event is full. You will be added to the waitlist and notified if a seat opens up.
+                    </span>
+                  )}
                   {sampleEvents.some(event => event.id === eventToRegister.id) && (
                     <span className="block mt-2 text-sm text-blue-600">
                       (This is a sample event - demo registration only)
                     </span>
                   )}
                 </p>
+                {eventToRegister.registration_form?.length > 0 && (
+                  <div className="mb-6 max-h-80 overflow-y-auto">
+                    <RegistrationFormFields
+                      questions={eventToRegister.registration_form}
+                      answers={registrationAnswers}
+                      onChange={setRegistrationAnswers}
+                      errors={registrationAnswerErrors}
+                    />
+                  </div>
+                )}
                 <div className="flex space-x-3">
                   <button
                     onClick={() => {
@@ -2396,7 +2561,9 @@ export const Events = () => {
                           ? 'Registering...'
                           : !registrationCheck.allowed
                             ? 'Registration Closed'
-                            : 'Confirm Registration'}
+                            : registrationCheck.waitlist
+                              ? 'Join Waitlist'
+                              : 'Confirm Registration'}
                       </button>
                     );
                   })()}
@@ -2491,6 +2658,14 @@ export const Events = () => {
                     >
                       {loadingCheckIns ? 'Loading...' : 'View Check-Ins'}
                     </button>
+                    {selectedEvent.created_by === user?.id && (
+                      <button
+                        onClick={() => navigate(`/kiosk/${selectedEvent.id}`)}
+                        className="w-full px-3 py-2 bg-blue-900 text-white rounded text-sm hover:bg-blue-800 transition-colors"
+                      >
+                        Start Check-In Kiosk
+                      </button>
+                    )}
                     <button
                       onClick={() => navigate('/event-messages')}
                       className="w-full px-3 py-2 bg-green-600 text-white rounded text-sm hover:bg-green-700 transition-colors flex items-center justify-center gap-2 relative"
@@ -2511,6 +2686,12 @@ export const Events = () => {
                     >
                       Generate QR Code
                     </button>
+                    <button
+                      onClick={() => handlePrintBadges(selectedEvent.id)}
+                      className="w-full px-3 py-2 bg-blue-900 text-white rounded text-sm hover:bg-blue-800 transition-colors"
+                    >
+                      Print Name Badges
+                    </button>
                     <button
                       onClick={() => navigate(`/event-statistics/${selectedEvent.id}`)}
                       className="w-full px-3 py-2 bg-blue-900 text-white rounded text-sm hover:bg-blue-800 transition-colors"
@@ -2523,6 +2704,31 @@ export const Events = () => {
                     >
                       View Certificate Generations
                     </button>
+                    <button
+                      onClick={() => handleManageCertificateRules(selectedEvent.id)}
+                      className="w-full px-3 py-2 bg-blue-900 text-white rounded text-sm hover:bg-blue-800 transition-colors"
+                    >
+                      Certificate Requirements
+                    </button>
+                    <button
+                      onClick={() => handleManageAgenda(selectedEvent.id)}
+                      className="w-full px-3 py-2 bg-blue-900 text-white rounded text-sm hover:bg-blue-800 transition-colors"
+                    >
+                      Manage Agenda & Sessions
+                    </button>
+                    <button
+                      onClick={() => handleDuplicateEvent(selectedEvent.id)}
+                      disabled={duplicatingEvent}
+                      className="w-full px-3 py-2 bg-blue-900 text-white rounded text-sm hover:bg-blue-800 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+                    >
+                      {duplicatingEvent ? 'Duplicating...' : 'Duplicate Event'}
+                    </button>
+                    <button
+                      onClick={() => handleSaveAsTemplate(selectedEvent)}
+                      className="w-full px-3 py-2 border border-blue-900 text-blue-900 rounded text-sm hover:bg-blue-50 transition-colors"
+                    >
+                      Save as Template
+                    </button>
                   </div>
                 </div>
 
@@ -2600,6 +2806,7 @@ export const Events = () => {
                     onClick={() => {
                       setShowRegistrationsModal(false);
                       setRegistrations([]);
+                      setWaitlist([]);
                     }}
                     className="text-slate-400 hover:text-slate-600 transition-colors"
                   >
@@ -2635,7 +2842,7 @@ export const Events = () => {
                           onClick={() => {
                             const eventTitle = selectedEvent?.title || 'event';
                             const sanitizedTitle = eventTitle.replace(/[^a-z0-9]/gi, '_').toLowerCase();
-                            exportToCSV(registrations, `${sanitizedTitle}_participants_${new Date().toISOString().split('T')[0]}`);
+                            exportToCSV(flattenRegistrationAnswers(registrations, selectedEvent?.registration_form), `${sanitizedTitle}_participants_${new Date().toISOString().split('T')[0]}`);
                           }}
                           className="inline-flex items-center gap-2 px-3 py-1.5 bg-green-600 text-white text-sm font-medium rounded-lg hover:bg-green-700 transition-colors"
                           title="Export to CSV"
@@ -2649,7 +2856,7 @@ export const Events = () => {
                           onClick={() => {
                             const eventTitle = selectedEvent?.title || 'event';
                             const sanitizedTitle = eventTitle.replace(/[^a-z0-9]/gi, '_').toLowerCase();
-                            exportToExcel(registrations, `${sanitizedTitle}_participants_${new Date().toISOString().split('T')[0]}`, 'Participants');
+                            exportToExcel(flattenRegistrationAnswers(registrations, selectedEvent?.registration_form), `${sanitizedTitle}_participants_${new Date().toISOString().split('T')[0]}`, 'Participants');
                           }}
                           className="inline-flex items-center gap-2 px-3 py-1.5 bg-blue-600 text-white text-sm font-medium rounded-lg hover:bg-blue-700 transition-colors"
                           title="Export to Excel"
@@ -2714,6 +2921,14 @@ export const Events = () => {
                                     Registered on {formatRegistrationDate(registration.registration_date || registration.created_at)}
                                   </span>
                                 </div>
+                                {(selectedEvent?.registration_form || []).map((question) => {
+                                  const answer = formatRegistrationAnswer(registration.registration_answers?.[question.id]);
+                                  return answer ? (
+                                    <div key={question.id}>
+                                      <span className="font-medium text-slate-700">{question.questionText}:</span> {answer}
+                                    </div>
+                                  ) : null;
+                                })}
                               </div>
                             </div>
 
@@ -2735,11 +2950,57 @@ export const Events = () => {
                 </>
               )}
 
+              {!loadingRegistrations && waitlist.length > 0 && (
+                <div className="mt-6">
+                  <div className="mb-3 p-3 bg-amber-50 rounded-lg border border-amber-200">
+                    <p className="text-sm font-medium text-amber-900">
+                      Waitlist: <span className="font-bold">{waitlist.length}</span>
+                      <span className="ml-2 font-normal text-amber-700">
+                        {selectedEvent.registration_open
+                          ? 'Promoted automatically, in order, when a seat frees up.'
+                          : 'Promotion is paused while registration is closed.'}
+                      </span>
+                    </p>
+                  </div>
+                  <div className="space-y-2">
+                    {waitlist.map((entry) => {
+                      const waitlistedUser = entry.users;
+                      const waitlistedName = waitlistedUser?.first_name && waitlistedUser?.last_name
+                        ? `${waitlistedUser.first_name} ${waitlistedUser.last_name}`
+                        : waitlistedUser?.email || 'Unknown User';
+
+                      return (
+                        <div
+                          key={entry.id}
+                          className="flex items-center justify-between bg-slate-50 rounded-lg p-3 border border-slate-200"
+                        >
+                          <div className="flex items-center gap-3">
+                            <div className="w-8 h-8 rounded-full bg-amber-500 flex items-center justify-center text-white font-semibold text-sm flex-shrink-0">
+                              #{entry.position}
+                            </div>
+                            <div>
+                              <h4 className="font-semibold text-slate-900">{waitlistedName}</h4>
+                              {waitlistedUser?.email && (
+                                <p className="text-sm text-slate-600">{waitlistedUser.email}</p>
+                              )}
+                            </div>
+                          </div>
+                          <span className="text-xs text-slate-500">
+                            Joined {formatRegistrationDate(entry.waitlisted_at || entry.created_at)}
+                          </span>
+                        </div>
+                      );
+                    })}
+                  </div>
+                </div>
+              )}
+
               <div className="mt-6 pt-4 border-t border-slate-200">
                 <button
                   onClick={() => {
                     setShowRegistrationsModal(false);
                     setRegistrations([]);
+                    setWaitlist([]);
                   }}
                   className="w-full px-4 py-2 bg-blue-900 text-white rounded-lg hover:bg-blue-800 transition-colors"
                 >
@@ -2811,7 +3072,7 @@ export const Events = () => {
 
               {/* Statistics Summary */}
               {checkInStats && (
-                <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-6">
+                <div className="grid grid-cols-2 md:grid-cols-5 gap-4 mb-6">
                   <div className="bg-blue-50 rounded-lg p-4 border border-blue-200">
                     <p className="text-sm font-medium text-blue-900 mb-1">Total Check-Ins</p>
                     <p className="text-2xl font-bold text-blue-600">{checkInStats.total_check_ins}</p>
@@ -2828,6 +3089,13 @@ export const Events = () => {
                     <p className="text-sm font-medium text-purple-900 mb-1">Check-In Rate</p>
                     <p className="text-2xl font-bold text-purple-600">{checkInStats.check_in_rate}</p>
                   </div>
+                  <div className="bg-slate-50 rounded-lg p-4 border border-slate-200">
+                    <p className="text-sm font-medium text-slate-900 mb-1">Avg. Time Attended</p>
+                    <p className="text-2xl font-bold text-slate-700">
+                      {checkInStats.average_time_spent_minutes !== null ? formatDuration(checkInStats.average_time_spent_minutes) : '—'}
+                    </p>
+                    <p className="text-xs text-slate-500">{checkInStats.checked_out} checked out</p>
+                  </div>
                 </div>
               )}
 
@@ -2855,6 +3123,7 @@ export const Events = () => {
                       <option value="qr_scan">QR Scan</option>
                       <option value="manual">Manual</option>
                       <option value="admin_override">Admin Override</option>
+                      <option value="geofence">Self Check-In (GPS)</option>
                     </select>
                   </div>
                   <div>
@@ -3016,8 +3285,36 @@ export const Events = () => {
                                   <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
                                     <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M9 5H7a2 2 0 00-2 2v12a2 2 0 002 2h10a2 2 0 002-2V7a2 2 0 00-2-2h-2M9 5a2 2 0 002 2h2a2 2 0 002-2M9 5a2 2 0 012-2h2a2 2 0 012 2" />
                                   </svg>
-                                  <span>Method: {checkIn.check_in_method === 'qr_scan' ? 'QR Scan' : checkIn.check_in_method === 'manual' ? 'Manual' : 'Admin Override'}</span>
+                                  <span>Method: {checkIn.check_in_method === 'qr_scan' ? 'QR Scan' : checkIn.check_in_method === 'manual' ? 'Manual' : checkIn.check_in_method === 'geofence' ? 'Self Check-In (GPS)' : 'Admin Override'}</span>
                                 </div>
+                                {checkIn.location_evidence && (
+                                  <div className="flex items-center gap-2">
+                                    <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M17.657 16.657L13.414 20.9a1.998 1.998 0 01-2.827 0l-4.244-4.243a8 8 0 1111.314 0z" />
+                                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M15 11a3 3 0 11-6 0 3 3 0 016 0z" />
+                                    </svg>
+                                    <a
+                                      href={`https://www.google.com/maps?q=${checkIn.location_evidence.latitude},${checkIn.location_evidence.longitude}`}
+                                      target="_blank"
+                                      rel="noopener noreferrer"
+                                      className="text-blue-600 hover:underline"
+                                    >
+                                      {checkIn.location_evidence.distance_meters} m from venue (radius {checkIn.location_evidence.radius_meters} m
+                                      {checkIn.location_evidence.accuracy_meters != null && `, GPS accuracy ±${Math.round(checkIn.location_evidence.accuracy_meters)} m`})
+                                    </a>
+                                  </div>
+                                )}
+                                {checkIn.check_out_time && (
+                                  <div className="flex items-center gap-2">
+                                    <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M17 16l4-4m0 0l-4-4m4 4H7m6 4v1a3 3 0 01-3 3H6a3 3 0 01-3-3V7a3 3 0 013-3h4a3 3 0 013 3v1" />
+                                    </svg>
+                                    <span>
+                                      Checked out: {new Date(checkIn.check_out_time).toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit', hour12: true })}
+                                      {checkIn.attendance_minutes !== null && ` (${formatDuration(checkIn.attendance_minutes)})`}
+                                    </span>
+                                  </div>
+                                )}
                               </div>
                             </div>
 
@@ -3037,6 +3334,14 @@ export const Events = () => {
                               >
                                 {checkIn.is_validated ? 'Unvalidate' : 'Validate'}
                               </button>
+                              {!checkIn.check_out_time && !checkIn.session_id && (
+                                <button
+                                  onClick={() => handleCheckOut(checkIn)}
+                                  className="px-5 py-2.5 text-sm font-medium rounded-lg transition-colors bg-slate-100 text-slate-700 hover:bg-slate-200 border border-slate-300"
+                                >
+                                  Check Out
+                                </button>
+                              )}
                             </div>
                           </div>
                         </div>
@@ -3233,6 +3538,18 @@ export const Events = () => {
           />
         )}
 
+        {/* Name Badge Designer Modal */}
+        {showBadgeModal && selectedEvent && (
+          <BadgeDesigner
+            isOpen={showBadgeModal}
+            onClose={() => {
+              setShowBadgeModal(false);
+              setSelectedEvent(null);
+            }}
+            event={selectedEvent}
+          />
+        )}
+
         {/* Certificate Generations View Modal */}
         {showCertificateGenerationsModal && selectedEvent && (
           <CertificateGenerationsView
@@ -3245,6 +3562,46 @@ export const Events = () => {
           />
         )}
 
+        {/* Certificate Requirements Modal */}
+        {showCertificateRulesModal && selectedEvent && (
+          <CertificateRulesManager
+            isOpen={showCertificateRulesModal}
+            onClose={() => {
+              setShowCertificateRulesModal(false);
+              setSelectedEvent(null);
+            }}
+            event={selectedEvent}
+            onEventUpdated={(updatedEvent) => {
+              setEvents(prev => prev.map(e => e.id === updatedEvent.id ? { ...e, ...updatedEvent } : e));
+            }}
+          />
+        )}
+
+        {/* Agenda Manager Modal */}
+        {showAgendaManagerModal && selectedEvent && (
+          <EventAgendaManager
+            isOpen={showAgendaManagerModal}
+            onClose={() => {
+              setShowAgendaManagerModal(false);
+              setSelectedEvent(null);
+            }}
+            event={selectedEvent}
+            onEventUpdated={(updatedEvent) => {
+              setEvents(prev => prev.map(e => e.id === updatedEvent.id ? { ...e, ...updatedEvent } : e));
+            }}
+          />
+        )}
+
+        {/* Participant Agenda Modal */}
+        {agendaEvent && (
+          <EventAgenda
+            isOpen={!!agendaEvent}
+            onClose={() => setAgendaEvent(null)}
+            event={agendaEvent}
+            isRegistered={userRegistrations.has(agendaEvent.id)}
+          />
+        )}
+
         {/* Event Chat Modal for Organizer */}
         {showEventChatModal && chatEventForOrganizer && (
           <EventChatModal
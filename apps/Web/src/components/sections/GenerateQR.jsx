@@ -1,4 +1,4 @@
-import React, { useState, useEffect, useRef } from 'react';
+import React, { useState, useEffect, useRef, useMemo } from 'react';
 import { useAuth } from '../../contexts/AuthContext';
 import { useSearchParams } from 'react-router-dom';
 import { supabase } from '../../lib/supabaseClient';
@@ -6,6 +6,8 @@ import { createQRDataString, getQRTokenInfo } from '../../lib/jwtUtils';
 import { generateQRCodeID, formatQRCodeID } from '../../utils/qrCodeUtils';
 import { X, Download, Calendar, MapPin, Clock, Loader } from 'lucide-react';
 import { useToast } from '../Toast';
+import { EventService } from '../../services/eventService';
+import { buildRotatingQRData, getSecondsRemaining, getTimeStep } from '../../utils/rotatingQrUtils';
 
 // Modal version for event QR codes
 export const GenerateQRModal = ({ isOpen, onClose, event }) => {
@@ -15,6 +17,9 @@ export const GenerateQRModal = ({ isOpen, onClose, event }) => {
   const [qrCodeToken, setQrCodeToken] = useState(null);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
+  const [rotatingKey, setRotatingKey] = useState(null);
+  const [now, setNow] = useState(() => new Date());
+  const rotationSeconds = event?.qr_rotation_seconds || 0;
 
   useEffect(() => {
     if (isOpen && event) {
@@ -22,6 +27,31 @@ export const GenerateQRModal = ({ isOpen, onClose, event }) => {
     }
   }, [isOpen, event]);
 
+  // Rotating codes: fetch this participant's key once, then redraw every second
+  useEffect(() => {
+    setRotatingKey(null);
+    if (!isOpen || !event || rotationSeconds <= 0) return;
+
+    EventService.getRotatingQRKey(event.id).then(result => {
+      if (result.error) {
+        setError(result.error);
+      } else {
+        setRotatingKey(result.key);
+      }
+    });
+
+    const timer = setInterval(() => setNow(new Date()), 1000);
+    return () => clearInterval(timer);
+  }, [isOpen, event?.id, rotationSeconds]);
+
+  const rotatingStep = rotationSeconds > 0 ? getTimeStep(rotationSeconds, now) : null;
+  const rotatingQrUrl = useMemo(() => {
+    if (!rotatingKey || !user?.id) return '';
+    const data = buildRotatingQRData(event.id, user.id, rotatingKey, rotationSeconds, now);
+    return `https://api.qrserver.com/v1/create-qr-code/?size=300x300&color=1e3a8a&data=${encodeURIComponent(data)}`;
+  }, [rotatingKey, rotatingStep, user?.id]);
+  const displayedQrUrl = rotationSeconds > 0 ? rotatingQrUrl : qrCodeUrl;
+
   const generateEventQRCode = async () => {
     try {
       setLoading(true);
@@ -313,7 +343,7 @@ export const GenerateQRModal = ({ isOpen, onClose, event }) => {
           )}
 
           {/* QR Code */}
-          {qrCodeUrl && !loading && !error && (
+          {displayedQrUrl && !loading && !error && (
             <>
               {/* Modern QR Code Card - Matching Mobile Design */}
               <div ref={qrCardRef} className="bg-slate-900 rounded-3xl p-4 sm:p-6 mb-4 sm:mb-6 shadow-2xl relative overflow-hidden">
@@ -325,7 +355,7 @@ export const GenerateQRModal = ({ isOpen, onClose, event }) => {
                   {/* QR Code */}
                   <div className="bg-white rounded-2xl p-4 mb-4">
                     <img
-                      src={qrCodeUrl}
+                      src={displayedQrUrl}
                       alt="Event QR Code"
                       className="w-full h-auto mx-auto"
                       style={{ maxWidth: '240px' }}
@@ -346,8 +376,8 @@ export const GenerateQRModal = ({ isOpen, onClose, event }) => {
                     {event.title}
                   </p>
 
-                  {/* QR Code ID for Manual Entry */}
-                  {qrCodeToken && (
+                  {/* QR Code ID for Manual Entry (not offered for rotating codes, it never changes) */}
+                  {qrCodeToken && rotationSeconds === 0 && (
                     <div className="mt-4 pt-4 border-t border-slate-200">
                       <p className="text-xs text-slate-500 mb-2 text-center font-medium">
                         Manual Entry ID
@@ -381,7 +411,9 @@ export const GenerateQRModal = ({ isOpen, onClose, event }) => {
 
                 {/* Scan Instruction */}
                 <p className="text-xs text-slate-400 mt-4 text-center relative z-10">
-                  Scan for event check-in
+                  {rotationSeconds > 0
+                    ? `Live code, changes in ${getSecondsRemaining(rotationSeconds, now)}s. Screenshots will not work.`
+                    : 'Scan for event check-in'}
                 </p>
               </div>
 
@@ -406,24 +438,26 @@ export const GenerateQRModal = ({ isOpen, onClose, event }) => {
                 </div>
               </div>
 
-              {/* Download Button */}
-              <button
-                onClick={downloadQRCode}
-                disabled={downloading}
-                className="w-full flex items-center justify-center space-x-2 bg-blue-900 text-white px-6 py-3 rounded-lg hover:bg-blue-800 transition-colors font-semibold disabled:opacity-50 disabled:cursor-not-allowed"
-              >
-                {downloading ? (
-                  <>
-                    <Loader className="w-5 h-5 animate-spin" />
-                    <span>Downloading...</span>
-                  </>
-                ) : (
-                  <>
-                    <Download className="w-5 h-5" />
-                    <span>Download PNG</span>
-                  </>
-                )}
-              </button>
+              {/* Download Button (a saved image of a rotating code would expire) */}
+              {rotationSeconds === 0 && (
+                <button
+                  onClick={downloadQRCode}
+                  disabled={downloading}
+                  className="w-full flex items-center justify-center space-x-2 bg-blue-900 text-white px-6 py-3 rounded-lg hover:bg-blue-800 transition-colors font-semibold disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  {downloading ? (
+                    <>
+                      <Loader className="w-5 h-5 animate-spin" />
+                      <span>Downloading...</span>
+                    </>
+                  ) : (
+                    <>
+                      <Download className="w-5 h-5" />
+                      <span>Download PNG</span>
+                    </>
+                  )}
+                </button>
+              )}
             </>
           )}
         </div>
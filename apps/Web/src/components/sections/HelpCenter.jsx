@@ -283,7 +283,9 @@ Verification shows:
 - Issue date
 - Certificate preview
 
-Anyone can verify certificates using the certificate number.`
+Anyone can verify certificates using the certificate number.
+
+Certificates are also digitally signed. On the verification page, drop the certificate PDF or paste its signed payload to check it without looking it up online. A genuine signature proves the details were issued by us, but only the online lookup shows whether a certificate was later revoked.`
         },
         {
           id: 'activity-log',
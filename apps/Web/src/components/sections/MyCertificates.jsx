@@ -2,6 +2,10 @@ import React, { useState, useEffect, useMemo, useRef } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { useAuth } from '../../contexts/AuthContext';
 import { CertificateService } from '../../services/certificateService';
+import { EventService } from '../../services/eventService';
+import { getLocalDateString } from '../../utils/attendanceDayUtils';
+import { getLinkedInCertificationUrl } from '../../utils/openBadgeUtils.js';
+import { CertificateRequirements } from '../CertificateRequirements';
 import { usePageVisibility } from '../../hooks/usePageVisibility';
 import { useToast } from '../Toast';
 import { 
@@ -16,9 +20,23 @@ import {
   Image as ImageIcon,
   ChevronDown,
   ChevronUp,
-  Loader2
+  Loader2,
+  Award,
+  BadgeCheck,
+  Linkedin
 } from 'lucide-react';
 
+const saveBlob = (blob, filename) => {
+  const downloadUrl = window.URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = downloadUrl;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  window.URL.revokeObjectURL(downloadUrl);
+};
+
 export const MyCertificates = () => {
   const navigate = useNavigate();
   const { user, isAuthenticated } = useAuth();
@@ -27,12 +45,14 @@ export const MyCertificates = () => {
   const loadingRef = useRef(false);
 
   const [certificates, setCertificates] = useState([]);
+  const [pendingEvents, setPendingEvents] = useState([]);
   const [loading, setLoading] = useState(true);
   const [viewMode, setViewMode] = useState('grid'); // 'grid' or 'list'
   const [searchQuery, setSearchQuery] = useState('');
   const [expandedEvents, setExpandedEvents] = useState(new Set());
   const [downloadingCertId, setDownloadingCertId] = useState(null);
   const [downloadingFormat, setDownloadingFormat] = useState(null);
+  const [exportingBadge, setExportingBadge] = useState(null); // { certId, format }
 
   useEffect(() => {
     if (!isAuthenticated) {
@@ -56,7 +76,10 @@ export const MyCertificates = () => {
     try {
       loadingRef.current = true;
       setLoading(true);
-      const result = await CertificateService.getUserCertificates(user.id);
+      const [result, registrationsResult] = await Promise.all([
+        CertificateService.getUserCertificates(user.id),
+        EventService.getUserRegistrations(user.id)
+      ]);
 
       if (result.error) {
         toast.error(result.error);
@@ -71,6 +94,10 @@ export const MyCertificates = () => {
           }
         }
       }
+
+      if (!result.error && !registrationsResult.error) {
+        await loadPendingEvents(registrationsResult.registrations || [], result.certificates || []);
+      }
     } catch (error) {
       console.error('Error loading certificates:', error);
       toast.error('Failed to load certificates');
@@ -81,6 +108,23 @@ export const MyCertificates = () => {
     }
   };
 
+  // Events that have started but have no certificate yet, with the
+  // certificate requirements the participant still has to meet
+  const loadPendingEvents = async (registrations, issuedCertificates) => {
+    const today = getLocalDateString();
+    const issuedEventIds = new Set(issuedCertificates.map(cert => cert.event_id));
+    const startedEvents = registrations
+      .map(registration => registration.events)
+      .filter(event => event && event.start_date <= today && event.status !== 'cancelled' && !issuedEventIds.has(event.id));
+
+    const pending = await Promise.all(startedEvents.map(async (event) => {
+      const eligibilityResult = await CertificateService.checkCertificateEligibility(event, user.id);
+      return { event, eligibility: eligibilityResult.eligibility };
+    }));
+
+    setPendingEvents(pending.filter(entry => entry.eligibility));
+  };
+
   // Group certificates by event
   const groupedCertificates = useMemo(() => {
     const grouped = {};
@@ -189,6 +233,67 @@ export const MyCertificates = () => {
     }
   };
 
+  // Open Badges export: the assertion JSON, the certificate image with the
+  // assertion baked in, or LinkedIn's add-certification form
+  const handleExportBadge = async (certificate, format) => {
+    setExportingBadge({ certId: certificate.id, format });
+    try {
+      const result = await CertificateService.getOpenBadgeAssertion(certificate.certificate_number, window.location.origin);
+      if (result.error) {
+        toast.error(result.error);
+        return;
+      }
+
+      if (format === 'linkedin') {
+        window.open(getLinkedInCertificationUrl(result.badge, window.location.origin), '_blank', 'noopener,noreferrer');
+        return;
+      }
+
+      if (format === 'json') {
+        const json = JSON.stringify(result.assertion, null, 2);
+        saveBlob(new Blob([json], { type: 'application/ld+json' }), `${certificate.certificate_number}-badge.json`);
+        toast.success('Open Badge downloaded');
+        return;
+      }
+
+      const bakeResult = await CertificateService.bakeOpenBadge(certificate.certificate_png_url, result.assertion);
+      if (bakeResult.error) {
+        toast.error(bakeResult.error);
+        return;
+      }
+      saveBlob(bakeResult.blob, `${certificate.certificate_number}-badge.png`);
+      toast.success('Open Badge image downloaded');
+    } finally {
+      setExportingBadge(null);
+    }
+  };
+
+  const renderBadgeActions = (cert) => {
+    if (cert.status === 'revoked') return null;
+
+    const isExporting = (format) => exportingBadge?.certId === cert.id && exportingBadge?.format === format;
+    const actionClass = 'flex items-center gap-1 text-xs font-medium text-slate-600 hover:text-blue-700 disabled:opacity-50';
+
+    return (
+      <div className="flex flex-wrap items-center gap-x-4 gap-y-1 mt-2">
+        {cert.certificate_png_url && (
+          <button onClick={() => handleExportBadge(cert, 'png')} disabled={!!exportingBadge} className={actionClass}>
+            {isExporting('png') ? <Loader2 className="w-3.5 h-3.5 animate-spin" /> : <BadgeCheck className="w-3.5 h-3.5" />}
+            Open Badge
+          </button>
+        )}
+        <button onClick={() => handleExportBadge(cert, 'json')} disabled={!!exportingBadge} className={actionClass}>
+          {isExporting('json') ? <Loader2 className="w-3.5 h-3.5 animate-spin" /> : <FileText className="w-3.5 h-3.5" />}
+          Badge JSON
+        </button>
+        <button onClick={() => handleExportBadge(cert, 'linkedin')} disabled={!!exportingBadge} className={actionClass}>
+          {isExporting('linkedin') ? <Loader2 className="w-3.5 h-3.5 animate-spin" /> : <Linkedin className="w-3.5 h-3.5" />}
+          Add to LinkedIn
+        </button>
+      </div>
+    );
+  };
+
   const formatDate = (dateString) => {
     if (!dateString) return 'N/A';
     return new Date(dateString).toLocaleDateString('en-US', {
@@ -222,6 +327,10 @@ export const MyCertificates = () => {
 
   const eventGroups = Object.values(filteredGroupedCertificates);
   const totalCertificates = certificates.length;
+  const query = searchQuery.toLowerCase().trim();
+  const visiblePendingEvents = pendingEvents.filter(({ event }) =>
+    (event.title || '').toLowerCase().includes(query)
+  );
 
   return (
     <section className="min-h-screen bg-gradient-to-br from-slate-50 to-blue-50 p-4 sm:p-6 lg:p-8">
@@ -275,6 +384,41 @@ export const MyCertificates = () => {
           </div>
         </div>
 
+        {/* Certificates not issued yet */}
+        {visiblePendingEvents.length > 0 && (
+          <div className="mb-8">
+            <h2 className="text-lg font-semibold text-slate-800 mb-3">In Progress</h2>
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              {visiblePendingEvents.map(({ event, eligibility }) => (
+                <div key={event.id} className="bg-white rounded-xl shadow-sm p-4 sm:p-6">
+                  <h3 className="font-semibold text-slate-800 mb-1">{event.title}</h3>
+                  <div className="flex items-center gap-1 text-sm text-slate-600 mb-4">
+                    <Calendar className="w-4 h-4" />
+                    <span>{formatDate(event.start_date)}</span>
+                    {event.end_date && event.end_date !== event.start_date && (
+                      <span> - {formatDate(event.end_date)}</span>
+                    )}
+                  </div>
+                  <CertificateRequirements requirements={eligibility.requirements} />
+                  {eligibility.eligible ? (
+                    <button
+                      onClick={() => navigate(`/certificate?eventId=${event.id}`)}
+                      className="mt-4 w-full flex items-center justify-center gap-2 px-4 py-2 bg-blue-600 text-white text-sm rounded-lg hover:bg-blue-700 transition-colors"
+                    >
+                      <Award className="w-4 h-4" />
+                      Get Certificate
+                    </button>
+                  ) : (
+                    <p className="mt-4 text-xs text-slate-500">
+                      Your certificate becomes available once every requirement is met.
+                    </p>
+                  )}
+                </div>
+              ))}
+            </div>
+          </div>
+        )}
+
         {/* Certificates Count */}
         {totalCertificates > 0 && (
           <div className="mb-4 text-slate-600">
@@ -374,6 +518,11 @@ export const MyCertificates = () => {
                                 <div className="text-sm font-medium text-slate-800">
                                   Certificate #{cert.certificate_number}
                                 </div>
+                                {cert.status === 'revoked' && (
+                                  <div className="text-xs text-red-700 bg-red-50 border border-red-200 rounded px-2 py-1">
+                                    Revoked by the organizer{cert.status_reason ? `: ${cert.status_reason}` : ''}
+                                  </div>
+                                )}
                                 <div className="text-xs text-slate-600">
                                   <div>Issued: {formatDateTime(cert.generated_at)}</div>
                                   <div>Completion: {formatDate(cert.completion_date)}</div>
@@ -381,7 +530,7 @@ export const MyCertificates = () => {
 
                                 {/* Download Buttons */}
                                 <div className="flex gap-2 mt-4">
-                                  {cert.certificate_pdf_url && (
+                                  {cert.certificate_pdf_url && cert.status !== 'revoked' && (
                                     <button
                                       onClick={() => handleDownload(cert, 'pdf')}
                                       disabled={downloadingCertId === cert.id && downloadingFormat === 'pdf'}
@@ -395,7 +544,7 @@ export const MyCertificates = () => {
                                       PDF
                                     </button>
                                   )}
-                                  {cert.certificate_png_url && (
+                                  {cert.certificate_png_url && cert.status !== 'revoked' && (
                                     <button
                                       onClick={() => handleDownload(cert, 'png')}
                                       disabled={downloadingCertId === cert.id && downloadingFormat === 'png'}
@@ -410,6 +559,7 @@ export const MyCertificates = () => {
                                     </button>
                                   )}
                                 </div>
+                                {renderBadgeActions(cert)}
                               </div>
                             </div>
                           ))}
@@ -449,16 +599,22 @@ export const MyCertificates = () => {
                                   <div className="font-medium text-slate-800 mb-1">
                                     Certificate #{cert.certificate_number}
                                   </div>
+                                  {cert.status === 'revoked' && (
+                                    <div className="text-xs text-red-700 bg-red-50 border border-red-200 rounded px-2 py-1 mb-1 inline-block">
+                                      Revoked by the organizer{cert.status_reason ? `: ${cert.status_reason}` : ''}
+                                    </div>
+                                  )}
                                   <div className="text-sm text-slate-600 space-y-1">
                                     <div>Issued: {formatDateTime(cert.generated_at)}</div>
                                     <div>Completion Date: {formatDate(cert.completion_date)}</div>
                                     <div>Participant: {cert.participant_name}</div>
                                   </div>
+                                  {renderBadgeActions(cert)}
                                 </div>
 
                                 {/* Download Buttons */}
                                 <div className="flex gap-2 flex-shrink-0">
-                                  {cert.certificate_pdf_url && (
+                                  {cert.certificate_pdf_url && cert.status !== 'revoked' && (
                                     <button
                                       onClick={() => handleDownload(cert, 'pdf')}
                                       disabled={downloadingCertId === cert.id && downloadingFormat === 'pdf'}
@@ -472,7 +628,7 @@ export const MyCertificates = () => {
                                       PDF
                                     </button>
                                   )}
-                                  {cert.certificate_png_url && (
+                                  {cert.certificate_png_url && cert.status !== 'revoked' && (
                                     <button
                                       onClick={() => handleDownload(cert, 'png')}
                                       disabled={downloadingCertId === cert.id && downloadingFormat === 'png'}
@@ -1,12 +1,15 @@
 import React, { useEffect, useState, useRef } from 'react';
 import { Link, useNavigate } from 'react-router-dom';
 import { motion } from "framer-motion";
-import { ChevronLeft, ChevronRight, Calendar, MapPin, Clock, Users } from "lucide-react";
+import { ChevronLeft, ChevronRight, Calendar, MapPin, Clock, Users, CalendarPlus, Rss, CheckCircle } from "lucide-react";
 import EventModal from './EventModal';
 import { GenerateQRModal } from './GenerateQR';
 import CertificateGenerator from '../CertificateGenerator';
 import { EventService } from '../../services/eventService';
+import { CertificateService } from '../../services/certificateService';
+import { describeMissingRequirements } from '../../utils/certificateEligibilityUtils';
 import { SurveyService } from '../../services/surveyService';
+import { CalendarService } from '../../services/calendarService';
 import { useAuth } from '../../contexts/AuthContext';
 import { usePageVisibility } from '../../hooks/usePageVisibility';
 import { useToast } from '../Toast';
@@ -127,10 +130,12 @@ export const MyEvents = () => {
           // Check check-in and survey completion status for each event
           if (user?.id && events.length > 0) {
             const statusPromises = events.map(async (event) => {
-              const [checkInResult, surveyResult, surveyAvailabilityResult] = await Promise.all([
+              const [checkInResult, surveyResult, surveyAvailabilityResult, dayResult, eligibilityResult] = await Promise.all([
                 EventService.checkUserCheckInStatus(event.id, user.id),
                 EventService.checkUserSurveyCompletion(event.id, user.id),
-                SurveyService.getSurveysByEvent(event.id)
+                SurveyService.getSurveysByEvent(event.id),
+                EventService.checkAttendanceDayRequirement(event, user.id),
+                CertificateService.checkCertificateEligibility(event, user.id)
               ]);
 
               // Check if survey is available (active and open)
@@ -155,7 +160,9 @@ export const MyEvents = () => {
                 isCheckedIn: checkInResult.isCheckedIn || false,
                 isValidated: checkInResult.isValidated || false,
                 surveyCompleted: surveyResult.isCompleted || false,
-                isSurveyAvailable: isSurveyAvailable
+                isSurveyAvailable: isSurveyAvailable,
+                dayRequirement: dayResult,
+                certificateEligibility: eligibilityResult.eligibility
               };
             });
 
@@ -166,7 +173,9 @@ export const MyEvents = () => {
                 isCheckedIn: status.isCheckedIn,
                 isValidated: status.isValidated,
                 surveyCompleted: status.surveyCompleted,
-                isSurveyAvailable: status.isSurveyAvailable
+                isSurveyAvailable: status.isSurveyAvailable,
+                dayRequirement: status.dayRequirement,
+                certificateEligibility: status.certificateEligibility
               };
             });
             setEventStatuses(statusMap);
@@ -296,6 +305,39 @@ export const MyEvents = () => {
     }
   });
 
+  const copyToClipboard = async (text, successMessage) => {
+    try {
+      await navigator.clipboard.writeText(text);
+      toast.success(successMessage);
+    } catch (err) {
+      console.error('Failed to copy:', err);
+      toast.error('Failed to copy the link. Please try again.');
+    }
+  };
+
+  const handleDownloadCalendar = async () => {
+    const result = await CalendarService.downloadUserEvents(user.id);
+    if (result.error) {
+      toast.error(result.error);
+    }
+  };
+
+  const handleCopyPersonalFeed = async (regenerate = false) => {
+    const result = regenerate
+      ? await CalendarService.regenerateFeedToken(user.id)
+      : await CalendarService.getFeedToken(user.id);
+    if (result.error) {
+      toast.error(result.error);
+      return;
+    }
+    await copyToClipboard(
+      CalendarService.getUserFeedUrl(result.token),
+      regenerate
+        ? 'New calendar link copied. The old link no longer works.'
+        : 'Calendar link copied. Add it to your calendar app as a subscription.'
+    );
+  };
+
   const handleUnregisterClick = (eventId, eventTitle) => {
     setUnregisterDialog({
       isOpen: true,
@@ -588,6 +630,48 @@ export const MyEvents = () => {
             )}
           </div>
 
+          {/* Calendar Export */}
+          <div className="bg-white rounded-2xl shadow-lg border border-slate-200 p-4 sm:p-6 mb-6 sm:mb-8">
+            <div className="flex flex-col lg:flex-row lg:items-center lg:justify-between gap-4">
+              <div>
+                <h3 className="font-semibold text-slate-800">Add to your calendar</h3>
+                <p className="text-sm text-slate-600">
+                  Subscribe once and your calendar stays up to date when events change or are cancelled.
+                </p>
+              </div>
+              <div className="flex flex-wrap gap-2">
+                <button
+                  onClick={handleDownloadCalendar}
+                  className="inline-flex items-center gap-2 px-4 py-2 border border-slate-300 text-slate-700 rounded-lg hover:bg-slate-50 transition-colors text-sm font-medium"
+                >
+                  <CalendarPlus size={16} />
+                  Download .ics
+                </button>
+                <button
+                  onClick={() => handleCopyPersonalFeed()}
+                  className="inline-flex items-center gap-2 px-4 py-2 bg-blue-900 text-white rounded-lg hover:bg-blue-800 transition-colors text-sm font-medium"
+                >
+                  <Rss size={16} />
+                  Copy My Calendar Link
+                </button>
+                <button
+                  onClick={() => copyToClipboard(CalendarService.getPublicFeedUrl(), 'Public events calendar link copied.')}
+                  className="inline-flex items-center gap-2 px-4 py-2 border border-blue-200 text-blue-800 rounded-lg hover:bg-blue-50 transition-colors text-sm font-medium"
+                >
+                  <Rss size={16} />
+                  All Public Events
+                </button>
+                <button
+                  onClick={() => handleCopyPersonalFeed(true)}
+                  className="px-3 py-2 text-xs text-slate-500 hover:text-red-600 transition-colors"
+                  title="Create a new link if your calendar link was shared by mistake"
+                >
+                  Reset my link
+                </button>
+              </div>
+            </div>
+          </div>
+
           {/* Registered Events Grid */}
           {filteredAndSortedEvents.length === 0 ? (
             <div className="text-center py-12">
@@ -623,8 +707,14 @@ export const MyEvents = () => {
               {filteredAndSortedEvents.map((event) => {
                 const eventStatus = getEventStatus(event);
                 const eventStatusData = eventStatuses[event.id] || { isCheckedIn: false, isValidated: false, surveyCompleted: false, isSurveyAvailable: false };
-                const canTakeSurvey = eventStatusData.isCheckedIn && eventStatusData.isSurveyAvailable;
-                const canGenerateCert = eventStatusData.isCheckedIn && eventStatusData.isValidated && eventStatusData.surveyCompleted;
+                const dayRequirement = eventStatusData.dayRequirement;
+                const meetsDayRequirement = !dayRequirement || dayRequirement.eligible;
+                const canTakeSurvey = eventStatusData.isCheckedIn && eventStatusData.isSurveyAvailable && meetsDayRequirement;
+                const certificateEligibility = eventStatusData.certificateEligibility;
+                const canGenerateCert = !!certificateEligibility?.eligible;
+                const certificateBlockedReason = certificateEligibility
+                  ? describeMissingRequirements(certificateEligibility)
+                  : 'Could not check the certificate requirements. Please try again later.';
 
                 return (
                   <div
@@ -699,6 +789,15 @@ export const MyEvents = () => {
                             <span className="line-clamp-1">{event.venue}</span>
                           </div>
                         )}
+                        {dayRequirement && dayRequirement.totalDays > 1 && (
+                          <div className={`flex items-center text-sm ${meetsDayRequirement ? 'text-green-700' : 'text-amber-700'}`}>
+                            <CheckCircle className="w-4 h-4 mr-2" />
+                            <span>
+                              Attended {dayRequirement.attended} of {dayRequirement.totalDays} days
+                              {dayRequirement.required > 0 && ` (${dayRequirement.required} required)`}
+                            </span>
+                          </div>
+                        )}
                       </div>
 
                       {/* Action Buttons */}
@@ -727,6 +826,10 @@ export const MyEvents = () => {
                               toast.warning('Please check in to the event first before taking the survey.');
                               return;
                             }
+                            if (!meetsDayRequirement) {
+                              toast.warning(dayRequirement.error);
+                              return;
+                            }
                             if (!eventStatusData.isSurveyAvailable) {
                               toast.warning('The survey for this event is currently closed.');
                               return;
@@ -750,20 +853,20 @@ export const MyEvents = () => {
                             ? 'bg-blue-800 text-white hover:bg-blue-700'
                             : 'bg-gray-300 text-gray-500 cursor-not-allowed'
                             }`}
-                          title={!canTakeSurvey ? (!eventStatusData.isCheckedIn ? 'Please check in to the event first' : 'The survey is currently closed') : ''}
+                          title={!canTakeSurvey ? (
+                            !eventStatusData.isCheckedIn
+                              ? 'Please check in to the event first'
+                              : !meetsDayRequirement
+                                ? dayRequirement.error
+                                : 'The survey is currently closed'
+                          ) : ''}
                         >
                           Take Evaluation
                         </button>
                         <button
                           onClick={() => {
                             if (!canGenerateCert) {
-                              if (!eventStatusData.isCheckedIn) {
-                                toast.warning('Please check in to the event first.');
-                              } else if (!eventStatusData.isValidated) {
-                                toast.warning('Your attendance must be validated by the organizer before generating a certificate.');
-                              } else if (!eventStatusData.surveyCompleted) {
-                                toast.warning('Please complete the survey/evaluation first.');
-                              }
+                              toast.warning(certificateBlockedReason);
                               return;
                             }
                             setCertificateEventId(event.id);
@@ -774,13 +877,7 @@ export const MyEvents = () => {
                             ? 'bg-blue-500 text-white hover:bg-blue-600'
                             : 'bg-gray-300 text-gray-500 cursor-not-allowed'
                             }`}
-                          title={!canGenerateCert ? (
-                            !eventStatusData.isCheckedIn
-                              ? 'Please check in first'
-                              : !eventStatusData.isValidated
-                                ? 'Your attendance must be validated first'
-                                : 'Please complete the survey first'
-                          ) : ''}
+                          title={!canGenerateCert ? certificateBlockedReason : ''}
                         >
                           Generate Certificate
                         </button>
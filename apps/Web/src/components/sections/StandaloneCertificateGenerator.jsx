@@ -10,6 +10,8 @@ import Papa from 'papaparse';
 import * as XLSX from 'xlsx';
 import { Upload, X, Plus, Trash2, Loader2, FileText, Users, Settings, Eye, Download, CheckCircle, CheckCircle2, XCircle } from 'lucide-react';
 import { JobStatusViewer } from '../JobStatusViewer';
+import { CertificateImportMapper, CertificateImportBatch } from '../CertificateBulkImport';
+import { fetchFilesAsZip } from '../../utils/zipUtils';
 
 export const StandaloneCertificateGenerator = () => {
   const navigate = useNavigate();
@@ -21,7 +23,9 @@ export const StandaloneCertificateGenerator = () => {
   const [events, setEvents] = useState([]);
   const [selectedEventId, setSelectedEventId] = useState('');
   const [selectedEvent, setSelectedEvent] = useState(null);
-  const [participants, setParticipants] = useState([]); // Array of strings (names) or objects (from event)
+  const [participants, setParticipants] = useState([]); // Array of strings (names) or objects (from event or an imported file)
+  const [importFile, setImportFile] = useState(null); // Uploaded recipient list awaiting column mapping
+  const [batchRows, setBatchRows] = useState([]); // Per-recipient status of the last queued batch
   const [participantInput, setParticipantInput] = useState('');
   const [inputMode, setInputMode] = useState('manual'); // 'manual', 'file', or 'event'
   const [eventParticipants, setEventParticipants] = useState([]); // Registered participants from selected event
@@ -131,6 +135,9 @@ export const StandaloneCertificateGenerator = () => {
         if (state.inputMode) {
           setInputMode(state.inputMode);
         }
+        if (state.batchRows && state.batchRows.length > 0) {
+          setBatchRows(state.batchRows);
+        }
         if (state.jobIds && state.jobIds.length > 0) {
           setJobIds(state.jobIds);
           // Check job statuses
@@ -178,10 +185,11 @@ export const StandaloneCertificateGenerator = () => {
       selectedEventId,
       participants,
       inputMode,
-      jobIds
+      jobIds,
+      batchRows
     };
     sessionStorage.setItem(storageKey, JSON.stringify(state));
-  }, [selectedEventId, participants, inputMode, jobIds, isAuthenticated, user]);
+  }, [selectedEventId, participants, inputMode, jobIds, batchRows, isAuthenticated, user]);
 
   useEffect(() => {
     if (selectedEventId) {
@@ -450,113 +458,60 @@ export const StandaloneCertificateGenerator = () => {
     }
   };
 
-  const handleDownloadAllPDF = async () => {
+  // Bundle every listed certificate in one ZIP, rather than one download each
+  const downloadAllAsZip = async (format, setDownloading) => {
     if (completedCertificates.length === 0) {
       toast.info('No certificates to download');
       return;
     }
 
-    const pdfCerts = completedCertificates.filter(cert => cert.pdfUrl);
-    if (pdfCerts.length === 0) {
-      toast.info('No PDF certificates available to download');
+    const label = format.toUpperCase();
+    const files = completedCertificates
+      .filter(cert => (format === 'pdf' ? cert.pdfUrl : cert.pngUrl))
+      .map((cert, i) => ({
+        name: `certificate-${cert.certificateNumber || `cert-${i + 1}`}.${format}`,
+        url: format === 'pdf' ? cert.pdfUrl : cert.pngUrl
+      }));
+    if (files.length === 0) {
+      toast.info(`No ${label} certificates available to download`);
       return;
     }
 
-    setDownloadingAllPDF(true);
+    setDownloading(true);
 
     try {
-      let successCount = 0;
-      // Download all PDF certificates sequentially to avoid browser blocking
-      for (let i = 0; i < pdfCerts.length; i++) {
-        const cert = pdfCerts[i];
-
-        try {
-          const response = await fetch(cert.pdfUrl);
-          if (response.ok) {
-            const blob = await response.blob();
-            const downloadUrl = window.URL.createObjectURL(blob);
-            const link = document.createElement('a');
-            link.href = downloadUrl;
-            link.download = `certificate-${cert.certificateNumber || `cert-${i + 1}`}.pdf`;
-            document.body.appendChild(link);
-            link.click();
-            document.body.removeChild(link);
-            window.URL.revokeObjectURL(downloadUrl);
-            successCount++;
-            // Small delay between downloads
-            await new Promise(resolve => setTimeout(resolve, 300));
-          }
-        } catch (err) {
-          console.error(`Failed to download PDF for ${cert.participantName}:`, err);
-        }
+      const { zip, added, failed } = await fetchFilesAsZip(files);
+      if (!zip) {
+        toast.error(`Failed to download ${label} certificates`);
+        return;
       }
 
-      if (successCount > 0) {
-        toast.success(`Downloaded ${successCount} PDF certificate(s)`);
+      const downloadUrl = window.URL.createObjectURL(zip);
+      const link = document.createElement('a');
+      link.href = downloadUrl;
+      link.download = `certificates-${format}-${new Date().toISOString().split('T')[0]}.zip`;
+      document.body.appendChild(link);
+      link.click();
+      document.body.removeChild(link);
+      window.URL.revokeObjectURL(downloadUrl);
+
+      if (failed.length > 0) {
+        console.error(`Failed to download ${label} certificates:`, failed);
+        toast.warning(`Downloaded ${added} ${label} certificate(s); ${failed.length} could not be fetched`);
       } else {
-        toast.error('Failed to download PDF certificates');
+        toast.success(`Downloaded ${added} ${label} certificate(s)`);
       }
     } catch (err) {
-      console.error('Download all PDF error:', err);
-      toast.error(`Failed to download some PDF certificates: ${err.message || 'Unknown error'}`);
+      console.error(`Download all ${label} error:`, err);
+      toast.error(`Failed to download ${label} certificates: ${err.message || 'Unknown error'}`);
     } finally {
-      setDownloadingAllPDF(false);
+      setDownloading(false);
     }
   };
 
-  const handleDownloadAllPNG = async () => {
-    if (completedCertificates.length === 0) {
-      toast.info('No certificates to download');
-      return;
-    }
-
-    const pngCerts = completedCertificates.filter(cert => cert.pngUrl);
-    if (pngCerts.length === 0) {
-      toast.info('No PNG certificates available to download');
-      return;
-    }
-
-    setDownloadingAllPNG(true);
-
-    try {
-      let successCount = 0;
-      // Download all PNG certificates sequentially to avoid browser blocking
-      for (let i = 0; i < pngCerts.length; i++) {
-        const cert = pngCerts[i];
-
-        try {
-          const response = await fetch(cert.pngUrl);
-          if (response.ok) {
-            const blob = await response.blob();
-            const downloadUrl = window.URL.createObjectURL(blob);
-            const link = document.createElement('a');
-            link.href = downloadUrl;
-            link.download = `certificate-${cert.certificateNumber || `cert-${i + 1}`}.png`;
-            document.body.appendChild(link);
-            link.click();
-            document.body.removeChild(link);
-            window.URL.revokeObjectURL(downloadUrl);
-            successCount++;
-            // Small delay between downloads
-            await new Promise(resolve => setTimeout(resolve, 300));
-          }
-        } catch (err) {
-          console.error(`Failed to download PNG for ${cert.participantName}:`, err);
-        }
-      }
+  const handleDownloadAllPDF = () => downloadAllAsZip('pdf', setDownloadingAllPDF);
 
-      if (successCount > 0) {
-        toast.success(`Downloaded ${successCount} PNG certificate(s)`);
-      } else {
-        toast.error('Failed to download PNG certificates');
-      }
-    } catch (err) {
-      console.error('Download all PNG error:', err);
-      toast.error(`Failed to download some PNG certificates: ${err.message || 'Unknown error'}`);
-    } finally {
-      setDownloadingAllPNG(false);
-    }
-  };
+  const handleDownloadAllPNG = () => downloadAllAsZip('png', setDownloadingAllPNG);
 
   const getDefaultConfig = () => ({
     event_id: selectedEventId || null,
@@ -730,7 +685,18 @@ export const StandaloneCertificateGenerator = () => {
     if (!file) return;
 
     const fileExtension = file.name.split('.').pop()?.toLowerCase();
-    const newParticipants = [];
+
+    // Rows are mapped to names, emails and merge fields in the import preview
+    const showImport = (rows) => {
+      if (fileInputRef.current) {
+        fileInputRef.current.value = '';
+      }
+      if (rows.length === 0) {
+        toast.error('No rows found in the file. Please ensure it has a header row.');
+        return;
+      }
+      setImportFile({ fileName: file.name, rows, key: Date.now() });
+    };
 
     try {
       if (fileExtension === 'csv') {
@@ -738,29 +704,7 @@ export const StandaloneCertificateGenerator = () => {
         Papa.parse(file, {
           header: true,
           skipEmptyLines: true,
-          complete: (results) => {
-            const names = results.data
-              .map(row => {
-                // Try common column names
-                const name = row.name || row.Name || row.NAME ||
-                  row.participant || row.Participant || row.PARTICIPANT ||
-                  row['Participant Name'] || row['participant name'] ||
-                  Object.values(row)[0]; // First column as fallback
-                return name?.toString().trim();
-              })
-              .filter(name => name && name.length > 0);
-
-            if (names.length === 0) {
-              toast.error('No valid names found in CSV. Please ensure the file has a "name" column.');
-              return;
-            }
-
-            setParticipants([...participants, ...names]);
-            toast.success(`Imported ${names.length} participant(s) from CSV`);
-            if (fileInputRef.current) {
-              fileInputRef.current.value = '';
-            }
-          },
+          complete: (results) => showImport(results.data),
           error: (error) => {
             toast.error(`Failed to parse CSV: ${error.message}`);
           }
@@ -773,28 +717,7 @@ export const StandaloneCertificateGenerator = () => {
             const data = new Uint8Array(e.target?.result);
             const workbook = XLSX.read(data, { type: 'array' });
             const firstSheet = workbook.Sheets[workbook.SheetNames[0]];
-            const jsonData = XLSX.utils.sheet_to_json(firstSheet);
-
-            const names = jsonData
-              .map(row => {
-                const name = row.name || row.Name || row.NAME ||
-                  row.participant || row.Participant || row.PARTICIPANT ||
-                  row['Participant Name'] || row['participant name'] ||
-                  Object.values(row)[0];
-                return name?.toString().trim();
-              })
-              .filter(name => name && name.length > 0);
-
-            if (names.length === 0) {
-              toast.error('No valid names found in Excel file. Please ensure the file has a "name" column.');
-              return;
-            }
-
-            setParticipants([...participants, ...names]);
-            toast.success(`Imported ${names.length} participant(s) from Excel`);
-            if (fileInputRef.current) {
-              fileInputRef.current.value = '';
-            }
+            showImport(XLSX.utils.sheet_to_json(firstSheet, { defval: '' }));
           } catch (err) {
             toast.error(`Failed to parse Excel file: ${err.message}`);
           }
@@ -808,6 +731,20 @@ export const StandaloneCertificateGenerator = () => {
     }
   };
 
+  const handleImportRows = (rows, { sendEmail }) => {
+    setParticipants([
+      ...participants,
+      ...rows.map(row => ({
+        participantName: row.participantName,
+        email: row.email,
+        fields: row.fields,
+        sendEmail: sendEmail && !!row.email
+      }))
+    ]);
+    setImportFile(null);
+    toast.success(`Imported ${rows.length} participant(s) from ${importFile?.fileName || 'the file'}`);
+  };
+
   const handleGenerate = async () => {
     if (participants.length === 0) {
       toast.error('Please add at least one participant');
@@ -834,6 +771,7 @@ export const StandaloneCertificateGenerator = () => {
     setGenerating(true);
     setGenerationProgress({ current: 0, total: participants.length });
     const newJobIds = [];
+    const newBatchRows = [];
 
     try {
       // Queue a job for each participant
@@ -864,6 +802,9 @@ export const StandaloneCertificateGenerator = () => {
         // We'll use a special identifier or null
         const eventIdForJob = selectedEventId || 'standalone';
 
+        // Only imported recipients are emailed, and only when the organizer asked for it
+        const recipientEmail = typeof participant === 'object' && participant.sendEmail ? participant.email : undefined;
+
         const jobResult = await JobQueueService.queueCertificateGeneration(
           {
             eventId: eventIdForJob,
@@ -871,7 +812,9 @@ export const StandaloneCertificateGenerator = () => {
             participantName: participantName,
             eventTitle: eventTitle,
             completionDate: completionDate,
-            config: !selectedEventId ? configToUse : undefined // Pass config for standalone
+            config: !selectedEventId ? configToUse : undefined, // Pass config for standalone
+            fields: typeof participant === 'object' ? participant.fields : undefined,
+            recipientEmail
           },
           user.id,
           5
@@ -880,12 +823,24 @@ export const StandaloneCertificateGenerator = () => {
         if (jobResult.job?.id) {
           newJobIds.push(jobResult.job.id);
         }
+        newBatchRows.push({
+          participantName,
+          recipientEmail: recipientEmail || null,
+          jobId: jobResult.job?.id || null,
+          status: jobResult.job?.id ? 'pending' : null,
+          queueError: jobResult.job?.id ? null : jobResult.error || 'Failed to queue'
+        });
 
         setGenerationProgress({ current: i + 1, total: participants.length });
       }
 
       setJobIds(newJobIds);
-      toast.success(`Queued ${participants.length} certificate(s) for generation. Processing in background...`);
+      setBatchRows(newBatchRows);
+      if (newJobIds.length < participants.length) {
+        toast.warning(`Queued ${newJobIds.length} of ${participants.length} certificate(s). See the batch list for the ones that failed.`);
+      } else {
+        toast.success(`Queued ${participants.length} certificate(s) for generation. Processing in background...`);
+      }
 
       // Save jobIds to sessionStorage
       const storageKey = 'standalone_cert_generator_state';
@@ -1140,27 +1095,39 @@ export const StandaloneCertificateGenerator = () => {
               {/* File Upload */}
               {inputMode === 'file' && (
                 <div className="space-y-4">
-                  <div className="border-2 border-dashed border-slate-300 rounded-lg p-4 sm:p-6 text-center">
-                    <Upload className="w-12 h-12 text-slate-400 mx-auto mb-4" />
-                    <p className="text-slate-600 mb-2">Upload CSV or Excel file</p>
-                    <p className="text-sm text-slate-500 mb-4">
-                      File should have a "name" column with participant names
-                    </p>
-                    <input
-                      ref={fileInputRef}
-                      type="file"
-                      accept=".csv,.xlsx,.xls"
-                      onChange={handleFileUpload}
-                      className="hidden"
-                      id="participant-file-input"
+                  {importFile ? (
+                    <CertificateImportMapper
+                      key={importFile.key}
+                      fileName={importFile.fileName}
+                      rows={importFile.rows}
+                      existingNames={participants.map(p => (typeof p === 'string' ? p : p.participantName || ''))}
+                      onImport={handleImportRows}
+                      onCancel={() => setImportFile(null)}
                     />
-                    <label
-                      htmlFor="participant-file-input"
-                      className="inline-block px-6 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors cursor-pointer"
-                    >
-                      Choose File
-                    </label>
-                  </div>
+                  ) : (
+                    <div className="border-2 border-dashed border-slate-300 rounded-lg p-4 sm:p-6 text-center">
+                      <Upload className="w-12 h-12 text-slate-400 mx-auto mb-4" />
+                      <p className="text-slate-600 mb-2">Upload CSV or Excel file</p>
+                      <p className="text-sm text-slate-500 mb-4">
+                        One recipient per row with a name column, and optionally an email column and any custom fields,
+                        such as a score for {'{{score}}'} in the certificate text. You can map the columns before importing.
+                      </p>
+                      <input
+                        ref={fileInputRef}
+                        type="file"
+                        accept=".csv,.xlsx,.xls"
+                        onChange={handleFileUpload}
+                        className="hidden"
+                        id="participant-file-input"
+                      />
+                      <label
+                        htmlFor="participant-file-input"
+                        className="inline-block px-6 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors cursor-pointer"
+                      >
+                        Choose File
+                      </label>
+                    </div>
+                  )}
                 </div>
               )}
 
@@ -1278,6 +1245,11 @@ export const StandaloneCertificateGenerator = () => {
                             {displayEmail && (
                               <p className="text-xs text-slate-500">{displayEmail}</p>
                             )}
+                            {typeof participant === 'object' && participant.fields && (
+                              <p className="text-xs text-slate-500">
+                                {Object.entries(participant.fields).map(([field, value]) => `${field}: ${value}`).join(' · ')}
+                              </p>
+                            )}
                           </div>
                           <button
                             onClick={() => handleRemoveParticipant(index)}
@@ -1365,6 +1337,13 @@ export const StandaloneCertificateGenerator = () => {
               )}
             </div>
 
+            {/* Per-recipient status of the last batch */}
+            <CertificateImportBatch
+              rows={batchRows}
+              onRowsChange={setBatchRows}
+              onClear={() => setBatchRows([])}
+            />
+
             {/* Download Certificates Section */}
             {completedCertificates.length > 0 && (
               <div className="bg-white rounded-2xl shadow-lg border border-slate-200 p-4 sm:p-6">
@@ -1416,7 +1395,7 @@ export const StandaloneCertificateGenerator = () => {
                       ) : (
                         <>
                           <Download className="w-4 h-4" />
-                          <span>Download All PDF</span>
+                          <span>Download All PDF (ZIP)</span>
                         </>
                       )}
                     </button>
@@ -1434,7 +1413,7 @@ export const StandaloneCertificateGenerator = () => {
                       ) : (
                         <>
                           <Download className="w-4 h-4" />
-                          <span>Download All PNG</span>
+                          <span>Download All PNG (ZIP)</span>
                         </>
                       )}
                     </button>
@@ -1523,7 +1502,7 @@ export const StandaloneCertificateGenerator = () => {
                 </div>
                 <div>
                   <p className="font-medium text-slate-700 mb-1">2. Add Participants</p>
-                  <p>Manually enter names or import from CSV/Excel file with a "name" column.</p>
+                  <p>Manually enter names or import a CSV/Excel list of recipients with names, emails and custom fields.</p>
                 </div>
                 <div>
                   <p className="font-medium text-slate-700 mb-1">3. Customize (If Event Selected)</p>
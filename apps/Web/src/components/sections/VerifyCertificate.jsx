@@ -1,20 +1,21 @@
 import React, { useState, useEffect } from 'react';
-import { useParams } from 'react-router-dom';
+import { Link, useLocation, useParams } from 'react-router-dom';
 import { CertificateService } from '../../services/certificateService';
-import { CheckCircle, XCircle, Calendar, User, Award, FileText } from 'lucide-react';
+import { SignedCertificateCheck } from '../SignedCertificateCheck';
+import { CheckCircle, XCircle, Calendar, User, Award, FileText, RefreshCw } from 'lucide-react';
 
 export const VerifyCertificate = () => {
   const { certificateNumber } = useParams();
-  const [loading, setLoading] = useState(true);
+  const location = useLocation();
+  // Verification links may carry the signed payload after the #
+  const signedPayload = decodeURIComponent(location.hash.replace(/^#/, ''));
+  const [loading, setLoading] = useState(!!certificateNumber);
   const [certificate, setCertificate] = useState(null);
   const [error, setError] = useState(null);
 
   useEffect(() => {
     if (certificateNumber) {
       verifyCertificate();
-    } else {
-      setError('Certificate number is missing');
-      setLoading(false);
     }
   }, [certificateNumber]);
 
@@ -47,6 +48,16 @@ export const VerifyCertificate = () => {
     });
   };
 
+  if (!certificateNumber) {
+    return (
+      <section className="min-h-screen bg-gradient-to-br from-slate-50 to-blue-50 py-8 px-4">
+        <div className="max-w-2xl mx-auto">
+          <SignedCertificateCheck initialPayload={signedPayload} />
+        </div>
+      </section>
+    );
+  }
+
   if (loading) {
     return (
       <section className="min-h-screen bg-gradient-to-br from-slate-50 to-blue-50 flex items-center justify-center p-4">
@@ -60,27 +71,32 @@ export const VerifyCertificate = () => {
 
   if (error) {
     return (
-      <section className="min-h-screen bg-gradient-to-br from-slate-50 to-blue-50 flex items-center justify-center p-4">
-        <div className="bg-white rounded-2xl shadow-xl border border-red-200 p-4 sm:p-6 lg:p-8 max-w-2xl w-full mx-auto">
-          <div className="text-center">
-            <div className="w-16 h-16 rounded-full bg-red-100 mx-auto mb-4 flex items-center justify-center">
-              <XCircle className="w-8 h-8 text-red-600" />
-            </div>
-            <h1 className="text-2xl font-bold text-slate-800 mb-2">Certificate Not Found</h1>
-            <p className="text-slate-600 mb-6">{error}</p>
-            <div className="bg-slate-50 rounded-lg p-4 mb-6">
-              <p className="text-sm text-slate-500 mb-2">Certificate Number:</p>
-              <p className="font-mono text-lg font-semibold text-slate-800">{certificateNumber}</p>
-            </div>
-            <div className="space-y-2 text-sm text-slate-600">
-              <p>This certificate may:</p>
-              <ul className="list-disc list-inside space-y-1">
-                <li>Not exist in our database</li>
-                <li>Have been revoked or invalidated</li>
-                <li>Have an incorrect certificate number</li>
-              </ul>
+      <section className="min-h-screen bg-gradient-to-br from-slate-50 to-blue-50 py-8 px-4">
+        <div className="max-w-2xl mx-auto space-y-6">
+          <div className="bg-white rounded-2xl shadow-xl border border-red-200 p-4 sm:p-6 lg:p-8">
+            <div className="text-center">
+              <div className="w-16 h-16 rounded-full bg-red-100 mx-auto mb-4 flex items-center justify-center">
+                <XCircle className="w-8 h-8 text-red-600" />
+              </div>
+              <h1 className="text-2xl font-bold text-slate-800 mb-2">Certificate Not Found</h1>
+              <p className="text-slate-600 mb-6">{error}</p>
+              <div className="bg-slate-50 rounded-lg p-4 mb-6">
+                <p className="text-sm text-slate-500 mb-2">Certificate Number:</p>
+                <p className="font-mono text-lg font-semibold text-slate-800">{certificateNumber}</p>
+              </div>
+              <div className="space-y-2 text-sm text-slate-600">
+                <p>This certificate may:</p>
+                <ul className="list-disc list-inside space-y-1">
+                  <li>Not exist in our database</li>
+                  <li>Have been revoked or invalidated</li>
+                  <li>Have an incorrect certificate number</li>
+                </ul>
+              </div>
             </div>
           </div>
+
+          {/* The lookup needs our database; a signed certificate can still be checked */}
+          <SignedCertificateCheck initialPayload={signedPayload} certificateNumber={certificateNumber} />
         </div>
       </section>
     );
@@ -97,19 +113,63 @@ export const VerifyCertificate = () => {
     );
   }
 
+  const status = certificate.status || 'valid';
+
   return (
     <section className="min-h-screen bg-gradient-to-br from-slate-50 to-blue-50 py-8 px-4">
       <div className="max-w-4xl mx-auto">
-        {/* Success Header */}
-        <div className="bg-white rounded-2xl shadow-xl border border-green-200 p-4 sm:p-6 lg:p-8 mb-4 sm:mb-6">
-          <div className="text-center">
-            <div className="w-16 h-16 rounded-full bg-green-100 mx-auto mb-4 flex items-center justify-center">
-              <CheckCircle className="w-8 h-8 text-green-600" />
+        {/* Status Header */}
+        {status === 'revoked' ? (
+          <div className="bg-white rounded-2xl shadow-xl border border-red-200 p-4 sm:p-6 lg:p-8 mb-4 sm:mb-6">
+            <div className="text-center">
+              <div className="w-16 h-16 rounded-full bg-red-100 mx-auto mb-4 flex items-center justify-center">
+                <XCircle className="w-8 h-8 text-red-600" />
+              </div>
+              <h1 className="text-2xl sm:text-3xl font-bold text-slate-800 mb-2">Certificate Revoked</h1>
+              <p className="text-red-600 font-semibold mb-4">
+                This certificate was revoked{certificate.status_changed_at ? ` on ${formatDate(certificate.status_changed_at)}` : ''} and is no longer valid
+              </p>
+              {certificate.status_reason && (
+                <p className="text-sm text-slate-600 bg-red-50 rounded-lg px-4 py-3 inline-block">
+                  Reason: {certificate.status_reason}
+                </p>
+              )}
             </div>
-            <h1 className="text-2xl sm:text-3xl font-bold text-slate-800 mb-2">Certificate Verified</h1>
-            <p className="text-green-600 font-semibold mb-4">This certificate is authentic and valid</p>
           </div>
-        </div>
+        ) : status === 'superseded' ? (
+          <div className="bg-white rounded-2xl shadow-xl border border-amber-200 p-4 sm:p-6 lg:p-8 mb-4 sm:mb-6">
+            <div className="text-center">
+              <div className="w-16 h-16 rounded-full bg-amber-100 mx-auto mb-4 flex items-center justify-center">
+                <RefreshCw className="w-8 h-8 text-amber-600" />
+              </div>
+              <h1 className="text-2xl sm:text-3xl font-bold text-slate-800 mb-2">Certificate Replaced</h1>
+              <p className="text-amber-700 font-semibold mb-4">
+                This certificate was reissued{certificate.status_changed_at ? ` on ${formatDate(certificate.status_changed_at)}` : ''} and is no longer valid
+              </p>
+              {certificate.status_reason && (
+                <p className="text-sm text-slate-600 mb-4">Reason: {certificate.status_reason}</p>
+              )}
+              {certificate.replacement_number && (
+                <Link
+                  to={`/verify-certificate/${encodeURIComponent(certificate.replacement_number)}`}
+                  className="inline-flex items-center gap-2 px-4 py-2 bg-blue-900 text-white rounded-lg text-sm hover:bg-blue-800 transition-colors"
+                >
+                  View replacement {certificate.replacement_number}
+                </Link>
+              )}
+            </div>
+          </div>
+        ) : (
+          <div className="bg-white rounded-2xl shadow-xl border border-green-200 p-4 sm:p-6 lg:p-8 mb-4 sm:mb-6">
+            <div className="text-center">
+              <div className="w-16 h-16 rounded-full bg-green-100 mx-auto mb-4 flex items-center justify-center">
+                <CheckCircle className="w-8 h-8 text-green-600" />
+              </div>
+              <h1 className="text-2xl sm:text-3xl font-bold text-slate-800 mb-2">Certificate Verified</h1>
+              <p className="text-green-600 font-semibold mb-4">This certificate is authentic and valid</p>
+            </div>
+          </div>
+        )}
 
         {/* Certificate Details */}
         <div className="bg-white rounded-2xl shadow-xl border border-slate-200 p-4 sm:p-6 lg:p-8 mb-4 sm:mb-6">
@@ -165,6 +225,11 @@ export const VerifyCertificate = () => {
             </div>
           </div>
         </div>
+
+        <SignedCertificateCheck
+          initialPayload={signedPayload || certificate.signature_token || ''}
+          certificateNumber={certificate.certificate_number}
+        />
       </div>
     </section>
   );
@@ -14,3 +14,14 @@ export const supabase = createClient(supabaseUrl, supabaseAnonKey, {
     detectSessionInUrl: true
   }
 })
+
+// A client that never stores or refreshes its session, for checking a
+// password without replacing the signed-in user's session
+export const createIsolatedAuthClient = () => createClient(supabaseUrl, supabaseAnonKey, {
+  auth: {
+    storageKey: 'ganapp-isolated-auth',
+    autoRefreshToken: false,
+    persistSession: false,
+    detectSessionInUrl: false
+  }
+})
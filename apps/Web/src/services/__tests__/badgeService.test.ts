@@ -0,0 +1,139 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { BadgeService } from '../badgeService';
+import { EventService, Event } from '../eventService';
+import { supabase } from '../../lib/supabaseClient';
+import { BADGE_LABEL_LAYOUTS, DEFAULT_BADGE_CONFIG, getLabelPosition } from '../../utils/badgeGenerator';
+
+vi.mock('../../lib/supabaseClient', () => ({
+  supabase: {
+    from: vi.fn(),
+    rpc: vi.fn(),
+  },
+}));
+
+vi.mock('../eventService', () => ({
+  EventService: {
+    getEventById: vi.fn(),
+    getEventParticipants: vi.fn(),
+  },
+}));
+
+describe('BadgeService', () => {
+  const mockEvent: Event = {
+    id: 'event-123',
+    title: 'Test Event',
+    start_date: '2024-06-10',
+    end_date: '2024-06-11',
+    start_time: '09:00:00',
+    end_time: '17:00:00',
+    venue: 'Main Hall',
+    created_by: 'organizer-1',
+    status: 'published',
+    max_participants: 100,
+    current_participants: 2,
+    created_at: '2024-01-01',
+    updated_at: '2024-01-01',
+    rationale: '',
+  };
+
+  const mockParticipants = [
+    { user_id: 'user-2', users: { first_name: 'Ben', last_name: 'Reyes', email: 'ben@example.com', organization: 'Acme' } },
+    { user_id: 'user-1', users: { first_name: 'Ana', last_name: 'Cruz', email: 'ana@example.com', organization: '' } },
+  ];
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  describe('getBadgeConfig', () => {
+    it('should return the default design when none was saved', async () => {
+      vi.mocked(supabase.from).mockReturnValue({
+        select: vi.fn().mockReturnValue({
+          eq: vi.fn().mockReturnValue({
+            single: vi.fn().mockResolvedValue({ data: { badge_config: null }, error: null }),
+          }),
+        }),
+      } as any);
+
+      const result = await BadgeService.getBadgeConfig('event-123');
+
+      expect(result.config).toEqual(DEFAULT_BADGE_CONFIG);
+    });
+
+    it('should fill options missing from an older saved design', async () => {
+      vi.mocked(supabase.from).mockReturnValue({
+        select: vi.fn().mockReturnValue({
+          eq: vi.fn().mockReturnValue({
+            single: vi.fn().mockResolvedValue({ data: { badge_config: { name_color: '#ff0000', label_layout: 'unknown' } }, error: null }),
+          }),
+        }),
+      } as any);
+
+      const result = await BadgeService.getBadgeConfig('event-123');
+
+      expect(result.config?.name_color).toBe('#ff0000');
+      expect(result.config?.label_layout).toBe(DEFAULT_BADGE_CONFIG.label_layout);
+      expect(result.config?.ribbons).toEqual(DEFAULT_BADGE_CONFIG.ribbons);
+    });
+  });
+
+  describe('saveBadgeConfig', () => {
+    it('should only let the event organizer change the design', async () => {
+      vi.mocked(EventService.getEventById).mockResolvedValue({ event: mockEvent });
+
+      const result = await BadgeService.saveBadgeConfig('event-123', DEFAULT_BADGE_CONFIG, 'someone-else');
+
+      expect(result.error).toBe('Only the event organizer can change the badge design');
+      expect(supabase.from).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('getBadgeAttendees', () => {
+    it('should leave out QR codes for events with rotating codes', async () => {
+      vi.mocked(EventService.getEventParticipants).mockResolvedValue({ participants: mockParticipants });
+
+      const result = await BadgeService.getBadgeAttendees({ ...mockEvent, qr_rotation_seconds: 30 }, 'organizer-1');
+
+      expect(result.attendees?.map(attendee => attendee.name)).toEqual(['Ana Cruz', 'Ben Reyes']);
+      expect(result.attendees?.every(attendee => !attendee.qrData)).toBe(true);
+      expect(supabase.from).not.toHaveBeenCalled();
+    });
+
+    it('should reuse existing QR codes and create missing ones', async () => {
+      vi.mocked(EventService.getEventParticipants).mockResolvedValue({ participants: mockParticipants });
+      const insert = vi.fn().mockResolvedValue({ error: null });
+      vi.mocked(supabase.from).mockReturnValue({
+        select: vi.fn().mockReturnValue({
+          eq: vi.fn().mockReturnValue({
+            eq: vi.fn().mockReturnValue({
+              in: vi.fn().mockResolvedValue({
+                data: [{ owner_id: 'user-2', qr_data: { eventId: 'event-123', userId: 'user-2', type: 'event_checkin' } }],
+                error: null,
+              }),
+            }),
+          }),
+        }),
+        insert,
+      } as any);
+
+      const result = await BadgeService.getBadgeAttendees(mockEvent, 'organizer-1');
+
+      expect(insert).toHaveBeenCalledTimes(1);
+      expect(insert.mock.calls[0][0]).toMatchObject({ owner_id: 'user-1', created_by: 'organizer-1', code_type: 'event_checkin' });
+      const ben = result.attendees?.find(attendee => attendee.userId === 'user-2');
+      const ana = result.attendees?.find(attendee => attendee.userId === 'user-1');
+      expect(JSON.parse(ben!.qrData!)).toEqual({ eventId: 'event-123', userId: 'user-2', type: 'event_checkin' });
+      expect(JSON.parse(ana!.qrData!)).toMatchObject({ eventId: 'event-123', userId: 'user-1', type: 'event_checkin', eventDays: 2 });
+    });
+  });
+
+  describe('label layout', () => {
+    it('should fill each sheet row by row', () => {
+      const layout = BADGE_LABEL_LAYOUTS.L7165;
+
+      expect(getLabelPosition(layout, 0)).toEqual({ sheet: 0, x: 4.65, y: 13.1 });
+      expect(getLabelPosition(layout, 3)).toEqual({ sheet: 0, x: 4.65 + 101.6, y: 13.1 + 67.7 });
+      expect(getLabelPosition(layout, 8)).toEqual({ sheet: 1, x: 4.65, y: 13.1 });
+    });
+  });
+});
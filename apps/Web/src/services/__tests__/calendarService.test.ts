@@ -0,0 +1,100 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { CalendarService } from '../calendarService';
+import { supabase } from '../../lib/supabaseClient';
+
+// Mock dependencies
+vi.mock('../../lib/supabaseClient', () => ({
+  supabase: {
+    from: vi.fn(),
+    rpc: vi.fn(),
+  },
+}));
+
+describe('CalendarService', () => {
+  const mockEvent = {
+    id: 'event-123',
+    title: 'Tech Summit, 2025; Day 1',
+    rationale: '<p>Talks</p><p>and workshops</p>',
+    venue: 'Main Hall',
+    start_date: '2025-06-15',
+    end_date: '2025-06-16',
+    start_time: '09:00:00',
+    end_time: '17:30:00',
+    status: 'published' as const,
+    updated_at: '2025-06-01T08:00:00Z',
+    ical_sequence: 2,
+  };
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  describe('buildCalendar', () => {
+    it('should build a VEVENT with a stable UID, sequence and floating times', () => {
+      const ics = CalendarService.buildCalendar([mockEvent], 'My Events');
+
+      expect(ics.startsWith('BEGIN:VCALENDAR\r\n')).toBe(true);
+      expect(ics).toContain('X-WR-CALNAME:My Events');
+      expect(ics).toContain('UID:event-123@ganapp');
+      expect(ics).toContain('DTSTART:20250615T090000\r\n');
+      expect(ics).toContain('DTEND:20250616T173000\r\n');
+      expect(ics).toContain('SEQUENCE:2');
+      expect(ics).toContain('STATUS:CONFIRMED');
+      expect(ics).toContain('LAST-MODIFIED:20250601T080000Z');
+    });
+
+    it('should escape text values and strip HTML from the rationale', () => {
+      const ics = CalendarService.buildCalendar([mockEvent]);
+
+      expect(ics).toContain('SUMMARY:Tech Summit\\, 2025\\; Day 1');
+      expect(ics).toContain('DESCRIPTION:Talks\\nand workshops');
+    });
+
+    it('should mark cancelled events as cancelled', () => {
+      const ics = CalendarService.buildCalendar([{ ...mockEvent, status: 'cancelled' }]);
+
+      expect(ics).toContain('STATUS:CANCELLED');
+    });
+
+    it('should fold lines longer than 75 characters', () => {
+      const ics = CalendarService.buildCalendar([{ ...mockEvent, rationale: 'x'.repeat(200) }]);
+
+      ics.split('\r\n').forEach(line => expect(line.length).toBeLessThanOrEqual(75));
+      expect(ics).toContain('\r\n x');
+    });
+  });
+
+  describe('getFeedToken', () => {
+    it('should return the existing token', async () => {
+      (supabase.from as any).mockReturnValue({
+        select: vi.fn().mockReturnThis(),
+        eq: vi.fn().mockReturnThis(),
+        maybeSingle: vi.fn().mockResolvedValue({ data: { token: 'token-123' }, error: null }),
+      });
+
+      const result = await CalendarService.getFeedToken('user-123');
+
+      expect(supabase.from).toHaveBeenCalledWith('calendar_feed_tokens');
+      expect(result.token).toBe('token-123');
+    });
+
+    it('should create a token on first use', async () => {
+      const insert = vi.fn().mockReturnValue({
+        select: vi.fn().mockReturnValue({
+          single: vi.fn().mockResolvedValue({ data: { token: 'new-token' }, error: null }),
+        }),
+      });
+      (supabase.from as any).mockReturnValue({
+        select: vi.fn().mockReturnThis(),
+        eq: vi.fn().mockReturnThis(),
+        maybeSingle: vi.fn().mockResolvedValue({ data: null, error: null }),
+        insert,
+      });
+
+      const result = await CalendarService.getFeedToken('user-123');
+
+      expect(insert).toHaveBeenCalledWith([{ user_id: 'user-123' }]);
+      expect(result.token).toBe('new-token');
+    });
+  });
+});
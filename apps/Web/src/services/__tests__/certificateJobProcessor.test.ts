@@ -3,13 +3,15 @@ import { CertificateJobProcessor } from '../certificateJobProcessor';
 import { CertificateService } from '../certificateService';
 import { JobQueueService } from '../jobQueueService';
 import { EventService } from '../eventService';
-import { generatePNGCertificate, convertPNGToPDF } from '../../utils/certificateGenerator';
+import { EmailService } from '../emailService';
+import { generatePNGCertificate, generateAdditionalPages, convertPNGToPDF } from '../../utils/certificateGenerator';
 import { supabase } from '../../lib/supabaseClient';
 
 // Mock dependencies
 vi.mock('../certificateService');
 vi.mock('../jobQueueService');
 vi.mock('../eventService');
+vi.mock('../emailService');
 vi.mock('../../utils/certificateGenerator');
 vi.mock('../../lib/supabaseClient', () => ({
   supabase: {
@@ -87,9 +89,14 @@ describe('CertificateJobProcessor', () => {
       error: null,
     });
     (EventService.getEventById as any) = vi.fn().mockResolvedValue({
-      event: { id: 'event-123', venue: 'Test Venue' },
+      event: { id: 'event-123', venue: 'Test Venue', created_by: 'organizer-123' },
       error: null,
     });
+    (CertificateService.checkCertificateEligibility as any) = vi.fn().mockResolvedValue({
+      eligibility: { eligible: true, requirements: [] },
+    });
+    (CertificateService.signCertificate as any) = vi.fn().mockResolvedValue({ token: null });
+    (CertificateService.getCertificateMergeFields as any) = vi.fn().mockResolvedValue({ fields: {} });
   });
 
   describe('processCertificateJob', () => {
@@ -149,6 +156,232 @@ describe('CertificateJobProcessor', () => {
       expect(generatePNGCertificate).not.toHaveBeenCalled();
     });
 
+    it('should reject participants who do not meet the certificate rules', async () => {
+      (CertificateService.getCertificateConfig as any).mockResolvedValue({
+        config: { ...mockConfig, cert_id_prefix: 'CERT' },
+        error: null,
+      });
+      (CertificateService.checkCertificateEligibility as any).mockResolvedValue({
+        eligibility: {
+          eligible: false,
+          requirements: [
+            { type: 'validated_check_in', label: 'Check in', met: true },
+            { type: 'evaluation', label: 'Submit the event evaluation', met: false, detail: 'You have not submitted the evaluation yet' },
+          ],
+        },
+      });
+
+      const result = await CertificateJobProcessor.processCertificateJob(mockJobData, 'user-123');
+
+      expect(CertificateService.checkCertificateEligibility).toHaveBeenCalledWith(
+        expect.objectContaining({ id: 'event-123' }),
+        'user-123'
+      );
+      expect(result.success).toBe(false);
+      expect(result.error).toBe('Certificate requirements not met: You have not submitted the evaluation yet.');
+      expect(generatePNGCertificate).not.toHaveBeenCalled();
+    });
+
+    it('should skip the certificate rules for jobs queued by the event organizer', async () => {
+      (CertificateService.getCertificateConfig as any).mockResolvedValue({
+        config: { ...mockConfig, cert_id_prefix: 'CERT' },
+        error: null,
+      });
+      (generatePNGCertificate as any).mockResolvedValue(new Blob(['mock png'], { type: 'image/png' }));
+      (convertPNGToPDF as any).mockResolvedValue(new Blob(['mock pdf'], { type: 'application/pdf' }));
+
+      await CertificateJobProcessor.processCertificateJob(mockJobData, 'organizer-123');
+
+      expect(CertificateService.checkCertificateEligibility).not.toHaveBeenCalled();
+      expect(generatePNGCertificate).toHaveBeenCalled();
+    });
+
+    it('should render the participant\'s merge fields, with job fields taking precedence', async () => {
+      (CertificateService.getCertificateConfig as any).mockResolvedValue({
+        config: { ...mockConfig, cert_id_prefix: 'CERT' },
+        error: null,
+      });
+      (CertificateService.getCertificateMergeFields as any).mockResolvedValue({
+        fields: { hours: 7.5, role: 'speaker', organization: 'ACME', score: '80' },
+      });
+      (generatePNGCertificate as any).mockResolvedValue(new Blob(['mock png'], { type: 'image/png' }));
+      (convertPNGToPDF as any).mockResolvedValue(new Blob(['mock pdf'], { type: 'application/pdf' }));
+
+      const result = await CertificateJobProcessor.processCertificateJob(
+        { ...mockJobData, fields: { score: 95 } },
+        'user-123'
+      );
+
+      expect(result.success).toBe(true);
+      expect(CertificateService.getCertificateMergeFields).toHaveBeenCalledWith(
+        expect.objectContaining({ id: 'event-123' }),
+        'user-123'
+      );
+      expect(generatePNGCertificate).toHaveBeenCalledWith(
+        expect.anything(),
+        'CERT-001',
+        expect.objectContaining({
+          venue: 'Test Venue',
+          fields: { hours: 7.5, role: 'speaker', organization: 'ACME', score: 95 },
+        })
+      );
+    });
+
+    it('should not look up merge fields for manual entries issued by the organizer', async () => {
+      (CertificateService.getCertificateConfig as any).mockResolvedValue({
+        config: { ...mockConfig, cert_id_prefix: 'CERT' },
+        error: null,
+      });
+      (generatePNGCertificate as any).mockResolvedValue(new Blob(['mock png'], { type: 'image/png' }));
+      (convertPNGToPDF as any).mockResolvedValue(new Blob(['mock pdf'], { type: 'application/pdf' }));
+
+      await CertificateJobProcessor.processCertificateJob(
+        { ...mockJobData, userId: 'organizer-123' },
+        'organizer-123'
+      );
+
+      expect(CertificateService.getCertificateMergeFields).not.toHaveBeenCalled();
+      expect(generatePNGCertificate).toHaveBeenCalled();
+    });
+
+    it('should store reissues as a replacement of the original certificate', async () => {
+      (CertificateService.getCertificateConfig as any).mockResolvedValue({
+        config: { ...mockConfig, cert_id_prefix: 'CERT' },
+        error: null,
+      });
+      (CertificateService.getCurrentCertificateCount as any).mockResolvedValue({ count: 4, error: null });
+      (CertificateService.completeReissue as any) = vi.fn().mockResolvedValue({
+        certificate: { id: 'cert-456', certificate_number: 'CERT-005' },
+      });
+      (generatePNGCertificate as any).mockResolvedValue(new Blob(['mock png'], { type: 'image/png' }));
+      (convertPNGToPDF as any).mockResolvedValue(new Blob(['mock pdf'], { type: 'application/pdf' }));
+
+      const result = await CertificateJobProcessor.processCertificateJob(
+        { ...mockJobData, participantName: 'Jon Doe', replacesCertificateId: 'cert-123', reissueReason: 'Name misspelled' },
+        'organizer-123',
+        'job-789'
+      );
+
+      expect(result.success).toBe(true);
+      expect(CertificateService.getCertificateByParticipantName).not.toHaveBeenCalled();
+      expect(CertificateService.saveCertificate).not.toHaveBeenCalled();
+      expect(CertificateService.completeReissue).toHaveBeenCalledWith('job-789', {
+        certificateNumber: 'CERT-005',
+        pdfUrl: 'https://example.com/cert.pdf',
+        pngUrl: 'https://example.com/cert.pdf',
+        signatureToken: null,
+      });
+    });
+
+    it('should sign event certificates and embed the signature in the PDF', async () => {
+      (CertificateService.getCertificateConfig as any).mockResolvedValue({
+        config: { ...mockConfig, cert_id_prefix: 'CERT' },
+        error: null,
+      });
+      (CertificateService.signCertificate as any).mockResolvedValue({ token: 'signed.token.value' });
+      (generatePNGCertificate as any).mockResolvedValue(new Blob(['mock png'], { type: 'image/png' }));
+      (convertPNGToPDF as any).mockResolvedValue(new Blob(['mock pdf'], { type: 'application/pdf' }));
+
+      const result = await CertificateJobProcessor.processCertificateJob(mockJobData, 'user-123', 'job-789');
+
+      expect(result.success).toBe(true);
+      expect(CertificateService.signCertificate).toHaveBeenCalledWith('job-789', 'CERT-001');
+      expect(convertPNGToPDF).toHaveBeenCalledWith(
+        [expect.any(Blob)], 2500, 1768, 'signed.token.value', expect.objectContaining({ width: 841.89 })
+      );
+      expect(CertificateService.saveCertificate).toHaveBeenCalledWith(
+        expect.objectContaining({ certificate_number: 'CERT-001', signature_token: 'signed.token.value' })
+      );
+    });
+
+    it('should fail the job when the certificate cannot be signed', async () => {
+      (CertificateService.getCertificateConfig as any).mockResolvedValue({
+        config: { ...mockConfig, cert_id_prefix: 'CERT' },
+        error: null,
+      });
+      (CertificateService.signCertificate as any).mockResolvedValue({ error: 'Certificate job not found' });
+
+      const result = await CertificateJobProcessor.processCertificateJob(mockJobData, 'user-123', 'job-789');
+
+      expect(result.success).toBe(false);
+      expect(result.error).toContain('Certificate job not found');
+      expect(generatePNGCertificate).not.toHaveBeenCalled();
+      expect(CertificateService.saveCertificate).not.toHaveBeenCalled();
+    });
+
+    it('should sign with the signer passed in options instead of the signing API', async () => {
+      (CertificateService.getCertificateConfig as any).mockResolvedValue({
+        config: { ...mockConfig, cert_id_prefix: 'CERT' },
+        error: null,
+      });
+      (generatePNGCertificate as any).mockResolvedValue(new Blob(['mock png'], { type: 'image/png' }));
+      (convertPNGToPDF as any).mockResolvedValue(new Blob(['mock pdf'], { type: 'application/pdf' }));
+      const signCertificate = vi.fn().mockResolvedValue({ token: 'worker.token.value' });
+
+      const result = await CertificateJobProcessor.processCertificateJob(mockJobData, 'user-123', 'job-789', { signCertificate });
+
+      expect(result.success).toBe(true);
+      expect(signCertificate).toHaveBeenCalledWith('job-789', 'CERT-001');
+      expect(CertificateService.signCertificate).not.toHaveBeenCalled();
+      expect(CertificateService.saveCertificate).toHaveBeenCalledWith(
+        expect.objectContaining({ signature_token: 'worker.token.value' })
+      );
+    });
+
+    it('should add a transcript page of the sessions attended to the PDF', async () => {
+      const transcriptConfig = {
+        ...mockConfig,
+        page_size: 'a4',
+        orientation: 'portrait',
+        pages: [{ type: 'transcript', title: 'Transcript' }],
+      };
+      const entries = [{ title: 'Workshop', date: '2024-12-01', hours: 2, score: null }];
+      (CertificateService.getCertificateConfig as any).mockResolvedValue({ config: transcriptConfig, error: null });
+      (CertificateService.getCertificateTranscript as any) = vi.fn().mockResolvedValue({ entries });
+      (generatePNGCertificate as any).mockResolvedValue(new Blob(['mock png'], { type: 'image/png' }));
+      (generateAdditionalPages as any).mockResolvedValue([new Blob(['mock transcript'], { type: 'image/png' })]);
+      (convertPNGToPDF as any).mockResolvedValue(new Blob(['mock pdf'], { type: 'application/pdf' }));
+
+      const result = await CertificateJobProcessor.processCertificateJob(mockJobData, 'user-123');
+
+      expect(result.success).toBe(true);
+      expect(CertificateService.getCertificateTranscript).toHaveBeenCalledWith('event-123', 'user-123');
+      expect(generateAdditionalPages).toHaveBeenCalledWith(
+        transcriptConfig,
+        expect.any(String),
+        expect.objectContaining({ transcript: entries })
+      );
+      expect(convertPNGToPDF).toHaveBeenCalledWith(
+        [expect.any(Blob), expect.any(Blob)],
+        1768,
+        2500,
+        null,
+        { width: 595.28, height: 841.89 }
+      );
+    });
+
+    it('should use the transcript given with the job instead of the event sessions', async () => {
+      const transcript = [{ title: 'Module 1', hours: 4, score: '95%' }];
+      (CertificateService.getCertificateConfig as any).mockResolvedValue({
+        config: { ...mockConfig, pages: [{ type: 'transcript' }] },
+        error: null,
+      });
+      (CertificateService.getCertificateTranscript as any) = vi.fn();
+      (generatePNGCertificate as any).mockResolvedValue(new Blob(['mock png'], { type: 'image/png' }));
+      (generateAdditionalPages as any).mockResolvedValue([new Blob(['mock transcript'], { type: 'image/png' })]);
+      (convertPNGToPDF as any).mockResolvedValue(new Blob(['mock pdf'], { type: 'application/pdf' }));
+
+      const result = await CertificateJobProcessor.processCertificateJob({ ...mockJobData, transcript }, 'user-123');
+
+      expect(result.success).toBe(true);
+      expect(CertificateService.getCertificateTranscript).not.toHaveBeenCalled();
+      expect(generateAdditionalPages).toHaveBeenCalledWith(
+        expect.anything(),
+        expect.any(String),
+        expect.objectContaining({ transcript })
+      );
+    });
+
     it('should use provided config for standalone certificates', async () => {
       const standaloneJobData = {
         ...mockJobData,
@@ -173,6 +406,56 @@ describe('CertificateJobProcessor', () => {
       expect(generatePNGCertificate).toHaveBeenCalled();
     });
 
+    it('should email the certificate to imported recipients', async () => {
+      const standaloneJobData = {
+        ...mockJobData,
+        eventId: 'standalone',
+        config: { ...mockConfig, cert_id_prefix: 'CERT' },
+        recipientEmail: 'jane@example.com',
+      };
+
+      (generatePNGCertificate as any).mockResolvedValue(new Blob(['mock png'], { type: 'image/png' }));
+      (convertPNGToPDF as any).mockResolvedValue(new Blob(['mock pdf'], { type: 'application/pdf' }));
+      (CertificateService.uploadCertificateFile as any)
+        .mockResolvedValueOnce({ url: 'https://example.com/cert.pdf', error: null })
+        .mockResolvedValueOnce({ url: 'https://example.com/cert.png', error: null });
+      (EmailService.sendCertificateEmail as any) = vi.fn().mockResolvedValue({});
+
+      const result = await CertificateJobProcessor.processCertificateJob(standaloneJobData);
+
+      expect(result.success).toBe(true);
+      expect(result.emailSent).toBe(true);
+      expect(EmailService.sendCertificateEmail).toHaveBeenCalledWith(
+        'jane@example.com',
+        mockJobData.participantName,
+        expect.any(String),
+        result.certificateNumber,
+        'https://example.com/cert.pdf'
+      );
+    });
+
+    it('should still complete the job when the certificate email fails', async () => {
+      const standaloneJobData = {
+        ...mockJobData,
+        eventId: 'standalone',
+        config: { ...mockConfig, cert_id_prefix: 'CERT' },
+        recipientEmail: 'jane@example.com',
+      };
+
+      (generatePNGCertificate as any).mockResolvedValue(new Blob(['mock png'], { type: 'image/png' }));
+      (convertPNGToPDF as any).mockResolvedValue(new Blob(['mock pdf'], { type: 'application/pdf' }));
+      (CertificateService.uploadCertificateFile as any)
+        .mockResolvedValueOnce({ url: 'https://example.com/cert.pdf', error: null })
+        .mockResolvedValueOnce({ url: 'https://example.com/cert.png', error: null });
+      (EmailService.sendCertificateEmail as any) = vi.fn().mockResolvedValue({ error: 'Email service not configured' });
+
+      const result = await CertificateJobProcessor.processCertificateJob(standaloneJobData);
+
+      expect(result.success).toBe(true);
+      expect(result.emailSent).toBe(false);
+      expect(result.emailError).toBe('Email service not configured');
+    });
+
     it('should handle certificate generation errors', async () => {
       (CertificateService.getCertificateConfig as any).mockResolvedValue({
         config: { ...mockConfig, cert_id_prefix: 'CERT' },
@@ -250,6 +533,50 @@ describe('CertificateJobProcessor', () => {
     });
   });
 
+  describe('runCertificateJob', () => {
+    const mockJob = {
+      id: 'job-123',
+      job_type: 'certificate_generation',
+      job_data: mockJobData,
+      created_by: 'user-123',
+    };
+
+    it('should complete the job with the certificate details', async () => {
+      (CertificateService.getCertificateConfig as any).mockResolvedValue({
+        config: { ...mockConfig, cert_id_prefix: 'CERT' },
+        error: null,
+      });
+      (generatePNGCertificate as any).mockResolvedValue(new Blob(['mock png'], { type: 'image/png' }));
+      (convertPNGToPDF as any).mockResolvedValue(new Blob(['mock pdf'], { type: 'application/pdf' }));
+      (JobQueueService.completeJob as any).mockResolvedValue({ success: true });
+      const signCertificate = vi.fn().mockResolvedValue({ token: null });
+
+      const result = await CertificateJobProcessor.runCertificateJob(mockJob, { signCertificate });
+
+      expect(result.success).toBe(true);
+      expect(signCertificate).toHaveBeenCalledWith('job-123', 'CERT-001');
+      expect(JobQueueService.completeJob).toHaveBeenCalledWith('job-123', expect.objectContaining({
+        certificateNumber: 'CERT-001',
+        pdfUrl: 'https://example.com/cert.pdf',
+      }));
+      expect(JobQueueService.failJob).not.toHaveBeenCalled();
+    });
+
+    it('should fail the job with the processing error', async () => {
+      (CertificateService.getCertificateConfig as any).mockResolvedValue({
+        config: null,
+        error: 'Config error',
+      });
+      (JobQueueService.failJob as any).mockResolvedValue({ success: true });
+
+      const result = await CertificateJobProcessor.runCertificateJob(mockJob);
+
+      expect(result.success).toBe(false);
+      expect(JobQueueService.failJob).toHaveBeenCalledWith('job-123', expect.any(String));
+      expect(JobQueueService.completeJob).not.toHaveBeenCalled();
+    });
+  });
+
   describe('processPendingJobs', () => {
     it('should process pending certificate jobs', async () => {
       const mockJob = {
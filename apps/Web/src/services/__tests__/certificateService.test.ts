@@ -2,12 +2,29 @@ import { describe, it, expect, beforeEach, vi } from 'vitest';
 import { CertificateService } from '../certificateService';
 import { supabase } from '../../lib/supabaseClient';
 import { CacheService } from '../cacheService';
+import { EventService } from '../eventService';
+import { JobQueueService } from '../jobQueueService';
+import { PDFDocument } from 'pdf-lib';
+import {
+  CERTIFICATE_SIGNATURE_ALG,
+  CERTIFICATE_TOKEN_TYPE,
+  buildCertificateClaims,
+  encodeBase64Url,
+  getCertificateSigningInput,
+} from '../../utils/certificateSignatureUtils.js';
+import { bakeOpenBadgePNG } from '../../utils/openBadgeUtils.js';
+import { createCertificateLayer } from '../../utils/certificateLayers';
+import { renderCertificateText } from '../../utils/certificateMergeFields';
+import { getCertificatePageDimensions, getTranscriptRowsPerPage, paginateTranscript } from '../../utils/certificatePages';
 
 // Mock dependencies
 vi.mock('../../lib/supabaseClient', () => ({
   supabase: {
     from: vi.fn(),
     rpc: vi.fn(),
+    auth: {
+      getSession: vi.fn(),
+    },
   },
 }));
 
@@ -25,6 +42,19 @@ vi.mock('../cacheService', () => ({
   },
 }));
 
+vi.mock('../eventService', () => ({
+  EventService: {
+    checkUserSurveyCompletion: vi.fn(),
+    getEventById: vi.fn(),
+  },
+}));
+
+vi.mock('../jobQueueService', () => ({
+  JobQueueService: {
+    queueCertificateGeneration: vi.fn(),
+  },
+}));
+
 describe('CertificateService', () => {
   const mockConfig = {
     id: 'config-123',
@@ -226,6 +256,28 @@ describe('CertificateService', () => {
       expect(result.config!.title_text).toBe('NEW CERTIFICATE');
       expect(result.error).toBeUndefined();
     });
+
+    it('should save free-form layers in stacking order', async () => {
+      const layers = [
+        createCertificateLayer('rect'),
+        { ...createCertificateLayer('text'), text: 'Best Speaker', rotation: -15 },
+      ];
+
+      (CacheService.get as any).mockResolvedValue(mockConfig);
+
+      const mockSingle = vi.fn().mockResolvedValue({ data: { ...mockConfig, layers }, error: null });
+      const mockUpdate = vi.fn().mockReturnValue({
+        eq: vi.fn().mockReturnThis(),
+        select: vi.fn().mockReturnThis(),
+        single: mockSingle,
+      });
+      (supabase.from as any).mockReturnValue({ update: mockUpdate });
+
+      const result = await CertificateService.saveCertificateConfig('event-123', { layers }, 'user-123');
+
+      expect(mockUpdate).toHaveBeenCalledWith(expect.objectContaining({ layers }));
+      expect(result.config!.layers).toEqual(layers);
+    });
   });
 
   describe('getUserCertificate', () => {
@@ -242,7 +294,9 @@ describe('CertificateService', () => {
         select: mockSelect,
         eq: mockEq1.mockReturnValue({
           eq: mockEq2.mockReturnValue({
-            single: mockSingle,
+            neq: vi.fn().mockReturnValue({
+              single: mockSingle,
+            }),
           }),
         }),
       });
@@ -267,7 +321,9 @@ describe('CertificateService', () => {
         select: mockSelect,
         eq: mockEq1.mockReturnValue({
           eq: mockEq2.mockReturnValue({
-            single: mockSingle,
+            neq: vi.fn().mockReturnValue({
+              single: mockSingle,
+            }),
           }),
         }),
       });
@@ -291,7 +347,9 @@ describe('CertificateService', () => {
         select: mockSelect,
         eq: mockEq1.mockReturnValue({
           eq: mockEq2.mockReturnValue({
-            single: mockSingle,
+            neq: vi.fn().mockReturnValue({
+              single: mockSingle,
+            }),
           }),
         }),
       });
@@ -317,7 +375,9 @@ describe('CertificateService', () => {
         select: mockSelect,
         eq: mockEq1.mockReturnValue({
           eq: mockEq2.mockReturnValue({
-            maybeSingle: mockMaybeSingle,
+            neq: vi.fn().mockReturnValue({
+              maybeSingle: mockMaybeSingle,
+            }),
           }),
         }),
       });
@@ -341,7 +401,9 @@ describe('CertificateService', () => {
         select: mockSelect,
         eq: mockEq1.mockReturnValue({
           eq: mockEq2.mockReturnValue({
-            maybeSingle: mockMaybeSingle,
+            neq: vi.fn().mockReturnValue({
+              maybeSingle: mockMaybeSingle,
+            }),
           }),
         }),
       });
@@ -423,7 +485,9 @@ describe('CertificateService', () => {
               select: mockSelect,
               eq: mockEq.mockReturnValue({
                 eq: mockEq,
-                maybeSingle: mockMaybeSingle2,
+                neq: vi.fn().mockReturnValue({
+                  maybeSingle: mockMaybeSingle2,
+                }),
               }),
             };
           } else {
@@ -632,6 +696,593 @@ describe('CertificateService', () => {
       expect(result.error).toContain('Certificate not found');
       expect(result.certificate).toBeUndefined();
     });
+
+    it('should include the replacement number of a reissued certificate', async () => {
+      (supabase.from as any)
+        .mockReturnValueOnce({
+          select: vi.fn().mockReturnThis(),
+          eq: vi.fn().mockReturnThis(),
+          single: vi.fn().mockResolvedValue({
+            data: { ...mockCertificate, status: 'superseded', status_reason: 'Name corrected', superseded_by: 'cert-456' },
+            error: null,
+          }),
+        })
+        .mockReturnValueOnce({
+          select: vi.fn().mockReturnThis(),
+          eq: vi.fn().mockReturnThis(),
+          maybeSingle: vi.fn().mockResolvedValue({ data: { certificate_number: 'CERT-005' }, error: null }),
+        });
+
+      const result = await CertificateService.verifyCertificate('CERT-001');
+
+      expect(result.certificate.status).toBe('superseded');
+      expect(result.certificate.replacement_number).toBe('CERT-005');
+    });
   });
-});
 
+  describe('revokeCertificate', () => {
+    it('should revoke through the revoke_certificate function', async () => {
+      (supabase.rpc as any).mockResolvedValue({
+        data: { ...mockCertificate, status: 'revoked', status_reason: 'Issued in error' },
+        error: null,
+      });
+
+      const result = await CertificateService.revokeCertificate('cert-123', '  Issued in error ');
+
+      expect(supabase.rpc).toHaveBeenCalledWith('revoke_certificate', {
+        certificate_uuid: 'cert-123',
+        revoke_reason: 'Issued in error',
+      });
+      expect(result.certificate?.status).toBe('revoked');
+    });
+
+    it('should require a reason', async () => {
+      const result = await CertificateService.revokeCertificate('cert-123', '   ');
+
+      expect(result.error).toBe('Please give a reason for revoking this certificate');
+      expect(supabase.rpc).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('reissueCertificate', () => {
+    it('should not reissue a revoked certificate', async () => {
+      const result = await CertificateService.reissueCertificate(
+        { ...mockCertificate, status: 'revoked' } as any,
+        { participantName: 'John Doe', reason: 'Name misspelled' },
+        'organizer-123'
+      );
+
+      expect(result.error).toBe('Revoked certificates cannot be reissued');
+      expect(JobQueueService.queueCertificateGeneration).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('signCertificate', () => {
+    beforeEach(() => {
+      (supabase.auth.getSession as any).mockResolvedValue({
+        data: { session: { access_token: 'access-token' } },
+      });
+    });
+
+    it('should ask the signing API to sign the job', async () => {
+      const fetchMock = vi.fn().mockResolvedValue(
+        new Response(JSON.stringify({ token: 'signed.token.value' }), {
+          status: 200,
+          headers: { 'Content-Type': 'application/json' },
+        })
+      );
+      vi.stubGlobal('fetch', fetchMock);
+
+      const result = await CertificateService.signCertificate('job-123', 'CERT-001');
+
+      expect(result.token).toBe('signed.token.value');
+      expect(fetchMock).toHaveBeenCalledWith('/api/certificate-signature', expect.objectContaining({
+        method: 'POST',
+        body: JSON.stringify({ jobId: 'job-123', certificateNumber: 'CERT-001' }),
+      }));
+      expect(fetchMock.mock.calls[0][1].headers.Authorization).toBe('Bearer access-token');
+      vi.unstubAllGlobals();
+    });
+
+    it('should leave the certificate unsigned when signing is not configured', async () => {
+      vi.stubGlobal('fetch', vi.fn().mockResolvedValue(
+        new Response(JSON.stringify({ error: 'Certificate signing is not configured' }), {
+          status: 503,
+          headers: { 'Content-Type': 'application/json' },
+        })
+      ));
+
+      const result = await CertificateService.signCertificate('job-123', 'CERT-001');
+
+      expect(result).toEqual({ token: null });
+      vi.unstubAllGlobals();
+    });
+
+    it('should return the API error for jobs it refuses to sign', async () => {
+      vi.stubGlobal('fetch', vi.fn().mockResolvedValue(
+        new Response(JSON.stringify({ error: 'Certificate job not found' }), {
+          status: 404,
+          headers: { 'Content-Type': 'application/json' },
+        })
+      ));
+
+      const result = await CertificateService.signCertificate('job-123', 'CERT-001');
+
+      expect(result.error).toBe('Certificate job not found');
+      vi.unstubAllGlobals();
+    });
+  });
+
+  describe('verifyCertificateSignature', () => {
+    const claims = buildCertificateClaims({
+      certificateNumber: 'CERT-001',
+      participantName: 'John Doe',
+      eventId: 'event-123',
+      eventTitle: 'Test Event',
+      completionDate: '2024-12-01',
+      issuedAt: new Date('2024-12-02T00:00:00Z'),
+    });
+
+    const createSigner = async () => {
+      const keyPair = await crypto.subtle.generateKey({ name: 'Ed25519' }, true, ['sign', 'verify']) as CryptoKeyPair;
+      const publicKey = encodeBase64Url(new Uint8Array(await crypto.subtle.exportKey('raw', keyPair.publicKey)));
+      const signToken = async (tokenClaims: object) => {
+        const signingInput = getCertificateSigningInput(
+          { alg: CERTIFICATE_SIGNATURE_ALG, typ: CERTIFICATE_TOKEN_TYPE },
+          tokenClaims
+        );
+        const signature = await crypto.subtle.sign({ name: 'Ed25519' }, keyPair.privateKey, new TextEncoder().encode(signingInput));
+        return `${signingInput}.${encodeBase64Url(new Uint8Array(signature))}`;
+      };
+      return { publicKey, signToken };
+    };
+
+    it('should accept a token signed with a published key', async () => {
+      const { publicKey, signToken } = await createSigner();
+      const token = await signToken(claims);
+
+      const result = await CertificateService.verifyCertificateSignature(
+        `https://example.com/verify-certificate/CERT-001#${token}`,
+        [publicKey]
+      );
+
+      expect(result.error).toBeUndefined();
+      expect(result.claims).toEqual(claims);
+    });
+
+    it('should reject a token whose details were changed', async () => {
+      const { publicKey, signToken } = await createSigner();
+      const [header, , signature] = (await signToken(claims)).split('.');
+      const forgedClaims = getCertificateSigningInput({}, { ...claims, participant_name: 'Jane Doe' }).split('.')[1];
+
+      const result = await CertificateService.verifyCertificateSignature(
+        `${header}.${forgedClaims}.${signature}`,
+        [publicKey]
+      );
+
+      expect(result.claims).toBeUndefined();
+      expect(result.error).toContain('does not match');
+    });
+
+    it('should reject a token signed with another key', async () => {
+      const { signToken } = await createSigner();
+      const { publicKey: otherKey } = await createSigner();
+
+      const result = await CertificateService.verifyCertificateSignature(await signToken(claims), [otherKey]);
+
+      expect(result.error).toContain('does not match');
+    });
+
+    it('should read the token embedded in a certificate PDF', async () => {
+      const { publicKey, signToken } = await createSigner();
+      const pdfDoc = await PDFDocument.create();
+      pdfDoc.addPage([100, 100]);
+      pdfDoc.setKeywords([await signToken(claims)]);
+
+      const result = await CertificateService.verifyCertificateSignature(await pdfDoc.save(), [publicKey]);
+
+      expect(result.claims?.certificate_number).toBe('CERT-001');
+    });
+
+    it('should report certificates without a signature', async () => {
+      const result = await CertificateService.verifyCertificateSignature('CERT-001', ['key']);
+
+      expect(result.error).toContain('No certificate signature was found');
+    });
+  });
+
+  describe('getOpenBadgeAssertion', () => {
+    const mockBadge = {
+      certificate_number: 'CERT-001',
+      participant_name: 'John Doe',
+      event_title: 'Test Event',
+      completion_date: '2024-12-01',
+      certificate_png_url: 'https://example.com/cert.png',
+      generated_at: '2024-12-02T00:00:00Z',
+      status: 'active',
+      status_reason: null,
+      replacement_number: null,
+      event_description: '<p>An event</p>',
+      event_banner_url: null,
+      issuer_name: 'GanApp',
+      recipient_salt: 'cert-123',
+      recipient_identity: 'sha256$abc',
+    };
+
+    const mockBadgeRpc = (data: any, error: any = null) => {
+      (supabase.rpc as any).mockReturnValue({
+        maybeSingle: vi.fn().mockResolvedValue({ data, error }),
+      });
+    };
+
+    it('should build a hosted assertion with a hashed recipient', async () => {
+      mockBadgeRpc(mockBadge);
+
+      const result = await CertificateService.getOpenBadgeAssertion('CERT-001', 'https://example.com');
+
+      expect(supabase.rpc).toHaveBeenCalledWith('get_certificate_badge', {
+        certificate_number_text: 'CERT-001',
+      });
+      expect(result.assertion).toMatchObject({
+        type: 'Assertion',
+        id: 'https://example.com/api/open-badge?certificate=CERT-001',
+        badge: 'https://example.com/api/open-badge?certificate=CERT-001&part=badge',
+        recipient: { type: 'email', hashed: true, salt: 'cert-123', identity: 'sha256$abc' },
+        verification: { type: 'hosted' },
+        image: 'https://example.com/cert.png',
+      });
+      expect(result.assertion?.revoked).toBeUndefined();
+    });
+
+    it('should mark reissued certificates as revoked badges', async () => {
+      mockBadgeRpc({ ...mockBadge, status: 'superseded', replacement_number: 'CERT-002' });
+
+      const result = await CertificateService.getOpenBadgeAssertion('CERT-001', 'https://example.com');
+
+      expect(result.assertion?.revoked).toBe(true);
+      expect(result.assertion?.revocationReason).toBe('Replaced by certificate CERT-002');
+    });
+
+    it('should report certificates that cannot be exported', async () => {
+      mockBadgeRpc(null);
+
+      const result = await CertificateService.getOpenBadgeAssertion('CERT-001', 'https://example.com');
+
+      expect(result.error).toBe('This certificate cannot be exported as a badge');
+    });
+
+    it('should bake the assertion into the image once', () => {
+      const ihdr = [0, 0, 0, 0, 0x49, 0x48, 0x44, 0x52, 0, 0, 0, 0];
+      const iend = [0, 0, 0, 0, 0x49, 0x45, 0x4e, 0x44, 0xae, 0x42, 0x60, 0x82];
+      const png = new Uint8Array([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, ...ihdr, ...iend]);
+
+      const baked = bakeOpenBadgePNG(bakeOpenBadgePNG(png, { id: 'old' }), { id: 'new' });
+      const text = new TextDecoder().decode(baked);
+
+      expect(text.indexOf('iTXt')).toBe(text.indexOf('IHDR') + 12);
+      expect(text.split('openbadges').length).toBe(2);
+      expect(text).toContain('{"id":"new"}');
+      expect(baked.slice(-12)).toEqual(new Uint8Array(iend));
+    });
+  });
+
+  describe('checkCertificateEligibility', () => {
+    const mockEvent = {
+      id: 'event-123',
+      start_date: '2024-12-01',
+      end_date: '2024-12-01',
+    };
+
+    const mockTables = (logs: any[], approval: any = null) => {
+      const approvalQuery = {
+        select: vi.fn().mockReturnThis(),
+        eq: vi.fn().mockReturnThis(),
+        maybeSingle: vi.fn().mockResolvedValue({ data: approval, error: null }),
+      };
+      (supabase.from as any).mockImplementation((table: string) => {
+        if (table === 'certificate_approvals') return approvalQuery;
+        return {
+          select: vi.fn().mockReturnValue({
+            eq: vi.fn().mockReturnValue({
+              eq: vi.fn().mockResolvedValue({ data: logs, error: null }),
+            }),
+          }),
+        };
+      });
+    };
+
+    it('should require a validated check-in and the evaluation by default', async () => {
+      mockTables([{ check_in_time: '2024-12-01T09:00:00Z', check_in_date: '2024-12-01', is_validated: true, session_id: null }]);
+      (EventService.checkUserSurveyCompletion as any).mockResolvedValue({ isCompleted: true });
+
+      const result = await CertificateService.checkCertificateEligibility(mockEvent, 'user-123');
+
+      expect(result.eligibility?.eligible).toBe(true);
+      expect(result.eligibility?.requirements.map(requirement => requirement.type)).toEqual(['validated_check_in', 'evaluation']);
+      expect(supabase.from).not.toHaveBeenCalledWith('certificate_approvals');
+    });
+
+    it('should list the requirements a participant still misses', async () => {
+      mockTables([
+        { check_in_time: '2024-12-01T09:00:00Z', check_in_date: '2024-12-01', is_validated: false, session_id: null },
+        { check_in_time: '2024-12-01T10:00:00Z', check_in_date: '2024-12-01', is_validated: true, session_id: 'session-1' },
+      ]);
+
+      const result = await CertificateService.checkCertificateEligibility(
+        {
+          ...mockEvent,
+          min_sessions_for_certificate: 2,
+          certificate_rules: { evaluation: false, manual_approval: true },
+        },
+        'user-123'
+      );
+
+      expect(EventService.checkUserSurveyCompletion).not.toHaveBeenCalled();
+      expect(result.eligibility?.eligible).toBe(false);
+      expect(result.eligibility?.requirements.filter(requirement => !requirement.met).map(requirement => requirement.detail)).toEqual([
+        'Your check-in has not been validated by the organizer yet',
+        'You attended 1 of the 2 sessions required for a certificate',
+        'The organizer has not approved your certificate yet',
+      ]);
+    });
+  });
+
+  describe('getCertificateMergeFields', () => {
+    const mockEvent = {
+      id: 'event-123',
+      created_by: 'organizer-123',
+      registration_form: [
+        { id: 'q1', questionText: 'T-shirt size', questionType: 'dropdown' as const },
+        { id: 'q2', questionText: 'Dietary needs', questionType: 'checkbox' as const },
+      ],
+    };
+
+    const mockTables = ({ user, logs = [], answers = null, speakers = [] }: any) => {
+      (supabase.rpc as any).mockResolvedValue(
+        user === undefined ? { data: null, error: { message: 'permission denied' } } : { data: user, error: null }
+      );
+      (supabase.from as any).mockImplementation((table: string) => {
+        const maybeSingle = (data: any) => vi.fn().mockResolvedValue({ data, error: null });
+        switch (table) {
+          case 'attendance_logs':
+            return {
+              select: vi.fn().mockReturnValue({
+                eq: vi.fn().mockReturnValue({ eq: vi.fn().mockResolvedValue({ data: logs, error: null }) }),
+              }),
+            };
+          case 'event_registrations':
+            return {
+              select: vi.fn().mockReturnValue({
+                eq: vi.fn().mockReturnValue({
+                  eq: vi.fn().mockReturnValue({ maybeSingle: maybeSingle(answers && { registration_answers: answers }) }),
+                }),
+              }),
+            };
+          default:
+            return { select: vi.fn().mockReturnValue({ eq: vi.fn().mockResolvedValue({ data: speakers, error: null }) }) };
+        }
+      });
+    };
+
+    it('should total validated event hours and include the role, organization and answers', async () => {
+      mockTables({
+        user: { email: 'Ana@Example.com', organization: 'ACME' },
+        logs: [
+          { check_in_time: '2024-12-01T09:00:00Z', check_out_time: '2024-12-01T13:00:00Z', is_validated: true, session_id: null },
+          { check_in_time: '2024-12-02T09:00:00Z', check_out_time: '2024-12-02T12:30:00Z', is_validated: true, session_id: null },
+          { check_in_time: '2024-12-02T09:00:00Z', check_out_time: '2024-12-02T10:00:00Z', is_validated: true, session_id: 'session-1' },
+          { check_in_time: '2024-12-03T09:00:00Z', check_out_time: '2024-12-03T17:00:00Z', is_validated: false, session_id: null },
+        ],
+        answers: { q1: 'M', q2: ['Vegan', 'No nuts'] },
+        speakers: [{ speaker: { email: 'ana@example.com' } }],
+      });
+
+      const result = await CertificateService.getCertificateMergeFields(mockEvent, 'user-123');
+
+      expect(result.error).toBeUndefined();
+      expect(result.fields).toEqual({
+        hours: 7.5,
+        role: 'speaker',
+        organization: 'ACME',
+        'answer.t-shirt size': 'M',
+        'answer.dietary needs': 'Vegan; No nuts',
+      });
+    });
+
+    it('should mark the event creator as organizer and leave unknown hours empty', async () => {
+      mockTables({
+        user: { email: 'owner@example.com', organization: null },
+        logs: [{ check_in_time: '2024-12-01T09:00:00Z', check_out_time: null, is_validated: true, session_id: null }],
+      });
+
+      const result = await CertificateService.getCertificateMergeFields(mockEvent, 'organizer-123');
+
+      expect(result.fields).toMatchObject({ hours: '', role: 'organizer', organization: '', 'answer.t-shirt size': '' });
+    });
+
+    it('should leave the profile fields empty when the profile cannot be read', async () => {
+      mockTables({ user: undefined, speakers: [{ speaker: { email: 'ana@example.com' } }] });
+
+      const result = await CertificateService.getCertificateMergeFields(mockEvent, 'user-123');
+
+      expect(result.error).toBeUndefined();
+      expect(supabase.rpc).toHaveBeenCalledWith('get_user_profile', { user_id: 'user-123' });
+      expect(result.fields).toMatchObject({ role: 'participant', organization: '' });
+    });
+  });
+
+  describe('getCertificateTranscript', () => {
+    const mockTables = ({ sessions = [], logs = [] }: any) => {
+      (supabase.from as any).mockImplementation((table: string) => {
+        if (table === 'event_sessions') {
+          const order = vi.fn();
+          order
+            .mockReturnValueOnce({ order })
+            .mockReturnValueOnce({ order })
+            .mockResolvedValueOnce({ data: sessions, error: null });
+          return { select: vi.fn().mockReturnValue({ eq: vi.fn().mockReturnValue({ order }) }) };
+        }
+        const eq = vi.fn();
+        eq.mockReturnValue({ eq, not: vi.fn().mockResolvedValue({ data: logs, error: null }) });
+        return { select: vi.fn().mockReturnValue({ eq }) };
+      });
+    };
+
+    it('should list attended sessions with checked-in or scheduled hours', async () => {
+      mockTables({
+        sessions: [
+          { id: 's1', title: 'Opening keynote', session_date: '2024-12-01', start_time: '09:00:00', end_time: '10:30:00' },
+          { id: 's2', title: 'Workshop', session_date: '2024-12-01', start_time: '11:00:00', end_time: '13:00:00' },
+          { id: 's3', title: 'Skipped panel', session_date: '2024-12-02', start_time: '09:00:00', end_time: '10:00:00' },
+        ],
+        logs: [
+          { session_id: 's1', check_in_time: '2024-12-01T09:05:00Z', check_out_time: null },
+          { session_id: 's2', check_in_time: '2024-12-01T11:00:00Z', check_out_time: '2024-12-01T12:15:00Z' },
+        ],
+      });
+
+      const result = await CertificateService.getCertificateTranscript('event-123', 'user-123');
+
+      expect(result.error).toBeUndefined();
+      expect(result.entries).toEqual([
+        { title: 'Opening keynote', date: '2024-12-01', hours: 1.5, score: null },
+        { title: 'Workshop', date: '2024-12-01', hours: 1.3, score: null },
+      ]);
+    });
+  });
+
+  describe('certificate page formats', () => {
+    it('should size pages by paper and orientation at the same resolution', () => {
+      expect(getCertificatePageDimensions({ page_size: 'a4', orientation: 'landscape' })).toEqual({
+        width: 2500, height: 1768, pointWidth: 841.89, pointHeight: 595.28,
+      });
+      expect(getCertificatePageDimensions({ page_size: 'letter', orientation: 'portrait' })).toEqual({
+        width: 1932, height: 2500, pointWidth: 612, pointHeight: 792,
+      });
+    });
+
+    it('should keep the stored size of configs without a paper format', () => {
+      const dimensions = getCertificatePageDimensions({ width: 2500, height: 1768 });
+      expect(dimensions).toMatchObject({ width: 2500, height: 1768, pointWidth: 841.89 });
+      expect(dimensions.pointHeight).toBeCloseTo(595.28, 0);
+    });
+
+    it('should continue long transcripts on further pages', () => {
+      const rowsPerPage = getTranscriptRowsPerPage(2500, 1768);
+      const entries = Array.from({ length: rowsPerPage + 3 }, (_, i) => ({ title: `Session ${i + 1}` }));
+
+      const pages = paginateTranscript(entries, rowsPerPage);
+
+      expect(pages).toHaveLength(2);
+      expect(pages[1]).toHaveLength(3);
+      expect(paginateTranscript([], rowsPerPage)).toEqual([[]]);
+    });
+  });
+
+  describe('renderCertificateText', () => {
+    const fields = {
+      name: 'Ana Cruz',
+      event: 'Data Camp',
+      date: 'December 1, 2024',
+      venue: '',
+      hours: 7.5,
+      score: '92',
+      role: 'speaker',
+      'answer.t-shirt size': 'M',
+    };
+
+    it('should fill in merge fields and the original placeholders', () => {
+      expect(renderCertificateText('{{ Name }} attended {EVENT_NAME} for {{hours}} hours at {VENUE}{{missing}}', fields))
+        .toBe('Ana Cruz attended Data Camp for 7.5 hours at [Venue]');
+      expect(renderCertificateText('Size {{answer.T-shirt Size}}', fields)).toBe('Size M');
+    });
+
+    it('should render conditional text', () => {
+      const template = 'Completed{{#if score >= 90}} with distinction{{else}} with merit{{/if}}';
+      expect(renderCertificateText(template, fields)).toBe('Completed with distinction');
+      expect(renderCertificateText(template, { ...fields, score: 89 })).toBe('Completed with merit');
+      expect(renderCertificateText('{{#if score ≥ 90}}A{{/if}}{{#if score}}B{{/if}}', { score: '' })).toBe('');
+      expect(renderCertificateText('{{#if role == "Speaker"}}as a speaker{{#if !venue}} online{{/if}}{{/if}}', fields))
+        .toBe('as a speaker online');
+      expect(renderCertificateText('{{#if role = participant}}{{#if hours}}x{{else}}y{{/if}}{{else}}z{{/if}}', fields))
+        .toBe('z');
+    });
+  });
+
+  describe('autoIssueCertificate', () => {
+    const autoIssueEvent = {
+      id: 'event-123',
+      title: 'Test Event',
+      start_date: '2024-12-01',
+      end_date: '2024-12-01',
+      certificate_auto_issue: true,
+    };
+
+    const mockTables = (openJobs: any[] = []) => {
+      (supabase.from as any).mockImplementation((table: string) => {
+        if (table === 'job_queue') {
+          return {
+            select: vi.fn().mockReturnThis(),
+            eq: vi.fn().mockReturnThis(),
+            in: vi.fn().mockReturnThis(),
+            contains: vi.fn().mockReturnThis(),
+            limit: vi.fn().mockResolvedValue({ data: openJobs, error: null }),
+          };
+        }
+        return {
+          select: vi.fn().mockReturnThis(),
+          eq: vi.fn().mockReturnThis(),
+        };
+      });
+      (supabase.rpc as any).mockResolvedValue({
+        data: { prefix: 'Dr.', first_name: 'Jane', middle_initial: 'Q', last_name: 'Doe', affix: '', email: 'jane@example.com' },
+        error: null,
+      });
+    };
+
+    beforeEach(() => {
+      (EventService.getEventById as any).mockResolvedValue({ event: autoIssueEvent });
+      (JobQueueService.queueCertificateGeneration as any).mockResolvedValue({ job: { id: 'job-123' } });
+      vi.spyOn(CertificateService, 'getUserCertificate').mockResolvedValue({ certificate: undefined });
+      vi.spyOn(CertificateService, 'checkCertificateEligibility').mockResolvedValue({
+        eligibility: { eligible: true, requirements: [] },
+      });
+    });
+
+    it('should queue a certificate once the participant is eligible', async () => {
+      mockTables();
+
+      const result = await CertificateService.autoIssueCertificate('event-123', 'user-123');
+
+      expect(result.queued).toBe(true);
+      expect(supabase.rpc).toHaveBeenCalledWith('get_user_profile', { user_id: 'user-123' });
+      expect(JobQueueService.queueCertificateGeneration).toHaveBeenCalledWith(
+        {
+          eventId: 'event-123',
+          userId: 'user-123',
+          participantName: 'Dr. Jane Q Doe',
+          eventTitle: 'Test Event',
+          completionDate: '2024-12-01',
+        },
+        'user-123',
+        5
+      );
+    });
+
+    it('should not queue when auto-issue is off, a job is open or requirements are missing', async () => {
+      (EventService.getEventById as any).mockResolvedValueOnce({ event: { ...autoIssueEvent, certificate_auto_issue: false } });
+      expect((await CertificateService.autoIssueCertificate('event-123', 'user-123')).queued).toBe(false);
+
+      mockTables([{ id: 'job-456' }]);
+      expect((await CertificateService.autoIssueCertificate('event-123', 'user-123')).queued).toBe(false);
+
+      mockTables();
+      (CertificateService.checkCertificateEligibility as any).mockResolvedValueOnce({
+        eligibility: { eligible: false, requirements: [] },
+      });
+      expect((await CertificateService.autoIssueCertificate('event-123', 'user-123')).queued).toBe(false);
+
+      expect(JobQueueService.queueCertificateGeneration).not.toHaveBeenCalled();
+    });
+  });
+});
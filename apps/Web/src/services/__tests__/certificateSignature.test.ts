@@ -0,0 +1,167 @@
+import { describe, it, expect, beforeAll, beforeEach, vi } from 'vitest';
+import { generateKeyPairSync } from 'crypto';
+import { parseCertificateToken } from '../../utils/certificateSignatureUtils.js';
+
+vi.mock('@supabase/supabase-js', () => ({ createClient: vi.fn() }));
+
+type TableRows = Record<string, any>;
+
+// Every query on a table resolves to the rows configured for it, and every
+// auth user lookup to tables.users
+const createSupabase = (tables: TableRows) => ({
+  auth: {
+    admin: {
+      getUserById: vi.fn(() => Promise.resolve({ data: { user: tables.users ?? null }, error: null })),
+    },
+  },
+  from: vi.fn((table: string) => {
+    const result = { data: tables[table] ?? null, error: null };
+    const query: any = {
+      select: vi.fn(() => query),
+      eq: vi.fn(() => query),
+      neq: vi.fn(() => query),
+      limit: vi.fn(() => query),
+      maybeSingle: vi.fn(() => Promise.resolve(result)),
+      then: (resolve: any, reject: any) => Promise.resolve(result).then(resolve, reject),
+    };
+    return query;
+  }),
+});
+
+describe('signCertificateJob', () => {
+  let signCertificateJob: (supabase: any, jobId: string, certificateNumber: string, requesterId?: string) => Promise<any>;
+
+  const jobId = '11111111-1111-4111-8111-111111111111';
+  const eventId = '22222222-2222-4222-8222-222222222222';
+  const participantId = '33333333-3333-4333-8333-333333333333';
+  const organizerId = '44444444-4444-4444-8444-444444444444';
+
+  const event = {
+    id: eventId,
+    title: 'Research Summit',
+    created_by: organizerId,
+    start_date: '2025-05-01',
+    end_date: '2025-05-01',
+    certificate_rules: null,
+  };
+
+  const participantJob = {
+    id: jobId,
+    job_type: 'certificate_generation',
+    status: 'processing',
+    created_by: participantId,
+    job_data: {
+      eventId,
+      userId: participantId,
+      participantName: 'Dr. Maria Santos',
+      eventTitle: 'Research Summit',
+      completionDate: '2025-05-01',
+    },
+  };
+
+  const eligibleTables = (overrides: TableRows = {}): TableRows => ({
+    job_queue: participantJob,
+    events: event,
+    users: { email: 'maria@example.com', user_metadata: { prefix: 'Dr.', first_name: 'Maria', last_name: 'Santos' } },
+    attendance_logs: [{ check_in_date: '2025-05-01', check_in_time: '2025-05-01T01:00:00Z', is_validated: true, session_id: null }],
+    survey_responses: [{ id: 'response-1' }],
+    evaluation_responses: [],
+    certificate_approvals: null,
+    certificates: null,
+    ...overrides,
+  });
+
+  beforeAll(async () => {
+    const { privateKey } = generateKeyPairSync('ed25519');
+    vi.stubEnv('CERTIFICATE_SIGNING_KEY', privateKey.export({ type: 'pkcs8', format: 'pem' }).toString());
+    ({ signCertificateJob } = await import('../../../api/certificate-signature.js'));
+  });
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  it('should sign with the name on the participant profile once they are eligible', async () => {
+    const result = await signCertificateJob(createSupabase(eligibleTables()), jobId, 'CERT-001', participantId);
+
+    expect(result.error).toBeUndefined();
+    const claims = parseCertificateToken(result.token)?.claims;
+    expect(claims.participant_name).toBe('Dr. Maria Santos');
+    expect(claims.completion_date).toBe('2025-05-01');
+  });
+
+  it('should reject a requester who is neither the participant nor the organizer', async () => {
+    const result = await signCertificateJob(
+      createSupabase(eligibleTables()), jobId, 'CERT-001', '55555555-5555-4555-8555-555555555555'
+    );
+
+    expect(result.status).toBe(403);
+    expect(result.token).toBeUndefined();
+  });
+
+  it('should reject a name that does not match the participant profile', async () => {
+    const tables = eligibleTables({
+      job_queue: { ...participantJob, job_data: { ...participantJob.job_data, participantName: 'Someone Else' } },
+    });
+
+    const result = await signCertificateJob(createSupabase(tables), jobId, 'CERT-001', participantId);
+
+    expect(result.status).toBe(409);
+  });
+
+  it('should not sign for a participant who has not met the certificate rules', async () => {
+    const tables = eligibleTables({ attendance_logs: [], survey_responses: [] });
+
+    const result = await signCertificateJob(createSupabase(tables), jobId, 'CERT-001', participantId);
+
+    expect(result.status).toBe(403);
+    expect(result.error).toBe('The participant does not meet the certificate requirements for this event');
+  });
+
+  it('should not count a session check-in as event attendance', async () => {
+    const tables = eligibleTables({
+      attendance_logs: [{ check_in_date: '2025-05-01', check_in_time: '2025-05-01T01:00:00Z', is_validated: true, session_id: 'session-1' }],
+    });
+
+    const result = await signCertificateJob(createSupabase(tables), jobId, 'CERT-001', participantId);
+
+    expect(result.status).toBe(403);
+  });
+
+  it('should sign certificates the organizer issues with the name they entered', async () => {
+    const tables = eligibleTables({
+      job_queue: {
+        ...participantJob,
+        created_by: organizerId,
+        job_data: { ...participantJob.job_data, userId: organizerId, participantName: 'Guest Speaker' },
+      },
+      attendance_logs: [],
+    });
+
+    const result = await signCertificateJob(createSupabase(tables), jobId, 'CERT-001', organizerId);
+
+    expect(parseCertificateToken(result.token)?.claims.participant_name).toBe('Guest Speaker');
+  });
+
+  it('should reject a job queued by someone else unless they are an admin', async () => {
+    const queuedByOther = { ...participantJob, created_by: '55555555-5555-4555-8555-555555555555' };
+    const users = eligibleTables().users;
+
+    const rejected = await signCertificateJob(
+      createSupabase(eligibleTables({ job_queue: queuedByOther })), jobId, 'CERT-001', participantId
+    );
+    const signed = await signCertificateJob(
+      createSupabase(eligibleTables({ job_queue: queuedByOther, users: { ...users, app_metadata: { role: 'admin' } } })),
+      jobId, 'CERT-001', participantId
+    );
+
+    expect(rejected.status).toBe(403);
+    expect(signed.token).toBeTruthy();
+  });
+
+  it('should sign for the headless worker without a requester', async () => {
+    const result = await signCertificateJob(createSupabase(eligibleTables()), jobId, 'CERT-001');
+
+    expect(result.token).toBeTruthy();
+  });
+});
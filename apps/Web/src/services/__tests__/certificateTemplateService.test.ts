@@ -0,0 +1,144 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { CertificateTemplateService } from '../certificateTemplateService';
+import { supabase } from '../../lib/supabaseClient';
+
+vi.mock('../../lib/supabaseClient', () => ({
+  supabase: {
+    from: vi.fn(),
+    storage: {
+      from: vi.fn(),
+    },
+  },
+}));
+
+describe('CertificateTemplateService', () => {
+  const organizer = { id: 'organizer-1', role: 'organizer', department: 'College of Engineering' };
+
+  const mockConfig = {
+    id: 'config-1',
+    event_id: 'event-123',
+    created_by: 'organizer-1',
+    created_at: '2025-05-01T00:00:00Z',
+    updated_at: '2025-05-02T00:00:00Z',
+    background_color: '#ffffff',
+    title_text: 'CERTIFICATE',
+  };
+
+  const mockInsert = () => {
+    const insert = vi.fn().mockReturnValue({
+      select: vi.fn().mockReturnValue({
+        single: vi.fn().mockResolvedValue({ data: { id: 'template-1', visibility: 'private' }, error: null }),
+      }),
+    });
+    (supabase.from as any).mockReturnValue({ insert });
+    return insert;
+  };
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  describe('saveTemplate', () => {
+    it('should store the design without event fields', async () => {
+      const insert = mockInsert();
+
+      const result = await CertificateTemplateService.saveTemplate(
+        { name: ' Gala ', config: mockConfig as any, visibility: 'private' },
+        organizer
+      );
+
+      expect(supabase.from).toHaveBeenCalledWith('certificate_design_templates');
+      expect(result.template?.id).toBe('template-1');
+
+      const row = insert.mock.calls[0][0][0];
+      expect(row.name).toBe('Gala');
+      expect(row.department).toBeNull();
+      expect(row.config).toEqual({ background_color: '#ffffff', title_text: 'CERTIFICATE' });
+    });
+
+    it('should upload the thumbnail with the template', async () => {
+      const insert = mockInsert();
+      const upload = vi.fn().mockResolvedValue({ error: null });
+      const getPublicUrl = vi.fn().mockReturnValue({ data: { publicUrl: 'https://example.com/thumb.png' } });
+      (supabase.storage.from as any).mockReturnValue({ upload, getPublicUrl });
+
+      await CertificateTemplateService.saveTemplate(
+        { name: 'Gala', config: mockConfig as any, visibility: 'department', thumbnail: new Blob(['png']) },
+        organizer
+      );
+
+      expect(supabase.storage.from).toHaveBeenCalledWith('certificate-templates');
+      expect(upload.mock.calls[0][0]).toMatch(/^design-templates\/organizer-1\/.+\.png$/);
+
+      const row = insert.mock.calls[0][0][0];
+      expect(row.thumbnail_url).toBe('https://example.com/thumb.png');
+      expect(row.department).toBe('College of Engineering');
+    });
+
+    it('should require a name', async () => {
+      const result = await CertificateTemplateService.saveTemplate(
+        { name: '  ', config: mockConfig as any, visibility: 'private' },
+        organizer
+      );
+
+      expect(result.error).toBe('Template name is required');
+      expect(supabase.from).not.toHaveBeenCalled();
+    });
+
+    it('should only let admins publish official templates', async () => {
+      const result = await CertificateTemplateService.saveTemplate(
+        { name: 'Gala', config: mockConfig as any, visibility: 'official' },
+        organizer
+      );
+
+      expect(result.error).toBe('Only admins can publish official templates');
+      expect(supabase.from).not.toHaveBeenCalled();
+    });
+
+    it('should need an organization to share with the department', async () => {
+      const result = await CertificateTemplateService.saveTemplate(
+        { name: 'Gala', config: mockConfig as any, visibility: 'department' },
+        { ...organizer, department: null }
+      );
+
+      expect(result.error).toBe('Add your affiliated organization to your profile to share with your department');
+      expect(supabase.from).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('updateTemplateVisibility', () => {
+    it('should clear the department when a template goes private', async () => {
+      const update = vi.fn().mockReturnValue({
+        eq: vi.fn().mockReturnValue({
+          select: vi.fn().mockReturnValue({
+            single: vi.fn().mockResolvedValue({ data: { id: 'template-1', visibility: 'private' }, error: null }),
+          }),
+        }),
+      });
+      (supabase.from as any).mockReturnValue({ update });
+
+      const result = await CertificateTemplateService.updateTemplateVisibility('template-1', 'private', organizer);
+
+      expect(update).toHaveBeenCalledWith({ visibility: 'private', department: null });
+      expect(result.template?.visibility).toBe('private');
+    });
+  });
+
+  describe('groupTemplates', () => {
+    it('should split official, department and own templates', () => {
+      const templates = [
+        { id: 't1', visibility: 'official', created_by: 'organizer-1' },
+        { id: 't2', visibility: 'department', created_by: 'organizer-2' },
+        { id: 't3', visibility: 'department', created_by: 'organizer-1' },
+        { id: 't4', visibility: 'private', created_by: 'organizer-1' },
+        { id: 't5', visibility: 'private', created_by: 'organizer-2' },
+      ] as any[];
+
+      const groups = CertificateTemplateService.groupTemplates(templates, 'organizer-1');
+
+      expect(groups.official.map(t => t.id)).toEqual(['t1']);
+      expect(groups.department.map(t => t.id)).toEqual(['t2']);
+      expect(groups.mine.map(t => t.id)).toEqual(['t3', 't4']);
+    });
+  });
+});
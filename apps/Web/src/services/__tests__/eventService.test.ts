@@ -1,12 +1,21 @@
-import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
 import { EventService } from '../eventService';
 import { supabase } from '../../lib/supabaseClient';
 import { CacheService } from '../cacheService';
+import { NotificationService } from '../notificationService';
+import { getLocalDateString } from '../../utils/attendanceDayUtils';
 
 // Mock dependencies
 vi.mock('../../lib/supabaseClient', () => ({
   supabase: {
     from: vi.fn(),
+    rpc: vi.fn(),
+  },
+}));
+
+vi.mock('../notificationService', () => ({
+  NotificationService: {
+    createNotification: vi.fn().mockResolvedValue({}),
   },
 }));
 
@@ -208,6 +217,341 @@ describe('EventService', () => {
     });
   });
 
+  describe('createEvent with recurrence', () => {
+    it('should expand a weekly rule into linked occurrences', async () => {
+      const parent = {
+        ...mockEvent,
+        start_date: '2025-03-03',
+        end_date: '2025-03-03',
+        recurrence_rule: { frequency: 'weekly', interval: 1, count: 3 },
+        occurrence_index: 0,
+      };
+      const insertCalls: any[] = [];
+      const mockSingle = vi.fn().mockResolvedValue({ data: parent, error: null });
+
+      (supabase.from as any).mockReturnValue({
+        insert: vi.fn((rows) => {
+          insertCalls.push(rows);
+          return {
+            select: vi.fn(() => ({
+              single: mockSingle,
+              then: (resolve: any) => resolve({
+                data: rows.map((row: any, index: number) => ({ ...row, id: `child-${index}` })),
+                error: null,
+              }),
+            })),
+          };
+        }),
+      });
+
+      const result = await EventService.createEvent({
+        title: 'Weekly Seminar',
+        start_date: '2025-03-03',
+        end_date: '2025-03-03',
+        created_by: 'user-123',
+        recurrence_rule: { frequency: 'weekly', interval: 1, count: 3 },
+      });
+
+      expect(result.error).toBeUndefined();
+      expect(insertCalls[0][0].occurrence_index).toBe(0);
+      expect(insertCalls[1]).toHaveLength(2);
+      expect(insertCalls[1].map((row: any) => row.start_date)).toEqual(['2025-03-10', '2025-03-17']);
+      expect(insertCalls[1].every((row: any) => row.parent_event_id === 'event-123')).toBe(true);
+      expect(insertCalls[1][0].recurrence_rule).toBeUndefined();
+      expect(result.occurrences).toHaveLength(2);
+    });
+
+    it('should reject an invalid recurrence rule before inserting', async () => {
+      const mockInsert = vi.fn();
+      (supabase.from as any).mockReturnValue({ insert: mockInsert });
+
+      const result = await EventService.createEvent({
+        title: 'Broken Series',
+        created_by: 'user-123',
+        recurrence_rule: { frequency: 'custom', dates: [] },
+      });
+
+      expect(result.error).toBe('Add at least one date for a custom recurrence');
+      expect(mockInsert).not.toHaveBeenCalled();
+    });
+
+    it('should reject custom dates before the start date and counts over the cap', async () => {
+      const mockInsert = vi.fn();
+      (supabase.from as any).mockReturnValue({ insert: mockInsert });
+
+      const early = await EventService.createEvent({
+        title: 'Backdated Series',
+        created_by: 'user-123',
+        start_date: '2025-06-15',
+        recurrence_rule: { frequency: 'custom', dates: ['2025-06-01', '2025-06-22'] },
+      });
+      const tooMany = await EventService.createEvent({
+        title: 'Endless Series',
+        created_by: 'user-123',
+        start_date: '2025-06-15',
+        recurrence_rule: { frequency: 'daily', count: 53 },
+      });
+
+      expect(early.error).toBe('Custom recurrence dates cannot be before the event start date');
+      expect(tooMany.error).toBe('A recurring event can have at most 52 occurrences');
+      expect(mockInsert).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('promoteFromWaitlist', () => {
+    it('should notify every promoted user', async () => {
+      (supabase.rpc as any).mockResolvedValue({
+        data: [{ registration_id: 'reg-1', user_id: 'user-1' }, { registration_id: 'reg-2', user_id: 'user-2' }],
+        error: null,
+      });
+      (supabase.from as any).mockReturnValue({
+        select: vi.fn().mockReturnThis(),
+        eq: vi.fn().mockReturnThis(),
+        maybeSingle: vi.fn().mockResolvedValue({ data: { title: 'Test Event' }, error: null }),
+      });
+
+      const result = await EventService.promoteFromWaitlist('event-123');
+
+      expect(supabase.rpc).toHaveBeenCalledWith('promote_waitlisted_registrations', { event_uuid: 'event-123' });
+      expect(result.promoted).toEqual(['user-1', 'user-2']);
+      expect(NotificationService.createNotification).toHaveBeenCalledTimes(2);
+      expect((NotificationService.createNotification as any).mock.calls[0][0]).toBe('user-1');
+    });
+
+    it('should do nothing when no seat could be filled', async () => {
+      (supabase.rpc as any).mockResolvedValue({ data: [], error: null });
+
+      const result = await EventService.promoteFromWaitlist('event-123');
+
+      expect(result.promoted).toEqual([]);
+      expect(NotificationService.createNotification).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('getRegisteredCount', () => {
+    it('should count only registered sign-ups', async () => {
+      const mockEq = vi.fn().mockReturnThis();
+      (supabase.from as any).mockReturnValue({
+        select: vi.fn().mockReturnThis(),
+        eq: mockEq,
+        then: (resolve: any) => resolve({ count: 3, error: null }),
+      });
+
+      const result = await EventService.getRegisteredCount('event-123');
+
+      expect(result.count).toBe(3);
+      expect(mockEq).toHaveBeenCalledWith('status', 'registered');
+    });
+  });
+
+  describe('getWaitlistPosition', () => {
+    it('should return the 1-based position in join order', async () => {
+      (supabase.from as any).mockReturnValue({
+        select: vi.fn().mockReturnThis(),
+        eq: vi.fn().mockReturnThis(),
+        order: vi.fn().mockResolvedValue({
+          data: [{ user_id: 'user-a' }, { user_id: 'user-b' }, { user_id: 'user-c' }],
+          error: null,
+        }),
+      });
+
+      const result = await EventService.getWaitlistPosition('event-123', 'user-b');
+
+      expect(result.position).toBe(2);
+    });
+  });
+
+  describe('checkAttendanceDayRequirement', () => {
+    const threeDayEvent = { id: 'event-123', start_date: '2025-06-15', end_date: '2025-06-17', min_attendance_days: 2 };
+
+    const mockAttendance = (data: any[], error: any = null) => {
+      (supabase.from as any).mockReturnValue({
+        select: vi.fn().mockReturnThis(),
+        eq: vi.fn().mockReturnThis(),
+        is: vi.fn().mockResolvedValue({ data, error }),
+      });
+    };
+
+    it('should count each validated day once', async () => {
+      mockAttendance([
+        { check_in_date: '2025-06-15', is_validated: true },
+        { check_in_date: '2025-06-15', is_validated: true },
+        { check_in_date: '2025-06-16', is_validated: false },
+      ]);
+
+      const result = await EventService.checkAttendanceDayRequirement(threeDayEvent, 'user-123');
+
+      expect(result).toMatchObject({ eligible: false, attended: 1, required: 2, totalDays: 3 });
+      expect(result.error).toBe('You attended 1 of the 2 days required to complete this event');
+    });
+
+    it('should pass once enough days are attended', async () => {
+      mockAttendance([
+        { check_in_date: '2025-06-15', is_validated: true },
+        { check_in_date: '2025-06-17', is_validated: true },
+      ]);
+
+      const result = await EventService.checkAttendanceDayRequirement(threeDayEvent, 'user-123');
+
+      expect(result.eligible).toBe(true);
+      expect(result.attended).toBe(2);
+    });
+
+    it('should not block events without the rule when attendance cannot be read', async () => {
+      mockAttendance(null as any, { message: 'permission denied' });
+
+      const withoutRule = await EventService.checkAttendanceDayRequirement({ ...threeDayEvent, min_attendance_days: 0 }, 'user-123');
+      const withRule = await EventService.checkAttendanceDayRequirement(threeDayEvent, 'user-123');
+
+      expect(withoutRule.eligible).toBe(true);
+      expect(withRule.eligible).toBe(false);
+      expect(withRule.error).toBe('permission denied');
+    });
+
+    it('should only count days where the attendee stayed the minimum time', async () => {
+      mockAttendance([
+        { check_in_date: '2025-06-15', check_in_time: '2025-06-15T09:00:00Z', check_out_time: '2025-06-15T12:30:00Z', is_validated: true },
+        { check_in_date: '2025-06-16', check_in_time: '2025-06-16T09:00:00Z', check_out_time: '2025-06-16T09:45:00Z', is_validated: true },
+        { check_in_date: '2025-06-17', check_in_time: '2025-06-17T09:00:00Z', check_out_time: null, is_validated: true },
+      ]);
+
+      const result = await EventService.checkAttendanceDayRequirement({ ...threeDayEvent, min_attendance_minutes: 180 }, 'user-123');
+
+      expect(result).toMatchObject({ eligible: false, attended: 1, required: 2, minMinutes: 180 });
+      expect(result.error).toBe('You attended 1 of the 2 days required to complete this event (at least 3h a day, with check-out)');
+    });
+  });
+
+  describe('getCheckInStatistics', () => {
+    it('should report the average time attended per attendee', async () => {
+      (supabase.from as any).mockImplementation((table: string) => {
+        if (table === 'attendance_logs') {
+          return {
+            select: vi.fn().mockReturnThis(),
+            eq: vi.fn().mockResolvedValue({
+              data: [
+                { user_id: 'user-1', check_in_method: 'qr_scan', is_validated: true, check_in_date: '2025-06-15', check_in_time: '2025-06-15T09:00:00Z', check_out_time: '2025-06-15T11:00:00Z' },
+                { user_id: 'user-1', check_in_method: 'qr_scan', is_validated: true, check_in_date: '2025-06-16', check_in_time: '2025-06-16T09:00:00Z', check_out_time: '2025-06-16T10:00:00Z' },
+                { user_id: 'user-2', check_in_method: 'manual', is_validated: true, check_in_date: '2025-06-15', check_in_time: '2025-06-15T09:00:00Z', check_out_time: '2025-06-15T10:00:00Z' },
+                { user_id: 'user-3', check_in_method: 'geofence', is_validated: false, check_in_date: '2025-06-15', check_in_time: '2025-06-15T09:00:00Z', check_out_time: null },
+              ],
+              error: null,
+            }),
+          };
+        }
+        return {
+          select: vi.fn().mockReturnThis(),
+          eq: vi.fn().mockReturnThis(),
+          then: (resolve: any) => resolve({ count: 4 }),
+        };
+      });
+
+      const result = await EventService.getCheckInStatistics('event-123');
+
+      expect(result.stats.checked_out).toBe(3);
+      // user-1 stayed 3h over two days, user-2 stayed 1h
+      expect(result.stats.average_time_spent_minutes).toBe(120);
+      expect(result.stats.unique_users_checked_in).toBe(3);
+      expect(result.stats.by_method).toEqual({ qr_scan: 2, manual: 1, admin_override: 0, geofence: 1 });
+    });
+  });
+
+  describe('checkUserCheckInStatus', () => {
+    it('should only look at event-level check-ins for the local day', async () => {
+      const query: any = {
+        select: vi.fn(() => query),
+        eq: vi.fn(() => query),
+        is: vi.fn(() => query),
+        order: vi.fn(() => query),
+        limit: vi.fn(() => query),
+        maybeSingle: vi.fn().mockResolvedValue({
+          data: { id: 'log-1', check_in_time: '2025-06-15T09:00:00Z', check_in_date: '2025-06-15', is_validated: true },
+          error: null,
+        }),
+      };
+      (supabase.from as any).mockReturnValue(query);
+
+      const result = await EventService.checkUserCheckInStatus('event-123', 'user-1');
+
+      expect(result).toEqual({ isCheckedIn: true, isValidated: true });
+      expect(query.is).toHaveBeenCalledWith('session_id', null);
+      expect(query.eq).toHaveBeenCalledWith('check_in_date', getLocalDateString());
+    });
+  });
+
+  describe('getEventCheckIns', () => {
+    const mockCheckInsQuery = () => {
+      const query: any = {
+        select: vi.fn(() => query),
+        eq: vi.fn(() => query),
+        is: vi.fn(() => query),
+        order: vi.fn().mockResolvedValue({ data: [], error: null }),
+      };
+      (supabase.from as any).mockReturnValue(query);
+      return query;
+    };
+
+    it('should leave out session check-ins', async () => {
+      const query = mockCheckInsQuery();
+
+      await EventService.getEventCheckIns('event-123');
+
+      expect(query.is).toHaveBeenCalledWith('session_id', null);
+    });
+
+    it('should include session check-ins when asked for', async () => {
+      const query = mockCheckInsQuery();
+
+      await EventService.getEventCheckIns('event-123', { includeSessions: true });
+
+      expect(query.is).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('registerForEvent with a registration form', () => {
+    const eventWithForm = {
+      ...mockEvent,
+      end_date: '2099-12-31',
+      start_time: '09:00',
+      end_time: '17:00',
+      registration_form: [
+        { id: 'rq_size', questionText: 'T-shirt size', questionType: 'dropdown' as const, required: true, options: ['S', 'M', 'L'] },
+      ],
+    };
+
+    let spies: Array<{ mockRestore: () => void }> = [];
+
+    beforeEach(() => {
+      spies = [
+        vi.spyOn(EventService, 'getUserRegistration').mockResolvedValue({}),
+        vi.spyOn(EventService, 'getWaitlistPosition').mockResolvedValue({}),
+        vi.spyOn(EventService, 'getEventById').mockResolvedValue({ event: eventWithForm }),
+      ];
+      (supabase.from as any).mockReturnValue({
+        select: vi.fn().mockReturnThis(),
+        eq: vi.fn().mockReturnThis(),
+        maybeSingle: vi.fn().mockResolvedValue({ data: null, error: null }),
+      });
+    });
+
+    afterEach(() => {
+      spies.forEach(spy => spy.mockRestore());
+    });
+
+    it('should reject a missing required answer', async () => {
+      const result = await EventService.registerForEvent('event-123', 'user-123', {});
+
+      expect(result.error).toBe('T-shirt size: This question is required');
+      expect(result.registration).toBeUndefined();
+    });
+
+    it('should reject an answer that is not one of the options', async () => {
+      const result = await EventService.registerForEvent('event-123', 'user-123', { rq_size: 'XXL' });
+
+      expect(result.error).toBe('T-shirt size: Please choose one of the listed options');
+    });
+  });
+
   describe('updateEvent', () => {
     it('should update event successfully', async () => {
       const updatedEvent = { ...mockEvent, title: 'Updated Event' };
@@ -0,0 +1,179 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { EventTemplateService } from '../eventTemplateService';
+import { EventService } from '../eventService';
+import { SpeakerService } from '../speakerService';
+import { SponsorService } from '../sponsorService';
+import { SurveyService } from '../surveyService';
+import { CertificateService } from '../certificateService';
+import { supabase } from '../../lib/supabaseClient';
+
+// Mock dependencies
+vi.mock('../eventService');
+vi.mock('../speakerService');
+vi.mock('../sponsorService');
+vi.mock('../surveyService');
+vi.mock('../certificateService');
+vi.mock('../../lib/supabaseClient', () => ({
+  supabase: {
+    from: vi.fn(),
+    rpc: vi.fn(),
+  },
+}));
+
+describe('EventTemplateService', () => {
+  const mockEvent = {
+    id: 'event-123',
+    title: 'Tech Summit',
+    rationale: '<p>Talks</p>',
+    start_date: '2025-06-15',
+    end_date: '2025-06-15',
+    start_time: '09:00:00',
+    end_time: '17:00:00',
+    venue: 'Main Hall',
+    status: 'published',
+    current_participants: 42,
+    is_featured: true,
+    banner_url: 'https://example.com/banner.png',
+    created_by: 'organizer-1',
+    created_at: '2025-05-01T00:00:00Z',
+    updated_at: '2025-05-02T00:00:00Z',
+  };
+
+  const mockQuestions = [
+    { questionText: 'Rate the event', questionType: 'linear-scale', scaleMin: 1, scaleMax: 5, sectionTitle: 'Overall', sectionIndex: 0 },
+    { questionText: 'Best talk?', questionType: 'multiple-choice', options: ['A', 'B'], sectionTitle: 'Talks', sectionIndex: 1 },
+    { questionText: 'Comments', questionType: 'paragraph', sectionTitle: 'Talks', sectionIndex: 1 },
+  ];
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+
+    (EventService.getEventById as any) = vi.fn().mockResolvedValue({ event: mockEvent });
+    (EventService.createEvent as any) = vi.fn().mockResolvedValue({ event: { ...mockEvent, id: 'event-456', title: 'Copy of Tech Summit' } });
+    (SpeakerService.getEventSpeakers as any) = vi.fn().mockResolvedValue({
+      speakers: [{
+        speaker_id: 'speaker-1',
+        speaker_order: 0,
+        is_keynote: true,
+        speaker: { id: 'speaker-1', first_name: 'Ada', last_name: 'Lovelace', created_at: 'x', updated_at: 'x' },
+      }],
+    });
+    (SponsorService.getEventSponsors as any) = vi.fn().mockResolvedValue({
+      sponsors: [{ sponsor_id: 'sponsor-1', sponsor_order: 0, sponsor: { id: 'sponsor-1', name: 'TechCorp' } }],
+    });
+    (SurveyService.getSurveysByEvent as any) = vi.fn().mockResolvedValue({
+      surveys: [{ id: 'survey-1', title: 'Survey for Tech Summit', description: 'Feedback', questions: mockQuestions }],
+    });
+    (CertificateService.getCertificateConfig as any) = vi.fn().mockResolvedValue({
+      config: { id: 'config-1', event_id: 'event-123', created_by: 'organizer-1', title_text: 'CERTIFICATE' },
+    });
+    (SpeakerService.addSpeakerToEvent as any) = vi.fn().mockResolvedValue({});
+    (SponsorService.addSponsorToEvent as any) = vi.fn().mockResolvedValue({});
+    (SurveyService.createSurvey as any) = vi.fn().mockResolvedValue({ survey: { id: 'survey-2' } });
+    (CertificateService.saveCertificateConfig as any) = vi.fn().mockResolvedValue({ config: {} });
+  });
+
+  describe('duplicateEvent', () => {
+    it('should create a draft copy without per-run fields', async () => {
+      const result = await EventTemplateService.duplicateEvent('event-123', 'organizer-2');
+
+      expect(result.error).toBeUndefined();
+      expect(result.event?.id).toBe('event-456');
+
+      const created = (EventService.createEvent as any).mock.calls[0][0];
+      expect(created).toMatchObject({
+        title: 'Copy of Tech Summit',
+        status: 'draft',
+        start_date: '2025-06-15',
+        venue: 'Main Hall',
+        banner_url: 'https://example.com/banner.png',
+        created_by: 'organizer-2',
+      });
+      expect(created).not.toHaveProperty('id');
+      expect(created).not.toHaveProperty('current_participants');
+      expect(created).not.toHaveProperty('is_featured');
+    });
+
+    it('should link speakers, sponsors, the evaluation and the certificate design to the copy', async () => {
+      await EventTemplateService.duplicateEvent('event-123', 'organizer-2');
+
+      expect(SpeakerService.addSpeakerToEvent).toHaveBeenCalledWith('event-456', 'speaker-1', { order: 0, isKeynote: true });
+      expect(SponsorService.addSponsorToEvent).toHaveBeenCalledWith('event-456', 'sponsor-1', { order: 0 });
+      expect(SurveyService.createSurvey).toHaveBeenCalledWith(expect.objectContaining({
+        event_id: 'event-456',
+        questions: mockQuestions,
+        created_by: 'organizer-2',
+      }));
+      expect(CertificateService.saveCertificateConfig).toHaveBeenCalledWith(
+        'event-456',
+        { title_text: 'CERTIFICATE' },
+        'organizer-2'
+      );
+    });
+
+    it('should report the parts that could not be copied', async () => {
+      (SurveyService.createSurvey as any) = vi.fn().mockResolvedValue({ error: 'RLS violation' });
+
+      const result = await EventTemplateService.duplicateEvent('event-123', 'organizer-2');
+
+      expect(result.event?.id).toBe('event-456');
+      expect(result.error).toBe('Event duplicated, but these could not be copied: evaluation');
+    });
+  });
+
+  describe('saveEventAsTemplate', () => {
+    it('should store the snapshot without dates', async () => {
+      const insert = vi.fn().mockReturnValue({
+        select: vi.fn().mockReturnValue({
+          single: vi.fn().mockResolvedValue({ data: { id: 'template-1' }, error: null }),
+        }),
+      });
+      (supabase.from as any).mockReturnValue({ insert });
+
+      const result = await EventTemplateService.saveEventAsTemplate('event-123', ' Summit ', 'organizer-1');
+
+      expect(supabase.from).toHaveBeenCalledWith('event_templates');
+      expect(result.template?.id).toBe('template-1');
+
+      const row = insert.mock.calls[0][0][0];
+      expect(row.name).toBe('Summit');
+      expect(row.source_event_id).toBe('event-123');
+      expect(row.event_data).not.toHaveProperty('start_date');
+      expect(row.speakers).toEqual([{ first_name: 'Ada', last_name: 'Lovelace', speaker_id: 'speaker-1', speaker_order: 0, is_keynote: true }]);
+    });
+
+    it('should require a name', async () => {
+      const result = await EventTemplateService.saveEventAsTemplate('event-123', '  ', 'organizer-1');
+
+      expect(result.error).toBe('Template name is required');
+      expect(supabase.from).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('getSurveySections', () => {
+    it('should regroup flattened questions into their sections', () => {
+      const sections = EventTemplateService.getSurveySections({ title: '', description: '', questions: mockQuestions });
+
+      expect(sections).toHaveLength(2);
+      expect(sections[0].sectionTitle).toBe('Overall');
+      expect(sections[1].questions.map((q: any) => q.questionText)).toEqual(['Best talk?', 'Comments']);
+      expect(sections[1].questions[0].options).toEqual(['A', 'B']);
+    });
+
+    it('should keep branching and skip logic for the survey editor', () => {
+      const sections = EventTemplateService.getSurveySections({
+        title: '',
+        description: '',
+        questions: [
+          { id: 'q_1', questionText: 'Attended?', questionType: 'multiple-choice', options: ['Yes', 'No'], sectionIndex: 0, skipRule: { operator: 'equals', value: 'No', goTo: 'end' } },
+          { id: 'q_2', questionText: 'Workshop?', questionType: 'paragraph', sectionIndex: 1, sectionCondition: { questionId: 'q_1', operator: 'equals', value: 'Yes' } },
+        ],
+      });
+
+      expect(sections[0].questions[0].logicKey).toBe('q_1');
+      expect(sections[0].questions[0].skipRule).toEqual({ operator: 'equals', value: 'No', goTo: 'end' });
+      expect(sections[1].logicKey).toBe('s_1');
+      expect(sections[1].showIf).toEqual({ questionKey: 'q_1', operator: 'equals', value: 'Yes' });
+    });
+  });
+});
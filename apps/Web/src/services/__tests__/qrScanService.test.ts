@@ -0,0 +1,188 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { QRScanService } from '../qrScanService';
+import { EventService } from '../eventService';
+import { supabase } from '../../lib/supabaseClient';
+import { deriveParticipantKey, generateRotatingCode, getTimeStep } from '../../utils/rotatingQrUtils';
+
+vi.mock('../../lib/supabaseClient', () => ({
+  supabase: {
+    from: vi.fn(),
+    rpc: vi.fn(),
+  },
+}));
+
+vi.mock('../eventService', () => ({
+  EventService: {
+    getEventQRSettings: vi.fn(),
+  },
+}));
+
+describe('QRScanService', () => {
+  const mockEvent = {
+    id: 'event-123',
+    title: 'Test Event',
+    start_date: '2024-06-10',
+    end_date: '2024-06-11',
+    start_time: '09:00:00',
+    end_time: '17:00:00',
+    status: 'published' as const,
+    check_in_before_minutes: 60,
+    check_in_during_minutes: 30,
+  };
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  describe('validateCheckInTiming', () => {
+    it('should accept check-ins inside the daily window', () => {
+      const result = QRScanService.validateCheckInTiming(mockEvent, new Date('2024-06-11T08:30:00'));
+
+      expect(result.valid).toBe(true);
+    });
+
+    it('should reject check-ins before the window opens', () => {
+      const result = QRScanService.validateCheckInTiming(mockEvent, new Date('2024-06-10T07:30:00'));
+
+      expect(result.valid).toBe(false);
+      expect(result.message).toContain('Check-in opens at');
+    });
+
+    it('should reject check-ins after the window closes', () => {
+      const result = QRScanService.validateCheckInTiming(mockEvent, new Date('2024-06-10T09:45:00'));
+
+      expect(result.valid).toBe(false);
+      expect(result.message).toContain('Check-in window closed');
+    });
+
+    it('should reject check-ins after the event has ended', () => {
+      const result = QRScanService.validateCheckInTiming(mockEvent, new Date('2024-06-12T09:00:00'));
+
+      expect(result.valid).toBe(false);
+      expect(result.message).toBe('This event has already ended');
+    });
+  });
+
+  describe('validateQRCode', () => {
+    const secret = 'ab'.repeat(32);
+
+    it('should accept a current rotating code', async () => {
+      vi.mocked(EventService.getEventQRSettings).mockResolvedValue({
+        settings: { rotation_seconds: 30, secret },
+      });
+      const code = generateRotatingCode(deriveParticipantKey(secret, 'user-1'), getTimeStep(30));
+
+      const result = await QRScanService.validateQRCode({ eventId: 'event-123', userId: 'user-1', totp: code }, 'event-123', 'user-1');
+
+      expect(result.valid).toBe(true);
+    });
+
+    it('should reject a rotating code generated for another participant', async () => {
+      vi.mocked(EventService.getEventQRSettings).mockResolvedValue({
+        settings: { rotation_seconds: 30, secret },
+      });
+      const code = generateRotatingCode(deriveParticipantKey(secret, 'user-2'), getTimeStep(30));
+
+      const result = await QRScanService.validateQRCode({ eventId: 'event-123', userId: 'user-1', totp: code }, 'event-123', 'user-1');
+
+      expect(result.valid).toBe(false);
+    });
+
+    it('should reject static codes for events with rotating codes', async () => {
+      vi.mocked(EventService.getEventQRSettings).mockResolvedValue({
+        settings: { rotation_seconds: 30, secret },
+      });
+
+      const result = await QRScanService.validateQRCode({ eventId: 'event-123', userId: 'user-1', qrToken: 'ABCD1234' }, 'event-123', 'user-1');
+
+      expect(result.valid).toBe(false);
+      expect(result.message).toContain('rotating QR codes');
+    });
+  });
+
+  describe('checkInWithQRCode', () => {
+    it('should reject codes for a different event', async () => {
+      const result = await QRScanService.checkInWithQRCode(
+        JSON.stringify({ eventId: 'event-999', userId: 'user-1' }),
+        mockEvent,
+        'organizer-1'
+      );
+
+      expect(result.success).toBe(false);
+      expect(result.message).toContain('different event');
+    });
+
+    it('should reject codes without a participant', async () => {
+      const result = await QRScanService.checkInWithQRCode(
+        JSON.stringify({ eventId: 'event-123' }),
+        mockEvent,
+        'organizer-1'
+      );
+
+      expect(result.success).toBe(false);
+      expect(result.message).toBe('This is not a participant check-in QR code');
+    });
+
+    describe('with a QR code record', () => {
+      const mockTables = (existingCheckIn: any) => {
+        (supabase.from as any).mockImplementation((table: string) => {
+          const rows: Record<string, any> = {
+            qr_codes: { id: 'qr-1', is_active: true, max_scans: 3, scan_count: 1, event_id: 'event-123', owner_id: 'user-1' },
+            event_registrations: { id: 'registration-1' },
+            attendance_logs: existingCheckIn,
+          };
+          const query: any = {
+            select: vi.fn(() => query),
+            eq: vi.fn(() => query),
+            is: vi.fn(() => query),
+            limit: vi.fn(() => query),
+            insert: vi.fn(() => query),
+            maybeSingle: vi.fn().mockResolvedValue({ data: rows[table] ?? null, error: null }),
+            single: vi.fn().mockResolvedValue({ data: { id: 'log-1' }, error: null }),
+          };
+          return query;
+        });
+        (supabase.rpc as any).mockResolvedValue({ data: null, error: null });
+      };
+
+      beforeEach(() => {
+        vi.useFakeTimers();
+        vi.setSystemTime(new Date('2024-06-10T08:30:00'));
+        (EventService.getEventQRSettings as any).mockResolvedValue({ settings: { rotation_seconds: 0 } });
+      });
+
+      afterEach(() => {
+        vi.useRealTimers();
+      });
+
+      it('should count a successful check-in towards the scan limit', async () => {
+        mockTables(null);
+
+        const result = await QRScanService.checkInWithQRCode(
+          JSON.stringify({ eventId: 'event-123', userId: 'user-1', qrToken: 'ABCD1234' }),
+          mockEvent,
+          'organizer-1'
+        );
+
+        expect(result.success).toBe(true);
+        expect(supabase.rpc).toHaveBeenCalledWith('record_qr_code_check_in', {
+          qr_token_param: 'ABCD1234',
+          event_uuid: 'event-123',
+        });
+      });
+
+      it('should not count a repeat scan of someone already checked in', async () => {
+        mockTables({ id: 'log-1' });
+
+        const result = await QRScanService.checkInWithQRCode(
+          JSON.stringify({ eventId: 'event-123', userId: 'user-1', qrToken: 'ABCD1234' }),
+          mockEvent,
+          'organizer-1'
+        );
+
+        expect(result.alreadyCheckedIn).toBe(true);
+        expect(supabase.rpc).not.toHaveBeenCalledWith('record_qr_code_check_in', expect.anything());
+      });
+    });
+  });
+});
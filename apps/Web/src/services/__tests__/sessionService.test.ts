@@ -0,0 +1,93 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { SessionService } from '../sessionService';
+import { supabase } from '../../lib/supabaseClient';
+
+// Mock dependencies
+vi.mock('../../lib/supabaseClient', () => ({
+  supabase: {
+    from: vi.fn(),
+    rpc: vi.fn(),
+  },
+}));
+
+describe('SessionService', () => {
+  const mockAttendanceCount = (count: number) => {
+    const chain: any = {
+      select: vi.fn().mockReturnThis(),
+      eq: vi.fn().mockReturnThis(),
+      not: vi.fn().mockResolvedValue({ count, error: null }),
+    };
+    (supabase.from as any).mockReturnValue(chain);
+    return chain;
+  };
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  describe('validateSession', () => {
+    const validSession = {
+      title: 'Opening Keynote',
+      session_date: '2025-06-15',
+      start_time: '09:00',
+      end_time: '10:00',
+    };
+
+    it('should accept a valid session', () => {
+      expect(SessionService.validateSession(validSession)).toBeNull();
+    });
+
+    it('should require a title', () => {
+      expect(SessionService.validateSession({ ...validSession, title: '  ' })).toBe('Session title is required');
+    });
+
+    it('should reject an end time before the start time', () => {
+      expect(SessionService.validateSession({ ...validSession, end_time: '08:30' }))
+        .toBe('Session end time must be after its start time');
+    });
+
+    it('should reject a capacity below one', () => {
+      expect(SessionService.validateSession({ ...validSession, max_participants: 0 }))
+        .toBe('Session capacity must be at least 1');
+    });
+  });
+
+  describe('registerForSession', () => {
+    it('should surface the database error when the session is full', async () => {
+      (supabase.rpc as any).mockResolvedValue({ data: null, error: { message: 'This session is full' } });
+
+      const result = await SessionService.registerForSession('session-123');
+
+      expect(supabase.rpc).toHaveBeenCalledWith('register_for_session', { session_uuid: 'session-123' });
+      expect(result.error).toBe('This session is full');
+    });
+  });
+
+  describe('checkSessionRequirement', () => {
+    it('should be eligible without querying when the event has no requirement', async () => {
+      const result = await SessionService.checkSessionRequirement({ id: 'event-123', min_sessions_for_certificate: 0 }, 'user-123');
+
+      expect(result.eligible).toBe(true);
+      expect(supabase.from).not.toHaveBeenCalled();
+    });
+
+    it('should not be eligible when too few sessions were attended', async () => {
+      const chain = mockAttendanceCount(1);
+
+      const result = await SessionService.checkSessionRequirement({ id: 'event-123', min_sessions_for_certificate: 3 }, 'user-123');
+
+      expect(supabase.from).toHaveBeenCalledWith('attendance_logs');
+      expect(chain.not).toHaveBeenCalledWith('session_id', 'is', null);
+      expect(result.eligible).toBe(false);
+      expect(result.error).toBe('You attended 1 of the 3 sessions required for a certificate');
+    });
+
+    it('should be eligible when enough sessions were attended', async () => {
+      mockAttendanceCount(3);
+
+      const result = await SessionService.checkSessionRequirement({ id: 'event-123', min_sessions_for_certificate: 3 }, 'user-123');
+
+      expect(result).toEqual({ eligible: true, attended: 3, required: 3 });
+    });
+  });
+});
@@ -0,0 +1,190 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { StatisticsService } from '../statisticsService';
+import { EventService } from '../eventService';
+import { supabase } from '../../lib/supabaseClient';
+
+vi.mock('../../lib/supabaseClient', () => ({
+  supabase: {
+    from: vi.fn(),
+    rpc: vi.fn(),
+  },
+}));
+
+vi.mock('../eventService', () => ({
+  EventService: {
+    getEventById: vi.fn(),
+    getEventCheckIns: vi.fn(),
+  },
+}));
+
+vi.mock('../surveyService', () => ({
+  SurveyService: {},
+}));
+
+describe('StatisticsService', () => {
+  const mockEvent = {
+    id: 'event-123',
+    title: 'Test Event',
+    start_date: '2024-06-10',
+    end_date: '2024-06-10',
+    start_time: '09:00:00',
+    end_time: '17:00:00',
+    check_in_before_minutes: 60,
+    check_in_during_minutes: 30,
+  };
+
+  const mockScansQuery = (scans: any[]) => {
+    vi.mocked(supabase.from).mockReturnValue({
+      select: vi.fn().mockReturnValue({
+        eq: vi.fn().mockReturnValue({
+          order: vi.fn().mockResolvedValue({ data: scans, error: null }),
+        }),
+      }),
+    } as any);
+  };
+
+  const findRule = (report: any, rule: string) => report.rules.find((r: any) => r.rule === rule);
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    vi.mocked(EventService.getEventById).mockResolvedValue({ event: mockEvent } as any);
+  });
+
+  describe('getAttendanceAnomalies', () => {
+    it('should flag one QR code scanned on several devices within a minute', async () => {
+      vi.mocked(EventService.getEventCheckIns).mockResolvedValue({
+        checkIns: [
+          { id: 'log-1', user_id: 'user-1', participant_name: 'Ana Cruz', check_in_time: '2024-06-10T08:30:00', check_in_date: '2024-06-10', check_in_method: 'qr_scan', is_validated: true },
+        ],
+      });
+      mockScansQuery([
+        { id: 'scan-1', scan_timestamp: '2024-06-10T08:30:00', device_id: 'device-a', participant_id: 'user-1', attendance_log_id: 'log-1' },
+        { id: 'scan-2', scan_timestamp: '2024-06-10T08:30:20', device_id: 'device-b', participant_id: 'user-1', attendance_log_id: 'log-1' },
+      ]);
+
+      const result = await StatisticsService.getAttendanceAnomalies('event-123');
+
+      const rule = findRule(result.report, 'shared_qr_code');
+      expect(rule.findings).toHaveLength(1);
+      expect(rule.findings[0].checkInIds).toEqual(['log-1']);
+      expect(result.report?.checkIns['log-1'].participant_name).toBe('Ana Cruz');
+    });
+
+    it('should not flag repeat scans on the same device', async () => {
+      vi.mocked(EventService.getEventCheckIns).mockResolvedValue({ checkIns: [] });
+      mockScansQuery([
+        { id: 'scan-1', scan_timestamp: '2024-06-10T08:30:00', device_id: 'device-a', participant_id: 'user-1' },
+        { id: 'scan-2', scan_timestamp: '2024-06-10T08:30:20', device_id: 'device-a', participant_id: 'user-1' },
+      ]);
+
+      const result = await StatisticsService.getAttendanceAnomalies('event-123');
+
+      expect(findRule(result.report, 'shared_qr_code').findings).toHaveLength(0);
+    });
+
+    it('should flag QR check-ins outside the check-in window but not manual ones', async () => {
+      vi.mocked(EventService.getEventCheckIns).mockResolvedValue({
+        checkIns: [
+          { id: 'log-1', user_id: 'user-1', check_in_time: '2024-06-10T12:00:00', check_in_date: '2024-06-10', check_in_method: 'qr_scan', is_validated: true },
+          { id: 'log-2', user_id: 'user-2', check_in_time: '2024-06-10T12:00:00', check_in_date: '2024-06-10', check_in_method: 'manual', is_validated: true },
+          { id: 'log-3', user_id: 'user-3', check_in_time: '2024-06-10T08:45:00', check_in_date: '2024-06-10', check_in_method: 'qr_scan', is_validated: true },
+        ],
+      });
+      mockScansQuery([]);
+
+      const result = await StatisticsService.getAttendanceAnomalies('event-123');
+
+      const rule = findRule(result.report, 'outside_check_in_window');
+      expect(rule.findings).toHaveLength(1);
+      expect(rule.findings[0].checkInIds).toEqual(['log-1']);
+      expect(rule.findings[0].description).toContain('after check-in closed');
+    });
+
+    it('should flag a device scanning faster than a person can', async () => {
+      vi.mocked(EventService.getEventCheckIns).mockResolvedValue({ checkIns: [] });
+      const start = new Date('2024-06-10T08:30:00Z').getTime();
+      mockScansQuery(Array.from({ length: 40 }, (_, index) => ({
+        id: `scan-${index}`,
+        scan_timestamp: new Date(start + index * 1000).toISOString(),
+        device_id: 'device-a',
+        participant_id: `user-${index}`,
+        attendance_log_id: `log-${index}`,
+      })));
+
+      const result = await StatisticsService.getAttendanceAnomalies('event-123');
+
+      const rule = findRule(result.report, 'high_scan_rate');
+      expect(rule.findings).toHaveLength(1);
+      expect(rule.findings[0].checkInIds).toHaveLength(40);
+    });
+
+    it('should return an error when the scan history cannot be read', async () => {
+      vi.mocked(EventService.getEventCheckIns).mockResolvedValue({ checkIns: [] });
+      vi.mocked(supabase.from).mockReturnValue({
+        select: vi.fn().mockReturnValue({
+          eq: vi.fn().mockReturnValue({
+            order: vi.fn().mockResolvedValue({ data: null, error: { message: 'permission denied' } }),
+          }),
+        }),
+      } as any);
+
+      const result = await StatisticsService.getAttendanceAnomalies('event-123');
+
+      expect(result.error).toBe('permission denied');
+    });
+  });
+
+  describe('getEventStatistics', () => {
+    // Every query resolves to its table's rows, however it is filtered
+    const mockTables = (tables: Record<string, any[]>) => {
+      vi.mocked(supabase.from).mockImplementation((table: string) => {
+        const query: any = {
+          then: (resolve: any, reject: any) => Promise.resolve({ data: tables[table] || [], error: null }).then(resolve, reject),
+        };
+        ['select', 'eq', 'order', 'limit', 'is'].forEach(method => {
+          query[method] = vi.fn().mockReturnValue(query);
+        });
+        return query;
+      });
+    };
+
+    const branchingSurvey = {
+      id: 'survey-1',
+      questions: [
+        { id: 'q_1', questionType: 'multiple-choice', options: ['Yes', 'No'], sectionIndex: 0, sectionTitle: 'Attendance' },
+        { id: 'q_2', questionType: 'linear-scale', sectionIndex: 0, sectionTitle: 'Attendance', skipRule: { operator: 'less_or_equal', value: '2', goTo: 'end' } },
+        {
+          id: 'q_3',
+          questionType: 'paragraph',
+          sectionIndex: 1,
+          sectionTitle: 'Workshop',
+          sectionCondition: { questionId: 'q_1', operator: 'equals', value: 'Yes' },
+        },
+      ],
+    };
+
+    it('should compute response rates against the respondents shown each question', async () => {
+      mockTables({
+        surveys: [branchingSurvey],
+        survey_responses: [
+          { responses: { q_1: 'Yes', q_2: '5', q_3: 'Great' } },
+          { responses: { q_1: 'Yes', q_2: '4' } },
+          { responses: { q_1: 'No', q_2: '5' } },
+          { responses: { q_1: 'Yes', q_2: '1' } },
+        ],
+        event_registrations: [{ id: 'r1' }, { id: 'r2' }, { id: 'r3' }, { id: 'r4' }],
+      });
+
+      const result = await StatisticsService.getEventStatistics('event-123');
+
+      const workshop = result.stats?.questionStats.find(q => q.questionId === 'q_3');
+      expect(workshop?.shownCount).toBe(2);
+      expect(workshop?.totalResponses).toBe(1);
+      expect(workshop?.responseRate).toBe(50);
+
+      const rating = result.stats?.questionStats.find(q => q.questionId === 'q_2');
+      expect(rating?.shownCount).toBe(4);
+      expect(rating?.responseRate).toBe(100);
+    });
+  });
+});
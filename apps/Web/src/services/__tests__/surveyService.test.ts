@@ -1,6 +1,7 @@
 import { describe, it, expect, beforeEach, vi } from 'vitest';
 import { SurveyService } from '../surveyService';
 import { supabase } from '../../lib/supabaseClient';
+import { CertificateService } from '../certificateService';
 
 // Mock dependencies
 vi.mock('../../lib/supabaseClient', () => ({
@@ -15,6 +16,12 @@ vi.mock('../utils/activityLogger', () => ({
   createActivityDetails: vi.fn((before, after, changes) => ({ before, after, changes })),
 }));
 
+vi.mock('../certificateService', () => ({
+  CertificateService: {
+    autoIssueCertificate: vi.fn(),
+  },
+}));
+
 describe('SurveyService', () => {
   const mockSurvey = {
     id: 'survey-123',
@@ -408,5 +415,30 @@ describe('SurveyService', () => {
       expect(result.surveys).toBeUndefined();
     });
   });
-});
 
+  describe('submitSurveyResponse', () => {
+    it('should save the response and report an auto-issued certificate', async () => {
+      const mockInsert = vi.fn().mockResolvedValue({ error: null });
+      (supabase.from as any).mockReturnValue({ insert: mockInsert });
+      (CertificateService.autoIssueCertificate as any).mockResolvedValue({ queued: true });
+
+      const result = await SurveyService.submitSurveyResponse(mockSurvey, 'user-456', { q1: 'Great' });
+
+      expect(result.error).toBeUndefined();
+      expect(result.certificateQueued).toBe(true);
+      expect(mockInsert).toHaveBeenCalledWith([{ survey_id: 'survey-123', user_id: 'user-456', responses: { q1: 'Great' } }]);
+      expect(CertificateService.autoIssueCertificate).toHaveBeenCalledWith('event-123', 'user-456');
+    });
+
+    it('should not queue a certificate when the response fails to save', async () => {
+      (supabase.from as any).mockReturnValue({
+        insert: vi.fn().mockResolvedValue({ error: { message: 'duplicate key value' } }),
+      });
+
+      const result = await SurveyService.submitSurveyResponse(mockSurvey, 'user-456', {});
+
+      expect(result.error).toBe('duplicate key value');
+      expect(CertificateService.autoIssueCertificate).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -1,6 +1,6 @@
 import { describe, it, expect, beforeEach, vi } from 'vitest';
 import { UserService } from '../userService';
-import { supabase } from '../../lib/supabaseClient';
+import { supabase, createIsolatedAuthClient } from '../../lib/supabaseClient';
 
 // Mock Supabase
 vi.mock('../../lib/supabaseClient', () => ({
@@ -14,6 +14,7 @@ vi.mock('../../lib/supabaseClient', () => ({
     },
     rpc: vi.fn(),
   },
+  createIsolatedAuthClient: vi.fn(),
 }));
 
 describe('UserService', () => {
@@ -333,5 +334,35 @@ describe('UserService', () => {
       });
     });
   });
-});
 
+  describe('verifyPassword', () => {
+    const isolatedAuth = {
+      signInWithPassword: vi.fn(),
+      signOut: vi.fn(),
+    };
+
+    beforeEach(() => {
+      (createIsolatedAuthClient as any).mockReturnValue({ auth: isolatedAuth });
+    });
+
+    it('should check the password without touching the app session', async () => {
+      isolatedAuth.signInWithPassword.mockResolvedValue({ data: {}, error: null });
+      isolatedAuth.signOut.mockResolvedValue({ error: null });
+
+      const result = await UserService.verifyPassword('test@example.com', 'password123');
+
+      expect(result.error).toBeUndefined();
+      expect(isolatedAuth.signOut).toHaveBeenCalledWith({ scope: 'local' });
+      expect(supabase.auth.signInWithPassword).not.toHaveBeenCalled();
+      expect(supabase.auth.signOut).not.toHaveBeenCalled();
+    });
+
+    it('should reject an incorrect password', async () => {
+      isolatedAuth.signInWithPassword.mockResolvedValue({ data: {}, error: { message: 'Invalid login credentials' } });
+
+      const result = await UserService.verifyPassword('test@example.com', 'wrong');
+
+      expect(result.error).toBe('Incorrect password');
+    });
+  });
+});
@@ -884,6 +884,7 @@ export class AdminService {
         .from('attendance_logs')
         .select('*')
         .eq('event_id', eventId)
+        .is('session_id', null)
         .eq('is_validated', true);
 
       // Get survey responses
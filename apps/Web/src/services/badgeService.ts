@@ -0,0 +1,160 @@
+import { supabase } from '../lib/supabaseClient';
+import { EventService, Event } from './eventService';
+import { generateQRCodeID, buildEventCheckInQRData } from '../utils/qrCodeUtils.js';
+import { BadgeAttendee, BadgeConfig, normalizeBadgeConfig } from '../utils/badgeGenerator';
+
+export interface BadgeAttendeeRow extends BadgeAttendee {
+  email?: string;
+}
+
+/**
+ * Name badge designs (events.badge_config) and the attendee data printed on
+ * them
+ */
+export class BadgeService {
+  /**
+   * The event's badge design, or the default design if none was saved
+   */
+  static async getBadgeConfig(eventId: string): Promise<{ config?: BadgeConfig; error?: string }> {
+    try {
+      const { data, error } = await supabase
+        .from('events')
+        .select('badge_config')
+        .eq('id', eventId)
+        .single();
+
+      if (error) {
+        return { error: error.message };
+      }
+
+      return { config: normalizeBadgeConfig(data?.badge_config) };
+    } catch (error) {
+      return { error: 'An unexpected error occurred' };
+    }
+  }
+
+  static async saveBadgeConfig(eventId: string, config: BadgeConfig, organizerId: string): Promise<{ config?: BadgeConfig; error?: string }> {
+    try {
+      const eventResult = await EventService.getEventById(eventId);
+      if (eventResult.error || !eventResult.event) {
+        return { error: 'Event not found' };
+      }
+
+      if (eventResult.event.created_by !== organizerId) {
+        return { error: 'Only the event organizer can change the badge design' };
+      }
+
+      const { data, error } = await supabase
+        .from('events')
+        .update({ badge_config: config })
+        .eq('id', eventId)
+        .select('badge_config')
+        .single();
+
+      if (error) {
+        return { error: error.message };
+      }
+
+      return { config: normalizeBadgeConfig(data?.badge_config) };
+    } catch (error) {
+      return { error: 'An unexpected error occurred' };
+    }
+  }
+
+  /**
+   * Every registered participant with their check-in QR payload. Participants
+   * without a QR code get one, in the same format as the bulk QR generator.
+   * Events with rotating QR codes get no QR payload, since printed codes are
+   * not accepted there.
+   */
+  static async getBadgeAttendees(
+    event: Event,
+    organizerId: string
+  ): Promise<{ attendees?: BadgeAttendeeRow[]; error?: string }> {
+    try {
+      const participantsResult = await EventService.getEventParticipants(event.id);
+      if (participantsResult.error) {
+        return { error: participantsResult.error };
+      }
+
+      const participants = (participantsResult.participants || [])
+        .map((participant: any) => {
+          const user = participant.users || {};
+          return {
+            userId: participant.user_id || user.id,
+            name: `${user.first_name || ''} ${user.last_name || ''}`.trim() || user.email || 'Participant',
+            organization: user.organization || '',
+            email: user.email
+          };
+        })
+        .filter((participant: BadgeAttendeeRow) => participant.userId)
+        .sort((a: BadgeAttendeeRow, b: BadgeAttendeeRow) => a.name.localeCompare(b.name));
+
+      if (event.qr_rotation_seconds || participants.length === 0) {
+        return { attendees: participants };
+      }
+
+      const { data: qrCodes, error: qrError } = await supabase
+        .from('qr_codes')
+        .select('owner_id, qr_data')
+        .eq('event_id', event.id)
+        .eq('code_type', 'event_checkin')
+        .in('owner_id', participants.map((participant: BadgeAttendeeRow) => participant.userId));
+
+      if (qrError) {
+        return { error: qrError.message };
+      }
+
+      const qrDataByOwner = new Map<string, any>();
+      (qrCodes || []).forEach(qr => qrDataByOwner.set(qr.owner_id, qr.qr_data));
+
+      const attendees: BadgeAttendeeRow[] = [];
+      for (const participant of participants) {
+        let qrData = qrDataByOwner.get(participant.userId);
+
+        if (!qrData) {
+          qrData = buildEventCheckInQRData(
+            event,
+            { id: participant.userId, name: participant.name, email: participant.email },
+            organizerId
+          );
+
+          const { error: insertError } = await supabase
+            .from('qr_codes')
+            .insert({
+              code_type: 'event_checkin',
+              title: `${event.title} - ${participant.name} Check-in QR Code`,
+              description: `QR code for event check-in: ${event.title}`,
+              created_by: organizerId,
+              owner_id: participant.userId,
+              event_id: event.id,
+              qr_data: qrData,
+              qr_token: generateQRCodeID(),
+              is_active: true,
+              is_public: false
+            });
+
+          // Another organizer created it first; the stored payload wins
+          if (insertError?.code === '23505') {
+            const { data: existing } = await supabase
+              .from('qr_codes')
+              .select('qr_data')
+              .eq('event_id', event.id)
+              .eq('code_type', 'event_checkin')
+              .eq('owner_id', participant.userId)
+              .maybeSingle();
+            qrData = existing?.qr_data || qrData;
+          } else if (insertError) {
+            return { error: insertError.message };
+          }
+        }
+
+        attendees.push({ ...participant, qrData: JSON.stringify(qrData) });
+      }
+
+      return { attendees };
+    } catch (error) {
+      return { error: 'An unexpected error occurred' };
+    }
+  }
+}
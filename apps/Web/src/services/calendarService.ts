@@ -0,0 +1,120 @@
+import { supabase } from '../lib/supabaseClient';
+import { EventService, Event } from './eventService';
+import { buildICalendar, getICalFilename } from '../utils/icalUtils.js';
+
+export class CalendarService {
+  /**
+   * Build an .ics document for the given events
+   */
+  static buildCalendar(events: Partial<Event>[], name?: string): string {
+    return buildICalendar(events, {
+      name,
+      eventUrl: () => `${window.location.origin}/events`
+    });
+  }
+
+  /**
+   * Download a single event as an .ics file
+   */
+  static downloadEvent(event: Partial<Event>): void {
+    this.downloadCalendar(this.buildCalendar([event]), getICalFilename(event.title || 'event'));
+  }
+
+  /**
+   * Download every event the user is registered for as one .ics file
+   */
+  static async downloadUserEvents(userId: string): Promise<{ count?: number; error?: string }> {
+    const result = await EventService.getUserRegistrations(userId);
+    if (result.error) {
+      return { error: result.error };
+    }
+
+    const events = (result.registrations || [])
+      .map(registration => (registration as any).events)
+      .filter(Boolean);
+
+    if (events.length === 0) {
+      return { error: 'You are not registered for any events yet' };
+    }
+
+    this.downloadCalendar(this.buildCalendar(events, 'My GanApp Events'), 'my-events.ics');
+    return { count: events.length };
+  }
+
+  // Subscribable feeds (served by /api/calendar)
+  static getPublicFeedUrl(): string {
+    return `${window.location.origin}/api/calendar?feed=public`;
+  }
+
+  static getUserFeedUrl(token: string): string {
+    return `${window.location.origin}/api/calendar?feed=user&token=${token}`;
+  }
+
+  /**
+   * Get the user's personal feed token, creating it on first use
+   */
+  static async getFeedToken(userId: string): Promise<{ token?: string; error?: string }> {
+    try {
+      const { data: existing, error: fetchError } = await supabase
+        .from('calendar_feed_tokens')
+        .select('token')
+        .eq('user_id', userId)
+        .maybeSingle();
+
+      if (fetchError) {
+        return { error: fetchError.message };
+      }
+
+      if (existing) {
+        return { token: existing.token };
+      }
+
+      const { data, error } = await supabase
+        .from('calendar_feed_tokens')
+        .insert([{ user_id: userId }])
+        .select('token')
+        .single();
+
+      if (error) {
+        return { error: error.message };
+      }
+
+      return { token: data.token };
+    } catch (error) {
+      return { error: 'An unexpected error occurred' };
+    }
+  }
+
+  /**
+   * Replace the user's feed token; the old feed URL stops working
+   */
+  static async regenerateFeedToken(userId: string): Promise<{ token?: string; error?: string }> {
+    try {
+      const { data, error } = await supabase
+        .from('calendar_feed_tokens')
+        .upsert({ user_id: userId, token: crypto.randomUUID() }, { onConflict: 'user_id' })
+        .select('token')
+        .single();
+
+      if (error) {
+        return { error: error.message };
+      }
+
+      return { token: data.token };
+    } catch (error) {
+      return { error: 'An unexpected error occurred' };
+    }
+  }
+
+  private static downloadCalendar(content: string, filename: string): void {
+    const blob = new Blob([content], { type: 'text/calendar;charset=utf-8;' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+  }
+}
@@ -5,12 +5,14 @@
  */
 
 import { CertificateService } from './certificateService';
-import { EventService } from './eventService';
-import { JobQueueService, CertificateGenerationJobData } from './jobQueueService';
+import { EventService, Event } from './eventService';
+import { JobQueueService, JobData, CertificateGenerationJobData } from './jobQueueService';
 import { NotificationJobProcessor } from './notificationJobProcessor';
-import { generatePNGCertificate, convertPNGToPDF, CertificateData } from '../utils/certificateGenerator';
+import { generatePNGCertificate, generateAdditionalPages, convertPNGToPDF, CertificateData } from '../utils/certificateGenerator';
+import { getCertificatePageDimensions, normalizeCertificatePages } from '../utils/certificatePages';
 import { supabase } from '../lib/supabaseClient';
 import { LoggerService } from './loggerService';
+import { describeMissingRequirements } from '../utils/certificateEligibilityUtils';
 
 /**
  * Generate a deterministic UUID for a participant based on their name and event
@@ -35,15 +37,34 @@ function generateParticipantUserId(participantName: string, eventId: string): st
   return uuid;
 }
 
+/**
+ * How a certificate job reaches services that differ between the browser and
+ * the headless worker (scripts/certificate-worker.js). The worker holds the
+ * signing key itself instead of calling /api/certificate-signature.
+ */
+export interface CertificateJobOptions {
+  signCertificate?: (jobId: string, certificateNumber: string) => Promise<{ token?: string | null; error?: string }>;
+}
+
 export class CertificateJobProcessor {
   /**
-   * Process a certificate generation job
+   * Process a certificate generation job. requestedBy is the user who queued
+   * it; jobs queued by the event's organizer skip the certificate rules.
+   * Reissue jobs (replacesCertificateId set) need the job's id to store the
+   * replacement.
    */
-  static async processCertificateJob(jobData: CertificateGenerationJobData): Promise<{
+  static async processCertificateJob(
+    jobData: CertificateGenerationJobData,
+    requestedBy?: string,
+    jobId?: string,
+    options: CertificateJobOptions = {}
+  ): Promise<{
     success: boolean;
     certificateNumber?: string;
     pdfUrl?: string;
     pngUrl?: string;
+    emailSent?: boolean;
+    emailError?: string;
     error?: string;
   }> {
     try {
@@ -53,7 +74,14 @@ export class CertificateJobProcessor {
         eventTitle: jobData.eventTitle
       });
 
-      const { eventId, userId, participantName, eventTitle, completionDate, config: providedConfig } = jobData;
+      const { eventId, userId, participantName, eventTitle, completionDate, config: providedConfig, replacesCertificateId } = jobData;
+
+      if (replacesCertificateId && !jobId) {
+        return {
+          success: false,
+          error: 'Certificate reissues must be processed from the job queue'
+        };
+      }
 
       // Get certificate config
       let config;
@@ -135,9 +163,46 @@ export class CertificateJobProcessor {
         actualEventId = createTemplateResult.eventId || null;
       }
 
+      // Participants requesting their own certificate must meet the event's
+      // certificate rules; organizers issuing certificates from the generator
+      // decide who receives one
+      let event: Event | null = null;
+      let issuedByOrganizer = false;
+      if (eventId && eventId !== 'standalone') {
+        const eventResult = await EventService.getEventById(eventId);
+        if (eventResult.error || !eventResult.event) {
+          LoggerService.serviceError('CertificateJobProcessor', 'Failed to load event', undefined, { eventId, error: eventResult.error });
+          return {
+            success: false,
+            error: eventResult.error || 'Event not found'
+          };
+        }
+        event = eventResult.event;
+
+        issuedByOrganizer = !!requestedBy && requestedBy === event.created_by;
+        if (!issuedByOrganizer) {
+          const eligibilityResult = await CertificateService.checkCertificateEligibility(event, userId);
+          if (eligibilityResult.error || !eligibilityResult.eligibility) {
+            LoggerService.serviceError('CertificateJobProcessor', 'Failed to check certificate eligibility', undefined, { error: eligibilityResult.error });
+            return {
+              success: false,
+              error: `Failed to check certificate requirements: ${eligibilityResult.error || 'Unknown error'}`
+            };
+          }
+          if (!eligibilityResult.eligibility.eligible) {
+            LoggerService.serviceLog('CertificateJobProcessor', 'Participant does not meet the certificate requirements', { eventId, userId });
+            return {
+              success: false,
+              error: `Certificate requirements not met: ${describeMissingRequirements(eligibilityResult.eligibility)}`
+            };
+          }
+        }
+      }
+
       // Check if certificate already exists BEFORE generating files
       // This prevents generating files unnecessarily and ensures certificate numbers remain unique
-      if (actualEventId && eventId !== 'standalone' && typeof eventId === 'string' && eventId.trim() !== '') {
+      // Reissues replace an existing certificate, so they skip this check
+      if (!replacesCertificateId && actualEventId && eventId !== 'standalone' && typeof eventId === 'string' && eventId.trim() !== '') {
         // Priority check: ALWAYS check by participant_name first
         // This works for both manual entries and event participants since participant_name is unique per event
         // Manual entries share organizer's user_id, so checking by user_id alone would incorrectly flag duplicates
@@ -225,31 +290,72 @@ export class CertificateJobProcessor {
         certificateNumber = CertificateService.generateCertificateNumber(eventId, userId);
       }
 
-      // Get event venue if eventId is available (not standalone)
-      let venue: string | undefined = undefined;
-      if (eventId && eventId !== 'standalone') {
-        try {
-          const eventResult = await EventService.getEventById(eventId);
-          if (eventResult.event && eventResult.event.venue) {
-            venue = eventResult.event.venue;
-            LoggerService.serviceLog('CertificateJobProcessor', 'Found venue', { venue });
-          }
-        } catch (venueError) {
-          LoggerService.serviceWarn('CertificateJobProcessor', 'Could not fetch event venue', { error: venueError });
-          // Continue without venue - will use fallback
+      // Event certificates carry a signed copy of their details, so they can
+      // be verified without our database. Only the job can vouch for them.
+      let signatureToken: string | null = null;
+      if (jobId && actualEventId && eventId !== 'standalone') {
+        const signCertificate = options.signCertificate || CertificateService.signCertificate;
+        const signResult = await signCertificate(jobId, certificateNumber);
+        if (signResult.error) {
+          LoggerService.serviceError('CertificateJobProcessor', 'Failed to sign certificate', undefined, { error: signResult.error });
+          return {
+            success: false,
+            error: `Failed to sign certificate: ${signResult.error}`
+          };
+        }
+        signatureToken = signResult.token || null;
+        if (!signatureToken) {
+          LoggerService.serviceWarn('CertificateJobProcessor', 'Certificate signing is not configured, storing the certificate unsigned', { certificateNumber });
+        }
+      }
+
+      // Event venue (not available for standalone certificates)
+      const venue = event?.venue;
+
+      // Hours, role, organization and registration answers for the template.
+      // Manual entries share the organizer's user_id, so they have none.
+      let mergeFields: CertificateData['fields'] = {};
+      if (event && !(issuedByOrganizer && userId === requestedBy)) {
+        const mergeResult = await CertificateService.getCertificateMergeFields(event, userId);
+        if (mergeResult.error) {
+          LoggerService.serviceError('CertificateJobProcessor', 'Failed to load merge fields', undefined, { error: mergeResult.error });
+          return {
+            success: false,
+            error: `Failed to load certificate merge fields: ${mergeResult.error}`
+          };
+        }
+        mergeFields = mergeResult.fields || {};
+      }
+
+      // Sessions for a transcript page: those given with the job, or the
+      // sessions the participant checked in to
+      let transcript = jobData.transcript;
+      const hasExtraPages = normalizeCertificatePages(config.pages).length > 0;
+      if (hasExtraPages && !transcript && event && !(issuedByOrganizer && userId === requestedBy)) {
+        const transcriptResult = await CertificateService.getCertificateTranscript(event.id, userId);
+        if (transcriptResult.error) {
+          LoggerService.serviceError('CertificateJobProcessor', 'Failed to load transcript', undefined, { error: transcriptResult.error });
+          return {
+            success: false,
+            error: `Failed to load certificate transcript: ${transcriptResult.error}`
+          };
         }
+        transcript = transcriptResult.entries;
       }
 
       // Generate PNG first, then convert to PDF
       LoggerService.serviceLog('CertificateJobProcessor', 'Generating PNG certificate');
       let pdfBytes, pngBlob;
+      let extraPages: Blob[] = [];
 
       // Prepare certificate data
       const certificateData: CertificateData = {
         participantName,
         eventTitle,
         completionDate,
-        venue: venue || '' // Use fetched venue or empty string
+        venue: venue || '', // Use fetched venue or empty string
+        fields: { ...mergeFields, ...(jobData.fields || {}) },
+        transcript: transcript || []
       };
 
       try {
@@ -260,6 +366,12 @@ export class CertificateJobProcessor {
         if (!pngBlob) {
           throw new Error('PNG generation returned null');
         }
+
+        // Pages after the certificate go into the PDF only; the PNG stays the certificate itself
+        if (hasExtraPages) {
+          extraPages = await generateAdditionalPages(config, certificateNumber, certificateData);
+          LoggerService.serviceLog('CertificateJobProcessor', 'Additional pages generated', { pages: extraPages.length });
+        }
       } catch (pngError: any) {
         LoggerService.serviceError('CertificateJobProcessor', 'PNG generation error', pngError);
         return {
@@ -271,9 +383,14 @@ export class CertificateJobProcessor {
       try {
         // Convert PNG to PDF
         LoggerService.serviceLog('CertificateJobProcessor', 'Converting PNG to PDF');
-        const width = config.width || 842;  // A4 landscape width in points
-        const height = config.height || 595; // A4 landscape height in points
-        pdfBytes = await convertPNGToPDF(pngBlob, width, height);
+        const { width, height, pointWidth, pointHeight } = getCertificatePageDimensions(config);
+        pdfBytes = await convertPNGToPDF(
+          [pngBlob, ...extraPages],
+          width,
+          height,
+          signatureToken,
+          { width: pointWidth, height: pointHeight }
+        );
         LoggerService.serviceLog('CertificateJobProcessor', 'PDF generated', { size: pdfBytes ? `${pdfBytes.length} bytes` : 'FAILED' });
       } catch (pdfError: any) {
         LoggerService.serviceError('CertificateJobProcessor', 'PDF conversion error', pdfError);
@@ -333,17 +450,25 @@ export class CertificateJobProcessor {
         user_id: certificateUserId
       });
 
-      const saveResult = await CertificateService.saveCertificate({
-        event_id: actualEventId,
-        user_id: certificateUserId, // Use participant-specific user_id for standalone certs
-        certificate_number: certificateNumber,
-        participant_name: participantName,
-        event_title: eventTitle,
-        completion_date: completionDate,
-        certificate_pdf_url: pdfResult.url,
-        certificate_png_url: pngResult.url,
-        certificate_template_id: templateId
-      });
+      const saveResult = replacesCertificateId && jobId
+        ? await CertificateService.completeReissue(jobId, {
+          certificateNumber,
+          pdfUrl: pdfResult.url,
+          pngUrl: pngResult.url,
+          signatureToken
+        })
+        : await CertificateService.saveCertificate({
+          event_id: actualEventId,
+          user_id: certificateUserId, // Use participant-specific user_id for standalone certs
+          certificate_number: certificateNumber,
+          participant_name: participantName,
+          event_title: eventTitle,
+          completion_date: completionDate,
+          certificate_pdf_url: pdfResult.url,
+          certificate_png_url: pngResult.url,
+          certificate_template_id: templateId,
+          signature_token: signatureToken
+        });
 
       if (saveResult.error) {
         LoggerService.serviceError('CertificateJobProcessor', 'Failed to save certificate', undefined, { error: saveResult.error, details: saveResult });
@@ -389,8 +514,10 @@ export class CertificateJobProcessor {
         const { NotificationService } = await import('./notificationService');
         await NotificationService.createNotification(
           userId,
-          'Certificate Ready',
-          `Your certificate for "${eventTitle}" has been generated successfully. You can now view and download it.`,
+          replacesCertificateId ? 'Certificate Reissued' : 'Certificate Ready',
+          replacesCertificateId
+            ? `Your certificate for "${eventTitle}" has been reissued as ${certificateNumber}. The previous certificate is no longer valid.`
+            : `Your certificate for "${eventTitle}" has been generated successfully. You can now view and download it.`,
           'success',
           {
             action_url: `/certificate?eventId=${eventId}&participantName=${encodeURIComponent(participantName)}`,
@@ -403,11 +530,33 @@ export class CertificateJobProcessor {
         // Don't fail the job if notification fails
       }
 
+      // Imported recipients can have the certificate emailed to them. The
+      // certificate is already saved, so a failed email is reported, not retried.
+      let emailSent: boolean | undefined;
+      let emailError: string | undefined;
+      if (jobData.recipientEmail && pdfResult.url) {
+        const { EmailService } = await import('./emailService');
+        const emailResult = await EmailService.sendCertificateEmail(
+          jobData.recipientEmail,
+          participantName,
+          eventTitle,
+          certificateNumber,
+          pdfResult.url
+        );
+        emailSent = !emailResult.error;
+        emailError = emailResult.error;
+        if (emailResult.error) {
+          LoggerService.serviceWarn('CertificateJobProcessor', 'Failed to email certificate', { certificateNumber, error: emailResult.error });
+        }
+      }
+
       return {
         success: true,
         certificateNumber,
         pdfUrl: pdfResult.url,
-        pngUrl: pngResult.url
+        pngUrl: pngResult.url,
+        emailSent,
+        emailError
       };
     } catch (error: any) {
       LoggerService.serviceError('CertificateJobProcessor', 'Unexpected error', error);
@@ -454,36 +603,10 @@ export class CertificateJobProcessor {
 
       try {
         if (job.job_type === 'certificate_generation') {
-          LoggerService.serviceLog('CertificateJobProcessor', `Processing job ${jobId}`);
-          const result = await this.processCertificateJob(
-            job.job_data as CertificateGenerationJobData
-          );
-
+          const result = await this.runCertificateJob(job);
           if (result.success) {
-            LoggerService.serviceLog('CertificateJobProcessor', `Job ${jobId} completed successfully`);
-            const completeResult = await JobQueueService.completeJob(jobId, {
-              certificateNumber: result.certificateNumber,
-              pdfUrl: result.pdfUrl,
-              pngUrl: result.pngUrl
-            });
-
-            if (completeResult.error) {
-              LoggerService.serviceError('CertificateJobProcessor', `Failed to mark job ${jobId} as complete`, undefined, { error: completeResult.error });
-              // Try direct update as fallback
-              await this.updateJobStatusDirectly(jobId, 'completed', {
-                certificateNumber: result.certificateNumber,
-                pdfUrl: result.pdfUrl,
-                pngUrl: result.pngUrl
-              });
-            }
             succeeded++;
           } else {
-            LoggerService.serviceError('CertificateJobProcessor', `Job ${jobId} failed`, undefined, { error: result.error });
-            const failResult = await JobQueueService.failJob(jobId, result.error || 'Unknown error');
-            if (failResult.error) {
-              LoggerService.serviceError('CertificateJobProcessor', `Failed to mark job ${jobId} as failed`, undefined, { error: failResult.error });
-              await this.updateJobStatusDirectly(jobId, 'failed', null, result.error || 'Unknown error');
-            }
             failed++;
           }
         } else if (job.job_type === 'bulk_notification') {
@@ -555,6 +678,64 @@ export class CertificateJobProcessor {
     return { processed, succeeded, failed };
   }
 
+  /**
+   * Run a claimed certificate job and record the outcome on it: completed
+   * with the certificate's details, or failed (and retried while it has
+   * attempts left).
+   */
+  static async runCertificateJob(job: JobData, options: CertificateJobOptions = {}): Promise<{
+    success: boolean;
+    error?: string;
+  }> {
+    if (!job.id) {
+      LoggerService.serviceError('CertificateJobProcessor', 'Job missing ID', undefined, { job });
+      return { success: false, error: 'Job missing ID' };
+    }
+    const jobId = job.id;
+
+    let result: Awaited<ReturnType<typeof CertificateJobProcessor.processCertificateJob>>;
+    try {
+      LoggerService.serviceLog('CertificateJobProcessor', `Processing job ${jobId}`);
+      result = await this.processCertificateJob(
+        job.job_data as CertificateGenerationJobData,
+        job.created_by,
+        jobId,
+        options
+      );
+    } catch (error: any) {
+      LoggerService.serviceError('CertificateJobProcessor', `Exception processing job ${jobId}`, error);
+      result = { success: false, error: error.message || 'Processing error' };
+    }
+
+    if (result.success) {
+      LoggerService.serviceLog('CertificateJobProcessor', `Job ${jobId} completed successfully`);
+      const resultData = {
+        certificateNumber: result.certificateNumber,
+        pdfUrl: result.pdfUrl,
+        pngUrl: result.pngUrl,
+        emailSent: result.emailSent,
+        emailError: result.emailError
+      };
+      const completeResult = await JobQueueService.completeJob(jobId, resultData);
+
+      if (completeResult.error) {
+        LoggerService.serviceError('CertificateJobProcessor', `Failed to mark job ${jobId} as complete`, undefined, { error: completeResult.error });
+        // Try direct update as fallback
+        await this.updateJobStatusDirectly(jobId, 'completed', resultData);
+      }
+      return { success: true };
+    }
+
+    const errorMessage = result.error || 'Unknown error';
+    LoggerService.serviceError('CertificateJobProcessor', `Job ${jobId} failed`, undefined, { error: errorMessage });
+    const failResult = await JobQueueService.failJob(jobId, errorMessage);
+    if (failResult.error) {
+      LoggerService.serviceError('CertificateJobProcessor', `Failed to mark job ${jobId} as failed`, undefined, { error: failResult.error });
+      await this.updateJobStatusDirectly(jobId, 'failed', null, errorMessage);
+    }
+    return { success: false, error: errorMessage };
+  }
+
   /**
    * Fallback method to update job status directly if RPC fails
    */
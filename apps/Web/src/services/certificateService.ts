@@ -1,6 +1,41 @@
 import { supabase } from '../lib/supabaseClient';
 import { CacheService } from './cacheService';
 import { LoggerService } from './loggerService';
+import { EventService } from './eventService';
+import { JobQueueService } from './jobQueueService';
+import {
+  CertificateEligibility,
+  CertificateRuleEvent,
+  evaluateCertificateEligibility,
+  getCertificateRules,
+  summarizeCertificateAttendance
+} from '../utils/certificateEligibilityUtils';
+import { findCertificateToken, verifyCertificateToken } from '../utils/certificateSignatureUtils.js';
+import { readCertificateTokenFromPDF } from '../utils/certificateGenerator';
+import { bakeOpenBadgePNG, buildOpenBadgeAssertion } from '../utils/openBadgeUtils.js';
+import { CertificateLayer } from '../utils/certificateLayers';
+import {
+  CertificateOrientation,
+  CertificatePageConfig,
+  CertificatePageSize,
+  CertificateTranscriptEntry
+} from '../utils/certificatePages';
+import { CertificateMergeFields, getAnswerMergeFieldName } from '../utils/certificateMergeFields';
+import { getAttendanceMinutes } from '../utils/attendanceDayUtils';
+import { RegistrationQuestion, formatRegistrationAnswer } from '../utils/registrationFormUtils';
+
+// Merge fields recorded on certificate templates. What a certificate shows
+// comes from its config's text, rendered by renderCertificateText.
+const TEMPLATE_CONTENT_FIELDS = {
+  participant_name: '{{name}}',
+  event_title: '{{event}}',
+  date: '{{date}}',
+  venue: '{{venue}}',
+  hours_attended: '{{hours}}',
+  role: '{{role}}',
+  organization: '{{organization}}',
+  certificate_number: '{{certificate_number}}'
+};
 
 export interface CertificateConfig {
   id?: string;
@@ -138,6 +173,11 @@ export interface CertificateConfig {
   qr_code_enabled?: boolean; // Enable/disable QR code
   qr_code_size?: number; // Size in pixels
   qr_code_position?: { x: number; y: number }; // Position beside cert ID
+  layers?: CertificateLayer[]; // Free-form text, shapes, lines and images, bottom first
+  // Paper format. When set, width and height follow from it (see getCertificatePageDimensions)
+  page_size?: CertificatePageSize | null;
+  orientation?: CertificateOrientation | null;
+  pages?: CertificatePageConfig[]; // Pages printed after the certificate, such as a transcript
   width?: number;
   height?: number;
   created_by?: string;
@@ -145,6 +185,8 @@ export interface CertificateConfig {
   updated_at?: string;
 }
 
+export type CertificateStatus = 'valid' | 'revoked' | 'superseded';
+
 export interface Certificate {
   id: string;
   event_id: string;
@@ -156,6 +198,54 @@ export interface Certificate {
   certificate_pdf_url?: string;
   certificate_png_url?: string;
   generated_at: string;
+  status?: CertificateStatus;
+  status_reason?: string | null;
+  status_changed_at?: string | null;
+  superseded_by?: string | null;
+  signature_token?: string | null;
+}
+
+/**
+ * The details a certificate signature vouches for (see certificateSignatureUtils)
+ */
+export interface CertificateClaims {
+  certificate_number: string;
+  participant_name: string;
+  event_id: string;
+  event_title: string;
+  completion_date: string;
+  iat: number;
+}
+
+/**
+ * A certificate as published for Open Badges (get_certificate_badge in
+ * add_open_badges.sql)
+ */
+export interface CertificateBadge {
+  certificate_number: string;
+  participant_name: string;
+  event_title: string;
+  completion_date: string;
+  certificate_png_url?: string | null;
+  generated_at: string;
+  status: CertificateStatus;
+  status_reason?: string | null;
+  replacement_number?: string | null;
+  event_description?: string | null;
+  event_banner_url?: string | null;
+  issuer_name: string;
+  recipient_salt: string;
+  recipient_identity: string;
+}
+
+export interface CertificateHistoryEntry {
+  id: string;
+  certificate_id: string;
+  certificate_number: string;
+  action: 'issued' | 'revoked' | 'superseded';
+  reason?: string | null;
+  performed_by?: string | null;
+  created_at: string;
 }
 
 export class CertificateService {
@@ -218,6 +308,8 @@ export class CertificateService {
         const updateData = {
           ...configWithoutSubtitleConfig,
           signature_blocks: Array.isArray(config.signature_blocks) ? config.signature_blocks : [],
+          layers: Array.isArray(config.layers) ? config.layers : [],
+          pages: Array.isArray(config.pages) ? config.pages : [],
           logo_config: config.logo_config || {},
           background_image_url: config.background_image_url !== undefined ? config.background_image_url : null,
           background_image_size: config.background_image_size !== undefined ? config.background_image_size : null,
@@ -258,6 +350,8 @@ export class CertificateService {
           ...configWithoutExtras,
           created_by: userId, // Always set created_by to the authenticated user
           signature_blocks: Array.isArray(config.signature_blocks) ? config.signature_blocks : [],
+          layers: Array.isArray(config.layers) ? config.layers : [],
+          pages: Array.isArray(config.pages) ? config.pages : [],
           logo_config: config.logo_config || {},
           background_image_url: config.background_image_url !== undefined ? config.background_image_url : null,
           background_image_size: config.background_image_size !== undefined ? config.background_image_size : null,
@@ -306,11 +400,13 @@ export class CertificateService {
   ): Promise<{ certificate?: Certificate; error?: string }> {
     return LoggerService.time('CertificateService.getUserCertificate', async () => {
       try {
+        // Reissued certificates stay on record; the participant's certificate is the replacement
         const { data, error } = await supabase
           .from('certificates')
           .select('*')
           .eq('event_id', eventId)
           .eq('user_id', userId)
+          .neq('status', 'superseded')
           .single();
 
         if (error) {
@@ -344,9 +440,10 @@ export class CertificateService {
       // Simplified query to avoid connection issues
       const { data, error } = await supabase
         .from('certificates')
-        .select('id, certificate_number, participant_name, event_id, user_id')
+        .select('id, certificate_number, participant_name, event_id, user_id, status')
         .eq('event_id', eventId)
         .eq('participant_name', trimmedName)
+        .neq('status', 'superseded')
         .maybeSingle();
 
       if (error) {
@@ -388,6 +485,7 @@ export class CertificateService {
         .from('certificates')
         .select('*')
         .eq('user_id', userId)
+        .neq('status', 'superseded')
         .order('generated_at', { ascending: false });
 
       if (certError) {
@@ -476,6 +574,7 @@ export class CertificateService {
       certificate_pdf_url?: string;
       certificate_png_url?: string;
       certificate_template_id?: string;
+      signature_token?: string | null;
     }
   ): Promise<{ certificate?: Certificate; error?: string }> {
     return LoggerService.time('CertificateService.saveCertificate', async () => {
@@ -521,6 +620,7 @@ export class CertificateService {
           .select('*')
           .eq('event_id', certificateData.event_id)
           .eq('user_id', certificateData.user_id)
+          .neq('status', 'superseded')
           .maybeSingle();
 
         if (!eventUserError && existing) {
@@ -588,6 +688,10 @@ export class CertificateService {
         generated_by: certificateData.user_id
       };
 
+      if (certificateData.signature_token) {
+        insertData.signature_token = certificateData.signature_token;
+      }
+
       // Only include template_id if we have one (it's nullable)
       if (templateId) {
         insertData.certificate_template_id = templateId;
@@ -661,11 +765,7 @@ export class CertificateService {
           description: `Auto-generated template for ${event.title} (uses certificate config)`,
           template_url: 'https://placeholder-url-for-certificate-templates',
           template_type: 'document',
-          content_fields: {
-            participant_name: '{{name}}',
-            event_title: '{{event}}',
-            date: '{{date}}'
-          },
+          content_fields: TEMPLATE_CONTENT_FIELDS,
           requires_attendance: false,
           requires_survey_completion: false,
           is_active: true,
@@ -724,11 +824,7 @@ export class CertificateService {
           description: `Template for standalone certificate: ${eventTitle}`,
           template_url: 'https://placeholder-url-for-standalone-certificates',
           template_type: 'document',
-          content_fields: {
-            participant_name: '{{name}}',
-            event_title: '{{event}}',
-            date: '{{date}}'
-          },
+          content_fields: TEMPLATE_CONTENT_FIELDS,
           requires_attendance: false,
           requires_survey_completion: false,
           is_active: true,
@@ -858,6 +954,572 @@ export class CertificateService {
     }
   }
 
+  /**
+   * Check a participant against the event's certificate rules. Every place
+   * that issues event certificates goes through this check.
+   */
+  static async checkCertificateEligibility(
+    event: CertificateRuleEvent & { id: string },
+    userId: string
+  ): Promise<{ eligibility?: CertificateEligibility; error?: string }> {
+    try {
+      const ruleTypes = getCertificateRules(event).map(rule => rule.type);
+
+      const [attendanceResult, evaluationResult, approvalResult] = await Promise.all([
+        supabase
+          .from('attendance_logs')
+          .select('check_in_date, check_in_time, check_out_time, is_validated, session_id')
+          .eq('event_id', event.id)
+          .eq('user_id', userId),
+        ruleTypes.includes('evaluation')
+          ? EventService.checkUserSurveyCompletion(event.id, userId)
+          : Promise.resolve({ isCompleted: false, error: undefined }),
+        ruleTypes.includes('manual_approval')
+          ? supabase
+            .from('certificate_approvals')
+            .select('id')
+            .eq('event_id', event.id)
+            .eq('user_id', userId)
+            .maybeSingle()
+          : Promise.resolve({ data: null, error: null })
+      ]);
+
+      if (attendanceResult.error) {
+        return { error: attendanceResult.error.message };
+      }
+      if (evaluationResult.error) {
+        return { error: evaluationResult.error };
+      }
+      if (approvalResult.error) {
+        return { error: approvalResult.error.message };
+      }
+
+      const eligibility = evaluateCertificateEligibility(event, {
+        ...summarizeCertificateAttendance(event, attendanceResult.data || []),
+        evaluationSubmitted: evaluationResult.isCompleted,
+        isApproved: !!approvalResult.data
+      });
+
+      return { eligibility };
+    } catch (error) {
+      return { error: 'An unexpected error occurred' };
+    }
+  }
+
+  /**
+   * Merge field values for a participant's certificate: hours attended (from
+   * validated event check-ins with a check-out), role, organization and
+   * registration answers, keyed answer.<question text>.
+   */
+  static async getCertificateMergeFields(
+    event: { id: string; created_by?: string; registration_form?: RegistrationQuestion[] | null },
+    userId: string
+  ): Promise<{ fields?: CertificateMergeFields; error?: string }> {
+    try {
+      const [profileResult, attendanceResult, registrationResult, speakersResult] = await Promise.all([
+        supabase.rpc('get_user_profile', { user_id: userId }),
+        supabase
+          .from('attendance_logs')
+          .select('check_in_time, check_out_time, is_validated, session_id')
+          .eq('event_id', event.id)
+          .eq('user_id', userId),
+        supabase
+          .from('event_registrations')
+          .select('registration_answers')
+          .eq('event_id', event.id)
+          .eq('user_id', userId)
+          .maybeSingle(),
+        supabase
+          .from('event_speakers')
+          .select('speaker:guest_speakers (email)')
+          .eq('event_id', event.id)
+      ]);
+
+      const failed = [attendanceResult, registrationResult, speakersResult].find(result => result.error);
+      if (failed?.error) {
+        return { error: failed.error.message };
+      }
+
+      // A missing profile leaves the email and organization fields empty
+      // rather than failing the certificate
+      const profile = Array.isArray(profileResult.data) ? profileResult.data[0] : profileResult.data;
+
+      const minutes = (attendanceResult.data || [])
+        .filter((log: any) => !log.session_id && log.is_validated)
+        .map((log: any) => getAttendanceMinutes(log))
+        .filter((value): value is number => value !== null);
+
+      const email = profile?.email?.trim().toLowerCase();
+      const isSpeaker = !!email && (speakersResult.data || []).some((row: any) => {
+        const speaker = Array.isArray(row.speaker) ? row.speaker[0] : row.speaker;
+        return speaker?.email?.trim().toLowerCase() === email;
+      });
+
+      const fields: CertificateMergeFields = {
+        hours: minutes.length > 0
+          ? Math.round((minutes.reduce((total, value) => total + value, 0) / 60) * 10) / 10
+          : '',
+        role: event.created_by === userId ? 'organizer' : isSpeaker ? 'speaker' : 'participant',
+        organization: profile?.organization || ''
+      };
+
+      const answers = registrationResult.data?.registration_answers || {};
+      (event.registration_form || []).forEach(question => {
+        fields[getAnswerMergeFieldName(question.questionText)] = formatRegistrationAnswer(answers[question.id]);
+      });
+
+      return { fields };
+    } catch (error) {
+      return { error: 'An unexpected error occurred' };
+    }
+  }
+
+  /**
+   * Sessions a participant attended, for the transcript page. Hours come from
+   * the session check-ins with a check-out, or the scheduled length of the
+   * session otherwise. Scores are not recorded per session, so they are left
+   * to the job's transcript or the overall {{score}} field.
+   */
+  static async getCertificateTranscript(
+    eventId: string,
+    userId: string
+  ): Promise<{ entries?: CertificateTranscriptEntry[]; error?: string }> {
+    try {
+      const [sessionsResult, attendanceResult] = await Promise.all([
+        supabase
+          .from('event_sessions')
+          .select('id, title, session_date, start_time, end_time')
+          .eq('event_id', eventId)
+          .order('session_date', { ascending: true })
+          .order('start_time', { ascending: true })
+          .order('session_order', { ascending: true }),
+        supabase
+          .from('attendance_logs')
+          .select('session_id, check_in_time, check_out_time')
+          .eq('event_id', eventId)
+          .eq('user_id', userId)
+          .eq('is_validated', true)
+          .not('session_id', 'is', null)
+      ]);
+
+      const failed = [sessionsResult, attendanceResult].find(result => result.error);
+      if (failed?.error) {
+        return { error: failed.error.message };
+      }
+
+      const logsBySession = new Map<string, any[]>();
+      (attendanceResult.data || []).forEach((log: any) => {
+        logsBySession.set(log.session_id, [...(logsBySession.get(log.session_id) || []), log]);
+      });
+
+      const toMinutes = (time: string) => {
+        const [hours, minutes] = time.split(':').map(Number);
+        return hours * 60 + minutes;
+      };
+
+      const entries = (sessionsResult.data || [])
+        .filter((session: any) => logsBySession.has(session.id))
+        .map((session: any) => {
+          const attended = logsBySession.get(session.id)!
+            .map(log => getAttendanceMinutes(log))
+            .filter((value): value is number => value !== null);
+          const minutes = attended.length > 0
+            ? attended.reduce((total, value) => total + value, 0)
+            : toMinutes(session.end_time) - toMinutes(session.start_time);
+          return {
+            title: session.title,
+            date: session.session_date,
+            hours: Math.round((minutes / 60) * 10) / 10,
+            score: null
+          };
+        });
+
+      return { entries };
+    } catch (error) {
+      return { error: 'An unexpected error occurred' };
+    }
+  }
+
+  /**
+   * Queue a certificate for a participant of an auto-issue event once they
+   * meet its certificate rules. Safe to call after any step that can make a
+   * participant eligible: it does nothing when the event does not auto-issue,
+   * the participant already has a certificate or one is already queued.
+   */
+  static async autoIssueCertificate(
+    eventId: string,
+    userId: string,
+    requestedBy: string = userId
+  ): Promise<{ queued?: boolean; error?: string }> {
+    try {
+      const eventResult = await EventService.getEventById(eventId);
+      if (eventResult.error || !eventResult.event) {
+        return { error: eventResult.error || 'Event not found' };
+      }
+
+      const event = eventResult.event;
+      if (!event.certificate_auto_issue) {
+        return { queued: false };
+      }
+
+      const existing = await this.getUserCertificate(userId, eventId);
+      if (existing.error) {
+        return { error: existing.error };
+      }
+      if (existing.certificate) {
+        return { queued: false };
+      }
+
+      const { data: openJobs, error: jobsError } = await supabase
+        .from('job_queue')
+        .select('id')
+        .eq('job_type', 'certificate_generation')
+        .in('status', ['pending', 'processing'])
+        .contains('job_data', { eventId, userId })
+        .limit(1);
+
+      if (jobsError) {
+        return { error: jobsError.message };
+      }
+      if (openJobs && openJobs.length > 0) {
+        return { queued: false };
+      }
+
+      const eligibilityResult = await this.checkCertificateEligibility(event, userId);
+      if (eligibilityResult.error) {
+        return { error: eligibilityResult.error };
+      }
+      if (!eligibilityResult.eligibility?.eligible) {
+        return { queued: false };
+      }
+
+      const { data: profileData, error: profileError } = await supabase.rpc('get_user_profile', { user_id: userId });
+      if (profileError) {
+        return { error: profileError.message };
+      }
+
+      const participant = Array.isArray(profileData) ? profileData[0] : profileData;
+      if (!participant) {
+        return { error: 'Participant not found' };
+      }
+
+      const jobResult = await JobQueueService.queueCertificateGeneration(
+        {
+          eventId,
+          userId,
+          participantName: this.formatParticipantName(participant),
+          eventTitle: event.title,
+          completionDate: event.start_date || new Date().toISOString().split('T')[0]
+        },
+        requestedBy,
+        5
+      );
+
+      if (jobResult.error) {
+        return { error: jobResult.error };
+      }
+
+      return { queued: true };
+    } catch (error) {
+      return { error: 'An unexpected error occurred' };
+    }
+  }
+
+  // Same name format as the certificate page uses for the signed-in user
+  private static formatParticipantName(user: {
+    prefix?: string | null;
+    first_name?: string | null;
+    middle_initial?: string | null;
+    last_name?: string | null;
+    affix?: string | null;
+    email?: string | null;
+  }): string {
+    const parts = [user.prefix, user.first_name, user.middle_initial, user.last_name, user.affix].filter(Boolean);
+    if (parts.length > 0) {
+      return parts.join(' ');
+    }
+    return user.email?.split('@')[0] || 'Participant';
+  }
+
+  /**
+   * Participants the organizer approved for a certificate
+   */
+  static async getCertificateApprovals(eventId: string): Promise<{ userIds?: string[]; error?: string }> {
+    try {
+      const { data, error } = await supabase
+        .from('certificate_approvals')
+        .select('user_id')
+        .eq('event_id', eventId);
+
+      if (error) {
+        return { error: error.message };
+      }
+
+      return { userIds: (data || []).map(approval => approval.user_id) };
+    } catch (error) {
+      return { error: 'An unexpected error occurred' };
+    }
+  }
+
+  /**
+   * Approve a participant; on auto-issue events this also queues their
+   * certificate if the approval was the last requirement missing
+   */
+  static async approveCertificate(
+    eventId: string,
+    userId: string,
+    organizerId: string
+  ): Promise<{ certificateQueued?: boolean; error?: string }> {
+    try {
+      const { error } = await supabase
+        .from('certificate_approvals')
+        .upsert(
+          { event_id: eventId, user_id: userId, approved_by: organizerId, approved_at: new Date().toISOString() },
+          { onConflict: 'event_id,user_id' }
+        );
+
+      if (error) {
+        return { error: error.message };
+      }
+
+      const issueResult = await this.autoIssueCertificate(eventId, userId, organizerId);
+      if (issueResult.error) {
+        LoggerService.serviceError('CertificateService', 'Automatic certificate issuance failed', issueResult.error);
+      }
+
+      return { certificateQueued: !!issueResult.queued };
+    } catch (error) {
+      return { error: 'An unexpected error occurred' };
+    }
+  }
+
+  static async revokeCertificateApproval(eventId: string, userId: string): Promise<{ error?: string }> {
+    try {
+      const { error } = await supabase
+        .from('certificate_approvals')
+        .delete()
+        .eq('event_id', eventId)
+        .eq('user_id', userId);
+
+      if (error) {
+        return { error: error.message };
+      }
+
+      return {};
+    } catch (error) {
+      return { error: 'An unexpected error occurred' };
+    }
+  }
+
+  /**
+   * Revoke a certificate issued in error. The revoke_certificate function
+   * checks that the caller organizes the event (or is an admin).
+   */
+  static async revokeCertificate(certificateId: string, reason: string): Promise<{ certificate?: Certificate; error?: string }> {
+    try {
+      if (!reason.trim()) {
+        return { error: 'Please give a reason for revoking this certificate' };
+      }
+
+      const { data, error } = await supabase.rpc('revoke_certificate', {
+        certificate_uuid: certificateId,
+        revoke_reason: reason.trim()
+      });
+
+      if (error) {
+        return { error: error.message };
+      }
+
+      return { certificate: data as Certificate };
+    } catch (error) {
+      return { error: 'An unexpected error occurred' };
+    }
+  }
+
+  /**
+   * Queue a replacement for a certificate, e.g. after a name correction. The
+   * job worker renders it with a new number and completeReissue supersedes
+   * the old certificate.
+   */
+  static async reissueCertificate(
+    certificate: Certificate,
+    changes: { participantName: string; reason: string },
+    organizerId: string
+  ): Promise<{ jobId?: string; error?: string }> {
+    try {
+      if (certificate.status === 'superseded') {
+        return { error: 'This certificate has already been reissued' };
+      }
+      if (certificate.status === 'revoked') {
+        return { error: 'Revoked certificates cannot be reissued' };
+      }
+      if (!changes.participantName.trim()) {
+        return { error: 'Participant name is required' };
+      }
+      if (!changes.reason.trim()) {
+        return { error: 'Please give a reason for reissuing this certificate' };
+      }
+
+      const jobResult = await JobQueueService.queueCertificateGeneration(
+        {
+          eventId: certificate.event_id,
+          userId: certificate.user_id,
+          participantName: changes.participantName.trim(),
+          eventTitle: certificate.event_title,
+          completionDate: certificate.completion_date,
+          replacesCertificateId: certificate.id,
+          reissueReason: changes.reason.trim()
+        },
+        organizerId,
+        5
+      );
+
+      if (jobResult.error || !jobResult.job) {
+        return { error: jobResult.error || 'Failed to queue certificate reissue' };
+      }
+
+      return { jobId: jobResult.job.id };
+    } catch (error) {
+      return { error: 'An unexpected error occurred' };
+    }
+  }
+
+  /**
+   * Store the certificate rendered for a reissue job and supersede the one
+   * it replaces (see reissue_certificate in add_certificate_revocation.sql)
+   */
+  static async completeReissue(
+    jobId: string,
+    files: { certificateNumber: string; pdfUrl?: string; pngUrl?: string; signatureToken?: string | null }
+  ): Promise<{ certificate?: Certificate; error?: string }> {
+    try {
+      const { data, error } = await supabase.rpc('reissue_certificate', {
+        job_uuid: jobId,
+        new_certificate_number: files.certificateNumber,
+        new_pdf_url: files.pdfUrl || null,
+        new_png_url: files.pngUrl || null,
+        new_signature_token: files.signatureToken || null
+      });
+
+      if (error) {
+        return { error: error.message };
+      }
+
+      return { certificate: data as Certificate };
+    } catch (error) {
+      return { error: 'An unexpected error occurred' };
+    }
+  }
+
+  /**
+   * Every issue, revocation and replacement of a participant's certificates
+   * for an event, oldest first
+   */
+  static async getCertificateHistory(eventId: string, userId: string): Promise<{ history?: CertificateHistoryEntry[]; error?: string }> {
+    try {
+      const { data, error } = await supabase
+        .from('certificate_history')
+        .select('*')
+        .eq('event_id', eventId)
+        .eq('user_id', userId)
+        .order('created_at', { ascending: true });
+
+      if (error) {
+        return { error: error.message };
+      }
+
+      return { history: (data || []) as CertificateHistoryEntry[] };
+    } catch (error) {
+      return { error: 'An unexpected error occurred' };
+    }
+  }
+
+  /**
+   * Sign the details of a certificate a job is rendering. The signing key
+   * lives in /api/certificate-signature, which reads the details from the
+   * job itself. token is null when signing is not set up for this
+   * deployment (or the API is not served, as with `vite dev`).
+   */
+  static async signCertificate(jobId: string, certificateNumber: string): Promise<{ token?: string | null; error?: string }> {
+    try {
+      const { data: { session } } = await supabase.auth.getSession();
+      if (!session?.access_token) {
+        return { error: 'Please sign in again' };
+      }
+
+      const response = await fetch('/api/certificate-signature', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          Authorization: `Bearer ${session.access_token}`
+        },
+        body: JSON.stringify({ jobId, certificateNumber })
+      });
+
+      if (response.status === 404 && !response.headers.get('content-type')?.includes('application/json')) {
+        return { token: null };
+      }
+      if (response.status === 503) {
+        return { token: null };
+      }
+
+      const body = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        return { error: body.error || 'Failed to sign certificate' };
+      }
+
+      return { token: body.token || null };
+    } catch (error) {
+      return { error: 'An unexpected error occurred' };
+    }
+  }
+
+  /**
+   * Public keys certificates are checked against (VITE_CERTIFICATE_PUBLIC_KEYS,
+   * comma-separated raw Ed25519 keys as published by /api/certificate-signature)
+   */
+  static getPublishedSigningKeys(): string[] {
+    return (import.meta.env.VITE_CERTIFICATE_PUBLIC_KEYS || '')
+      .split(',')
+      .map((key: string) => key.trim())
+      .filter(Boolean);
+  }
+
+  /**
+   * Check a signed certificate without the database: input is a certificate
+   * PDF, or text holding the token (pasted, or scanned from a link)
+   */
+  static async verifyCertificateSignature(
+    input: string | ArrayBuffer | Uint8Array,
+    publicKeys: string[] = CertificateService.getPublishedSigningKeys()
+  ): Promise<{ claims?: CertificateClaims; error?: string }> {
+    try {
+      let token: string | null;
+      if (typeof input === 'string') {
+        token = findCertificateToken(input);
+      } else {
+        try {
+          token = await readCertificateTokenFromPDF(input);
+        } catch {
+          return { error: 'This file is not a readable PDF' };
+        }
+      }
+
+      if (!token) {
+        return { error: 'No certificate signature was found. Only certificates issued with a signature can be checked offline.' };
+      }
+
+      const result = await verifyCertificateToken(token, publicKeys);
+      if (!result.valid) {
+        return { error: result.error || 'The certificate signature is not valid' };
+      }
+
+      return { claims: result.claims as CertificateClaims };
+    } catch (error) {
+      return { error: 'An unexpected error occurred' };
+    }
+  }
+
   /**
    * Verify certificate by certificate number (public method, no auth required)
    */
@@ -874,7 +1536,12 @@ export class CertificateService {
           certificate_pdf_url,
           certificate_png_url,
           generated_at,
-          event_id
+          event_id,
+          status,
+          status_reason,
+          status_changed_at,
+          superseded_by,
+          signature_token
         `)
         .eq('certificate_number', certificateNumber)
         .single();
@@ -890,12 +1557,70 @@ export class CertificateService {
         return { error: 'Certificate not found' };
       }
 
+      // Point holders of a reissued certificate to its replacement
+      if (data.superseded_by) {
+        const { data: replacement } = await supabase
+          .from('certificates')
+          .select('certificate_number')
+          .eq('id', data.superseded_by)
+          .maybeSingle();
+
+        return { certificate: { ...data, replacement_number: replacement?.certificate_number || null } };
+      }
+
       return { certificate: data };
     } catch (err: any) {
       return { error: err.message || 'Failed to verify certificate' };
     }
   }
 
+  /**
+   * The Open Badges 2.0 assertion for a certificate, as served by
+   * /api/open-badge. Only certificates of registered users can be exported,
+   * since the badge is issued to their email address.
+   */
+  static async getOpenBadgeAssertion(
+    certificateNumber: string,
+    origin: string
+  ): Promise<{ assertion?: Record<string, any>; badge?: CertificateBadge; error?: string }> {
+    try {
+      const { data, error } = await supabase
+        .rpc('get_certificate_badge', { certificate_number_text: certificateNumber })
+        .maybeSingle();
+
+      if (error) {
+        return { error: error.message };
+      }
+
+      if (!data) {
+        return { error: 'This certificate cannot be exported as a badge' };
+      }
+
+      const badge = data as CertificateBadge;
+      return { assertion: buildOpenBadgeAssertion(badge, origin), badge };
+    } catch (error) {
+      return { error: 'An unexpected error occurred' };
+    }
+  }
+
+  /**
+   * The certificate image with the assertion baked in, for backpacks that
+   * import badge images
+   */
+  static async bakeOpenBadge(pngUrl: string, assertion: Record<string, any>): Promise<{ blob?: Blob; error?: string }> {
+    try {
+      const response = await fetch(pngUrl);
+      if (!response.ok) {
+        return { error: 'Failed to download the certificate image' };
+      }
+
+      const baked = bakeOpenBadgePNG(new Uint8Array(await response.arrayBuffer()), assertion);
+      return { blob: new Blob([baked.buffer as ArrayBuffer], { type: 'image/png' }) };
+    } catch (error) {
+      return { error: 'An unexpected error occurred' };
+    }
+  }
+
   /**
    * Generate certificate number (legacy method - kept for backward compatibility)
    */
@@ -0,0 +1,230 @@
+import { supabase } from '../lib/supabaseClient';
+import { CertificateConfig } from './certificateService';
+
+export type CertificateTemplateVisibility = 'private' | 'department' | 'official';
+
+/** A certificate design without anything tied to one event */
+export type CertificateDesign = Omit<Partial<CertificateConfig>, 'id' | 'event_id' | 'created_by' | 'created_at' | 'updated_at'>;
+
+export interface CertificateDesignTemplate {
+  id: string;
+  name: string;
+  description?: string | null;
+  config: CertificateDesign;
+  thumbnail_url?: string | null;
+  thumbnail_path?: string | null;
+  visibility: CertificateTemplateVisibility;
+  department?: string | null;
+  created_by: string;
+  created_at: string;
+  updated_at: string;
+}
+
+/** Who is saving or sharing a template; department is their affiliated organization */
+export interface CertificateTemplateAuthor {
+  id: string;
+  role?: string;
+  department?: string | null;
+}
+
+export interface CertificateTemplateGroups {
+  official: CertificateDesignTemplate[];
+  department: CertificateDesignTemplate[];
+  mine: CertificateDesignTemplate[];
+}
+
+const THUMBNAIL_BUCKET = 'certificate-templates';
+
+export class CertificateTemplateService {
+  /**
+   * Get the templates the user can see: official ones, their own and those
+   * shared with their department. Row level security does the filtering.
+   */
+  static async getTemplates(): Promise<{ templates?: CertificateDesignTemplate[]; error?: string }> {
+    try {
+      const { data, error } = await supabase
+        .from('certificate_design_templates')
+        .select('*')
+        .order('created_at', { ascending: false });
+
+      if (error) {
+        return { error: error.message };
+      }
+
+      return { templates: data || [] };
+    } catch (error) {
+      return { error: 'An unexpected error occurred' };
+    }
+  }
+
+  /**
+   * Save a design as a named template, with an optional thumbnail of it
+   */
+  static async saveTemplate(
+    input: {
+      name: string;
+      description?: string;
+      config: Partial<CertificateConfig>;
+      visibility: CertificateTemplateVisibility;
+      thumbnail?: Blob | null;
+    },
+    author: CertificateTemplateAuthor
+  ): Promise<{ template?: CertificateDesignTemplate; error?: string }> {
+    try {
+      if (!input.name.trim()) {
+        return { error: 'Template name is required' };
+      }
+
+      const sharing = this.getSharing(input.visibility, author);
+      if (sharing.error) {
+        return { error: sharing.error };
+      }
+
+      let thumbnailUrl: string | null = null;
+      let thumbnailPath: string | null = null;
+      if (input.thumbnail) {
+        thumbnailPath = `design-templates/${author.id}/${Date.now()}_${Math.random().toString(36).substr(2, 9)}.png`;
+        const { error: uploadError } = await supabase.storage
+          .from(THUMBNAIL_BUCKET)
+          .upload(thumbnailPath, input.thumbnail, {
+            cacheControl: '3600',
+            contentType: 'image/png',
+            upsert: false
+          });
+
+        if (uploadError) {
+          return { error: `Failed to upload the thumbnail: ${uploadError.message}` };
+        }
+
+        const { data: { publicUrl } } = supabase.storage
+          .from(THUMBNAIL_BUCKET)
+          .getPublicUrl(thumbnailPath);
+        thumbnailUrl = publicUrl;
+      }
+
+      const { data, error } = await supabase
+        .from('certificate_design_templates')
+        .insert([{
+          name: input.name.trim(),
+          description: input.description?.trim() || null,
+          config: this.getDesign(input.config),
+          thumbnail_url: thumbnailUrl,
+          thumbnail_path: thumbnailPath,
+          visibility: input.visibility,
+          department: sharing.department,
+          created_by: author.id
+        }])
+        .select()
+        .single();
+
+      if (error) {
+        if (thumbnailPath) {
+          await supabase.storage.from(THUMBNAIL_BUCKET).remove([thumbnailPath]);
+        }
+        return { error: error.message };
+      }
+
+      return { template: data };
+    } catch (error) {
+      return { error: 'An unexpected error occurred' };
+    }
+  }
+
+  /**
+   * Keep a template private, share it with the author's department or, for
+   * admins, publish it as an official template
+   */
+  static async updateTemplateVisibility(
+    id: string,
+    visibility: CertificateTemplateVisibility,
+    author: CertificateTemplateAuthor
+  ): Promise<{ template?: CertificateDesignTemplate; error?: string }> {
+    try {
+      const sharing = this.getSharing(visibility, author);
+      if (sharing.error) {
+        return { error: sharing.error };
+      }
+
+      const { data, error } = await supabase
+        .from('certificate_design_templates')
+        .update({ visibility, department: sharing.department })
+        .eq('id', id)
+        .select()
+        .single();
+
+      if (error) {
+        return { error: error.message };
+      }
+
+      return { template: data };
+    } catch (error) {
+      return { error: 'An unexpected error occurred' };
+    }
+  }
+
+  static async deleteTemplate(template: Pick<CertificateDesignTemplate, 'id' | 'thumbnail_path'>): Promise<{ error?: string }> {
+    try {
+      const { error } = await supabase
+        .from('certificate_design_templates')
+        .delete()
+        .eq('id', template.id);
+
+      if (error) {
+        return { error: error.message };
+      }
+
+      if (template.thumbnail_path) {
+        // A leftover thumbnail is harmless, so this doesn't fail the delete
+        await supabase.storage.from(THUMBNAIL_BUCKET).remove([template.thumbnail_path]);
+      }
+
+      return {};
+    } catch (error) {
+      return { error: 'An unexpected error occurred' };
+    }
+  }
+
+  /**
+   * Split templates into official ones, those shared with the user's
+   * department by others, and the user's own
+   */
+  static groupTemplates(templates: CertificateDesignTemplate[], userId: string): CertificateTemplateGroups {
+    const groups: CertificateTemplateGroups = { official: [], department: [], mine: [] };
+    templates.forEach(template => {
+      if (template.visibility === 'official') {
+        groups.official.push(template);
+      } else if (template.created_by === userId) {
+        groups.mine.push(template);
+      } else if (template.visibility === 'department') {
+        groups.department.push(template);
+      }
+    });
+    return groups;
+  }
+
+  /**
+   * The design part of a certificate config, as stored in a template and
+   * applied to another event
+   */
+  static getDesign(config: Partial<CertificateConfig>): CertificateDesign {
+    const { id: _, event_id: __, created_by: ___, created_at: ____, updated_at: _____, ...design } = config as any;
+    return design;
+  }
+
+  private static getSharing(
+    visibility: CertificateTemplateVisibility,
+    author: CertificateTemplateAuthor
+  ): { department: string | null; error?: string } {
+    if (visibility === 'official' && author.role !== 'admin') {
+      return { department: null, error: 'Only admins can publish official templates' };
+    }
+    if (visibility === 'department') {
+      const department = author.department?.trim();
+      if (!department) {
+        return { department: null, error: 'Add your affiliated organization to your profile to share with your department' };
+      }
+      return { department };
+    }
+    return { department: null };
+  }
+}
@@ -1,5 +1,8 @@
 import { LoggerService } from './loggerService';
 
+const escapeHtml = (value: string) =>
+  value.replace(/[&<>"']/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[char] as string));
+
 export class EmailService {
   /**
    * Send email to a user using Resend API
@@ -206,5 +209,71 @@ This is an automated message. Please do not reply to this email.
 
     return await this.sendEmail(userEmail, subject, htmlBody, textBody);
   }
-}
 
+  /**
+   * Send a participant the link to their generated certificate
+   */
+  static async sendCertificateEmail(
+    recipientEmail: string,
+    participantName: string,
+    eventTitle: string,
+    certificateNumber: string,
+    pdfUrl: string
+  ): Promise<{ success?: boolean; error?: string }> {
+    const name = escapeHtml(participantName || 'Participant');
+    const title = escapeHtml(eventTitle);
+    const subject = `Your certificate for ${eventTitle} - GanApp`;
+    const htmlBody = `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <meta charset="utf-8">
+        <style>
+          body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+          .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+          .header { background-color: #1e40af; color: white; padding: 20px; text-align: center; }
+          .content { background-color: #f9fafb; padding: 20px; }
+          .button { display: inline-block; background-color: #1e40af; color: white; padding: 10px 20px; border-radius: 6px; text-decoration: none; }
+          .footer { text-align: center; padding: 20px; color: #6b7280; font-size: 12px; }
+        </style>
+      </head>
+      <body>
+        <div class="container">
+          <div class="header">
+            <h1>Your Certificate</h1>
+          </div>
+          <div class="content">
+            <p>Dear ${name},</p>
+            <p>Your certificate for <strong>${title}</strong> is ready.</p>
+            <p><strong>Certificate number:</strong> ${escapeHtml(certificateNumber)}</p>
+            <p><a class="button" href="${escapeHtml(pdfUrl)}">Download Certificate (PDF)</a></p>
+            <p>Best regards,<br>The GanApp Team</p>
+          </div>
+          <div class="footer">
+            <p>This is an automated message. Please do not reply to this email.</p>
+          </div>
+        </div>
+      </body>
+      </html>
+    `;
+
+    const textBody = `
+Your Certificate - GanApp
+
+Dear ${participantName || 'Participant'},
+
+Your certificate for ${eventTitle} is ready.
+
+Certificate number: ${certificateNumber}
+Download it here: ${pdfUrl}
+
+Best regards,
+The GanApp Team
+
+---
+This is an automated message. Please do not reply to this email.
+    `;
+
+    return await this.sendEmail(recipientEmail, subject, htmlBody, textBody);
+  }
+}
@@ -2,6 +2,21 @@ import { supabase } from '../lib/supabaseClient';
 import { logActivity, createActivityDetails } from '../utils/activityLogger';
 import { CacheService } from './cacheService';
 import { LoggerService } from './loggerService';
+import { expandRecurrence, validateRecurrenceRule, RecurrenceRule } from '../utils/recurrenceUtils';
+import {
+  validateRegistrationAnswers,
+  pickRegistrationAnswers,
+  RegistrationQuestion,
+  RegistrationAnswers
+} from '../utils/registrationFormUtils';
+import {
+  evaluateDayRequirement,
+  getAttendanceMinutes,
+  getAverageAttendanceMinutes,
+  getLocalDateString,
+  DayRequirementResult
+} from '../utils/attendanceDayUtils';
+import { CertificateRuleSettings } from '../utils/certificateEligibilityUtils';
 
 export interface Event {
   id: string;
@@ -25,8 +40,36 @@ export interface Event {
   certificate_templates_url?: string;
   event_kits_url?: string;
   registration_open?: boolean;
+  parent_event_id?: string | null;
+  recurrence_rule?: RecurrenceRule | null;
+  occurrence_index?: number | null;
+  registration_form?: RegistrationQuestion[] | null;
+  min_sessions_for_certificate?: number | null;
+  min_attendance_days?: number | null;
+  min_attendance_minutes?: number | null;
+  qr_rotation_seconds?: number | null;
+  badge_config?: any; // Name badge design (see utils/badgeGenerator.ts)
+  certificate_rules?: Partial<CertificateRuleSettings> | null; // See utils/certificateEligibilityUtils.ts
+  certificate_auto_issue?: boolean; // Queue certificates once participants meet certificate_rules
+  ical_sequence?: number;
 }
 
+export type SeriesEditScope = 'occurrence' | 'series';
+
+// Fields that belong to a single occurrence and are never copied across a series
+const OCCURRENCE_ONLY_FIELDS: (keyof Event)[] = [
+  'id',
+  'start_date',
+  'end_date',
+  'current_participants',
+  'is_featured',
+  'parent_event_id',
+  'recurrence_rule',
+  'occurrence_index',
+  'created_by',
+  'created_at'
+];
+
 export interface EventWithDetails extends Event {
   creator: {
     id: string;
@@ -42,10 +85,17 @@ export interface EventRegistration {
   event_id: string;
   user_id: string;
   registration_date: string;
-  status: 'registered' | 'cancelled' | 'attended';
+  status: 'registered' | 'cancelled' | 'attended' | 'waitlisted';
+  waitlisted_at?: string | null;
+  registration_answers?: RegistrationAnswers | null;
   created_at: string;
 }
 
+export interface WaitlistEntry extends EventRegistration {
+  position: number;
+  users?: any;
+}
+
 export class EventService {
   static async getAllEvents(): Promise<{ events?: Event[]; error?: string }> {
     return LoggerService.time('EventService.getAllEvents', async () => {
@@ -116,12 +166,19 @@ export class EventService {
     }, { eventId: id });
   }
 
-  static async createEvent(eventData: Partial<Event>): Promise<{ event?: Event; error?: string }> {
+  static async createEvent(eventData: Partial<Event>): Promise<{ event?: Event; occurrences?: Event[]; error?: string }> {
     return LoggerService.time('EventService.createEvent', async () => {
       try {
+        if (eventData.recurrence_rule) {
+          const ruleError = validateRecurrenceRule(eventData.recurrence_rule, eventData.start_date);
+          if (ruleError) {
+            return { error: ruleError };
+          }
+        }
+
         const { data, error } = await supabase
           .from('events')
-          .insert([eventData])
+          .insert([eventData.recurrence_rule ? { ...eventData, occurrence_index: 0 } : eventData])
           .select()
           .single();
 
@@ -143,17 +200,122 @@ export class EventService {
           ).catch(err => LoggerService.serviceError('EventService', 'Failed to log event creation', err));
         }
 
+        // Expand recurring events into linked occurrences
+        let occurrences: Event[] | undefined;
+        if (data && eventData.recurrence_rule) {
+          const seriesResult = await this.createSeriesOccurrences(data);
+          if (seriesResult.error) {
+            await CacheService.deletePattern('events:*');
+            return { event: data, error: `Event created, but its recurring occurrences failed: ${seriesResult.error}` };
+          }
+          occurrences = seriesResult.occurrences;
+        }
+
         // Invalidate cache
         await CacheService.deletePattern('events:*');
 
-        return { event: data };
+        return occurrences ? { event: data, occurrences } : { event: data };
       } catch (error) {
         return { error: 'An unexpected error occurred' };
       }
     }, { userId: eventData.created_by });
   }
 
-  static async updateEvent(id: string, updates: Partial<Event>): Promise<{ event?: Event; error?: string }> {
+  /**
+   * Create the child occurrences of a recurring event from its recurrence_rule.
+   * The parent is occurrence 0; each child is a normal event row linked through
+   * parent_event_id, so it keeps its own registrations, check-ins and certificates.
+   */
+  static async createSeriesOccurrences(parent: Event): Promise<{ occurrences?: Event[]; error?: string }> {
+    try {
+      if (!parent.recurrence_rule) {
+        return { occurrences: [] };
+      }
+
+      const dates = expandRecurrence(parent.start_date, parent.end_date, parent.recurrence_rule).slice(1);
+      if (dates.length === 0) {
+        return { occurrences: [] };
+      }
+
+      const template: Partial<Event> = { ...parent };
+      OCCURRENCE_ONLY_FIELDS.forEach(field => delete template[field]);
+      delete template.updated_at;
+
+      const rows = dates.map((occurrence, index) => ({
+        ...template,
+        start_date: occurrence.start_date,
+        end_date: occurrence.end_date,
+        created_by: parent.created_by,
+        parent_event_id: parent.id,
+        occurrence_index: index + 1
+      }));
+
+      const { data, error } = await supabase
+        .from('events')
+        .insert(rows)
+        .select();
+
+      if (error) {
+        return { error: error.message };
+      }
+
+      return { occurrences: data || [] };
+    } catch (error) {
+      return { error: 'An unexpected error occurred' };
+    }
+  }
+
+  /**
+   * Get every occurrence of the series an event belongs to, ordered by date.
+   * Non-recurring events return a series of one.
+   */
+  static async getEventSeries(eventId: string): Promise<{ events?: Event[]; error?: string }> {
+    try {
+      const { data: event, error: eventError } = await supabase
+        .from('events')
+        .select('id, parent_event_id, recurrence_rule')
+        .eq('id', eventId)
+        .maybeSingle();
+
+      if (eventError) {
+        return { error: eventError.message };
+      }
+
+      if (!event) {
+        return { error: 'Event not found' };
+      }
+
+      const rootId = event.parent_event_id || event.id;
+      if (!event.parent_event_id && !event.recurrence_rule) {
+        const single = await this.getEventById(eventId);
+        return single.event ? { events: [single.event] } : { error: single.error };
+      }
+
+      const { data, error } = await supabase
+        .from('events')
+        .select('*')
+        .or(`id.eq.${rootId},parent_event_id.eq.${rootId}`)
+        .order('start_date', { ascending: true });
+
+      if (error) {
+        return { error: error.message };
+      }
+
+      return { events: data || [] };
+    } catch (error) {
+      return { error: 'An unexpected error occurred' };
+    }
+  }
+
+  /**
+   * Update an event. With scope 'series', the shared fields are also copied to
+   * every other occurrence of the series; dates and counts stay per occurrence.
+   */
+  static async updateEvent(
+    id: string,
+    updates: Partial<Event>,
+    scope: SeriesEditScope = 'occurrence'
+  ): Promise<{ event?: Event; error?: string }> {
     try {
       // Get old event data for activity logging
       const { data: oldEvent } = await supabase
@@ -188,6 +350,36 @@ export class EventService {
         ).catch(err => LoggerService.serviceError('EventService', 'Failed to log event update', err));
       }
 
+      // Raising or removing the capacity frees seats for waitlisted users
+      if (data && oldEvent && 'max_participants' in updates &&
+        (!data.max_participants || (oldEvent.max_participants && data.max_participants > oldEvent.max_participants))) {
+        const promotion = await this.promoteFromWaitlist(id);
+        if (promotion.error) {
+          LoggerService.serviceError('EventService', 'Failed to promote waitlist after capacity change', promotion.error);
+        }
+      }
+
+      if (scope === 'series' && data && (data.parent_event_id || data.recurrence_rule)) {
+        const seriesUpdates: Partial<Event> = { ...updates };
+        OCCURRENCE_ONLY_FIELDS.forEach(field => delete seriesUpdates[field]);
+
+        const rootId = data.parent_event_id || data.id;
+        const { data: siblings, error: seriesError } = await supabase
+          .from('events')
+          .update(seriesUpdates)
+          .or(`id.eq.${rootId},parent_event_id.eq.${rootId}`)
+          .neq('id', id)
+          .select('id');
+
+        if (seriesError) {
+          return { event: data, error: `This occurrence was updated, but the rest of the series failed: ${seriesError.message}` };
+        }
+
+        for (const sibling of siblings || []) {
+          await CacheService.delete(CacheService.keys.event(sibling.id));
+        }
+      }
+
       // Invalidate cache
       await CacheService.delete(CacheService.keys.event(id));
       await CacheService.deletePattern('events:*');
@@ -592,6 +784,14 @@ export class EventService {
       await CacheService.deletePattern('events:*');
       await CacheService.delete(CacheService.keys.event(eventId));
 
+      // Reopening registration lets waitlisted users into any free seats
+      if (data && registrationOpen && oldEvent && !oldEvent.registration_open) {
+        const promotion = await this.promoteFromWaitlist(eventId);
+        if (promotion.error) {
+          LoggerService.serviceError('EventService', 'Failed to promote waitlist after reopening registration', promotion.error);
+        }
+      }
+
       return { event: data as Event };
     } catch (error: any) {
       return { error: error?.message || 'Failed to toggle event registration status' };
@@ -622,7 +822,11 @@ export class EventService {
   }
 
   // Event Registration Methods
-  static async registerForEvent(eventId: string, userId: string): Promise<{ registration?: EventRegistration; error?: string }> {
+  static async registerForEvent(
+    eventId: string,
+    userId: string,
+    answers?: RegistrationAnswers
+  ): Promise<{ registration?: EventRegistration; waitlisted?: boolean; waitlistPosition?: number; error?: string }> {
     try {
 
       // Check if user is already registered (active registration)
@@ -631,6 +835,12 @@ export class EventService {
         return { error: 'You are already registered for this event' };
       }
 
+      // Check if user is already waiting for a seat
+      const existingWaitlist = await this.getWaitlistPosition(eventId, userId);
+      if (existingWaitlist.position) {
+        return { error: `You are already on the waitlist for this event (position ${existingWaitlist.position})` };
+      }
+
       // Check if THIS USER has a cancelled registration that we can reactivate
       const { data: cancelledRegistration, error: cancelledError } = await supabase
         .from('event_registrations')
@@ -673,9 +883,23 @@ export class EventService {
         return { error: 'Registration closed: Event has ended' };
       }
 
-      // Check if event has reached max participants
-      if (eventResult.event.max_participants && eventResult.event.current_participants !== undefined && eventResult.event.current_participants >= eventResult.event.max_participants) {
-        return { error: 'This event has reached maximum capacity' };
+      // Check answers to the organizer's registration form
+      const registrationForm = eventResult.event.registration_form || [];
+      const answerErrors = validateRegistrationAnswers(registrationForm, answers);
+      if (Object.keys(answerErrors).length > 0) {
+        const firstInvalid = registrationForm.find(q => answerErrors[q.id]);
+        return { error: `${firstInvalid?.questionText || 'Registration form'}: ${Object.values(answerErrors)[0]}` };
+      }
+      const registrationAnswers = pickRegistrationAnswers(registrationForm, answers);
+
+      // Check if event has reached max participants - if so, join the waitlist instead
+      if (eventResult.event.max_participants) {
+        const { count: registeredCount } = await this.getRegisteredCount(eventId);
+
+        const seatsTaken = registeredCount ?? eventResult.event.current_participants ?? 0;
+        if (seatsTaken >= eventResult.event.max_participants) {
+          return this.joinWaitlist(eventResult.event, userId, cancelledRegistration, registrationAnswers);
+        }
       }
 
       // Create or reactivate registration
@@ -686,7 +910,7 @@ export class EventService {
         // Reactivate cancelled registration
         const { data, error } = await supabase
           .from('event_registrations')
-          .update({ status: 'registered' })
+          .update({ status: 'registered', registration_answers: registrationAnswers })
           .eq('id', cancelledRegistration.id)
           .select()
           .single();
@@ -700,7 +924,8 @@ export class EventService {
           .insert([{
             event_id: eventId,
             user_id: userId,
-            status: 'registered'
+            status: 'registered',
+            registration_answers: registrationAnswers
           }])
           .select()
           .single();
@@ -797,6 +1022,19 @@ export class EventService {
       }
 
       if (!registrationResult.registration) {
+        // Leaving the waitlist doesn't free a seat, so nothing else to update
+        const waitlistResult = await this.getWaitlistPosition(eventId, userId);
+        if (waitlistResult.position) {
+          const { error: leaveError } = await supabase
+            .from('event_registrations')
+            .update({ status: 'cancelled', waitlisted_at: null })
+            .eq('event_id', eventId)
+            .eq('user_id', userId)
+            .eq('status', 'waitlisted');
+
+          return leaveError ? { error: leaveError.message } : {};
+        }
+
         return { error: 'You are not registered for this event' };
       }
 
@@ -835,6 +1073,13 @@ export class EventService {
         return { error: error.message };
       }
 
+      // A seat is free - give it to the next person on the waitlist
+      const promotion = await this.promoteFromWaitlist(eventId);
+      if (promotion.error) {
+        LoggerService.serviceError('EventService', 'Failed to promote waitlist after cancellation', promotion.error);
+      }
+
+      await CacheService.delete(CacheService.keys.event(eventId));
 
       return {};
     } catch (error) {
@@ -842,6 +1087,28 @@ export class EventService {
     }
   }
 
+  /**
+   * Seats taken, counted from registrations. events.current_participants
+   * can be stale, e.g. after an offline scanner syncs.
+   */
+  static async getRegisteredCount(eventId: string): Promise<{ count?: number; error?: string }> {
+    try {
+      const { count, error } = await supabase
+        .from('event_registrations')
+        .select('*', { count: 'exact', head: true })
+        .eq('event_id', eventId)
+        .eq('status', 'registered');
+
+      if (error) {
+        return { error: error.message };
+      }
+
+      return { count: count ?? 0 };
+    } catch (error) {
+      return { error: 'An unexpected error occurred' };
+    }
+  }
+
   static async getUserRegistration(eventId: string, userId: string): Promise<{ registration?: EventRegistration; error?: string }> {
     try {
       const { data, error } = await supabase
@@ -889,6 +1156,177 @@ export class EventService {
     }
   }
 
+  /**
+   * Put a user on the waitlist of a full event. Reuses their cancelled
+   * registration row when there is one (one row per user per event).
+   */
+  private static async joinWaitlist(
+    event: Event,
+    userId: string,
+    cancelledRegistration?: EventRegistration | null,
+    registrationAnswers: RegistrationAnswers = {}
+  ): Promise<{ registration?: EventRegistration; waitlisted?: boolean; waitlistPosition?: number; error?: string }> {
+    const waitlistFields = {
+      status: 'waitlisted',
+      waitlisted_at: new Date().toISOString(),
+      registration_answers: registrationAnswers
+    };
+
+    const { data, error } = cancelledRegistration
+      ? await supabase
+        .from('event_registrations')
+        .update(waitlistFields)
+        .eq('id', cancelledRegistration.id)
+        .select()
+        .single()
+      : await supabase
+        .from('event_registrations')
+        .insert([{ event_id: event.id, user_id: userId, ...waitlistFields }])
+        .select()
+        .single();
+
+    if (error) {
+      return { error: error.message };
+    }
+
+    const { position } = await this.getWaitlistPosition(event.id, userId);
+
+    logActivity(
+      userId,
+      'create',
+      'registration',
+      {
+        resourceId: data.id,
+        resourceName: event.title || 'Event Waitlist',
+        details: { registration_id: data.id, event_id: event.id, event_title: event.title, waitlisted: true }
+      }
+    ).catch(err => LoggerService.serviceError('EventService', 'Failed to log waitlist registration', err));
+
+    const { NotificationService } = await import('./notificationService');
+    NotificationService.createNotification(
+      userId,
+      'Added to Waitlist',
+      `"${event.title}" is full, so you have been added to the waitlist${position ? ` at position ${position}` : ''}. We'll notify you if a seat opens up.`,
+      'info',
+      {
+        action_url: `/events?eventId=${event.id}`,
+        action_text: 'View Event Details',
+        priority: 'normal'
+      }
+    ).catch(err => LoggerService.serviceError('EventService', 'Failed to send waitlist notification', err));
+
+    return { registration: data, waitlisted: true, waitlistPosition: position };
+  }
+
+  /**
+   * Get the ordered waitlist of an event (for organizers)
+   */
+  static async getWaitlist(eventId: string): Promise<{ waitlist?: WaitlistEntry[]; error?: string }> {
+    try {
+      const { data, error } = await supabase
+        .from('event_registrations')
+        .select('*')
+        .eq('event_id', eventId)
+        .eq('status', 'waitlisted')
+        .order('waitlisted_at', { ascending: true });
+
+      if (error) {
+        return { error: error.message };
+      }
+
+      const waitlist = await Promise.all(
+        (data || []).map(async (registration, index) => {
+          const { data: userData } = await supabase.rpc('get_user_profile', {
+            user_id: registration.user_id
+          });
+          return {
+            ...registration,
+            position: index + 1,
+            users: userData || null
+          };
+        })
+      );
+
+      return { waitlist };
+    } catch (error) {
+      return { error: 'An unexpected error occurred' };
+    }
+  }
+
+  /**
+   * Get a user's position on an event waitlist (undefined when not waitlisted)
+   */
+  static async getWaitlistPosition(eventId: string, userId: string): Promise<{ position?: number; error?: string }> {
+    try {
+      const { data, error } = await supabase
+        .from('event_registrations')
+        .select('user_id, waitlisted_at')
+        .eq('event_id', eventId)
+        .eq('status', 'waitlisted')
+        .order('waitlisted_at', { ascending: true });
+
+      if (error) {
+        return { error: error.message };
+      }
+
+      const index = (data || []).findIndex(entry => entry.user_id === userId);
+      return index === -1 ? {} : { position: index + 1 };
+    } catch (error) {
+      return { error: 'An unexpected error occurred' };
+    }
+  }
+
+  /**
+   * Move waitlisted users into free seats, in the order they joined, and
+   * notify each of them. Does nothing while registration is closed or the
+   * event is unpublished or over (enforced by promote_waitlisted_registrations).
+   */
+  static async promoteFromWaitlist(eventId: string): Promise<{ promoted?: string[]; error?: string }> {
+    try {
+      const { data, error } = await supabase.rpc('promote_waitlisted_registrations', {
+        event_uuid: eventId
+      });
+
+      if (error) {
+        return { error: error.message };
+      }
+
+      const promoted: string[] = (data || []).map((row: { user_id: string }) => row.user_id);
+      if (promoted.length === 0) {
+        return { promoted };
+      }
+
+      await CacheService.delete(CacheService.keys.event(eventId));
+      await CacheService.deletePattern('events:*');
+
+      const { data: event } = await supabase
+        .from('events')
+        .select('title')
+        .eq('id', eventId)
+        .maybeSingle();
+      const eventTitle = event?.title || 'the event';
+
+      const { NotificationService } = await import('./notificationService');
+      await Promise.all(promoted.map(userId =>
+        NotificationService.createNotification(
+          userId,
+          'You\'re In!',
+          `A seat opened up for "${eventTitle}" and you have been moved from the waitlist to registered. We look forward to seeing you at the event!`,
+          'success',
+          {
+            action_url: `/events?eventId=${eventId}`,
+            action_text: 'View Event Details',
+            priority: 'high'
+          }
+        ).catch(err => LoggerService.serviceError('EventService', 'Failed to send waitlist promotion notification', err))
+      ));
+
+      return { promoted };
+    } catch (error) {
+      return { error: 'An unexpected error occurred' };
+    }
+  }
+
   static async getEventParticipants(eventId: string): Promise<{ participants?: any[]; error?: string }> {
     try {
       // Use RPC function to get participants with user data from auth.users
@@ -1047,8 +1485,8 @@ export class EventService {
    */
   static async checkUserCheckInStatus(eventId: string, userId: string): Promise<{ isCheckedIn: boolean; isValidated?: boolean; error?: string }> {
     try {
-      // Get current date in YYYY-MM-DD format
-      const today = new Date().toISOString().split('T')[0];
+      // Today in the local time zone, the day check_in_date is recorded against
+      const today = getLocalDateString();
 
       // First, check for any check-in (validated or not) for today
       const { data: todayCheckIn, error: todayError } = await supabase
@@ -1056,6 +1494,7 @@ export class EventService {
         .select('id, check_in_time, check_in_date, is_validated')
         .eq('event_id', eventId)
         .eq('user_id', userId)
+        .is('session_id', null)
         .eq('check_in_date', today)
         .order('check_in_time', { ascending: false })
         .limit(1)
@@ -1069,6 +1508,7 @@ export class EventService {
           .select('id, check_in_time, check_in_date, is_validated')
           .eq('event_id', eventId)
           .eq('user_id', userId)
+          .is('session_id', null)
           .order('check_in_time', { ascending: false })
           .limit(1)
           .maybeSingle();
@@ -1088,6 +1528,42 @@ export class EventService {
     }
   }
 
+  /**
+   * Check the event's "attended at least N of M days" and minimum time
+   * attended rules, which gate the evaluation and the certificate. Events
+   * without either rule are always eligible.
+   */
+  static async checkAttendanceDayRequirement(
+    event: Pick<Event, 'id' | 'start_date' | 'end_date' | 'min_attendance_days' | 'min_attendance_minutes'>,
+    userId: string
+  ): Promise<DayRequirementResult> {
+    try {
+      const { data, error } = await supabase
+        .from('attendance_logs')
+        .select('check_in_date, check_in_time, check_out_time, is_validated, session_id')
+        .eq('event_id', event.id)
+        .eq('user_id', userId)
+        .is('session_id', null);
+
+      if (error) {
+        return this.failedDayRequirement(event, error.message);
+      }
+
+      return evaluateDayRequirement(event, data || []);
+    } catch (error) {
+      return this.failedDayRequirement(event, 'An unexpected error occurred');
+    }
+  }
+
+  // Attendance could not be read: only events that have the rule are blocked
+  private static failedDayRequirement(
+    event: Pick<Event, 'start_date' | 'end_date' | 'min_attendance_days' | 'min_attendance_minutes'>,
+    message: string
+  ): DayRequirementResult {
+    const result = evaluateDayRequirement(event, []);
+    return result.required > 0 ? { ...result, error: message } : result;
+  }
+
   /**
    * Check if user has completed survey/evaluation for an event
    */
@@ -1128,11 +1604,15 @@ export class EventService {
   }
 
   /**
-   * Get all check-ins for an event (for organizers)
+   * Get all event-level check-ins for an event (for organizers). Session
+   * check-ins are only included when asked for, e.g. by the anomaly report.
    */
-  static async getEventCheckIns(eventId: string): Promise<{ checkIns?: any[]; error?: string }> {
+  static async getEventCheckIns(
+    eventId: string,
+    options: { includeSessions?: boolean } = {}
+  ): Promise<{ checkIns?: any[]; error?: string }> {
     try {
-      const { data: logs, error } = await supabase
+      let query = supabase
         .from('attendance_logs')
         .select(`
           id,
@@ -1141,12 +1621,20 @@ export class EventService {
           check_in_time,
           check_in_date,
           check_in_method,
+          check_out_time,
+          location_evidence,
+          session_id,
           is_validated,
           validated_by,
           validation_notes
         `)
-        .eq('event_id', eventId)
-        .order('check_in_time', { ascending: false });
+        .eq('event_id', eventId);
+
+      if (!options.includeSessions) {
+        query = query.is('session_id', null);
+      }
+
+      const { data: logs, error } = await query.order('check_in_time', { ascending: false });
 
       if (error) {
         return { error: error.message };
@@ -1172,6 +1660,10 @@ export class EventService {
             check_in_time: log.check_in_time,
             check_in_date: log.check_in_date,
             check_in_method: log.check_in_method,
+            check_out_time: log.check_out_time,
+            attendance_minutes: getAttendanceMinutes(log),
+            location_evidence: log.location_evidence,
+            session_id: log.session_id,
             is_validated: log.is_validated,
             validated_by: log.validated_by,
             validation_notes: log.validation_notes,
@@ -1210,8 +1702,8 @@ export class EventService {
         return { error: 'Only the event organizer can add manual check-ins' };
       }
 
-      // Use provided date or current date
-      const date = checkInDate || new Date().toISOString().split('T')[0];
+      // Use provided date or today's local date
+      const date = checkInDate || getLocalDateString();
       const now = new Date().toISOString();
 
       const { data, error } = await supabase
@@ -1265,6 +1757,68 @@ export class EventService {
     }
   }
 
+  /**
+   * Record a check-out for an event-level check-in, e.g. for an attendee who
+   * left without scanning out. An existing check-out time is kept.
+   */
+  static async recordCheckOut(
+    eventId: string,
+    userId: string,
+    checkInDate: string
+  ): Promise<{ checkIn?: any; error?: string }> {
+    try {
+      const { data, error } = await supabase.rpc('record_check_out', {
+        event_uuid: eventId,
+        participant_uuid: userId,
+        check_in_day: checkInDate
+      });
+
+      if (error) {
+        return { error: error.message };
+      }
+
+      return { checkIn: data };
+    } catch (error) {
+      return { error: 'An unexpected error occurred' };
+    }
+  }
+
+  /**
+   * The signed-in participant's key for rotating check-in codes
+   * (events.qr_rotation_seconds). Codes are derived from it on the device.
+   */
+  static async getRotatingQRKey(eventId: string): Promise<{ key?: string; error?: string }> {
+    try {
+      const { data, error } = await supabase.rpc('get_rotating_qr_key', { event_uuid: eventId });
+
+      if (error) {
+        return { error: error.message };
+      }
+
+      return { key: data };
+    } catch (error) {
+      return { error: 'An unexpected error occurred' };
+    }
+  }
+
+  /**
+   * Rotation period of an event's check-in codes, with the event secret for
+   * event organizer and admins so scanners can verify codes
+   */
+  static async getEventQRSettings(eventId: string): Promise<{ settings?: { rotation_seconds: number; secret?: string | null }; error?: string }> {
+    try {
+      const { data, error } = await supabase.rpc('get_event_qr_settings', { event_uuid: eventId });
+
+      if (error) {
+        return { error: error.message };
+      }
+
+      return { settings: data };
+    } catch (error) {
+      return { error: 'An unexpected error occurred' };
+    }
+  }
+
   /**
    * Validate or unvalidate a check-in (for organizers)
    */
@@ -1381,7 +1935,7 @@ export class EventService {
       // Get all check-ins
       const { data: checkIns, error: checkInsError } = await supabase
         .from('attendance_logs')
-        .select('user_id, check_in_method, is_validated, check_in_date, check_in_time')
+        .select('user_id, check_in_method, is_validated, check_in_date, check_in_time, check_out_time, session_id')
         .eq('event_id', eventId);
 
       if (checkInsError) {
@@ -1403,7 +1957,8 @@ export class EventService {
       const byMethod = {
         qr_scan: checkIns?.filter(c => c.check_in_method === 'qr_scan').length || 0,
         manual: checkIns?.filter(c => c.check_in_method === 'manual').length || 0,
-        admin_override: checkIns?.filter(c => c.check_in_method === 'admin_override').length || 0
+        admin_override: checkIns?.filter(c => c.check_in_method === 'admin_override').length || 0,
+        geofence: checkIns?.filter(c => c.check_in_method === 'geofence').length || 0
       };
 
       // Count by date (for multi-day events)
@@ -1420,6 +1975,10 @@ export class EventService {
         ? ((uniqueUsersCheckedIn / totalRegistrations) * 100).toFixed(2)
         : '0.00';
 
+      // Time attended, from check-out scans of event-level check-ins
+      const checkedOut = checkIns?.filter(c => !c.session_id && c.check_out_time).length || 0;
+      const averageTimeSpent = getAverageAttendanceMinutes(checkIns || []);
+
       return {
         stats: {
           total_check_ins: totalCheckIns,
@@ -1429,7 +1988,9 @@ export class EventService {
           unique_users_checked_in: uniqueUsersCheckedIn,
           check_in_rate: `${checkInRate}%`,
           by_method: byMethod,
-          by_date: byDate
+          by_date: byDate,
+          checked_out: checkedOut,
+          average_time_spent_minutes: averageTimeSpent
         }
       };
     } catch (error) {
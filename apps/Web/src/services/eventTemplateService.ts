@@ -0,0 +1,326 @@
+import { supabase } from '../lib/supabaseClient';
+import { LoggerService } from './loggerService';
+import { EventService, Event } from './eventService';
+import { SpeakerService, GuestSpeaker } from './speakerService';
+import { SponsorService, Sponsor } from './sponsorService';
+import { SurveyService } from './surveyService';
+import { CertificateService, CertificateConfig } from './certificateService';
+import { createLogicKey, toEditorSectionCondition, toEditorSkipRule } from '../utils/surveyLogicUtils';
+
+export type TemplateSpeaker = Omit<GuestSpeaker, 'id' | 'created_at' | 'updated_at'> & {
+  speaker_id: string;
+  speaker_order: number;
+  is_keynote: boolean;
+};
+
+export type TemplateSponsor = Omit<Sponsor, 'id' | 'created_at' | 'updated_at'> & {
+  sponsor_id: string;
+  sponsor_order: number;
+};
+
+export interface TemplateSurvey {
+  title: string;
+  description: string;
+  questions: any[];
+}
+
+export interface EventSnapshot {
+  event_data: Partial<Event>;
+  speakers: TemplateSpeaker[];
+  sponsors: TemplateSponsor[];
+  survey: TemplateSurvey | null;
+  certificate_config: Partial<CertificateConfig> | null;
+}
+
+export interface EventTemplate extends EventSnapshot {
+  id: string;
+  name: string;
+  description?: string | null;
+  created_by: string;
+  source_event_id?: string | null;
+  created_at: string;
+  updated_at: string;
+}
+
+// Fields that describe one particular run of an event and are never copied
+const RUN_ONLY_FIELDS: (keyof Event)[] = [
+  'id',
+  'start_date',
+  'end_date',
+  'status',
+  'is_featured',
+  'current_participants',
+  'registration_open',
+  'parent_event_id',
+  'recurrence_rule',
+  'occurrence_index',
+  'ical_sequence',
+  'created_by',
+  'created_at',
+  'updated_at'
+];
+
+export class EventTemplateService {
+  /**
+   * Copy an event as a new draft with the same schedule, speakers, sponsors,
+   * evaluation and certificate design. Occurrences of a series are copied as a
+   * single event. Registrations, check-ins and certificates are not copied.
+   */
+  static async duplicateEvent(eventId: string, userId: string): Promise<{ event?: Event; error?: string }> {
+    return LoggerService.time('EventTemplateService.duplicateEvent', async () => {
+      try {
+        const sourceResult = await EventService.getEventById(eventId);
+        if (sourceResult.error || !sourceResult.event) {
+          return { error: sourceResult.error || 'Event not found' };
+        }
+        const source = sourceResult.event;
+
+        const snapshotResult = await this.captureEvent(source);
+        if (snapshotResult.error || !snapshotResult.snapshot) {
+          return { error: snapshotResult.error || 'Failed to read the event' };
+        }
+        const snapshot = snapshotResult.snapshot;
+
+        const createResult = await EventService.createEvent({
+          ...snapshot.event_data,
+          title: `Copy of ${source.title}`,
+          start_date: source.start_date,
+          end_date: source.end_date,
+          status: 'draft',
+          created_by: userId
+        });
+
+        if (createResult.error || !createResult.event) {
+          return { error: createResult.error || 'Failed to create the copy' };
+        }
+
+        const failed = await this.applySnapshot(createResult.event.id, snapshot, userId);
+        if (failed.length > 0) {
+          return {
+            event: createResult.event,
+            error: `Event duplicated, but these could not be copied: ${failed.join(', ')}`
+          };
+        }
+
+        return { event: createResult.event };
+      } catch (error) {
+        return { error: 'An unexpected error occurred' };
+      }
+    }, { eventId, userId });
+  }
+
+  /**
+   * Link the snapshot's speakers, sponsors, evaluation and certificate design
+   * to an event. Returns the names of the parts that failed.
+   */
+  static async applySnapshot(eventId: string, snapshot: EventSnapshot, userId: string): Promise<string[]> {
+    const failed: string[] = [];
+
+    for (const speaker of snapshot.speakers) {
+      const result = await SpeakerService.addSpeakerToEvent(eventId, speaker.speaker_id, {
+        order: speaker.speaker_order,
+        isKeynote: speaker.is_keynote
+      });
+      if (result.error && !failed.includes('speakers')) failed.push('speakers');
+    }
+
+    for (const sponsor of snapshot.sponsors) {
+      const result = await SponsorService.addSponsorToEvent(eventId, sponsor.sponsor_id, {
+        order: sponsor.sponsor_order
+      });
+      if (result.error && !failed.includes('sponsors')) failed.push('sponsors');
+    }
+
+    if (snapshot.survey) {
+      const result = await SurveyService.createSurvey({
+        ...snapshot.survey,
+        event_id: eventId,
+        created_by: userId,
+        is_active: true,
+        is_open: true,
+        opens_at: null,
+        closes_at: null
+      });
+      if (result.error) failed.push('evaluation');
+    }
+
+    if (snapshot.certificate_config) {
+      const result = await CertificateService.saveCertificateConfig(eventId, snapshot.certificate_config as any, userId);
+      if (result.error) failed.push('certificate design');
+    }
+
+    return failed;
+  }
+
+  /**
+   * Get the templates saved by a user, newest first
+   */
+  static async getTemplates(userId: string): Promise<{ templates?: EventTemplate[]; error?: string }> {
+    try {
+      const { data, error } = await supabase
+        .from('event_templates')
+        .select('*')
+        .eq('created_by', userId)
+        .order('created_at', { ascending: false });
+
+      if (error) {
+        return { error: error.message };
+      }
+
+      return { templates: data || [] };
+    } catch (error) {
+      return { error: 'An unexpected error occurred' };
+    }
+  }
+
+  /**
+   * Save a snapshot of an existing event as a named template
+   */
+  static async saveEventAsTemplate(
+    eventId: string,
+    name: string,
+    userId: string,
+    description?: string
+  ): Promise<{ template?: EventTemplate; error?: string }> {
+    try {
+      if (!name.trim()) {
+        return { error: 'Template name is required' };
+      }
+
+      const sourceResult = await EventService.getEventById(eventId);
+      if (sourceResult.error || !sourceResult.event) {
+        return { error: sourceResult.error || 'Event not found' };
+      }
+
+      const snapshotResult = await this.captureEvent(sourceResult.event);
+      if (snapshotResult.error || !snapshotResult.snapshot) {
+        return { error: snapshotResult.error || 'Failed to read the event' };
+      }
+
+      const { data, error } = await supabase
+        .from('event_templates')
+        .insert([{
+          ...snapshotResult.snapshot,
+          name: name.trim(),
+          description: description?.trim() || null,
+          created_by: userId,
+          source_event_id: eventId
+        }])
+        .select()
+        .single();
+
+      if (error) {
+        return { error: error.message };
+      }
+
+      return { template: data };
+    } catch (error) {
+      return { error: 'An unexpected error occurred' };
+    }
+  }
+
+  static async deleteTemplate(id: string): Promise<{ error?: string }> {
+    try {
+      const { error } = await supabase
+        .from('event_templates')
+        .delete()
+        .eq('id', id);
+
+      if (error) {
+        return { error: error.message };
+      }
+
+      return {};
+    } catch (error) {
+      return { error: 'An unexpected error occurred' };
+    }
+  }
+
+  /**
+   * Rebuild the section layout of the evaluation builder from a template's
+   * flattened survey questions (the reverse of what CreateSurvey saves),
+   * keeping its branching and skip logic
+   */
+  static getSurveySections(survey: TemplateSurvey | null): any[] {
+    const sections: any[] = [];
+    (survey?.questions || []).forEach((question: any) => {
+      const sectionIndex = question.sectionIndex ?? 0;
+      let section = sections.find(s => s.index === sectionIndex);
+      if (!section) {
+        section = {
+          index: sectionIndex,
+          logicKey: `s_${sectionIndex}`,
+          sectionTitle: question.sectionTitle || '',
+          sectionDescription: question.sectionDescription || '',
+          showIf: toEditorSectionCondition(question.sectionCondition),
+          questions: []
+        };
+        sections.push(section);
+      }
+      section.questions.push({
+        logicKey: question.id || createLogicKey('q'),
+        questionText: question.questionText || question.question || '',
+        questionType: question.questionType || 'short-answer',
+        options: question.options?.length ? question.options : [''],
+        required: question.required || false,
+        scaleMin: question.scaleMin || 1,
+        scaleMax: question.scaleMax || 5,
+        lowestLabel: question.lowestLabel || '',
+        highestLabel: question.highestLabel || '',
+        rows: question.rows?.length ? question.rows : [''],
+        columns: question.columns?.length ? question.columns : [''],
+        skipRule: toEditorSkipRule(question.skipRule)
+      });
+    });
+
+    return sections.map(({ index: _, ...section }) => section);
+  }
+
+  /**
+   * Read everything a copy of the event needs
+   */
+  private static async captureEvent(event: Event): Promise<{ snapshot?: EventSnapshot; error?: string }> {
+    const [speakersResult, sponsorsResult, surveysResult, configResult] = await Promise.all([
+      SpeakerService.getEventSpeakers(event.id),
+      SponsorService.getEventSponsors(event.id),
+      SurveyService.getSurveysByEvent(event.id),
+      CertificateService.getCertificateConfig(event.id)
+    ]);
+
+    const error = speakersResult.error || sponsorsResult.error || surveysResult.error || configResult.error;
+    if (error) {
+      return { error };
+    }
+
+    const eventData: Partial<Event> = { ...event };
+    RUN_ONLY_FIELDS.forEach(field => delete eventData[field]);
+
+    const speakers = (speakersResult.speakers || []).map(({ speaker, speaker_id, speaker_order, is_keynote }) => {
+      const { id: _, created_at: __, updated_at: ___, ...details } = speaker;
+      return { ...details, speaker_id, speaker_order, is_keynote };
+    });
+
+    const sponsors = (sponsorsResult.sponsors || []).map(({ sponsor, sponsor_id, sponsor_order }) => {
+      const { id: _, created_at: __, updated_at: ___, ...details } = sponsor;
+      return { ...details, sponsor_id, sponsor_order };
+    });
+
+    const survey = surveysResult.surveys?.[0];
+
+    let certificateConfig: Partial<CertificateConfig> | null = null;
+    if (configResult.config) {
+      const { id: _, event_id: __, created_at: ___, updated_at: ____, created_by: _____, ...design } = configResult.config;
+      certificateConfig = design;
+    }
+
+    return {
+      snapshot: {
+        event_data: eventData,
+        speakers,
+        sponsors,
+        survey: survey ? { title: survey.title, description: survey.description, questions: survey.questions } : null,
+        certificate_config: certificateConfig
+      }
+    };
+  }
+}
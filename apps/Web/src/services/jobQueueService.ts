@@ -4,6 +4,7 @@
  */
 
 import { supabase } from '../lib/supabaseClient';
+import { CertificateTranscriptEntry } from '../utils/certificatePages';
 
 export interface JobData {
   id?: string;
@@ -24,6 +25,11 @@ export interface CertificateGenerationJobData {
   eventTitle: string;
   completionDate: string;
   config?: any; // Optional: for standalone certificates without event
+  replacesCertificateId?: string; // Set when reissuing an existing certificate
+  reissueReason?: string;
+  fields?: Record<string, string | number>; // Extra merge fields, e.g. a score from an imported list
+  recipientEmail?: string; // Email the certificate here once it is generated
+  transcript?: CertificateTranscriptEntry[]; // Sessions for a transcript page, instead of the event's own
 }
 
 export interface BulkNotificationJobData {
@@ -122,6 +128,61 @@ export class JobQueueService {
     }
   }
 
+  /**
+   * Claim the next pending job of one type. Jobs left in processing longer
+   * than staleAfterSeconds (a worker that crashed mid-job) are claimed again
+   * while they have attempts left.
+   */
+  static async claimNextJob(
+    jobType: string,
+    staleAfterSeconds = 900
+  ): Promise<{ job?: JobData; error?: string }> {
+    try {
+      const { data, error } = await supabase.rpc('claim_next_job', {
+        p_job_type: jobType,
+        p_stale_after_seconds: staleAfterSeconds
+      });
+
+      if (error) {
+        const { LoggerService } = await import('./loggerService');
+        LoggerService.serviceError('JobQueueService', 'claim_next_job RPC error', error);
+        return { error: error.message };
+      }
+
+      if (!data || data.length === 0) {
+        return {}; // No jobs available
+      }
+
+      return { job: data[0] as JobData };
+    } catch (err: any) {
+      const { LoggerService } = await import('./loggerService');
+      LoggerService.serviceError('JobQueueService', 'Exception in claimNextJob', err);
+      return { error: err.message || 'Failed to claim job' };
+    }
+  }
+
+  /**
+   * Put a claimed job back in the queue without counting the attempt, e.g.
+   * when a worker shuts down before finishing it
+   */
+  static async releaseJob(jobId: string): Promise<{ success?: boolean; error?: string }> {
+    try {
+      const { error } = await supabase.rpc('release_job', { p_job_id: jobId });
+
+      if (error) {
+        const { LoggerService } = await import('./loggerService');
+        LoggerService.serviceError('JobQueueService', 'release_job RPC error', error);
+        return { error: error.message };
+      }
+
+      return { success: true };
+    } catch (err: any) {
+      const { LoggerService } = await import('./loggerService');
+      LoggerService.serviceError('JobQueueService', 'Exception in releaseJob', err);
+      return { error: err.message || 'Failed to release job' };
+    }
+  }
+
   /**
    * Mark job as completed
    */
@@ -250,6 +311,32 @@ export class JobQueueService {
     }
   }
 
+  /**
+   * Get the status of several jobs at once, e.g. to follow a batch
+   */
+  static async getJobStatuses(
+    jobIds: string[]
+  ): Promise<{ jobs?: (Pick<JobData, 'id' | 'status' | 'result_data' | 'error_message'> & { completed_at?: string })[]; error?: string }> {
+    if (jobIds.length === 0) {
+      return { jobs: [] };
+    }
+
+    try {
+      const { data, error } = await supabase
+        .from('job_queue')
+        .select('id, status, result_data, error_message, completed_at')
+        .in('id', jobIds);
+
+      if (error) {
+        return { error: error.message };
+      }
+
+      return { jobs: data || [] };
+    } catch (err: any) {
+      return { error: err.message || 'Failed to get job statuses' };
+    }
+  }
+
   /**
    * Get user's jobs
    */
@@ -0,0 +1,319 @@
+import { supabase } from '../lib/supabaseClient';
+import { EventService, Event } from './eventService';
+import { getLocalDateString } from '../utils/attendanceDayUtils';
+import { deriveParticipantKey, verifyRotatingCode } from '../utils/rotatingQrUtils';
+
+export interface QRScanData {
+  eventId?: string;
+  id?: string;
+  userId?: string;
+  qrToken?: string;
+  token?: string;
+  totp?: string;
+  [key: string]: any;
+}
+
+export interface KioskCheckInResult {
+  success: boolean;
+  participantName?: string;
+  alreadyCheckedIn?: boolean;
+  message: string;
+}
+
+const SCANNER_DEVICE_ID_KEY = 'ganapp_scanner_device_id';
+
+type KioskEvent = Pick<Event, 'id' | 'title' | 'start_date' | 'end_date' | 'start_time' | 'end_time' | 'status'> & {
+  check_in_before_minutes?: number | null;
+  check_in_during_minutes?: number | null;
+};
+
+/**
+ * Online check-in validation for the web kiosk. Applies the same rules as
+ * the mobile scanner (apps/Mobile/lib/qrScanService.ts): active QR code
+ * record, rotating code, registration, one check-in per day and the daily
+ * check-in window.
+ */
+export class QRScanService {
+  /**
+   * Check a participant in to the kiosk's event from a scanned QR code or a
+   * typed 8-character manual entry ID
+   */
+  static async checkInWithQRCode(rawData: string, event: KioskEvent, scannerUserId: string): Promise<KioskCheckInResult> {
+    try {
+      let parsedData = this.parseQRData(rawData.trim());
+
+      const manualId = rawData.replace(/[-\s]/g, '').toUpperCase();
+      if (/^[A-Z0-9]{8}$/.test(manualId)) {
+        const { data: qrRecord } = await supabase
+          .from('qr_codes')
+          .select('qr_data, qr_token')
+          .eq('qr_token', manualId)
+          .eq('is_active', true)
+          .maybeSingle();
+
+        if (!qrRecord) {
+          return { success: false, message: 'This ID does not match any active QR code' };
+        }
+        parsedData = { ...qrRecord.qr_data, qrToken: qrRecord.qr_token };
+      }
+
+      const eventId = parsedData.eventId || parsedData.id;
+      const participantUserId = parsedData.userId;
+
+      if (!eventId || !participantUserId) {
+        return { success: false, message: 'This is not a participant check-in QR code' };
+      }
+
+      if (eventId !== event.id) {
+        return { success: false, message: `This QR code is for a different event, not "${event.title}"` };
+      }
+
+      const validation = await this.validateQRCode(parsedData, event.id, participantUserId);
+      if (!validation.valid) {
+        return { success: false, message: validation.message || 'This QR code could not be validated' };
+      }
+
+      const result = await this.recordCheckIn(event, participantUserId, scannerUserId);
+      if (result.success && !result.alreadyCheckedIn) {
+        await this.countQRCodeScan(parsedData, event.id);
+      }
+      return result;
+    } catch (error) {
+      return { success: false, message: 'An unexpected error occurred' };
+    }
+  }
+
+  /**
+   * Security checks on the QR code itself: the stored record must be active,
+   * unexpired, under its scan limit and belong to this event and participant.
+   * Events with rotating codes only accept a current live code.
+   */
+  static async validateQRCode(
+    parsedData: QRScanData,
+    eventId: string,
+    participantUserId: string
+  ): Promise<{ valid: boolean; message?: string }> {
+    const settingsResult = await EventService.getEventQRSettings(eventId);
+    const settings = settingsResult.settings;
+
+    if (settings?.rotation_seconds) {
+      if (!parsedData.totp) {
+        return {
+          valid: false,
+          message: 'This event uses rotating QR codes. Please open your live code in the app. Screenshots, printed codes and manual IDs are not accepted.'
+        };
+      }
+      if (!settings.secret) {
+        return { valid: false, message: 'Only organizers can verify rotating QR codes for this event' };
+      }
+      const participantKey = deriveParticipantKey(settings.secret, participantUserId);
+      if (!verifyRotatingCode(participantKey, String(parsedData.totp), settings.rotation_seconds)) {
+        return { valid: false, message: 'This code has expired or was copied. Please show the live code from your app.' };
+      }
+      return { valid: true };
+    }
+
+    const qrToken = parsedData.qrToken || parsedData.token;
+    if (!qrToken) {
+      // Legacy codes without a token are accepted, as on mobile
+      return { valid: true };
+    }
+
+    const { data: qrCodeRecord, error } = await supabase
+      .from('qr_codes')
+      .select('id, is_active, expires_at, max_scans, scan_count, event_id, owner_id')
+      .eq('qr_token', qrToken)
+      .eq('is_active', true)
+      .maybeSingle();
+
+    if (error || !qrCodeRecord) {
+      return { valid: false, message: 'This QR code is not valid or has been deactivated' };
+    }
+    if (qrCodeRecord.expires_at && new Date() > new Date(qrCodeRecord.expires_at)) {
+      return { valid: false, message: 'This QR code has expired' };
+    }
+    if (qrCodeRecord.max_scans && qrCodeRecord.scan_count >= qrCodeRecord.max_scans) {
+      return { valid: false, message: 'This QR code has reached its maximum scan limit' };
+    }
+    if (qrCodeRecord.event_id && qrCodeRecord.event_id !== eventId) {
+      return { valid: false, message: 'This QR code does not match the event' };
+    }
+    if (qrCodeRecord.owner_id && qrCodeRecord.owner_id !== participantUserId) {
+      return { valid: false, message: 'This QR code does not belong to the participant' };
+    }
+
+    return { valid: true };
+  }
+
+  /**
+   * The daily check-in window: check_in_before_minutes before the event's
+   * start time until check_in_during_minutes after it, on each event day
+   */
+  static validateCheckInTiming(event: KioskEvent, now: Date = new Date()): { valid: boolean; message?: string } {
+    const today = getLocalDateString(now);
+    const endDate = event.end_date || event.start_date;
+
+    if (now > new Date(`${endDate}T${event.end_time}`)) {
+      return { valid: false, message: 'This event has already ended' };
+    }
+
+    if (today < event.start_date || today > endDate) {
+      return { valid: false, message: `Check-in is only available during the event dates (${event.start_date} to ${endDate})` };
+    }
+
+    const checkInBeforeMinutes = event.check_in_before_minutes ?? 60;
+    const checkInDuringMinutes = event.check_in_during_minutes ?? 30;
+    const startTime = new Date(`${today}T${event.start_time}`);
+    const opensAt = new Date(startTime.getTime() - checkInBeforeMinutes * 60 * 1000);
+    const closesAt = new Date(startTime.getTime() + checkInDuringMinutes * 60 * 1000);
+
+    if (now < opensAt) {
+      return { valid: false, message: `Check-in opens at ${opensAt.toLocaleTimeString('en-US', { hour: '2-digit', minute: '2-digit' })} today` };
+    }
+    if (now > closesAt) {
+      return { valid: false, message: `Check-in window closed at ${closesAt.toLocaleTimeString('en-US', { hour: '2-digit', minute: '2-digit' })} today` };
+    }
+
+    return { valid: true };
+  }
+
+  /**
+   * Registration, duplicate and timing checks, then the attendance log itself
+   */
+  private static async recordCheckIn(event: KioskEvent, participantUserId: string, scannerUserId: string): Promise<KioskCheckInResult> {
+    const participantName = await this.getParticipantName(participantUserId);
+
+    const { data: registration } = await supabase
+      .from('event_registrations')
+      .select('id')
+      .eq('event_id', event.id)
+      .eq('user_id', participantUserId)
+      .eq('status', 'registered')
+      .maybeSingle();
+
+    if (!registration) {
+      return { success: false, participantName, message: 'You are not registered for this event' };
+    }
+
+    const today = getLocalDateString();
+    const { data: existing } = await supabase
+      .from('attendance_logs')
+      .select('id')
+      .eq('event_id', event.id)
+      .eq('user_id', participantUserId)
+      .eq('check_in_date', today)
+      .is('session_id', null)
+      .limit(1)
+      .maybeSingle();
+
+    if (existing) {
+      await this.logScan(event.id, scannerUserId, participantUserId, existing.id, 'already_checked_in');
+      return { success: true, alreadyCheckedIn: true, participantName, message: 'You have already checked in today' };
+    }
+
+    const timing = this.validateCheckInTiming(event);
+    if (!timing.valid) {
+      return { success: false, participantName, message: timing.message! };
+    }
+
+    const { data: attendanceLog, error } = await supabase
+      .from('attendance_logs')
+      .insert({
+        event_id: event.id,
+        user_id: participantUserId,
+        check_in_method: 'qr_scan',
+        check_in_time: new Date().toISOString(),
+        check_in_date: today,
+        is_validated: true,
+        validated_by: scannerUserId,
+        validation_notes: 'QR code scanned at check-in kiosk'
+      })
+      .select('id')
+      .single();
+
+    if (error) {
+      if (error.code === '23505') {
+        return { success: true, alreadyCheckedIn: true, participantName, message: 'You have already checked in today' };
+      }
+      return { success: false, participantName, message: error.message };
+    }
+
+    await this.logScan(event.id, scannerUserId, participantUserId, attendanceLog.id, 'checked_in');
+    return { success: true, participantName, message: 'You are checked in. Enjoy the event!' };
+  }
+
+  /**
+   * Count a check-in against the QR code's max_scans (record_qr_code_check_in
+   * in schemas/migrations/add_qr_code_scan_counting.sql). Codes without a
+   * token have no record to count; failures never block the check-in.
+   */
+  private static async countQRCodeScan(parsedData: QRScanData, eventId: string) {
+    const qrToken = parsedData.qrToken || parsedData.token;
+    if (!qrToken) return;
+
+    try {
+      await supabase.rpc('record_qr_code_check_in', { qr_token_param: qrToken, event_uuid: eventId });
+    } catch (error) {
+      // The check-in is already recorded
+    }
+  }
+
+  /**
+   * Scan history for the attendance anomaly report. Logging failures never
+   * block the check-in.
+   */
+  private static async logScan(
+    eventId: string,
+    scannerUserId: string,
+    participantUserId: string,
+    attendanceLogId: string,
+    outcome: 'checked_in' | 'already_checked_in'
+  ) {
+    try {
+      await supabase
+        .from('qr_code_scans')
+        .insert({
+          event_id: eventId,
+          participant_id: participantUserId,
+          attendance_log_id: attendanceLogId,
+          scanned_by: scannerUserId,
+          device_id: this.getDeviceId(),
+          scan_method: 'qr_scan',
+          scan_context: 'event_checkin',
+          device_info: { platform: 'web', userAgent: navigator.userAgent.substring(0, 200) },
+          scan_result: { success: true, outcome },
+          is_valid: true
+        });
+    } catch (error) {
+      // Don't fail the check-in if scan logging fails
+    }
+  }
+
+  /**
+   * Random identifier for this browser, kept across sessions so the anomaly
+   * report can tell scanning devices apart
+   */
+  private static getDeviceId(): string {
+    let deviceId = localStorage.getItem(SCANNER_DEVICE_ID_KEY);
+    if (!deviceId) {
+      deviceId = crypto.randomUUID();
+      localStorage.setItem(SCANNER_DEVICE_ID_KEY, deviceId);
+    }
+    return deviceId;
+  }
+
+  private static async getParticipantName(userId: string): Promise<string | undefined> {
+    const { data } = await supabase.rpc('get_user_profile', { user_id: userId });
+    const profile = Array.isArray(data) ? data[0] : data;
+    if (!profile) return undefined;
+    return [profile.first_name, profile.last_name].filter(Boolean).join(' ') || profile.email;
+  }
+
+  private static parseQRData(qrData: string): QRScanData {
+    try {
+      return JSON.parse(qrData);
+    } catch {
+      return { eventId: qrData, id: qrData };
+    }
+  }
+}
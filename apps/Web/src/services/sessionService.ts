@@ -0,0 +1,286 @@
+import { supabase } from '../lib/supabaseClient';
+import { GuestSpeaker } from './speakerService';
+
+export interface EventSession {
+  id: string;
+  event_id: string;
+  title: string;
+  description?: string | null;
+  session_date: string;
+  start_time: string;
+  end_time: string;
+  room?: string | null;
+  track?: string | null;
+  speaker_id?: string | null;
+  requires_signup: boolean;
+  max_participants?: number | null;
+  session_order: number;
+  created_at: string;
+  updated_at: string;
+  speaker?: GuestSpeaker | null;
+  signups?: number;
+}
+
+export interface SessionRegistration {
+  id: string;
+  session_id: string;
+  event_id: string;
+  user_id: string;
+  created_at: string;
+}
+
+export type SessionInput = Omit<EventSession, 'id' | 'event_id' | 'created_at' | 'updated_at' | 'speaker' | 'signups'>;
+
+export interface SessionRequirementResult {
+  eligible: boolean;
+  attended: number;
+  required: number;
+  error?: string;
+}
+
+export class SessionService {
+  // Session CRUD operations (organizers)
+  static async getEventSessions(eventId: string): Promise<{ sessions?: EventSession[]; error?: string }> {
+    try {
+      const { data, error } = await supabase
+        .from('event_sessions')
+        .select(`
+          *,
+          speaker:guest_speakers (*)
+        `)
+        .eq('event_id', eventId)
+        .order('session_date', { ascending: true })
+        .order('start_time', { ascending: true })
+        .order('session_order', { ascending: true });
+
+      if (error) {
+        return { error: error.message };
+      }
+
+      // Sign-up counts come from a SECURITY DEFINER function because
+      // participants can only read their own sign-ups
+      const { data: counts } = await supabase.rpc('get_session_signup_counts', { event_uuid: eventId });
+      const countBySession = new Map<string, number>(
+        (counts || []).map((row: { session_id: string; signups: number }) => [row.session_id, Number(row.signups)])
+      );
+
+      return {
+        sessions: (data || []).map(session => ({ ...session, signups: countBySession.get(session.id) || 0 }))
+      };
+    } catch (error) {
+      return { error: 'An unexpected error occurred' };
+    }
+  }
+
+  static async createSession(eventId: string, sessionData: SessionInput): Promise<{ session?: EventSession; error?: string }> {
+    try {
+      const validationError = this.validateSession(sessionData);
+      if (validationError) {
+        return { error: validationError };
+      }
+
+      const { data, error } = await supabase
+        .from('event_sessions')
+        .insert([{ ...sessionData, event_id: eventId }])
+        .select(`
+          *,
+          speaker:guest_speakers (*)
+        `)
+        .single();
+
+      if (error) {
+        return { error: error.message };
+      }
+
+      return { session: data };
+    } catch (error) {
+      return { error: 'An unexpected error occurred' };
+    }
+  }
+
+  static async updateSession(id: string, updates: Partial<SessionInput>): Promise<{ session?: EventSession; error?: string }> {
+    try {
+      const { data, error } = await supabase
+        .from('event_sessions')
+        .update({ ...updates, updated_at: new Date().toISOString() })
+        .eq('id', id)
+        .select(`
+          *,
+          speaker:guest_speakers (*)
+        `)
+        .single();
+
+      if (error) {
+        return { error: error.message };
+      }
+
+      return { session: data };
+    } catch (error) {
+      return { error: 'An unexpected error occurred' };
+    }
+  }
+
+  static async deleteSession(id: string): Promise<{ error?: string }> {
+    try {
+      const { error } = await supabase
+        .from('event_sessions')
+        .delete()
+        .eq('id', id);
+
+      if (error) {
+        return { error: error.message };
+      }
+
+      return {};
+    } catch (error) {
+      return { error: 'An unexpected error occurred' };
+    }
+  }
+
+  /**
+   * Check a session before saving. Returns an error message or null.
+   */
+  static validateSession(sessionData: Partial<SessionInput>): string | null {
+    if (!sessionData.title || !sessionData.title.trim()) {
+      return 'Session title is required';
+    }
+    if (!sessionData.session_date || !sessionData.start_time || !sessionData.end_time) {
+      return 'Session date, start time and end time are required';
+    }
+    if (sessionData.end_time <= sessionData.start_time) {
+      return 'Session end time must be after its start time';
+    }
+    if (sessionData.max_participants !== undefined && sessionData.max_participants !== null && sessionData.max_participants < 1) {
+      return 'Session capacity must be at least 1';
+    }
+    return null;
+  }
+
+  // Session sign-up operations (participants)
+  static async registerForSession(sessionId: string): Promise<{ registration?: SessionRegistration; error?: string }> {
+    try {
+      // Capacity and event registration are checked in the database function
+      const { data, error } = await supabase.rpc('register_for_session', { session_uuid: sessionId });
+
+      if (error) {
+        return { error: error.message };
+      }
+
+      return { registration: data };
+    } catch (error) {
+      return { error: 'An unexpected error occurred' };
+    }
+  }
+
+  static async unregisterFromSession(sessionId: string, userId: string): Promise<{ error?: string }> {
+    try {
+      const { error } = await supabase
+        .from('session_registrations')
+        .delete()
+        .eq('session_id', sessionId)
+        .eq('user_id', userId);
+
+      if (error) {
+        return { error: error.message };
+      }
+
+      return {};
+    } catch (error) {
+      return { error: 'An unexpected error occurred' };
+    }
+  }
+
+  static async getUserSessionRegistrations(eventId: string, userId: string): Promise<{ sessionIds?: string[]; error?: string }> {
+    try {
+      const { data, error } = await supabase
+        .from('session_registrations')
+        .select('session_id')
+        .eq('event_id', eventId)
+        .eq('user_id', userId);
+
+      if (error) {
+        return { error: error.message };
+      }
+
+      return { sessionIds: (data || []).map(row => row.session_id) };
+    } catch (error) {
+      return { error: 'An unexpected error occurred' };
+    }
+  }
+
+  // Attendance
+  static async getSessionAttendanceCounts(eventId: string): Promise<{ counts?: Record<string, number>; error?: string }> {
+    try {
+      const { data, error } = await supabase
+        .from('attendance_logs')
+        .select('session_id')
+        .eq('event_id', eventId)
+        .eq('is_validated', true)
+        .not('session_id', 'is', null);
+
+      if (error) {
+        return { error: error.message };
+      }
+
+      const counts: Record<string, number> = {};
+      (data || []).forEach(row => {
+        counts[row.session_id] = (counts[row.session_id] || 0) + 1;
+      });
+
+      return { counts };
+    } catch (error) {
+      return { error: 'An unexpected error occurred' };
+    }
+  }
+
+  static async countAttendedSessions(eventId: string, userId: string): Promise<{ count?: number; error?: string }> {
+    try {
+      const { count, error } = await supabase
+        .from('attendance_logs')
+        .select('*', { count: 'exact', head: true })
+        .eq('event_id', eventId)
+        .eq('user_id', userId)
+        .eq('is_validated', true)
+        .not('session_id', 'is', null);
+
+      if (error) {
+        return { error: error.message };
+      }
+
+      return { count: count || 0 };
+    } catch (error) {
+      return { error: 'An unexpected error occurred' };
+    }
+  }
+
+  /**
+   * Check the event's minimum attended sessions rule for a certificate.
+   * Events without the rule (0 or unset) are always eligible.
+   */
+  static async checkSessionRequirement(
+    event: { id: string; min_sessions_for_certificate?: number | null },
+    userId: string
+  ): Promise<SessionRequirementResult> {
+    const required = event.min_sessions_for_certificate || 0;
+    if (required <= 0) {
+      return { eligible: true, attended: 0, required: 0 };
+    }
+
+    const { count, error } = await this.countAttendedSessions(event.id, userId);
+    if (error) {
+      return { eligible: false, attended: 0, required, error };
+    }
+
+    const attended = count || 0;
+    if (attended < required) {
+      return {
+        eligible: false,
+        attended,
+        required,
+        error: `You attended ${attended} of the ${required} sessions required for a certificate`
+      };
+    }
+
+    return { eligible: true, attended, required };
+  }
+}
@@ -1,6 +1,14 @@
 import { supabase } from '../lib/supabaseClient';
 import { EventService } from './eventService';
 import { SurveyService } from './surveyService';
+import {
+  getDailyAttendance,
+  getRequiredDays,
+  countParticipantsMeetingRequirement,
+  DailyAttendance
+} from '../utils/attendanceDayUtils';
+import { detectAttendanceAnomalies, AnomalyRuleResult } from '../utils/attendanceAnomalyUtils';
+import { getVisibleQuestionIds } from '../utils/surveyLogicUtils';
 
 export interface EventWithSurvey {
   id: string;
@@ -24,6 +32,8 @@ export interface QuestionStatistics {
   questionText: string;
   questionType: string;
   totalResponses: number;
+  shownCount: number; // Respondents the survey logic showed the question to
+  responseRate: number; // Share of shownCount that answered, in percent
   answerDistribution: {
     [key: string]: number;
   };
@@ -44,6 +54,17 @@ export interface EventStatistics {
   registrationCount: number;
   satisfactionRate?: number;
   rawResponses?: any[]; // Raw response records for export
+  dailyAttendance: DailyAttendance[];
+  requiredDays: number;
+  completedCount: number; // Participants meeting the day requirement
+}
+
+export interface AttendanceAnomalyReport {
+  rules: AnomalyRuleResult[];
+  checkIns: { [checkInId: string]: any }; // Flagged check-ins, as returned by EventService.getEventCheckIns
+  participantNames: { [userId: string]: string };
+  scanCount: number;
+  checkInCount: number;
 }
 
 export class StatisticsService {
@@ -184,6 +205,15 @@ export class StatisticsService {
       const questionStats: QuestionStatistics[] = [];
       const questions = survey.questions || [];
 
+      // Replay the survey's branching and skip logic over each response to
+      // count who was shown each question; hidden questions are not answered
+      const shownCounts: { [questionId: string]: number } = {};
+      responses?.forEach(r => {
+        getVisibleQuestionIds(questions, r.responses).forEach(questionId => {
+          shownCounts[questionId] = (shownCounts[questionId] || 0) + 1;
+        });
+      });
+
       questions.forEach((question: any, index: number) => {
         const questionId = question.id || question.question || `q_${index}`;
         const questionText = question.question || question.questionText || '';
@@ -195,12 +225,16 @@ export class StatisticsService {
         const questionResponses = responses
           ?.map(r => r.responses?.[questionId])
           .filter(r => r !== undefined && r !== null && r !== '') || [];
+        const shownCount = shownCounts[questionId] || 0;
+        const questionResponseRate = shownCount > 0 ? (questionResponses.length / shownCount) * 100 : 0;
 
         const stats: QuestionStatistics = {
           questionId,
           questionText,
           questionType,
           totalResponses: questionResponses.length,
+          shownCount,
+          responseRate: questionResponseRate,
           answerDistribution: {},
           responses: questionResponses,
           sectionTitle: sectionTitle,
@@ -225,6 +259,8 @@ export class StatisticsService {
               questionText: rowLabel, // Use row label as the question text
               questionType,
               totalResponses: questionResponses.length,
+              shownCount,
+              responseRate: questionResponseRate,
               answerDistribution: {},
               responses: [],
               sectionTitle: sectionTitle,
@@ -320,14 +356,18 @@ export class StatisticsService {
         }
       }
 
-      // Get participant count (from attendance or registrations)
+      // Get participant count (from attendance or registrations). Multi-day
+      // events have one check-in per day, so participants are counted once.
       const { data: attendance } = await supabase
         .from('attendance_logs')
-        .select('id')
+        .select('user_id, check_in_date, check_in_time, check_out_time, is_validated, session_id')
         .eq('event_id', eventId)
-        .eq('is_validated', true);
+        .is('session_id', null);
 
-      const participantCount = attendance?.length || registrationCount;
+      const attendanceLogs = attendance || [];
+      const validatedUsers = new Set(attendanceLogs.filter(log => log.is_validated).map(log => log.user_id));
+      const participantCount = validatedUsers.size || registrationCount;
+      const validatedLogs = attendanceLogs.filter(log => log.is_validated);
 
       return {
         stats: {
@@ -339,7 +379,10 @@ export class StatisticsService {
           participantCount,
           registrationCount,
           satisfactionRate,
-          rawResponses: responses || [] // Include raw responses for export
+          rawResponses: responses || [], // Include raw responses for export
+          dailyAttendance: getDailyAttendance(eventResult.event, attendanceLogs),
+          requiredDays: getRequiredDays(eventResult.event),
+          completedCount: countParticipantsMeetingRequirement(eventResult.event, validatedLogs)
         }
       };
     } catch (error) {
@@ -348,6 +391,60 @@ export class StatisticsService {
     }
   }
 
+  /**
+   * Flag suspicious check-ins for an event from its attendance logs and scan
+   * history. See attendanceAnomalyUtils for the rules.
+   */
+  static async getAttendanceAnomalies(eventId: string): Promise<{ report?: AttendanceAnomalyReport; error?: string }> {
+    try {
+      const eventResult = await EventService.getEventById(eventId);
+      if (eventResult.error || !eventResult.event) {
+        return { error: eventResult.error || 'Event not found' };
+      }
+
+      const checkInsResult = await EventService.getEventCheckIns(eventId, { includeSessions: true });
+      if (checkInsResult.error) {
+        return { error: checkInsResult.error };
+      }
+      const checkIns = checkInsResult.checkIns || [];
+
+      const { data: scans, error: scansError } = await supabase
+        .from('qr_code_scans')
+        .select('id, scan_timestamp, scanned_by, device_id, participant_id, attendance_log_id')
+        .eq('event_id', eventId)
+        .order('scan_timestamp', { ascending: true });
+
+      if (scansError) {
+        return { error: scansError.message };
+      }
+
+      const rules = detectAttendanceAnomalies(eventResult.event, checkIns, scans || []);
+
+      const flaggedIds = new Set(rules.flatMap(rule => rule.findings.flatMap(finding => finding.checkInIds)));
+      const flaggedCheckIns: { [checkInId: string]: any } = {};
+      const participantNames: { [userId: string]: string } = {};
+      checkIns.forEach(checkIn => {
+        participantNames[checkIn.user_id] = checkIn.participant_name;
+        if (flaggedIds.has(checkIn.id)) {
+          flaggedCheckIns[checkIn.id] = checkIn;
+        }
+      });
+
+      return {
+        report: {
+          rules,
+          checkIns: flaggedCheckIns,
+          participantNames,
+          scanCount: scans?.length || 0,
+          checkInCount: checkIns.length
+        }
+      };
+    } catch (error) {
+      console.error('Error in getAttendanceAnomalies:', error);
+      return { error: 'An unexpected error occurred' };
+    }
+  }
+
   /**
    * Export statistics data as JSON
    */
@@ -1,6 +1,8 @@
 import { supabase } from '../lib/supabaseClient';
 import { logActivity, createActivityDetails } from '../utils/activityLogger';
 import { LoggerService } from './loggerService';
+import { EventService } from './eventService';
+import { CertificateService } from './certificateService';
 
 export interface Survey {
   id: string;
@@ -248,6 +250,21 @@ export class SurveyService {
         };
       }
 
+      // Step 2b: Multi-day events can require a minimum number of attended days
+      const dayCheck = await EventService.checkAttendanceDayRequirement(eventValidation.event!, userId);
+      if (!dayCheck.eligible) {
+        return {
+          error: dayCheck.error,
+          validationInfo: {
+            step: 'attendance_verification',
+            failed: true,
+            reason: 'attendance_days',
+            attendedDays: dayCheck.attended,
+            requiredDays: dayCheck.required
+          }
+        };
+      }
+
       // Step 3: Get survey
       const { data, error } = await supabase
         .from('surveys')
@@ -312,7 +329,7 @@ export class SurveyService {
     try {
       const { data, error } = await supabase
         .from('events')
-        .select('id, title, status, start_date, end_date, start_time, end_time')
+        .select('id, title, status, start_date, end_date, start_time, end_time, min_attendance_days, min_attendance_minutes')
         .eq('id', eventId)
         .eq('status', 'published')
         .single();
@@ -347,6 +364,7 @@ export class SurveyService {
         .select('id, check_in_time, check_in_date, check_in_method, is_validated, event_id, user_id')
         .eq('event_id', eventId)
         .eq('user_id', userId)
+        .is('session_id', null)
         .eq('check_in_date', today)
         .maybeSingle();
 
@@ -361,6 +379,7 @@ export class SurveyService {
           .select('id, check_in_time, check_in_date, check_in_method, is_validated, event_id, user_id')
           .eq('event_id', eventId)
           .eq('user_id', userId)
+          .is('session_id', null)
           .order('check_in_time', { ascending: false })
           .limit(1)
           .maybeSingle();
@@ -617,6 +636,46 @@ export class SurveyService {
     }
   }
 
+  /**
+   * Save a participant's survey response. When the survey is the event
+   * evaluation and the event auto-issues certificates, this also queues the
+   * participant's certificate if the response made them eligible.
+   */
+  static async submitSurveyResponse(
+    survey: Pick<Survey, 'id' | 'event_id'>,
+    userId: string,
+    responses: Record<string, any>
+  ): Promise<{ certificateQueued?: boolean; error?: string }> {
+    try {
+      const { error } = await supabase
+        .from('survey_responses')
+        .insert([{
+          survey_id: survey.id,
+          user_id: userId,
+          responses: responses
+        }]);
+
+      if (error) {
+        return { error: error.message };
+      }
+
+      if (!survey.event_id) {
+        return { certificateQueued: false };
+      }
+
+      // The response is saved either way; a failed auto-issue only means the
+      // participant gets their certificate from the certificate page instead
+      const issueResult = await CertificateService.autoIssueCertificate(survey.event_id, userId);
+      if (issueResult.error) {
+        LoggerService.serviceError('SurveyService', 'Automatic certificate issuance failed', issueResult.error);
+      }
+
+      return { certificateQueued: !!issueResult.queued };
+    } catch (error) {
+      return { error: 'An unexpected error occurred' };
+    }
+  }
+
   // Google Forms-like availability control methods
   static async openSurvey(surveyId: string): Promise<{ error?: string }> {
     try {
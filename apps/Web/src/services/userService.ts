@@ -1,4 +1,4 @@
-import { supabase } from '../lib/supabaseClient';
+import { supabase, createIsolatedAuthClient } from '../lib/supabaseClient';
 import { logActivity, createActivityDetails } from '../utils/activityLogger';
 
 export interface User {
@@ -444,6 +444,30 @@ export class UserService {
     }
   }
 
+  /**
+   * Confirm the signed-in user's password without changing the session,
+   * e.g. before leaving the check-in kiosk. The password is checked on a
+   * separate client that keeps nothing, so the app's session and its auth
+   * listeners are left alone.
+   */
+  static async verifyPassword(email: string, password: string): Promise<{ error?: string }> {
+    try {
+      const authClient = createIsolatedAuthClient();
+      const { error } = await authClient.auth.signInWithPassword({ email, password });
+
+      if (error) {
+        return { error: 'Incorrect password' };
+      }
+
+      // Only drop the throwaway session; a global sign-out would end the kiosk's too
+      await authClient.auth.signOut({ scope: 'local' });
+
+      return {};
+    } catch (error) {
+      return { error: 'An unexpected error occurred' };
+    }
+  }
+
   static async uploadAvatar(userId: string, file: File): Promise<{ url?: string; error?: string }> {
     try {
       // Create a unique filename
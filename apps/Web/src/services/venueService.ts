@@ -4,11 +4,22 @@ export interface Venue {
   id: string;
   name: string;
   is_active: boolean;
+  requires_location_validation?: boolean;
+  latitude?: number | null;
+  longitude?: number | null;
+  geofence_radius_meters?: number;
   created_at: string;
   updated_at: string;
   created_by: string;
 }
 
+export interface VenueGeofence {
+  latitude: number | null;
+  longitude: number | null;
+  geofence_radius_meters: number;
+  requires_location_validation: boolean;
+}
+
 export class VenueService {
   static async getAllVenues(): Promise<{ venues?: Venue[]; error?: string }> {
     try {
@@ -111,6 +122,26 @@ export class VenueService {
     }
   }
 
+  /**
+   * Set the venue's coordinates and radius for geofenced self check-in.
+   * Clearing the coordinates turns self check-in off for the venue.
+   */
+  static async updateVenueGeofence(id: string, geofence: VenueGeofence): Promise<{ venue?: Venue; error?: string }> {
+    const hasLatitude = geofence.latitude !== null;
+    const hasLongitude = geofence.longitude !== null;
+    if (hasLatitude !== hasLongitude) {
+      return { error: 'Enter both latitude and longitude, or neither' };
+    }
+    if (hasLatitude && (Math.abs(geofence.latitude!) > 90 || Math.abs(geofence.longitude!) > 180)) {
+      return { error: 'Coordinates are out of range' };
+    }
+    if (geofence.geofence_radius_meters < 10 || geofence.geofence_radius_meters > 5000) {
+      return { error: 'Radius must be between 10 and 5000 meters' };
+    }
+
+    return this.updateVenue(id, geofence);
+  }
+
   static async deactivateVenue(id: string): Promise<{ error?: string }> {
     try {
       const { error } = await supabase
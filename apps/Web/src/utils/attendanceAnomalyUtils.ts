@@ -0,0 +1,241 @@
+/**
+ * Attendance Anomaly Utilities
+ * Rules that flag suspicious check-ins from an event's attendance logs and
+ * scan history (qr_code_scans). Each rule explains what it looks for, so
+ * organizers can judge a flag before invalidating the check-in.
+ */
+
+export type AnomalyRuleId = 'shared_qr_code' | 'outside_check_in_window' | 'high_scan_rate';
+
+export interface AnomalyCheckIn {
+  id: string;
+  user_id: string;
+  check_in_time: string;
+  check_in_date?: string | null;
+  check_in_method: string;
+  session_id?: string | null;
+}
+
+export interface AnomalyScan {
+  id: string;
+  scan_timestamp: string;
+  scanned_by?: string | null;
+  device_id?: string | null;
+  participant_id?: string | null;
+  attendance_log_id?: string | null;
+}
+
+export interface AnomalyEventWindow {
+  start_date: string;
+  end_date?: string | null;
+  start_time: string;
+  check_in_before_minutes?: number | null;
+  check_in_during_minutes?: number | null;
+}
+
+export interface AnomalyFinding {
+  id: string;
+  occurredAt: string;
+  description: string;
+  userIds: string[];
+  checkInIds: string[];
+}
+
+export interface AnomalyRuleResult {
+  rule: AnomalyRuleId;
+  title: string;
+  explanation: string;
+  findings: AnomalyFinding[];
+}
+
+// One code used on two devices this close together means it was shared
+export const SHARED_CODE_WINDOW_SECONDS = 60;
+
+// Well above what one person can scan by hand in a minute
+export const HIGH_SCAN_RATE_PER_MINUTE = 30;
+
+// Organizers add these deliberately, often after the window has closed
+const WINDOW_EXEMPT_METHODS = ['manual', 'admin_override'];
+
+const MINUTE_MS = 60 * 1000;
+
+const getDeviceKey = (scan: AnomalyScan): string =>
+  scan.device_id || scan.scanned_by || 'unknown';
+
+const unique = <T>(values: (T | null | undefined)[]): T[] =>
+  Array.from(new Set(values.filter((value): value is T => value !== null && value !== undefined)));
+
+const sortByTime = (scans: AnomalyScan[]): AnomalyScan[] =>
+  [...scans].sort((a, b) => new Date(a.scan_timestamp).getTime() - new Date(b.scan_timestamp).getTime());
+
+const formatTime = (value: string | Date): string =>
+  new Date(value).toLocaleTimeString('en-US', { hour: '2-digit', minute: '2-digit', second: '2-digit' });
+
+/**
+ * The same participant's code scanned on two or more devices within
+ * SHARED_CODE_WINDOW_SECONDS
+ */
+export function findSharedQRCodes(scans: AnomalyScan[]): AnomalyFinding[] {
+  const byParticipant = new Map<string, AnomalyScan[]>();
+  scans.forEach(scan => {
+    if (!scan.participant_id) return;
+    byParticipant.set(scan.participant_id, [...(byParticipant.get(scan.participant_id) || []), scan]);
+  });
+
+  const findings: AnomalyFinding[] = [];
+  byParticipant.forEach((participantScans, participantId) => {
+    let cluster: AnomalyScan[] = [];
+
+    const closeCluster = () => {
+      const devices = unique(cluster.map(getDeviceKey));
+      if (devices.length > 1) {
+        findings.push({
+          id: `shared_qr_code:${cluster[0].id}`,
+          occurredAt: cluster[0].scan_timestamp,
+          description: `Scanned ${cluster.length} times on ${devices.length} devices between ${formatTime(cluster[0].scan_timestamp)} and ${formatTime(cluster[cluster.length - 1].scan_timestamp)}`,
+          userIds: [participantId],
+          checkInIds: unique(cluster.map(scan => scan.attendance_log_id))
+        });
+      }
+    };
+
+    sortByTime(participantScans).forEach(scan => {
+      const previous = cluster[cluster.length - 1];
+      if (previous && new Date(scan.scan_timestamp).getTime() - new Date(previous.scan_timestamp).getTime() > SHARED_CODE_WINDOW_SECONDS * 1000) {
+        closeCluster();
+        cluster = [];
+      }
+      cluster.push(scan);
+    });
+    closeCluster();
+  });
+
+  return findings;
+}
+
+/**
+ * Check-ins recorded outside the event dates or outside that day's check-in
+ * window (check_in_before_minutes before the start time until
+ * check_in_during_minutes after it)
+ */
+export function findCheckInsOutsideWindow(event: AnomalyEventWindow, checkIns: AnomalyCheckIn[]): AnomalyFinding[] {
+  const endDate = event.end_date || event.start_date;
+  const beforeMinutes = event.check_in_before_minutes ?? 60;
+  const duringMinutes = event.check_in_during_minutes ?? 30;
+
+  return checkIns
+    .filter(checkIn => !checkIn.session_id && !WINDOW_EXEMPT_METHODS.includes(checkIn.check_in_method))
+    .flatMap(checkIn => {
+      const checkedInAt = new Date(checkIn.check_in_time);
+      const day = checkIn.check_in_date?.split('T')[0] || checkIn.check_in_time.split('T')[0];
+
+      let description: string | null = null;
+      if (day < event.start_date || day > endDate) {
+        description = `Checked in on ${day}, outside the event dates (${event.start_date} to ${endDate})`;
+      } else {
+        const startTime = new Date(`${day}T${event.start_time}`);
+        const opensAt = new Date(startTime.getTime() - beforeMinutes * MINUTE_MS);
+        const closesAt = new Date(startTime.getTime() + duringMinutes * MINUTE_MS);
+        if (checkedInAt < opensAt) {
+          description = `Checked in at ${formatTime(checkedInAt)}, before check-in opened at ${formatTime(opensAt)}`;
+        } else if (checkedInAt > closesAt) {
+          description = `Checked in at ${formatTime(checkedInAt)}, after check-in closed at ${formatTime(closesAt)}`;
+        }
+      }
+
+      return description
+        ? [{
+          id: `outside_check_in_window:${checkIn.id}`,
+          occurredAt: checkIn.check_in_time,
+          description,
+          userIds: [checkIn.user_id],
+          checkInIds: [checkIn.id]
+        }]
+        : [];
+    });
+}
+
+/**
+ * Bursts where one device recorded more than HIGH_SCAN_RATE_PER_MINUTE scans
+ * within a minute
+ */
+export function findHighScanRates(scans: AnomalyScan[]): AnomalyFinding[] {
+  const byDevice = new Map<string, AnomalyScan[]>();
+  scans.forEach(scan => {
+    const key = getDeviceKey(scan);
+    byDevice.set(key, [...(byDevice.get(key) || []), scan]);
+  });
+
+  const findings: AnomalyFinding[] = [];
+  byDevice.forEach((deviceScans, deviceKey) => {
+    const sorted = sortByTime(deviceScans);
+    const times = sorted.map(scan => new Date(scan.scan_timestamp).getTime());
+    const flagged = new Array(sorted.length).fill(false);
+
+    // Sliding one-minute window; every scan inside an over-limit window is flagged
+    let windowStart = 0;
+    for (let windowEnd = 0; windowEnd < sorted.length; windowEnd++) {
+      while (times[windowEnd] - times[windowStart] >= MINUTE_MS) windowStart++;
+      if (windowEnd - windowStart + 1 > HIGH_SCAN_RATE_PER_MINUTE) {
+        flagged.fill(true, windowStart, windowEnd + 1);
+      }
+    }
+
+    // Consecutive flagged scans form one burst
+    let burst: AnomalyScan[] = [];
+    const closeBurst = () => {
+      if (burst.length === 0) return;
+      const minutes = Math.max(1, Math.ceil((new Date(burst[burst.length - 1].scan_timestamp).getTime() - new Date(burst[0].scan_timestamp).getTime()) / MINUTE_MS));
+      findings.push({
+        id: `high_scan_rate:${deviceKey}:${burst[0].id}`,
+        occurredAt: burst[0].scan_timestamp,
+        description: `Device ${deviceKey.slice(0, 8)} recorded ${burst.length} check-ins in about ${minutes} minute${minutes === 1 ? '' : 's'} from ${formatTime(burst[0].scan_timestamp)}`,
+        userIds: unique(burst.map(scan => scan.participant_id)),
+        checkInIds: unique(burst.map(scan => scan.attendance_log_id))
+      });
+      burst = [];
+    };
+
+    sorted.forEach((scan, index) => {
+      if (flagged[index]) {
+        burst.push(scan);
+      } else {
+        closeBurst();
+      }
+    });
+    closeBurst();
+  });
+
+  return findings;
+}
+
+/**
+ * Run every rule. Rules without findings are still returned, so the report
+ * can show what was checked.
+ */
+export function detectAttendanceAnomalies(
+  event: AnomalyEventWindow,
+  checkIns: AnomalyCheckIn[],
+  scans: AnomalyScan[]
+): AnomalyRuleResult[] {
+  return [
+    {
+      rule: 'shared_qr_code',
+      title: 'QR code used on several devices',
+      explanation: `The same participant's QR code was scanned on two or more devices within ${SHARED_CODE_WINDOW_SECONDS} seconds. This usually means a screenshot of the code was shared with someone else.`,
+      findings: findSharedQRCodes(scans)
+    },
+    {
+      rule: 'outside_check_in_window',
+      title: 'Check-in outside the event window',
+      explanation: `The check-in was recorded on a day the event does not run, or outside that day's check-in window (${event.check_in_before_minutes ?? 60} minutes before the start time until ${event.check_in_during_minutes ?? 30} minutes after). Manual check-ins added by organizers are not included.`,
+      findings: findCheckInsOutsideWindow(event, checkIns)
+    },
+    {
+      rule: 'high_scan_rate',
+      title: 'Unusually fast scanning',
+      explanation: `One device recorded more than ${HIGH_SCAN_RATE_PER_MINUTE} check-ins within a minute, faster than anyone can scan codes by hand. The device may be replaying codes or checking people in in bulk.`,
+      findings: findHighScanRates(scans)
+    }
+  ];
+}
@@ -0,0 +1,89 @@
+/**
+ * Attendance day rules shared by the web app (through attendanceDayUtils.ts)
+ * and the /api/certificate-signature function. Kept as plain JavaScript so
+ * the serverless function can import it.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Guards against a mistyped end date expanding into thousands of days
+const MAX_EVENT_DAYS = 366;
+
+const parseDate = (value) => {
+  const [year, month, day] = String(value).split('T')[0].split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day));
+};
+
+const formatDate = (date) => date.toISOString().split('T')[0];
+
+/**
+ * Today's date (YYYY-MM-DD) in the device's time zone, the same day
+ * check_in_date is recorded against
+ * @param {Date} [date]
+ * @returns {string}
+ */
+export function getLocalDateString(date = new Date()) {
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
+
+/**
+ * Every calendar day an event runs, from start_date to end_date inclusive
+ * @param {string} startDate
+ * @param {string | null} [endDate]
+ * @returns {string[]}
+ */
+export function getEventDays(startDate, endDate) {
+  if (!startDate) return [];
+  const start = parseDate(startDate);
+  const end = endDate ? parseDate(endDate) : start;
+  if (isNaN(start.getTime())) return [];
+  const days = [];
+  for (let time = start.getTime(); time <= end.getTime() && days.length < MAX_EVENT_DAYS; time += DAY_MS) {
+    days.push(formatDate(new Date(time)));
+  }
+  return days.length > 0 ? days : [formatDate(start)];
+}
+
+/**
+ * Minutes between check-in and check-out, or null while the attendee has
+ * not checked out
+ * @param {{ check_in_time?: string | null, check_out_time?: string | null }} log
+ * @returns {number | null}
+ */
+export function getAttendanceMinutes(log) {
+  if (!log.check_in_time || !log.check_out_time) return null;
+  const minutes = (new Date(log.check_out_time).getTime() - new Date(log.check_in_time).getTime()) / 60000;
+  return isNaN(minutes) ? null : Math.max(0, Math.floor(minutes));
+}
+
+/**
+ * Distinct days with a validated event-level check-in. Session check-ins
+ * count towards the agenda rule instead. With a minimum duration, a day only
+ * counts once the attendee checked out after staying long enough.
+ * @param {Array<{ check_in_date?: string | null, check_in_time?: string | null, check_out_time?: string | null, is_validated?: boolean, session_id?: string | null }>} logs
+ * @param {number} [minMinutes]
+ * @returns {string[]}
+ */
+export function getAttendedDays(logs, minMinutes = 0) {
+  const days = new Set();
+  logs.forEach(log => {
+    if (!log.is_validated || log.session_id) return;
+    if (minMinutes > 0 && (getAttendanceMinutes(log) ?? 0) < minMinutes) return;
+    const day = log.check_in_date || (log.check_in_time ? getLocalDateString(new Date(log.check_in_time)) : null);
+    if (day) days.add(day.split('T')[0]);
+  });
+  return [...days].sort();
+}
+
+/**
+ * Days required to complete an event. 0 (the default) keeps the original
+ * behaviour, where a single check-in is enough. A minimum duration alone
+ * requires one day attended for that long.
+ * @param {{ start_date: string, end_date?: string | null, min_attendance_days?: number | null, min_attendance_minutes?: number | null }} event
+ * @returns {number}
+ */
+export function getRequiredDays(event) {
+  const required = event.min_attendance_days || 0;
+  if (required <= 0) return (event.min_attendance_minutes || 0) > 0 ? 1 : 0;
+  return Math.min(required, getEventDays(event.start_date, event.end_date).length);
+}
@@ -0,0 +1,143 @@
+/**
+ * Attendance Day Utilities
+ * Per-day attendance for events spanning several days, the "attended at
+ * least N of M days" completion rule (events.min_attendance_days) and the
+ * minimum time attended per day (events.min_attendance_minutes). The day
+ * rule itself lives in attendanceDayRules.js, which the certificate signing
+ * function shares.
+ */
+
+import {
+  getAttendanceMinutes,
+  getAttendedDays,
+  getEventDays,
+  getLocalDateString,
+  getRequiredDays
+} from './attendanceDayRules.js';
+
+export interface AttendanceDayLog {
+  user_id?: string;
+  check_in_date?: string | null;
+  check_in_time?: string | null;
+  check_out_time?: string | null;
+  is_validated?: boolean;
+  session_id?: string | null;
+}
+
+export interface DayRequirementResult {
+  eligible: boolean;
+  attended: number;
+  required: number;
+  totalDays: number;
+  minMinutes: number;
+  error?: string;
+}
+
+export interface AttendanceRules {
+  start_date: string;
+  end_date?: string | null;
+  min_attendance_days?: number | null;
+  min_attendance_minutes?: number | null;
+}
+
+export interface DailyAttendance {
+  date: string;
+  checkedIn: number;
+  validated: number;
+}
+
+export { getAttendanceMinutes, getAttendedDays, getEventDays, getLocalDateString, getRequiredDays };
+
+export function formatDuration(minutes: number): string {
+  const hours = Math.floor(minutes / 60);
+  const rest = Math.round(minutes % 60);
+  if (hours === 0) return `${rest}m`;
+  return rest === 0 ? `${hours}h` : `${hours}h ${rest}m`;
+}
+
+export function evaluateDayRequirement(event: AttendanceRules, logs: AttendanceDayLog[]): DayRequirementResult {
+  const totalDays = getEventDays(event.start_date, event.end_date).length;
+  const minMinutes = event.min_attendance_minutes || 0;
+  const required = getRequiredDays(event);
+  const attended = getAttendedDays(logs, minMinutes).length;
+
+  if (required > 0 && attended < required) {
+    let error = `You attended ${attended} of the ${required} days required to complete this event`;
+    if (minMinutes > 0) {
+      error = required === 1
+        ? `You need to stay at least ${formatDuration(minMinutes)} and check out to complete this event`
+        : `${error} (at least ${formatDuration(minMinutes)} a day, with check-out)`;
+    }
+    return { eligible: false, attended, required, totalDays, minMinutes, error };
+  }
+
+  return { eligible: true, attended, required, totalDays, minMinutes };
+}
+
+/**
+ * Check-ins per event day, including days nobody checked in
+ */
+export function getDailyAttendance(
+  event: { start_date: string; end_date?: string | null },
+  logs: AttendanceDayLog[]
+): DailyAttendance[] {
+  const byDay = new Map<string, { checkedIn: Set<string>; validated: Set<string> }>();
+  getEventDays(event.start_date, event.end_date).forEach(day => {
+    byDay.set(day, { checkedIn: new Set(), validated: new Set() });
+  });
+
+  logs.forEach(log => {
+    if (log.session_id || !log.user_id) return;
+    const day = (log.check_in_date || (log.check_in_time ? getLocalDateString(new Date(log.check_in_time)) : '')).split('T')[0];
+    if (!day) return;
+    if (!byDay.has(day)) {
+      byDay.set(day, { checkedIn: new Set(), validated: new Set() });
+    }
+    const entry = byDay.get(day)!;
+    entry.checkedIn.add(log.user_id);
+    if (log.is_validated) entry.validated.add(log.user_id);
+  });
+
+  return [...byDay.entries()]
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([date, entry]) => ({ date, checkedIn: entry.checkedIn.size, validated: entry.validated.size }));
+}
+
+/**
+ * Number of participants whose validated check-ins meet the day requirement
+ */
+export function countParticipantsMeetingRequirement(
+  event: AttendanceRules,
+  logs: AttendanceDayLog[]
+): number {
+  const byUser = new Map<string, AttendanceDayLog[]>();
+  logs.forEach(log => {
+    if (!log.user_id) return;
+    byUser.set(log.user_id, [...(byUser.get(log.user_id) || []), log]);
+  });
+
+  let count = 0;
+  byUser.forEach(userLogs => {
+    const result = evaluateDayRequirement(event, userLogs);
+    if (result.eligible && getAttendedDays(userLogs).length > 0) count++;
+  });
+  return count;
+}
+
+/**
+ * Average time attended per attendee, summed over all of their days, for
+ * attendees with at least one check-out. Null when nobody checked out.
+ */
+export function getAverageAttendanceMinutes(logs: AttendanceDayLog[]): number | null {
+  const byUser = new Map<string, number>();
+  logs.forEach(log => {
+    if (log.session_id || !log.user_id) return;
+    const minutes = getAttendanceMinutes(log);
+    if (minutes === null) return;
+    byUser.set(log.user_id, (byUser.get(log.user_id) || 0) + minutes);
+  });
+
+  if (byUser.size === 0) return null;
+  const total = [...byUser.values()].reduce((sum, minutes) => sum + minutes, 0);
+  return Math.round(total / byUser.size);
+}
@@ -0,0 +1,336 @@
+/**
+ * Name Badge Generation Utilities
+ * Renders attendee name badges (name, organization, role ribbon and check-in
+ * QR code) on a canvas and lays them out on A4 label sheets as a PDF.
+ * Fonts are loaded the same way as certificates (certificateGenerator.ts).
+ */
+
+import { PDFDocument } from 'pdf-lib';
+import { generateQRCodeDataURL, loadGoogleFontForCanvas } from './certificateGenerator';
+
+export interface BadgeLabelLayout {
+  name: string;
+  labelWidth: number;  // mm
+  labelHeight: number; // mm
+  columns: number;
+  rows: number;
+  marginLeft: number;  // mm, page edge to the first label
+  marginTop: number;   // mm
+  pitchX: number;      // mm, left edge to left edge of neighbouring labels
+  pitchY: number;      // mm
+}
+
+export interface BadgeRibbon {
+  id: string;
+  label: string;
+  color: string;
+}
+
+export interface BadgeConfig {
+  label_layout: string;
+  font_family: string;
+  name_color: string;
+  text_color: string;
+  accent_color: string;
+  background_color: string;
+  show_event_title: boolean;
+  show_organization: boolean;
+  show_role_ribbon: boolean;
+  show_qr: boolean;
+  show_cut_guides: boolean;
+  ribbons: BadgeRibbon[];
+  default_ribbon: string;
+  ribbon_assignments: { [userId: string]: string };
+}
+
+export interface BadgeAttendee {
+  userId: string;
+  name: string;
+  organization?: string;
+  qrData?: string; // Check-in QR payload; omitted when the event uses rotating codes
+}
+
+// A4 Avery-compatible label sheets
+export const BADGE_LABEL_LAYOUTS: { [id: string]: BadgeLabelLayout } = {
+  L7165: {
+    name: 'Avery L7165 · 8 per sheet (99.1 × 67.7 mm)',
+    labelWidth: 99.1, labelHeight: 67.7, columns: 2, rows: 4,
+    marginLeft: 4.65, marginTop: 13.1, pitchX: 101.6, pitchY: 67.7
+  },
+  L7166: {
+    name: 'Avery L7166 · 6 per sheet (99.1 × 93.1 mm)',
+    labelWidth: 99.1, labelHeight: 93.1, columns: 2, rows: 3,
+    marginLeft: 4.65, marginTop: 8.85, pitchX: 101.6, pitchY: 93.1
+  },
+  L7169: {
+    name: 'Avery L7169 · 4 per sheet (99.1 × 139 mm)',
+    labelWidth: 99.1, labelHeight: 139, columns: 2, rows: 2,
+    marginLeft: 4.65, marginTop: 9.5, pitchX: 101.6, pitchY: 139
+  }
+};
+
+export const DEFAULT_BADGE_CONFIG: BadgeConfig = {
+  label_layout: 'L7165',
+  font_family: 'Montserrat, sans-serif',
+  name_color: '#0f172a',
+  text_color: '#475569',
+  accent_color: '#1e3a8a',
+  background_color: '#ffffff',
+  show_event_title: true,
+  show_organization: true,
+  show_role_ribbon: true,
+  show_qr: true,
+  show_cut_guides: false,
+  ribbons: [
+    { id: 'participant', label: 'PARTICIPANT', color: '#1e3a8a' },
+    { id: 'speaker', label: 'SPEAKER', color: '#b91c1c' },
+    { id: 'staff', label: 'STAFF', color: '#047857' },
+    { id: 'vip', label: 'VIP', color: '#a16207' }
+  ],
+  default_ribbon: 'participant',
+  ribbon_assignments: {}
+};
+
+const A4_WIDTH_MM = 210;
+const A4_HEIGHT_MM = 297;
+const POINTS_PER_MM = 72 / 25.4;
+
+// About 300 DPI, sharp enough for the QR code and small text
+const PIXELS_PER_MM = 12;
+
+/**
+ * Saved configs may predate newer options, so defaults fill the gaps
+ */
+export function normalizeBadgeConfig(config?: Partial<BadgeConfig> | null): BadgeConfig {
+  const merged = { ...DEFAULT_BADGE_CONFIG, ...(config || {}) };
+  if (!BADGE_LABEL_LAYOUTS[merged.label_layout]) {
+    merged.label_layout = DEFAULT_BADGE_CONFIG.label_layout;
+  }
+  if (!merged.ribbons?.length) {
+    merged.ribbons = DEFAULT_BADGE_CONFIG.ribbons;
+  }
+  return merged;
+}
+
+export function getBadgeRibbon(config: BadgeConfig, userId: string): BadgeRibbon {
+  const ribbonId = config.ribbon_assignments[userId] || config.default_ribbon;
+  return config.ribbons.find(ribbon => ribbon.id === ribbonId) || config.ribbons[0];
+}
+
+/**
+ * Sheet index and top-left corner (mm) of the label at a position in the
+ * print run, filling each sheet row by row
+ */
+export function getLabelPosition(layout: BadgeLabelLayout, index: number): { sheet: number; x: number; y: number } {
+  const perSheet = layout.columns * layout.rows;
+  const slot = index % perSheet;
+  return {
+    sheet: Math.floor(index / perSheet),
+    x: layout.marginLeft + (slot % layout.columns) * layout.pitchX,
+    y: layout.marginTop + Math.floor(slot / layout.columns) * layout.pitchY
+  };
+}
+
+const loadImage = (src: string): Promise<HTMLImageElement> =>
+  new Promise((resolve, reject) => {
+    const img = new Image();
+    img.onload = () => resolve(img);
+    img.onerror = reject;
+    img.src = src;
+  });
+
+/**
+ * Largest font size (down to minSize) at which the text fits maxWidth
+ */
+const fitFontSize = (
+  ctx: CanvasRenderingContext2D,
+  text: string,
+  weight: string,
+  fontFamily: string,
+  maxSize: number,
+  minSize: number,
+  maxWidth: number
+): number => {
+  let size = maxSize;
+  while (size > minSize) {
+    ctx.font = `${weight} ${size}px ${fontFamily}`;
+    if (ctx.measureText(text).width <= maxWidth) break;
+    size -= 2;
+  }
+  return size;
+};
+
+/**
+ * Draw one badge at the label size of the configured layout
+ */
+export async function renderBadgeCanvas(
+  config: BadgeConfig,
+  attendee: BadgeAttendee,
+  eventTitle: string
+): Promise<HTMLCanvasElement> {
+  if (typeof document === 'undefined') {
+    throw new Error('Badge generation requires a browser environment');
+  }
+
+  const layout = BADGE_LABEL_LAYOUTS[config.label_layout];
+  const canvas = document.createElement('canvas');
+  const width = Math.round(layout.labelWidth * PIXELS_PER_MM);
+  const height = Math.round(layout.labelHeight * PIXELS_PER_MM);
+  canvas.width = width;
+  canvas.height = height;
+  const ctx = canvas.getContext('2d');
+  if (!ctx) {
+    throw new Error('Failed to get canvas 2D context');
+  }
+
+  const padding = Math.min(width, height) * 0.07;
+  const portrait = height > width;
+
+  ctx.fillStyle = config.background_color;
+  ctx.fillRect(0, 0, width, height);
+
+  if (config.show_cut_guides) {
+    ctx.strokeStyle = '#cbd5e1';
+    ctx.lineWidth = 2;
+    ctx.strokeRect(1, 1, width - 2, height - 2);
+  }
+
+  // Role ribbon across the bottom
+  let contentBottom = height - padding;
+  if (config.show_role_ribbon) {
+    const ribbon = getBadgeRibbon(config, attendee.userId);
+    const ribbonHeight = height * (portrait ? 0.12 : 0.18);
+    ctx.fillStyle = ribbon.color;
+    ctx.fillRect(0, height - ribbonHeight, width, ribbonHeight);
+    ctx.fillStyle = '#ffffff';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    const ribbonFontSize = fitFontSize(ctx, ribbon.label, 'bold', config.font_family, Math.round(ribbonHeight * 0.5), 12, width - padding * 2);
+    ctx.font = `bold ${ribbonFontSize}px ${config.font_family}`;
+    ctx.fillText(ribbon.label, width / 2, height - ribbonHeight / 2);
+    contentBottom = height - ribbonHeight - padding * 0.6;
+  }
+
+  // Event title across the top
+  let contentTop = padding;
+  if (config.show_event_title && eventTitle) {
+    const titleFontSize = fitFontSize(ctx, eventTitle, '600', config.font_family, Math.round(height * (portrait ? 0.035 : 0.06)), 14, width - padding * 2);
+    ctx.font = `600 ${titleFontSize}px ${config.font_family}`;
+    ctx.fillStyle = config.accent_color;
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'top';
+    ctx.fillText(eventTitle, width / 2, contentTop);
+    contentTop += titleFontSize * 1.6;
+  }
+
+  // QR code: beside the name on landscape labels, below it on portrait ones
+  const textLeft = padding;
+  let textRight = width - padding;
+  let textBottom = contentBottom;
+  if (config.show_qr && attendee.qrData) {
+    const available = contentBottom - contentTop;
+    const qrSize = portrait
+      ? Math.min(width * 0.55, available * 0.5)
+      : Math.min(available, width * 0.36);
+    const qrDataUrl = await generateQRCodeDataURL(attendee.qrData, Math.round(qrSize));
+    const qrImage = await loadImage(qrDataUrl);
+
+    if (portrait) {
+      ctx.drawImage(qrImage, (width - qrSize) / 2, contentBottom - qrSize, qrSize, qrSize);
+      textBottom = contentBottom - qrSize - padding * 0.5;
+    } else {
+      ctx.drawImage(qrImage, width - padding - qrSize, contentTop + (available - qrSize) / 2, qrSize, qrSize);
+      textRight = width - padding * 1.5 - qrSize;
+    }
+  }
+
+  // Name, shrunk to fit and split over two lines when still too wide
+  const textWidth = textRight - textLeft;
+  const textCenterX = textLeft + textWidth / 2;
+  const maxNameSize = Math.round((textBottom - contentTop) * 0.32);
+  const minNameSize = Math.round(maxNameSize * 0.55);
+  let nameLines = [attendee.name];
+  let nameSize = fitFontSize(ctx, attendee.name, 'bold', config.font_family, maxNameSize, minNameSize, textWidth);
+  ctx.font = `bold ${nameSize}px ${config.font_family}`;
+  if (ctx.measureText(attendee.name).width > textWidth && attendee.name.includes(' ')) {
+    const splitAt = attendee.name.lastIndexOf(' ');
+    nameLines = [attendee.name.slice(0, splitAt), attendee.name.slice(splitAt + 1)];
+    nameSize = Math.min(...nameLines.map(line =>
+      fitFontSize(ctx, line, 'bold', config.font_family, maxNameSize, Math.round(minNameSize * 0.7), textWidth)
+    ));
+  }
+
+  const organization = config.show_organization ? attendee.organization?.trim() : '';
+  const orgSize = Math.round(nameSize * 0.45);
+  const blockHeight = nameLines.length * nameSize * 1.15 + (organization ? orgSize * 1.6 : 0);
+  let y = contentTop + Math.max(0, (textBottom - contentTop - blockHeight) / 2);
+
+  ctx.fillStyle = config.name_color;
+  ctx.font = `bold ${nameSize}px ${config.font_family}`;
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'top';
+  nameLines.forEach(line => {
+    ctx.fillText(line, textCenterX, y, textWidth);
+    y += nameSize * 1.15;
+  });
+
+  if (organization) {
+    ctx.fillStyle = config.text_color;
+    const fittedOrgSize = fitFontSize(ctx, organization, 'normal', config.font_family, orgSize, 12, textWidth);
+    ctx.font = `normal ${fittedOrgSize}px ${config.font_family}`;
+    ctx.fillText(organization, textCenterX, y + orgSize * 0.4, textWidth);
+  }
+
+  return canvas;
+}
+
+const canvasToPNGBytes = (canvas: HTMLCanvasElement): Promise<ArrayBuffer> =>
+  new Promise((resolve, reject) => {
+    canvas.toBlob(blob => {
+      if (blob) {
+        blob.arrayBuffer().then(resolve, reject);
+      } else {
+        reject(new Error('Failed to convert canvas to blob'));
+      }
+    }, 'image/png');
+  });
+
+/**
+ * A4 PDF with one badge per label, ready to print on the configured sheets
+ */
+export async function generateBadgeSheetsPDF(
+  config: BadgeConfig,
+  attendees: BadgeAttendee[],
+  eventTitle: string,
+  onProgress?: (current: number, total: number) => void
+): Promise<Uint8Array> {
+  const layout = BADGE_LABEL_LAYOUTS[config.label_layout];
+
+  await loadGoogleFontForCanvas(config.font_family, '700');
+  await document.fonts.ready;
+
+  const pdfDoc = await PDFDocument.create();
+  const pages: ReturnType<typeof pdfDoc.addPage>[] = [];
+
+  for (let i = 0; i < attendees.length; i++) {
+    const { sheet, x, y } = getLabelPosition(layout, i);
+    if (!pages[sheet]) {
+      pages[sheet] = pdfDoc.addPage([A4_WIDTH_MM * POINTS_PER_MM, A4_HEIGHT_MM * POINTS_PER_MM]);
+    }
+
+    const canvas = await renderBadgeCanvas(config, attendees[i], eventTitle);
+    const image = await pdfDoc.embedPng(await canvasToPNGBytes(canvas));
+
+    // PDF coordinates start at the bottom-left corner of the page
+    pages[sheet].drawImage(image, {
+      x: x * POINTS_PER_MM,
+      y: (A4_HEIGHT_MM - y - layout.labelHeight) * POINTS_PER_MM,
+      width: layout.labelWidth * POINTS_PER_MM,
+      height: layout.labelHeight * POINTS_PER_MM
+    });
+
+    onProgress?.(i + 1, attendees.length);
+  }
+
+  return pdfDoc.save({ useObjectStreams: false });
+}
@@ -0,0 +1,78 @@
+/**
+ * Certificate Canvas Platform
+ * What certificate rendering needs from its surroundings: a canvas, images,
+ * fonts and the site address used in verification links. Browsers use the
+ * DOM. The headless worker (scripts/certificate-worker.js) installs a
+ * platform backed by @napi-rs/canvas, so both render with the same code.
+ */
+
+export interface CertificateCanvasPlatform {
+  createCanvas(width: number, height: number): HTMLCanvasElement;
+  /** Resolves to null when the image can't be loaded */
+  loadImage(url: string): Promise<HTMLImageElement | null>;
+  toPNG(canvas: HTMLCanvasElement): Promise<Blob>;
+  /**
+   * Make a font family available to the canvas. Browsers leave this out and
+   * load Google Fonts through the FontFace API instead.
+   */
+  loadFont?: (fontFamily: string, fontWeight: string) => Promise<boolean>;
+  /** Base URL of the site, for the verification link in the QR code */
+  getOrigin(): string;
+}
+
+const browserPlatform: CertificateCanvasPlatform = {
+  createCanvas(width, height) {
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    return canvas;
+  },
+
+  loadImage(url) {
+    return new Promise((resolve) => {
+      const img = new Image();
+      img.crossOrigin = 'anonymous';
+      img.onload = () => resolve(img);
+      img.onerror = () => resolve(null);
+      img.src = url;
+    });
+  },
+
+  toPNG(canvas) {
+    return new Promise<Blob>((resolve, reject) => {
+      canvas.toBlob((blob) => {
+        if (blob) {
+          resolve(blob);
+        } else {
+          reject(new Error('Failed to convert canvas to blob'));
+        }
+      }, 'image/png', 1.0);
+
+      // Timeout after 10 seconds
+      setTimeout(() => {
+        reject(new Error('PNG generation timeout'));
+      }, 10000);
+    });
+  },
+
+  getOrigin() {
+    return window.location.origin;
+  }
+};
+
+let installedPlatform: CertificateCanvasPlatform | null = null;
+
+/** Render certificates somewhere other than a browser, e.g. in Node */
+export function setCertificateCanvasPlatform(platform: CertificateCanvasPlatform | null): void {
+  installedPlatform = platform;
+}
+
+export function getCertificateCanvasPlatform(): CertificateCanvasPlatform {
+  if (installedPlatform) {
+    return installedPlatform;
+  }
+  if (typeof document === 'undefined' || typeof window === 'undefined') {
+    throw new Error('PNG generation requires browser environment (document/window not available)');
+  }
+  return browserPlatform;
+}
@@ -0,0 +1,94 @@
+/**
+ * The per-event certificate rule set, shared by the web app (through
+ * certificateEligibilityUtils.ts, which adds the wording shown to
+ * participants) and the /api/certificate-signature function. Kept as plain
+ * JavaScript so the serverless function can import it.
+ */
+
+import { getAttendedDays, getRequiredDays } from './attendanceDayRules.js';
+
+/**
+ * @typedef {'validated_check_in' | 'attendance_days' | 'min_sessions' | 'evaluation' | 'manual_approval'} CertificateRuleType
+ * @typedef {{ type: CertificateRuleType, count?: number }} CertificateRule
+ */
+
+/**
+ * Requirements stored in events.certificate_rules. The session and day
+ * requirements are not stored here; they come from
+ * events.min_sessions_for_certificate and events.min_attendance_days.
+ * @typedef {{ validated_check_in: boolean, evaluation: boolean, manual_approval: boolean }} CertificateRuleSettings
+ */
+
+// Events without a saved rule set keep the original requirements
+/** @type {CertificateRuleSettings} */
+export const DEFAULT_CERTIFICATE_RULES = {
+  validated_check_in: true,
+  evaluation: true,
+  manual_approval: false
+};
+
+/**
+ * @param {Partial<CertificateRuleSettings> | null} [rules]
+ * @returns {CertificateRuleSettings}
+ */
+export function normalizeCertificateRules(rules) {
+  const settings = { ...DEFAULT_CERTIFICATE_RULES };
+  if (rules && typeof rules === 'object') {
+    Object.keys(settings).forEach(key => {
+      if (typeof rules[key] === 'boolean') settings[key] = rules[key];
+    });
+  }
+  return settings;
+}
+
+/**
+ * Requirements that apply to an event, in the order a participant meets them
+ * @param {{ start_date: string, end_date?: string | null, min_attendance_days?: number | null, min_attendance_minutes?: number | null, min_sessions_for_certificate?: number | null, certificate_rules?: Partial<CertificateRuleSettings> | null }} event
+ * @returns {CertificateRule[]}
+ */
+export function getCertificateRules(event) {
+  const settings = normalizeCertificateRules(event.certificate_rules);
+  /** @type {CertificateRule[]} */
+  const rules = [];
+
+  if (settings.validated_check_in) rules.push({ type: 'validated_check_in' });
+
+  const requiredDays = getRequiredDays(event);
+  if (requiredDays > 0) rules.push({ type: 'attendance_days', count: requiredDays });
+
+  const minSessions = event.min_sessions_for_certificate || 0;
+  if (minSessions > 0) rules.push({ type: 'min_sessions', count: minSessions });
+
+  if (settings.evaluation) rules.push({ type: 'evaluation' });
+  if (settings.manual_approval) rules.push({ type: 'manual_approval' });
+
+  return rules;
+}
+
+/**
+ * Requirements of the event's certificate rules the participant has not met
+ * @param {Parameters<typeof getCertificateRules>[0]} event
+ * @param {{ logs: Array<{ check_in_date?: string | null, check_in_time?: string | null, check_out_time?: string | null, is_validated?: boolean, session_id?: string | null }>, evaluationSubmitted: boolean, isApproved: boolean }} facts
+ * @returns {CertificateRuleType[]}
+ */
+export const getUnmetCertificateRules = (event, facts) => {
+  const logs = facts.logs || [];
+  const eventLogs = logs.filter(log => !log.session_id);
+
+  const isMet = (rule) => {
+    switch (rule.type) {
+      case 'validated_check_in':
+        return eventLogs.some(log => log.check_in_time && log.is_validated);
+      case 'attendance_days':
+        return getAttendedDays(eventLogs, event.min_attendance_minutes || 0).length >= (rule.count || 0);
+      case 'min_sessions':
+        return logs.filter(log => log.session_id && log.is_validated).length >= (rule.count || 0);
+      case 'evaluation':
+        return facts.evaluationSubmitted;
+      case 'manual_approval':
+        return facts.isApproved;
+    }
+  };
+
+  return getCertificateRules(event).filter(rule => !isMet(rule)).map(rule => rule.type);
+};
@@ -5,12 +5,44 @@
 
 import QRCode from 'qrcode';
 import { PDFDocument } from 'pdf-lib';
+import { findCertificateToken } from './certificateSignatureUtils.js';
+import { drawCertificateLayers, getLayerFonts } from './certificateLayers';
+import { getCertificateCanvasPlatform } from './certificateCanvas';
+import { renderCertificateText, CertificateMergeFields } from './certificateMergeFields';
+import {
+  CertificateTranscriptEntry,
+  drawTranscriptPage,
+  getCertificatePageDimensions,
+  getTranscriptRowsPerPage,
+  getTranscriptTotalHours,
+  normalizeCertificatePages,
+  paginateTranscript
+} from './certificatePages';
 
 export interface CertificateData {
   participantName: string;
   eventTitle: string;
   completionDate: string;
   venue?: string;
+  // Extra merge fields: hours, role, organization, registration answers and
+  // any the issuer supplies, such as a score
+  fields?: CertificateMergeFields;
+  // Sessions for a transcript page, when the config has one
+  transcript?: CertificateTranscriptEntry[];
+}
+
+/**
+ * Merge field values for a certificate, as used by renderCertificateText
+ */
+export function getCertificateMergeFields(data: CertificateData, certificateNumber?: string | null): CertificateMergeFields {
+  return {
+    ...(data.fields || {}),
+    name: data.participantName,
+    event: data.eventTitle,
+    date: formatDate(data.completionDate),
+    venue: data.venue || '',
+    certificate_number: certificateNumber || ''
+  };
 }
 
 /**
@@ -30,6 +62,17 @@ export function formatDate(dateString: string): string {
   }
 }
 
+/**
+ * QR code image as a PNG data URL, for drawing onto a canvas
+ */
+export function generateQRCodeDataURL(text: string, size: number): Promise<string> {
+  return QRCode.toDataURL(text, {
+    width: size,
+    margin: 0,
+    errorCorrectionLevel: 'M'
+  });
+}
+
 /**
  * Extract font family name from CSS font string
  * Example: "Libre Baskerville, serif" -> "Libre Baskerville"
@@ -43,7 +86,7 @@ function extractFontFamily(fontString: string): string {
 /**
  * Load a Google Font for canvas use
  */
-async function loadGoogleFontForCanvas(fontFamily: string, fontWeight: string = '400'): Promise<boolean> {
+export async function loadGoogleFontForCanvas(fontFamily: string, fontWeight: string = '400'): Promise<boolean> {
   if (typeof document === 'undefined' || !document.fonts) {
     return false;
   }
@@ -119,7 +162,8 @@ async function loadGoogleFontForCanvas(fontFamily: string, fontWeight: string =
  * Load all fonts used in certificate config for canvas rendering
  */
 async function loadCertificateFonts(config: any): Promise<void> {
-  if (typeof document === 'undefined' || !document.fonts) {
+  const platform = getCertificateCanvasPlatform();
+  if (!platform.loadFont && (typeof document === 'undefined' || !document.fonts)) {
     return;
   }
 
@@ -186,6 +230,25 @@ async function loadCertificateFonts(config: any): Promise<void> {
     });
   }
 
+  getLayerFonts(config.layers).forEach(({ family, weight }) => {
+    fontsToLoad.add(family);
+    fontWeights.set(family, weight);
+  });
+
+  normalizeCertificatePages(config.pages).forEach(page => {
+    if (page.font_family) {
+      fontsToLoad.add(page.font_family);
+      fontWeights.set(page.font_family, '700'); // Bold for titles and totals
+    }
+  });
+
+  // Platforms with their own font loading (the headless worker) handle every family
+  const loadFont = platform.loadFont;
+  if (loadFont) {
+    await Promise.all(Array.from(fontsToLoad).map(fontFamily => loadFont(fontFamily, fontWeights.get(fontFamily) || '400')));
+    return;
+  }
+
   // Special handling for MonteCarlo
   if (fontsToLoad.has('MonteCarlo, cursive') || Array.from(fontsToLoad).some(f => f.includes('MonteCarlo'))) {
     const monteCarloUrls = [
@@ -229,23 +292,14 @@ export async function generatePNGCertificate(
   certificateNumber: string,
   data: CertificateData
 ): Promise<Blob> {
-  // Check if we're in a browser environment
-  if (typeof document === 'undefined' || typeof window === 'undefined') {
-    throw new Error('PNG generation requires browser environment (document/window not available)');
-  }
+  // A browser, or the platform the headless worker installs
+  const platform = getCertificateCanvasPlatform();
 
   // Load all fonts used in the certificate config first
   await loadCertificateFonts(config);
 
-  // Ensure fonts are loaded before creating canvas
-  await document.fonts.ready;
-
-  const canvas = document.createElement('canvas');
-  // Original certificate dimensions
-  const width = config.width || 2500;  // Original certificate width
-  const height = config.height || 1768; // Original certificate height
-  canvas.width = width;
-  canvas.height = height;
+  const { width, height } = getCertificatePageDimensions(config);
+  const canvas = platform.createCanvas(width, height);
   const ctx = canvas.getContext('2d');
 
   if (!ctx) {
@@ -254,16 +308,10 @@ export async function generatePNGCertificate(
 
   // Helper function to load and draw image
   const drawImage = async (url: string, x: number, y: number, imgWidth: number, imgHeight: number) => {
-    return new Promise<void>((resolve) => {
-      const img = new Image();
-      img.crossOrigin = 'anonymous';
-      img.onload = () => {
-        ctx.drawImage(img, x, y, imgWidth, imgHeight);
-        resolve();
-      };
-      img.onerror = () => resolve();
-      img.src = url;
-    });
+    const img = await platform.loadImage(url);
+    if (img) {
+      ctx.drawImage(img, x, y, imgWidth, imgHeight);
+    }
   };
 
   // Background - use image only
@@ -283,6 +331,12 @@ export async function generatePNGCertificate(
     ctx.strokeRect(config.border_width / 2, config.border_width / 2, width - config.border_width, height - config.border_width);
   }
 
+  const mergeFields = getCertificateMergeFields(data, certificateNumber);
+  const resolveText = (text: string) => renderCertificateText(text, mergeFields);
+
+  // Free-form layers sit above the background and below the built-in elements
+  await drawCertificateLayers(ctx, config.layers, width, height, resolveText);
+
   const header = config.header_config || {};
   const participation = config.participation_text_config || {};
   const isGivenTo = config.is_given_to_config || {};
@@ -400,7 +454,7 @@ export async function generatePNGCertificate(
     ctx.textAlign = 'center';
     ctx.textBaseline = 'middle';
     ctx.fillText(
-      isGivenTo.text,
+      resolveText(isGivenTo.text),
       (width * isGivenTo.position.x) / 100,
       (height * isGivenTo.position.y) / 100
     );
@@ -443,10 +497,7 @@ export async function generatePNGCertificate(
 
   // Participation Text - Handle multi-line
   if (participation.text_template) {
-    const participationText = participation.text_template
-      .replace('{EVENT_NAME}', data.eventTitle)
-      .replace('{EVENT_DATE}', formatDate(data.completionDate))
-      .replace('{VENUE}', data.venue && data.venue.trim() ? data.venue : '[Venue]');
+    const participationText = resolveText(participation.text_template);
 
     ctx.fillStyle = participation.color || '#000000';
     ctx.font = `${participation.font_weight || 'normal'} ${participation.font_size || 22}px ${participation.font_family || 'Libre Baskerville, serif'}`;
@@ -535,7 +586,7 @@ export async function generatePNGCertificate(
         ctx.textBaseline = 'middle';
         ctx.fillText(certificateNumber, certIdX, certIdYCentered);
 
-        const baseUrl = window.location.origin;
+        const baseUrl = platform.getOrigin();
         const verificationUrl = `${baseUrl}/verify-certificate/${encodeURIComponent(certificateNumber)}`;
 
         const qrDataUrl = await QRCode.toDataURL(verificationUrl, {
@@ -544,18 +595,11 @@ export async function generatePNGCertificate(
           errorCorrectionLevel: 'M'
         });
 
-        const qrImage = new Image();
-        await new Promise<void>((resolve, reject) => {
-          qrImage.onload = () => {
-            ctx.drawImage(qrImage, qrX, qrY, qrSize, qrSize);
-            resolve();
-          };
-          qrImage.onerror = (err) => {
-            console.error('Error loading QR code image:', err);
-            reject(err);
-          };
-          qrImage.src = qrDataUrl;
-        });
+        const qrImage = await platform.loadImage(qrDataUrl);
+        if (!qrImage) {
+          throw new Error('Error loading QR code image');
+        }
+        ctx.drawImage(qrImage, qrX, qrY, qrSize, qrSize);
       } catch (qrError) {
         console.warn('Failed to generate QR code for PNG:', qrError);
         // Fallback: just draw cert ID
@@ -575,47 +619,104 @@ export async function generatePNGCertificate(
     }
   }
 
-  return new Promise<Blob>((resolve, reject) => {
-    canvas.toBlob((blob) => {
-      if (blob) {
-        resolve(blob);
-      } else {
-        reject(new Error('Failed to convert canvas to blob'));
+  return platform.toPNG(canvas);
+}
+
+/**
+ * A small PNG of the certificate, e.g. to preview a saved design template.
+ * Rendered at full size first, so it matches the issued certificate.
+ */
+export async function generateCertificateThumbnail(
+  config: any,
+  data: CertificateData,
+  maxWidth: number = 480
+): Promise<Blob> {
+  const platform = getCertificateCanvasPlatform();
+  const png = await generatePNGCertificate(config, 'CERT-001', data);
+  const imageUrl = URL.createObjectURL(png);
+
+  try {
+    const image = await platform.loadImage(imageUrl);
+    if (!image) {
+      throw new Error('Failed to load the rendered certificate');
+    }
+
+    const sourceWidth = image.naturalWidth || image.width;
+    const sourceHeight = image.naturalHeight || image.height;
+    const scale = Math.min(1, maxWidth / sourceWidth);
+    const canvas = platform.createCanvas(Math.round(sourceWidth * scale), Math.round(sourceHeight * scale));
+    const ctx = canvas.getContext('2d');
+    if (!ctx) {
+      throw new Error('Failed to get canvas 2D context');
+    }
+
+    ctx.imageSmoothingQuality = 'high';
+    ctx.drawImage(image, 0, 0, canvas.width, canvas.height);
+    return platform.toPNG(canvas);
+  } finally {
+    URL.revokeObjectURL(imageUrl);
+  }
+}
+
+/**
+ * Render the pages that follow the certificate, as PNGs of the same size.
+ * A transcript too long for one page continues on as many as it needs.
+ * Returns no pages for configs without any.
+ */
+export async function generateAdditionalPages(
+  config: any,
+  certificateNumber: string,
+  data: CertificateData
+): Promise<Blob[]> {
+  const pages = normalizeCertificatePages(config.pages);
+  if (pages.length === 0) {
+    return [];
+  }
+
+  const platform = getCertificateCanvasPlatform();
+  await loadCertificateFonts(config);
+
+  const { width, height } = getCertificatePageDimensions(config);
+  const mergeFields = getCertificateMergeFields(data, certificateNumber);
+  const resolveText = (text: string) => renderCertificateText(text, mergeFields);
+  const entries = data.transcript || [];
+  const blobs: Blob[] = [];
+
+  for (const page of pages) {
+    const chunks = paginateTranscript(entries, getTranscriptRowsPerPage(width, height));
+    for (let i = 0; i < chunks.length; i++) {
+      const canvas = platform.createCanvas(width, height);
+      const ctx = canvas.getContext('2d');
+      if (!ctx) {
+        throw new Error('Failed to get canvas 2D context');
       }
-    }, 'image/png', 1.0);
 
-    // Timeout after 10 seconds
-    setTimeout(() => {
-      reject(new Error('PNG generation timeout'));
-    }, 10000);
-  });
+      drawTranscriptPage(ctx, page, width, height, {
+        entries: chunks[i],
+        totalHours: getTranscriptTotalHours(entries),
+        score: mergeFields.score,
+        isLastPage: i === chunks.length - 1,
+        pageNumber: i + 1,
+        pageCount: chunks.length,
+        certificateNumber,
+        resolveText,
+        formatDate
+      });
+      blobs.push(await platform.toPNG(canvas));
+    }
+  }
+
+  return blobs;
 }
 
 /**
- * Convert PNG certificate to PDF with lossless quality
- * 
- * This function performs a truly lossless conversion:
- * - PNG image data is embedded directly into the PDF without recompression
- * - pdf-lib's embedPng() preserves the original PNG stream byte-for-byte
- * - No quality loss, no compression artifacts, pixel-perfect preservation
- * - Maintains 1:1 pixel-to-point ratio at 72 DPI for exact resolution matching
- * 
- * @param pngBlob - The PNG image blob to convert
- * @param width - Expected width in pixels (used as fallback if image can't be loaded)
- * @param height - Expected height in pixels (used as fallback if image can't be loaded)
- * @returns PDF bytes as Uint8Array with lossless embedded PNG
+ * Read a PNG's pixel size, falling back to the expected size if the image
+ * can't be loaded
  */
-export async function convertPNGToPDF(
-  pngBlob: Blob,
-  width: number = 2500,  // Original certificate width
-  height: number = 1768  // Original certificate height
-): Promise<Uint8Array> {
-  // Get actual image dimensions from the PNG blob for precise sizing
+async function getPNGDimensions(pngBlob: Blob, width: number, height: number): Promise<{ width: number; height: number }> {
   let actualWidth = width;
   let actualHeight = height;
 
-  // Load the image to get its actual pixel dimensions
-  // This ensures the PDF page size matches the image exactly
   if (typeof window !== 'undefined' && typeof Image !== 'undefined') {
     try {
       const imageUrl = URL.createObjectURL(pngBlob);
@@ -647,39 +748,70 @@ export async function convertPNGToPDF(
     }
   }
 
+  return { width: actualWidth, height: actualHeight };
+}
+
+/**
+ * Convert PNG certificate pages to PDF with lossless quality
+ * 
+ * This function performs a truly lossless conversion:
+ * - PNG image data is embedded directly into the PDF without recompression
+ * - pdf-lib's embedPng() preserves the original PNG stream byte-for-byte
+ * - No quality loss, no compression artifacts, pixel-perfect preservation
+ * - With a page size, each image is scaled onto a page of that physical size
+ *   (e.g. A4 at about 214 DPI); without one, 1 pixel = 1 point at 72 DPI
+ * 
+ * Text is drawn into the PNGs with the certificate's web fonts already
+ * loaded, so the PDF shows the same lettering without needing those fonts.
+ * 
+ * @param pngBlobs - The certificate PNG, or the certificate followed by any further pages
+ * @param width - Expected width in pixels (used as fallback if image can't be loaded)
+ * @param height - Expected height in pixels (used as fallback if image can't be loaded)
+ * @param signatureToken - Signed certificate details, stored in the PDF keywords
+ * @param pageSize - Physical page size in points, from getCertificatePageDimensions
+ * @returns PDF bytes as Uint8Array with lossless embedded PNGs
+ */
+export async function convertPNGToPDF(
+  pngBlobs: Blob | Blob[],
+  width: number = 2500,  // Original certificate width
+  height: number = 1768,  // Original certificate height
+  signatureToken?: string | null,
+  pageSize?: { width: number; height: number }
+): Promise<Uint8Array> {
   // Create a new PDF document
   const pdfDoc = await PDFDocument.create();
 
-  // PDF uses points (1/72 inch) as units
-  // For high quality, we maintain 1:1 pixel-to-point ratio at 72 DPI
-  // This means 1 pixel = 1 point, preserving full resolution
-  const pdfWidth = actualWidth;
-  const pdfHeight = actualHeight;
-
-  // Add a page with the exact dimensions of the PNG (in points)
-  const page = pdfDoc.addPage([pdfWidth, pdfHeight]);
-
-  // Convert PNG blob to array buffer
-  const pngBytes = await pngBlob.arrayBuffer();
-
-  // Embed the PNG image into the PDF - LOSSLESS CONVERSION
-  // pdf-lib's embedPng() embeds the PNG stream directly without any recompression
-  // The original PNG data is preserved byte-for-byte, ensuring 100% lossless quality
-  // No JPEG compression, no quality degradation, no artifacts
-  const pngImage = await pdfDoc.embedPng(pngBytes);
-
-  // Get the actual dimensions of the embedded image
-  const imageDims = pngImage.size();
-
-  // Draw the image on the page at full resolution
-  // Using the actual embedded image dimensions ensures perfect 1:1 mapping
-  // No scaling or interpolation - maximum quality preservation
-  page.drawImage(pngImage, {
-    x: 0,
-    y: 0,
-    width: imageDims.width,
-    height: imageDims.height,
-  });
+  for (const pngBlob of Array.isArray(pngBlobs) ? pngBlobs : [pngBlobs]) {
+    // Get actual image dimensions from the PNG blob for precise sizing
+    const actual = await getPNGDimensions(pngBlob, width, height);
+
+    // PDF uses points (1/72 inch) as units
+    const pdfWidth = pageSize ? pageSize.width : actual.width;
+    const pdfHeight = pageSize ? pageSize.height : actual.height;
+    const page = pdfDoc.addPage([pdfWidth, pdfHeight]);
+
+    // Embed the PNG image into the PDF - LOSSLESS CONVERSION
+    // pdf-lib's embedPng() embeds the PNG stream directly without any recompression
+    // The original PNG data is preserved byte-for-byte, ensuring 100% lossless quality
+    // No JPEG compression, no quality degradation, no artifacts
+    const pngImage = await pdfDoc.embedPng(await pngBlob.arrayBuffer());
+
+    // Fill the page with the image. Scaling only sets how large the full
+    // resolution image is printed; the pixels themselves are untouched.
+    page.drawImage(pngImage, {
+      x: 0,
+      y: 0,
+      width: pdfWidth,
+      height: pdfHeight,
+    });
+  }
+
+  // Keep the signed details with the file, so a downloaded PDF can be
+  // verified without looking it up (see readCertificateTokenFromPDF)
+  if (signatureToken) {
+    pdfDoc.setSubject('Signed certificate');
+    pdfDoc.setKeywords([signatureToken]);
+  }
 
   // Save the PDF with lossless preservation
   // pdf-lib does NOT recompress embedded PNG images - they remain lossless
@@ -692,3 +824,11 @@ export async function convertPNGToPDF(
   return pdfBytes;
 }
 
+/**
+ * The signed certificate details embedded by convertPNGToPDF, or null for
+ * PDFs without a signature
+ */
+export async function readCertificateTokenFromPDF(pdfBytes: ArrayBuffer | Uint8Array): Promise<string | null> {
+  const pdfDoc = await PDFDocument.load(pdfBytes, { updateMetadata: false });
+  return findCertificateToken(pdfDoc.getKeywords() || '');
+}
@@ -0,0 +1,105 @@
+/**
+ * Certificate Recipient Import
+ * Column mapping and row validation for CSV/Excel recipient lists in the
+ * standalone certificate generator. Columns other than the name and email
+ * become merge fields for the certificate text, e.g. {{score}}.
+ */
+
+export interface CertificateImportMapping {
+  name: string;
+  email: string | null;
+  fields: string[];
+}
+
+export interface CertificateImportRow {
+  rowNumber: number; // as shown in a spreadsheet, counting the header row
+  participantName: string;
+  email: string;
+  fields: Record<string, string>;
+  errors: string[];
+}
+
+const NAME_COLUMNS = ['name', 'full name', 'participant', 'participant name', 'recipient', 'recipient name'];
+const EMAIL_COLUMNS = ['email', 'e-mail', 'email address', 'e-mail address'];
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+export const isValidImportEmail = (email: string): boolean => EMAIL_PATTERN.test(email);
+
+const cellText = (value: unknown): string =>
+  value === null || value === undefined ? '' : String(value).trim();
+
+/** Column names across all rows, in the order they first appear */
+export function getImportColumns(rows: Record<string, unknown>[]): string[] {
+  const columns: string[] = [];
+  rows.forEach(row => {
+    Object.keys(row).forEach(column => {
+      if (column.trim() && !columns.includes(column)) columns.push(column);
+    });
+  });
+  return columns;
+}
+
+/**
+ * Pick the name and email columns by their headers. The name falls back to
+ * the first column; every other column is offered as a merge field.
+ */
+export function guessImportMapping(columns: string[]): CertificateImportMapping {
+  const find = (candidates: string[]) =>
+    columns.find(column => candidates.includes(column.trim().toLowerCase())) || null;
+
+  const name = find(NAME_COLUMNS) || columns[0] || '';
+  const email = find(EMAIL_COLUMNS);
+  return {
+    name,
+    email,
+    fields: columns.filter(column => column !== name && column !== email)
+  };
+}
+
+/**
+ * Apply a mapping to the imported rows and check each one. Rows without a
+ * name are skipped entirely, as blank spreadsheet rows usually are.
+ * existingNames are participants already in the list.
+ */
+export function validateImportRows(
+  rows: Record<string, unknown>[],
+  mapping: CertificateImportMapping,
+  existingNames: string[] = []
+): CertificateImportRow[] {
+  const existing = new Set(existingNames.map(name => name.trim().toLowerCase()));
+  const firstRowByName = new Map<string, number>();
+  const result: CertificateImportRow[] = [];
+
+  rows.forEach((row, index) => {
+    const rowNumber = index + 2;
+    const participantName = cellText(row[mapping.name]);
+    const email = mapping.email ? cellText(row[mapping.email]) : '';
+    const fields: Record<string, string> = {};
+    mapping.fields.forEach(column => {
+      const value = cellText(row[column]);
+      if (value) fields[column.trim()] = value;
+    });
+
+    if (!participantName && !email && Object.keys(fields).length === 0) return;
+
+    const errors: string[] = [];
+    const key = participantName.toLowerCase();
+    if (!participantName) {
+      errors.push('Missing name');
+    } else if (existing.has(key)) {
+      errors.push('Already in the participant list');
+    } else if (firstRowByName.has(key)) {
+      errors.push(`Same name as row ${firstRowByName.get(key)}`);
+    } else {
+      firstRowByName.set(key, rowNumber);
+    }
+    if (email && !isValidImportEmail(email)) {
+      errors.push('Invalid email address');
+    }
+
+    result.push({ rowNumber, participantName, email, fields, errors });
+  });
+
+  return result;
+}
@@ -0,0 +1,424 @@
+/**
+ * Free-form Certificate Layers
+ * Text boxes, shapes, lines and images that designers place freely on a
+ * certificate. The layer list is stored in the certificate config and drawn
+ * by both the CertificateDesigner preview and generatePNGCertificate, so the
+ * geometry here (a box centred on x/y, rotated about its centre) is the one
+ * source of truth for both.
+ */
+
+import { getCertificateCanvasPlatform } from './certificateCanvas';
+
+export type CertificateLayerType = 'text' | 'rect' | 'ellipse' | 'line' | 'image';
+
+export interface CertificateLayer {
+  id: string;
+  type: CertificateLayerType;
+  name?: string;
+  x: number;        // centre, percentage from left (0-100)
+  y: number;        // centre, percentage from top (0-100)
+  width: number;    // px at certificate size
+  height: number;   // px at certificate size
+  rotation: number; // degrees, clockwise
+  opacity?: number; // 0-1
+  locked?: boolean;
+  // Text
+  text?: string;
+  font_size?: number;
+  font_family?: string;
+  font_weight?: 'normal' | 'bold';
+  text_align?: 'left' | 'center' | 'right';
+  color?: string;
+  // Shapes and lines
+  fill_color?: string | null; // null draws the outline only
+  stroke_color?: string;
+  stroke_width?: number;
+  corner_radius?: number;
+  // Images
+  image_url?: string | null;
+}
+
+export interface LayerGuides {
+  vertical: number[];   // x positions in certificate px
+  horizontal: number[]; // y positions in certificate px
+}
+
+export type LayerAlignment = 'left' | 'center' | 'right' | 'top' | 'middle' | 'bottom';
+
+export const LAYER_TEXT_LINE_HEIGHT = 1.2;
+export const LAYER_MIN_SIZE = 10;
+
+const LAYER_TYPES: CertificateLayerType[] = ['text', 'rect', 'ellipse', 'line', 'image'];
+
+const LAYER_DEFAULTS: { [type in CertificateLayerType]: Partial<CertificateLayer> } = {
+  text: {
+    name: 'Text',
+    width: 600,
+    height: 80,
+    text: 'New text',
+    font_size: 32,
+    font_family: 'Libre Baskerville, serif',
+    font_weight: 'normal',
+    text_align: 'center',
+    color: '#000000'
+  },
+  rect: {
+    name: 'Rectangle',
+    width: 400,
+    height: 240,
+    fill_color: '#dbeafe',
+    stroke_color: '#1e40af',
+    stroke_width: 4,
+    corner_radius: 0
+  },
+  ellipse: {
+    name: 'Ellipse',
+    width: 300,
+    height: 300,
+    fill_color: '#dbeafe',
+    stroke_color: '#1e40af',
+    stroke_width: 4
+  },
+  line: {
+    name: 'Line',
+    width: 600,
+    height: 20,
+    stroke_color: '#000000',
+    stroke_width: 4
+  },
+  image: {
+    name: 'Image',
+    width: 300,
+    height: 300,
+    image_url: null
+  }
+};
+
+const createLayerId = () => `layer_${Date.now().toString(36)}_${Math.random().toString(36).substr(2, 6)}`;
+
+/**
+ * New layer of the given type, centred on the certificate
+ */
+export function createCertificateLayer(type: CertificateLayerType): CertificateLayer {
+  return {
+    id: createLayerId(),
+    type,
+    x: 50,
+    y: 50,
+    width: 300,
+    height: 100,
+    rotation: 0,
+    opacity: 1,
+    ...LAYER_DEFAULTS[type]
+  };
+}
+
+/**
+ * Copy of a layer with a new id, nudged so it does not hide the original
+ */
+export function duplicateCertificateLayer(layer: CertificateLayer): CertificateLayer {
+  return {
+    ...layer,
+    id: createLayerId(),
+    name: layer.name ? `${layer.name} copy` : undefined,
+    x: Math.min(100, layer.x + 2),
+    y: Math.min(100, layer.y + 2)
+  };
+}
+
+/**
+ * Drop entries that are not layers, e.g. from a hand-edited or older config
+ */
+export function normalizeCertificateLayers(layers: unknown): CertificateLayer[] {
+  if (!Array.isArray(layers)) return [];
+
+  return layers
+    .filter((layer: any) => layer && typeof layer.id === 'string' && LAYER_TYPES.includes(layer.type))
+    .map((layer: any) => ({
+      ...layer,
+      x: Number.isFinite(layer.x) ? layer.x : 50,
+      y: Number.isFinite(layer.y) ? layer.y : 50,
+      width: Math.max(LAYER_MIN_SIZE, Number(layer.width) || LAYER_MIN_SIZE),
+      height: Math.max(LAYER_MIN_SIZE, Number(layer.height) || LAYER_MIN_SIZE),
+      rotation: Number(layer.rotation) || 0
+    }));
+}
+
+/**
+ * Change a layer's place in the stacking order. Layers later in the list are
+ * drawn on top.
+ */
+export function reorderCertificateLayer(
+  layers: CertificateLayer[],
+  id: string,
+  direction: 'forward' | 'backward' | 'front' | 'back'
+): CertificateLayer[] {
+  const index = layers.findIndex(layer => layer.id === id);
+  if (index === -1) return layers;
+
+  const target = direction === 'front'
+    ? layers.length - 1
+    : direction === 'back'
+      ? 0
+      : direction === 'forward'
+        ? Math.min(layers.length - 1, index + 1)
+        : Math.max(0, index - 1);
+
+  if (target === index) return layers;
+
+  const reordered = [...layers];
+  const [layer] = reordered.splice(index, 1);
+  reordered.splice(target, 0, layer);
+  return reordered;
+}
+
+/**
+ * Axis-aligned bounds of a layer after rotation, in certificate px
+ */
+export function getLayerBounds(layer: CertificateLayer, width: number, height: number) {
+  const centerX = (width * layer.x) / 100;
+  const centerY = (height * layer.y) / 100;
+  const radians = (layer.rotation * Math.PI) / 180;
+  const cos = Math.abs(Math.cos(radians));
+  const sin = Math.abs(Math.sin(radians));
+  const halfWidth = (layer.width * cos + layer.height * sin) / 2;
+  const halfHeight = (layer.width * sin + layer.height * cos) / 2;
+
+  return {
+    left: centerX - halfWidth,
+    right: centerX + halfWidth,
+    top: centerY - halfHeight,
+    bottom: centerY + halfHeight,
+    centerX,
+    centerY,
+    halfWidth,
+    halfHeight
+  };
+}
+
+const snapAxis = (anchors: number[], targets: number[], threshold: number) => {
+  let best: { offset: number; target: number } | null = null;
+  for (const anchor of anchors) {
+    for (const target of targets) {
+      const offset = target - anchor;
+      if (Math.abs(offset) <= threshold && (!best || Math.abs(offset) < Math.abs(best.offset))) {
+        best = { offset, target };
+      }
+    }
+  }
+  return best;
+};
+
+/**
+ * Snap a layer being moved to the certificate's edges and centre lines and to
+ * the edges and centres of the other layers. Returns the snapped centre (as
+ * percentages) and the guide lines to show.
+ */
+export function snapCertificateLayer(
+  layer: CertificateLayer,
+  otherLayers: CertificateLayer[],
+  width: number,
+  height: number,
+  threshold: number
+): { x: number; y: number; guides: LayerGuides } {
+  const bounds = getLayerBounds(layer, width, height);
+  const verticalTargets = [0, width / 2, width];
+  const horizontalTargets = [0, height / 2, height];
+
+  otherLayers.forEach(other => {
+    const otherBounds = getLayerBounds(other, width, height);
+    verticalTargets.push(otherBounds.left, otherBounds.centerX, otherBounds.right);
+    horizontalTargets.push(otherBounds.top, otherBounds.centerY, otherBounds.bottom);
+  });
+
+  const snapX = snapAxis([bounds.left, bounds.centerX, bounds.right], verticalTargets, threshold);
+  const snapY = snapAxis([bounds.top, bounds.centerY, bounds.bottom], horizontalTargets, threshold);
+
+  return {
+    x: ((bounds.centerX + (snapX?.offset || 0)) / width) * 100,
+    y: ((bounds.centerY + (snapY?.offset || 0)) / height) * 100,
+    guides: {
+      vertical: snapX ? [snapX.target] : [],
+      horizontal: snapY ? [snapY.target] : []
+    }
+  };
+}
+
+/**
+ * Centre position that lines the layer up with an edge or centre line of the
+ * certificate
+ */
+export function alignCertificateLayer(
+  layer: CertificateLayer,
+  alignment: LayerAlignment,
+  width: number,
+  height: number
+): { x: number; y: number } {
+  const { halfWidth, halfHeight } = getLayerBounds(layer, width, height);
+
+  switch (alignment) {
+    case 'left':
+      return { x: (halfWidth / width) * 100, y: layer.y };
+    case 'center':
+      return { x: 50, y: layer.y };
+    case 'right':
+      return { x: ((width - halfWidth) / width) * 100, y: layer.y };
+    case 'top':
+      return { x: layer.x, y: (halfHeight / height) * 100 };
+    case 'middle':
+      return { x: layer.x, y: 50 };
+    case 'bottom':
+      return { x: layer.x, y: ((height - halfHeight) / height) * 100 };
+    default:
+      return { x: layer.x, y: layer.y };
+  }
+}
+
+/**
+ * Break text into the lines drawn inside a text layer: explicit line breaks
+ * are kept and long lines wrap at word boundaries, as CSS pre-wrap does in
+ * the designer preview.
+ */
+export function wrapLayerText(text: string, maxWidth: number, measure: (value: string) => number): string[] {
+  const lines: string[] = [];
+
+  text.split('\n').forEach(paragraph => {
+    const words = paragraph.split(' ');
+    let line = '';
+
+    words.forEach(word => {
+      const candidate = line ? `${line} ${word}` : word;
+      if (!line || measure(candidate) <= maxWidth) {
+        line = candidate;
+        return;
+      }
+      lines.push(line);
+      line = word;
+    });
+
+    lines.push(line);
+  });
+
+  return lines;
+}
+
+const loadLayerImage = (url: string) => getCertificateCanvasPlatform().loadImage(url);
+
+const traceRoundedRect = (
+  ctx: CanvasRenderingContext2D,
+  x: number,
+  y: number,
+  rectWidth: number,
+  rectHeight: number,
+  radius: number
+) => {
+  const r = Math.max(0, Math.min(radius, rectWidth / 2, rectHeight / 2));
+  ctx.beginPath();
+  ctx.moveTo(x + r, y);
+  ctx.arcTo(x + rectWidth, y, x + rectWidth, y + rectHeight, r);
+  ctx.arcTo(x + rectWidth, y + rectHeight, x, y + rectHeight, r);
+  ctx.arcTo(x, y + rectHeight, x, y, r);
+  ctx.arcTo(x, y, x + rectWidth, y, r);
+  ctx.closePath();
+};
+
+/**
+ * Draw layers onto a certificate canvas, bottom layer first
+ * @param resolveText - fills in placeholders in text layers
+ */
+export async function drawCertificateLayers(
+  ctx: CanvasRenderingContext2D,
+  layers: CertificateLayer[] | undefined,
+  width: number,
+  height: number,
+  resolveText: (text: string) => string = (text) => text
+): Promise<void> {
+  for (const layer of normalizeCertificateLayers(layers)) {
+    const w = layer.width;
+    const h = layer.height;
+    // Strokes are drawn inside the box, as CSS borders are in the preview
+    const strokeWidth = Math.min(layer.stroke_width || 0, w / 2, h / 2);
+
+    // Images load before the transform is set up so nothing else is drawn
+    // with it while waiting
+    const image = layer.type === 'image' && layer.image_url ? await loadLayerImage(layer.image_url) : null;
+
+    ctx.save();
+    ctx.translate((width * layer.x) / 100, (height * layer.y) / 100);
+    ctx.rotate((layer.rotation * Math.PI) / 180);
+    ctx.globalAlpha = layer.opacity ?? 1;
+
+    switch (layer.type) {
+      case 'text': {
+        const fontSize = layer.font_size || 32;
+        const lineHeight = fontSize * LAYER_TEXT_LINE_HEIGHT;
+        ctx.font = `${layer.font_weight || 'normal'} ${fontSize}px ${layer.font_family || 'Libre Baskerville, serif'}`;
+        ctx.fillStyle = layer.color || '#000000';
+        ctx.textAlign = layer.text_align || 'center';
+        ctx.textBaseline = 'middle';
+
+        const lines = wrapLayerText(resolveText(layer.text || ''), w, (value) => ctx.measureText(value).width);
+        const textX = layer.text_align === 'left' ? -w / 2 : layer.text_align === 'right' ? w / 2 : 0;
+        const startY = -((lines.length - 1) * lineHeight) / 2;
+        lines.forEach((line, index) => ctx.fillText(line, textX, startY + index * lineHeight));
+        break;
+      }
+      case 'rect':
+      case 'ellipse': {
+        if (layer.type === 'rect') {
+          traceRoundedRect(
+            ctx,
+            -w / 2 + strokeWidth / 2,
+            -h / 2 + strokeWidth / 2,
+            w - strokeWidth,
+            h - strokeWidth,
+            (layer.corner_radius || 0) - strokeWidth / 2
+          );
+        } else {
+          ctx.beginPath();
+          ctx.ellipse(0, 0, (w - strokeWidth) / 2, (h - strokeWidth) / 2, 0, 0, Math.PI * 2);
+        }
+        if (layer.fill_color) {
+          ctx.fillStyle = layer.fill_color;
+          ctx.fill();
+        }
+        if (strokeWidth > 0) {
+          ctx.strokeStyle = layer.stroke_color || '#000000';
+          ctx.lineWidth = strokeWidth;
+          ctx.stroke();
+        }
+        break;
+      }
+      case 'line': {
+        const thickness = layer.stroke_width || 1;
+        ctx.fillStyle = layer.stroke_color || '#000000';
+        ctx.fillRect(-w / 2, -thickness / 2, w, thickness);
+        break;
+      }
+      case 'image': {
+        if (image) {
+          // Fit inside the box keeping the aspect ratio (object-fit: contain)
+          const fit = Math.min(w / image.naturalWidth, h / image.naturalHeight);
+          const drawWidth = image.naturalWidth * fit;
+          const drawHeight = image.naturalHeight * fit;
+          ctx.drawImage(image, -drawWidth / 2, -drawHeight / 2, drawWidth, drawHeight);
+        }
+        break;
+      }
+    }
+
+    ctx.restore();
+  }
+}
+
+/**
+ * Fonts used by text layers, for the font loaders
+ */
+export function getLayerFonts(layers: CertificateLayer[] | undefined): { family: string; weight: string }[] {
+  return normalizeCertificateLayers(layers)
+    .filter(layer => layer.type === 'text' && layer.font_family)
+    .map(layer => ({
+      family: layer.font_family as string,
+      weight: layer.font_weight === 'bold' ? '700' : '400'
+    }));
+}
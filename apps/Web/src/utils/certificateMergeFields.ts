@@ -0,0 +1,212 @@
+/**
+ * Certificate Merge Fields
+ * Placeholders and conditional text in certificate templates. The designer
+ * preview, CertificateGenerator and generatePNGCertificate all render text
+ * through renderCertificateText, so a template reads the same everywhere.
+ *
+ *   {{name}}, {{hours}}, {{answer.T-shirt size}}
+ *   {{#if score >= 90}}with distinction{{else}}with merit{{/if}}
+ *   {{#if organization}}of {{organization}}{{/if}}
+ *
+ * Field names are case-insensitive. Unknown fields render as empty text.
+ */
+
+export type CertificateMergeFields = Record<string, string | number | null | undefined>;
+
+export interface CertificateMergeFieldInfo {
+  field: string;
+  label: string;
+  sample: string;
+}
+
+/** Fields every certificate can use, with the values the designer previews */
+export const CERTIFICATE_MERGE_FIELDS: CertificateMergeFieldInfo[] = [
+  { field: 'name', label: 'Participant name', sample: '[Participant Name]' },
+  { field: 'event', label: 'Event title', sample: '[Event Title]' },
+  { field: 'date', label: 'Completion date', sample: '[Event Date]' },
+  { field: 'venue', label: 'Venue', sample: '[Venue]' },
+  { field: 'hours', label: 'Hours attended', sample: '8' },
+  { field: 'role', label: 'Role (participant, speaker or organizer)', sample: 'participant' },
+  { field: 'organization', label: 'Organization', sample: '[Organization]' },
+  { field: 'certificate_number', label: 'Certificate number', sample: 'CERT-001' }
+];
+
+// Placeholders from the original participation text template
+const LEGACY_PLACEHOLDERS: Record<string, string> = {
+  EVENT_NAME: 'event',
+  EVENT_DATE: 'date',
+  VENUE: 'venue'
+};
+
+const TAG_PATTERN = /\{\{\s*([^{}]*?)\s*\}\}/g;
+const CONDITION_PATTERN = /^(.+?)\s*(>=|<=|!=|==|=|>|<|≥|≤|≠)\s*(.+)$/;
+const FALSY_VALUES = ['', '0', 'false', 'no'];
+
+export const normalizeMergeFieldName = (field: string): string =>
+  field.trim().toLowerCase().replace(/\s+/g, ' ');
+
+/** Registration answers are merged as answer.<question text> */
+export const getAnswerMergeFieldName = (questionText: string): string =>
+  normalizeMergeFieldName(`answer.${questionText}`);
+
+const normalizeFields = (fields: CertificateMergeFields): Record<string, string> => {
+  const normalized: Record<string, string> = {};
+  Object.entries(fields || {}).forEach(([key, value]) => {
+    if (value === null || value === undefined) return;
+    normalized[normalizeMergeFieldName(key)] = String(value);
+  });
+  return normalized;
+};
+
+const unquote = (value: string): string => {
+  const trimmed = value.trim();
+  const quoted = /^(['"])(.*)\1$/.exec(trimmed);
+  return quoted ? quoted[2] : trimmed;
+};
+
+const toNumber = (value: string): number | null => {
+  if (value.trim() === '') return null;
+  const number = Number(value.trim().replace(/%$/, ''));
+  return isNaN(number) ? null : number;
+};
+
+/**
+ * Evaluate an {{#if}} condition. A bare field is true when it has a value
+ * other than 0, false or no. Comparisons are numeric when both sides are
+ * numbers, and otherwise compare text ignoring case.
+ */
+export function evaluateMergeCondition(condition: string, fields: CertificateMergeFields): boolean {
+  const values = normalizeFields(fields);
+  let expression = condition.trim();
+  let negate = false;
+  if (expression.startsWith('!')) {
+    negate = true;
+    expression = expression.slice(1);
+  }
+
+  const comparison = CONDITION_PATTERN.exec(expression);
+  let result: boolean;
+  if (!comparison) {
+    const value = values[normalizeMergeFieldName(expression)] ?? '';
+    result = !FALSY_VALUES.includes(value.trim().toLowerCase());
+  } else {
+    const [, field, operator, rawExpected] = comparison;
+    const actual = values[normalizeMergeFieldName(field)] ?? '';
+    const expected = unquote(rawExpected);
+    const actualNumber = toNumber(actual);
+    const expectedNumber = toNumber(expected);
+    const numeric = actualNumber !== null && expectedNumber !== null;
+    const same = numeric
+      ? actualNumber === expectedNumber
+      : actual.trim().toLowerCase() === expected.toLowerCase();
+
+    switch (operator) {
+      case '=':
+      case '==':
+        result = same;
+        break;
+      case '!=':
+      case '≠':
+        result = !same;
+        break;
+      case '>':
+        result = numeric && actualNumber! > expectedNumber!;
+        break;
+      case '<':
+        result = numeric && actualNumber! < expectedNumber!;
+        break;
+      case '>=':
+      case '≥':
+        result = numeric && actualNumber! >= expectedNumber!;
+        break;
+      case '<=':
+      case '≤':
+        result = numeric && actualNumber! <= expectedNumber!;
+        break;
+      default:
+        result = false;
+    }
+  }
+  return negate ? !result : result;
+}
+
+/**
+ * Fill in a certificate text template. The original {EVENT_NAME},
+ * {EVENT_DATE} and {VENUE} placeholders still work; an empty {VENUE} keeps
+ * showing [Venue] as it always has.
+ */
+export function renderCertificateText(template: string, fields: CertificateMergeFields): string {
+  if (!template) return '';
+  const values = normalizeFields(fields);
+
+  const text = template.replace(/(?<!\{)\{(EVENT_NAME|EVENT_DATE|VENUE)\}(?!\})/g, (_match, placeholder) => {
+    const value = values[LEGACY_PLACEHOLDERS[placeholder]] || '';
+    return placeholder === 'VENUE' && !value.trim() ? '[Venue]' : value;
+  });
+
+  // Walk the tags, keeping a stack of the {{#if}} blocks we are inside.
+  // Text is only written while every enclosing block is taking its branch.
+  const blocks: { active: boolean; matched: boolean }[] = [];
+  const isWriting = () => blocks.every(block => block.active);
+  let output = '';
+  let lastIndex = 0;
+
+  for (const match of text.matchAll(TAG_PATTERN)) {
+    if (isWriting()) output += text.slice(lastIndex, match.index);
+    lastIndex = (match.index ?? 0) + match[0].length;
+
+    const tag = match[1];
+    if (/^#if\s/i.test(tag)) {
+      const matched = isWriting() && evaluateMergeCondition(tag.replace(/^#if\s+/i, ''), values);
+      blocks.push({ active: matched, matched });
+    } else if (/^else$/i.test(tag)) {
+      const block = blocks[blocks.length - 1];
+      if (block) {
+        const parentWriting = blocks.slice(0, -1).every(parent => parent.active);
+        block.active = parentWriting && !block.matched;
+      }
+    } else if (/^\/if$/i.test(tag)) {
+      blocks.pop();
+    } else if (isWriting()) {
+      output += values[normalizeMergeFieldName(tag)] ?? '';
+    }
+  }
+  if (isWriting()) output += text.slice(lastIndex);
+
+  return output;
+}
+
+/** Field names the templates refer to, in the order they first appear */
+export function getTemplateMergeFieldNames(templates: (string | null | undefined)[]): string[] {
+  const names: string[] = [];
+  const add = (field: string) => {
+    const name = normalizeMergeFieldName(field);
+    if (name && !names.includes(name)) names.push(name);
+  };
+
+  templates.forEach(template => {
+    if (!template) return;
+    for (const [, placeholder] of template.matchAll(/(?<!\{)\{(EVENT_NAME|EVENT_DATE|VENUE)\}(?!\})/g)) {
+      add(LEGACY_PLACEHOLDERS[placeholder]);
+    }
+    for (const [, tag] of template.matchAll(TAG_PATTERN)) {
+      if (/^(else|\/if)$/i.test(tag)) continue;
+      if (/^#if\s/i.test(tag)) {
+        const condition = tag.replace(/^#if\s+/i, '').replace(/^!/, '');
+        add(CONDITION_PATTERN.exec(condition)?.[1] ?? condition);
+      } else {
+        add(tag);
+      }
+    }
+  });
+  return names;
+}
+
+/** Values the designer previews with, overridden by any the organizer tries out */
+export function getSampleMergeFields(overrides: CertificateMergeFields = {}): CertificateMergeFields {
+  const fields: CertificateMergeFields = {};
+  CERTIFICATE_MERGE_FIELDS.forEach(({ field, sample }) => {
+    fields[field] = sample;
+  });
+  return { ...fields, ...overrides };
+}
@@ -0,0 +1,307 @@
+/**
+ * Certificate Page Formats
+ * Paper size and orientation of a certificate, and the pages printed after
+ * it, such as a transcript of the sessions attended. Pages are rendered at
+ * the same pixel size as the certificate and placed on PDF pages of the
+ * paper's physical size by convertPNGToPDF.
+ */
+
+import { wrapLayerText } from './certificateLayers';
+
+export type CertificatePageSize = 'a4' | 'letter';
+export type CertificateOrientation = 'landscape' | 'portrait';
+
+export interface CertificateTranscriptEntry {
+  title: string;
+  date?: string | null;           // YYYY-MM-DD
+  hours?: number | null;
+  score?: string | number | null;
+}
+
+export interface CertificateTranscriptPage {
+  type: 'transcript';
+  title?: string;
+  intro_text?: string; // merge fields allowed, as in the participation text
+  show_dates?: boolean;
+  show_hours?: boolean;
+  show_scores?: boolean;
+  font_family?: string;
+  color?: string;
+  accent_color?: string;
+  background_color?: string;
+}
+
+// Only transcripts for now; the type tag leaves room for other kinds of page
+export type CertificatePageConfig = CertificateTranscriptPage;
+
+export interface CertificatePageDimensions {
+  width: number;       // px, as rendered
+  height: number;      // px, as rendered
+  pointWidth: number;  // PDF points (1/72 inch)
+  pointHeight: number;
+}
+
+/** Portrait sizes in PDF points */
+export const CERTIFICATE_PAGE_SIZES: Record<CertificatePageSize, { label: string; width: number; height: number }> = {
+  a4: { label: 'A4 (210 × 297 mm)', width: 595.28, height: 841.89 },
+  letter: { label: 'Letter (8.5 × 11 in)', width: 612, height: 792 }
+};
+
+// Pages are rendered 2500px along their long side. A4 landscape at that
+// resolution is the original 2500 × 1768 certificate.
+export const CERTIFICATE_PAGE_LONG_SIDE = 2500;
+const LEGACY_POINTS_PER_PIXEL = CERTIFICATE_PAGE_SIZES.a4.height / CERTIFICATE_PAGE_LONG_SIDE;
+
+/**
+ * Render and paper size of a certificate. Configs saved before page sizes
+ * existed keep their own width and height, printed at A4 resolution.
+ */
+export function getCertificatePageDimensions(config: {
+  page_size?: CertificatePageSize | null;
+  orientation?: CertificateOrientation | null;
+  width?: number;
+  height?: number;
+}): CertificatePageDimensions {
+  if (!config.page_size && !config.orientation) {
+    const width = config.width || CERTIFICATE_PAGE_LONG_SIDE;
+    const height = config.height || 1768;
+    return {
+      width,
+      height,
+      pointWidth: Math.round(width * LEGACY_POINTS_PER_PIXEL * 100) / 100,
+      pointHeight: Math.round(height * LEGACY_POINTS_PER_PIXEL * 100) / 100
+    };
+  }
+
+  const size = CERTIFICATE_PAGE_SIZES[config.page_size || 'a4'] || CERTIFICATE_PAGE_SIZES.a4;
+  const landscape = config.orientation !== 'portrait';
+  const pointWidth = landscape ? size.height : size.width;
+  const pointHeight = landscape ? size.width : size.height;
+  const scale = CERTIFICATE_PAGE_LONG_SIDE / Math.max(pointWidth, pointHeight);
+  return {
+    width: Math.round(pointWidth * scale),
+    height: Math.round(pointHeight * scale),
+    pointWidth,
+    pointHeight
+  };
+}
+
+export function createTranscriptPage(): CertificateTranscriptPage {
+  return {
+    type: 'transcript',
+    title: 'Transcript',
+    intro_text: 'Sessions attended by {{name}} at {{event}}',
+    show_dates: true,
+    show_hours: true,
+    show_scores: true,
+    font_family: 'Libre Baskerville, serif',
+    color: '#1f2937',
+    accent_color: '#1e3a8a',
+    background_color: '#ffffff'
+  };
+}
+
+/** Pages from a stored config, with defaults filled in and unknown kinds dropped */
+export function normalizeCertificatePages(pages: unknown): CertificatePageConfig[] {
+  if (!Array.isArray(pages)) return [];
+  return pages
+    .filter(page => page && typeof page === 'object' && page.type === 'transcript')
+    .map(page => ({ ...createTranscriptPage(), ...page }));
+}
+
+/** Total of the hours listed, or null when no entry has any */
+export function getTranscriptTotalHours(entries: CertificateTranscriptEntry[]): number | null {
+  const hours = entries
+    .map(entry => entry.hours)
+    .filter((value): value is number => typeof value === 'number' && !isNaN(value));
+  if (hours.length === 0) return null;
+  return Math.round(hours.reduce((total, value) => total + value, 0) * 10) / 10;
+}
+
+// Layout in px for a page of the given size. Everything scales with the
+// short side, so portrait and landscape pages read the same.
+const getTranscriptLayout = (width: number, height: number) => {
+  const unit = Math.min(width, height) / 1768;
+  const margin = Math.round(150 * unit);
+  return {
+    unit,
+    margin,
+    titleSize: Math.round(64 * unit),
+    introSize: Math.round(28 * unit),
+    bodySize: Math.round(26 * unit),
+    footerSize: Math.round(20 * unit),
+    rowHeight: Math.round(58 * unit),
+    tableTop: margin + Math.round(260 * unit),
+    tableBottom: height - margin - Math.round(60 * unit)
+  };
+};
+
+/** Sessions that fit on one transcript page, leaving a row for the totals */
+export function getTranscriptRowsPerPage(width: number, height: number): number {
+  const layout = getTranscriptLayout(width, height);
+  return Math.max(1, Math.floor((layout.tableBottom - layout.tableTop) / layout.rowHeight) - 2);
+}
+
+/** Split the entries over as many transcript pages as they need, at least one */
+export function paginateTranscript(
+  entries: CertificateTranscriptEntry[],
+  rowsPerPage: number
+): CertificateTranscriptEntry[][] {
+  const chunks: CertificateTranscriptEntry[][] = [];
+  for (let i = 0; i < entries.length; i += rowsPerPage) {
+    chunks.push(entries.slice(i, i + rowsPerPage));
+  }
+  return chunks.length > 0 ? chunks : [[]];
+}
+
+const formatHours = (hours: number | null | undefined) =>
+  typeof hours === 'number' && !isNaN(hours) ? String(Math.round(hours * 10) / 10) : '';
+
+const formatScore = (score: string | number | null | undefined) =>
+  score === null || score === undefined ? '' : String(score);
+
+const fitText = (ctx: CanvasRenderingContext2D, text: string, maxWidth: number) => {
+  if (ctx.measureText(text).width <= maxWidth) return text;
+  let fitted = text;
+  while (fitted.length > 1 && ctx.measureText(`${fitted}…`).width > maxWidth) {
+    fitted = fitted.slice(0, -1);
+  }
+  return `${fitted.trimEnd()}…`;
+};
+
+export interface TranscriptPageContent {
+  entries: CertificateTranscriptEntry[]; // the entries on this page
+  totalHours: number | null;             // over all pages
+  score?: string | number | null;        // overall score, shown with the totals
+  isLastPage: boolean;
+  pageNumber: number;
+  pageCount: number;
+  certificateNumber?: string | null;
+  resolveText: (text: string) => string;
+  formatDate: (date: string) => string;
+}
+
+/**
+ * Draw one transcript page: title, introduction, a table of sessions and,
+ * on the last page, the totals.
+ */
+export function drawTranscriptPage(
+  ctx: CanvasRenderingContext2D,
+  page: CertificateTranscriptPage,
+  width: number,
+  height: number,
+  content: TranscriptPageContent
+): void {
+  const layout = getTranscriptLayout(width, height);
+  const font = page.font_family || 'Libre Baskerville, serif';
+  const color = page.color || '#1f2937';
+  const accent = page.accent_color || '#1e3a8a';
+  const left = layout.margin;
+  const right = width - layout.margin;
+
+  ctx.save();
+  ctx.fillStyle = page.background_color || '#ffffff';
+  ctx.fillRect(0, 0, width, height);
+
+  ctx.strokeStyle = accent;
+  ctx.lineWidth = Math.max(2, Math.round(6 * layout.unit));
+  ctx.strokeRect(layout.margin / 2, layout.margin / 2, width - layout.margin, height - layout.margin);
+
+  // Title and introduction
+  ctx.textBaseline = 'middle';
+  ctx.textAlign = 'center';
+  ctx.fillStyle = accent;
+  ctx.font = `bold ${layout.titleSize}px ${font}`;
+  ctx.fillText(content.resolveText(page.title || 'Transcript'), width / 2, layout.margin + layout.titleSize);
+
+  const intro = content.resolveText(page.intro_text || '');
+  if (intro.trim()) {
+    ctx.fillStyle = color;
+    ctx.font = `${layout.introSize}px ${font}`;
+    const lines = wrapLayerText(intro, right - left, value => ctx.measureText(value).width).slice(0, 3);
+    lines.forEach((line, i) => {
+      ctx.fillText(line, width / 2, layout.margin + layout.titleSize * 2 + i * layout.introSize * 1.4);
+    });
+  }
+
+  // Columns, right to left: score, hours, date; the session title takes the rest
+  const columns: { key: 'date' | 'hours' | 'score'; label: string; width: number }[] = [];
+  if (page.show_dates !== false) columns.push({ key: 'date', label: 'Date', width: (right - left) * 0.2 });
+  if (page.show_hours !== false) columns.push({ key: 'hours', label: 'Hours', width: (right - left) * 0.12 });
+  if (page.show_scores !== false) columns.push({ key: 'score', label: 'Score', width: (right - left) * 0.12 });
+  const titleWidth = right - left - columns.reduce((total, column) => total + column.width, 0);
+  const padding = Math.round(16 * layout.unit);
+
+  const drawRow = (y: number, cells: { title: string; date: string; hours: string; score: string }, bold = false) => {
+    ctx.font = `${bold ? 'bold ' : ''}${layout.bodySize}px ${font}`;
+    ctx.textAlign = 'left';
+    ctx.fillText(fitText(ctx, cells.title, titleWidth - padding * 2), left + padding, y);
+    let x = left + titleWidth;
+    columns.forEach(column => {
+      ctx.textAlign = column.key === 'date' ? 'left' : 'right';
+      const cellX = column.key === 'date' ? x + padding : x + column.width - padding;
+      ctx.fillText(fitText(ctx, cells[column.key], column.width - padding * 2), cellX, y);
+      x += column.width;
+    });
+  };
+
+  let y = layout.tableTop;
+  ctx.fillStyle = accent;
+  ctx.fillRect(left, y, right - left, layout.rowHeight);
+  ctx.fillStyle = '#ffffff';
+  drawRow(y + layout.rowHeight / 2, { title: 'Session', date: 'Date', hours: 'Hours', score: 'Score' }, true);
+  y += layout.rowHeight;
+
+  if (content.entries.length === 0 && content.pageNumber === 1) {
+    ctx.fillStyle = color;
+    ctx.font = `italic ${layout.bodySize}px ${font}`;
+    ctx.textAlign = 'center';
+    ctx.fillText('No sessions recorded', width / 2, y + layout.rowHeight / 2);
+    y += layout.rowHeight;
+  }
+
+  content.entries.forEach((entry, i) => {
+    if (i % 2 === 1) {
+      ctx.fillStyle = 'rgba(148, 163, 184, 0.12)';
+      ctx.fillRect(left, y, right - left, layout.rowHeight);
+    }
+    ctx.fillStyle = color;
+    drawRow(y + layout.rowHeight / 2, {
+      title: entry.title,
+      date: entry.date ? content.formatDate(entry.date) : '',
+      hours: formatHours(entry.hours),
+      score: formatScore(entry.score)
+    });
+    y += layout.rowHeight;
+  });
+
+  if (content.isLastPage && (content.totalHours !== null || formatScore(content.score))) {
+    ctx.strokeStyle = accent;
+    ctx.lineWidth = Math.max(1, Math.round(3 * layout.unit));
+    ctx.beginPath();
+    ctx.moveTo(left, y);
+    ctx.lineTo(right, y);
+    ctx.stroke();
+    ctx.fillStyle = color;
+    drawRow(y + layout.rowHeight / 2, {
+      title: 'Total',
+      date: '',
+      hours: formatHours(content.totalHours),
+      score: formatScore(content.score)
+    }, true);
+  }
+
+  // Footer
+  ctx.fillStyle = color;
+  ctx.font = `${layout.footerSize}px ${font}`;
+  const footerY = height - layout.margin + Math.round(10 * layout.unit);
+  if (content.certificateNumber) {
+    ctx.textAlign = 'left';
+    ctx.fillText(`Certificate ${content.certificateNumber}`, left, footerY);
+  }
+  if (content.pageCount > 1) {
+    ctx.textAlign = 'right';
+    ctx.fillText(`Page ${content.pageNumber} of ${content.pageCount}`, right, footerY);
+  }
+  ctx.restore();
+}
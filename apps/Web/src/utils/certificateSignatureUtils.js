@@ -0,0 +1,138 @@
+/**
+ * Signed certificate helpers shared by the web app and the
+ * /api/certificate-signature function. Kept as plain JavaScript so the
+ * serverless function can import it.
+ *
+ * A signed certificate carries a compact JWS (RFC 7515) over its number,
+ * holder, event and date, signed with Ed25519 (EdDSA, RFC 8037). Anyone with
+ * the published public key can check it without reaching our database.
+ */
+
+export const CERTIFICATE_SIGNATURE_ALG = 'EdDSA';
+export const CERTIFICATE_TOKEN_TYPE = 'ganapp-certificate';
+
+// header.claims.signature, each base64url
+const TOKEN_PATTERN = /[A-Za-z0-9_-]{10,}\.[A-Za-z0-9_-]{10,}\.[A-Za-z0-9_-]{40,}/;
+
+/**
+ * @param {Uint8Array} bytes
+ * @returns {string}
+ */
+export const encodeBase64Url = (bytes) => {
+  let binary = '';
+  bytes.forEach(byte => { binary += String.fromCharCode(byte); });
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+};
+
+/**
+ * Accepts base64url as well as standard base64, so keys can be pasted from
+ * either the JWK set or `openssl ... | base64`
+ * @param {string} value
+ * @returns {Uint8Array}
+ */
+export const decodeBase64Url = (value) => {
+  const base64 = value.trim().replace(/-/g, '+').replace(/_/g, '/');
+  const binary = atob(base64.padEnd(Math.ceil(base64.length / 4) * 4, '='));
+  return Uint8Array.from(binary, char => char.charCodeAt(0));
+};
+
+const encodeJson = (value) => encodeBase64Url(new TextEncoder().encode(JSON.stringify(value)));
+
+/**
+ * What a certificate signature vouches for. Names follow the certificates table.
+ * @param {{ certificateNumber: string, participantName: string, eventId: string, eventTitle: string, completionDate: string, issuedAt?: Date }} details
+ */
+export const buildCertificateClaims = (details) => ({
+  certificate_number: details.certificateNumber,
+  participant_name: (details.participantName || '').trim(),
+  event_id: details.eventId,
+  event_title: details.eventTitle,
+  completion_date: details.completionDate,
+  iat: Math.floor((details.issuedAt || new Date()).getTime() / 1000)
+});
+
+/**
+ * The part of the token covered by the signature
+ * @param {object} header
+ * @param {object} claims
+ * @returns {string}
+ */
+export const getCertificateSigningInput = (header, claims) => `${encodeJson(header)}.${encodeJson(claims)}`;
+
+/**
+ * Split a token into its parts, or null if it is not a certificate token
+ * @param {string} token
+ */
+export const parseCertificateToken = (token) => {
+  const parts = String(token || '').trim().split('.');
+  if (parts.length !== 3) return null;
+
+  try {
+    const decoder = new TextDecoder();
+    const header = JSON.parse(decoder.decode(decodeBase64Url(parts[0])));
+    const claims = JSON.parse(decoder.decode(decodeBase64Url(parts[1])));
+    if (!header || header.typ !== CERTIFICATE_TOKEN_TYPE || !claims?.certificate_number) {
+      return null;
+    }
+    return {
+      header,
+      claims,
+      signingInput: `${parts[0]}.${parts[1]}`,
+      signature: decodeBase64Url(parts[2])
+    };
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Pick a token out of pasted text, a scanned verification link or PDF keywords
+ * @param {string} text
+ * @returns {string | null}
+ */
+export const findCertificateToken = (text) => {
+  const candidates = String(text || '').match(new RegExp(TOKEN_PATTERN.source, 'g')) || [];
+  return candidates.find(candidate => parseCertificateToken(candidate)) || null;
+};
+
+/**
+ * Check a token against the published public keys (raw 32-byte Ed25519 keys,
+ * base64url). Any of the keys may match, so a key can be rotated while
+ * certificates signed with the old one are still around.
+ * @param {string} token
+ * @param {string[]} publicKeys
+ * @returns {Promise<{ valid: boolean, claims?: object, error?: string }>}
+ */
+export const verifyCertificateToken = async (token, publicKeys) => {
+  const parsed = parseCertificateToken(token);
+  if (!parsed) {
+    return { valid: false, error: 'This is not a signed certificate' };
+  }
+  if (parsed.header.alg !== CERTIFICATE_SIGNATURE_ALG) {
+    return { valid: false, claims: parsed.claims, error: 'Unsupported signature algorithm' };
+  }
+  if (!publicKeys || publicKeys.length === 0) {
+    return { valid: false, claims: parsed.claims, error: 'No certificate signing key has been published' };
+  }
+
+  const subtle = globalThis.crypto?.subtle;
+  if (!subtle) {
+    return { valid: false, claims: parsed.claims, error: 'This browser cannot check certificate signatures' };
+  }
+
+  const data = new TextEncoder().encode(parsed.signingInput);
+  for (const publicKey of publicKeys) {
+    try {
+      const key = await subtle.importKey('raw', decodeBase64Url(publicKey), { name: 'Ed25519' }, false, ['verify']);
+      if (await subtle.verify({ name: 'Ed25519' }, key, parsed.signature, data)) {
+        return { valid: true, claims: parsed.claims };
+      }
+    } catch (error) {
+      if (error?.name === 'NotSupportedError') {
+        return { valid: false, claims: parsed.claims, error: 'This browser cannot check Ed25519 signatures' };
+      }
+    }
+  }
+
+  return { valid: false, claims: parsed.claims, error: 'The signature does not match. This certificate has been altered or was not issued by us.' };
+};
@@ -43,3 +43,56 @@ export const showEventCreationSuccess = (onConfirm) => {
   });
 };
 
+
+/**
+ * Asks whether an edit to a recurring event applies to this occurrence or the whole series
+ * @returns {Promise<'occurrence'|'series'|null>} The chosen scope, or null if the user cancelled
+ */
+export const promptSeriesEditScope = async () => {
+  const result = await Swal.fire({
+    title: 'Edit recurring event',
+    html: `
+      <div style="text-align: left; padding: 10px 0;">
+        <p style="margin-bottom: 10px;">This event is part of a recurring series.</p>
+        <p>Dates always stay per occurrence. Other changes can be applied to this occurrence only or to every occurrence in the series.</p>
+      </div>
+    `,
+    icon: 'question',
+    showDenyButton: true,
+    showCancelButton: true,
+    confirmButtonText: 'This occurrence',
+    denyButtonText: 'Whole series',
+    cancelButtonText: 'Cancel',
+    confirmButtonColor: '#1e40af',
+    denyButtonColor: '#0f766e',
+    cancelButtonColor: '#6b7280',
+  });
+
+  if (result.isConfirmed) return 'occurrence';
+  if (result.isDenied) return 'series';
+  return null;
+};
+
+/**
+ * Asks for the name of a new event template
+ * @param {string} defaultName - Name suggested in the input
+ * @returns {Promise<string|null>} The entered name, or null if the user cancelled
+ */
+export const promptTemplateName = async (defaultName = '') => {
+  const result = await Swal.fire({
+    title: 'Save as template',
+    text: 'Details, speakers, sponsors, the evaluation and the certificate design are saved. Dates are not.',
+    input: 'text',
+    inputValue: defaultName,
+    inputPlaceholder: 'Template name',
+    inputValidator: (value) => (!value || !value.trim() ? 'Please enter a template name' : undefined),
+    showCancelButton: true,
+    confirmButtonText: 'Save Template',
+    cancelButtonText: 'Cancel',
+    confirmButtonColor: '#1e40af',
+    cancelButtonColor: '#6b7280',
+    reverseButtons: true,
+  });
+
+  return result.isConfirmed ? result.value.trim() : null;
+};
@@ -0,0 +1,144 @@
+/**
+ * iCalendar (RFC 5545) helpers shared by the web app and the /api/calendar feed.
+ * Kept as plain JavaScript without browser APIs so the serverless function can import it.
+ *
+ * Event dates and times are stored without a time zone, so they are written as
+ * floating local times and show up at the same wall-clock time in every calendar.
+ */
+
+const PRODUCT_ID = '-//GanApp//Events//EN';
+const UID_DOMAIN = 'ganapp';
+
+/**
+ * Escape a TEXT value (commas, semicolons, backslashes and newlines)
+ * @param {string} value
+ * @returns {string}
+ */
+export const escapeICalText = (value) =>
+  String(value || '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+
+/**
+ * Fold a content line to 75 characters, continuation lines start with a space
+ * @param {string} line
+ * @returns {string}
+ */
+export const foldICalLine = (line) => {
+  if (line.length <= 75) return line;
+  const parts = [line.slice(0, 75)];
+  for (let i = 75; i < line.length; i += 74) {
+    parts.push(` ${line.slice(i, i + 74)}`);
+  }
+  return parts.join('\r\n');
+};
+
+/**
+ * 'YYYY-MM-DD' + 'HH:MM[:SS]' -> 'YYYYMMDDTHHMMSS' (floating local time)
+ * @param {string} date
+ * @param {string} [time]
+ * @returns {string}
+ */
+export const formatICalDateTime = (date, time) => {
+  const [hours = '00', minutes = '00', seconds = '00'] = (time || '00:00').split(':');
+  return `${date.replace(/-/g, '')}T${hours.padStart(2, '0')}${minutes.padStart(2, '0')}${seconds.slice(0, 2).padStart(2, '0')}`;
+};
+
+/**
+ * Date -> 'YYYYMMDDTHHMMSSZ' (UTC)
+ * @param {Date} date
+ * @returns {string}
+ */
+export const formatICalTimestamp = (date) =>
+  date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+const stripHtml = (html) =>
+  String(html || '')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/p>/gi, '\n')
+    .replace(/<[^>]*>/g, '')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&amp;/g, '&')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+
+/**
+ * Build the VEVENT lines for one event. The UID is stable per event and SEQUENCE
+ * comes from events.ical_sequence, so calendar apps replace the entry when the
+ * schedule changes and mark it cancelled when the event is cancelled.
+ * @param {object} event Event row (id, title, dates, times, venue, status, updated_at, ical_sequence)
+ * @param {{ url?: string, now?: Date }} [options]
+ * @returns {string[]}
+ */
+export const buildICalEvent = (event, options = {}) => {
+  const now = options.now || new Date();
+  const description = event.description || stripHtml(event.rationale);
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${event.id}@${UID_DOMAIN}`,
+    `DTSTAMP:${formatICalTimestamp(now)}`,
+    `DTSTART:${formatICalDateTime(event.start_date, event.start_time)}`,
+    `DTEND:${formatICalDateTime(event.end_date || event.start_date, event.end_time || event.start_time)}`,
+    `SUMMARY:${escapeICalText(event.title)}`,
+    `SEQUENCE:${event.ical_sequence || 0}`,
+    `STATUS:${event.status === 'cancelled' ? 'CANCELLED' : 'CONFIRMED'}`
+  ];
+
+  if (event.venue) {
+    lines.push(`LOCATION:${escapeICalText(event.venue)}`);
+  }
+  if (description) {
+    lines.push(`DESCRIPTION:${escapeICalText(description)}`);
+  }
+  if (options.url) {
+    lines.push(`URL:${options.url}`);
+  }
+  if (event.updated_at) {
+    lines.push(`LAST-MODIFIED:${formatICalTimestamp(new Date(event.updated_at))}`);
+  }
+
+  lines.push('END:VEVENT');
+  return lines;
+};
+
+/**
+ * Build a complete VCALENDAR document
+ * @param {object[]} events
+ * @param {{ name?: string, eventUrl?: (event: object) => string | undefined, now?: Date }} [options]
+ * @returns {string}
+ */
+export const buildICalendar = (events, options = {}) => {
+  const now = options.now || new Date();
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH'
+  ];
+
+  if (options.name) {
+    lines.push(`X-WR-CALNAME:${escapeICalText(options.name)}`);
+  }
+
+  (events || [])
+    .filter(event => event && event.id && event.start_date)
+    .forEach(event => {
+      lines.push(...buildICalEvent(event, { now, url: options.eventUrl ? options.eventUrl(event) : undefined }));
+    });
+
+  lines.push('END:VCALENDAR');
+  return lines.map(foldICalLine).join('\r\n') + '\r\n';
+};
+
+/**
+ * File name for an .ics download
+ * @param {string} title
+ * @returns {string}
+ */
+export const getICalFilename = (title) =>
+  `${(title || 'event').replace(/[^a-z0-9]+/gi, '_').replace(/^_+|_+$/g, '').toLowerCase() || 'event'}.ics`;
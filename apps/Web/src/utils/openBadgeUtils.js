@@ -0,0 +1,217 @@
+/**
+ * Open Badges 2.0 helpers shared by the web app and the /api/open-badge
+ * endpoint. Kept as plain JavaScript so the serverless function can import it.
+ *
+ * Certificates are published as hosted assertions: the assertion, its badge
+ * class and issuer live at /api/open-badge URLs built from the same
+ * certificate data the verification page shows (get_certificate_badge in
+ * schemas/migrations/add_open_badges.sql), so a revoked certificate is
+ * reported as a revoked badge.
+ */
+
+export const OPEN_BADGES_CONTEXT = 'https://w3id.org/openbadges/v2';
+
+const DEFAULT_ISSUER_NAME = 'GanApp';
+const DESCRIPTION_MAX_LENGTH = 500;
+
+/**
+ * URL of the hosted assertion, or of its badge class or issuer
+ * @param {string} origin
+ * @param {string} certificateNumber
+ * @param {'assertion' | 'badge' | 'issuer'} [part]
+ * @returns {string}
+ */
+export const getOpenBadgeUrl = (origin, certificateNumber, part = 'assertion') => {
+  const url = `${origin}/api/open-badge?certificate=${encodeURIComponent(certificateNumber)}`;
+  return part === 'assertion' ? url : `${url}&part=${part}`;
+};
+
+const getVerificationUrl = (origin, certificateNumber) =>
+  `${origin}/verify-certificate/${encodeURIComponent(certificateNumber)}`;
+
+// Event descriptions are rich text
+const toPlainText = (html) => {
+  const text = String(html || '')
+    .replace(/<[^>]*>/g, ' ')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+  return text.length > DESCRIPTION_MAX_LENGTH ? `${text.slice(0, DESCRIPTION_MAX_LENGTH - 3)}...` : text;
+};
+
+/**
+ * @param {object} badge - row returned by get_certificate_badge
+ * @param {string} origin
+ */
+export const buildOpenBadgeAssertion = (badge, origin) => {
+  const assertion = {
+    '@context': OPEN_BADGES_CONTEXT,
+    type: 'Assertion',
+    id: getOpenBadgeUrl(origin, badge.certificate_number),
+    recipient: {
+      type: 'email',
+      hashed: true,
+      salt: badge.recipient_salt,
+      identity: badge.recipient_identity
+    },
+    badge: getOpenBadgeUrl(origin, badge.certificate_number, 'badge'),
+    issuedOn: new Date(badge.generated_at).toISOString(),
+    verification: { type: 'hosted' },
+    evidence: [{
+      id: getVerificationUrl(origin, badge.certificate_number),
+      name: `Certificate ${badge.certificate_number}`,
+      narrative: `${badge.participant_name} completed "${badge.event_title}" on ${badge.completion_date}.`
+    }]
+  };
+
+  if (badge.certificate_png_url) {
+    assertion.image = badge.certificate_png_url;
+  }
+
+  if (badge.status === 'revoked') {
+    assertion.revoked = true;
+    assertion.revocationReason = badge.status_reason || 'Revoked by the organizer';
+  } else if (badge.status === 'superseded') {
+    assertion.revoked = true;
+    assertion.revocationReason = badge.replacement_number
+      ? `Replaced by certificate ${badge.replacement_number}`
+      : 'Replaced by a reissued certificate';
+  }
+
+  return assertion;
+};
+
+/**
+ * @param {object} badge - row returned by get_certificate_badge
+ * @param {string} origin
+ */
+export const buildOpenBadgeClass = (badge, origin) => ({
+  '@context': OPEN_BADGES_CONTEXT,
+  type: 'BadgeClass',
+  id: getOpenBadgeUrl(origin, badge.certificate_number, 'badge'),
+  name: badge.event_title,
+  description: toPlainText(badge.event_description) || `Certificate for "${badge.event_title}"`,
+  image: badge.event_banner_url || `${origin}/ganapp-logo-1.svg`,
+  criteria: {
+    narrative: `Take part in "${badge.event_title}" and meet the certificate requirements set by the organizer.`
+  },
+  issuer: getOpenBadgeUrl(origin, badge.certificate_number, 'issuer')
+});
+
+/**
+ * @param {object} badge - row returned by get_certificate_badge
+ * @param {string} origin
+ * @param {string} [email] - contact address published for the issuer
+ */
+export const buildOpenBadgeIssuer = (badge, origin, email) => {
+  const issuer = {
+    '@context': OPEN_BADGES_CONTEXT,
+    type: 'Issuer',
+    id: getOpenBadgeUrl(origin, badge.certificate_number, 'issuer'),
+    name: badge.issuer_name || DEFAULT_ISSUER_NAME,
+    url: origin
+  };
+  if (email) {
+    issuer.email = email;
+  }
+  return issuer;
+};
+
+/**
+ * LinkedIn "Add licence or certification" link, filled in from the certificate
+ * @param {object} badge - row returned by get_certificate_badge
+ * @param {string} origin
+ * @returns {string}
+ */
+export const getLinkedInCertificationUrl = (badge, origin) => {
+  const issued = new Date(badge.generated_at);
+  const params = new URLSearchParams({
+    startTask: 'CERTIFICATION_NAME',
+    name: badge.event_title,
+    organizationName: badge.issuer_name || DEFAULT_ISSUER_NAME,
+    issueYear: String(issued.getFullYear()),
+    issueMonth: String(issued.getMonth() + 1),
+    certUrl: getVerificationUrl(origin, badge.certificate_number),
+    certId: badge.certificate_number
+  });
+  return `https://www.linkedin.com/profile/add?${params.toString()}`;
+};
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+const crc32 = (bytes) => {
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+const PNG_SIGNATURE = [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a];
+
+/**
+ * Bake an assertion into a PNG: an uncompressed iTXt chunk with the keyword
+ * "openbadges" holding the assertion JSON, placed after IHDR. A chunk baked
+ * earlier is replaced, since a badge image may only carry one.
+ * @param {Uint8Array} png
+ * @param {object} assertion
+ * @returns {Uint8Array}
+ */
+export const bakeOpenBadgePNG = (png, assertion) => {
+  if (png.length < 8 || PNG_SIGNATURE.some((byte, i) => png[i] !== byte)) {
+    throw new Error('Not a PNG image');
+  }
+
+  const encoder = new TextEncoder();
+  const keyword = encoder.encode('openbadges');
+  const text = encoder.encode(JSON.stringify(assertion));
+  // keyword, null separator, compression flag and method, empty language tag
+  // and translated keyword (each null terminated), then the text
+  const data = new Uint8Array(keyword.length + 5 + text.length);
+  data.set(keyword, 0);
+  data.set(text, keyword.length + 5);
+
+  const chunk = new Uint8Array(12 + data.length);
+  const view = new DataView(chunk.buffer);
+  view.setUint32(0, data.length);
+  chunk.set(encoder.encode('iTXt'), 4);
+  chunk.set(data, 8);
+  view.setUint32(8 + data.length, crc32(chunk.subarray(4, 8 + data.length)));
+
+  const source = new DataView(png.buffer, png.byteOffset, png.byteLength);
+  const parts = [png.subarray(0, 8)];
+  let offset = 8;
+  while (offset + 8 <= png.length) {
+    const length = source.getUint32(offset);
+    const type = String.fromCharCode(...png.subarray(offset + 4, offset + 8));
+    const end = offset + 12 + length;
+    const isBakedBadge = type === 'iTXt'
+      && String.fromCharCode(...png.subarray(offset + 8, offset + 8 + keyword.length + 1)) === 'openbadges\0';
+
+    if (!isBakedBadge) {
+      parts.push(png.subarray(offset, end));
+    }
+    if (type === 'IHDR') {
+      parts.push(chunk);
+    }
+    offset = end;
+  }
+
+  const baked = new Uint8Array(parts.reduce((total, part) => total + part.length, 0));
+  let position = 0;
+  parts.forEach(part => {
+    baked.set(part, position);
+    position += part.length;
+  });
+  return baked;
+};
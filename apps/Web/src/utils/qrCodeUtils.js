@@ -35,3 +35,35 @@ export const formatQRCodeID = (id) => {
   return id.substring(0, 8);
 };
 
+
+/**
+ * Participant check-in QR payload, as stored in qr_codes.qr_data and
+ * encoded in the participant's QR code
+ */
+export const buildEventCheckInQRData = (event, participant, createdBy) => {
+  const eventDays = event?.start_date && event?.end_date
+    ? Math.ceil(Math.abs(new Date(event.end_date) - new Date(event.start_date)) / (1000 * 60 * 60 * 24)) + 1
+    : 1;
+
+  return {
+    eventId: event.id,
+    userId: participant.id,
+    title: event.title,
+    date: event.start_date,
+    endDate: event.end_date,
+    time: event.start_time,
+    venue: event.venue,
+    participantName: participant.name,
+    participantEmail: participant.email,
+    createdBy,
+    createdAt: new Date().toISOString(),
+    type: 'event_checkin',
+    eventDays,
+    // Metadata for one-time-per-day check-in
+    metadata: {
+      maxCheckInsPerDay: 1,
+      eventDurationDays: eventDays,
+      checkInDates: [] // Will be populated when scanned
+    }
+  };
+};
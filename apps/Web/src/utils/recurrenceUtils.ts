@@ -0,0 +1,145 @@
+/**
+ * Recurrence Utilities
+ * Expands an event recurrence rule into the dates of each occurrence
+ */
+
+export type RecurrenceFrequency = 'daily' | 'weekly' | 'monthly' | 'custom';
+
+export interface RecurrenceRule {
+  frequency: RecurrenceFrequency;
+  interval?: number;      // Every N days/weeks/months (default 1)
+  count?: number;         // Total number of occurrences, including the first
+  until?: string;         // Last allowed start date (YYYY-MM-DD)
+  dates?: string[];       // Explicit start dates for 'custom' (YYYY-MM-DD)
+}
+
+export interface OccurrenceDates {
+  start_date: string;
+  end_date: string;
+}
+
+// Hard cap so a bad rule can't create hundreds of events
+export const MAX_OCCURRENCES = 52;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const parseDate = (value: string): Date => {
+  const [year, month, day] = value.split('T')[0].split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day));
+};
+
+const formatDate = (date: Date): string => date.toISOString().split('T')[0];
+
+const addDays = (date: Date, days: number): Date => new Date(date.getTime() + days * DAY_MS);
+
+/**
+ * Add months while keeping the original day of month, clamped to the
+ * last day for shorter months (e.g. Jan 31 -> Feb 28)
+ */
+const addMonths = (date: Date, months: number, dayOfMonth: number): Date => {
+  const target = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + months, 1));
+  const lastDay = new Date(Date.UTC(target.getUTCFullYear(), target.getUTCMonth() + 1, 0)).getUTCDate();
+  target.setUTCDate(Math.min(dayOfMonth, lastDay));
+  return target;
+};
+
+/**
+ * Check that a recurrence rule is usable. Returns an error message or null.
+ * With the event's start date, custom dates must not come before it.
+ */
+export function validateRecurrenceRule(rule: RecurrenceRule, startDate?: string): string | null {
+  if (!rule || !rule.frequency) {
+    return 'Recurrence frequency is required';
+  }
+
+  if (rule.frequency === 'custom') {
+    if (!rule.dates || rule.dates.length === 0) {
+      return 'Add at least one date for a custom recurrence';
+    }
+    if (rule.dates.some(d => !/^\d{4}-\d{2}-\d{2}$/.test(d))) {
+      return 'Custom recurrence dates must be in YYYY-MM-DD format';
+    }
+    const firstDate = startDate ? startDate.split('T')[0] : null;
+    if (firstDate && rule.dates.some(d => d < firstDate)) {
+      return 'Custom recurrence dates cannot be before the event start date';
+    }
+    if (new Set([...(firstDate ? [firstDate] : []), ...rule.dates]).size > MAX_OCCURRENCES) {
+      return `A recurring event can have at most ${MAX_OCCURRENCES} occurrences`;
+    }
+    return null;
+  }
+
+  if (!['daily', 'weekly', 'monthly'].includes(rule.frequency)) {
+    return 'Unsupported recurrence frequency';
+  }
+
+  if (rule.interval !== undefined && (!Number.isInteger(rule.interval) || rule.interval < 1)) {
+    return 'Recurrence interval must be a whole number of at least 1';
+  }
+
+  if (!rule.count && !rule.until) {
+    return 'Recurrence needs either a number of occurrences or an end date';
+  }
+
+  if (rule.count !== undefined && (!Number.isInteger(rule.count) || rule.count < 1)) {
+    return 'Number of occurrences must be at least 1';
+  }
+
+  if (rule.count !== undefined && rule.count > MAX_OCCURRENCES) {
+    return `A recurring event can have at most ${MAX_OCCURRENCES} occurrences`;
+  }
+
+  return null;
+}
+
+/**
+ * Expand a recurrence rule into occurrence dates. The first entry is always
+ * the original event; multi-day events keep their length in every occurrence.
+ */
+export function expandRecurrence(
+  startDate: string,
+  endDate: string | undefined,
+  rule: RecurrenceRule
+): OccurrenceDates[] {
+  const first = parseDate(startDate);
+  const durationDays = endDate
+    ? Math.max(0, Math.round((parseDate(endDate).getTime() - first.getTime()) / DAY_MS))
+    : 0;
+
+  const toOccurrence = (start: Date): OccurrenceDates => ({
+    start_date: formatDate(start),
+    end_date: formatDate(addDays(start, durationDays))
+  });
+
+  if (rule.frequency === 'custom') {
+    const starts = Array.from(new Set([formatDate(first), ...(rule.dates || [])]))
+      .filter(d => d >= formatDate(first))
+      .sort()
+      .slice(0, MAX_OCCURRENCES);
+    return starts.map(d => toOccurrence(parseDate(d)));
+  }
+
+  const interval = rule.interval && rule.interval > 0 ? rule.interval : 1;
+  const limit = Math.min(rule.count || MAX_OCCURRENCES, MAX_OCCURRENCES);
+  const until = rule.until ? parseDate(rule.until) : null;
+  const dayOfMonth = first.getUTCDate();
+
+  const occurrences: OccurrenceDates[] = [];
+  for (let i = 0; i < limit; i++) {
+    let start: Date;
+    if (rule.frequency === 'daily') {
+      start = addDays(first, i * interval);
+    } else if (rule.frequency === 'weekly') {
+      start = addDays(first, i * interval * 7);
+    } else {
+      start = addMonths(first, i * interval, dayOfMonth);
+    }
+
+    if (until && start.getTime() > until.getTime()) {
+      break;
+    }
+    occurrences.push(toOccurrence(start));
+  }
+
+  return occurrences;
+}
@@ -0,0 +1,137 @@
+/**
+ * Registration Form Utilities
+ * Shared by the organizer form builder, the registration dialog and the participant export
+ */
+
+// Same keys and labels as the survey builder (CreateSurvey.jsx). Grid questions are left
+// out because a registration form is a handful of quick answers, not a matrix.
+export const REGISTRATION_QUESTION_TYPES = [
+  { value: 'short-answer', label: '📝 Short Answer' },
+  { value: 'paragraph', label: '📄 Paragraph' },
+  { value: 'multiple-choice', label: '🔘 Multiple Choice' },
+  { value: 'checkbox', label: '☑️ Checkbox' },
+  { value: 'dropdown', label: '📋 Dropdown' },
+  { value: 'linear-scale', label: '📊 Linear Scale' },
+  { value: 'star-rating', label: '⭐ Star Rating' },
+  { value: 'date', label: '📅 Date' },
+  { value: 'time', label: '🕐 Time' }
+] as const;
+
+export type RegistrationQuestionType = typeof REGISTRATION_QUESTION_TYPES[number]['value'];
+
+export interface RegistrationQuestion {
+  id: string;
+  questionText: string;
+  questionType: RegistrationQuestionType;
+  required?: boolean;
+  options?: string[];
+  scaleMin?: number;
+  scaleMax?: number;
+}
+
+export type RegistrationAnswers = Record<string, string | number | string[] | null | undefined>;
+
+export const questionHasOptions = (questionType: string): boolean =>
+  questionType === 'multiple-choice' || questionType === 'checkbox' || questionType === 'dropdown';
+
+export const createRegistrationQuestion = (): RegistrationQuestion => ({
+  id: `rq_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 6)}`,
+  questionText: '',
+  questionType: 'short-answer',
+  required: false,
+  options: []
+});
+
+const isBlank = (value: unknown): boolean =>
+  value === undefined ||
+  value === null ||
+  (typeof value === 'string' && value.trim() === '') ||
+  (Array.isArray(value) && value.length === 0);
+
+/**
+ * Drop empty questions/options before saving a form to the event.
+ * Returns null when no questions are left so the event stores no form.
+ */
+export function cleanRegistrationForm(form: RegistrationQuestion[] | null | undefined): RegistrationQuestion[] | null {
+  const cleaned = (form || [])
+    .filter(q => q.questionText && q.questionText.trim())
+    .map(q => ({
+      ...q,
+      questionText: q.questionText.trim(),
+      options: questionHasOptions(q.questionType)
+        ? (q.options || []).map(o => o.trim()).filter(Boolean)
+        : undefined
+    }));
+  return cleaned.length > 0 ? cleaned : null;
+}
+
+/**
+ * Check registration answers against the event form.
+ * Returns a map of question id -> error message (empty when valid).
+ */
+export function validateRegistrationAnswers(
+  form: RegistrationQuestion[] | null | undefined,
+  answers: RegistrationAnswers | null | undefined
+): Record<string, string> {
+  const errors: Record<string, string> = {};
+
+  (form || []).forEach(question => {
+    const value = answers?.[question.id];
+
+    if (isBlank(value)) {
+      if (question.required) {
+        errors[question.id] = 'This question is required';
+      }
+      return;
+    }
+
+    if (questionHasOptions(question.questionType) && question.options && question.options.length > 0) {
+      const values = Array.isArray(value) ? value : [value];
+      if (values.some(v => !question.options!.includes(String(v)))) {
+        errors[question.id] = 'Please choose one of the listed options';
+      }
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Keep only answers that belong to questions on the form
+ */
+export function pickRegistrationAnswers(
+  form: RegistrationQuestion[] | null | undefined,
+  answers: RegistrationAnswers | null | undefined
+): RegistrationAnswers {
+  const picked: RegistrationAnswers = {};
+  (form || []).forEach(question => {
+    const value = answers?.[question.id];
+    if (!isBlank(value)) {
+      picked[question.id] = value;
+    }
+  });
+  return picked;
+}
+
+export const formatRegistrationAnswer = (value: RegistrationAnswers[string]): string => {
+  if (isBlank(value)) return '';
+  return Array.isArray(value) ? value.join('; ') : String(value);
+};
+
+/**
+ * Add one export column per registration question (titled by the question text)
+ * and remove the raw answers object, so exportToCSV/exportToExcel get flat rows.
+ */
+export function flattenRegistrationAnswers<T extends { registration_answers?: RegistrationAnswers }>(
+  registrations: T[],
+  form: RegistrationQuestion[] | null | undefined
+): Array<Omit<T, 'registration_answers'> & Record<string, unknown>> {
+  return registrations.map(registration => {
+    const { registration_answers: answers, ...rest } = registration;
+    const row: Record<string, unknown> = { ...rest };
+    (form || []).forEach(question => {
+      row[question.questionText] = formatRegistrationAnswer(answers?.[question.id]);
+    });
+    return row as Omit<T, 'registration_answers'> & Record<string, unknown>;
+  });
+}
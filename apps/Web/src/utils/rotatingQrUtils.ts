@@ -0,0 +1,167 @@
+/**
+ * Rotating QR Code Utilities
+ * Time-based check-in codes (TOTP-style, RFC 6238 over HMAC-SHA256) for events
+ * with events.qr_rotation_seconds set. Each participant gets a key derived from
+ * the event secret, so a scanner holding the secret can verify any participant
+ * offline, while a participant can only produce codes for themselves.
+ */
+
+export const ROTATING_CODE_DIGITS = 6;
+
+// Accept the previous and next period, so a code that changed while being
+// scanned and small clock differences between devices still verify
+export const ROTATING_CODE_SKEW_STEPS = 1;
+
+const SHA256_K = new Uint32Array([
+  0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+  0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+  0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+  0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+  0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+  0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+  0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+  0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2
+]);
+
+const rotr = (value: number, bits: number) => (value >>> bits) | (value << (32 - bits));
+
+// Synchronous SHA-256, so codes can be produced every render on devices
+// without WebCrypto (React Native)
+const sha256 = (message: Uint8Array): Uint8Array => {
+  const bitLength = message.length * 8;
+  const paddedLength = Math.ceil((message.length + 9) / 64) * 64;
+  const padded = new Uint8Array(paddedLength);
+  padded.set(message);
+  padded[message.length] = 0x80;
+  const view = new DataView(padded.buffer);
+  view.setUint32(paddedLength - 8, Math.floor(bitLength / 0x100000000));
+  view.setUint32(paddedLength - 4, bitLength >>> 0);
+
+  const hash = new Uint32Array([
+    0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19
+  ]);
+  const w = new Uint32Array(64);
+
+  for (let offset = 0; offset < paddedLength; offset += 64) {
+    for (let i = 0; i < 16; i++) w[i] = view.getUint32(offset + i * 4);
+    for (let i = 16; i < 64; i++) {
+      const s0 = rotr(w[i - 15], 7) ^ rotr(w[i - 15], 18) ^ (w[i - 15] >>> 3);
+      const s1 = rotr(w[i - 2], 17) ^ rotr(w[i - 2], 19) ^ (w[i - 2] >>> 10);
+      w[i] = (w[i - 16] + s0 + w[i - 7] + s1) >>> 0;
+    }
+
+    let [a, b, c, d, e, f, g, h] = hash;
+    for (let i = 0; i < 64; i++) {
+      const s1 = rotr(e, 6) ^ rotr(e, 11) ^ rotr(e, 25);
+      const t1 = (h + s1 + ((e & f) ^ (~e & g)) + SHA256_K[i] + w[i]) >>> 0;
+      const s0 = rotr(a, 2) ^ rotr(a, 13) ^ rotr(a, 22);
+      const t2 = (s0 + ((a & b) ^ (a & c) ^ (b & c))) >>> 0;
+      h = g; g = f; f = e; e = (d + t1) >>> 0;
+      d = c; c = b; b = a; a = (t1 + t2) >>> 0;
+    }
+
+    hash[0] += a; hash[1] += b; hash[2] += c; hash[3] += d;
+    hash[4] += e; hash[5] += f; hash[6] += g; hash[7] += h;
+  }
+
+  const digest = new Uint8Array(32);
+  const digestView = new DataView(digest.buffer);
+  hash.forEach((word, i) => digestView.setUint32(i * 4, word));
+  return digest;
+};
+
+const hmacSha256 = (key: Uint8Array, message: Uint8Array): Uint8Array => {
+  const block = new Uint8Array(64);
+  block.set(key.length > 64 ? sha256(key) : key);
+
+  const inner = new Uint8Array(64 + message.length);
+  const outer = new Uint8Array(64 + 32);
+  for (let i = 0; i < 64; i++) {
+    inner[i] = block[i] ^ 0x36;
+    outer[i] = block[i] ^ 0x5c;
+  }
+  inner.set(message, 64);
+  outer.set(sha256(inner), 64);
+  return sha256(outer);
+};
+
+const utf8 = (value: string): Uint8Array => new TextEncoder().encode(value);
+
+const hexToBytes = (hex: string): Uint8Array => {
+  const bytes = new Uint8Array(hex.length / 2);
+  for (let i = 0; i < bytes.length; i++) {
+    bytes[i] = parseInt(hex.substr(i * 2, 2), 16);
+  }
+  return bytes;
+};
+
+const bytesToHex = (bytes: Uint8Array): string =>
+  Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+
+/**
+ * A participant's key: HMAC-SHA256(event secret, user id), hex encoded.
+ * Matches get_rotating_qr_key() on the server.
+ */
+export function deriveParticipantKey(eventSecret: string, userId: string): string {
+  return bytesToHex(hmacSha256(hexToBytes(eventSecret), utf8(userId)));
+}
+
+export function getTimeStep(periodSeconds: number, at: Date = new Date()): number {
+  return Math.floor(at.getTime() / 1000 / periodSeconds);
+}
+
+/**
+ * Seconds until the current code changes
+ */
+export function getSecondsRemaining(periodSeconds: number, at: Date = new Date()): number {
+  return periodSeconds - (Math.floor(at.getTime() / 1000) % periodSeconds);
+}
+
+export function generateRotatingCode(participantKey: string, step: number): string {
+  const counter = new Uint8Array(8);
+  const view = new DataView(counter.buffer);
+  view.setUint32(0, Math.floor(step / 0x100000000));
+  view.setUint32(4, step >>> 0);
+
+  const mac = hmacSha256(hexToBytes(participantKey), counter);
+  const offset = mac[mac.length - 1] & 0x0f;
+  const binary = ((mac[offset] & 0x7f) << 24) | (mac[offset + 1] << 16) | (mac[offset + 2] << 8) | mac[offset + 3];
+  return String(binary % 10 ** ROTATING_CODE_DIGITS).padStart(ROTATING_CODE_DIGITS, '0');
+}
+
+/**
+ * Check a scanned code against the participant's key at the time of the scan,
+ * allowing ROTATING_CODE_SKEW_STEPS periods either side
+ */
+export function verifyRotatingCode(
+  participantKey: string,
+  code: string,
+  periodSeconds: number,
+  at: Date = new Date()
+): boolean {
+  if (!code || !/^\d+$/.test(code)) return false;
+  const step = getTimeStep(periodSeconds, at);
+  for (let drift = -ROTATING_CODE_SKEW_STEPS; drift <= ROTATING_CODE_SKEW_STEPS; drift++) {
+    if (generateRotatingCode(participantKey, step + drift) === code) return true;
+  }
+  return false;
+}
+
+/**
+ * QR payload for the current period. Scanners read eventId and userId the
+ * same way as static participant codes, plus the rotating code.
+ */
+export function buildRotatingQRData(
+  eventId: string,
+  userId: string,
+  participantKey: string,
+  periodSeconds: number,
+  at: Date = new Date()
+): string {
+  return JSON.stringify({
+    eventId,
+    userId,
+    type: 'event_checkin',
+    totp: generateRotatingCode(participantKey, getTimeStep(periodSeconds, at))
+  });
+}
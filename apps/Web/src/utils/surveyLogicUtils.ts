@@ -0,0 +1,332 @@
+/**
+ * Survey Logic Utilities
+ * Branching and skip logic for surveys: sections shown only when an earlier
+ * answer matches, and questions that skip ahead to a later section or to the
+ * end of the survey. Shared by the survey editors, the evaluation form and
+ * the survey statistics.
+ *
+ * The logic is stored on the flattened questions in surveys.questions, next
+ * to the section metadata:
+ *   sectionCondition  on every question of a conditional section
+ *   skipRule          on the question whose answer triggers the skip
+ * Answers to questions a respondent was not shown are not submitted, so
+ * replaying the logic over a stored response gives back what they saw.
+ */
+
+export type SurveyConditionOperator =
+  | 'equals'
+  | 'not_equals'
+  | 'includes'
+  | 'not_includes'
+  | 'less_or_equal'
+  | 'greater_or_equal'
+  | 'answered'
+  | 'not_answered';
+
+/** A condition on the answer to an earlier question */
+export interface SurveyCondition {
+  questionId: string;
+  operator: SurveyConditionOperator;
+  value?: string;
+}
+
+/** Skip to a later section (by sectionIndex) or to the end when the answer matches */
+export interface SurveySkipRule {
+  operator: SurveyConditionOperator;
+  value?: string;
+  goTo: number | 'end';
+}
+
+export interface SurveyLogicQuestion {
+  id?: string;
+  question?: string;
+  questionType?: string;
+  type?: string;
+  question_type?: string;
+  options?: string[];
+  scaleMin?: number;
+  scaleMax?: number;
+  min_rating?: number;
+  max_rating?: number;
+  sectionIndex?: number;
+  sectionCondition?: SurveyCondition | null;
+  skipRule?: SurveySkipRule | null;
+}
+
+export type SurveyAnswers = Record<string, any>;
+
+export const SURVEY_CONDITION_OPERATORS: { value: SurveyConditionOperator; label: string }[] = [
+  { value: 'equals', label: 'is' },
+  { value: 'not_equals', label: 'is not' },
+  { value: 'includes', label: 'includes' },
+  { value: 'not_includes', label: 'does not include' },
+  { value: 'less_or_equal', label: 'is at most' },
+  { value: 'greater_or_equal', label: 'is at least' },
+  { value: 'answered', label: 'is answered' },
+  { value: 'not_answered', label: 'is not answered' }
+];
+
+export const getQuestionId = (question: SurveyLogicQuestion, index: number): string =>
+  question.id || question.question || `q_${index}`;
+
+const getQuestionType = (question: SurveyLogicQuestion): string =>
+  question.questionType || question.type || question.question_type || '';
+
+/**
+ * Operators that make sense for a question type. Grid questions have one
+ * answer per row, so they cannot drive logic.
+ */
+export function getConditionOperators(questionType: string): SurveyConditionOperator[] {
+  switch (questionType) {
+    case 'multiple-choice':
+    case 'dropdown':
+      return ['equals', 'not_equals', 'answered', 'not_answered'];
+    case 'checkbox':
+      return ['includes', 'not_includes', 'answered', 'not_answered'];
+    case 'linear-scale':
+    case 'star-rating':
+      return ['equals', 'not_equals', 'less_or_equal', 'greater_or_equal', 'answered', 'not_answered'];
+    case 'multiple-choice-grid':
+    case 'checkbox-grid':
+      return [];
+    default:
+      return ['answered', 'not_answered'];
+  }
+}
+
+/** Values a condition on this question can compare against, if it has a fixed set */
+export function getConditionValues(question: SurveyLogicQuestion): string[] {
+  const questionType = getQuestionType(question);
+  if (questionType === 'linear-scale' || questionType === 'star-rating') {
+    const min = question.scaleMin || question.min_rating || 1;
+    const max = question.scaleMax || question.max_rating || 5;
+    return Array.from({ length: Math.max(max - min + 1, 0) }, (_, i) => String(min + i));
+  }
+  return (question.options || []).filter(option => option && option.trim());
+}
+
+export const operatorNeedsValue = (operator: SurveyConditionOperator): boolean =>
+  operator !== 'answered' && operator !== 'not_answered';
+
+const isAnswered = (answer: any): boolean => {
+  if (answer === undefined || answer === null) return false;
+  if (typeof answer === 'string') return answer.trim() !== '';
+  if (Array.isArray(answer)) return answer.length > 0;
+  if (typeof answer === 'object') return Object.keys(answer).length > 0;
+  return true;
+};
+
+/**
+ * Check an answer against an operator and value. An unanswered question
+ * only matches not_answered.
+ */
+export function matchesCondition(answer: any, operator: SurveyConditionOperator, value?: string): boolean {
+  if (operator === 'answered') return isAnswered(answer);
+  if (operator === 'not_answered') return !isAnswered(answer);
+  if (!isAnswered(answer)) return false;
+
+  const expected = String(value ?? '');
+  switch (operator) {
+    case 'equals':
+      return String(answer) === expected;
+    case 'not_equals':
+      return String(answer) !== expected;
+    case 'includes':
+      return Array.isArray(answer) ? answer.map(String).includes(expected) : String(answer) === expected;
+    case 'not_includes':
+      return Array.isArray(answer) ? !answer.map(String).includes(expected) : String(answer) !== expected;
+    case 'less_or_equal':
+    case 'greater_or_equal': {
+      const number = parseFloat(String(answer));
+      const limit = parseFloat(expected);
+      if (isNaN(number) || isNaN(limit)) return false;
+      return operator === 'less_or_equal' ? number <= limit : number >= limit;
+    }
+    default:
+      return false;
+  }
+}
+
+/**
+ * The ids of the questions a respondent is shown for their answers so far,
+ * in survey order. A section is shown when its condition matches an answer
+ * the respondent gave to a question they were shown; a matching skip rule
+ * hides everything after its question up to the target section.
+ */
+export function getVisibleQuestionIds(
+  questions: SurveyLogicQuestion[] | null | undefined,
+  answers: SurveyAnswers | null | undefined
+): string[] {
+  const visible: string[] = [];
+  const shownAnswers: SurveyAnswers = {};
+  let skipTo: number | 'end' | null = null;
+
+  const list = questions || [];
+  for (let index = 0; index < list.length; index++) {
+    if (skipTo === 'end') break;
+
+    const question = list[index];
+    const sectionIndex = question.sectionIndex;
+    if (skipTo !== null) {
+      if (sectionIndex === undefined || sectionIndex < skipTo) continue;
+      skipTo = null;
+    }
+
+    const condition = question.sectionCondition;
+    if (condition && !matchesCondition(shownAnswers[condition.questionId], condition.operator, condition.value)) {
+      continue;
+    }
+
+    const questionId = getQuestionId(question, index);
+    visible.push(questionId);
+    shownAnswers[questionId] = answers?.[questionId];
+
+    const rule = question.skipRule;
+    if (rule && matchesCondition(answers?.[questionId], rule.operator, rule.value)) {
+      skipTo = rule.goTo;
+    }
+  }
+
+  return visible;
+}
+
+/** Drop the answers to questions the respondent was not shown, before submitting */
+export function getVisibleAnswers(
+  questions: SurveyLogicQuestion[] | null | undefined,
+  answers: SurveyAnswers | null | undefined
+): SurveyAnswers {
+  const visibleAnswers: SurveyAnswers = {};
+  getVisibleQuestionIds(questions, answers).forEach(questionId => {
+    if (answers && questionId in answers) {
+      visibleAnswers[questionId] = answers[questionId];
+    }
+  });
+  return visibleAnswers;
+}
+
+export const hasSurveyLogic = (questions: SurveyLogicQuestion[] | null | undefined): boolean =>
+  (questions || []).some(question => question.sectionCondition || question.skipRule);
+
+// ---------------------------------------------------------------------------
+// Editor helpers. The editors keep questions and sections in nested form with
+// stable logicKeys, because the stored ids (q_1, q_2, ...) and section
+// indexes change whenever a question or section is added, moved or removed.
+// ---------------------------------------------------------------------------
+
+/** Section condition as edited: refers to a question by its logicKey */
+export interface EditorSectionCondition {
+  questionKey: string;
+  operator: SurveyConditionOperator;
+  value?: string;
+}
+
+/** Skip rule as edited: goes to a section by its logicKey, or to the end */
+export interface EditorSkipRule {
+  operator: SurveyConditionOperator;
+  value?: string;
+  goTo: string;
+}
+
+export interface EditorLogicQuestion {
+  logicKey?: string;
+  questionText?: string;
+  questionType?: string;
+  options?: string[];
+  scaleMin?: number;
+  scaleMax?: number;
+  skipRule?: EditorSkipRule | null;
+}
+
+export interface EditorLogicSection {
+  logicKey?: string;
+  sectionTitle?: string;
+  showIf?: EditorSectionCondition | null;
+  questions?: EditorLogicQuestion[];
+}
+
+export const createLogicKey = (prefix = 'k'): string =>
+  `${prefix}_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 6)}`;
+
+/** Give every section and question a logicKey, e.g. for drafts saved before logic existed */
+export function withLogicKeys<T extends EditorLogicSection>(sections: T[]): T[] {
+  return sections.map(section => ({
+    ...section,
+    logicKey: section.logicKey || createLogicKey('s'),
+    questions: (section.questions || []).map(question => ({
+      ...question,
+      logicKey: question.logicKey || createLogicKey('q')
+    }))
+  }));
+}
+
+/**
+ * Section and skip logic in editor form, for a survey loaded from the
+ * database. Section keys are s_<sectionIndex> and question keys the stored
+ * question ids, which is what the loaded sections must use as logicKeys.
+ */
+export const toEditorSectionCondition = (condition?: SurveyCondition | null): EditorSectionCondition | null =>
+  condition ? { questionKey: condition.questionId, operator: condition.operator, value: condition.value } : null;
+
+export const toEditorSkipRule = (rule?: SurveySkipRule | null): EditorSkipRule | null =>
+  rule ? { operator: rule.operator, value: rule.value, goTo: rule.goTo === 'end' ? 'end' : `s_${rule.goTo}` } : null;
+
+const hasValueIfNeeded = (match: { operator: SurveyConditionOperator; value?: string }): boolean =>
+  !operatorNeedsValue(match.operator) || !!match.value;
+
+/**
+ * Put the edited logic on the flattened questions about to be saved. The
+ * questions must be flattened from the same sections in the same order,
+ * skipping sections without questions. Conditions on questions that are not
+ * in an earlier section, skips that do not go forward and anything still
+ * missing its answer value are dropped.
+ */
+export function applySurveyLogic<T extends SurveyLogicQuestion>(flattened: T[], sections: EditorLogicSection[]): T[] {
+  const questionIds: Record<string, { id: string; sectionIndex: number }> = {};
+  const sectionIndexes: Record<string, number> = {};
+  let position = 0;
+
+  sections.forEach((section, sectionIndex) => {
+    if (section.logicKey) sectionIndexes[section.logicKey] = sectionIndex;
+    (section.questions || []).forEach(question => {
+      const stored = flattened[position++];
+      if (question.logicKey && stored?.id) {
+        questionIds[question.logicKey] = { id: stored.id, sectionIndex };
+      }
+    });
+  });
+
+  position = 0;
+  const result = flattened.map(question => ({ ...question }));
+
+  sections.forEach((section, sectionIndex) => {
+    let sectionCondition: SurveyCondition | undefined;
+    const showIf = section.showIf;
+    const source = showIf ? questionIds[showIf.questionKey] : undefined;
+    if (showIf && source && source.sectionIndex < sectionIndex && hasValueIfNeeded(showIf)) {
+      sectionCondition = {
+        questionId: source.id,
+        operator: showIf.operator,
+        ...(operatorNeedsValue(showIf.operator) ? { value: showIf.value } : {})
+      };
+    }
+
+    (section.questions || []).forEach(question => {
+      const stored = result[position++];
+      if (!stored) return;
+
+      stored.sectionCondition = sectionCondition;
+
+      const rule = question.skipRule;
+      const target = rule ? (rule.goTo === 'end' ? 'end' : sectionIndexes[rule.goTo]) : undefined;
+      stored.skipRule = rule && hasValueIfNeeded(rule) && (target === 'end' || (typeof target === 'number' && target > sectionIndex))
+        ? {
+          operator: rule.operator,
+          ...(operatorNeedsValue(rule.operator) ? { value: rule.value } : {}),
+          goTo: target
+        }
+        : undefined;
+    });
+  });
+
+  return result;
+}
@@ -0,0 +1,138 @@
+/**
+ * Minimal ZIP archive writer
+ * Files are stored without compression: the archives we build hold PDFs and
+ * PNGs, which are already compressed, so deflating them again gains little.
+ */
+
+export interface ZipEntry {
+  name: string;
+  data: Uint8Array;
+}
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+export function crc32(data: Uint8Array): number {
+  let crc = 0xffffffff;
+  for (let i = 0; i < data.length; i++) {
+    crc = CRC_TABLE[(crc ^ data[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+const toDosDateTime = (date: Date) => ({
+  time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+  date: ((Math.max(date.getFullYear(), 1980) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+});
+
+/**
+ * Make file names unique within an archive by numbering repeats:
+ * a.pdf, a (2).pdf, a (3).pdf
+ */
+export function getUniqueZipName(name: string, usedNames: Set<string>): string {
+  let candidate = name;
+  const dot = name.lastIndexOf('.');
+  const base = dot > 0 ? name.slice(0, dot) : name;
+  const extension = dot > 0 ? name.slice(dot) : '';
+  for (let count = 2; usedNames.has(candidate.toLowerCase()); count++) {
+    candidate = `${base} (${count})${extension}`;
+  }
+  usedNames.add(candidate.toLowerCase());
+  return candidate;
+}
+
+export function createZip(entries: ZipEntry[], modified: Date = new Date()): Blob {
+  const encoder = new TextEncoder();
+  const { time, date } = toDosDateTime(modified);
+  const parts: Uint8Array[] = [];
+  const centralDirectory: Uint8Array[] = [];
+  let offset = 0;
+
+  for (const entry of entries) {
+    const name = encoder.encode(entry.name);
+    const crc = crc32(entry.data);
+    const size = entry.data.length;
+
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, 0x04034b50, true);  // local file header signature
+    local.setUint16(4, 20, true);          // version needed to extract
+    local.setUint16(6, 0x0800, true);      // UTF-8 file names
+    local.setUint16(8, 0, true);           // stored
+    local.setUint16(10, time, true);
+    local.setUint16(12, date, true);
+    local.setUint32(14, crc, true);
+    local.setUint32(18, size, true);
+    local.setUint32(22, size, true);
+    local.setUint16(26, name.length, true);
+    local.setUint16(28, 0, true);
+    parts.push(new Uint8Array(local.buffer), name, entry.data);
+
+    const central = new DataView(new ArrayBuffer(46));
+    central.setUint32(0, 0x02014b50, true); // central directory signature
+    central.setUint16(4, 20, true);         // version made by
+    central.setUint16(6, 20, true);
+    central.setUint16(8, 0x0800, true);
+    central.setUint16(10, 0, true);
+    central.setUint16(12, time, true);
+    central.setUint16(14, date, true);
+    central.setUint32(16, crc, true);
+    central.setUint32(20, size, true);
+    central.setUint32(24, size, true);
+    central.setUint16(28, name.length, true);
+    central.setUint32(42, offset, true);    // offset of the local header
+    centralDirectory.push(new Uint8Array(central.buffer), name);
+
+    offset += 30 + name.length + size;
+  }
+
+  const directorySize = centralDirectory.reduce((total, part) => total + part.length, 0);
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054b50, true);       // end of central directory signature
+  end.setUint16(8, entries.length, true);
+  end.setUint16(10, entries.length, true);
+  end.setUint32(12, directorySize, true);
+  end.setUint32(16, offset, true);
+
+  return new Blob([...parts, ...centralDirectory, new Uint8Array(end.buffer)] as BlobPart[], { type: 'application/zip' });
+}
+
+/**
+ * Download files and pack them into one archive. Files that fail to download
+ * are left out and reported by name.
+ */
+export async function fetchFilesAsZip(
+  files: { name: string; url: string }[]
+): Promise<{ zip?: Blob; added: number; failed: string[] }> {
+  const usedNames = new Set<string>();
+  const entries: ZipEntry[] = [];
+  const failed: string[] = [];
+
+  // One at a time, so a large batch does not hold every request open at once
+  for (const file of files) {
+    try {
+      const response = await fetch(file.url);
+      if (!response.ok) throw new Error(response.statusText);
+      entries.push({
+        name: getUniqueZipName(file.name, usedNames),
+        data: new Uint8Array(await response.arrayBuffer())
+      });
+    } catch (error) {
+      failed.push(file.name);
+    }
+  }
+
+  return {
+    zip: entries.length > 0 ? createZip(entries) : undefined,
+    added: entries.length,
+    failed
+  };
+}
@@ -0,0 +1,35 @@
+-- =====================================================
+-- Migration: Add scan history for attendance anomaly detection
+-- =====================================================
+-- Purpose: qr_code_scans had no link to the event or the
+--          attendance log, and required a qr_codes row that
+--          participant codes do not have, so scanner inserts
+--          were rejected. Scans now record the event, the
+--          participant, the resulting attendance log and the
+--          scanning device, and event organizers can read
+--          their events' scan history for the anomaly report.
+-- =====================================================
+
+-- Step 1: Participant codes are scanned without a qr_codes row
+ALTER TABLE qr_code_scans
+ALTER COLUMN qr_code_id DROP NOT NULL;
+
+-- Step 2: Link scans to the event, participant and attendance log
+ALTER TABLE qr_code_scans
+ADD COLUMN IF NOT EXISTS event_id UUID REFERENCES events(id) ON DELETE CASCADE,
+ADD COLUMN IF NOT EXISTS participant_id UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+ADD COLUMN IF NOT EXISTS attendance_log_id UUID REFERENCES attendance_logs(id) ON DELETE SET NULL,
+ADD COLUMN IF NOT EXISTS device_id VARCHAR(64);
+
+CREATE INDEX IF NOT EXISTS idx_qr_scans_event_timestamp ON qr_code_scans(event_id, scan_timestamp);
+
+-- Step 3: Organizers can read the scan history of their own events
+DROP POLICY IF EXISTS "Event organizers can view event scans" ON qr_code_scans;
+
+CREATE POLICY "Event organizers can view event scans" ON qr_code_scans
+FOR SELECT USING (
+  EXISTS (SELECT 1 FROM events WHERE events.id = qr_code_scans.event_id AND events.created_by = auth.uid())
+);
+
+COMMENT ON COLUMN qr_code_scans.device_id IS 'Random identifier of the scanning device or browser, kept across sessions.';
+COMMENT ON COLUMN qr_code_scans.attendance_log_id IS 'Check-in created or matched by this scan.';
@@ -0,0 +1,72 @@
+-- =====================================================
+-- Migration: Add check-out scans and attendance duration
+-- =====================================================
+-- Purpose: Only check-in was recorded, so there was no way
+--          to tell whether someone stayed. The scanner now has
+--          a check-out mode that sets check_out_time on the
+--          day's event-level check-in, and an event can require
+--          a minimum time attended before a day counts towards
+--          the evaluation and certificate.
+-- =====================================================
+
+-- Step 1: Check-out time on event-level check-ins
+ALTER TABLE attendance_logs
+ADD COLUMN IF NOT EXISTS check_out_time TIMESTAMP WITH TIME ZONE;
+
+ALTER TABLE attendance_logs
+DROP CONSTRAINT IF EXISTS attendance_logs_check_out_after_check_in;
+
+ALTER TABLE attendance_logs
+ADD CONSTRAINT attendance_logs_check_out_after_check_in
+CHECK (check_out_time IS NULL OR check_out_time >= check_in_time);
+
+-- Step 2: Minimum time attended per day (0 = no minimum)
+ALTER TABLE events
+ADD COLUMN IF NOT EXISTS min_attendance_minutes INTEGER DEFAULT 0
+CHECK (min_attendance_minutes >= 0);
+
+-- Step 3: Record a check-out. Only the event organizer or an admin, who
+-- scans the participant out, may record one; a participant could otherwise
+-- check themselves out from anywhere hours later and meet the minimum time.
+-- An existing check-out time is kept.
+CREATE OR REPLACE FUNCTION record_check_out(event_uuid UUID, participant_uuid UUID, check_in_day DATE)
+RETURNS attendance_logs
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  result attendance_logs%ROWTYPE;
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM events WHERE id = event_uuid AND created_by = auth.uid())
+    AND NOT is_admin(auth.uid())
+  THEN
+    RAISE EXCEPTION 'You are not allowed to check out this participant';
+  END IF;
+
+  SELECT * INTO result FROM attendance_logs
+  WHERE event_id = event_uuid
+    AND user_id = participant_uuid
+    AND check_in_date = check_in_day
+    AND session_id IS NULL
+  FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'No check-in found for this day. Check in before checking out.';
+  END IF;
+
+  IF result.check_out_time IS NULL THEN
+    UPDATE attendance_logs
+    SET check_out_time = GREATEST(NOW(), result.check_in_time)
+    WHERE id = result.id
+    RETURNING * INTO result;
+  END IF;
+
+  RETURN result;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION record_check_out(UUID, UUID, DATE) TO authenticated;
+
+COMMENT ON COLUMN attendance_logs.check_out_time IS 'Time of the check-out scan; NULL while the attendee has not checked out.';
+COMMENT ON COLUMN events.min_attendance_minutes IS 'Minutes between check-in and check-out for a day to count towards completion (0 = no minimum).';
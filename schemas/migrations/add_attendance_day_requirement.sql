@@ -0,0 +1,21 @@
+-- =====================================================
+-- Migration: Add per-day attendance for multi-day events
+-- =====================================================
+-- Purpose: Participants already check in once per day
+--          (attendance_logs is unique per event, user and
+--          check_in_date). Organizers can now require a
+--          minimum number of validated days before the
+--          evaluation and certificate unlock, e.g. "at least
+--          2 of 3 days".
+-- =====================================================
+
+ALTER TABLE events
+ADD COLUMN IF NOT EXISTS min_attendance_days INTEGER DEFAULT 0
+CHECK (min_attendance_days >= 0);
+
+-- Per-day attendance reports group event-level check-ins by day
+CREATE INDEX IF NOT EXISTS idx_attendance_logs_event_date
+ON attendance_logs(event_id, check_in_date)
+WHERE session_id IS NULL;
+
+COMMENT ON COLUMN events.min_attendance_days IS 'Validated check-in days required to complete a multi-day event (0 = any single day).';
@@ -0,0 +1,120 @@
+-- =====================================================
+-- Migration: Add iCalendar export and subscribable feeds
+-- =====================================================
+-- Purpose: Participants can subscribe to a feed of the events
+--          they registered for, and anyone can subscribe to the
+--          feed of published events. Calendar apps poll the feeds
+--          without a login, so the personal feed is identified by
+--          a secret token and read through SECURITY DEFINER
+--          functions. ical_sequence is bumped whenever the
+--          schedule or status changes so calendar apps pick up
+--          updates and cancellations.
+-- =====================================================
+
+-- Step 1: Revision counter used as the VEVENT SEQUENCE
+ALTER TABLE events
+ADD COLUMN IF NOT EXISTS ical_sequence INTEGER NOT NULL DEFAULT 0;
+
+CREATE OR REPLACE FUNCTION bump_event_ical_sequence()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF NEW.title IS DISTINCT FROM OLD.title
+    OR NEW.description IS DISTINCT FROM OLD.description
+    OR NEW.start_date IS DISTINCT FROM OLD.start_date
+    OR NEW.end_date IS DISTINCT FROM OLD.end_date
+    OR NEW.start_time IS DISTINCT FROM OLD.start_time
+    OR NEW.end_time IS DISTINCT FROM OLD.end_time
+    OR NEW.venue IS DISTINCT FROM OLD.venue
+    OR NEW.status IS DISTINCT FROM OLD.status THEN
+    NEW.ical_sequence := COALESCE(OLD.ical_sequence, 0) + 1;
+  END IF;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS bump_events_ical_sequence ON events;
+CREATE TRIGGER bump_events_ical_sequence
+    BEFORE UPDATE ON events
+    FOR EACH ROW EXECUTE FUNCTION bump_event_ical_sequence();
+
+-- Step 2: Secret tokens for personal feeds (one per user, can be regenerated)
+CREATE TABLE IF NOT EXISTS calendar_feed_tokens (
+  user_id UUID PRIMARY KEY REFERENCES auth.users(id) ON DELETE CASCADE,
+  token UUID NOT NULL DEFAULT gen_random_uuid() UNIQUE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+ALTER TABLE calendar_feed_tokens ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can read their calendar feed token" ON calendar_feed_tokens
+FOR SELECT USING (user_id = auth.uid());
+
+CREATE POLICY "Users can create their calendar feed token" ON calendar_feed_tokens
+FOR INSERT WITH CHECK (user_id = auth.uid());
+
+CREATE POLICY "Users can regenerate their calendar feed token" ON calendar_feed_tokens
+FOR UPDATE USING (user_id = auth.uid()) WITH CHECK (user_id = auth.uid());
+
+-- Step 3: Feed queries. Cancelled events stay in the feeds so calendar
+-- apps can show them as cancelled instead of silently dropping them.
+CREATE OR REPLACE FUNCTION get_public_calendar_events()
+RETURNS TABLE (
+  id UUID,
+  title VARCHAR,
+  description TEXT,
+  venue VARCHAR,
+  start_date DATE,
+  end_date DATE,
+  start_time TIME,
+  end_time TIME,
+  status VARCHAR,
+  updated_at TIMESTAMP WITH TIME ZONE,
+  ical_sequence INTEGER
+)
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  SELECT e.id, e.title, e.description, e.venue, e.start_date, e.end_date,
+         e.start_time, e.end_time, e.status, e.updated_at, e.ical_sequence
+  FROM events e
+  WHERE e.status IN ('published', 'cancelled', 'completed')
+    AND e.end_date >= CURRENT_DATE - INTERVAL '90 days'
+  ORDER BY e.start_date, e.start_time;
+$$;
+
+CREATE OR REPLACE FUNCTION get_user_calendar_events(feed_token UUID)
+RETURNS TABLE (
+  id UUID,
+  title VARCHAR,
+  description TEXT,
+  venue VARCHAR,
+  start_date DATE,
+  end_date DATE,
+  start_time TIME,
+  end_time TIME,
+  status VARCHAR,
+  updated_at TIMESTAMP WITH TIME ZONE,
+  ical_sequence INTEGER
+)
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  SELECT e.id, e.title, e.description, e.venue, e.start_date, e.end_date,
+         e.start_time, e.end_time, e.status, e.updated_at, e.ical_sequence
+  FROM calendar_feed_tokens t
+  JOIN event_registrations r ON r.user_id = t.user_id AND r.status = 'registered'
+  JOIN events e ON e.id = r.event_id
+  WHERE t.token = feed_token
+    AND e.status IN ('published', 'cancelled', 'completed')
+  ORDER BY e.start_date, e.start_time;
+$$;
+
+GRANT EXECUTE ON FUNCTION get_public_calendar_events() TO anon, authenticated;
+GRANT EXECUTE ON FUNCTION get_user_calendar_events(UUID) TO anon, authenticated;
+
+COMMENT ON COLUMN events.ical_sequence IS 'iCalendar SEQUENCE, bumped when the schedule, venue or status changes.';
+COMMENT ON TABLE calendar_feed_tokens IS 'Secret tokens identifying personal calendar feed URLs.';
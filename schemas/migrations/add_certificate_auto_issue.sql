@@ -0,0 +1,57 @@
+-- =====================================================
+-- Migration: Add automatic certificate issuance
+-- =====================================================
+-- Purpose: Participants had to open the certificate page
+--          and wait for it to render before getting their
+--          certificate. Organizers can now turn on auto-issue
+--          for an event: once a participant meets the
+--          certificate requirements (usually by submitting
+--          the evaluation), a certificate_generation job is
+--          queued for them and they are notified when the
+--          certificate is ready. The job carries the
+--          participant's name from get_user_profile, which now
+--          also returns the prefix and affix the certificate
+--          page puts in the name.
+-- =====================================================
+
+-- Step 1: Auto-issue setting
+ALTER TABLE events
+ADD COLUMN IF NOT EXISTS certificate_auto_issue BOOLEAN DEFAULT FALSE;
+
+COMMENT ON COLUMN events.certificate_auto_issue IS 'Queue a certificate automatically once a participant meets the certificate requirements.';
+
+-- Step 2: Name prefix and affix in get_user_profile (otherwise as in
+-- patches/update_get_user_profile_middle_initial.sql)
+CREATE OR REPLACE FUNCTION get_user_profile(user_id UUID)
+RETURNS JSON
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public, auth
+AS $$
+DECLARE
+  user_profile JSON;
+BEGIN
+  SELECT json_build_object(
+    'id', id,
+    'email', email,
+    'prefix', COALESCE(raw_user_meta_data->>'prefix', ''),
+    'first_name', COALESCE(raw_user_meta_data->>'first_name', ''),
+    'middle_initial', COALESCE(raw_user_meta_data->>'middle_initial', ''),
+    'last_name', COALESCE(raw_user_meta_data->>'last_name', ''),
+    'affix', COALESCE(raw_user_meta_data->>'affix', ''),
+    'user_type', COALESCE(raw_user_meta_data->>'user_type', ''),
+    'organization', COALESCE(raw_user_meta_data->>'affiliated_organization', ''),
+    'role', COALESCE(raw_user_meta_data->>'role', raw_app_meta_data->>'role', 'participant'),
+    'phone', COALESCE(raw_user_meta_data->>'phone', ''),
+    'avatar_url', COALESCE(raw_user_meta_data->>'avatar_url', ''),
+    'position', COALESCE(raw_user_meta_data->>'position', '')
+  )
+  INTO user_profile
+  FROM auth.users
+  WHERE id = user_id;
+
+  RETURN user_profile;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION get_user_profile(UUID) TO authenticated;
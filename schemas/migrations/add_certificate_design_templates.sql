@@ -0,0 +1,102 @@
+-- =====================================================
+-- Migration: Add a certificate design template library
+-- =====================================================
+-- Purpose: Backgrounds and logos could be reused across
+--          events, but a finished certificate design could
+--          not. Organizers can now save a design as a named
+--          template with a thumbnail, keep it private or share
+--          it with their department (the affiliated
+--          organization on their profile). Admins can publish
+--          official institutional templates that everyone
+--          sees. Any event's certificate designer can apply
+--          one. Thumbnails live in the certificate-templates
+--          bucket under design-templates/.
+-- =====================================================
+
+CREATE TABLE IF NOT EXISTS certificate_design_templates (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  name VARCHAR(255) NOT NULL,
+  description TEXT,
+  config JSONB NOT NULL DEFAULT '{}'::jsonb,
+  thumbnail_url TEXT,
+  thumbnail_path TEXT,
+  visibility VARCHAR(20) NOT NULL DEFAULT 'private' CHECK (visibility IN ('private', 'department', 'official')),
+  department VARCHAR(255),
+  created_by UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  CHECK (visibility <> 'department' OR department IS NOT NULL)
+);
+
+ALTER TABLE certificate_design_templates ENABLE ROW LEVEL SECURITY;
+
+CREATE INDEX IF NOT EXISTS idx_certificate_design_templates_created_by ON certificate_design_templates(created_by);
+CREATE INDEX IF NOT EXISTS idx_certificate_design_templates_visibility ON certificate_design_templates(visibility, department);
+
+CREATE TRIGGER update_certificate_design_templates_updated_at
+    BEFORE UPDATE ON certificate_design_templates
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Affiliated organization on a user's profile, which is their department.
+-- SECURITY DEFINER because policies cannot read auth.users directly.
+CREATE OR REPLACE FUNCTION get_user_organization(user_uuid UUID)
+RETURNS TEXT
+LANGUAGE sql
+SECURITY DEFINER
+STABLE
+SET search_path = public
+AS $$
+  SELECT raw_user_meta_data->>'affiliated_organization'
+  FROM auth.users
+  WHERE id = user_uuid;
+$$;
+
+GRANT EXECUTE ON FUNCTION get_user_organization(UUID) TO authenticated;
+
+-- Everyone sees official templates, their own, and those shared with their department
+CREATE POLICY "Users can view shared certificate design templates" ON certificate_design_templates
+FOR SELECT USING (
+  visibility = 'official'
+  OR created_by = auth.uid()
+  OR (
+    visibility = 'department'
+    AND department = get_user_organization(auth.uid())
+  )
+  OR is_admin(auth.uid())
+);
+
+-- Organizers share with their own department only; only admins publish official templates
+CREATE POLICY "Organizers can create certificate design templates" ON certificate_design_templates
+FOR INSERT WITH CHECK (
+  created_by = auth.uid()
+  AND (
+    (auth.jwt() ->> 'user_metadata')::jsonb ->> 'role' = 'organizer'
+    OR is_admin(auth.uid())
+  )
+  AND (visibility <> 'official' OR is_admin(auth.uid()))
+  AND (visibility <> 'department' OR department = get_user_organization(auth.uid()))
+);
+
+CREATE POLICY "Users can update their certificate design templates" ON certificate_design_templates
+FOR UPDATE USING (
+  created_by = auth.uid()
+  OR is_admin(auth.uid())
+) WITH CHECK (
+  is_admin(auth.uid())
+  OR (
+    created_by = auth.uid()
+    AND visibility <> 'official'
+    AND (visibility <> 'department' OR department = get_user_organization(auth.uid()))
+  )
+);
+
+CREATE POLICY "Users can delete their certificate design templates" ON certificate_design_templates
+FOR DELETE USING (
+  created_by = auth.uid()
+  OR is_admin(auth.uid())
+);
+
+COMMENT ON TABLE certificate_design_templates IS 'Named certificate designs that any event''s certificate designer can apply.';
+COMMENT ON COLUMN certificate_design_templates.config IS 'Certificate config without event-specific fields (id, event_id, created_by, timestamps).';
+COMMENT ON COLUMN certificate_design_templates.visibility IS 'private: only the creator; department: users with the same affiliated organization; official: everyone (admins only).';
+COMMENT ON COLUMN certificate_design_templates.department IS 'Affiliated organization the template is shared with, for department templates.';
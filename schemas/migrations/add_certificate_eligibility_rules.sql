@@ -0,0 +1,50 @@
+-- =====================================================
+-- Migration: Add per-event certificate eligibility rules
+-- =====================================================
+-- Purpose: Whether a participant gets a certificate was
+--          decided separately by each screen. Events now keep
+--          a rule set saying which requirements apply
+--          (validated check-in, submitted evaluation, manual
+--          approval by the organizer); the session and day
+--          requirements keep using their existing columns.
+--          Organizer approvals are recorded per participant.
+-- =====================================================
+
+-- Step 1: Rule set. NULL keeps the original requirements
+-- (validated check-in and a submitted evaluation)
+ALTER TABLE events
+ADD COLUMN IF NOT EXISTS certificate_rules JSONB;
+
+-- Step 2: Participants the organizer approved for a certificate
+CREATE TABLE IF NOT EXISTS certificate_approvals (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  event_id UUID NOT NULL REFERENCES events(id) ON DELETE CASCADE,
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  approved_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+  approved_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+  UNIQUE(event_id, user_id)
+);
+
+ALTER TABLE certificate_approvals ENABLE ROW LEVEL SECURITY;
+
+CREATE INDEX IF NOT EXISTS idx_certificate_approvals_event_id ON certificate_approvals(event_id);
+
+-- Step 3: RLS policies
+-- Participants can see their own approval; only the event creator manages them
+CREATE POLICY "Users can read certificate approvals" ON certificate_approvals
+FOR SELECT USING (
+  user_id = auth.uid()
+  OR EXISTS (SELECT 1 FROM events WHERE events.id = certificate_approvals.event_id AND events.created_by = auth.uid())
+);
+
+CREATE POLICY "Event organizers can manage certificate approvals" ON certificate_approvals
+FOR ALL USING (
+  EXISTS (SELECT 1 FROM events WHERE events.id = certificate_approvals.event_id AND events.created_by = auth.uid())
+)
+WITH CHECK (
+  EXISTS (SELECT 1 FROM events WHERE events.id = certificate_approvals.event_id AND events.created_by = auth.uid())
+);
+
+COMMENT ON COLUMN events.certificate_rules IS 'Certificate requirements: {"validated_check_in", "evaluation", "manual_approval"} flags. NULL = validated check-in and evaluation.';
+COMMENT ON TABLE certificate_approvals IS 'Participants approved for a certificate by the event organizer.';
@@ -0,0 +1,17 @@
+-- =====================================================
+-- Migration: Add free-form layers to certificate configs
+-- =====================================================
+-- Purpose: The certificate designer only positioned a fixed
+--          set of blocks (title, name, event, date, signatures,
+--          certificate ID). Designers can now add their own
+--          text boxes, shapes, lines and images, each with a
+--          position, size and rotation. The layer list is
+--          stored in stacking order (bottom first) and drawn by
+--          both the designer preview and the certificate
+--          generator.
+-- =====================================================
+
+ALTER TABLE certificate_configs
+ADD COLUMN IF NOT EXISTS layers JSONB DEFAULT '[]';
+
+COMMENT ON COLUMN certificate_configs.layers IS 'Free-form layers drawn above the background, bottom first: [{id, type: text|rect|ellipse|line|image, x, y (centre, %), width, height (px), rotation (deg), ...style}]';
@@ -0,0 +1,22 @@
+-- =====================================================
+-- Migration: Add paper formats and extra pages to certificate configs
+-- =====================================================
+-- Purpose: Certificates were a single landscape page of a
+--          fixed pixel size, and the PDF page was as many
+--          points wide as the image was pixels. A template
+--          can now choose A4 or Letter, portrait or landscape,
+--          and the PDF uses that physical size. Trainings can
+--          add a transcript page after the certificate listing
+--          the sessions attended, with hours and scores.
+--          Configs without a page size keep their existing
+--          width and height.
+-- =====================================================
+
+ALTER TABLE certificate_configs
+ADD COLUMN IF NOT EXISTS page_size VARCHAR(10) CHECK (page_size IS NULL OR page_size IN ('a4', 'letter')),
+ADD COLUMN IF NOT EXISTS orientation VARCHAR(10) CHECK (orientation IS NULL OR orientation IN ('landscape', 'portrait')),
+ADD COLUMN IF NOT EXISTS pages JSONB DEFAULT '[]';
+
+COMMENT ON COLUMN certificate_configs.page_size IS 'Paper size of the certificate and its PDF: a4 or letter. NULL keeps the stored width and height';
+COMMENT ON COLUMN certificate_configs.orientation IS 'landscape or portrait. NULL keeps the stored width and height';
+COMMENT ON COLUMN certificate_configs.pages IS 'Pages printed after the certificate, in order: [{type: transcript, title, intro_text, show_dates, show_hours, show_scores, font_family, color, accent_color, background_color}]';
@@ -0,0 +1,238 @@
+-- =====================================================
+-- Migration: Add certificate revocation and reissue
+-- =====================================================
+-- Purpose: Certificates issued in error could only be
+--          deleted, and a name correction meant generating
+--          a duplicate. Certificates now carry a status
+--          (valid, revoked, superseded) with a reason and,
+--          once reissued, a link to their replacement. Every
+--          issue, revocation and replacement is recorded in
+--          certificate_history.
+-- =====================================================
+
+-- Step 1: Status columns
+ALTER TABLE certificates
+ADD COLUMN IF NOT EXISTS status VARCHAR(20) NOT NULL DEFAULT 'valid'
+  CHECK (status IN ('valid', 'revoked', 'superseded')),
+ADD COLUMN IF NOT EXISTS status_reason TEXT,
+ADD COLUMN IF NOT EXISTS status_changed_at TIMESTAMP WITH TIME ZONE,
+ADD COLUMN IF NOT EXISTS status_changed_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+ADD COLUMN IF NOT EXISTS superseded_by UUID REFERENCES certificates(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_certificates_status ON certificates(status);
+
+-- Step 2: A reissue keeps the replaced certificate, possibly under the same
+-- participant name, so uniqueness only applies to certificates not yet replaced
+ALTER TABLE certificates
+DROP CONSTRAINT IF EXISTS certificates_event_id_user_id_participant_name_key;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_certificates_current_participant
+ON certificates(event_id, user_id, participant_name)
+WHERE status <> 'superseded';
+
+-- Step 3: History of every certificate
+CREATE TABLE IF NOT EXISTS certificate_history (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  certificate_id UUID NOT NULL REFERENCES certificates(id) ON DELETE CASCADE,
+  event_id UUID REFERENCES events(id) ON DELETE CASCADE,
+  user_id UUID REFERENCES auth.users(id) ON DELETE CASCADE,
+  certificate_number VARCHAR(100) NOT NULL,
+  action VARCHAR(20) NOT NULL CHECK (action IN ('issued', 'revoked', 'superseded')),
+  reason TEXT,
+  performed_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+ALTER TABLE certificate_history ENABLE ROW LEVEL SECURITY;
+
+CREATE INDEX IF NOT EXISTS idx_certificate_history_event_user ON certificate_history(event_id, user_id);
+
+CREATE POLICY "Users can read certificate history" ON certificate_history
+FOR SELECT USING (
+  user_id = auth.uid()
+  OR EXISTS (SELECT 1 FROM events WHERE events.id = certificate_history.event_id AND events.created_by = auth.uid())
+  OR is_admin(auth.uid())
+);
+
+CREATE OR REPLACE FUNCTION record_certificate_history()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  IF TG_OP = 'INSERT' THEN
+    INSERT INTO certificate_history (certificate_id, event_id, user_id, certificate_number, action, performed_by)
+    VALUES (NEW.id, NEW.event_id, NEW.user_id, NEW.certificate_number, 'issued', NEW.generated_by);
+  ELSIF NEW.status IS DISTINCT FROM OLD.status THEN
+    INSERT INTO certificate_history (certificate_id, event_id, user_id, certificate_number, action, reason, performed_by)
+    VALUES (NEW.id, NEW.event_id, NEW.user_id, NEW.certificate_number, NEW.status, NEW.status_reason, NEW.status_changed_by);
+  END IF;
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS certificates_record_history ON certificates;
+CREATE TRIGGER certificates_record_history
+AFTER INSERT OR UPDATE OF status ON certificates
+FOR EACH ROW EXECUTE FUNCTION record_certificate_history();
+
+-- Step 4: Participants may update their own certificates (file URLs), so
+-- the status columns are only writable through the functions below
+CREATE OR REPLACE FUNCTION protect_certificate_status()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  IF current_user NOT IN ('authenticated', 'anon') THEN
+    RETURN NEW;
+  END IF;
+
+  IF TG_OP = 'INSERT' THEN
+    NEW.status := 'valid';
+    NEW.status_reason := NULL;
+    NEW.status_changed_at := NULL;
+    NEW.status_changed_by := NULL;
+    NEW.superseded_by := NULL;
+  ELSIF NEW.status IS DISTINCT FROM OLD.status
+    OR NEW.status_reason IS DISTINCT FROM OLD.status_reason
+    OR NEW.status_changed_at IS DISTINCT FROM OLD.status_changed_at
+    OR NEW.status_changed_by IS DISTINCT FROM OLD.status_changed_by
+    OR NEW.superseded_by IS DISTINCT FROM OLD.superseded_by
+  THEN
+    RAISE EXCEPTION 'Certificates can only be revoked or reissued by the event organizer';
+  END IF;
+
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS certificates_protect_status ON certificates;
+CREATE TRIGGER certificates_protect_status
+BEFORE INSERT OR UPDATE ON certificates
+FOR EACH ROW EXECUTE FUNCTION protect_certificate_status();
+
+-- Step 5: Revoke a certificate. Only the event organizer or an admin may.
+CREATE OR REPLACE FUNCTION revoke_certificate(certificate_uuid UUID, revoke_reason TEXT)
+RETURNS certificates
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  result certificates%ROWTYPE;
+BEGIN
+  SELECT * INTO result FROM certificates WHERE id = certificate_uuid FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Certificate not found';
+  END IF;
+
+  IF NOT EXISTS (SELECT 1 FROM events WHERE id = result.event_id AND created_by = auth.uid())
+    AND NOT is_admin(auth.uid())
+  THEN
+    RAISE EXCEPTION 'Only the event organizer can revoke this certificate';
+  END IF;
+
+  IF result.status <> 'valid' THEN
+    RAISE EXCEPTION 'Only valid certificates can be revoked';
+  END IF;
+
+  IF COALESCE(TRIM(revoke_reason), '') = '' THEN
+    RAISE EXCEPTION 'A reason is required to revoke a certificate';
+  END IF;
+
+  UPDATE certificates
+  SET status = 'revoked',
+      status_reason = TRIM(revoke_reason),
+      status_changed_at = NOW(),
+      status_changed_by = auth.uid()
+  WHERE id = certificate_uuid
+  RETURNING * INTO result;
+
+  RETURN result;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION revoke_certificate(UUID, TEXT) TO authenticated;
+
+-- Step 6: Store a reissued certificate. Reissues are rendered by the job
+-- worker, which may run in anyone's browser, so the authority comes from
+-- the job: it must have been queued by the organizer (or an admin) and
+-- name the certificate it replaces. The old certificate is superseded and
+-- linked to the new one in the same transaction.
+CREATE OR REPLACE FUNCTION reissue_certificate(
+  job_uuid UUID,
+  new_certificate_number VARCHAR,
+  new_pdf_url TEXT,
+  new_png_url TEXT
+)
+RETURNS certificates
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  job_row job_queue%ROWTYPE;
+  old_certificate certificates%ROWTYPE;
+  result certificates%ROWTYPE;
+BEGIN
+  SELECT * INTO job_row FROM job_queue
+  WHERE id = job_uuid AND job_type = 'certificate_generation' AND status = 'processing';
+
+  IF NOT FOUND OR job_row.job_data->>'replacesCertificateId' IS NULL THEN
+    RAISE EXCEPTION 'Reissue job not found';
+  END IF;
+
+  SELECT * INTO old_certificate FROM certificates
+  WHERE id = (job_row.job_data->>'replacesCertificateId')::UUID
+  FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Certificate to reissue not found';
+  END IF;
+
+  IF NOT EXISTS (SELECT 1 FROM events WHERE id = old_certificate.event_id AND created_by = job_row.created_by)
+    AND NOT is_admin(job_row.created_by)
+  THEN
+    RAISE EXCEPTION 'Only the event organizer can reissue this certificate';
+  END IF;
+
+  IF old_certificate.status = 'superseded' THEN
+    RAISE EXCEPTION 'This certificate has already been reissued';
+  END IF;
+
+  -- Superseding a revoked certificate would link it to a valid replacement
+  IF old_certificate.status = 'revoked' THEN
+    RAISE EXCEPTION 'Revoked certificates cannot be reissued';
+  END IF;
+
+  UPDATE certificates
+  SET status = 'superseded',
+      status_reason = job_row.job_data->>'reissueReason',
+      status_changed_at = NOW(),
+      status_changed_by = job_row.created_by
+  WHERE id = old_certificate.id;
+
+  INSERT INTO certificates (
+    certificate_template_id, event_id, user_id, certificate_number, participant_name,
+    event_title, completion_date, certificate_pdf_url, certificate_png_url, generated_by
+  )
+  VALUES (
+    old_certificate.certificate_template_id, old_certificate.event_id, old_certificate.user_id,
+    new_certificate_number, TRIM(COALESCE(job_row.job_data->>'participantName', old_certificate.participant_name)),
+    old_certificate.event_title, old_certificate.completion_date, new_pdf_url, new_png_url, job_row.created_by
+  )
+  RETURNING * INTO result;
+
+  UPDATE certificates SET superseded_by = result.id WHERE id = old_certificate.id;
+
+  RETURN result;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION reissue_certificate(UUID, VARCHAR, TEXT, TEXT) TO authenticated;
+
+COMMENT ON COLUMN certificates.status IS 'valid, revoked (issued in error) or superseded (replaced by superseded_by).';
+COMMENT ON COLUMN certificates.superseded_by IS 'The certificate that replaced this one when it was reissued.';
+COMMENT ON TABLE certificate_history IS 'Issue, revocation and replacement of each certificate.';
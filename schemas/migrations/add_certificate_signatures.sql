@@ -0,0 +1,97 @@
+-- =====================================================
+-- Migration: Add signed certificates
+-- =====================================================
+-- Purpose: Certificates could only be verified by looking
+--          up their number on our site. Each event
+--          certificate now carries a compact JWS over its
+--          number, holder, event and date, signed with the
+--          Ed25519 key held by /api/certificate-signature.
+--          The token is embedded in the certificate PDF and
+--          can be checked against the published public key
+--          without a database lookup.
+-- =====================================================
+
+-- Step 1: Keep the token with the certificate
+ALTER TABLE certificates
+ADD COLUMN IF NOT EXISTS signature_token TEXT;
+
+COMMENT ON COLUMN certificates.signature_token IS 'Compact JWS (EdDSA) over the certificate number, holder, event and date.';
+
+-- Step 2: Reissues store the replacement's token as well. The argument list
+-- changes, so the old function is dropped rather than overloaded.
+DROP FUNCTION IF EXISTS reissue_certificate(UUID, VARCHAR, TEXT, TEXT);
+
+CREATE OR REPLACE FUNCTION reissue_certificate(
+  job_uuid UUID,
+  new_certificate_number VARCHAR,
+  new_pdf_url TEXT,
+  new_png_url TEXT,
+  new_signature_token TEXT DEFAULT NULL
+)
+RETURNS certificates
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  job_row job_queue%ROWTYPE;
+  old_certificate certificates%ROWTYPE;
+  result certificates%ROWTYPE;
+BEGIN
+  SELECT * INTO job_row FROM job_queue
+  WHERE id = job_uuid AND job_type = 'certificate_generation' AND status = 'processing';
+
+  IF NOT FOUND OR job_row.job_data->>'replacesCertificateId' IS NULL THEN
+    RAISE EXCEPTION 'Reissue job not found';
+  END IF;
+
+  SELECT * INTO old_certificate FROM certificates
+  WHERE id = (job_row.job_data->>'replacesCertificateId')::UUID
+  FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Certificate to reissue not found';
+  END IF;
+
+  IF NOT EXISTS (SELECT 1 FROM events WHERE id = old_certificate.event_id AND created_by = job_row.created_by)
+    AND NOT is_admin(job_row.created_by)
+  THEN
+    RAISE EXCEPTION 'Only the event organizer can reissue this certificate';
+  END IF;
+
+  IF old_certificate.status = 'superseded' THEN
+    RAISE EXCEPTION 'This certificate has already been reissued';
+  END IF;
+
+  -- Superseding a revoked certificate would link it to a valid replacement
+  IF old_certificate.status = 'revoked' THEN
+    RAISE EXCEPTION 'Revoked certificates cannot be reissued';
+  END IF;
+
+  UPDATE certificates
+  SET status = 'superseded',
+      status_reason = job_row.job_data->>'reissueReason',
+      status_changed_at = NOW(),
+      status_changed_by = job_row.created_by
+  WHERE id = old_certificate.id;
+
+  INSERT INTO certificates (
+    certificate_template_id, event_id, user_id, certificate_number, participant_name,
+    event_title, completion_date, certificate_pdf_url, certificate_png_url, generated_by,
+    signature_token
+  )
+  VALUES (
+    old_certificate.certificate_template_id, old_certificate.event_id, old_certificate.user_id,
+    new_certificate_number, TRIM(COALESCE(job_row.job_data->>'participantName', old_certificate.participant_name)),
+    old_certificate.event_title, old_certificate.completion_date, new_pdf_url, new_png_url, job_row.created_by,
+    new_signature_token
+  )
+  RETURNING * INTO result;
+
+  UPDATE certificates SET superseded_by = result.id WHERE id = old_certificate.id;
+
+  RETURN result;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION reissue_certificate(UUID, VARCHAR, TEXT, TEXT, TEXT) TO authenticated;
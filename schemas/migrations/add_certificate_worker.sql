@@ -0,0 +1,88 @@
+-- =====================================================
+-- Migration: Add job claiming for the headless certificate worker
+-- =====================================================
+-- Purpose: Certificate jobs were only picked up by the job
+--          worker running in an open browser tab. The Node
+--          worker (apps/Web/scripts/certificate-worker.js)
+--          claims them with claim_next_job, which only takes
+--          jobs of the type asked for and reclaims jobs whose
+--          worker died mid-render. A worker that shuts down
+--          before finishing hands its jobs back with
+--          release_job. Both are for the service role only.
+-- =====================================================
+
+-- Step 1: Claim the next job of one type. A job still in processing after
+-- p_stale_after_seconds is treated as abandoned and claimed again, as long
+-- as it has attempts left.
+CREATE OR REPLACE FUNCTION claim_next_job(
+  p_job_type VARCHAR,
+  p_stale_after_seconds INTEGER DEFAULT 900
+)
+RETURNS SETOF job_queue
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_job_id UUID;
+BEGIN
+  IF p_job_type IS NULL OR p_job_type = '' THEN
+    RAISE EXCEPTION 'A job type is required';
+  END IF;
+
+  SELECT job_queue.id INTO v_job_id
+  FROM job_queue
+  WHERE job_queue.job_type = p_job_type
+    AND (
+      job_queue.status = 'pending'
+      OR (
+        job_queue.status = 'processing'
+        AND job_queue.started_at < NOW() - make_interval(secs => GREATEST(p_stale_after_seconds, 60))
+        AND job_queue.attempts < job_queue.max_attempts
+      )
+    )
+  ORDER BY job_queue.priority ASC, job_queue.created_at ASC
+  LIMIT 1
+  FOR UPDATE SKIP LOCKED;
+
+  IF v_job_id IS NULL THEN
+    RETURN;
+  END IF;
+
+  RETURN QUERY
+  UPDATE job_queue
+  SET status = 'processing',
+      started_at = NOW(),
+      attempts = COALESCE(job_queue.attempts, 0) + 1
+  WHERE job_queue.id = v_job_id
+  RETURNING job_queue.*;
+END;
+$$;
+
+-- Step 2: Hand an unfinished job back. The attempt it used is given back too,
+-- since the job never got to fail.
+CREATE OR REPLACE FUNCTION release_job(p_job_id UUID)
+RETURNS BOOLEAN
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  UPDATE job_queue
+  SET status = 'pending',
+      started_at = NULL,
+      attempts = GREATEST(COALESCE(attempts, 1) - 1, 0)
+  WHERE id = p_job_id AND status = 'processing';
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Job is not being processed';
+  END IF;
+
+  RETURN TRUE;
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION claim_next_job(VARCHAR, INTEGER) FROM PUBLIC;
+REVOKE EXECUTE ON FUNCTION release_job(UUID) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION claim_next_job(VARCHAR, INTEGER) TO service_role;
+GRANT EXECUTE ON FUNCTION release_job(UUID) TO service_role;
@@ -0,0 +1,14 @@
+-- =====================================================
+-- Migration: Add name badge designs to events
+-- =====================================================
+-- Purpose: The registration desk prints name badges with the
+--          attendee's check-in QR code on A4 label sheets.
+--          Each event keeps its badge design (fonts, colours,
+--          which fields to show, role ribbons and the label
+--          sheet layout) so badges can be reprinted on the day.
+-- =====================================================
+
+ALTER TABLE events
+ADD COLUMN IF NOT EXISTS badge_config JSONB;
+
+COMMENT ON COLUMN events.badge_config IS 'Name badge design and label sheet layout. NULL uses the default design.';
@@ -0,0 +1,33 @@
+-- =====================================================
+-- Migration: Add recurring event series to events table
+-- =====================================================
+-- Purpose: Let organizers create an event that repeats
+--          (daily, weekly, monthly or on custom dates).
+--          The first occurrence keeps the recurrence rule;
+--          every other occurrence is a normal event row
+--          linked back to it through parent_event_id, so
+--          registrations, check-ins and certificates stay
+--          per occurrence.
+-- =====================================================
+
+-- Step 1: Link occurrences to the first event of the series
+ALTER TABLE events
+ADD COLUMN IF NOT EXISTS parent_event_id UUID REFERENCES events(id) ON DELETE SET NULL;
+
+-- Step 2: Store the recurrence rule on the first event
+-- e.g. {"frequency": "weekly", "interval": 1, "count": 8}
+--      {"frequency": "custom", "dates": ["2025-03-01", "2025-03-15"]}
+ALTER TABLE events
+ADD COLUMN IF NOT EXISTS recurrence_rule JSONB;
+
+-- Step 3: Position of the occurrence within its series (0 = first)
+ALTER TABLE events
+ADD COLUMN IF NOT EXISTS occurrence_index INTEGER;
+
+-- Step 4: Index for loading a whole series
+CREATE INDEX IF NOT EXISTS idx_events_parent_event_id
+ON events(parent_event_id);
+
+COMMENT ON COLUMN events.parent_event_id IS 'First event of the recurring series this occurrence belongs to. NULL for standalone events and for the first occurrence.';
+COMMENT ON COLUMN events.recurrence_rule IS 'Recurrence rule (frequency, interval, count, until, dates). Only set on the first occurrence of a series.';
+COMMENT ON COLUMN events.occurrence_index IS 'Zero-based position of this occurrence within its series.';
@@ -0,0 +1,173 @@
+-- =====================================================
+-- Migration: Add multi-session agenda with per-session check-in
+-- =====================================================
+-- Purpose: Conferences run parallel tracks, so an event can
+--          now have sessions (time slot, room, track and a
+--          guest speaker). Sessions can require their own
+--          sign-up, attendance is recorded per session in
+--          attendance_logs.session_id, and an event can ask
+--          for a minimum number of attended sessions before a
+--          certificate is issued.
+-- =====================================================
+
+-- Step 1: Sessions of an event
+CREATE TABLE IF NOT EXISTS event_sessions (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  event_id UUID NOT NULL REFERENCES events(id) ON DELETE CASCADE,
+  title VARCHAR(255) NOT NULL,
+  description TEXT,
+  session_date DATE NOT NULL,
+  start_time TIME NOT NULL,
+  end_time TIME NOT NULL,
+  room VARCHAR(200),
+  track VARCHAR(100),
+  speaker_id UUID REFERENCES guest_speakers(id) ON DELETE SET NULL,
+  requires_signup BOOLEAN DEFAULT false,
+  max_participants INTEGER CHECK (max_participants IS NULL OR max_participants > 0),
+  session_order INTEGER DEFAULT 0,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+  CHECK (end_time > start_time)
+);
+
+ALTER TABLE event_sessions ENABLE ROW LEVEL SECURITY;
+
+CREATE INDEX IF NOT EXISTS idx_event_sessions_event_id ON event_sessions(event_id);
+CREATE INDEX IF NOT EXISTS idx_event_sessions_schedule ON event_sessions(event_id, session_date, start_time);
+CREATE INDEX IF NOT EXISTS idx_event_sessions_speaker_id ON event_sessions(speaker_id);
+
+CREATE TRIGGER update_event_sessions_updated_at
+    BEFORE UPDATE ON event_sessions
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Step 2: Sign-ups for sessions that require them
+CREATE TABLE IF NOT EXISTS session_registrations (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  session_id UUID NOT NULL REFERENCES event_sessions(id) ON DELETE CASCADE,
+  event_id UUID NOT NULL REFERENCES events(id) ON DELETE CASCADE,
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+  UNIQUE(session_id, user_id)
+);
+
+ALTER TABLE session_registrations ENABLE ROW LEVEL SECURITY;
+
+CREATE INDEX IF NOT EXISTS idx_session_registrations_session_id ON session_registrations(session_id);
+CREATE INDEX IF NOT EXISTS idx_session_registrations_event_user ON session_registrations(event_id, user_id);
+
+-- Step 3: Per-session attendance. Event-level check-ins keep session_id NULL
+-- and stay unique per day; session check-ins are unique per session.
+ALTER TABLE attendance_logs
+ADD COLUMN IF NOT EXISTS session_id UUID REFERENCES event_sessions(id) ON DELETE CASCADE;
+
+ALTER TABLE attendance_logs
+DROP CONSTRAINT IF EXISTS attendance_logs_event_user_date_unique;
+
+CREATE UNIQUE INDEX IF NOT EXISTS attendance_logs_event_user_date_unique
+ON attendance_logs(event_id, user_id, check_in_date)
+WHERE session_id IS NULL;
+
+CREATE UNIQUE INDEX IF NOT EXISTS attendance_logs_session_user_unique
+ON attendance_logs(session_id, user_id)
+WHERE session_id IS NOT NULL;
+
+-- Step 4: Certificate requirement (0 = sessions are not required)
+ALTER TABLE events
+ADD COLUMN IF NOT EXISTS min_sessions_for_certificate INTEGER DEFAULT 0
+CHECK (min_sessions_for_certificate >= 0);
+
+-- Step 5: RLS policies
+-- Everyone can read the agenda; only the event creator manages it
+CREATE POLICY "Allow read access to event_sessions" ON event_sessions
+FOR SELECT USING (true);
+
+CREATE POLICY "Event organizers can manage event_sessions" ON event_sessions
+FOR ALL USING (
+  EXISTS (SELECT 1 FROM events WHERE events.id = event_sessions.event_id AND events.created_by = auth.uid())
+)
+WITH CHECK (
+  EXISTS (SELECT 1 FROM events WHERE events.id = event_sessions.event_id AND events.created_by = auth.uid())
+);
+
+-- Participants sign up through register_for_session() only, so the
+-- capacity and event registration checks cannot be skipped. They can cancel
+-- their own sign-ups; organizers can see who signed up.
+CREATE POLICY "Users can read session registrations" ON session_registrations
+FOR SELECT USING (
+  user_id = auth.uid()
+  OR EXISTS (SELECT 1 FROM events WHERE events.id = session_registrations.event_id AND events.created_by = auth.uid())
+);
+
+DROP POLICY IF EXISTS "Users can sign up for sessions" ON session_registrations;
+
+CREATE POLICY "Users can cancel their session sign-ups" ON session_registrations
+FOR DELETE USING (user_id = auth.uid());
+
+-- Step 6: Sign up for a session. SECURITY DEFINER because participants can
+-- only read their own sign-ups, so the capacity check has to run here.
+-- The session row is locked so two last-seat sign-ups can't both succeed.
+CREATE OR REPLACE FUNCTION register_for_session(session_uuid UUID)
+RETURNS session_registrations
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  session_row event_sessions%ROWTYPE;
+  signup_count INTEGER;
+  result session_registrations%ROWTYPE;
+BEGIN
+  SELECT * INTO session_row FROM event_sessions WHERE id = session_uuid FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Session not found';
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM event_registrations
+    WHERE event_id = session_row.event_id AND user_id = auth.uid() AND status = 'registered'
+  ) THEN
+    RAISE EXCEPTION 'You must be registered for the event before signing up for its sessions';
+  END IF;
+
+  IF EXISTS (SELECT 1 FROM session_registrations WHERE session_id = session_uuid AND user_id = auth.uid()) THEN
+    RAISE EXCEPTION 'You are already signed up for this session';
+  END IF;
+
+  IF session_row.max_participants IS NOT NULL THEN
+    SELECT COUNT(*) INTO signup_count FROM session_registrations WHERE session_id = session_uuid;
+    IF signup_count >= session_row.max_participants THEN
+      RAISE EXCEPTION 'This session is full';
+    END IF;
+  END IF;
+
+  INSERT INTO session_registrations (session_id, event_id, user_id)
+  VALUES (session_uuid, session_row.event_id, auth.uid())
+  RETURNING * INTO result;
+
+  RETURN result;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION register_for_session(UUID) TO authenticated;
+
+-- Step 7: Sign-up counts per session (for "x / y seats" in the agenda)
+CREATE OR REPLACE FUNCTION get_session_signup_counts(event_uuid UUID)
+RETURNS TABLE (session_id UUID, signups BIGINT)
+LANGUAGE sql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  SELECT sr.session_id, COUNT(*) AS signups
+  FROM session_registrations sr
+  WHERE sr.event_id = event_uuid
+  GROUP BY sr.session_id;
+$$;
+
+GRANT EXECUTE ON FUNCTION get_session_signup_counts(UUID) TO authenticated, anon;
+
+COMMENT ON TABLE event_sessions IS 'Agenda items of an event (parallel tracks, rooms, speakers).';
+COMMENT ON COLUMN attendance_logs.session_id IS 'Session the check-in was recorded for; NULL for event-level check-ins.';
+COMMENT ON COLUMN events.min_sessions_for_certificate IS 'Minimum number of attended sessions required for a certificate (0 = not required).';
@@ -0,0 +1,56 @@
+-- =====================================================
+-- Migration: Add reusable event templates
+-- =====================================================
+-- Purpose: Organizers run many similar events. A template
+--          stores a snapshot of an event (details, banner,
+--          registration form, speakers, sponsors, evaluation
+--          and certificate design) so Create Event can start
+--          from it instead of re-entering everything by hand.
+--          Duplicating an event needs no schema changes; it
+--          copies the rows directly.
+-- =====================================================
+
+CREATE TABLE IF NOT EXISTS event_templates (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  name VARCHAR(255) NOT NULL,
+  description TEXT,
+  created_by UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  source_event_id UUID REFERENCES events(id) ON DELETE SET NULL,
+  event_data JSONB NOT NULL DEFAULT '{}'::jsonb,
+  speakers JSONB NOT NULL DEFAULT '[]'::jsonb,
+  sponsors JSONB NOT NULL DEFAULT '[]'::jsonb,
+  survey JSONB,
+  certificate_config JSONB,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+ALTER TABLE event_templates ENABLE ROW LEVEL SECURITY;
+
+CREATE INDEX IF NOT EXISTS idx_event_templates_created_by ON event_templates(created_by);
+
+CREATE TRIGGER update_event_templates_updated_at
+    BEFORE UPDATE ON event_templates
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Templates are private to the organizer who saved them
+CREATE POLICY "Users can view their event templates" ON event_templates
+FOR SELECT USING (created_by = auth.uid());
+
+CREATE POLICY "Organizers can create event templates" ON event_templates
+FOR INSERT WITH CHECK (
+  created_by = auth.uid()
+  AND (
+    (auth.jwt() ->> 'user_metadata')::jsonb ->> 'role' = 'organizer'
+    OR is_admin(auth.uid())
+  )
+);
+
+CREATE POLICY "Users can update their event templates" ON event_templates
+FOR UPDATE USING (created_by = auth.uid()) WITH CHECK (created_by = auth.uid());
+
+CREATE POLICY "Users can delete their event templates" ON event_templates
+FOR DELETE USING (created_by = auth.uid());
+
+COMMENT ON TABLE event_templates IS 'Named snapshots of an event that Create Event can start from.';
+COMMENT ON COLUMN event_templates.event_data IS 'Event fields without dates, status or participant counts.';
@@ -0,0 +1,56 @@
+-- =====================================================
+-- Migration: Add Open Badges export for certificates
+-- =====================================================
+-- Purpose: Participants want their certificates on LinkedIn
+--          and in e-portfolios. Certificates are exported as
+--          Open Badges 2.0 hosted assertions, served by
+--          /api/open-badge to badge backpacks and validators
+--          that fetch without a login. This function returns
+--          the certificate details the verification page shows,
+--          plus the event and issuer, with the recipient's email
+--          only as a salted SHA-256 hash.
+-- =====================================================
+
+CREATE OR REPLACE FUNCTION get_certificate_badge(certificate_number_text VARCHAR)
+RETURNS TABLE (
+  certificate_number VARCHAR,
+  participant_name VARCHAR,
+  event_title VARCHAR,
+  completion_date DATE,
+  certificate_png_url TEXT,
+  generated_at TIMESTAMP WITH TIME ZONE,
+  status VARCHAR,
+  status_reason TEXT,
+  replacement_number VARCHAR,
+  event_description TEXT,
+  event_banner_url TEXT,
+  issuer_name VARCHAR,
+  recipient_salt TEXT,
+  recipient_identity TEXT
+)
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  SELECT c.certificate_number, c.participant_name, c.event_title, c.completion_date,
+         c.certificate_png_url, c.generated_at, c.status, c.status_reason,
+         replacement.certificate_number,
+         e.description, e.banner_url,
+         COALESCE(NULLIF(TRIM(organizer.raw_user_meta_data->>'affiliated_organization'), ''), 'GanApp')::VARCHAR,
+         c.id::TEXT,
+         'sha256$' || encode(sha256(convert_to(LOWER(TRIM(recipient.email::TEXT)) || c.id::TEXT, 'UTF8')), 'hex')
+  FROM certificates c
+  -- Certificates issued to people without an account have no email to hash
+  JOIN auth.users recipient ON recipient.id = c.user_id
+  LEFT JOIN events e ON e.id = c.event_id
+  LEFT JOIN auth.users organizer ON organizer.id = e.created_by
+  LEFT JOIN certificates replacement ON replacement.id = c.superseded_by
+  WHERE c.certificate_number = certificate_number_text
+  -- One row, preferring the live certificate if a superseded one
+  -- shares its number
+  ORDER BY (c.status = 'superseded'), c.generated_at DESC
+  LIMIT 1;
+$$;
+
+GRANT EXECUTE ON FUNCTION get_certificate_badge(VARCHAR) TO anon, authenticated;
@@ -0,0 +1,37 @@
+-- =====================================================
+-- Migration: Count check-in scans of QR codes
+-- =====================================================
+-- Purpose: Check-in scanners reject QR codes that reached
+--          qr_codes.max_scans, but neither the web kiosk nor
+--          the mobile scanner counted their scans, so the limit
+--          never applied. Scanners now record each successful
+--          check-in through one function. It runs as definer
+--          because the organizer scanning does not own the
+--          participant's QR code.
+-- =====================================================
+
+CREATE OR REPLACE FUNCTION record_qr_code_check_in(qr_token_param TEXT, event_uuid UUID)
+RETURNS VOID
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM events WHERE id = event_uuid AND created_by = auth.uid())
+    AND NOT is_admin(auth.uid())
+  THEN
+    RAISE EXCEPTION 'Only the event organizer can record check-in scans';
+  END IF;
+
+  UPDATE qr_codes
+  SET scan_count = COALESCE(scan_count, 0) + 1,
+      last_scanned_at = NOW()
+  WHERE qr_token = qr_token_param
+  AND is_active = true
+  AND (event_id IS NULL OR event_id = event_uuid);
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION record_qr_code_check_in(TEXT, UUID) TO authenticated;
+
+COMMENT ON FUNCTION record_qr_code_check_in(TEXT, UUID) IS 'Counts a successful check-in scan of a QR code towards its max_scans.';
@@ -0,0 +1,79 @@
+-- =====================================================
+-- Migration: Add custom registration form fields per event
+-- =====================================================
+-- Purpose: Organizers can ask extra questions when people
+--          register (dietary needs, T-shirt size, student
+--          number, ...). The questions live on the event and
+--          use the same question types as surveys; the answers
+--          are stored with each registration.
+-- =====================================================
+
+-- Step 1: Question list for the event registration form
+-- e.g. [{"id": "rq_1", "questionText": "T-shirt size", "questionType": "dropdown",
+--        "options": ["S", "M", "L"], "required": true}]
+ALTER TABLE events
+ADD COLUMN IF NOT EXISTS registration_form JSONB DEFAULT '[]'::jsonb;
+
+-- Step 2: Answers keyed by question id
+-- e.g. {"rq_1": "M", "rq_2": ["Vegetarian", "No nuts"]}
+ALTER TABLE event_registrations
+ADD COLUMN IF NOT EXISTS registration_answers JSONB DEFAULT '{}'::jsonb;
+
+-- Step 3: Return the answers with the participant list (used for organizer exports)
+CREATE OR REPLACE FUNCTION get_event_participants(event_uuid UUID)
+RETURNS JSON
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public, auth
+AS $$
+DECLARE
+  result JSON;
+BEGIN
+  WITH registrations AS (
+    SELECT 
+      er.id,
+      er.user_id,
+      er.registration_date,
+      er.status,
+      er.created_at,
+      COALESCE(er.registration_answers, '{}'::jsonb) as registration_answers,
+      json_build_object(
+        'id', u.id,
+        'email', u.email,
+        'first_name', COALESCE(u.raw_user_meta_data->>'first_name', ''),
+        'last_name', COALESCE(u.raw_user_meta_data->>'last_name', ''),
+        'user_type', COALESCE(u.raw_user_meta_data->>'user_type', ''),
+        'organization', COALESCE(u.raw_user_meta_data->>'affiliated_organization', ''),
+        'role', COALESCE(u.raw_user_meta_data->>'role', u.raw_app_meta_data->>'role', 'participant'),
+        'phone', COALESCE(u.raw_user_meta_data->>'phone', ''),
+        'avatar_url', COALESCE(u.raw_user_meta_data->>'avatar_url', ''),
+        'position', COALESCE(u.raw_user_meta_data->>'position', '')
+      ) as user_data
+    FROM event_registrations er
+    JOIN auth.users u ON er.user_id = u.id
+    WHERE er.event_id = event_uuid
+      AND er.status = 'registered'
+    ORDER BY er.registration_date DESC
+  )
+  SELECT json_agg(
+    json_build_object(
+      'id', id,
+      'user_id', user_id,
+      'registration_date', registration_date,
+      'status', status,
+      'created_at', created_at,
+      'registration_answers', registration_answers,
+      'users', user_data
+    )
+  )
+  INTO result
+  FROM registrations;
+  
+  RETURN COALESCE(result, '[]'::json);
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION get_event_participants(UUID) TO authenticated;
+
+COMMENT ON COLUMN events.registration_form IS 'Organizer-defined registration questions (same question shape and types as survey questions).';
+COMMENT ON COLUMN event_registrations.registration_answers IS 'Answers to the event registration form, keyed by question id.';
@@ -0,0 +1,93 @@
+-- =====================================================
+-- Migration: Add registration waitlist to event_registrations
+-- =====================================================
+-- Purpose: Registrations beyond max_participants are kept
+--          as 'waitlisted' in the order they joined. When a
+--          seat frees up, promote_waitlisted_registrations()
+--          moves the next people in line to 'registered'.
+--          Promotion only happens while the event is
+--          published and registration_open is true.
+-- =====================================================
+
+-- Step 1: Allow the 'waitlisted' status
+ALTER TABLE event_registrations
+DROP CONSTRAINT IF EXISTS event_registrations_status_check;
+
+ALTER TABLE event_registrations
+ADD CONSTRAINT event_registrations_status_check
+CHECK (status IN ('registered', 'cancelled', 'attended', 'waitlisted'));
+
+-- Step 2: When the user joined the waitlist (defines queue order)
+ALTER TABLE event_registrations
+ADD COLUMN IF NOT EXISTS waitlisted_at TIMESTAMP WITH TIME ZONE;
+
+-- Step 3: Index for reading the queue of an event in order
+CREATE INDEX IF NOT EXISTS idx_event_registrations_waitlist
+ON event_registrations(event_id, waitlisted_at)
+WHERE status = 'waitlisted';
+
+-- Step 4: Promote waitlisted registrations into free seats.
+-- SECURITY DEFINER so a participant cancelling their own seat can
+-- promote the next person even though RLS only lets them update
+-- their own registration. Returns the promoted registrations so the
+-- client can notify each user.
+CREATE OR REPLACE FUNCTION promote_waitlisted_registrations(event_uuid UUID)
+RETURNS TABLE (registration_id UUID, user_id UUID)
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  event_row events%ROWTYPE;
+  registered_count INTEGER;
+  free_seats INTEGER;
+BEGIN
+  -- Lock the event row so concurrent cancellations don't over-promote
+  SELECT * INTO event_row FROM events WHERE id = event_uuid FOR UPDATE;
+
+  IF NOT FOUND
+     OR event_row.status <> 'published'
+     OR event_row.registration_open = false
+     OR (event_row.end_date + COALESCE(event_row.end_time, '23:59:59'::time)) < NOW() THEN
+    RETURN;
+  END IF;
+
+  SELECT COUNT(*) INTO registered_count
+  FROM event_registrations er
+  WHERE er.event_id = event_uuid AND er.status = 'registered';
+
+  IF event_row.max_participants IS NULL THEN
+    free_seats := NULL; -- No limit: everyone on the waitlist gets in
+  ELSE
+    free_seats := GREATEST(event_row.max_participants - registered_count, 0);
+    IF free_seats = 0 THEN
+      RETURN;
+    END IF;
+  END IF;
+
+  RETURN QUERY
+  UPDATE event_registrations er
+  SET status = 'registered',
+      registration_date = NOW()
+  WHERE er.id IN (
+    SELECT w.id
+    FROM event_registrations w
+    WHERE w.event_id = event_uuid AND w.status = 'waitlisted'
+    ORDER BY w.waitlisted_at ASC NULLS LAST, w.created_at ASC
+    LIMIT free_seats
+    FOR UPDATE SKIP LOCKED
+  )
+  RETURNING er.id, er.user_id;
+
+  UPDATE events
+  SET current_participants = (
+    SELECT COUNT(*) FROM event_registrations r
+    WHERE r.event_id = event_uuid AND r.status = 'registered'
+  )
+  WHERE id = event_uuid;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION promote_waitlisted_registrations(UUID) TO authenticated;
+
+COMMENT ON COLUMN event_registrations.waitlisted_at IS 'When the user joined the waitlist. Waitlisted registrations are promoted in this order.';
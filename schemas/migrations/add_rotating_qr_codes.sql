@@ -0,0 +1,108 @@
+-- =====================================================
+-- Migration: Add rotating time-based check-in QR codes
+-- =====================================================
+-- Purpose: Participant QR codes are static, so a forwarded
+--          screenshot checks in someone who is not there.
+--          Events can now opt into codes that change every
+--          qr_rotation_seconds. Each event has a random secret;
+--          a participant's key is HMAC-SHA256(secret, user id),
+--          and the QR carries a 6-digit TOTP-style code made
+--          from that key. Scanners cache the event secret so
+--          they can verify codes offline.
+-- =====================================================
+
+-- Step 1: Rotation period (0 keeps the existing static codes)
+ALTER TABLE events
+ADD COLUMN IF NOT EXISTS qr_rotation_seconds INTEGER NOT NULL DEFAULT 0
+CHECK (qr_rotation_seconds = 0 OR qr_rotation_seconds BETWEEN 10 AND 300);
+
+-- Step 2: Per-event secrets. No policies: the table is only read
+-- through the functions below.
+CREATE TABLE IF NOT EXISTS event_qr_secrets (
+  event_id UUID PRIMARY KEY REFERENCES events(id) ON DELETE CASCADE,
+  secret TEXT NOT NULL DEFAULT encode(extensions.gen_random_bytes(32), 'hex'),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+ALTER TABLE event_qr_secrets ENABLE ROW LEVEL SECURITY;
+
+CREATE OR REPLACE FUNCTION ensure_event_qr_secret(event_uuid UUID)
+RETURNS TEXT
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  event_secret TEXT;
+BEGIN
+  INSERT INTO event_qr_secrets (event_id) VALUES (event_uuid)
+  ON CONFLICT (event_id) DO NOTHING;
+
+  SELECT secret INTO event_secret FROM event_qr_secrets WHERE event_id = event_uuid;
+  RETURN event_secret;
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION ensure_event_qr_secret(UUID) FROM PUBLIC;
+
+-- Step 3: Scanner settings. Everyone can see whether an event rotates its
+-- codes; only the event creator and admins get the secret.
+CREATE OR REPLACE FUNCTION get_event_qr_settings(event_uuid UUID)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  event_row events%ROWTYPE;
+  can_scan BOOLEAN;
+BEGIN
+  SELECT * INTO event_row FROM events WHERE id = event_uuid;
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Event not found';
+  END IF;
+
+  IF event_row.qr_rotation_seconds = 0 THEN
+    RETURN jsonb_build_object('rotation_seconds', 0);
+  END IF;
+
+  can_scan := event_row.created_by = auth.uid() OR is_admin(auth.uid());
+
+  RETURN jsonb_build_object(
+    'rotation_seconds', event_row.qr_rotation_seconds,
+    'secret', CASE WHEN can_scan THEN ensure_event_qr_secret(event_uuid) END
+  );
+END;
+$$;
+
+-- Step 4: A registered participant's own key, used to show their live code
+CREATE OR REPLACE FUNCTION get_rotating_qr_key(event_uuid UUID)
+RETURNS TEXT
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM event_registrations
+    WHERE event_id = event_uuid AND user_id = auth.uid() AND status = 'registered'
+  ) THEN
+    RAISE EXCEPTION 'You must be registered for this event to show its check-in code';
+  END IF;
+
+  RETURN encode(
+    extensions.hmac(
+      convert_to(auth.uid()::text, 'UTF8'),
+      decode(ensure_event_qr_secret(event_uuid), 'hex'),
+      'sha256'
+    ),
+    'hex'
+  );
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION get_event_qr_settings(UUID) TO authenticated;
+GRANT EXECUTE ON FUNCTION get_rotating_qr_key(UUID) TO authenticated;
+
+COMMENT ON COLUMN events.qr_rotation_seconds IS 'Seconds between changes of rotating check-in codes. 0 uses static QR codes.';
+COMMENT ON TABLE event_qr_secrets IS 'Per-event secrets that rotating check-in codes are derived from.';
@@ -0,0 +1,140 @@
+-- =====================================================
+-- Migration: Add geofenced self check-in
+-- =====================================================
+-- Purpose: venues.requires_location_validation (from
+--          attendance_workflow_schema.sql) was never used.
+--          Venues now store coordinates and a radius, and a
+--          registered participant can check themselves in from
+--          the event page while inside that radius during the
+--          check-in window. The location evidence is kept on
+--          the attendance log so organizers can audit it.
+-- =====================================================
+
+-- Step 1: Venue coordinates and geofence radius
+ALTER TABLE venues
+ADD COLUMN IF NOT EXISTS requires_location_validation BOOLEAN DEFAULT true,
+ADD COLUMN IF NOT EXISTS latitude DECIMAL(10, 8),
+ADD COLUMN IF NOT EXISTS longitude DECIMAL(11, 8),
+ADD COLUMN IF NOT EXISTS geofence_radius_meters INTEGER NOT NULL DEFAULT 100
+CHECK (geofence_radius_meters BETWEEN 10 AND 5000);
+
+-- Step 2: Location evidence on attendance logs
+ALTER TABLE attendance_logs
+ADD COLUMN IF NOT EXISTS location_evidence JSONB;
+
+ALTER TABLE attendance_logs
+DROP CONSTRAINT IF EXISTS attendance_logs_check_in_method_check;
+
+ALTER TABLE attendance_logs
+ADD CONSTRAINT attendance_logs_check_in_method_check
+CHECK (check_in_method IN ('qr_scan', 'manual', 'admin_override', 'geofence'));
+
+-- Step 3: Self check-in. The distance, the day and the check-in window
+-- are all worked out here, from the venue and event rows and the server
+-- clock, so neither the stored evidence nor the day can be chosen by the
+-- client. Event times are stored as Philippine local times (see the reminder
+-- schedule in notification_triggers.sql).
+DROP FUNCTION IF EXISTS self_check_in(UUID, DATE, DECIMAL, DECIMAL, NUMERIC);
+
+CREATE OR REPLACE FUNCTION self_check_in(
+  event_uuid UUID,
+  user_lat DECIMAL(10, 8),
+  user_lng DECIMAL(11, 8),
+  accuracy_meters NUMERIC DEFAULT NULL
+)
+RETURNS attendance_logs
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  event_row events%ROWTYPE;
+  venue_row venues%ROWTYPE;
+  local_now TIMESTAMP := NOW() AT TIME ZONE 'Asia/Manila';
+  check_in_day DATE := local_now::DATE;
+  window_start TIMESTAMP;
+  window_end TIMESTAMP;
+  distance INTEGER;
+  result attendance_logs%ROWTYPE;
+BEGIN
+  SELECT * INTO event_row FROM events WHERE id = event_uuid AND status = 'published';
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Event not found';
+  END IF;
+
+  IF check_in_day < event_row.start_date OR check_in_day > COALESCE(event_row.end_date, event_row.start_date) THEN
+    RAISE EXCEPTION 'Check-in is only available during the event dates';
+  END IF;
+
+  -- Daily window around the event's start time, as in
+  -- QRScanService.validateCheckInTiming
+  window_start := check_in_day + event_row.start_time
+    - INTERVAL '1 minute' * COALESCE(event_row.check_in_before_minutes, 60);
+  window_end := check_in_day + event_row.start_time
+    + INTERVAL '1 minute' * COALESCE(event_row.check_in_during_minutes, 30);
+
+  IF local_now < window_start THEN
+    RAISE EXCEPTION 'Check-in opens at % today', to_char(window_start, 'HH12:MI AM');
+  END IF;
+  IF local_now > window_end THEN
+    RAISE EXCEPTION 'Check-in window closed at % today', to_char(window_end, 'HH12:MI AM');
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM event_registrations
+    WHERE event_id = event_uuid AND user_id = auth.uid() AND status = 'registered'
+  ) THEN
+    RAISE EXCEPTION 'You must be registered for this event before checking in';
+  END IF;
+
+  SELECT * INTO venue_row FROM venues WHERE name = event_row.venue AND is_active = true;
+  IF NOT FOUND OR NOT venue_row.requires_location_validation
+    OR venue_row.latitude IS NULL OR venue_row.longitude IS NULL THEN
+    RAISE EXCEPTION 'Self check-in is not available for this venue';
+  END IF;
+
+  -- Haversine distance in meters (LEAST guards asin against rounding above 1)
+  distance := (
+    2 * 6371000 * asin(LEAST(1, sqrt(
+      sin((radians(user_lat) - radians(venue_row.latitude)) / 2) ^ 2 +
+      cos(radians(venue_row.latitude)) * cos(radians(user_lat)) *
+      sin((radians(user_lng) - radians(venue_row.longitude)) / 2) ^ 2
+    )))
+  )::INTEGER;
+
+  IF distance > venue_row.geofence_radius_meters THEN
+    RAISE EXCEPTION 'You are % m from %. Move within % m of the venue to check in.',
+      distance, venue_row.name, venue_row.geofence_radius_meters;
+  END IF;
+
+  INSERT INTO attendance_logs (
+    event_id, user_id, check_in_time, check_in_date, check_in_method,
+    is_validated, validation_notes, location_evidence
+  )
+  VALUES (
+    event_uuid, auth.uid(), NOW(), check_in_day, 'geofence',
+    true, 'Self check-in inside the venue geofence',
+    jsonb_build_object(
+      'latitude', user_lat,
+      'longitude', user_lng,
+      'accuracy_meters', accuracy_meters,
+      'distance_meters', distance,
+      'radius_meters', venue_row.geofence_radius_meters,
+      'venue_id', venue_row.id,
+      'venue_latitude', venue_row.latitude,
+      'venue_longitude', venue_row.longitude
+    )
+  )
+  RETURNING * INTO result;
+
+  RETURN result;
+EXCEPTION
+  WHEN unique_violation THEN
+    RAISE EXCEPTION 'You have already checked in to this event today';
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION self_check_in(UUID, DECIMAL, DECIMAL, NUMERIC) TO authenticated;
+
+COMMENT ON COLUMN venues.geofence_radius_meters IS 'Radius around latitude/longitude that counts as being at the venue.';
+COMMENT ON COLUMN attendance_logs.location_evidence IS 'Device position and measured distance for geofenced self check-ins.';
@@ -88,6 +88,18 @@ CREATE TABLE IF NOT EXISTS events (
   tags TEXT[],
   is_featured BOOLEAN DEFAULT false,
   registration_open BOOLEAN DEFAULT true NOT NULL,
+  parent_event_id UUID REFERENCES events(id) ON DELETE SET NULL, -- Recurring series (first occurrence)
+  recurrence_rule JSONB, -- Recurrence rule, stored on the first occurrence only
+  occurrence_index INTEGER, -- Position within the series (0 = first)
+  registration_form JSONB DEFAULT '[]'::jsonb, -- Custom registration questions
+  min_sessions_for_certificate INTEGER DEFAULT 0, -- Attended sessions required for a certificate (0 = not required)
+  ical_sequence INTEGER NOT NULL DEFAULT 0, -- iCalendar SEQUENCE, bumped on schedule/status changes
+  min_attendance_days INTEGER DEFAULT 0, -- Validated days required to complete a multi-day event (0 = any single day)
+  min_attendance_minutes INTEGER DEFAULT 0, -- Minutes between check-in and check-out for a day to count (0 = no minimum)
+  qr_rotation_seconds INTEGER NOT NULL DEFAULT 0, -- Seconds between rotating check-in codes (0 = static QR codes)
+  badge_config JSONB, -- Name badge design and label sheet layout (NULL = default design)
+  certificate_rules JSONB, -- Certificate requirements (NULL = validated check-in and evaluation)
+  certificate_auto_issue BOOLEAN DEFAULT FALSE, -- Queue certificates as soon as participants meet the requirements
   created_by UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
   created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
   updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
@@ -121,7 +133,9 @@ CREATE TABLE IF NOT EXISTS event_registrations (
   event_id UUID NOT NULL REFERENCES events(id) ON DELETE CASCADE,
   user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
   registration_date TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
-  status VARCHAR(20) NOT NULL DEFAULT 'registered' CHECK (status IN ('registered', 'cancelled', 'attended')),
+  status VARCHAR(20) NOT NULL DEFAULT 'registered' CHECK (status IN ('registered', 'cancelled', 'attended', 'waitlisted')),
+  waitlisted_at TIMESTAMP WITH TIME ZONE, -- Queue order for waitlisted registrations
+  registration_answers JSONB DEFAULT '{}'::jsonb, -- Answers to the event registration form
   created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
   
   -- Ensure unique registration per user per event
@@ -414,6 +428,16 @@ CREATE TABLE IF NOT EXISTS certificates (
   validation_date TIMESTAMP WITH TIME ZONE,
   validated_by UUID REFERENCES users(id),
   
+  -- Revocation and reissue (see migrations/add_certificate_revocation.sql)
+  status VARCHAR(20) NOT NULL DEFAULT 'valid' CHECK (status IN ('valid', 'revoked', 'superseded')),
+  status_reason TEXT, -- Why the certificate was revoked or reissued
+  status_changed_at TIMESTAMP WITH TIME ZONE,
+  status_changed_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  superseded_by UUID REFERENCES certificates(id) ON DELETE SET NULL, -- Replacement certificate
+  
+  -- Ed25519-signed copy of the details above (see migrations/add_certificate_signatures.sql)
+  signature_token TEXT,
+  
   -- Generation metadata
   generated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
   generated_by UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
@@ -450,7 +474,9 @@ CREATE TABLE IF NOT EXISTS attendance_logs (
   
   -- Check-in details
   check_in_time TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
-  check_in_method VARCHAR(50) NOT NULL DEFAULT 'qr_scan' CHECK (check_in_method IN ('qr_scan', 'manual', 'admin_override')),
+  check_in_method VARCHAR(50) NOT NULL DEFAULT 'qr_scan' CHECK (check_in_method IN ('qr_scan', 'manual', 'admin_override', 'geofence')),
+  check_out_time TIMESTAMP WITH TIME ZONE, -- Set by a check-out scan; NULL while still attending
+  location_evidence JSONB, -- Device position and distance for geofenced self check-ins
   
   -- Validation
   is_validated BOOLEAN DEFAULT false,